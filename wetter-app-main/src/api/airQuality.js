@@ -0,0 +1,296 @@
+/* Open-Meteo Luftqualität (CAMS): Europäischer Luftqualitätsindex,
+ * Schadstoffe und Pollen */
+
+// Bänder des Europäischen Luftqualitätsindex (EEA) mit Gesundheitshinweisen
+const AIR_QUALITY_BANDS = [
+  {
+    id: "good",
+    max: 20,
+    label: "Gut",
+    color: "#50F0E6",
+    advice: "Aktivitäten im Freien wie gewohnt genießen.",
+    sensitive: "Aktivitäten im Freien wie gewohnt genießen.",
+  },
+  {
+    id: "fair",
+    max: 40,
+    label: "Ausreichend",
+    color: "#50CCAA",
+    advice: "Aktivitäten im Freien wie gewohnt genießen.",
+    sensitive: "Aktivitäten im Freien wie gewohnt genießen.",
+  },
+  {
+    id: "moderate",
+    max: 60,
+    label: "Mäßig",
+    color: "#F0E641",
+    advice: "Aktivitäten im Freien wie gewohnt genießen.",
+    sensitive: "Bei Beschwerden anstrengende Aktivitäten im Freien verringern.",
+  },
+  {
+    id: "poor",
+    max: 80,
+    label: "Schlecht",
+    color: "#FF5050",
+    advice:
+      "Bei Beschwerden wie Augenreizung, Husten oder Halsschmerzen anstrengende Aktivitäten im Freien verringern.",
+    sensitive:
+      "Körperliche Anstrengung vor allem im Freien verringern, besonders bei Beschwerden.",
+  },
+  {
+    id: "very_poor",
+    max: 100,
+    label: "Sehr schlecht",
+    color: "#960032",
+    advice:
+      "Bei Beschwerden wie Augenreizung, Husten oder Halsschmerzen anstrengende Aktivitäten im Freien verringern.",
+    sensitive: "Körperliche Anstrengung vor allem im Freien verringern.",
+  },
+  {
+    id: "extremely_poor",
+    max: Infinity,
+    label: "Extrem schlecht",
+    color: "#7D2181",
+    advice: "Körperliche Anstrengung im Freien verringern.",
+    sensitive: "Körperliche Anstrengung im Freien vermeiden.",
+  },
+];
+
+// Schadstoffe mit den EAQI-Grenzen (µg/m³) zwischen den Bändern
+const AIR_QUALITY_POLLUTANTS = {
+  pm2_5: { label: "PM2.5", limits: [10, 20, 25, 50, 75] },
+  pm10: { label: "PM10", limits: [20, 40, 50, 100, 150] },
+  nitrogen_dioxide: { label: "NO₂", limits: [40, 90, 120, 230, 340] },
+  ozone: { label: "O₃", limits: [50, 100, 130, 240, 380] },
+  sulphur_dioxide: { label: "SO₂", limits: [100, 200, 350, 500, 750] },
+};
+
+// Pollen (Körner/m³, nur Europa) mit den Grenzen gering/mäßig/hoch
+const POLLEN_TYPES = {
+  alder_pollen: { label: "Erle", limits: [10, 50, 100] },
+  birch_pollen: { label: "Birke", limits: [10, 50, 100] },
+  grass_pollen: { label: "Gräser", limits: [5, 20, 50] },
+  mugwort_pollen: { label: "Beifuß", limits: [5, 15, 50] },
+  olive_pollen: { label: "Olive", limits: [10, 50, 200] },
+  ragweed_pollen: { label: "Ambrosia", limits: [5, 10, 50] },
+};
+
+const POLLEN_LEVELS = ["keine", "gering", "mäßig", "hoch", "sehr hoch"];
+
+class AirQualityAPI {
+  constructor() {
+    this.baseUrl = API_ENDPOINTS.AIR_QUALITY.BASE;
+    this.timeout = API_ENDPOINTS.AIR_QUALITY.TIMEOUT;
+    this.name = "Open-Meteo Air Quality";
+  }
+
+  /**
+   * Holt Luftqualität und Pollen für Koordinaten
+   * @param {number} latitude - Breitengrad
+   * @param {number} longitude - Längengrad
+   * @param {object} options - { signal } zum Abbrechen
+   * @returns {Promise<object>} - { data, fromCache, duration } oder { error }
+   */
+  async fetchAirQuality(latitude, longitude, options = {}) {
+    try {
+      const coordCheck = validateCoordinates(latitude, longitude);
+      if (!coordCheck.valid) {
+        throw new Error(coordCheck.error);
+      }
+
+      const cacheKey = `${latitude}_${longitude}`;
+      const cached = await weatherCache.getForecast(cacheKey, "airquality");
+      if (cached) {
+        return { data: cached, fromCache: true, source: "air-quality" };
+      }
+
+      const params = new URLSearchParams({
+        latitude: Number(latitude).toFixed(4),
+        longitude: Number(longitude).toFixed(4),
+        ...API_ENDPOINTS.AIR_QUALITY.PARAMS,
+      });
+      const url = `${this.baseUrl}?${params.toString()}`;
+      const start = Date.now();
+      const response = await safeApiFetch(
+        url,
+        { signal: options.signal },
+        this.timeout
+      );
+      const payload = await response.json();
+      if (!payload || payload.error || !Array.isArray(payload.hourly?.time)) {
+        throw new Error(
+          payload?.reason || "Luftqualitäts-API lieferte keine Daten"
+        );
+      }
+
+      await weatherCache.setForecast(cacheKey, "airquality", payload);
+      return {
+        data: payload,
+        fromCache: false,
+        duration: Date.now() - start,
+        source: "air-quality",
+      };
+    } catch (error) {
+      if (isAbortError(error)) {
+        return { error: error.message, aborted: true, source: "air-quality" };
+      }
+      console.warn("AirQuality", error);
+      return {
+        error: error.message || String(error),
+        source: "air-quality",
+      };
+    }
+  }
+
+  /**
+   * EAQI-Band zu einem Indexwert
+   * @param {number} aqi
+   * @returns {object|null} - Eintrag aus AIR_QUALITY_BANDS
+   */
+  bandFor(aqi) {
+    if (typeof aqi !== "number" || Number.isNaN(aqi)) return null;
+    return AIR_QUALITY_BANDS.find((band) => aqi <= band.max);
+  }
+
+  /**
+   * Band eines einzelnen Schadstoffs nach den EAQI-Grenzen
+   * @param {string} pollutant - Schlüssel aus AIR_QUALITY_POLLUTANTS
+   * @param {number} value - µg/m³
+   * @returns {object|null}
+   */
+  pollutantBand(pollutant, value) {
+    const meta = AIR_QUALITY_POLLUTANTS[pollutant];
+    if (!meta || typeof value !== "number" || Number.isNaN(value)) return null;
+    const idx = meta.limits.findIndex((limit) => value <= limit);
+    return AIR_QUALITY_BANDS[idx === -1 ? AIR_QUALITY_BANDS.length - 1 : idx];
+  }
+
+  /**
+   * Belastungsstufe einer Pollenart
+   * @returns {object|null} - { index, label } mit index 0 (keine) bis 4
+   */
+  pollenLevel(type, value) {
+    const meta = POLLEN_TYPES[type];
+    if (!meta || typeof value !== "number" || Number.isNaN(value)) return null;
+    if (value < 1) return { index: 0, label: POLLEN_LEVELS[0] };
+    const idx = meta.limits.findIndex((limit) => value <= limit);
+    const index = idx === -1 ? POLLEN_LEVELS.length - 1 : idx + 1;
+    return { index, label: POLLEN_LEVELS[index] };
+  }
+
+  /**
+   * Bereitet die Rohdaten für die Anzeige auf: aktuelle Werte, Stundenreihen
+   * ab der aktuellen Stunde und Pollen mit Tageshöchstwert
+   * @param {object} data - Open-Meteo Rohdaten
+   * @param {number} hours - Anzahl der Stunden (default: 24)
+   * @returns {object|null}
+   */
+  format(data, hours = 24) {
+    const hourly = data?.hourly;
+    if (!hourly || !Array.isArray(hourly.time)) return null;
+
+    // Stundenwerte sind Ortszeit ohne Offset, daher Vergleich als Text
+    const currentHour = data.current?.time
+      ? `${String(data.current.time).slice(0, 13)}:00`
+      : null;
+    const startIdx = currentHour
+      ? Math.max(
+          hourly.time.findIndex((time) => time >= currentHour),
+          0
+        )
+      : 0;
+    const times = hourly.time.slice(startIdx, startIdx + hours);
+    const series = (key) =>
+      (hourly[key] || [])
+        .slice(startIdx, startIdx + hours)
+        .map((value) => (typeof value === "number" ? value : null));
+    const valueNow = (key) =>
+      typeof data.current?.[key] === "number"
+        ? data.current[key]
+        : series(key)[0] ?? null;
+    const peakOf = (values) => {
+      const finite = values.filter((value) => value !== null);
+      return finite.length ? Math.max(...finite) : null;
+    };
+
+    const aqiSeries = series("european_aqi");
+    const aqi = valueNow("european_aqi");
+    const peakAqi = peakOf(aqiSeries);
+
+    const pollutants = Object.entries(AIR_QUALITY_POLLUTANTS).map(
+      ([id, meta]) => {
+        const values = series(id);
+        const value = valueNow(id);
+        return {
+          id,
+          label: meta.label,
+          unit: "µg/m³",
+          value,
+          peak: peakOf(values),
+          band: this.pollutantBand(id, value),
+          hourly: values,
+        };
+      }
+    );
+
+    const pollen = Object.entries(POLLEN_TYPES)
+      .map(([id, meta]) => {
+        const values = series(id);
+        const peak = peakOf(values);
+        return {
+          id,
+          label: meta.label,
+          value: values[0],
+          peak,
+          level: this.pollenLevel(id, peak),
+        };
+      })
+      .filter((entry) => entry.peak !== null);
+
+    return {
+      time: data.current?.time || times[0] || null,
+      aqi,
+      band: this.bandFor(aqi),
+      peak:
+        peakAqi === null
+          ? null
+          : {
+              aqi: peakAqi,
+              time: times[aqiSeries.indexOf(peakAqi)],
+              band: this.bandFor(peakAqi),
+            },
+      hourly: times.map((time, idx) => ({ time, aqi: aqiSeries[idx] })),
+      pollutants,
+      pollen,
+      pollenAvailable: pollen.length > 0,
+    };
+  }
+}
+
+const airQualityAPI = new AirQualityAPI();
+
+if (typeof providerRegistry !== "undefined") {
+  providerRegistry.register({
+    id: "airquality",
+    name: "Open-Meteo Luftqualität",
+    tag: "Umwelt",
+    order: 90,
+    note: "EAQI & Pollen",
+    hosts: [ProviderRegistry.hostOf(API_ENDPOINTS.AIR_QUALITY.BASE)],
+    capabilities: ["airQuality", "pollen"],
+    resultKey: "airQuality",
+    fetch: ({ lat, lon, signal }) =>
+      airQualityAPI.fetchAirQuality(lat, lon, { signal }),
+    normalize: (result) => airQualityAPI.format(result.data),
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    AirQualityAPI,
+    AIR_QUALITY_BANDS,
+    AIR_QUALITY_POLLUTANTS,
+    POLLEN_TYPES,
+    POLLEN_LEVELS,
+  };
+}
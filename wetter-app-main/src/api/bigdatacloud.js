@@ -9,7 +9,8 @@ class BigDataCloudAPI {
     latitude,
     longitude,
     apiKey = null,
-    language = "de"
+    language = "de",
+    options = {}
   ) {
     try {
       const coordCheck = validateCoordinates(latitude, longitude);
@@ -28,7 +29,11 @@ class BigDataCloudAPI {
 
       const url = `${this.baseUrl}?${params.toString()}`;
       const start = Date.now();
-      const response = await safeApiFetch(url, {}, this.timeout);
+      const response = await safeApiFetch(
+        url,
+        { signal: options.signal },
+        this.timeout
+      );
       const payload = await response.json();
       if (
         !payload ||
@@ -45,6 +50,9 @@ class BigDataCloudAPI {
         source: "bigdatacloud",
       };
     } catch (error) {
+      if (isAbortError(error)) {
+        return { error: error.message, aborted: true, source: "bigdatacloud" };
+      }
       console.warn("BigDataCloud", error);
       return {
         error: error.message || String(error),
@@ -97,6 +105,21 @@ class BigDataCloudAPI {
 
 const bigDataCloudAPI = new BigDataCloudAPI();
 
+if (typeof providerRegistry !== "undefined") {
+  providerRegistry.register({
+    id: "bigdatacloud",
+    name: "BigDataCloud",
+    tag: "Geodaten",
+    order: 60,
+    note: "Reverse-Geocoding Details",
+    hosts: [ProviderRegistry.hostOf(API_ENDPOINTS.BIGDATACLOUD.BASE)],
+    capabilities: ["reverse-geocoding"],
+    resultKey: "locationDetails",
+    fetch: ({ lat, lon, signal }) =>
+      bigDataCloudAPI.fetchLocationDetails(lat, lon, null, "de", { signal }),
+  });
+}
+
 if (typeof module !== "undefined" && module.exports) {
   module.exports = BigDataCloudAPI;
 }
@@ -12,9 +12,10 @@ class BrightSkyAPI {
    * @param {number} latitude - Breitengrad
    * @param {number} longitude - Längengrad
    * @param {string} date - Datum (YYYY-MM-DD)
+   * @param {object} options - { signal } zum Abbrechen
    * @returns {Promise<object>} - Wetterdaten
    */
-  async fetchWeather(latitude, longitude, date = null) {
+  async fetchWeather(latitude, longitude, date = null, options = {}) {
     try {
       // Validiere Koordinaten
       const coordCheck = validateCoordinates(latitude, longitude);
@@ -24,7 +25,7 @@ class BrightSkyAPI {
 
       // Prüfe Cache
       const cacheKey = `${latitude}_${longitude}_${date || 'today'}`;
-      const cached = weatherCache.getForecast(cacheKey, 'brightsky');
+      const cached = await weatherCache.getForecast(cacheKey, 'brightsky');
       if (cached) {
         console.log('✅ BrightSky Cache Hit');
         return { data: cached, fromCache: true };
@@ -44,40 +45,15 @@ class BrightSkyAPI {
 
       const url = `${this.baseUrl}?${params.toString()}`;
       const startTime = Date.now();
-
-      // Fetch mit Timeout + Retry für transient errors
-      const maxAttempts = 3;
-      let attempt = 0;
-      let response = null;
-      let data = null;
-      while (attempt < maxAttempts) {
-        try {
-          response = await safeApiFetch(url, {}, this.timeout);
-          data = await response.json();
-          const validation = validateApiResponse(data, 'brightsky');
-          if (!validation.valid) {
-            throw new Error(validation.error);
-          }
-          break;
-        } catch (err) {
-          attempt += 1;
-          const isLast = attempt >= maxAttempts;
-          const msg = (err && err.message) ? err.message : '';
-          const isClientError = /HTTP Fehler 4\d\d|404|400|429/.test(msg);
-          if (isClientError || isLast) {
-            throw err;
-          }
-          const waitMs = 200 * Math.pow(2, attempt - 1);
-          await new Promise(r => setTimeout(r, waitMs));
-          console.warn(`BrightSky Versuch ${attempt} fehlgeschlagen, erneut in ${waitMs}ms...`);
-        }
-      }
+      const data = await this._fetchJson(url, options, payload =>
+        validateApiResponse(payload, 'brightsky')
+      );
 
       const duration = Date.now() - startTime;
       console.log(`✅ BrightSky erfolgreich (${duration}ms)`);
 
       // Speichere im Cache
-      weatherCache.setForecast(cacheKey, 'brightsky', data);
+      await weatherCache.setForecast(cacheKey, 'brightsky', data);
 
       return {
         data,
@@ -86,6 +62,9 @@ class BrightSkyAPI {
         source: 'brightsky'
       };
     } catch (error) {
+      if (isAbortError(error)) {
+        return { error: error.message, aborted: true, source: 'brightsky' };
+      }
       console.error(`❌ BrightSky Fehler: ${error.message}`);
       return {
         error: error.message,
@@ -118,42 +97,453 @@ class BrightSkyAPI {
   }
 
   /**
-   * Holt mehrtägige Prognose
+   * Bildet Rohdaten auf das kanonische Schema ab (siehe utils/weatherSchema.js).
+   * DWD-Einheiten (Default) sind bereits °C, mm, km/h und hPa.
+   * @param {object} data - BrightSky Rohdaten
+   * @returns {object|null} - WeatherDataset (noch unvalidiert)
+   */
+  toCanonical(data) {
+    if (!data || !Array.isArray(data.weather)) return null;
+
+    const hourly = data.weather.map(entry => ({
+      time: entry.timestamp,
+      ts: toCanonicalTimestamp(entry.timestamp),
+      temperature: entry.temperature,
+      dewPoint: entry.dew_point,
+      humidity: entry.relative_humidity,
+      cloudCover: entry.cloud_cover,
+      precipitation: entry.precipitation,
+      precipitationProbability: entry.precipitation_probability,
+      windSpeed: entry.wind_speed ?? entry.windspeed,
+      windGust: entry.wind_gust_speed,
+      windDirection: entry.wind_direction,
+      pressure: entry.pressure_msl,
+      weatherCode: this._iconToWmo(entry.icon),
+      isDay: /-night$/.test(entry.icon || '') ? 0 : 1
+    }));
+
+    return {
+      source: 'brightsky',
+      current: currentFromHourly(hourly),
+      hourly,
+      daily: [],
+      historical: []
+    };
+  }
+
+  /**
+   * Map Icon-Code zu WMO-Code (für das kanonische Schema)
+   * @private
+   */
+  _iconToWmo(iconCode) {
+    const wmoMap = {
+      'clear-day': 0,
+      'clear-night': 0,
+      'partly-cloudy-day': 2,
+      'partly-cloudy-night': 2,
+      'cloudy': 3,
+      'wind': 3,
+      'windy': 3,
+      'fog': 45,
+      'foggy': 45,
+      'rain': 61,
+      'rainy': 61,
+      'rainy-day': 61,
+      'rainy-night': 61,
+      'sleet': 66,
+      'snowy-rainy': 66,
+      'snow': 71,
+      'snowy': 71,
+      'hail': 96,
+      'thunderstorm': 95,
+      'thunderstormy': 95,
+      'thunderstormy-rainy': 95
+    };
+
+    return wmoMap[iconCode] ?? null;
+  }
+
+  /**
+   * Holt Stundenwerte für einen Datumsbereich mit einer Anfrage
+   * @param {number} latitude - Breitengrad
+   * @param {number} longitude - Längengrad
+   * @param {string} date - Erster Tag (YYYY-MM-DD)
+   * @param {string} lastDate - Letzter Tag (YYYY-MM-DD, einschließlich)
+   * @param {object} options - { signal } zum Abbrechen
+   * @returns {Promise<object>} - Wetterdaten wie fetchWeather
+   */
+  async fetchRange(latitude, longitude, date, lastDate, options = {}) {
+    try {
+      const coordCheck = validateCoordinates(latitude, longitude);
+      if (!coordCheck.valid) {
+        throw new Error(coordCheck.error);
+      }
+      if (!this._isDate(date) || !this._isDate(lastDate) || lastDate < date) {
+        throw new Error(`Ungültiger Datumsbereich: ${date} bis ${lastDate}`);
+      }
+
+      // Ein Cache-Eintrag pro Bereich
+      const cacheKey = `${latitude}_${longitude}_${date}_${lastDate}`;
+      const cached = await weatherCache.getForecast(cacheKey, 'brightsky');
+      if (cached) {
+        console.log('✅ BrightSky Cache Hit (Bereich)');
+        return { data: cached, fromCache: true };
+      }
+
+      // last_date ist ein Zeitpunkt: bis Mitternacht des Folgetags anfragen
+      // und den überzähligen 00:00-Wert danach verwerfen
+      const params = new URLSearchParams({
+        lat: latitude.toFixed(4),
+        lon: longitude.toFixed(4),
+        date,
+        last_date: this._addDays(lastDate, 1)
+      });
+
+      const url = `${this.baseUrl}?${params.toString()}`;
+      const startTime = Date.now();
+      const payload = await this._fetchJson(url, options, json =>
+        validateApiResponse(json, 'brightsky')
+      );
+      const data = {
+        ...payload,
+        weather: payload.weather.filter(
+          entry => String(entry.timestamp).slice(0, 10) <= lastDate
+        )
+      };
+
+      const duration = Date.now() - startTime;
+      console.log(`✅ BrightSky ${date} bis ${lastDate} (${duration}ms)`);
+
+      await weatherCache.setForecast(cacheKey, 'brightsky', data);
+
+      return {
+        data,
+        fromCache: false,
+        duration,
+        source: 'brightsky'
+      };
+    } catch (error) {
+      if (isAbortError(error)) {
+        return { error: error.message, aborted: true, source: 'brightsky' };
+      }
+      console.error(`❌ BrightSky Fehler: ${error.message}`);
+      return {
+        error: error.message,
+        source: 'brightsky'
+      };
+    }
+  }
+
+  /**
+   * Holt mehrtägige Prognose (eine Anfrage für alle Tage)
    * @param {number} latitude
    * @param {number} longitude
-   * @param {number} days - Anzahl der Tage
-   * @returns {Promise<array>}
+   * @param {number} days - Anzahl der Tage (max. MAX_RANGE_DAYS)
+   * @param {object} options - { signal } zum Abbrechen
+   * @returns {Promise<array>} - [{ date, data: { weather, sources } }]
    */
-  async fetchMultiDay(latitude, longitude, days = 5) {
-    const allWeather = [];
-    const today = new Date();
+  async fetchMultiDay(latitude, longitude, days = 5, options = {}) {
+    const span = Math.min(
+      Math.max(1, Math.floor(days) || 1),
+      API_ENDPOINTS.BRIGHTSKY.MAX_RANGE_DAYS
+    );
+    const date = new Date().toISOString().split('T')[0];
+    const lastDate = this._addDays(date, span - 1);
 
-    try {
-      for (let i = 0; i < days; i++) {
-        const date = new Date(today);
-        date.setDate(date.getDate() + i);
-        const dateStr = date.toISOString().split('T')[0];
-
-        const result = await this.fetchWeather(latitude, longitude, dateStr);
-        
-        if (result.error) {
-          console.warn(`Fehler für ${dateStr}:`, result.error);
-          continue;
-        }
+    const result = await this.fetchRange(
+      latitude,
+      longitude,
+      date,
+      lastDate,
+      options
+    );
+    if (result.error) {
+      console.warn(`Fehler für ${date} bis ${lastDate}:`, result.error);
+      return [];
+    }
 
-        allWeather.push({
-          date: dateStr,
-          data: result.data
-        });
+    return this.splitByDay(result.data);
+  }
+
+  /**
+   * Teilt eine Bereichsantwort in Tage auf (UTC-Datum des Zeitstempels)
+   * @param {object} data - BrightSky Rohdaten
+   * @returns {array} - [{ date, data: { weather, sources } }]
+   */
+  splitByDay(data) {
+    if (!data || !Array.isArray(data.weather)) return [];
+
+    const days = new Map();
+    data.weather.forEach(entry => {
+      const date = String(entry.timestamp).slice(0, 10);
+      if (!days.has(date)) days.set(date, []);
+      days.get(date).push(entry);
+    });
+
+    return Array.from(days, ([date, weather]) => ({
+      date,
+      data: { weather, sources: data.sources || [] }
+    }));
+  }
+
+  /**
+   * Aktuelle DWD-Beobachtung der nächstgelegenen Station
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {object} options - { signal } zum Abbrechen
+   * @returns {Promise<object>} - { data: { weather, sources }, duration, source } oder { error }
+   */
+  async fetchCurrentWeather(latitude, longitude, options = {}) {
+    return this._fetchEndpoint(
+      API_ENDPOINTS.BRIGHTSKY.CURRENT,
+      latitude,
+      longitude,
+      {},
+      options,
+      data =>
+        data && data.weather && typeof data.weather === 'object'
+          ? { valid: true, error: null }
+          : { valid: false, error: 'Keine aktuelle Beobachtung von BrightSky' }
+    );
+  }
+
+  /**
+   * Formatiert die aktuelle Beobachtung inkl. Station
+   * @param {object} data - Antwort von /current_weather
+   * @returns {object|null}
+   */
+  formatCurrentWeather(data) {
+    const entry = data?.weather;
+    if (!entry) return null;
+
+    const station =
+      (data.sources || []).find(s => s.id === entry.source_id) ||
+      (data.sources || [])[0] ||
+      null;
+    return {
+      time: entry.timestamp,
+      temperature: entry.temperature,
+      dewPoint: entry.dew_point,
+      relativeHumidity: entry.relative_humidity,
+      pressure: entry.pressure_msl,
+      cloudCover: entry.cloud_cover,
+      visibility: entry.visibility,
+      precipitation: entry.precipitation_60,
+      windSpeed: entry.wind_speed_10,
+      windGust: entry.wind_gust_speed_10,
+      windDirection: entry.wind_direction_10,
+      weatherCode: entry.icon,
+      emoji: this._getWeatherEmoji(entry.icon),
+      station: station
+        ? {
+            name: station.station_name,
+            distance: station.distance,
+            dwdStationId: station.dwd_station_id || null
+          }
+        : null
+    };
+  }
+
+  /**
+   * Niederschlagsradar (DWD RADOLAN) rund um den Ort, inkl. Nowcast
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {object} options - { signal, distance } (distance in Metern)
+   * @returns {Promise<object>} - { data: { radar, bbox, latlon_position }, ... } oder { error }
+   */
+  async fetchRadar(latitude, longitude, options = {}) {
+    return this._fetchEndpoint(
+      API_ENDPOINTS.BRIGHTSKY.RADAR,
+      latitude,
+      longitude,
+      {
+        distance: String(
+          options.distance || API_ENDPOINTS.BRIGHTSKY.RADAR_DISTANCE
+        ),
+        // Unkomprimierte Werte, damit kein zlib im Browser nötig ist
+        format: 'plain'
+      },
+      options,
+      data =>
+        data && Array.isArray(data.radar) && data.radar.length
+          ? { valid: true, error: null }
+          : { valid: false, error: 'Keine Radardaten von BrightSky' }
+    );
+  }
+
+  /**
+   * Niederschlag am angefragten Ort je Radarbild
+   * @param {object} data - Antwort von /radar (format=plain)
+   * @returns {array} - [{ time, precipitation (mm/5 min), rate (mm/h) }]
+   */
+  radarSeriesAt(data) {
+    const position = data?.latlon_position;
+    if (!position || !Array.isArray(data.radar)) return [];
+
+    const row = Math.round(position.y);
+    const col = Math.round(position.x);
+    return data.radar
+      .map(frame => {
+        const raw = frame.precipitation_5?.[row]?.[col];
+        if (!Number.isFinite(raw)) return null;
+        // RADOLAN-Werte in 0,01 mm pro 5 Minuten
+        const precipitation = raw / 100;
+        return {
+          time: frame.timestamp,
+          precipitation,
+          rate: Math.round(precipitation * 12 * 100) / 100
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Amtliche DWD-Warnungen (CAP) für den Ort
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {object} options - { signal } zum Abbrechen
+   * @returns {Promise<object>} - { data: { alerts, location }, ... } oder { error }
+   */
+  async fetchAlerts(latitude, longitude, options = {}) {
+    return this._fetchEndpoint(
+      API_ENDPOINTS.BRIGHTSKY.ALERTS,
+      latitude,
+      longitude,
+      {},
+      options,
+      data =>
+        data && Array.isArray(data.alerts)
+          ? { valid: true, error: null }
+          : { valid: false, error: 'Ungültige BrightSky Warnungs-Antwort' }
+    );
+  }
+
+  /**
+   * Bringt DWD-Warnungen in ein einheitliches Format (deutsche Texte bevorzugt)
+   * @param {object} data - Antwort von /alerts
+   * @returns {array} - Warnungen mit CAP-Feldern und Warngebiet
+   */
+  formatAlerts(data) {
+    if (!data || !Array.isArray(data.alerts)) return [];
+
+    const location = data.location || {};
+    return data.alerts.map(alert => ({
+      id: `dwd-${alert.alert_id || alert.id}`,
+      origin: 'official',
+      source: 'DWD',
+      status: alert.status || null,
+      category: alert.category || null,
+      event: alert.event_de || alert.event_en || null,
+      eventCode: alert.event_code ?? null,
+      title: alert.headline_de || alert.headline_en || alert.event_de || 'Wetterwarnung',
+      description: alert.description_de || alert.description_en || '',
+      instruction: alert.instruction_de || alert.instruction_en || '',
+      // CAP-Werte: minor | moderate | severe | extreme
+      severity: alert.severity || null,
+      urgency: alert.urgency || null,
+      certainty: alert.certainty || null,
+      responseType: alert.response_type || null,
+      effective: alert.effective || null,
+      onset: alert.onset || alert.effective || null,
+      expires: alert.expires || null,
+      region: location.name || location.district || null,
+      warnCellId: location.warn_cell_id ?? null
+    }));
+  }
+
+  /**
+   * Gemeinsamer Ablauf für die Endpunkte ohne Cache
+   * @private
+   */
+  async _fetchEndpoint(baseUrl, latitude, longitude, extra, options, validate) {
+    try {
+      const coordCheck = validateCoordinates(latitude, longitude);
+      if (!coordCheck.valid) {
+        throw new Error(coordCheck.error);
       }
 
-      return allWeather;
+      const params = new URLSearchParams({
+        lat: latitude.toFixed(4),
+        lon: longitude.toFixed(4),
+        ...extra
+      });
+      const startTime = Date.now();
+      const data = await this._fetchJson(
+        `${baseUrl}?${params.toString()}`,
+        options,
+        validate
+      );
+
+      return {
+        data,
+        fromCache: false,
+        duration: Date.now() - startTime,
+        source: 'brightsky'
+      };
     } catch (error) {
-      console.error('Fehler bei Multi-Day Fetch:', error);
-      return allWeather;
+      if (isAbortError(error)) {
+        return { error: error.message, aborted: true, source: 'brightsky' };
+      }
+      console.error(`❌ BrightSky Fehler (${baseUrl}): ${error.message}`);
+      return {
+        error: error.message,
+        source: 'brightsky'
+      };
+    }
+  }
+
+  /**
+   * Fetch mit Timeout + Retry für transient errors
+   * @param {string} url
+   * @param {object} options - { signal }
+   * @param {function} validate - data => { valid, error }
+   * @private
+   */
+  async _fetchJson(url, options, validate) {
+    const maxAttempts = 3;
+    let attempt = 0;
+    while (attempt < maxAttempts) {
+      try {
+        const response = await safeApiFetch(url, { signal: options.signal }, this.timeout);
+        const data = await response.json();
+        const validation = validate(data);
+        if (!validation.valid) {
+          throw new Error(validation.error);
+        }
+        return data;
+      } catch (err) {
+        if (isAbortError(err)) throw err;
+        attempt += 1;
+        const isLast = attempt >= maxAttempts;
+        const msg = (err && err.message) ? err.message : '';
+        const isClientError = /HTTP Fehler 4\d\d|404|400|429/.test(msg);
+        if (isClientError || isLast) {
+          throw err;
+        }
+        const waitMs = 200 * Math.pow(2, attempt - 1);
+        await waitWithSignal(waitMs, options.signal);
+        console.warn(`BrightSky Versuch ${attempt} fehlgeschlagen, erneut in ${waitMs}ms...`);
+      }
     }
   }
 
+  /**
+   * @private
+   */
+  _isDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+  }
+
+  /**
+   * Verschiebt ein YYYY-MM-DD-Datum um n Tage (UTC)
+   * @private
+   */
+  _addDays(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  }
+
   /**
    * Map Icon-Code zu Emoji und Beschreibung
    * @private
@@ -209,4 +599,24 @@ class BrightSkyAPI {
 /**
  * Singleton-Instanz
  */
-const brightSkyAPI = new BrightSkyAPI();
\ No newline at end of file
+const brightSkyAPI = new BrightSkyAPI();
+
+if (typeof providerRegistry !== 'undefined') {
+  providerRegistry.register({
+    id: 'brightsky',
+    name: 'BrightSky',
+    tag: 'Hauptquelle',
+    order: 20,
+    primary: true,
+    hosts: [ProviderRegistry.hostOf(API_ENDPOINTS.BRIGHTSKY.BASE)],
+    capabilities: ['current', 'hourly'],
+    resultKey: 'brightSky',
+    fetch: ({ lat, lon, signal }) =>
+      brightSkyAPI.fetchWeather(lat, lon, null, { signal }),
+    toCanonical: (result) => brightSkyAPI.toCanonical(result.data)
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BrightSkyAPI;
+}
@@ -0,0 +1,94 @@
+/**
+ * Open-Meteo Geocoding API Wrapper
+ * Liefert Ortsvorschläge für die Autovervollständigung im Suchfeld
+ * Docs: https://open-meteo.com/en/docs/geocoding-api
+ */
+
+class GeocodingAPI {
+  constructor() {
+    this.baseUrl = API_ENDPOINTS.GEOCODING.BASE;
+    this.timeout = API_ENDPOINTS.GEOCODING.TIMEOUT;
+    this.params = API_ENDPOINTS.GEOCODING.PARAMS;
+    this.name = "Open-Meteo Geocoding";
+  }
+
+  /**
+   * Sucht Orte, deren Name (oder Postleitzahl) mit der Eingabe beginnt
+   * @param {string} query - Suchbegriff (min. 2 Zeichen)
+   * @param {object} options - { signal, count, language, countryCode }
+   * @returns {Promise<object>} - { suggestions, duration, source } oder { error, aborted? }
+   */
+  async search(query, options = {}) {
+    const term = String(query || "").trim();
+    if (term.length < 2) {
+      return { suggestions: [], duration: 0, source: "geocoding" };
+    }
+
+    try {
+      const params = new URLSearchParams({
+        name: term,
+        count: String(options.count || this.params.count),
+        language: options.language || this.params.language,
+        format: this.params.format,
+      });
+      // ISO-3166-1 alpha-2, z.B. "DE" für Postleitzahlen
+      if (options.countryCode) params.set("countryCode", options.countryCode);
+      const url = `${this.baseUrl}?${params.toString()}`;
+      const start = Date.now();
+      const response = await safeApiFetch(
+        url,
+        { signal: options.signal },
+        this.timeout
+      );
+      const payload = await response.json();
+      if (!payload || typeof payload !== "object") {
+        throw new Error("Ungültige Geocoding Antwort");
+      }
+
+      return {
+        // Ohne Treffer fehlt "results" komplett
+        suggestions: (payload.results || [])
+          .map((entry) => this._normalize(entry))
+          .filter(Boolean),
+        duration: Date.now() - start,
+        source: "geocoding",
+      };
+    } catch (error) {
+      if (isAbortError(error)) {
+        return { error: error.message, aborted: true, source: "geocoding" };
+      }
+      console.warn("Geocoding", error);
+      return { error: error.message || String(error), source: "geocoding" };
+    }
+  }
+
+  /**
+   * Bringt einen Treffer in das Vorschlagsformat der Suche
+   * @private
+   */
+  _normalize(entry) {
+    const lat = Number(entry?.latitude);
+    const lon = Number(entry?.longitude);
+    if (!entry?.name || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+      return null;
+    }
+    return {
+      id: entry.id ?? null,
+      name: entry.name,
+      state: entry.admin1 || null,
+      country: entry.country || null,
+      countryCode: entry.country_code
+        ? String(entry.country_code).toUpperCase()
+        : null,
+      population: Number.isFinite(entry.population) ? entry.population : null,
+      lat,
+      lon,
+    };
+  }
+}
+
+const geocodingAPI = new GeocodingAPI();
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GeocodingAPI;
+}
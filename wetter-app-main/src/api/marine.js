@@ -0,0 +1,264 @@
+/* Open-Meteo Marine API Integration (Seegang, Dünung, Wassertemperatur) */
+
+// Seegang nach Douglas-Skala: obere Grenze der Wellenhöhe in Metern
+const SEA_STATES = [
+  { code: 0, max: 0, label: "Glatte See" },
+  { code: 1, max: 0.1, label: "Ruhige See" },
+  { code: 2, max: 0.5, label: "Schwach bewegte See" },
+  { code: 3, max: 1.25, label: "Leicht bewegte See" },
+  { code: 4, max: 2.5, label: "Mäßig bewegte See" },
+  { code: 5, max: 4, label: "Grobe See" },
+  { code: 6, max: 6, label: "Sehr grobe See" },
+  { code: 7, max: 9, label: "Hohe See" },
+  { code: 8, max: 14, label: "Sehr hohe See" },
+  { code: 9, max: Infinity, label: "Außergewöhnlich schwere See" },
+];
+
+class MarineAPI {
+  constructor() {
+    this.baseUrl = API_ENDPOINTS.MARINE.BASE;
+    this.timeout = API_ENDPOINTS.MARINE.TIMEOUT;
+    this.name = "Open-Meteo Marine";
+  }
+
+  /**
+   * Holt Seegang-Daten für Koordinaten. Orte ohne Meer in der Nähe liefern
+   * keinen Fehler, sondern { inland: true }.
+   * @param {number} latitude - Breitengrad
+   * @param {number} longitude - Längengrad
+   * @param {object} options - { signal } zum Abbrechen
+   * @returns {Promise<object>} - { data, inland, fromCache, duration } oder { error }
+   */
+  async fetchMarine(latitude, longitude, options = {}) {
+    try {
+      const coordCheck = validateCoordinates(latitude, longitude);
+      if (!coordCheck.valid) {
+        throw new Error(coordCheck.error);
+      }
+
+      const cacheKey = `${latitude}_${longitude}`;
+      const cached = await weatherCache.getForecast(cacheKey, "marine");
+      if (cached) {
+        return this._result(cached, { fromCache: true });
+      }
+
+      const params = new URLSearchParams({
+        latitude: Number(latitude).toFixed(4),
+        longitude: Number(longitude).toFixed(4),
+        ...API_ENDPOINTS.MARINE.PARAMS,
+      });
+      const url = `${this.baseUrl}?${params.toString()}`;
+      const startTime = Date.now();
+
+      // Fetch mit Timeout + einfachem Retry für transiente Fehler
+      const maxAttempts = 3;
+      let attempt = 0;
+      let data = null;
+      while (attempt < maxAttempts) {
+        try {
+          const response = await safeApiFetch(
+            url,
+            { signal: options.signal },
+            this.timeout
+          );
+          data = await response.json();
+          if (!data || !data.hourly) {
+            throw new Error("Marine-API lieferte keine Daten");
+          }
+          break;
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          const msg = err && err.message ? err.message : "";
+          // Open-Meteo meldet Orte ohne Meeresgitter mit HTTP 400
+          if (/No data is available/i.test(msg)) {
+            data = { hourly: { time: [] } };
+            break;
+          }
+          attempt += 1;
+          const isClientError = /HTTP Fehler 4\d\d|404|400|429/.test(msg);
+          if (isClientError || attempt >= maxAttempts) {
+            throw err;
+          }
+          const waitMs = 200 * Math.pow(2, attempt - 1);
+          await waitWithSignal(waitMs, options.signal);
+          console.warn(
+            `Marine Versuch ${attempt} fehlgeschlagen, erneut in ${waitMs}ms...`
+          );
+        }
+      }
+
+      await weatherCache.setForecast(cacheKey, "marine", data);
+      return this._result(data, { duration: Date.now() - startTime });
+    } catch (error) {
+      if (isAbortError(error)) {
+        return { error: error.message, aborted: true, source: "marine" };
+      }
+      console.warn(`Marine Fehler: ${error.message}`);
+      return {
+        error: error.message,
+        source: "marine",
+      };
+    }
+  }
+
+  /**
+   * Ergebnis für die Provider-Registry; Binnenorte erscheinen im
+   * API-Status als übersprungen statt als Fehler
+   * @private
+   */
+  _result(data, extra = {}) {
+    const inland = this.isInland(data);
+    return {
+      data,
+      inland,
+      fromCache: false,
+      duration: 0,
+      source: "marine",
+      ...extra,
+      ...(inland
+        ? { state: "skipped", statusMessage: "Kein Meer in der Nähe" }
+        : {}),
+    };
+  }
+
+  /**
+   * Keine Wellen- und Wassertemperaturwerte: Ort liegt im Binnenland
+   * @param {object} data - Open-Meteo Marine Rohdaten
+   * @returns {boolean}
+   */
+  isInland(data) {
+    const hourly = data?.hourly || {};
+    const hasValue = (key) =>
+      (hourly[key] || []).some((value) => typeof value === "number") ||
+      typeof data?.current?.[key] === "number";
+    return !hasValue("wave_height") && !hasValue("sea_surface_temperature");
+  }
+
+  /**
+   * Seegang zur Wellenhöhe
+   * @param {number} height - Meter
+   * @returns {object|null} - Eintrag aus SEA_STATES
+   */
+  seaStateFor(height) {
+    if (typeof height !== "number" || Number.isNaN(height)) return null;
+    return SEA_STATES.find((state) => height <= state.max);
+  }
+
+  /**
+   * Himmelsrichtung, aus der Wellen bzw. Dünung kommen
+   * @param {number} deg
+   * @returns {string|null}
+   */
+  compass(deg) {
+    if (typeof deg !== "number" || Number.isNaN(deg)) return null;
+    const dirs = ["N", "NO", "O", "SO", "S", "SW", "W", "NW"];
+    return dirs[Math.round(deg / 45) % dirs.length];
+  }
+
+  /**
+   * Formatiert Stunden-Daten ab der aktuellen Stunde für die Anzeige
+   * @param {object} data - Open-Meteo Marine Rohdaten
+   * @param {number} hours - Anzahl der Stunden (default: 24)
+   * @returns {array}
+   */
+  formatHourlyData(data, hours = 24) {
+    const hourly = data?.hourly;
+    if (!hourly || !Array.isArray(hourly.time)) return [];
+
+    // Stundenwerte sind Ortszeit ohne Offset, daher Vergleich als Text
+    const currentHour = data.current?.time
+      ? `${String(data.current.time).slice(0, 13)}:00`
+      : null;
+    const startIdx = currentHour
+      ? Math.max(
+          hourly.time.findIndex((time) => time >= currentHour),
+          0
+        )
+      : 0;
+    const pick = (key, idx) =>
+      typeof hourly[key]?.[idx] === "number" ? hourly[key][idx] : null;
+
+    return hourly.time.slice(startIdx, startIdx + hours).map((time, i) => {
+      const idx = startIdx + i;
+      return {
+        time,
+        waveHeight: pick("wave_height", idx),
+        waveDirection: pick("wave_direction", idx),
+        wavePeriod: pick("wave_period", idx),
+        windWaveHeight: pick("wind_wave_height", idx),
+        swellHeight: pick("swell_wave_height", idx),
+        swellDirection: pick("swell_wave_direction", idx),
+        swellPeriod: pick("swell_wave_period", idx),
+        seaTemperature: pick("sea_surface_temperature", idx),
+      };
+    });
+  }
+
+  /**
+   * Aktuelle Bedingungen, Stundenverlauf und Höchstwert der nächsten 24 h
+   * @param {object} data - Open-Meteo Marine Rohdaten
+   * @returns {object|null} - null im Binnenland
+   */
+  format(data) {
+    if (!data || this.isInland(data)) return null;
+    const hourly = this.formatHourlyData(data, 24);
+    const first = hourly[0] || {};
+    const current = data.current || {};
+    const now = (key, field) =>
+      typeof current[key] === "number" ? current[key] : first[field] ?? null;
+
+    const waveHeight = now("wave_height", "waveHeight");
+    const heights = hourly
+      .map((hour) => hour.waveHeight)
+      .filter((value) => value !== null);
+    const peakHeight = heights.length ? Math.max(...heights) : null;
+    const waveDirection = now("wave_direction", "waveDirection");
+    const swellDirection = now("swell_wave_direction", "swellDirection");
+
+    return {
+      time: current.time || first.time || null,
+      waveHeight,
+      waveDirection,
+      waveCompass: this.compass(waveDirection),
+      wavePeriod: now("wave_period", "wavePeriod"),
+      windWaveHeight: now("wind_wave_height", "windWaveHeight"),
+      swellHeight: now("swell_wave_height", "swellHeight"),
+      swellDirection,
+      swellCompass: this.compass(swellDirection),
+      swellPeriod: now("swell_wave_period", "swellPeriod"),
+      seaTemperature: now("sea_surface_temperature", "seaTemperature"),
+      seaState: this.seaStateFor(waveHeight),
+      peak:
+        peakHeight === null
+          ? null
+          : {
+              waveHeight: peakHeight,
+              time: hourly.find((hour) => hour.waveHeight === peakHeight).time,
+              seaState: this.seaStateFor(peakHeight),
+            },
+      hourly,
+    };
+  }
+}
+
+const marineAPI = new MarineAPI();
+
+if (typeof providerRegistry !== "undefined") {
+  providerRegistry.register({
+    id: "marine",
+    name: "Open-Meteo Marine",
+    tag: "Küste",
+    order: 95,
+    note: "Seegang & Wassertemperatur",
+    hosts: [ProviderRegistry.hostOf(API_ENDPOINTS.MARINE.BASE)],
+    capabilities: ["marine"],
+    resultKey: "marine",
+    fetch: ({ lat, lon, signal }) =>
+      marineAPI.fetchMarine(lat, lon, { signal }),
+    normalize: (result) => marineAPI.format(result.data),
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { MarineAPI, SEA_STATES };
+}
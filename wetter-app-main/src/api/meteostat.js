@@ -251,6 +251,35 @@ class MeteostatAPI {
     return { daily };
   }
 
+  /**
+   * Maps formatted history onto the canonical schema (see utils/weatherSchema.js).
+   * Wind is converted back from m/s to km/h.
+   * @param {object} data - Result of fetchHistorical ({ daily })
+   * @returns {object|null} - WeatherDataset (not yet validated)
+   */
+  toCanonical(data) {
+    if (!data || !Array.isArray(data.daily)) return null;
+
+    return {
+      source: "meteostat",
+      current: null,
+      hourly: [],
+      daily: [],
+      historical: data.daily.map((day) => ({
+        date: day.date,
+        tempMax: day.temp_max,
+        tempMin: day.temp_min,
+        tempAvg: day.temp_avg,
+        precipitationSum: day.precipitation,
+        windSpeedMax:
+          typeof day.wind_speed === "number" ? day.wind_speed * 3.6 : null,
+        windDirection: day.wind_direction,
+        pressure: day.pressure,
+        weatherCode: day.weather_code,
+      })),
+    };
+  }
+
   /**
    * Maps precipitation data to weather codes
    * Since Meteostat provides historical data, we infer weather codes from precipitation
@@ -301,6 +330,22 @@ class MeteostatAPI {
   }
 }
 
+// Nur für historische Trends – kein fetch im Vorhersage-Lauf
+if (typeof providerRegistry !== "undefined") {
+  providerRegistry.register({
+    id: "meteostat",
+    name: "Meteostat",
+    tag: "Historisch",
+    order: 50,
+    requiresKey: true,
+    keyInputId: "meteostat-key",
+    note: "Für historische Trenddaten",
+    hosts: ["api.meteostat.net"],
+    capabilities: ["historical"],
+    toCanonical: (result) => MeteostatAPI.prototype.toCanonical(result),
+  });
+}
+
 // Export the class
 if (typeof module !== "undefined" && module.exports) {
   module.exports = MeteostatAPI;
@@ -15,7 +15,7 @@ class MoonPhaseAPI {
       try {
         const response = await safeApiFetch(
           request.url,
-          this._buildRequestInit(apiKey),
+          { ...this._buildRequestInit(apiKey), signal: context.signal },
           this.timeout
         );
         const payload = await response.json();
@@ -29,6 +29,10 @@ class MoonPhaseAPI {
           source: "moonphase",
         };
       } catch (error) {
+        // Abgebrochene Suche: keine weiteren Endpunkte, kein lokaler Fallback
+        if (isAbortError(error)) {
+          return { error: error.message, aborted: true, source: "moonphase" };
+        }
         lastError = error;
       }
     }
@@ -293,6 +297,38 @@ class MoonPhaseAPI {
 
 const moonPhaseAPI = new MoonPhaseAPI();
 
+if (typeof providerRegistry !== "undefined") {
+  providerRegistry.register({
+    id: "moonphase",
+    name: "Moon Phase",
+    tag: "Astronomie",
+    order: 80,
+    note: "Licht & Phase",
+    hosts: [ProviderRegistry.hostOf(API_ENDPOINTS.MOONPHASE.BASE)],
+    capabilities: ["astronomy"],
+    resultKey: "moonPhase",
+    // Ortsname aus BigDataCloud verbessert die Phasen-Abfrage
+    dependsOn: ["bigdatacloud"],
+    fetch: ({ lat, lon, results, signal }) => {
+      const details = results.bigdatacloud?.error
+        ? null
+        : results.bigdatacloud?.data || null;
+      return moonPhaseAPI.fetchPhase(new Date(), null, {
+        city:
+          details?.city ||
+          details?.locality ||
+          details?.region ||
+          window.appState?.currentCity ||
+          null,
+        locationDetails: details,
+        latitude: lat,
+        longitude: lon,
+        signal,
+      });
+    },
+  });
+}
+
 if (typeof module !== "undefined" && module.exports) {
   module.exports = MoonPhaseAPI;
 }
@@ -37,9 +37,16 @@ class OpenWeatherMapAPI {
    * @param {number} longitude - Longitude coordinate
    * @param {string} apiKey - OpenWeatherMap API key
    * @param {string} units - Temperature units ('metric', 'imperial', 'standard')
+   * @param {object} options - { signal } to abort in-flight requests
    * @returns {Promise<object>} - { current, hourly, daily, source: 'openweathermap' } or error object
    */
-  async fetchWeather(latitude, longitude, apiKey, units = "metric") {
+  async fetchWeather(
+    latitude,
+    longitude,
+    apiKey,
+    units = "metric",
+    options = {}
+  ) {
     try {
       const keyCheck = this._validateApiKey(apiKey);
       if (!keyCheck.valid) {
@@ -70,6 +77,7 @@ class OpenWeatherMapAPI {
             longitude,
             apiKey: sanitizedKey,
             units,
+            signal: options.signal,
           });
 
           const formatted = this._formatWeatherData(data);
@@ -93,6 +101,7 @@ class OpenWeatherMapAPI {
             source: "openweathermap",
           };
         } catch (err) {
+          if (isAbortError(err)) throw err;
           lastError = err;
           if (this._shouldFallbackToLegacy(endpoint.version, err)) {
             console.warn(
@@ -114,6 +123,7 @@ class OpenWeatherMapAPI {
           longitude,
           apiKey: sanitizedKey,
           units,
+          signal: options.signal,
         });
       }
 
@@ -124,6 +134,9 @@ class OpenWeatherMapAPI {
         )
       );
     } catch (error) {
+      if (isAbortError(error)) {
+        return { error: error.message, aborted: true, source: "openweathermap" };
+      }
       const classified = this._classifyError(error);
       console.error(`❌ OpenWeatherMap Fehler: ${classified.message}`);
       return {
@@ -137,7 +150,14 @@ class OpenWeatherMapAPI {
     }
   }
 
-  async _requestFromEndpoint({ endpoint, latitude, longitude, apiKey, units }) {
+  async _requestFromEndpoint({
+    endpoint,
+    latitude,
+    longitude,
+    apiKey,
+    units,
+    signal,
+  }) {
     const params = new URLSearchParams({
       lat: latitude.toFixed(4),
       lon: longitude.toFixed(4),
@@ -154,7 +174,7 @@ class OpenWeatherMapAPI {
 
     while (attempt < maxAttempts) {
       try {
-        const response = await safeApiFetch(url, {}, this.timeout);
+        const response = await safeApiFetch(url, { signal }, this.timeout);
         const data = await response.json();
         const validation = this._validateResponse(data);
         if (!validation.valid) {
@@ -163,6 +183,7 @@ class OpenWeatherMapAPI {
         const duration = Date.now() - startTime;
         return { data, duration };
       } catch (err) {
+        if (isAbortError(err)) throw err;
         attempt += 1;
         const isLast = attempt >= maxAttempts;
         const msg = err && err.message ? err.message : "";
@@ -174,7 +195,7 @@ class OpenWeatherMapAPI {
           throw err;
         }
         const waitMs = 200 * Math.pow(2, attempt - 1);
-        await new Promise((r) => setTimeout(r, waitMs));
+        await waitWithSignal(waitMs, signal);
         console.warn(
           `OpenWeatherMap ${endpoint.label} Versuch ${attempt} fehlgeschlagen, erneut in ${waitMs}ms...`
         );
@@ -218,7 +239,7 @@ class OpenWeatherMapAPI {
     return authProblem || planHint;
   }
 
-  async _fetchFreeTierBundle({ latitude, longitude, apiKey, units }) {
+  async _fetchFreeTierBundle({ latitude, longitude, apiKey, units, signal }) {
     const params = new URLSearchParams({
       lat: latitude.toFixed(4),
       lon: longitude.toFixed(4),
@@ -233,8 +254,8 @@ class OpenWeatherMapAPI {
 
     const startTime = Date.now();
     const [currentResp, forecastResp] = await Promise.all([
-      safeApiFetch(currentUrl, {}, this.timeout),
-      safeApiFetch(forecastUrl, {}, this.timeout),
+      safeApiFetch(currentUrl, { signal }, this.timeout),
+      safeApiFetch(forecastUrl, { signal }, this.timeout),
     ]);
 
     const [currentData, forecastData] = await Promise.all([
@@ -303,10 +324,12 @@ class OpenWeatherMapAPI {
   }
 
   _buildHourlyFromForecast(entries = []) {
+    // The 5 day forecast comes in 3 hour steps, rain["3h"] is their total
     return entries.slice(0, 24).map((entry) => ({
       temp: entry.main?.temp ?? 0,
       precipitation: (entry.pop || 0) * 100,
       rain_volume: entry.rain?.["3h"] || 0,
+      rain_hours: 3,
       wind_speed: entry.wind?.speed ?? 0,
       timestamp: entry.dt * 1000,
       weather_code: this._mapWeatherCode(entry.weather?.[0]?.main),
@@ -439,6 +462,55 @@ class OpenWeatherMapAPI {
     return { current, hourly, daily };
   }
 
+  /**
+   * Maps formatted data onto the canonical schema (see utils/weatherSchema.js).
+   * Wind is converted from m/s to km/h; `precipitation` in the formatted data
+   * is the probability, the amount lives in `rain_volume`. Free tier hours
+   * cover `rain_hours` (3) hours each; their total is converted to mm/h.
+   * @param {object} data - Output of _formatWeatherData/_formatFreeTierData
+   * @returns {object|null} - WeatherDataset (not yet validated)
+   */
+  toCanonical(data) {
+    if (!data || !data.current) return null;
+    const kmh = (ms) => (typeof ms === "number" ? ms * 3.6 : null);
+    const point = (entry) => ({
+      time: new Date(entry.timestamp).toISOString(),
+      ts: entry.timestamp,
+      temperature: entry.temp,
+      windSpeed: kmh(entry.wind_speed),
+      weatherCode: entry.weather_code,
+    });
+
+    return {
+      source: "openweathermap",
+      current: {
+        ...point(data.current),
+        humidity: data.current.humidity,
+        pressure: data.current.pressure,
+        cloudCover: data.current.clouds,
+        description: data.current.description,
+      },
+      hourly: (data.hourly || []).map((hour) => ({
+        ...point(hour),
+        precipitation:
+          typeof hour.rain_volume === "number"
+            ? hour.rain_volume / (hour.rain_hours || 1)
+            : hour.rain_volume,
+        precipitationProbability: hour.precipitation,
+      })),
+      daily: (data.daily || []).map((day) => ({
+        date: day.date,
+        tempMax: day.temp_max,
+        tempMin: day.temp_min,
+        precipitationSum: day.rain_volume,
+        precipitationProbability: day.precipitation,
+        windSpeedMax: kmh(day.wind_speed),
+        weatherCode: day.weather_code,
+      })),
+      historical: [],
+    };
+  }
+
   /**
    * Maps OpenWeatherMap weather conditions to standardized codes
    * OWM uses descriptions like 'Clear', 'Clouds', 'Rain', 'Snow', etc.
@@ -602,6 +674,30 @@ class OpenWeatherMapAPI {
   }
 }
 
+if (typeof providerRegistry !== "undefined") {
+  providerRegistry.register({
+    id: "openweathermap",
+    name: "OpenWeatherMap",
+    tag: "Optional",
+    order: 30,
+    requiresKey: true,
+    keyInputId: "openweathermap-key",
+    keyPattern: /^[A-Za-z0-9]{32,64}$/,
+    keyHint:
+      "OpenWeatherMap API-Key muss 32 Zeichen enthalten. Bitte kopiere ihn exakt aus deinem OWM-Dashboard.",
+    hosts: ["api.openweathermap.org"],
+    capabilities: ["current", "hourly", "daily", "map-tiles"],
+    resultKey: "openWeatherMap",
+    fetch: ({ lat, lon, key, signal }) =>
+      new OpenWeatherMapAPI().fetchWeather(lat, lon, key, "metric", {
+        signal,
+      }),
+    toCanonical: (result) => OpenWeatherMapAPI.prototype.toCanonical(result.data),
+    // Kartenebenen hängen am OWM-Key
+    onKeyChange: () => window.weatherMap?.refreshOverlays?.(),
+  });
+}
+
 // Export the class
 if (typeof module !== "undefined" && module.exports) {
   module.exports = OpenWeatherMapAPI;
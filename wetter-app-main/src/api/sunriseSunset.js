@@ -5,7 +5,7 @@ class SunriseSunsetAPI {
     this.name = "SunriseSunset";
   }
 
-  async fetchSunEvents(latitude, longitude, apiKey = null) {
+  async fetchSunEvents(latitude, longitude, apiKey = null, options = {}) {
     try {
       const coordCheck = validateCoordinates(latitude, longitude);
       if (!coordCheck.valid) {
@@ -22,7 +22,11 @@ class SunriseSunsetAPI {
       }
       const url = `${this.baseUrl}?${params.toString()}`;
       const start = Date.now();
-      const response = await safeApiFetch(url, {}, this.timeout);
+      const response = await safeApiFetch(
+        url,
+        { signal: options.signal },
+        this.timeout
+      );
       const payload = await response.json();
       if (!payload || payload.status !== "OK") {
         throw new Error(
@@ -37,6 +41,9 @@ class SunriseSunsetAPI {
         source: "sunrisesunset",
       };
     } catch (error) {
+      if (isAbortError(error)) {
+        return { error: error.message, aborted: true, source: "sunrisesunset" };
+      }
       console.warn("SunriseSunset", error);
       return {
         error: error.message || String(error),
@@ -70,6 +77,21 @@ class SunriseSunsetAPI {
 
 const sunriseSunsetAPI = new SunriseSunsetAPI();
 
+if (typeof providerRegistry !== "undefined") {
+  providerRegistry.register({
+    id: "sunrisesunset",
+    name: "Sunrise & Sunset",
+    tag: "Astronomie",
+    order: 70,
+    note: "Dämmerungszeiten",
+    hosts: [ProviderRegistry.hostOf(API_ENDPOINTS.SUNRISE_SUNSET.BASE)],
+    capabilities: ["astronomy"],
+    resultKey: "sunEvents",
+    fetch: ({ lat, lon, signal }) =>
+      sunriseSunsetAPI.fetchSunEvents(lat, lon, null, { signal }),
+  });
+}
+
 if (typeof module !== "undefined" && module.exports) {
   module.exports = SunriseSunsetAPI;
 }
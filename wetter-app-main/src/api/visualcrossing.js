@@ -6,6 +6,7 @@
  * Response structure:
  * - current: Current weather conditions
  * - historical: Last 7-30 days of historical data
+ * - hourly: Next 48 hours
  * - forecast: Next 7 days forecast
  */
 
@@ -22,9 +23,10 @@ class VisualCrossingAPI {
    * @param {number} longitude - Longitude coordinate
    * @param {string} apiKey - Visual Crossing API key (required)
    * @param {string} units - Temperature units ('metric', 'us')
-   * @returns {Promise<object>} - { current, historical, forecast, source: 'visualcrossing' } or error object
+   * @param {object} options - { signal } to abort in-flight requests
+   * @returns {Promise<object>} - { data, current, hourly, historical, forecast, source: 'visualcrossing' } or error object
    */
-  async fetchWeather(latitude, longitude, apiKey, units = 'metric') {
+  async fetchWeather(latitude, longitude, apiKey, units = 'metric', options = {}) {
     try {
       // Validate API key
       if (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length === 0) {
@@ -50,7 +52,7 @@ class VisualCrossingAPI {
       const location = `${latitude.toFixed(4)},${longitude.toFixed(4)}`;
       const params = new URLSearchParams({
         unitGroup: units === 'metric' ? 'metric' : 'us',
-        include: 'current,days,alerts',
+        include: 'current,days,hours,alerts',
         contentType: 'json',
         key: apiKey.trim()
       });
@@ -66,7 +68,7 @@ class VisualCrossingAPI {
 
       while (attempt < maxAttempts) {
         try {
-          response = await safeApiFetch(url, {}, this.timeout);
+          response = await safeApiFetch(url, { signal: options.signal }, this.timeout);
           data = await response.json();
 
           // Validate response structure
@@ -77,6 +79,7 @@ class VisualCrossingAPI {
 
           break; // Success
         } catch (err) {
+          if (isAbortError(err)) throw err;
           attempt += 1;
           const isLast = attempt >= maxAttempts;
           const msg = (err && err.message) ? err.message : '';
@@ -89,7 +92,7 @@ class VisualCrossingAPI {
 
           // Exponential backoff for retries
           const waitMs = 200 * Math.pow(2, attempt - 1);
-          await new Promise(r => setTimeout(r, waitMs));
+          await waitWithSignal(waitMs, options.signal);
           console.warn(`Visual Crossing Versuch ${attempt} fehlgeschlagen, erneut in ${waitMs}ms...`);
         }
       }
@@ -101,7 +104,9 @@ class VisualCrossingAPI {
       const formatted = this._formatWeatherData(data);
 
       return {
+        data: formatted,
         current: formatted.current,
+        hourly: formatted.hourly,
         historical: formatted.historical,
         forecast: formatted.forecast,
         fromCache: false,
@@ -109,6 +114,9 @@ class VisualCrossingAPI {
         source: 'visualcrossing'
       };
     } catch (error) {
+      if (isAbortError(error)) {
+        return { error: error.message, aborted: true, source: 'visualcrossing' };
+      }
       console.error(`❌ Visual Crossing Fehler: ${error.message}`);
       return {
         error: error.message,
@@ -198,7 +206,68 @@ class VisualCrossingAPI {
       description: day.conditions || 'Unbekannt'
     }));
 
-    return { current, historical, forecast };
+    // Parse hourly data (next 48 hours, flattened from days[].hours)
+    const nowEpoch = Date.now() / 1000;
+    const hourly = (data.days || [])
+      .flatMap(day => day.hours || [])
+      .filter(hour => hour.datetimeEpoch >= nowEpoch - 3600)
+      .slice(0, 48)
+      .map(hour => ({
+        temp: hour.temp,
+        precipitation: hour.precip || 0,
+        precipitation_probability: hour.precipprob ?? null,
+        wind_speed: hour.windspeed,
+        timestamp: hour.datetimeEpoch * 1000,
+        weather_code: this._mapWeatherCondition(hour.conditions)
+      }));
+
+    return { current, hourly, historical, forecast };
+  }
+
+  /**
+   * Maps formatted data onto the canonical schema (see utils/weatherSchema.js).
+   * unitGroup=metric already delivers °C, mm and km/h.
+   * @param {object} data - Output of _formatWeatherData
+   * @returns {object|null} - WeatherDataset (not yet validated)
+   */
+  toCanonical(data) {
+    if (!data || !data.current) return null;
+    const day = entry => ({
+      date: entry.date,
+      tempMax: entry.temp_max,
+      tempMin: entry.temp_min,
+      tempAvg: entry.temp_avg,
+      precipitationSum: entry.precipitation,
+      windSpeedMax: entry.wind_speed,
+      weatherCode: entry.weather_code,
+      description: entry.description
+    });
+
+    return {
+      source: 'visualcrossing',
+      current: {
+        time: new Date(data.current.timestamp).toISOString(),
+        ts: data.current.timestamp,
+        temperature: data.current.temp,
+        humidity: data.current.humidity,
+        windSpeed: data.current.wind_speed,
+        pressure: data.current.pressure,
+        cloudCover: data.current.clouds,
+        weatherCode: data.current.weather_code,
+        description: data.current.description
+      },
+      hourly: (data.hourly || []).map(hour => ({
+        time: new Date(hour.timestamp).toISOString(),
+        ts: hour.timestamp,
+        temperature: hour.temp,
+        precipitation: hour.precipitation,
+        precipitationProbability: hour.precipitation_probability,
+        windSpeed: hour.wind_speed,
+        weatherCode: hour.weather_code
+      })),
+      daily: (data.forecast || []).map(day),
+      historical: (data.historical || []).map(day)
+    };
   }
 
   /**
@@ -286,6 +355,23 @@ class VisualCrossingAPI {
   }
 }
 
+if (typeof providerRegistry !== 'undefined') {
+  providerRegistry.register({
+    id: 'visualcrossing',
+    name: 'VisualCrossing',
+    tag: 'Optional',
+    order: 40,
+    requiresKey: true,
+    keyInputId: 'visualcrossing-key',
+    hosts: ['weather.visualcrossing.com'],
+    capabilities: ['current', 'hourly', 'daily', 'historical'],
+    resultKey: 'visualCrossing',
+    fetch: ({ lat, lon, key, signal }) =>
+      new VisualCrossingAPI().fetchWeather(lat, lon, key, 'metric', { signal }),
+    toCanonical: (result) => VisualCrossingAPI.prototype.toCanonical(result.data)
+  });
+}
+
 // Export the class
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = VisualCrossingAPI;
@@ -11,9 +11,10 @@ class OpenMeteoAPI {
    * Holt Wetter-Daten für Koordinaten
    * @param {number} latitude - Breitengrad
    * @param {number} longitude - Längengrad
+   * @param {object} options - { signal } zum Abbrechen
    * @returns {Promise<object>} - Wetterdaten
    */
-  async fetchWeather(latitude, longitude) {
+  async fetchWeather(latitude, longitude, options = {}) {
     try {
       // Validiere Koordinaten
       const coordCheck = validateCoordinates(latitude, longitude);
@@ -23,7 +24,7 @@ class OpenMeteoAPI {
 
       // Prüfe Cache
       const cacheKey = `openmeteo_${latitude}_${longitude}`;
-      const cached = weatherCache.getForecast(
+      const cached = await weatherCache.getForecast(
         `${latitude}_${longitude}`,
         "openmeteo"
       );
@@ -52,7 +53,11 @@ class OpenMeteoAPI {
       let data = null;
       while (attempt < maxAttempts) {
         try {
-          response = await safeApiFetch(url, {}, this.timeout);
+          response = await safeApiFetch(
+            url,
+            { signal: options.signal },
+            this.timeout
+          );
           data = await response.json();
           // Validiere Response
           const validation = validateApiResponse(data, "openmeteo");
@@ -62,6 +67,7 @@ class OpenMeteoAPI {
           // Erfolg, breche die Retry-Schleife ab
           break;
         } catch (err) {
+          if (isAbortError(err)) throw err;
           attempt += 1;
           const isLast = attempt >= maxAttempts;
           // Wenn HTTP 4xx (client error) oder andere nicht-transiente Fehler, don't retry
@@ -72,7 +78,7 @@ class OpenMeteoAPI {
           }
           // Warte etwas (exponential backoff)
           const waitMs = 200 * Math.pow(2, attempt - 1);
-          await new Promise((r) => setTimeout(r, waitMs));
+          await waitWithSignal(waitMs, options.signal);
           console.warn(
             `Open-Meteo Versuch ${attempt} fehlgeschlagen, erneut in ${waitMs}ms...`
           );
@@ -83,7 +89,11 @@ class OpenMeteoAPI {
       console.log(`✅ Open-Meteo erfolgreich (${duration}ms)`);
 
       // Speichere im Cache
-      weatherCache.setForecast(`${latitude}_${longitude}`, "openmeteo", data);
+      await weatherCache.setForecast(
+        `${latitude}_${longitude}`,
+        "openmeteo",
+        data
+      );
 
       return {
         data,
@@ -92,6 +102,9 @@ class OpenMeteoAPI {
         source: "open-meteo",
       };
     } catch (error) {
+      if (isAbortError(error)) {
+        return { error: error.message, aborted: true, source: "open-meteo" };
+      }
       console.error(`❌ Open-Meteo Fehler: ${error.message}`);
       return {
         error: error.message,
@@ -182,6 +195,44 @@ class OpenMeteoAPI {
     }));
   }
 
+  /**
+   * Bildet Rohdaten auf das kanonische Schema ab (siehe utils/weatherSchema.js)
+   * @param {object} data - Open-Meteo Rohdaten
+   * @returns {object|null} - WeatherDataset (noch unvalidiert)
+   */
+  toCanonical(data) {
+    if (!data || !data.hourly || !Array.isArray(data.hourly.time)) return null;
+    const offset = data.utc_offset_seconds || 0;
+
+    const hourly = this.formatHourlyData(data, data.hourly.time.length).map(
+      ({ emoji, ...entry }) => ({
+        ...entry,
+        ts: toCanonicalTimestamp(entry.time, offset),
+      })
+    );
+    const daily = Array.isArray(data.daily?.time)
+      ? this.formatDailyData(data, data.daily.time.length).map((day) => ({
+          date: day.date,
+          tempMax: day.tempMax,
+          tempMin: day.tempMin,
+          precipitationSum: day.precipitationSum,
+          precipitationHours: day.precipitationHours,
+          uvIndexMax: day.uvIndexMax,
+          weatherCode: day.weatherCode,
+          sunrise: day.sunrise,
+          sunset: day.sunset,
+        }))
+      : [];
+
+    return {
+      source: "open-meteo",
+      current: currentFromHourly(hourly),
+      hourly,
+      daily,
+      historical: [],
+    };
+  }
+
   /**
    * Map WMO Code zu Emoji
    * @private
@@ -203,3 +254,19 @@ class OpenMeteoAPI {
  * Singleton-Instanz
  */
 const openMeteoAPI = new OpenMeteoAPI();
+
+if (typeof providerRegistry !== "undefined") {
+  providerRegistry.register({
+    id: "open-meteo",
+    name: "Open-Meteo",
+    tag: "Hauptquelle",
+    order: 10,
+    primary: true,
+    hosts: [ProviderRegistry.hostOf(API_ENDPOINTS.OPEN_METEO.BASE)],
+    capabilities: ["current", "hourly", "daily"],
+    resultKey: "openMeteo",
+    fetch: ({ lat, lon, signal }) =>
+      openMeteoAPI.fetchWeather(lat, lon, { signal }),
+    toCanonical: (result) => openMeteoAPI.toCanonical(result.data),
+  });
+}
@@ -14,6 +14,8 @@ class AppState {
       locationDetails: null,
       sunEvents: null,
       moonPhase: null,
+      airQuality: null,
+      marine: null,
     };
     this.isDarkMode = this._loadThemePreference();
     this.favorites = this._loadFavorites();
@@ -58,9 +60,14 @@ class AppState {
           window.logAnalyticsEvent("favorite_action", {
             action: "add",
             city,
-            timestamp: Date.now(),
           });
         }
+        if (typeof syncPushAlertTargets === "function") {
+          syncPushAlertTargets();
+        }
+        if (typeof mirrorFavorites === "function") {
+          mirrorFavorites();
+        }
       } catch (e) {
         console.warn("Fehler beim Speichern von Favoriten:", e);
       }
@@ -78,9 +85,14 @@ class AppState {
         window.logAnalyticsEvent("favorite_action", {
           action: "remove",
           city,
-          timestamp: Date.now(),
         });
       }
+      if (typeof syncPushAlertTargets === "function") {
+        syncPushAlertTargets();
+      }
+      if (typeof mirrorFavorites === "function") {
+        mirrorFavorites();
+      }
     } catch (e) {
       console.warn("Fehler beim Löschen von Favoriten:", e);
     }
@@ -111,50 +123,19 @@ class AppState {
   }
 }
 
-const API_PROVIDERS = [
-  { id: "open-meteo", name: "Open-Meteo", tag: "Hauptquelle" },
-  { id: "brightsky", name: "BrightSky", tag: "Hauptquelle" },
-  {
-    id: "openweathermap",
-    name: "OpenWeatherMap",
-    tag: "Optional",
-    requiresKey: true,
-    key: "openweathermap",
-  },
-  {
-    id: "visualcrossing",
-    name: "VisualCrossing",
-    tag: "Optional",
-    requiresKey: true,
-    key: "visualcrossing",
-  },
-  {
-    id: "meteostat",
-    name: "Meteostat",
-    tag: "Historisch",
-    requiresKey: true,
-    key: "meteostat",
-    note: "Für historische Trenddaten",
-  },
-  {
-    id: "bigdatacloud",
-    name: "BigDataCloud",
-    tag: "Geodaten",
-    note: "Reverse-Geocoding Details",
-  },
-  {
-    id: "sunrisesunset",
-    name: "Sunrise & Sunset",
-    tag: "Astronomie",
-    note: "Dämmerungszeiten",
-  },
-  {
-    id: "moonphase",
-    name: "Moon Phase",
-    tag: "Astronomie",
-    note: "Licht & Phase",
-  },
-];
+// Geocoding-Dienste (Suche) – Wetterquellen registrieren sich in src/api/*
+providerRegistry.register({
+  id: "geocoding",
+  name: "Geocoding",
+  tag: "Suche",
+  order: 5,
+  statusPanel: false,
+  hosts: [
+    ProviderRegistry.hostOf(API_ENDPOINTS.NOMINATIM.BASE),
+    ProviderRegistry.hostOf(API_ENDPOINTS.GEOCODING.BASE),
+  ],
+  capabilities: ["geocoding"],
+});
 
 /**
  * Einfaches HTML-Escape (für Sicherheitszwecke beim Erzeugen von innerHTML vermeiden wir es,
@@ -305,9 +286,10 @@ let apiStatusStore = [];
 
 function initializeApiStatusDefaults() {
   const hasManager = typeof window !== "undefined" && window.apiKeyManager;
-  apiStatusStore = API_PROVIDERS.map((provider) => {
-    const hasKey = provider.key
-      ? hasManager && window.apiKeyManager.hasKey(provider.key)
+  const providers = providerRegistry.list({ statusPanel: true });
+  apiStatusStore = providers.map((provider) => {
+    const hasKey = provider.keyId
+      ? hasManager && window.apiKeyManager.hasKey(provider.keyId)
       : true;
     const state = provider.requiresKey
       ? hasKey
@@ -346,7 +328,7 @@ function updateApiStatusStore(updates = []) {
   const timestamp = Date.now();
   updates.forEach((update) => {
     if (!update || !update.id) return;
-    const providerMeta = API_PROVIDERS.find((p) => p.id === update.id);
+    const providerMeta = providerRegistry.get(update.id);
     const idx = apiStatusStore.findIndex((entry) => entry.id === update.id);
     const baseEntry =
       idx >= 0
@@ -539,32 +521,23 @@ function buildApiStatusMessage(source) {
 }
 
 function providerRequiresKey(providerId) {
-  const provider = API_PROVIDERS.find((p) => p.id === providerId);
+  const provider = providerRegistry.get(providerId);
   return provider ? !!provider.requiresKey : false;
 }
 
 function providerNoteSuffix(providerId) {
-  const provider = API_PROVIDERS.find((p) => p.id === providerId);
+  const provider = providerRegistry.get(providerId);
   return provider && provider.note ? ` · ${provider.note}` : "";
 }
 
 function providerKeyInputId(providerId) {
-  switch (providerId) {
-    case "openweathermap":
-      return "openweathermap-key";
-    case "visualcrossing":
-      return "visualcrossing-key";
-    case "meteostat":
-      return "meteostat-key";
-    default:
-      return null;
-  }
+  return providerRegistry.get(providerId)?.keyInputId || null;
 }
 
 function notifyKeyIssue(providerId, errorMessage) {
   const issue = classifyProviderState(providerId, errorMessage);
   if (!issue) return false;
-  const provider = API_PROVIDERS.find((p) => p.id === providerId);
+  const provider = providerRegistry.get(providerId);
   const inputId = providerKeyInputId(providerId);
   showWarning(issue.message, null, {
     title: `${provider?.name || providerId} API`,
@@ -587,6 +560,10 @@ function notifyKeyIssue(providerId, errorMessage) {
 
 function classifyProviderState(providerId, errorMessage) {
   if (!providerId || !errorMessage) return null;
+  const provider = providerRegistry.get(providerId);
+  if (typeof provider?.classifyError === "function") {
+    return provider.classifyError(errorMessage) || null;
+  }
   if (!providerRequiresKey(providerId)) return null;
 
   const normalized = errorMessage.toLowerCase();
@@ -615,11 +592,11 @@ function classifyProviderState(providerId, errorMessage) {
 }
 
 function syncProviderKeyState(providerId) {
-  const provider = API_PROVIDERS.find((p) => p.id === providerId);
+  const provider = providerRegistry.get(providerId);
   if (!provider) return;
   const hasManager = typeof window !== "undefined" && window.apiKeyManager;
-  const hasKey = provider.key
-    ? hasManager && window.apiKeyManager.hasKey(provider.key)
+  const hasKey = provider.keyId
+    ? hasManager && window.apiKeyManager.hasKey(provider.keyId)
     : true;
   const payload = {
     id: provider.id,
@@ -646,6 +623,251 @@ function syncProviderKeyState(providerId) {
   updateApiStatusStore([payload]);
 }
 
+/**
+ * Verbindet die Key-Eingabefelder aller Provider mit Key-Verwaltung.
+ * Fehlt im Markup ein Feld, wird es im Key-Container ergänzt.
+ */
+function initProviderKeyInputs() {
+  const container = document.getElementById("api-keys-container");
+  providerRegistry.keyProviders().forEach((provider) => {
+    const inputId = provider.keyInputId || `${provider.keyId}-key`;
+    let input = document.getElementById(inputId);
+    if (!input && container) {
+      const label = document.createElement("label");
+      label.setAttribute("for", inputId);
+      label.textContent = `${provider.name} Key`;
+      input = document.createElement("input");
+      input.id = inputId;
+      input.className = "settings-input";
+      input.type = "password";
+      input.placeholder = `${provider.name} API Key`;
+      input.setAttribute("aria-label", `${provider.name} API Key`);
+      label.appendChild(input);
+      container.appendChild(label);
+      provider.keyInputId = inputId;
+    }
+    if (!input) return;
+
+    input.value = window.apiKeyManager.getKey(provider.keyId) || "";
+
+    const persistKey = (rawValue) => {
+      const trimmed = (rawValue || "").trim();
+      if (trimmed === (window.apiKeyManager.getKey(provider.keyId) || "")) {
+        return;
+      }
+      if (trimmed && provider.keyPattern && !provider.keyPattern.test(trimmed)) {
+        showWarning(
+          provider.keyHint || `${provider.name} API-Key hat ein ungültiges Format.`
+        );
+        focusAndHighlight(inputId, 200);
+        return;
+      }
+      const success = window.apiKeyManager.setKey(provider.keyId, trimmed);
+      if (!success) return;
+      if (trimmed) {
+        showSuccess(`${provider.name} API-Key gespeichert`);
+      } else {
+        showInfo(`${provider.name} API-Key entfernt`);
+      }
+      syncProviderKeyState(provider.id);
+      if (typeof provider.onKeyChange === "function") {
+        provider.onKeyChange(trimmed || null);
+      }
+    };
+
+    input.addEventListener("change", (e) => persistKey(e.target.value));
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        persistKey(e.target.value);
+      }
+    });
+  });
+}
+
+/**
+ * Meldet dem Service Worker die API-Hosts aller registrierten Provider,
+ * damit dieser API-Requests nicht über den App-Cache leitet.
+ */
+async function syncServiceWorkerApiHosts() {
+  if (!("serviceWorker" in navigator)) return;
+  try {
+    const reg = await navigator.serviceWorker.ready;
+    const target = reg.active || navigator.serviceWorker.controller;
+    if (!target) return;
+    target.postMessage({
+      type: "SET_API_HOSTS",
+      hosts: providerRegistry.hosts(),
+    });
+  } catch (e) {
+    console.warn("API-Hosts konnten nicht an den Service Worker gemeldet werden", e);
+  }
+}
+
+/**
+ * Spiegelt die Favoriten in die IndexedDB des Service Workers und meldet
+ * die Hintergrund-Synchronisation an, die daraus Offline-Snapshots lädt
+ */
+async function mirrorFavorites() {
+  if (!favoriteStore || !appState) return;
+  try {
+    await favoriteStore.replaceFavorites(
+      appState.favorites.map(toFavoriteRecord).filter(Boolean)
+    );
+  } catch (e) {
+    console.warn("Favoriten konnten nicht gespiegelt werden", e);
+    return;
+  }
+  if (!("serviceWorker" in navigator)) return;
+  try {
+    const reg = await navigator.serviceWorker.ready;
+    reg.active?.postMessage({ type: "REGISTER_FAVORITES_SYNC" });
+    // Einmaliger Sync, sobald eine Verbindung besteht
+    if (reg.sync) await reg.sync.register("sync-favorites");
+  } catch (e) {
+    console.warn("Favoriten-Sync konnte nicht angemeldet werden", e);
+  }
+}
+
+/**
+ * Legt eine fehlgeschlagene Anfrage in den Ausgang; der Service Worker
+ * sendet sie beim Sync "retry-failed-requests" erneut
+ * @param {object} request - { kind, url, payload, replaceKey, error }
+ */
+async function queueFailedRequest(request) {
+  if (!requestOutbox) return;
+  try {
+    await enqueueOutboxRequest(requestOutbox, request);
+  } catch (e) {
+    console.warn("Anfrage konnte nicht im Ausgang gespeichert werden", e);
+    return;
+  }
+  window.requestOutboxPanel?.render();
+  scheduleOutboxReplay();
+}
+
+/**
+ * Entfernt wartende Anfragen, z.B. nach erfolgreichem Direktversand
+ * @param {object} match - { kind } und/oder { replaceKey }
+ */
+async function discardFailedRequests(match) {
+  if (!requestOutbox) return;
+  try {
+    if (await discardOutboxRequests(requestOutbox, match)) {
+      window.requestOutboxPanel?.render();
+    }
+  } catch (e) {
+    console.warn("Ausgang konnte nicht bereinigt werden", e);
+  }
+}
+
+/**
+ * Meldet den Sync für den Ausgang an, falls etwas wartet
+ */
+async function scheduleOutboxReplay() {
+  if (!requestOutbox || !("serviceWorker" in navigator)) return;
+  try {
+    if (!(await requestOutbox.getPending()).length) return;
+    const reg = await navigator.serviceWorker.ready;
+    if (reg.sync) await reg.sync.register(OUTBOX_SYNC_TAG);
+  } catch (e) {
+    console.warn("Sync für den Ausgang konnte nicht angemeldet werden", e);
+  }
+}
+
+/**
+ * Spielt den Ausgang im Fenster ab (ohne Background Sync oder per Knopf)
+ * @param {boolean} force - Wartezeiten ignorieren
+ * @returns {Promise<object|null>} - Ergebnis von replayOutbox
+ */
+async function replayRequestOutbox(force = false) {
+  if (!requestOutbox) return null;
+  try {
+    return await replayOutbox(requestOutbox, { force });
+  } catch (e) {
+    console.warn("Ausgang konnte nicht abgespielt werden", e);
+    return null;
+  } finally {
+    window.requestOutboxPanel?.render();
+  }
+}
+
+/**
+ * Speichert die online geladene Open-Meteo-Vorhersage eines Favoriten als
+ * Snapshot. Ohne Background/Periodic Sync (Firefox, Safari) ist das der
+ * einzige Weg zu Offline-Snapshots.
+ * @param {object} location - { city, lat, lon }
+ * @param {object} weatherData - Ergebnis von fetchWeatherData
+ */
+async function storeFavoriteSnapshot(location, weatherData) {
+  if (!favoriteStore || !appState || !weatherData?.openMeteo) return;
+  const source = weatherData.sources?.find((s) => s.id === "open-meteo");
+  // Daten aus dem App-Cache wären älter, als der Snapshot-Stand angibt
+  if (!source?.success || source.fromCache) return;
+
+  const key = favoriteSnapshotKey(location);
+  const city = String(location.city).toLowerCase();
+  const favorite = appState.favorites
+    .map(toFavoriteRecord)
+    .find(
+      (record) =>
+        record && (record.key === key || record.city.toLowerCase() === city)
+    );
+  if (!favorite) return;
+  try {
+    await saveFavoriteSnapshot(favoriteStore, favorite, weatherData.openMeteo);
+  } catch (e) {
+    console.warn(`Snapshot für ${favorite.city} nicht gespeichert`, e);
+  }
+}
+
+/**
+ * Zeigt den letzten Snapshot eines Favoriten, wenn die Vorhersage nicht
+ * geladen werden kann (offline)
+ * @param {string} city - Name wie in der Favoritenliste
+ * @param {AbortSignal} signal - Suche, zu der die Anzeige gehört
+ * @returns {Promise<boolean>} - true, wenn ein Snapshot angezeigt wird
+ */
+async function showFavoriteSnapshot(city, signal = null) {
+  const favorite = appState?.favorites.find(
+    (f) => f.city.toLowerCase() === String(city).toLowerCase()
+  );
+  const key = favorite && favoriteSnapshotKey(favorite.coords);
+  if (!key || !favoriteStore) return false;
+
+  let snapshot = null;
+  try {
+    snapshot = await favoriteStore.getSnapshot(key);
+  } catch (e) {
+    console.warn("Offline-Snapshot nicht lesbar", e);
+  }
+  const openMeteo = snapshotForecast(snapshot);
+  if (!openMeteo || signal?.aborted) return false;
+
+  const location = {
+    city: favorite.city,
+    lat: snapshot.lat,
+    lon: snapshot.lon,
+  };
+  appState.currentCity = location.city;
+  appState.currentCoordinates = {
+    lat: location.lat,
+    lon: location.lon,
+    lng: location.lon,
+  };
+  renderWeatherData(location, {
+    sources: [
+      { id: "open-meteo", name: "Open-Meteo (Snapshot)", success: true },
+    ],
+    datasets: {},
+    pending: [],
+    openMeteo,
+  });
+  weatherDisplay.showStaleBadge(snapshot.savedAt);
+  console.log(`📦 Offline-Snapshot für ${location.city} angezeigt`);
+  return true;
+}
+
 /**
  * Build render-ready data from raw API results and apply unit conversions.
  * Returns an object with formatted arrays ready for the UI (hourly/daily per source).
@@ -654,9 +876,12 @@ function buildRenderData(rawData, units) {
   const result = {
     openMeteo: null,
     brightSky: null,
+    blended: null,
     locationDetails: null,
     sunEvents: null,
     moonPhase: null,
+    airQuality: null,
+    marine: null,
   };
 
   // Helper: compute feels-like temperature (apparent temperature)
@@ -892,10 +1117,75 @@ function buildRenderData(rawData, units) {
         hours,
       };
     });
+  // Konsens aller verfügbaren Modelle (metrisch, vor der Einheitenumrechnung)
+  const consensusFor = (entry) =>
+    entry
+      ? {
+          agreement: entry.agreement,
+          providers: entry.providers,
+          disagreements: entry.disagreements,
+        }
+      : null;
+
+  // Übernimmt gemittelte Werte, sobald mindestens zwei Quellen beitragen
+  const applyBlend = (target, blendedEntry, fields) => {
+    if (!blendedEntry || blendedEntry.providers.length < 2) return target;
+    const merged = Object.assign({}, target);
+    fields.forEach((field) => {
+      if (blendedEntry[field] && typeof blendedEntry[field].value === "number") {
+        merged[field] = blendedEntry[field].value;
+      }
+    });
+    return merged;
+  };
+
+  try {
+    if (typeof forecastBlender !== "undefined") {
+      result.blended = forecastBlender.blend(rawData.datasets);
+    }
+  } catch (e) {
+    console.warn("Forecast blending failed", e);
+  }
+
+  const hourKeyOf =
+    typeof ForecastBlender !== "undefined" ? ForecastBlender.hourKey : () => null;
+  const blendedByHour = new Map(
+    (result.blended?.hourly || []).map((entry) => [entry.ts, entry])
+  );
+  const blendedByDate = new Map(
+    (result.blended?.daily || []).map((entry) => [entry.date, entry])
+  );
+
   try {
     if (rawData.openMeteo) {
-      const hourly = openMeteoAPI.formatHourlyData(rawData.openMeteo, 168);
-      const daily = openMeteoAPI.formatDailyData(rawData.openMeteo, 7);
+      const utcOffset = rawData.openMeteo.utc_offset_seconds || 0;
+      const hourly = openMeteoAPI
+        .formatHourlyData(rawData.openMeteo, 168)
+        .map((h) => {
+          const blendedEntry = blendedByHour.get(hourKeyOf(h.time, utcOffset));
+          return Object.assign(
+            applyBlend(h, blendedEntry, [
+              "temperature",
+              "precipitation",
+              "precipitationProbability",
+              "windSpeed",
+            ]),
+            { consensus: consensusFor(blendedEntry) }
+          );
+        });
+      const daily = openMeteoAPI
+        .formatDailyData(rawData.openMeteo, 7)
+        .map((d) => {
+          const blendedEntry = blendedByDate.get(d.date);
+          return Object.assign(
+            applyBlend(d, blendedEntry, [
+              "tempMax",
+              "tempMin",
+              "precipitationSum",
+            ]),
+            { consensus: consensusFor(blendedEntry) }
+          );
+        });
 
       // Convert temps and wind per units
       const convertedHourly = hourly.map((h) => {
@@ -1034,6 +1324,7 @@ function buildRenderData(rawData, units) {
           temperature: temp,
           windSpeed: wind,
           feelsLike: feels,
+          consensus: consensusFor(blendedByHour.get(hourKeyOf(h.time))),
         });
       });
       result.brightSky = { hourly: converted };
@@ -1042,6 +1333,8 @@ function buildRenderData(rawData, units) {
     result.locationDetails = rawData.locationDetails || null;
     result.sunEvents = rawData.sunEvents || null;
     result.moonPhase = rawData.moonPhase || null;
+    result.airQuality = rawData.airQuality || null;
+    result.marine = rawData.marine || null;
   } catch (e) {
     console.warn("buildRenderData failed", e);
   }
@@ -1081,8 +1374,10 @@ function renderFromRenderData() {
 
 /**
  * Geo-Suche über Nominatim
+ * @param {string} city
+ * @param {object} options - { signal } zum Abbrechen
  */
-async function searchLocation(city) {
+async function searchLocation(city, options = {}) {
   try {
     console.log(`🔍 Suche Ort: ${city}`);
 
@@ -1101,7 +1396,7 @@ async function searchLocation(city) {
     const url = `${API_ENDPOINTS.NOMINATIM.BASE}?${params.toString()}`;
     const response = await safeApiFetch(
       url,
-      {},
+      { signal: options.signal },
       API_ENDPOINTS.NOMINATIM.TIMEOUT
     );
     const geoData = await response.json();
@@ -1118,359 +1413,405 @@ async function searchLocation(city) {
       lat: parseFloat(geoData[0].lat),
       lon: parseFloat(geoData[0].lon),
       results: geoData,
+      candidates: LocationPickerComponent.candidatesFrom(geoData),
     };
   } catch (error) {
-    console.error("❌ Ortssuche fehlgeschlagen:", error.message);
+    if (!isAbortError(error)) {
+      console.error("❌ Ortssuche fehlgeschlagen:", error.message);
+    }
     throw error;
   }
 }
 
 /**
- * Lädt Wetterdaten von beiden APIs mit Fallback
+ * Ermittelt den Ort zu einer Suchanfrage.
+ * Gemerkte Auswahl aus dem GEO-Cache hat Vorrang; bei mehreren Treffern
+ * entscheidet der Nutzer im Ortswähler, die Wahl wird pro Anfrage gemerkt.
+ * @param {string} query
+ * @param {object} options - { signal, preset } (preset: bereits gewählter Ort)
+ * @returns {Promise<object|null>} - {city, lat, lon, ...} oder null bei Abbruch
  */
-async function fetchWeatherData(lat, lon) {
-  const sources = [];
+async function resolveLocation(query, options = {}) {
+  // Aus der Autovervollständigung gewählt: Koordinaten stehen schon fest
+  const { preset } = options;
+  if (preset && Number.isFinite(preset.lat) && Number.isFinite(preset.lon)) {
+    await weatherCache.setGeo(query, preset);
+    return preset;
+  }
 
-  console.log(`🌡️ Lade Wetterdaten für ${lat}, ${lon}`);
+  // Koordinaten, PLZ oder Plus Code: keine Freitext-Ortssuche
+  const direct = parseLocationQuery(query, {
+    reference: appState?.currentCoordinates,
+  });
+  if (direct.type !== "name") {
+    return resolveDirectLocation(direct, options);
+  }
 
-  const [openMeteoResult, brightSkyResult] = await Promise.all([
-    openMeteoAPI.fetchWeather(lat, lon),
-    brightSkyAPI.fetchWeather(lat, lon),
-  ]);
-
-  if (!openMeteoResult.error) {
-    sources.push({
-      id: "open-meteo",
-      name: "Open-Meteo",
-      success: true,
-      duration: openMeteoResult.duration,
-      fromCache: openMeteoResult.fromCache,
-    });
-  } else {
-    sources.push({
-      id: "open-meteo",
-      name: "Open-Meteo",
-      success: false,
-      error: openMeteoResult.error,
-    });
-    showWarning(`Open-Meteo: ${openMeteoResult.error}`);
+  const remembered = await weatherCache.getGeo(query);
+  if (remembered && Number.isFinite(remembered.lat)) {
+    console.log(`📍 Gemerkter Ort für "${query}": ${remembered.city}`);
+    return remembered;
+  }
+
+  const found = await searchLocation(query, options);
+  let candidate = found.candidates[0] || null;
+  if (found.candidates.length > 1 && locationPicker) {
+    candidate = await locationPicker.choose(query, found.candidates, options);
+    if (!candidate) return null;
+  }
+
+  const location = candidate
+    ? {
+        city: candidate.displayName,
+        name: candidate.name,
+        state: candidate.state,
+        country: candidate.country,
+        lat: candidate.lat,
+        lon: candidate.lon,
+      }
+    : { city: found.city, lat: found.lat, lon: found.lon };
+  await weatherCache.setGeo(query, location);
+  return location;
+}
+
+/**
+ * Löst Direkteingaben (utils/locationQuery.js) ohne Vorwärts-Geocoding auf.
+ * Koordinaten und Plus Codes bekommen ihren Anzeigenamen per
+ * Reverse-Geocoding (BigDataCloud); Postleitzahlen werden gezielt über die
+ * Geocoding-API nachgeschlagen.
+ * @param {object} parsed - Ergebnis von parseLocationQuery()
+ * @param {object} options - { signal }
+ * @returns {Promise<object>} - {city, lat, lon, ...}
+ */
+async function resolveDirectLocation(parsed, options = {}) {
+  if (parsed.error) throw new Error(parsed.error);
+  if (parsed.type === "pluscode" && !Number.isFinite(parsed.lat)) {
+    throw new Error(
+      "Kurzer Plus Code: bitte vollständigen Code angeben (z.B. 9F4MGC22+22) oder zuerst einen Ort laden"
+    );
   }
 
-  if (!brightSkyResult.error) {
-    sources.push({
-      id: "brightsky",
-      name: "BrightSky",
-      success: true,
-      duration: brightSkyResult.duration,
-      fromCache: brightSkyResult.fromCache,
+  // Kurze Plus Codes hängen vom Bezugsort ab und werden nicht gemerkt
+  const cacheable = !parsed.short;
+  const remembered = cacheable
+    ? await weatherCache.getGeo(parsed.query)
+    : null;
+  if (remembered && Number.isFinite(remembered.lat)) return remembered;
+
+  let location;
+  if (parsed.type === "postal") {
+    const result = await geocodingAPI.search(parsed.postalCode, {
+      signal: options.signal,
+      countryCode: "DE",
+      count: 1,
     });
+    if (result.aborted) throw createAbortError();
+    const match = result.suggestions?.[0];
+    if (!match) {
+      throw new Error(
+        result.error || `Postleitzahl ${parsed.postalCode} nicht gefunden`
+      );
+    }
+    location = {
+      city: `${parsed.postalCode} ${match.name}`,
+      name: match.name,
+      state: match.state,
+      country: match.country,
+      postalCode: parsed.postalCode,
+      lat: match.lat,
+      lon: match.lon,
+    };
   } else {
-    sources.push({
-      id: "brightsky",
-      name: "BrightSky",
-      success: false,
-      error: brightSkyResult.error,
-    });
-    showWarning(`BrightSky: ${brightSkyResult.error}`);
+    const details = await bigDataCloudAPI.fetchLocationDetails(
+      parsed.lat,
+      parsed.lon,
+      null,
+      "de",
+      { signal: options.signal }
+    );
+    if (details.aborted) throw createAbortError();
+    // Ohne Reverse-Geocoding bleiben die Koordinaten als Name stehen
+    const place = details.data || {};
+    const name = place.city || place.locality || null;
+    location = {
+      // Stadtstaaten: "Berlin, Deutschland" statt "Berlin, Berlin, ..."
+      city:
+        [...new Set([name, place.region, place.country].filter(Boolean))].join(
+          ", "
+        ) || formatCoordinateQuery(parsed.lat, parsed.lon),
+      name: name || parsed.query,
+      state: place.region || null,
+      country: place.country || null,
+      lat: parsed.lat,
+      lon: parsed.lon,
+    };
   }
 
-  // OPTIONALE APIs - Nur wenn API-Keys vorhanden
-  let openWeatherMapResult = null;
-  let visualCrossingResult = null;
-  let bigDataCloudResult = null;
-  let sunriseSunsetResult = null;
-  let moonPhaseResult = null;
+  if (cacheable) await weatherCache.setGeo(parsed.query, location);
+  return location;
+}
 
-  // OpenWeatherMap (optional)
-  if (window.apiKeyManager && window.apiKeyManager.hasKey("openweathermap")) {
-    try {
-      const owmAPI = new OpenWeatherMapAPI();
-      const owmKey = window.apiKeyManager.getKey("openweathermap");
-      openWeatherMapResult = await owmAPI.fetchWeather(lat, lon, owmKey);
-
-      if (!openWeatherMapResult.error) {
-        sources.push({
-          id: "openweathermap",
-          name: "OpenWeatherMap",
-          state: openWeatherMapResult.state,
-          statusMessage:
-            openWeatherMapResult.statusMessage ||
-            buildApiStatusMessage({
-              success: true,
-              duration: openWeatherMapResult.duration,
-              fromCache: false,
-            }),
-          statusDetail: openWeatherMapResult.detail,
-          success: true,
-          duration: openWeatherMapResult.duration || 0,
-          fromCache: false,
-        });
-        console.log("✅ OpenWeatherMap Daten geladen");
-      } else {
-        sources.push({
-          id: "openweathermap",
-          name: "OpenWeatherMap",
-          state: openWeatherMapResult.state,
-          statusMessage: openWeatherMapResult.statusMessage,
-          statusDetail: openWeatherMapResult.detail,
-          success: false,
-          error: openWeatherMapResult.error,
-        });
-        const handled = notifyKeyIssue(
-          "openweathermap",
-          openWeatherMapResult.error
-        );
-        if (!handled) {
-          showWarning(`OpenWeatherMap: ${openWeatherMapResult.error}`);
-        }
-      }
-    } catch (e) {
-      console.warn("OpenWeatherMap Fehler:", e.message);
-      sources.push({
-        id: "openweathermap",
-        name: "OpenWeatherMap",
-        success: false,
-        error: e.message || "Unbekannter Fehler",
-      });
-      const handled = notifyKeyIssue("openweathermap", e.message);
-      if (!handled) {
-        showWarning(`OpenWeatherMap: ${e?.message || "Unbekannter Fehler"}`);
-      }
-    }
+/**
+ * Führt einen registrierten Provider aus und übersetzt das Ergebnis in einen
+ * Eintrag für die Quellen-Liste
+ */
+async function runWeatherProvider(provider, context) {
+  const key = provider.keyId
+    ? window.apiKeyManager?.getKey(provider.keyId) || null
+    : null;
+  // Optionale Key-Quellen ohne Key werden übersprungen
+  if (provider.requiresKey && !key) {
+    return { result: null, source: null };
   }
 
-  // VisualCrossing (optional)
-  if (window.apiKeyManager && window.apiKeyManager.hasKey("visualcrossing")) {
-    try {
-      const vcAPI = new VisualCrossingAPI();
-      const vcKey = window.apiKeyManager.getKey("visualcrossing");
-      visualCrossingResult = await vcAPI.fetchWeather(lat, lon, vcKey);
-
-      if (!visualCrossingResult.error) {
-        sources.push({
-          id: "visualcrossing",
-          name: "VisualCrossing",
-          success: true,
-          duration: visualCrossingResult.duration || 0,
-          fromCache: false,
-        });
-        console.log("✅ VisualCrossing Daten geladen");
-      } else {
-        sources.push({
-          id: "visualcrossing",
-          name: "VisualCrossing",
-          success: false,
-          error: visualCrossingResult.error,
-        });
-        const handled = notifyKeyIssue(
-          "visualcrossing",
-          visualCrossingResult.error
-        );
-        if (!handled) {
-          showWarning(`VisualCrossing: ${visualCrossingResult.error}`);
-        }
-      }
-    } catch (e) {
-      console.warn("VisualCrossing Fehler:", e.message);
-      sources.push({
-        id: "visualcrossing",
-        name: "VisualCrossing",
-        success: false,
-        error: e.message || "Unbekannter Fehler",
-      });
-      const handled = notifyKeyIssue("visualcrossing", e.message);
-      if (!handled) {
-        showWarning(`VisualCrossing: ${e?.message || "Unbekannter Fehler"}`);
-      }
-    }
+  let result;
+  const startedAt = Date.now();
+  try {
+    result = await provider.fetch({ ...context, key });
+  } catch (e) {
+    console.warn(`${provider.name} Fehler:`, e.message);
+    result = { error: e.message || "Unbekannter Fehler" };
   }
+  result = result || { error: "Keine Daten" };
 
-  if (typeof bigDataCloudAPI !== "undefined") {
-    try {
-      const key = window.apiKeyManager?.getKey("bigdatacloud") || null;
-      bigDataCloudResult = await bigDataCloudAPI.fetchLocationDetails(
-        lat,
-        lon,
-        key
-      );
-      if (!bigDataCloudResult.error) {
-        sources.push({
-          id: "bigdatacloud",
-          name: "BigDataCloud",
-          success: true,
-          duration: bigDataCloudResult.duration,
-          fromCache: false,
-        });
-      } else {
-        sources.push({
-          id: "bigdatacloud",
-          name: "BigDataCloud",
-          success: false,
-          error: bigDataCloudResult.error,
-        });
-      }
-    } catch (e) {
-      console.warn("BigDataCloud Fehler:", e.message);
-      sources.push({
-        id: "bigdatacloud",
-        name: "BigDataCloud",
-        success: false,
-        error: e.message || "Unbekannter Fehler",
-      });
+  if (result.aborted) {
+    // Suche verworfen (neue Suche/keine Hauptquelle): nichts mehr melden
+    if (context.discardSignal?.aborted) {
+      return { result: null, source: null, dataset: null, aborted: true };
+    }
+    // sonst hat die Gesamtfrist zugeschlagen
+    result = { error: "Gesamtfrist überschritten" };
+  }
+
+  // Wetterdaten vor dem Rendern gegen das kanonische Schema prüfen
+  let dataset = null;
+  let schemaWarnings = [];
+  if (!result.error && typeof provider.toCanonical === "function") {
+    const check = canonicalizeProviderResult(provider, result, context);
+    if (check.valid) {
+      dataset = check.dataset;
+      schemaWarnings = check.warnings;
+    } else {
+      console.warn(`${provider.name} Schemafehler:`, check.errors);
+      result = { error: `Ungültige Daten: ${check.errors[0]}` };
     }
   }
 
-  if (typeof sunriseSunsetAPI !== "undefined") {
-    try {
-      const key = window.apiKeyManager?.getKey("sunrisesunset") || null;
-      sunriseSunsetResult = await sunriseSunsetAPI.fetchSunEvents(
-        lat,
-        lon,
-        key
-      );
-      if (!sunriseSunsetResult.error) {
-        sources.push({
-          id: "sunrisesunset",
-          name: "Sunrise & Sunset",
-          success: true,
-          duration: sunriseSunsetResult.duration,
-          fromCache: false,
-        });
-      } else {
-        sources.push({
-          id: "sunrisesunset",
-          name: "Sunrise & Sunset",
-          success: false,
-          error: sunriseSunsetResult.error,
-        });
+  const source = {
+    id: provider.id,
+    name: provider.name,
+    success: !result.error,
+    state: result.state,
+    statusMessage: result.statusMessage,
+    statusDetail: result.detail,
+  };
+  if (result.error) {
+    source.error = result.error;
+    // Hauptquellen und Key-Quellen melden Fehler sichtbar
+    if (provider.primary || provider.requiresKey) {
+      const handled = notifyKeyIssue(provider.id, result.error);
+      if (!handled) {
+        showWarning(`${provider.name}: ${result.error}`);
       }
-    } catch (e) {
-      console.warn("SunriseSunset Fehler:", e.message);
-      sources.push({
-        id: "sunrisesunset",
-        name: "Sunrise & Sunset",
-        success: false,
-        error: e.message || "Unbekannter Fehler",
-      });
     }
+  } else {
+    source.duration = result.duration || 0;
+    source.fromCache = !!result.fromCache;
+    if (schemaWarnings.length) {
+      console.warn(`${provider.name} Schema-Hinweise:`, schemaWarnings);
+      source.statusDetail =
+        source.statusDetail ||
+        `⚠️ ${schemaWarnings.length} ungültige Werte verworfen`;
+    }
+    console.log(`✅ ${provider.name} Daten geladen`);
+  }
+  // Latenz und Fehlerquote je Provider fürs Analytics-Dashboard
+  window.analytics?.logApiCall(
+    provider.id,
+    null,
+    result.status ?? null,
+    result.duration || Date.now() - startedAt,
+    source.fromCache,
+    source.success
+  );
+  return { result, source, dataset };
+}
+
+/**
+ * Bildet ein Provider-Ergebnis auf das kanonische Schema ab und validiert es
+ * @returns {object} - { valid, errors, warnings, dataset }
+ */
+function canonicalizeProviderResult(provider, result, context) {
+  try {
+    return validateWeatherDataset(provider.toCanonical(result, context));
+  } catch (e) {
+    return {
+      valid: false,
+      errors: [e.message || "Abbildung fehlgeschlagen"],
+      warnings: [],
+      dataset: null,
+    };
   }
+}
+
+/**
+ * Baut den Statuseintrag für das API-Status-Panel
+ */
+function buildSourceStatus(src) {
+  const classification = classifyProviderState(src.id, src.error);
+  const state =
+    src.state ||
+    classification?.state ||
+    (src.skipped ? "skipped" : src.success ? "online" : "error");
+  const message =
+    classification?.message || src.statusMessage || buildApiStatusMessage(src);
+  const detail =
+    classification?.detail ||
+    src.statusDetail ||
+    (!src.success && src.error
+      ? src.error
+      : providerRequiresKey(src.id)
+      ? `🔐 Key aktiv${providerNoteSuffix(src.id)}`
+      : "");
+  return {
+    id: src.id,
+    name: src.name,
+    state,
+    message,
+    duration: src.duration,
+    fromCache: src.fromCache,
+    detail,
+  };
+}
+
+/**
+ * Lädt Wetterdaten aller registrierten Quellen (siehe providerRegistry)
+ *
+ * Alle Quellen starten gleichzeitig; dependsOn wartet nur auf die genannten
+ * Quellen. Nach FETCH_DEADLINE_MS werden Nachzügler abgebrochen.
+ * Sobald eine Hauptquelle Daten hat, meldet onUpdate jeden neuen Stand.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {object} options - { signal, deadlineMs, onUpdate(weatherData, provider) }
+ * @returns {Promise<object>} - vollständige weatherData
+ */
+async function fetchWeatherData(lat, lon, options = {}) {
+  const {
+    signal = null,
+    deadlineMs = FETCH_DEADLINE_MS,
+    onUpdate = null,
+  } = options;
+  if (signal?.aborted) throw createAbortError();
+
+  const sources = [];
+  const results = {};
+  const datasets = {};
 
-  if (typeof moonPhaseAPI !== "undefined") {
+  console.log(`🌡️ Lade Wetterdaten für ${lat}, ${lon}`);
+
+  // controller bricht Anfragen ab (Suche oder Frist), discard markiert
+  // zusätzlich, dass deren Ergebnisse verworfen werden
+  const controller = new AbortController();
+  const discard = new AbortController();
+  const abortAll = () => {
+    discard.abort();
+    controller.abort();
+  };
+  if (signal) signal.addEventListener("abort", abortAll, { once: true });
+  const deadlineTimer = setTimeout(() => {
+    console.warn(`⏱️ Gesamtfrist (${deadlineMs}ms) erreicht – breche ab`);
+    controller.abort();
+  }, deadlineMs);
+
+  const providers = providerRegistry.list({ fetchable: true });
+  const context = {
+    lat,
+    lon,
+    results,
+    signal: controller.signal,
+    discardSignal: discard.signal,
+  };
+  const pending = new Set(providers.map((p) => p.id));
+
+  const snapshot = () => {
+    // datasets: validierte Daten im kanonischen Schema (utils/weatherSchema.js)
+    const weatherData = {
+      sources: sources.slice(),
+      datasets: { ...datasets },
+      pending: Array.from(pending),
+    };
+    providers.forEach((provider) => {
+      if (!provider.resultKey) return;
+      const result = results[provider.id];
+      weatherData[provider.resultKey] =
+        result && !result.error ? provider.normalize(result, context) : null;
+    });
+    return weatherData;
+  };
+
+  const hasMainData = () =>
+    providers.some(
+      (provider) =>
+        provider.primary &&
+        results[provider.id] &&
+        !results[provider.id].error
+    );
+
+  const notify = (provider) => {
+    if (!onUpdate || discard.signal.aborted || !hasMainData()) return;
     try {
-      const key = window.apiKeyManager?.getKey("moonphase") || null;
-      const moonPhaseContext = {
-        city:
-          (bigDataCloudResult && !bigDataCloudResult.error
-            ? bigDataCloudResult.data?.city ||
-              bigDataCloudResult.data?.locality ||
-              bigDataCloudResult.data?.region
-            : null) ||
-          window.appState?.currentCity ||
-          null,
-        locationDetails:
-          bigDataCloudResult && !bigDataCloudResult.error
-            ? bigDataCloudResult.data
-            : null,
-        latitude: lat,
-        longitude: lon,
-      };
-      moonPhaseResult = await moonPhaseAPI.fetchPhase(
-        new Date(),
-        key,
-        moonPhaseContext
-      );
-      if (!moonPhaseResult.error) {
-        sources.push({
-          id: "moonphase",
-          name: "Moon Phase",
-          success: true,
-          duration: moonPhaseResult.duration,
-          fromCache: false,
-        });
-      } else {
-        sources.push({
-          id: "moonphase",
-          name: "Moon Phase",
-          success: false,
-          error: moonPhaseResult.error,
-        });
-      }
+      onUpdate(snapshot(), provider);
     } catch (e) {
-      console.warn("MoonPhase Fehler:", e.message);
-      sources.push({
-        id: "moonphase",
-        name: "Moon Phase",
-        success: false,
-        error: e.message || "Unbekannter Fehler",
-      });
+      console.warn("Progressive Anzeige fehlgeschlagen", e);
     }
-  }
+  };
 
-  if (sources.length) {
-    const statusPayload = sources
-      .filter((src) => src.id)
-      .map((src) => {
-        const classification = classifyProviderState(src.id, src.error);
-        const state =
-          src.state ||
-          classification?.state ||
-          (src.skipped ? "skipped" : src.success ? "online" : "error");
-        const message =
-          classification?.message ||
-          src.statusMessage ||
-          buildApiStatusMessage(src);
-        const detail =
-          classification?.detail ||
-          src.statusDetail ||
-          (!src.success && src.error
-            ? src.error
-            : providerRequiresKey(src.id)
-            ? `🔐 Key aktiv${providerNoteSuffix(src.id)}`
-            : "");
-        return {
-          id: src.id,
-          name: src.name,
-          state,
-          message,
-          duration: src.duration,
-          fromCache: src.fromCache,
-          detail,
-        };
+  const running = new Map();
+  const start = (provider) => {
+    if (running.has(provider.id)) return running.get(provider.id);
+    const dependencies = (provider.dependsOn || [])
+      .map((id) => providerRegistry.get(id))
+      .filter((dep) => dep && typeof dep.fetch === "function");
+    const task = Promise.all(dependencies.map(start))
+      .then(() => runWeatherProvider(provider, context))
+      .then((outcome) => {
+        pending.delete(provider.id);
+        if (outcome.result) results[provider.id] = outcome.result;
+        if (outcome.dataset) datasets[provider.id] = outcome.dataset;
+        if (outcome.source) {
+          sources.push(outcome.source);
+          if (outcome.source.id && !discard.signal.aborted) {
+            updateApiStatusStore([buildSourceStatus(outcome.source)]);
+          }
+        }
+        notify(provider);
+        return outcome;
       });
-    updateApiStatusStore(statusPayload);
-  }
+    running.set(provider.id, task);
+    return task;
+  };
 
-  // Prüfe ob mindestens eine Hauptquelle erfolgreich war
-  const hasMainData = [openMeteoResult, brightSkyResult].some((r) => !r.error);
-  if (!hasMainData) {
-    throw new Error(
-      "Keine Wetterdaten verfügbar - Hauptquellen fehlgeschlagen"
-    );
-  }
+  try {
+    providers.forEach(start);
 
-  return {
-    openMeteo: openMeteoResult.error ? null : openMeteoResult.data,
-    brightSky: brightSkyResult.error ? null : brightSkyResult.data,
-    openWeatherMap:
-      openWeatherMapResult && !openWeatherMapResult.error
-        ? openWeatherMapResult.data
-        : null,
-    visualCrossing:
-      visualCrossingResult && !visualCrossingResult.error
-        ? visualCrossingResult.data
-        : null,
-    locationDetails:
-      bigDataCloudResult && !bigDataCloudResult.error
-        ? bigDataCloudResult.data
-        : null,
-    sunEvents:
-      sunriseSunsetResult && !sunriseSunsetResult.error
-        ? sunriseSunsetResult.data
-        : null,
-    moonPhase:
-      moonPhaseResult && !moonPhaseResult.error ? moonPhaseResult.data : null,
-    sources,
-  };
+    // Prüfe ob mindestens eine Hauptquelle erfolgreich war
+    await Promise.all(providers.filter((p) => p.primary).map(start));
+    if (signal?.aborted) throw createAbortError();
+    if (!hasMainData()) {
+      abortAll();
+      throw new Error(
+        "Keine Wetterdaten verfügbar - Hauptquellen fehlgeschlagen"
+      );
+    }
+
+    await Promise.all(running.values());
+    if (signal?.aborted) throw createAbortError();
+    return snapshot();
+  } finally {
+    clearTimeout(deadlineTimer);
+    if (signal) signal.removeEventListener("abort", abortAll);
+  }
 }
 
 /**
@@ -1484,12 +1825,7 @@ function displayWeatherResults(location, weatherData) {
 
   // Update detailed comparison view (if available)
   try {
-    // Pass converted renderData if available (appState.renderData set by caller)
-    weatherDisplay.showSourcesComparison(
-      appState?.renderData?.openMeteo ? appState.renderData.openMeteo : null,
-      appState?.renderData?.brightSky ? appState.renderData.brightSky : null,
-      sources
-    );
+    weatherDisplay.showSourcesComparison(weatherData.datasets || {}, sources);
   } catch (e) {
     // ignore
   }
@@ -1528,23 +1864,74 @@ function displayWeatherResults(location, weatherData) {
   }
 }
 
+// AbortController der laufenden Suche (neue Suche bricht die alte ab)
+let activeSearchController = null;
+
+/**
+ * Zeigt (Teil-)Ergebnisse einer Suche an
+ */
+function renderWeatherData(location, weatherData) {
+  // Speichere WeatherData im globalen State und bereite renderbare Daten vor
+  try {
+    appState.weatherData = weatherData;
+    appState.renderData = buildRenderData(
+      weatherData,
+      appState.units || { temperature: "C", wind: "km/h" }
+    );
+  } catch (e) {
+    /* ignore */
+  }
+
+  // Zeige Ergebnisse (verwende die konvertierten renderData für Anzeige)
+  try {
+    weatherDisplay.displayCurrent(appState.renderData, location.city);
+  } catch (e) {
+    // Fallback: falls renderData fehlt, zeige rohe Daten
+    weatherDisplay.displayCurrent(weatherData, location.city);
+  }
+  displayWeatherResults(location, weatherData);
+}
+
 /**
  * Hauptfunktion: Wetter laden und anzeigen
+ * @param {string} city - Suchbegriff
+ * @param {object} options - { location } aus einem Suchvorschlag
  */
-async function loadWeather(city) {
+async function loadWeather(city, options = {}) {
+  if (activeSearchController) activeSearchController.abort();
+  const controller = new AbortController();
+  activeSearchController = controller;
+  const { signal } = controller;
+
   try {
     // Log analytics
     if (window.logAnalyticsEvent) {
-      window.logAnalyticsEvent("search", { city, timestamp: Date.now() });
+      window.logAnalyticsEvent("search", { query: city });
+    }
+
+    // Offline: Favoriten aus dem Snapshot der Hintergrund-Synchronisation
+    if (
+      navigator.onLine === false &&
+      (await showFavoriteSnapshot(city, signal))
+    ) {
+      return;
     }
 
-    // Zeige Loading-State
-    weatherDisplay.showLoading();
     searchComponent.setLoading(true);
     errorHandler.clearAll();
 
-    // Suche Ort
-    const location = await searchLocation(city);
+    // Suche Ort (bei mehreren Treffern wählt der Nutzer)
+    const location = await resolveLocation(city, {
+      signal,
+      preset: options.location,
+    });
+    if (!location) {
+      console.log(`📍 Ortsauswahl für "${city}" abgebrochen`);
+      return;
+    }
+
+    // Zeige Loading-State
+    weatherDisplay.showLoading();
     appState.currentCity = location.city;
     appState.currentCoordinates = {
       lat: location.lat,
@@ -1552,36 +1939,12 @@ async function loadWeather(city) {
       lng: location.lon,
     };
 
-    // Lade Wetterdaten
-    const weatherData = await fetchWeatherData(location.lat, location.lon);
-
-    // Log API call
-    if (window.logAnalyticsEvent) {
-      window.logAnalyticsEvent("api_call", {
-        city: location.city,
-        timestamp: Date.now(),
-      });
-    }
-
-    // Speichere WeatherData im globalen State und bereite renderbare Daten vor
-    try {
-      appState.weatherData = weatherData;
-      appState.renderData = buildRenderData(
-        weatherData,
-        appState.units || { temperature: "C", wind: "km/h" }
-      );
-    } catch (e) {
-      /* ignore */
-    }
-
-    // Zeige Ergebnisse (verwende die konvertierten renderData für Anzeige)
-    try {
-      weatherDisplay.displayCurrent(appState.renderData, location.city);
-    } catch (e) {
-      // Fallback: falls renderData fehlt, zeige rohe Daten
-      weatherDisplay.displayCurrent(weatherData, location.city);
-    }
-    displayWeatherResults(location, weatherData);
+    // Lade Wetterdaten; jede eintreffende Quelle wird sofort angezeigt
+    const weatherData = await fetchWeatherData(location.lat, location.lon, {
+      signal,
+      onUpdate: (partial) => renderWeatherData(location, partial),
+    });
+    storeFavoriteSnapshot(location, weatherData);
 
     if (window.weatherMap) {
       const lonValue =
@@ -1591,20 +1954,22 @@ async function loadWeather(city) {
       }
     }
 
-    // Speichere im Cache
-    weatherCache.setGeo(city, {
-      city: location.city,
-      lat: location.lat,
-      lon: location.lon,
-    });
-
     showSuccess(`✅ Wetter für ${location.city} geladen`);
   } catch (error) {
+    if (signal.aborted || isAbortError(error)) {
+      console.log(`⏹️ Suche nach "${city}" abgebrochen`);
+      return;
+    }
     console.error("❌ Fehler beim Laden:", error);
+    if (await showFavoriteSnapshot(city, signal)) return;
     weatherDisplay.showError(error.message);
     errorHandler.showWithRetry(error.message, () => loadWeather(city));
   } finally {
-    searchComponent.setLoading(false);
+    // Nur die jeweils aktuelle Suche setzt den Loading-State zurück
+    if (activeSearchController === controller) {
+      activeSearchController = null;
+      searchComponent.setLoading(false);
+    }
   }
 }
 if (typeof window !== "undefined") {
@@ -1641,6 +2006,11 @@ function initApp() {
   });
 
   initializeApiStatusDefaults();
+  syncServiceWorkerApiHosts();
+  providerRegistry.onChange(() => {
+    initializeApiStatusDefaults();
+    syncServiceWorkerApiHosts();
+  });
   window.updateApiStatusEntry = (providerId, payload = {}) => {
     if (!providerId) return;
     updateApiStatusStore([{ id: providerId, ...payload }]);
@@ -1652,18 +2022,30 @@ function initApp() {
   searchComponent = new SearchInputComponent(
     "#cityInput",
     "#searchBtn",
-    "#recent-cities"
+    "#recent-cities",
+    { getFavorites: () => appState?.favorites || [] }
   );
   weatherDisplay = new WeatherDisplayComponent(
     "current-weather",
     "forecast-container"
   );
+  locationPicker = new LocationPickerComponent("location-picker-modal");
   window.searchComponent = searchComponent;
   window.weatherDisplay = weatherDisplay;
 
   // Globale State
   appState = new AppState();
   window.appState = appState;
+  // Favoriten für Service Worker und Offline-Snapshots
+  favoriteStore = createFavoriteStore();
+  mirrorFavorites();
+  // Ausgang für Anfragen, die den Server nicht erreicht haben
+  requestOutbox = createRequestOutbox();
+  scheduleOutboxReplay();
+  // Ohne Background Sync spielt das Fenster den Ausgang selbst ab
+  if (!("SyncManager" in window)) {
+    window.addEventListener("online", () => replayRequestOutbox());
+  }
 
   // Render Favorites initial
   try {
@@ -1674,7 +2056,7 @@ function initApp() {
 
   // Event-Listener
   window.addEventListener("search", (e) => {
-    loadWeather(e.detail.city);
+    loadWeather(e.detail.city, { location: e.detail.location });
   });
 
   document.getElementById("darkModeToggle")?.addEventListener("change", (e) => {
@@ -1721,17 +2103,51 @@ function initApp() {
 
   // Initialize Feature Modules (Maps, Alerts, Historical, Analytics)
   const weatherMap = new WeatherMap("weather-map");
-  const weatherAlerts = new WeatherAlerts("weather-alerts");
+  const alertHistory = new AlertHistory();
+  const weatherAlerts = new WeatherAlerts("weather-alerts", {
+    ruleStore: new AlertRuleStore(),
+    history: alertHistory,
+    // Quittierte Regel-Warnungen verschickt der Push-Server nicht erneut
+    onAcknowledge: () => syncPushAlertTargets(),
+  });
+  // Amtliche CAP-Warnungen für den Ort und alle Favoriten (MeteoAlarm)
+  const alertsPanel = new AlertsPanel("cap-alerts", {
+    history: alertHistory,
+    onAcknowledge: () => syncPushAlertTargets(),
+  });
+  // "Gesehen" direkt in der Push-Benachrichtigung (Service Worker)
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.addEventListener("message", (event) => {
+      if (event.data?.type === "ALERTS_ACKNOWLEDGED") {
+        weatherAlerts.acknowledge(event.data.keys || []);
+      }
+      if (event.data?.type === "REQUEST_OUTBOX_UPDATED") {
+        window.requestOutboxPanel?.render();
+      }
+    });
+  }
   const historicalChart = new HistoricalChart("historical-chart");
-  const analytics = new Analytics();
+  const analytics = new Analytics({
+    // Gescheiterte Bündel sendet der Service Worker aus dem Ausgang
+    requestOutbox: {
+      enqueue: (request) =>
+        queueFailedRequest({ ...request, kind: OUTBOX_KINDS.ANALYTICS }),
+      discard: () => discardFailedRequests({ kind: OUTBOX_KINDS.ANALYTICS }),
+    },
+  });
   weatherMap.bindToolbar("#map-layer-toolbar");
   const mapInspector = new MapDataInspector("map-inspector");
   weatherMap.attachInspector(mapInspector);
   window.weatherMap = weatherMap;
   window.mapInspector = mapInspector;
+  window.alertsPanel = alertsPanel;
 
-  // Log analytics events
+  // Einzige Analytics-Pipeline (utils/analytics.js); ohne Einwilligung
+  // verwirft logEvent alles
+  window.analytics = analytics;
   window.logAnalyticsEvent = (type, data) => analytics.logEvent(type, data);
+  // Optionaler Sammel-Server (Adresse im Analytics-Tab)
+  analytics.startUploads();
 
   // 🌍 Automatischer Standort beim App-Start
   if (navigator.geolocation) {
@@ -1820,6 +2236,9 @@ function initApp() {
             lon,
             appState.currentCity || "Standort"
           );
+          alertsPanel
+            .fetchAlerts(appState.currentCoordinates.lat, lon)
+            .then((alerts) => alertsPanel.render(alerts));
         } else if (tabName === "historical" && appState.currentCoordinates) {
           const lon =
             appState.currentCoordinates.lon ?? appState.currentCoordinates.lng;
@@ -1959,13 +2378,13 @@ function initApp() {
   // Cache & Verlauf Aktionen in den Einstellungen
   const clearCacheBtn = document.getElementById("clear-cache-btn");
   if (clearCacheBtn) {
-    clearCacheBtn.addEventListener("click", () => {
+    clearCacheBtn.addEventListener("click", async () => {
       try {
         const statsBefore =
           typeof weatherCache.getStats === "function"
             ? weatherCache.getStats()
             : null;
-        weatherCache.clear();
+        await weatherCache.clear();
         showSuccess("Cache geleert – neue Anfragen laden frische Daten.");
         if (window.logAnalyticsEvent) {
           window.logAnalyticsEvent("settings_action", {
@@ -2002,77 +2421,8 @@ function initApp() {
     });
   }
 
-  // API Keys - Load existing keys into inputs
-  const owmKeyInput = document.getElementById("openweathermap-key");
-  const vcKeyInput = document.getElementById("visualcrossing-key");
-  const meteostatKeyInput = document.getElementById("meteostat-key");
-  if (owmKeyInput)
-    owmKeyInput.value = window.apiKeyManager.getKey("openweathermap") || "";
-  if (vcKeyInput)
-    vcKeyInput.value = window.apiKeyManager.getKey("visualcrossing") || "";
-  if (meteostatKeyInput)
-    meteostatKeyInput.value = window.apiKeyManager.getKey("meteostat") || "";
-
-  // API Keys - Save handlers
-  if (owmKeyInput) {
-    const persistOwmKey = (rawValue) => {
-      const trimmed = (rawValue || "").trim();
-      if (!trimmed) {
-        window.apiKeyManager.setKey("openweathermap", "");
-        showInfo("OpenWeatherMap API-Key entfernt");
-        syncProviderKeyState("openweathermap");
-        window.weatherMap?.refreshOverlays?.();
-        return;
-      }
-      if (!/^[A-Za-z0-9]{32,64}$/.test(trimmed)) {
-        showWarning(
-          "OpenWeatherMap API-Key muss 32 Zeichen enthalten. Bitte kopiere ihn exakt aus deinem OWM-Dashboard."
-        );
-        focusAndHighlight("openweathermap-key", 200);
-        return;
-      }
-      const success = window.apiKeyManager.setKey("openweathermap", trimmed);
-      if (success) {
-        showSuccess("OpenWeatherMap API-Key gespeichert");
-        syncProviderKeyState("openweathermap");
-        window.weatherMap?.refreshOverlays?.();
-      }
-    };
-
-    ["change", "blur"].forEach((evtName) => {
-      owmKeyInput.addEventListener(evtName, (e) =>
-        persistOwmKey(e.target.value)
-      );
-    });
-
-    owmKeyInput.addEventListener("keydown", (e) => {
-      if (e.key === "Enter") {
-        e.preventDefault();
-        persistOwmKey(e.target.value);
-      }
-    });
-  }
-  if (vcKeyInput) {
-    vcKeyInput.addEventListener("change", (e) => {
-      const success = window.apiKeyManager.setKey(
-        "visualcrossing",
-        e.target.value
-      );
-      if (success) {
-        showSuccess("VisualCrossing API-Key gespeichert");
-        syncProviderKeyState("visualcrossing");
-      }
-    });
-  }
-  if (meteostatKeyInput) {
-    meteostatKeyInput.addEventListener("change", (e) => {
-      const success = window.apiKeyManager.setKey("meteostat", e.target.value);
-      if (success) {
-        showSuccess("Meteostat API-Key gespeichert");
-        syncProviderKeyState("meteostat");
-      }
-    });
-  }
+  // API Keys - Eingabefelder aus der Provider-Registry
+  initProviderKeyInputs();
 
   // VAPID Save button
   const saveVapidBtn = document.getElementById("saveVapidBtn");
@@ -2112,6 +2462,42 @@ function initApp() {
     });
   }
 
+  // Push alert preferences (Sturm/Starkregen/Frost für Favoriten)
+  const pushAlertPrefs = document.getElementById("push-alert-prefs");
+  if (pushAlertPrefs) {
+    const prefs = loadPushAlertPreferences();
+    pushAlertPrefs
+      .querySelectorAll("input[data-alert-type]")
+      .forEach((input) => {
+        input.checked = prefs[input.dataset.alertType] !== false;
+        input.addEventListener("change", () => {
+          savePushAlertPreferences({
+            ...loadPushAlertPreferences(),
+            [input.dataset.alertType]: input.checked,
+          });
+          syncPushAlertTargets();
+        });
+      });
+  }
+
+  // Eigene Warnregeln: Warnungen-Tab liest sie direkt, Push-Server per Sync
+  window.alertRulesEditor = new AlertRulesEditorComponent(
+    "alert-rules-editor",
+    {
+      getFavorites: () => appState?.favorites || [],
+      onChange: () => syncPushAlertTargets(),
+    }
+  );
+
+  // Ausstehende und verworfene Übertragungen (utils/requestOutbox.js)
+  window.requestOutboxPanel = new RequestOutboxPanelComponent(
+    "request-outbox-panel",
+    {
+      getStore: () => requestOutbox,
+      onReplay: () => replayRequestOutbox(true),
+    }
+  );
+
   // AUTO-FETCH VAPID on app init (fixes push notification issue)
   (async () => {
     try {
@@ -2141,8 +2527,11 @@ function initApp() {
 
 // Globale Komponenten-Instanzen
 let appState;
+let favoriteStore = null;
+let requestOutbox = null;
 let searchComponent;
 let weatherDisplay;
+let locationPicker;
 
 // Starte App wenn DOM bereit
 if (document.readyState === "loading") {
@@ -2336,22 +2725,111 @@ async function fetchVapidFromServer() {
   }
 }
 
+const PUSH_ALERT_PREFS_KEY = "wetter_push_alert_prefs";
+const DEFAULT_PUSH_ALERT_PREFS = { storm: true, heavyRain: true, frost: true };
+
+function loadPushAlertPreferences() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PUSH_ALERT_PREFS_KEY));
+    return { ...DEFAULT_PUSH_ALERT_PREFS, ...(stored || {}) };
+  } catch (e) {
+    return { ...DEFAULT_PUSH_ALERT_PREFS };
+  }
+}
+
+function savePushAlertPreferences(prefs) {
+  try {
+    localStorage.setItem(PUSH_ALERT_PREFS_KEY, JSON.stringify(prefs));
+  } catch (e) {
+    console.warn("Push-Präferenzen konnten nicht gespeichert werden", e);
+  }
+}
+
 /**
- * Send subscription object to local push server /subscribe
+ * Favoriten mit Koordinaten als Ziele für serverseitige Warnungen,
+ * jeweils mit den nur dort geltenden Warnregeln
  */
-async function sendSubscriptionToServer(subscription) {
+function collectPushAlertLocations() {
+  const favorites = appState?.favorites || [];
+  const ruleStore = new AlertRuleStore();
+  return favorites
+    .map((fav) => {
+      const lat = Number(fav?.coords?.lat);
+      const lon = Number(fav?.coords?.lon ?? fav?.coords?.lng);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+      const rules = ruleStore.getRules(alertLocationKey(lat, lon));
+      return rules.length
+        ? { name: fav.city, lat, lon, rules }
+        : { name: fav.city, lat, lon };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Send subscription plus favorite locations, alert preferences, alert
+ * rules and acknowledged alerts to local push server /subscribe.
+ * Failed uploads go to the request outbox; only the latest one per
+ * subscription is kept.
+ * @param {PushSubscription} subscription
+ * @param {string} kind - outbox kind (OUTBOX_KINDS)
+ */
+async function sendSubscriptionToServer(
+  subscription,
+  kind = OUTBOX_KINDS.PUSH_SUBSCRIPTION
+) {
+  const request = {
+    kind,
+    url: "http://localhost:3030/subscribe",
+    payload: {
+      subscription,
+      locations: collectPushAlertLocations(),
+      preferences: loadPushAlertPreferences(),
+      rules: new AlertRuleStore().getRules("user"),
+      acknowledged: new AlertHistory().acknowledgedNotifyKeys(),
+    },
+    replaceKey: `subscribe:${subscription.endpoint}`,
+  };
+  let res;
   try {
-    const res = await fetch("http://localhost:3030/subscribe", {
+    res = await fetch(request.url, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(subscription),
+      body: JSON.stringify(request.payload),
     });
-    if (!res.ok) throw new Error("Server returned " + res.status);
-    return await res.json();
+    if (!res.ok) {
+      const error = new Error("Server returned " + res.status);
+      error.status = res.status;
+      throw error;
+    }
   } catch (e) {
     console.warn("sendSubscriptionToServer failed", e);
+    if (!isPermanentOutboxFailure(e.status)) {
+      queueFailedRequest({ ...request, error: e.message });
+    }
     throw e;
   }
+  // An older queued upload would overwrite the current state
+  discardFailedRequests({ replaceKey: request.replaceKey });
+  return res.json();
+}
+
+/**
+ * Re-sends the active subscription when favorites, alert preferences,
+ * alert rules or acknowledged alerts change.
+ */
+async function syncPushAlertTargets() {
+  if (localStorage.getItem("wetter_push_enabled") !== "true") return false;
+  if (!("serviceWorker" in navigator)) return false;
+  try {
+    const reg = await navigator.serviceWorker.ready;
+    const sub = await reg.pushManager.getSubscription();
+    if (!sub) return false;
+    await sendSubscriptionToServer(sub, OUTBOX_KINDS.SETTINGS);
+    return true;
+  } catch (e) {
+    console.warn("Push-Ziele konnten nicht synchronisiert werden", e);
+    return false;
+  }
 }
 
 /**
@@ -2520,6 +2998,9 @@ function openSettingsModal(focusFieldId) {
   modal.setAttribute("aria-hidden", "false");
   modalOverlay?.classList.add("active");
   document.body.style.overflow = "hidden";
+  // Favoriten können sich seit dem letzten Öffnen geändert haben
+  window.alertRulesEditor?.render();
+  window.requestOutboxPanel?.render();
 
   if (focusFieldId) {
     focusAndHighlight(focusFieldId, 250);
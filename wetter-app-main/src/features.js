@@ -2,7 +2,8 @@
 
 /**
  * features.js - Additional UI modules used by app.js
- * Weather map, alert aggregation, historical charts and local analytics.
+ * Weather map, alert aggregation and historical charts.
+ * Local analytics live in utils/analytics.js.
  */
 
 /**
@@ -216,6 +217,15 @@ class WeatherMap {
         template:
           "https://tile.openweathermap.org/map/snow_new/{z}/{x}/{y}.png?appid={API_KEY}",
       },
+      {
+        key: "openseamap",
+        label: "Seezeichen (OpenSeaMap)",
+        provider: "OpenSeaMap",
+        attribution: "© OpenSeaMap",
+        url: "https://tiles.openseamap.org/seamark/{z}/{x}/{y}.png",
+        // Nur über die Toolbar, nie als Standard-Overlay
+        manualOnly: true,
+      },
     ];
   }
 
@@ -331,6 +341,17 @@ class WeatherMap {
           "Inspector blendet lokale Luftqualitäts-Indizes (AQI) ein.",
         inspectorMode: "air-quality",
       },
+      {
+        key: "marine",
+        label: "Marine",
+        shortLabel: "See",
+        icon: "🌊",
+        provider: "OpenSeaMap · Open-Meteo Marine",
+        description:
+          "Seezeichen an der Küste; Inspector zeigt Wellenhöhe und Wassertemperatur.",
+        overlayKey: "openseamap",
+        inspectorMode: "marine",
+      },
     ];
   }
 
@@ -1564,7 +1585,9 @@ class WeatherMap {
 
   _activateDefaultOverlay(overlays) {
     if (!this.map) return;
-    const entries = Object.entries(overlays);
+    const entries = Object.entries(overlays).filter(
+      ([, layer]) => !this.overlayLookup.get(layer)?.manualOnly
+    );
     if (!entries.length) return;
     const preferred = entries.find(([label]) =>
       label.toLowerCase().includes("radar")
@@ -1855,27 +1878,36 @@ class MapDataInspector {
         hourly: "snowfall,precipitation_probability,uv_index",
         timezone: "auto",
       }).toString();
-      const airUrl = new URL(
-        "https://air-quality-api.open-meteo.com/v1/air-quality"
-      );
+      const airUrl = new URL(API_ENDPOINTS.AIR_QUALITY.BASE);
       airUrl.search = new URLSearchParams({
         latitude: roundedLat,
         longitude: roundedLon,
         hourly: "pm10,pm2_5,european_aqi",
         timezone: "auto",
       }).toString();
+      const marineUrl = new URL(API_ENDPOINTS.MARINE.BASE);
+      marineUrl.search = new URLSearchParams({
+        latitude: roundedLat,
+        longitude: roundedLon,
+        current: "wave_height,wave_direction,sea_surface_temperature",
+        timezone: "auto",
+      }).toString();
 
-      const [weatherRes, airRes] = await Promise.all([
+      // Marine antwortet für Binnenorte mit Fehler oder leeren Werten
+      const [weatherRes, airRes, marineRes] = await Promise.all([
         fetch(weatherUrl),
         fetch(airUrl),
+        fetch(marineUrl).catch(() => null),
       ]);
       const weather = weatherRes.ok ? await weatherRes.json() : null;
       const air = airRes.ok ? await airRes.json() : null;
+      const marine = marineRes?.ok ? await marineRes.json() : null;
       const normalized = this._normalizeData(
         weather,
         air,
         roundedLat,
-        roundedLon
+        roundedLon,
+        marine
       );
       this.cache.set(cacheKey, {
         data: normalized,
@@ -1906,7 +1938,7 @@ class MapDataInspector {
     }
   }
 
-  _normalizeData(weather, air, lat, lon) {
+  _normalizeData(weather, air, lat, lon, marine = null) {
     if (!weather?.current) return null;
     const current = weather.current;
     const hourly = weather.hourly || {};
@@ -1937,6 +1969,11 @@ class MapDataInspector {
         pm25: pickAir("pm2_5"),
         pm10: pickAir("pm10"),
       },
+      marine: {
+        waveHeight: marine?.current?.wave_height ?? null,
+        waveDirection: marine?.current?.wave_direction ?? null,
+        seaTemperature: marine?.current?.sea_surface_temperature ?? null,
+      },
     };
   }
 
@@ -2010,6 +2047,18 @@ class MapDataInspector {
         label: "AQI",
         value: this._formatValue(data.airQuality?.aqi, ""),
       },
+      {
+        key: "marine",
+        label: "Seegang",
+        value:
+          data.marine?.waveHeight === null
+            ? "kein Meer"
+            : `${this._formatValue(
+                data.marine.waveHeight,
+                " m",
+                1
+              )} · Wasser ${this._formatTemp(data.marine.seaTemperature)}`,
+      },
     ];
   }
 
@@ -2089,6 +2138,18 @@ class MapDataInspector {
           <span>Wolken: ${this._formatValue(data.clouds, "%")}</span>
           <span>Feuchte: ${this._formatValue(data.humidity, "%")}</span>
         </div>
+        ${
+          this.currentMode === "marine"
+            ? `<div class="map-hover-row secondary">
+          <span>Wellen: ${this._formatValue(
+            data.marine?.waveHeight,
+            " m",
+            1
+          )}</span>
+          <span>Wasser: ${this._formatTemp(data.marine?.seaTemperature)}</span>
+        </div>`
+            : ""
+        }
       `;
       this.tooltipEl.innerHTML = content;
       this.tooltipEl.classList.remove("is-loading");
@@ -2138,9 +2199,16 @@ class MapDataInspector {
 // ============================================
 
 class WeatherAlerts {
-  constructor(containerId) {
+  constructor(containerId, options = {}) {
     this.containerId = containerId;
     this.activeRequest = 0;
+    // AlertRuleStore mit den Warnregeln des Benutzers
+    this.ruleStore = options.ruleStore || null;
+    // AlertHistory: Verlauf und Quittierung (geteilt mit AlertsPanel)
+    this.history = options.history || null;
+    this.onAcknowledge = options.onAcknowledge || null;
+    this.historyFilter = { location: "", severity: "", open: false };
+    this.lastRender = null;
   }
 
   async fetchAlerts(lat, lon, city) {
@@ -2152,167 +2220,535 @@ class WeatherAlerts {
     container.innerHTML =
       '<p class="alerts-loading">Warnungen werden geladen...</p>';
 
-    try {
-      const url = this._buildForecastUrl(lat, lon);
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`Warnungs-API ${response.status}`);
-      }
-      const payload = await response.json();
+    // Amtliche (DWD) und berechnete Warnungen parallel laden
+    const [official, computed] = await Promise.allSettled([
+      this._fetchOfficialAlerts(lat, lon),
+      this._fetchComputedAlerts(lat, lon),
+    ]);
 
-      if (this.activeRequest !== requestId) {
-        return;
-      }
+    if (this.activeRequest !== requestId) {
+      return;
+    }
 
-      const alerts = this._deriveAlerts(payload);
-      this.renderAlerts(alerts, city || "Standort");
-    } catch (error) {
+    if (official.status === "rejected" && computed.status === "rejected") {
+      const error = computed.reason || official.reason || {};
       console.error("WeatherAlerts", error);
       container.innerHTML = `
         <div class="alerts-empty">
           <p>Warnungen aktuell nicht verfuegbar</p>
-          <small>${error.message || "Unbekannter Fehler"}</small>
+          <small>${this._escapeHtml(error.message || "Unbekannter Fehler")}</small>
         </div>
       `;
+      return;
     }
+
+    const merged = this.mergeAlerts(
+      official.status === "fulfilled" ? official.value : [],
+      computed.status === "fulfilled" ? computed.value : []
+    );
+    const alerts = this._recordHistory(merged, {
+      name: city || "Standort",
+      lat: Number(lat),
+      lon: Number(lon),
+    });
+    this.renderAlerts(alerts, city || "Standort", {
+      officialUnavailable: official.status === "rejected",
+      computedUnavailable: computed.status === "rejected",
+    });
   }
 
-  _buildForecastUrl(lat, lon) {
-    const params = new URLSearchParams({
-      latitude: lat,
-      longitude: lon,
-      hourly:
-        "temperature_2m,apparent_temperature,precipitation_probability,precipitation,weathercode,windspeed_10m",
-      timezone: "auto",
-      forecast_days: "2",
+  /**
+   * Amtliche DWD-Warnungen über BrightSky (/alerts)
+   * @returns {Promise<array>}
+   */
+  async _fetchOfficialAlerts(lat, lon) {
+    if (typeof brightSkyAPI === "undefined") {
+      throw new Error("BrightSky nicht geladen");
+    }
+    const result = await brightSkyAPI.fetchAlerts(Number(lat), Number(lon));
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    return brightSkyAPI
+      .formatAlerts(result.data)
+      .map((alert) => this._fromOfficial(alert));
+  }
+
+  /**
+   * Aus Open-Meteo-Daten und den Warnregeln abgeleitete Warnungen. Regeln
+   * auf Luftqualität, Pollen oder Seegang laden zusätzlich die passende API
+   * (ALERT_RULE_SOURCE_URLS); fällt diese aus, gelten nur die übrigen Regeln.
+   * @returns {Promise<array>}
+   */
+  async _fetchComputedAlerts(lat, lon) {
+    const rules = this._rulesFor(lat, lon);
+    const url = this._buildForecastUrl(lat, lon, alertRuleVariables(rules));
+    const extraSources = Object.keys(ALERT_RULE_SOURCE_URLS)
+      .map((source) => [source, alertRuleVariables(rules, source)])
+      .filter(([, variables]) => variables.length);
+    const [response, ...extras] = await Promise.all([
+      fetch(url),
+      ...extraSources.map(([source, variables]) =>
+        this._fetchSourceHourly(source, lat, lon, variables)
+      ),
+    ]);
+    if (!response.ok) {
+      throw new Error(`Warnungs-API ${response.status}`);
+    }
+    const payload = await response.json();
+    extras.forEach((hourly) => {
+      if (hourly) payload.hourly = mergeHourly(payload.hourly, hourly);
     });
-    return `https://api.open-meteo.com/v1/forecast?${params.toString()}`;
+    return this._deriveAlerts(payload, rules);
   }
 
-  _deriveAlerts(payload) {
-    const alerts = [];
-    const hourly = payload && payload.hourly ? payload.hourly : {};
-    const hours = (hourly.time || []).slice(0, 24);
+  /**
+   * Stündliche Werte einer weiteren Open-Meteo-API für die Warnregeln
+   * @param {string} source - Schlüssel aus ALERT_RULE_SOURCE_URLS
+   * @returns {Promise<object|null>} - hourly oder null bei Fehler
+   * @private
+   */
+  async _fetchSourceHourly(source, lat, lon, variables) {
+    try {
+      const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        hourly: variables.join(","),
+        timezone: "auto",
+        forecast_days: "2",
+      });
+      const response = await fetch(
+        `${ALERT_RULE_SOURCE_URLS[source]}?${params.toString()}`
+      );
+      if (!response.ok) throw new Error(`${source} ${response.status}`);
+      const payload = await response.json();
+      return payload?.hourly || null;
+    } catch (error) {
+      console.warn(`Warnregeln: ${source} nicht verfügbar`, error);
+      return null;
+    }
+  }
 
-    const grab = (arr, idx, fallback = null) => {
-      if (!arr || !(idx in arr)) return fallback;
-      const value = Number(arr[idx]);
-      return Number.isFinite(value) ? value : fallback;
-    };
+  /**
+   * Führt amtliche und berechnete Warnungen zusammen. Amtliche stehen vorn
+   * (nach Stufe, dann Beginn); berechnete Warnungen entfallen, wenn eine
+   * amtliche Warnung dieselbe Gefahr zur selben Zeit abdeckt.
+   * @param {array} official
+   * @param {array} computed
+   * @returns {array}
+   */
+  mergeAlerts(official, computed) {
+    const rank = { violet: 4, red: 3, orange: 2, yellow: 1 };
+    const sortedOfficial = official.slice().sort((a, b) => {
+      const byLevel = (rank[b.severity] || 0) - (rank[a.severity] || 0);
+      if (byLevel !== 0) return byLevel;
+      return Date.parse(a.time || 0) - Date.parse(b.time || 0);
+    });
+
+    const covered = (alert) =>
+      sortedOfficial.some((item) => {
+        if (!item.hazard || item.hazard !== alert.hazard) return false;
+        const at = Date.parse(alert.time);
+        const from = Date.parse(item.time);
+        const until = item.expires ? Date.parse(item.expires) : Infinity;
+        return !Number.isFinite(at) || (at >= from && at <= until);
+      });
 
-    const pushAlert = (id, data) => {
-      if (alerts.some((item) => item.id === id)) return;
-      alerts.push(Object.assign({ id }, data));
+    return sortedOfficial.concat(computed.filter((alert) => !covered(alert)));
+  }
+
+  /**
+   * Karten-Modell für eine formatierte DWD-Warnung
+   * @private
+   */
+  _fromOfficial(alert) {
+    const levels = {
+      minor: "yellow",
+      moderate: "orange",
+      severe: "red",
+      extreme: "violet",
+    };
+    const hazard = this._hazardOf(alert.event);
+    return {
+      id: alert.id,
+      origin: "official",
+      source: alert.source,
+      hazard,
+      severity: levels[alert.severity] || "yellow",
+      icon: `[${hazard || "dwd"}]`,
+      title: alert.title,
+      description: alert.description,
+      instruction: alert.instruction,
+      time: alert.onset,
+      expires: alert.expires,
+      region: alert.region,
+      cap: {
+        severity: alert.severity,
+        urgency: alert.urgency,
+        certainty: alert.certainty,
+      },
     };
+  }
 
-    hours.forEach((iso, idx) => {
-      const temp = grab(hourly.temperature_2m, idx);
-      const feels = grab(hourly.apparent_temperature, idx);
-      const prob = grab(hourly.precipitation_probability, idx, 0);
-      const rain = grab(hourly.precipitation, idx, 0);
-      const wind = grab(hourly.windspeed_10m, idx, 0);
-      const code = grab(hourly.weathercode, idx);
-
-      if (typeof wind === "number" && wind >= 75) {
-        pushAlert(`wind-${iso}`, {
-          severity: "red",
-          icon: "[wind]",
-          title: "Sturmwarnung",
-          description: `Windspitzen um ${wind.toFixed(0)} km/h erwartet.`,
-          time: iso,
-        });
-      } else if (typeof wind === "number" && wind >= 55) {
-        pushAlert(`wind-${iso}`, {
-          severity: "orange",
-          icon: "[wind]",
-          title: "Sturmboeen",
-          description: `Wind bis ${wind.toFixed(0)} km/h moeglich.`,
-          time: iso,
-        });
-      }
+  /**
+   * Ordnet DWD-Ereignisse (z.B. "STURMBÖEN") den berechneten Gefahren zu
+   * @private
+   */
+  _hazardOf(event) {
+    const text = String(event || "").toUpperCase();
+    if (text.includes("GEWITTER")) return "storm";
+    if (/STURM|ORKAN|WIND|BÖEN/.test(text)) return "wind";
+    if (text.includes("REGEN")) return "rain";
+    if (text.includes("FROST")) return "frost";
+    if (text.includes("HITZE")) return "heat";
+    return null;
+  }
 
-      if (typeof temp === "number" && temp >= 32) {
-        pushAlert(`heat-${iso}`, {
-          severity: "orange",
-          icon: "[heat]",
-          title: "Starke Hitze",
-          description: `Temperaturen ueber 32 Grad erwartet.`,
-          time: iso,
-        });
-      }
+  /**
+   * @private
+   */
+  _historyStore() {
+    if (!this.history && typeof AlertHistory !== "undefined") {
+      this.history = new AlertHistory();
+    }
+    return this.history;
+  }
 
-      if (typeof feels === "number" && feels <= -12) {
-        pushAlert(`frost-${iso}`, {
-          severity: "yellow",
-          icon: "[frost]",
-          title: "Strenger Frost",
-          description: `Gefuehlte Temperatur um ${feels.toFixed(0)} Grad.`,
-          time: iso,
-        });
-      }
+  /**
+   * Trägt die Warnungen in den Verlauf ein und ergänzt historyKey und
+   * acknowledged (quittiert)
+   * @private
+   */
+  _recordHistory(alerts, location) {
+    const history = this._historyStore();
+    if (!history) return alerts;
+    const entries = history.record(alerts, {
+      location,
+      source: "weather-alerts",
+    });
+    return alerts.map((alert, idx) => ({
+      ...alert,
+      historyKey: entries[idx].key,
+      acknowledged: Boolean(entries[idx].acknowledgedAt),
+    }));
+  }
+
+  /**
+   * Quittiert Warnungen und zeichnet Karten und Verlauf neu
+   * @param {string|string[]} keys - historyKey oder notifyKey (Push)
+   */
+  acknowledge(keys) {
+    const history = this._historyStore();
+    if (!history) return;
+    const changed = history.acknowledge([].concat(keys));
+    const seen = new Set(changed.map((entry) => entry.key));
+    if (this.lastRender) {
+      const { alerts, city, status } = this.lastRender;
+      this.renderAlerts(
+        alerts.map((alert) =>
+          seen.has(alert.historyKey) ? { ...alert, acknowledged: true } : alert
+        ),
+        city,
+        status
+      );
+    } else {
+      this.renderHistory();
+    }
+    if (changed.length && typeof this.onAcknowledge === "function") {
+      this.onAcknowledge(changed);
+    }
+  }
 
-      if (typeof rain === "number" && rain >= 5 && prob >= 60) {
-        pushAlert(`rain-${iso}`, {
-          severity: "orange",
-          icon: "[rain]",
-          title: "Starkregen",
-          description: `${rain.toFixed(1)} mm mit ${prob}% Wahrscheinlichkeit.`,
-          time: iso,
-        });
-      }
+  /**
+   * Klicks (Quittieren) und Verlaufsfilter, einmal pro Container
+   * @private
+   */
+  _bindEvents(container) {
+    if (this._boundContainer === container) return;
+    this._boundContainer = container;
 
-      if ([95, 96, 99].indexOf(code) >= 0) {
-        pushAlert(`storm-${iso}`, {
-          severity: "red",
-          icon: "[storm]",
-          title: "Gewitterfront",
-          description: "Gewitter mit Hagel oder Starkregen moeglich.",
-          time: iso,
-        });
-      }
+    container.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-ack-key]");
+      if (button) this.acknowledge(button.dataset.ackKey);
+    });
+    container.addEventListener("change", (e) => {
+      const field = e.target.dataset.historyFilter;
+      if (!field) return;
+      this.historyFilter[field] =
+        e.target.type === "checkbox" ? e.target.checked : e.target.value;
+      this.renderHistory();
+    });
+  }
+
+  /**
+   * Allgemeine Regeln plus die des Favoriten an diesem Ort
+   * @private
+   */
+  _rulesFor(lat, lon) {
+    if (!this.ruleStore && typeof AlertRuleStore !== "undefined") {
+      this.ruleStore = new AlertRuleStore();
+    }
+    return this.ruleStore
+      ? this.ruleStore.rulesFor(lat, lon)
+      : DEFAULT_ALERT_RULES;
+  }
+
+  _buildForecastUrl(lat, lon, variables = []) {
+    const hourly = new Set([
+      "temperature_2m",
+      "apparent_temperature",
+      "precipitation_probability",
+      "precipitation",
+      "weathercode",
+      "windspeed_10m",
+      ...variables,
+    ]);
+    const params = new URLSearchParams({
+      latitude: lat,
+      longitude: lon,
+      hourly: Array.from(hourly).join(","),
+      timezone: "auto",
+      forecast_days: "2",
     });
+    return `https://api.open-meteo.com/v1/forecast?${params.toString()}`;
+  }
 
-    return alerts;
+  /**
+   * Wertet die Warnregeln (utils/alertRules.js) über die nächsten 24 Stunden aus
+   * @param {object} payload - Open-Meteo Antwort
+   * @param {array} rules - Standard: DEFAULT_ALERT_RULES
+   * @returns {array}
+   */
+  _deriveAlerts(payload, rules = DEFAULT_ALERT_RULES) {
+    const hourly = payload && payload.hourly ? payload.hourly : {};
+    return evaluateAlertRules(hourlyRows(hourly, 24), rules);
   }
 
-  renderAlerts(alerts, city) {
+  renderAlerts(alerts, city, status = {}) {
     const container = document.getElementById(this.containerId);
     if (!container) return;
+    this._bindEvents(container);
+    this.lastRender = { alerts, city, status };
+    const historyHtml = '<section class="alerts-history"></section>';
+
+    const notes = [];
+    if (status.officialUnavailable) {
+      notes.push("Amtliche DWD-Warnungen nicht verfuegbar");
+    }
+    if (status.computedUnavailable) {
+      notes.push("Berechnete Warnungen nicht verfuegbar");
+    }
+    const notesHtml = notes
+      .map((note) => `<p class="alerts-note">${note}</p>`)
+      .join("");
 
     if (!alerts.length) {
       container.innerHTML = `
         <div class="alerts-empty">
           <div class="emoji"></div>
           <h3>Keine aktuellen Warnungen</h3>
-          <p>Fuer ${city} liegen derzeit keine Meldungen vor.</p>
+          <p>Fuer ${this._escapeHtml(city)} liegen derzeit keine Meldungen vor.</p>
         </div>
+        ${notesHtml}
+        ${historyHtml}
       `;
+      this.renderHistory();
       return;
     }
 
     const cards = alerts
       .map((alert) => {
+        const official = alert.origin === "official";
+        const origin = official
+          ? `<span class="alert-origin alert-origin-official">Amtlich (${this._escapeHtml(
+              alert.source || "DWD"
+            )})</span>`
+          : '<span class="alert-origin alert-origin-computed">Berechnet</span>';
+        // Berechnete Warnungen über mehrere Stunden: bis zur letzten Stunde
+        const end = alert.expires || (alert.hours > 1 ? alert.until : null);
+        const period = end
+          ? `${this._formatTime(alert.time)} – ${this._formatTime(end)}`
+          : this._formatTime(alert.time);
+        const details = official
+          ? `
+              ${
+                alert.instruction
+                  ? `<p class="alert-instruction">${this._escapeHtml(
+                      alert.instruction
+                    )}</p>`
+                  : ""
+              }
+              <small class="alert-meta">${[
+                alert.region ? `Gebiet: ${this._escapeHtml(alert.region)}` : "",
+                this._capLabel(alert.cap),
+              ]
+                .filter(Boolean)
+                .join(" · ")}</small>`
+          : "";
+        const ack = !alert.historyKey
+          ? ""
+          : alert.acknowledged
+          ? '<span class="alert-ack-state">Gesehen</span>'
+          : `<button type="button" class="btn-secondary alert-ack" data-ack-key="${this._escapeHtml(
+              alert.historyKey
+            )}">Als gesehen markieren</button>`;
         return `
-          <article class="alert-card alert-${alert.severity}">
+          <article class="alert-card alert-${alert.severity} alert-${
+            official ? "official" : "computed"
+          }${alert.acknowledged ? " alert-acknowledged" : ""}">
             <div class="alert-icon">${alert.icon || ""}</div>
             <div class="alert-body">
               <header>
-                <h3>${alert.title}</h3>
-                <span>${this._formatTime(alert.time)}</span>
+                <h3>${this._escapeHtml(alert.title)}</h3>
+                <span>${period}</span>
               </header>
-              <p>${alert.description}</p>
+              ${origin}
+              <p>${this._escapeHtml(alert.description)}</p>
+              ${details}
+              ${ack}
             </div>
           </article>
         `;
       })
       .join("");
 
+    const officialCount = alerts.filter(
+      (alert) => alert.origin === "official"
+    ).length;
     container.innerHTML = `
-      <div class="alert-summary">${alerts.length} Warnung(en) fuer ${city}</div>
+      <div class="alert-summary">${alerts.length} Warnung(en) fuer ${this._escapeHtml(
+        city
+      )} (${officialCount} amtlich, ${alerts.length - officialCount} berechnet)</div>
+      ${notesHtml}
       ${cards}
+      ${historyHtml}
+    `;
+    this.renderHistory();
+  }
+
+  /**
+   * Verlauf aller gesehenen Warnungen mit Filter nach Ort, Stufe und
+   * Quittierung
+   */
+  renderHistory() {
+    const container = document.getElementById(this.containerId);
+    const section = container?.querySelector(".alerts-history");
+    const history = this._historyStore();
+    if (!section || !history) return;
+
+    const filter = this.historyFilter;
+    const levels = {
+      violet: "Violett",
+      red: "Rot",
+      orange: "Orange",
+      yellow: "Gelb",
+      green: "Gruen",
+    };
+    const option = (value, label, selected) =>
+      `<option value="${this._escapeHtml(value)}"${
+        value === selected ? " selected" : ""
+      }>${this._escapeHtml(label)}</option>`;
+
+    const entries = history.list({
+      location: filter.location || undefined,
+      severity: filter.severity || undefined,
+      acknowledged: filter.open ? false : undefined,
+    });
+    const items = entries.length
+      ? entries
+          .map(
+            (entry) => `
+          <li class="alerts-history-item alert-${entry.severity}${
+              entry.acknowledgedAt ? " alert-acknowledged" : ""
+            }">
+            <div>
+              <strong>${this._escapeHtml(entry.title)}</strong>
+              <span>${this._escapeHtml(entry.location)} · ${
+              levels[entry.severity]
+            }</span>
+              <small>Zuerst gesehen ${this._formatSeen(
+                entry.firstSeen
+              )} · zuletzt ${this._formatSeen(entry.lastSeen)}</small>
+            </div>
+            ${
+              entry.acknowledgedAt
+                ? `<small class="alert-ack-state">Gesehen ${this._formatSeen(
+                    entry.acknowledgedAt
+                  )}</small>`
+                : `<button type="button" class="btn-secondary alert-ack" data-ack-key="${this._escapeHtml(
+                    entry.key
+                  )}">Als gesehen markieren</button>`
+            }
+          </li>`
+          )
+          .join("")
+      : '<li class="alerts-note">Keine Warnungen im Verlauf</li>';
+
+    section.innerHTML = `
+      <h3>Verlauf (30 Tage)</h3>
+      <div class="alerts-history-filters">
+        <select class="settings-select" data-history-filter="location" aria-label="Ort">
+          ${option("", "Alle Orte", filter.location)}
+          ${history
+            .locations()
+            .map((name) => option(name, name, filter.location))
+            .join("")}
+        </select>
+        <select class="settings-select" data-history-filter="severity" aria-label="Stufe">
+          ${option("", "Alle Stufen", filter.severity)}
+          ${Object.entries(levels)
+            .map(([value, label]) => option(value, label, filter.severity))
+            .join("")}
+        </select>
+        <label class="settings-toggle">
+          <input type="checkbox" data-history-filter="open"${
+            filter.open ? " checked" : ""
+          } />
+          Nur nicht gesehene
+        </label>
+      </div>
+      <ul class="alerts-history-list">${items}</ul>
     `;
   }
 
+  _formatSeen(timestamp) {
+    return new Date(timestamp).toLocaleString("de-DE", {
+      day: "2-digit",
+      month: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  }
+
+  /**
+   * Dringlichkeit und Gewissheit der CAP-Meldung in Worten
+   * @private
+   */
+  _capLabel(cap) {
+    if (!cap) return "";
+    const urgency = {
+      immediate: "sofort",
+      expected: "erwartet",
+      future: "spaeter",
+      past: "vorbei",
+    };
+    const certainty = {
+      observed: "beobachtet",
+      likely: "wahrscheinlich",
+      possible: "moeglich",
+      unlikely: "unwahrscheinlich",
+    };
+    return [urgency[cap.urgency], certainty[cap.certainty]]
+      .filter(Boolean)
+      .join(", ");
+  }
+
+  _escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text == null ? "" : String(text);
+    return div.innerHTML;
+  }
+
   _formatTime(isoString) {
     if (!isoString) return "";
     const date = new Date(isoString);
@@ -2851,151 +3287,6 @@ class HistoricalChart {
   }
 }
 
-// ============================================
-// 4. LOCAL ANALYTICS (unchanged)
-// ============================================
-
-class Analytics {
-  constructor() {
-    this.events = this.loadEvents();
-    const saved = localStorage.getItem("wetter_analytics_enabled");
-    this.enabled = saved === null ? true : saved === "true";
-    if (saved === null) {
-      localStorage.setItem("wetter_analytics_enabled", "true");
-    }
-  }
-
-  loadEvents() {
-    try {
-      return JSON.parse(
-        localStorage.getItem("wetter_analytics_events") || "[]"
-      );
-    } catch (error) {
-      console.warn("Analytics load failed", error);
-      return [];
-    }
-  }
-
-  saveEvents() {
-    try {
-      localStorage.setItem(
-        "wetter_analytics_events",
-        JSON.stringify(this.events)
-      );
-    } catch (error) {
-      console.warn("Analytics save failed", error);
-    }
-  }
-
-  logEvent(type, data) {
-    if (!this.enabled) return;
-    this.events.push({ type, data, timestamp: Date.now() });
-    if (this.events.length > 1000) {
-      this.events = this.events.slice(-500);
-    }
-    this.saveEvents();
-  }
-
-  getStats() {
-    const count = (t) => this.events.filter((event) => event.type === t).length;
-    return {
-      searches: count("search"),
-      apiCalls: count("api_call"),
-      cacheHits: count("cache_hit"),
-      favActions: count("favorite_action"),
-      total: this.events.length,
-    };
-  }
-
-  exportData() {
-    return JSON.stringify(
-      {
-        events: this.events,
-        stats: this.getStats(),
-        exportDate: new Date().toISOString(),
-      },
-      null,
-      2
-    );
-  }
-
-  renderDashboard(containerId) {
-    const container = document.getElementById(containerId);
-    if (!container) return;
-
-    const stats = this.getStats();
-    const hasData = stats.total > 0;
-    const chipLabel = hasData
-      ? `${stats.total} Ereignisse`
-      : "Noch keine Events";
-    const emptyState = hasData
-      ? ""
-      : '<p class="analytics-empty">Noch keine Daten – führe eine Suche aus, füge Favoriten hinzu oder lade Wetterdaten, um diese Übersicht zu füllen.</p>';
-    const gridModifier = hasData ? "" : " analytics-grid--disabled";
-    container.innerHTML = `
-      <div class="analytics-panel">
-        <div class="analytics-panel-header">
-          <div>
-            <p class="section-subtitle">Lokale Insights</p>
-            <h3>📊 Nutzungsstatistiken</h3>
-          </div>
-          <span class="analytics-chip">${chipLabel}</span>
-        </div>
-        ${emptyState}
-        <div class="analytics-grid${gridModifier}">
-          <article><strong>${
-            stats.searches
-          }</strong><span>Suchanfragen</span></article>
-          <article><strong>${
-            stats.apiCalls
-          }</strong><span>API Calls</span></article>
-          <article><strong>${
-            stats.cacheHits
-          }</strong><span>Cache Hits</span></article>
-          <article><strong>${
-            stats.favActions
-          }</strong><span>Favoriten-Aktionen</span></article>
-        </div>
-        <div class="analytics-footer">
-          <label class="analytics-toggle">
-            <input type="checkbox" id="analytics-toggle" ${
-              this.enabled ? "checked" : ""
-            }>
-            <span>Analytics aktiviert (nur lokal gespeichert)</span>
-          </label>
-          <button id="export-analytics-btn" class="btn-secondary">Analytics exportieren</button>
-        </div>
-      </div>
-    `;
-
-    const toggle = /** @type {HTMLInputElement | null} */ (
-      document.getElementById("analytics-toggle")
-    );
-    if (toggle) {
-      toggle.addEventListener("change", (event) => {
-        const input = /** @type {HTMLInputElement} */ (event.target);
-        this.enabled = Boolean(input?.checked);
-        localStorage.setItem("wetter_analytics_enabled", String(this.enabled));
-      });
-    }
-
-    const exportBtn = document.getElementById("export-analytics-btn");
-    if (exportBtn) {
-      exportBtn.addEventListener("click", () => {
-        const blob = new Blob([this.exportData()], {
-          type: "application/json",
-        });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement("a");
-        link.href = url;
-        link.download = `wetter-analytics-${Date.now()}.json`;
-        link.click();
-        URL.revokeObjectURL(url);
-      });
-    }
-  }
-}
-
 // Global exports
 const globalWindow = /** @type {Record<string, any> | undefined} */ (
   getAugmentedWindow()
@@ -3005,7 +3296,6 @@ if (globalWindow) {
   globalWindow.MapDataInspector = MapDataInspector;
   globalWindow.WeatherAlerts = WeatherAlerts;
   globalWindow.HistoricalChart = HistoricalChart;
-  globalWindow.Analytics = Analytics;
 }
 
 if (typeof module !== "undefined" && module.exports) {
@@ -3014,6 +3304,5 @@ if (typeof module !== "undefined" && module.exports) {
     MapDataInspector,
     WeatherAlerts,
     HistoricalChart,
-    Analytics,
   };
 }
@@ -0,0 +1,63 @@
+// Generiert von tools/build-precache.js (npm run precache) – nicht von Hand
+// bearbeiten. Jede Änderung hier ändert auch den Service Worker und löst so
+// die Installation einer neuen Version aus.
+
+const PRECACHE_VERSION = "0.2.0-2605a506";
+const PRECACHE_ENTRIES = [
+  { url: "/manifest.json", revision: "dc252acc73" },
+  { url: "/src/index.html", revision: "19996a14cb" },
+  { url: "/src/style.css", revision: "b36b49c5d8" },
+  { url: "/src/app.js", revision: "1b740743a5" },
+  { url: "/src/features.js", revision: "d367764a5c" },
+  { url: "/src/api/airQuality.js", revision: "b98c50458d" },
+  { url: "/src/api/bigdatacloud.js", revision: "65aa99c3f5" },
+  { url: "/src/api/brightsky.js", revision: "0cf0cf7ca0" },
+  { url: "/src/api/geocoding.js", revision: "7f72cd1af3" },
+  { url: "/src/api/marine.js", revision: "6c383ebfc8" },
+  { url: "/src/api/meteostat.js", revision: "22b8c9dc0b" },
+  { url: "/src/api/moonPhase.js", revision: "019d4462a4" },
+  { url: "/src/api/openweathermap.js", revision: "760b790344" },
+  { url: "/src/api/sunriseSunset.js", revision: "747918e017" },
+  { url: "/src/api/visualcrossing.js", revision: "35ba795d0e" },
+  { url: "/src/api/weather.js", revision: "e061e258ae" },
+  { url: "/src/ui/alertRulesEditor.js", revision: "886893b88e" },
+  { url: "/src/ui/alertsPanel.js", revision: "905fb61541" },
+  { url: "/src/ui/canvasChart.js", revision: "a7781e6412" },
+  { url: "/src/ui/errorHandler.js", revision: "d3bcf7a726" },
+  { url: "/src/ui/historicalChart.js", revision: "9ecde5bc65" },
+  { url: "/src/ui/locationPicker.js", revision: "5866aa22a4" },
+  { url: "/src/ui/mapComponent.js", revision: "2be898958c" },
+  { url: "/src/ui/requestOutboxPanel.js", revision: "8a7acc9ba8" },
+  { url: "/src/ui/searchInput.js", revision: "c55268f267" },
+  { url: "/src/ui/updateBanner.js", revision: "f3659de8a6" },
+  { url: "/src/ui/weatherDisplay.js", revision: "fee3c8caa7" },
+  { url: "/src/utils/alertAreas.js", revision: "44d144e44c" },
+  { url: "/src/utils/alertHistory.js", revision: "f0d5a5e84d" },
+  { url: "/src/utils/alertRegions.js", revision: "a86a01c924" },
+  { url: "/src/utils/alertRules.js", revision: "5e34e760d0" },
+  { url: "/src/utils/analytics.js", revision: "158df08545" },
+  { url: "/src/utils/apiKeyManager.js", revision: "9dda5e7c5e" },
+  { url: "/src/utils/cache.js", revision: "db00aa5bb2" },
+  { url: "/src/utils/cacheStore.js", revision: "ec0368d5f9" },
+  { url: "/src/utils/capAlerts.js", revision: "57fb684766" },
+  { url: "/src/utils/constants.js", revision: "5b514eae78" },
+  { url: "/src/utils/favoriteSnapshots.js", revision: "15432c41e8" },
+  { url: "/src/utils/forecastBlender.js", revision: "d3bbf427a0" },
+  { url: "/src/utils/idb.js", revision: "7a34c4695b" },
+  { url: "/src/utils/locationQuery.js", revision: "a869e15ab3" },
+  { url: "/src/utils/precache.js", revision: "8a1cb80a79" },
+  { url: "/src/utils/providerRegistry.js", revision: "f4d56009ae" },
+  { url: "/src/utils/requestOutbox.js", revision: "4ce41d1b64" },
+  { url: "/src/utils/serviceWorkerRoutes.js", revision: "218ee5a490" },
+  { url: "/src/utils/validation.js", revision: "5ad6c40904" },
+  { url: "/src/utils/weatherSchema.js", revision: "3a4ee86ca0" },
+  { url: "/src/i18n/de.json", revision: "c183bbbefe" },
+  { url: "/src/i18n/en.json", revision: "41668d9e35" },
+  { url: "/src/i18n/helper.js", revision: "e4836f98b2" },
+  { url: "/legal/privacy.html", revision: "d715c39aa0" },
+  { url: "/legal/terms.html", revision: "ea862068a3" },
+];
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { PRECACHE_VERSION, PRECACHE_ENTRIES };
+}
@@ -1,77 +1,161 @@
 // Service Worker für Calchas
 // Ermöglicht Offline-Funktionalität, Caching und Push-Notifications
 
-const CACHE_NAME = "calchas-v1";
-const urlsToCache = [
-  "/",
-  "/src/index.html",
-  "/src/style.css",
-  "/src/app.js",
-  "/src/utils/constants.js",
-  "/src/utils/cache.js",
-  "/src/utils/validation.js",
-  "/src/api/weather.js",
-  "/src/api/brightsky.js",
-  "/src/ui/errorHandler.js",
-  "/src/ui/searchInput.js",
-  "/src/ui/weatherDisplay.js",
-  "/manifest.json",
-];
-
-// Installation
+// Gemeinsamer Daten-Cache mit der App (IndexedDB "calchas-cache")
+importScripts("utils/idb.js", "utils/cacheStore.js");
+// Favoriten-Spiegel und Offline-Snapshots (IndexedDB "calchas-favorites")
+importScripts("utils/constants.js", "utils/favoriteSnapshots.js");
+// Routing-Tabelle mit Cache-Strategien für API-Anfragen
+importScripts("utils/serviceWorkerRoutes.js");
+// Ausgang für fehlgeschlagene Anfragen (IndexedDB "WetterAppDB")
+importScripts("utils/requestOutbox.js");
+
+// App-Shell: generiertes Manifest (npm run precache) und versionierter Cache
+importScripts("precache-manifest.js", "utils/precache.js");
+
+// Übrige Dateien der eigenen Herkunft (Network First) und SW-Einstellungen
+const RUNTIME_CACHE_NAME = "calchas-runtime";
+const META_CACHE_NAME = "calchas-meta";
+
+// API-Hosts aus der Provider-Registry des Clients (SET_API_HOSTS)
+const API_HOSTS_KEY = "/data/api-hosts";
+let apiHosts = new Set();
+
+function isApiRequest(url) {
+  try {
+    return apiHosts.has(new URL(url).hostname);
+  } catch (e) {
+    return false;
+  }
+}
+
+async function loadApiHosts() {
+  try {
+    const cache = await caches.open(META_CACHE_NAME);
+    const stored = await cache.match(API_HOSTS_KEY);
+    if (stored) {
+      const hosts = await stored.json();
+      if (Array.isArray(hosts)) apiHosts = new Set(hosts);
+    }
+  } catch (e) {
+    console.warn("Service Worker: API-Hosts konnten nicht geladen werden", e);
+  }
+}
+
+async function saveApiHosts(hosts) {
+  apiHosts = new Set(hosts);
+  try {
+    const cache = await caches.open(META_CACHE_NAME);
+    await cache.put(
+      API_HOSTS_KEY,
+      new Response(JSON.stringify(hosts), {
+        headers: { "Content-Type": "application/json" },
+      })
+    );
+  } catch (e) {
+    console.warn("Service Worker: API-Hosts konnten nicht gespeichert werden", e);
+  }
+}
+
+loadApiHosts();
+
+// Installation: nur geänderte Dateien laden. Kein skipWaiting – ein Update
+// wartet, bis die Seite nach dem Hinweis "Neue Version verfügbar" neu lädt.
 self.addEventListener("install", (event) => {
-  console.log("Service Worker: Installing...");
+  console.log(`Service Worker: Installing ${PRECACHE_VERSION}...`);
 
   event.waitUntil(
-    caches
-      .open(CACHE_NAME)
-      .then((cache) => {
-        console.log("Service Worker: Caching app shell");
-        return cache.addAll(urlsToCache);
-      })
-      .catch((err) => {
-        // Wenn ein einzelner Fetch in addAll fehlschlägt, logge und install trotzdem abschließen
-        console.warn("Service Worker: cache.addAll failed (continuing):", err);
-        return Promise.resolve();
-      })
+    installPrecache(PRECACHE_ENTRIES).then(({ fetched, reused }) =>
+      console.log(
+        `Service Worker: App-Shell ${PRECACHE_VERSION} (${fetched} geladen, ${reused} übernommen)`
+      )
+    )
   );
-
-  // Skip waiting - aktiviere sofort
-  self.skipWaiting();
 });
 
 // Aktivierung
 self.addEventListener("activate", (event) => {
-  console.log("Service Worker: Activating...");
+  console.log(`Service Worker: Activating ${PRECACHE_VERSION}...`);
 
   event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
+    Promise.all([
+      caches.keys().then((cacheNames) => {
+        // App-Shell, Laufzeit-Cache und Caches der aktuellen API-Routen behalten
+        const keep = [
+          PRECACHE_CACHE_NAME,
+          RUNTIME_CACHE_NAME,
+          META_CACHE_NAME,
+          ...SW_ROUTES.map(swRouteCacheName),
+        ];
+        return Promise.all(
+          outdatedCacheNames(cacheNames, keep).map((cacheName) => {
             console.log("Service Worker: Deleting old cache", cacheName);
             return caches.delete(cacheName);
-          }
-        })
-      );
-    })
+          })
+        );
+      }),
+      // Dateien früherer Versionen aus dem Precache
+      cleanupPrecache(PRECACHE_ENTRIES).then((removed) => {
+        if (removed) {
+          console.log(`Service Worker: ${removed} veraltete Dateien entfernt`);
+        }
+      }),
+      purgeExpiredDataCache(),
+      expireSwRouteCaches().catch((error) =>
+        console.warn("Service Worker: API-Caches nicht bereinigt", error)
+      ),
+    ])
   );
 
   // Claim clients sofort
   self.clients.claim();
 });
 
-// Fetch - Network First, dann Cache
+/**
+ * Entfernt abgelaufene Einträge aus dem gemeinsamen Daten-Cache und
+ * meldet sie offenen Tabs, damit deren Größenabrechnung stimmt
+ */
+async function purgeExpiredDataCache() {
+  if (!IndexedDBCacheStore.isSupported()) return;
+  try {
+    const keys = await new IndexedDBCacheStore().deleteExpired();
+    if (keys.length && typeof BroadcastChannel !== "undefined") {
+      const channel = new BroadcastChannel(CACHE_CHANNEL_NAME);
+      channel.postMessage({ op: "delete", keys });
+      channel.close();
+    }
+  } catch (error) {
+    console.warn("Service Worker: Daten-Cache nicht bereinigt", error);
+  }
+}
+
+// Fetch - API-Routen nach Tabelle, App-Shell Network First, dann Cache
 self.addEventListener("fetch", (event) => {
   const { request } = event;
 
-  // Ignoriere API-Requests (werden separat behandelt)
-  if (
-    request.url.includes("api.open-meteo.com") ||
-    request.url.includes("api.brightsky.dev") ||
-    request.url.includes("nominatim.openstreetmap.org") ||
-    request.url.includes("geocoding-api.open-meteo.com")
-  ) {
+  const route = matchSwRoute(request);
+  if (route) {
+    event.respondWith(
+      handleSwRoute(route, request, {
+        waitUntil: (promise) => event.waitUntil(promise),
+      })
+    );
+    return;
+  }
+
+  // Übrige API-Requests (z.B. mit API-Key in der URL) nicht cachen
+  if (isApiRequest(request.url)) {
+    return;
+  }
+
+  // App-Shell der aktiven Version aus dem Precache
+  const precached =
+    request.method === "GET" &&
+    findPrecacheEntry(request.url, PRECACHE_ENTRIES, self.location.origin);
+  if (precached) {
+    event.respondWith(
+      matchPrecache(precached).then((response) => response || fetch(request))
+    );
     return;
   }
 
@@ -88,7 +172,7 @@ self.addEventListener("fetch", (event) => {
             if (reqUrl.protocol === "http:" || reqUrl.protocol === "https:") {
               // Optionally only cache same-origin app shell assets
               if (reqUrl.origin === self.location.origin) {
-                caches.open(CACHE_NAME).then((cache) => {
+                caches.open(RUNTIME_CACHE_NAME).then((cache) => {
                   try {
                     // Use the parsed absolute href to avoid passing unsupported Request objects
                     cache.put(reqUrl.href, responseClone).catch((err) => {
@@ -145,6 +229,10 @@ self.addEventListener("sync", (event) => {
   if (event.tag === "weather-update") {
     event.waitUntil(updateWeatherData());
   }
+  // Von der App nach Änderungen der Favoriten angemeldet
+  if (event.tag === "sync-favorites") {
+    event.waitUntil(syncFavoritesData());
+  }
 });
 
 /**
@@ -154,9 +242,8 @@ async function updateWeatherData() {
   try {
     console.log("Service Worker: Updating weather data...");
 
-    // Holo gespeicherte Städte aus Cache
-    const cache = await caches.open(CACHE_NAME);
-    const allResponses = await cache.keys();
+    // Snapshots der Favoriten für den Offline-Betrieb auffrischen
+    await syncFavoritesData();
 
     console.log("Service Worker: Weather update completed");
 
@@ -207,6 +294,14 @@ self.addEventListener("push", (event) => {
     }
   }
 
+  // Ortswarnungen (tools/push-alerts.js) lassen sich direkt quittieren
+  if (notificationData.data?.alerts?.length) {
+    notificationData.actions = [
+      notificationData.actions[0],
+      { action: "ack", title: "Gesehen" },
+    ];
+  }
+
   event.waitUntil(
     self.registration.showNotification(notificationData.title, notificationData)
   );
@@ -239,6 +334,10 @@ self.addEventListener("notificationclick", (event) => {
   if (event.action === "close") {
     return;
   }
+  if (event.action === "ack") {
+    event.waitUntil(acknowledgeAlerts(event.notification.data?.alerts || []));
+    return;
+  }
 
   event.waitUntil(
     clients.matchAll({ type: "window" }).then((clientList) => {
@@ -256,6 +355,43 @@ self.addEventListener("notificationclick", (event) => {
   );
 });
 
+/**
+ * Quittiert Warnungen aus einer Benachrichtigung: Push-Server verschickt sie
+ * nicht erneut, offene Fenster tragen sie im Warnungsverlauf ein
+ */
+async function acknowledgeAlerts(alerts) {
+  const keys = alerts.map((alert) => alert.key).filter(Boolean);
+  if (!keys.length) return;
+
+  const windows = await self.clients.matchAll({ type: "window" });
+  windows.forEach((client) =>
+    client.postMessage({ type: "ALERTS_ACKNOWLEDGED", keys })
+  );
+
+  let request = null;
+  try {
+    const subscription = await self.registration.pushManager.getSubscription();
+    if (!subscription) return;
+    request = {
+      kind: OUTBOX_KINDS.SETTINGS,
+      url: "http://localhost:3030/acknowledge",
+      payload: { endpoint: subscription.endpoint, keys },
+    };
+    const response = await fetch(request.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(request.payload),
+    });
+    if (!response.ok && !isPermanentOutboxFailure(response.status)) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  } catch (error) {
+    console.warn("Service Worker: Quittierung nicht gesendet", error);
+    // Später erneut senden, sonst kommt die Warnung wieder
+    if (request) await queueFailedRequest({ ...request, error: error.message });
+  }
+}
+
 // Notification Close
 self.addEventListener("notificationclose", (event) => {
   console.log("Service Worker: Notification closed");
@@ -271,148 +407,87 @@ self.addEventListener("periodicsync", (event) => {
   }
 });
 
-// Background Sync für Failed API Calls (Browser unterstützen dies?)
+// Background Sync: Ausgang fehlgeschlagener Anfragen erneut abspielen
 self.addEventListener("sync", (event) => {
-  if (event.tag === "retry-failed-requests") {
-    event.waitUntil(retryFailedRequests());
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(retryFailedRequests(event.lastChance));
   }
 });
 
-// Helper: Retry Failed API Requests
-async function retryFailedRequests() {
-  try {
-    const db = await openIndexedDB();
-    const failedRequests = await getFailedRequests(db);
+/**
+ * Spielt den Ausgang ab und meldet offenen Fenstern den Stand. Bleiben
+ * Einträge übrig (neu eingeplant oder noch wartend), schlägt der Sync fehl,
+ * damit der Browser ihn später wiederholt; beim letzten Versuch wird der Tag
+ * neu angemeldet (siehe outboxSyncOutcome).
+ * @param {boolean} lastChance - SyncEvent.lastChance
+ */
+async function retryFailedRequests(lastChance = false) {
+  const result = await replayOutbox(createRequestOutbox());
+  const windows = await self.clients.matchAll({ type: "window" });
+  windows.forEach((client) =>
+    client.postMessage({ type: "REQUEST_OUTBOX_UPDATED", ...result })
+  );
+  console.log(
+    `Service Worker: Ausgang abgespielt (${result.sent.length} gesendet, ${result.retrying.length} später, ${result.deadLettered.length} verworfen)`
+  );
+  const outcome = outboxSyncOutcome(result, lastChance);
+  if (outcome === "reregister") {
+    await self.registration.sync.register(OUTBOX_SYNC_TAG);
+  } else if (outcome === "retry") {
+    throw new Error(
+      `${result.retrying.length + result.waiting} Anfrage(n) noch ausstehend`
+    );
+  }
+}
 
-    for (const req of failedRequests) {
-      try {
-        const response = await fetch(req.url, req.options);
-        if (response.ok) {
-          // Success - remove from failed list
-          await removeFailedRequest(db, req.id);
-          console.log("✅ Retried request succeeded:", req.url);
-        }
-      } catch (err) {
-        console.warn("⚠️ Retry still failed:", req.url, err.message);
-      }
+/**
+ * Legt eine Anfrage in den Ausgang und meldet den Sync an
+ */
+async function queueFailedRequest(request) {
+  try {
+    await enqueueOutboxRequest(createRequestOutbox(), request);
+    if (self.registration.sync) {
+      await self.registration.sync.register(OUTBOX_SYNC_TAG);
     }
-  } catch (err) {
-    console.error("Background Sync: Retry failed", err);
+  } catch (error) {
+    console.warn("Service Worker: Anfrage nicht im Ausgang gespeichert", error);
   }
 }
 
-// Helper: Sync Favorites Data (for periodic sync)
+/**
+ * Speichert für jeden Favoriten (von der App in IndexedDB gespiegelt) einen
+ * vollständigen Vorhersage-Snapshot und meldet offenen Fenstern den Stand
+ */
 async function syncFavoritesData() {
   try {
     console.log("🔄 Syncing favorites data in background...");
-    // Attempt to fetch fresh weather for all favorites
-    const storage = await getFromStorage("wetter_favorites");
-    const favorites = storage ? JSON.parse(storage) : [];
-
-    for (const fav of favorites) {
-      try {
-        // Try to fetch weather data for this favorite
-        const lat = fav.coords?.latitude;
-        const lng = fav.coords?.longitude;
-        if (lat && lng) {
-          // Attempt fetch (won't update UI, just updates cache)
-          await fetch(
-            `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lng}&hourly=temperature_2m,precipitation,weathercode&daily=temperature_2m_max,temperature_2m_min,weathercode&timezone=auto`
-          )
-            .then((r) => r.json())
-            .catch(() => null);
-        }
-      } catch (err) {
-        console.warn("Could not sync favorite:", fav.city, err.message);
-      }
-    }
-    console.log("✅ Favorites sync completed");
+    const result = await syncFavoriteSnapshots(createFavoriteStore());
+    const clients = await self.clients.matchAll({ type: "window" });
+    clients.forEach((client) =>
+      client.postMessage({ type: "FAVORITE_SNAPSHOTS_UPDATED", ...result })
+    );
+    console.log(
+      `✅ Favorites sync completed (${result.updated.length} aktualisiert, ${result.failed.length} fehlgeschlagen)`
+    );
   } catch (err) {
     console.error("Favorites sync error:", err);
   }
 }
 
-// IndexedDB Helper (for storing failed requests)
-async function openIndexedDB() {
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open("WetterAppDB", 1);
-    req.onerror = () => reject(req.error);
-    req.onsuccess = () => resolve(req.result);
-    req.onupgradeneeded = (e) => {
-      const db = e.target.result;
-      if (!db.objectStoreNames.contains("failedRequests")) {
-        db.createObjectStore("failedRequests", { keyPath: "id" });
-      }
-    };
-  });
-}
-
-async function getFailedRequests(db) {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction("failedRequests", "readonly");
-    const store = tx.objectStore("failedRequests");
-    const req = store.getAll();
-    req.onerror = () => reject(req.error);
-    req.onsuccess = () => resolve(req.result);
-  });
-}
-
-async function removeFailedRequest(db, id) {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction("failedRequests", "readwrite");
-    const store = tx.objectStore("failedRequests");
-    const req = store.delete(id);
-    req.onerror = () => reject(req.error);
-    req.onsuccess = () => resolve();
-  });
-}
-
-// Helper: Get from LocalStorage in Worker
-function getFromStorage(key) {
-  // Note: LocalStorage not available in Service Worker - use Cache API
-  return caches
-    .open(CACHE_NAME)
-    .then((cache) => {
-      return cache.match("/data/" + key).then((r) => (r ? r.text() : null));
-    })
-    .catch(() => null);
-}
-
-/**
- * Stale-While-Revalidate Strategy:
- * Return cached response immediately, fetch fresh data in background
- */
-async function staleWhileRevalidate(request) {
-  const cached = await caches.match(request);
-
-  const fetchPromise = fetch(request).then((response) => {
-    if (!response || response.status !== 200 || response.type === "error") {
-      return response;
-    }
-
-    const responseClone = response.clone();
-    try {
-      const reqUrl = new URL(request.url);
-      if (
-        (reqUrl.protocol === "http:" || reqUrl.protocol === "https:") &&
-        reqUrl.origin === self.location.origin
-      ) {
-        caches.open(CACHE_NAME).then((cache) => {
-          cache.put(request, responseClone);
-        });
-      }
-    } catch (err) {
-      console.warn("Stale-while-revalidate: cache.put failed", err);
-    }
-
-    return response;
-  });
-
-  return cached || fetchPromise;
-}
-
 // Message: Register Periodic Sync (Client -> SW)
 self.addEventListener("message", (event) => {
+  // "Neu laden" im Update-Hinweis (ui/updateBanner.js)
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+
+  if (event.data && event.data.type === "SET_API_HOSTS") {
+    const hosts = Array.isArray(event.data.hosts)
+      ? event.data.hosts.filter((h) => typeof h === "string" && h)
+      : [];
+    event.waitUntil(saveApiHosts(hosts));
+  }
+
   if (event.data && event.data.type === "REGISTER_PERIODIC_SYNC") {
     if ("periodicSync" in self.registration) {
       self.registration.periodicSync
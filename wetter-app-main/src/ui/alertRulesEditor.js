@@ -0,0 +1,281 @@
+/* Einstellungen: eigene Warnregeln (siehe utils/alertRules.js) anlegen,
+   für alle Orte oder nur einen Favoriten */
+
+const ALERT_RULE_SEVERITY_LABELS = {
+  yellow: "Gelb",
+  orange: "Orange",
+  red: "Rot",
+  violet: "Violett",
+};
+
+class AlertRulesEditorComponent {
+  /**
+   * @param {string} containerId
+   * @param {object} options - { store, getFavorites, onChange, confirm }
+   */
+  constructor(containerId = "alert-rules-editor", options = {}) {
+    this.container = document.getElementById(containerId);
+    this.store = options.store || new AlertRuleStore();
+    this.getFavorites = options.getFavorites || (() => []);
+    this.onChange = options.onChange || null;
+    this.confirm = options.confirm || ((message) => window.confirm(message));
+    this.scope = "user";
+
+    if (this.container) {
+      this._setupEventListeners();
+      this.render();
+    }
+  }
+
+  /**
+   * Kurzbeschreibung einer Regel, z.B. "Wind ≥ 30 km/h · ab 2 Std."
+   * @param {object} rule
+   * @returns {string}
+   */
+  static describeRule(rule) {
+    const conditions = rule.conditions.map((condition) => {
+      const meta = ALERT_RULE_VARIABLES[condition.variable];
+      const value = Array.isArray(condition.value)
+        ? condition.value.join(", ")
+        : condition.value;
+      const unit = meta.unit ? ` ${meta.unit}` : "";
+      return `${meta.label} ${
+        ALERT_RULE_COMPARATORS[condition.comparator].label
+      } ${value}${unit}`;
+    });
+    const duration = rule.duration > 1 ? ` · ab ${rule.duration} Std.` : "";
+    return `${conditions.join(" und ")}${duration}`;
+  }
+
+  /**
+   * Favoriten mit Koordinaten als Regel-Bereiche
+   * @private
+   */
+  _scopes() {
+    const scopes = [{ key: "user", label: "Alle Orte" }];
+    (this.getFavorites() || []).forEach((fav) => {
+      const lat = Number(fav?.coords?.lat);
+      const lon = Number(fav?.coords?.lon ?? fav?.coords?.lng);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+      const key = alertLocationKey(lat, lon);
+      if (scopes.some((scope) => scope.key === key)) return;
+      scopes.push({ key, label: fav.city });
+    });
+    return scopes;
+  }
+
+  render() {
+    if (!this.container) return;
+    const scopes = this._scopes();
+    if (!scopes.some((scope) => scope.key === this.scope)) this.scope = "user";
+    const rules = this.store.getRules(this.scope);
+
+    const options = (entries, selected) =>
+      entries
+        .map(
+          ([value, label]) =>
+            `<option value="${this._escapeHtml(value)}"${
+              value === selected ? " selected" : ""
+            }>${this._escapeHtml(label)}</option>`
+        )
+        .join("");
+
+    const ruleItems = rules.length
+      ? rules
+          .map(
+            (rule) => `
+          <li class="alert-rule alert-rule-${rule.severity}" data-rule-id="${this._escapeHtml(
+            rule.id
+          )}">
+            <div class="alert-rule-text">
+              <strong>${this._escapeHtml(rule.title)}</strong>
+              <small>${this._escapeHtml(
+                AlertRulesEditorComponent.describeRule(rule)
+              )} · ${ALERT_RULE_SEVERITY_LABELS[rule.severity]}</small>
+            </div>
+            <label class="settings-toggle">
+              <input type="checkbox" data-rule-field="enabled"${
+                rule.enabled ? " checked" : ""
+              } /> Aktiv
+            </label>
+            <label class="settings-toggle">
+              <input type="checkbox" data-rule-field="notify"${
+                rule.notify ? " checked" : ""
+              } /> Push
+            </label>
+            <button type="button" class="btn-secondary" data-rule-action="remove" aria-label="Regel ${this._escapeHtml(
+              rule.title
+            )} löschen">🗑️</button>
+          </li>`
+          )
+          .join("")
+      : '<li class="alert-rule-empty">Keine Regeln für diesen Bereich</li>';
+
+    this.container.innerHTML = `
+      <label class="settings-helper-label">
+        Gilt für
+        <select class="settings-select" data-rule-scope>
+          ${options(
+            scopes.map((scope) => [scope.key, scope.label]),
+            this.scope
+          )}
+        </select>
+      </label>
+      <ul class="alert-rule-list">${ruleItems}</ul>
+      <form class="alert-rule-form" novalidate>
+        <input class="settings-input" name="title" maxlength="80" placeholder="Name, z.B. Radfahren: Gegenwind" aria-label="Name der Regel" />
+        <div class="alert-rule-conditions"></div>
+        <button type="button" class="btn-secondary" data-rule-action="add-condition">+ Bedingung</button>
+        <div class="settings-input-grid alert-rule-grid">
+          <label>
+            Mindestdauer (Std.)
+            <input class="settings-input" type="number" name="duration" min="1" max="24" value="1" />
+          </label>
+          <label>
+            Stufe
+            <select class="settings-select" name="severity">
+              ${options(Object.entries(ALERT_RULE_SEVERITY_LABELS), "yellow")}
+            </select>
+          </label>
+          <label>
+            Gefahr
+            <select class="settings-select" name="hazard">
+              ${options(Object.entries(ALERT_RULE_HAZARDS), "custom")}
+            </select>
+          </label>
+        </div>
+        <p class="alert-rule-error settings-helper" role="alert" hidden></p>
+        <div class="settings-quick-actions">
+          <button type="submit" class="btn-secondary">Regel hinzufügen</button>
+          <button type="button" class="btn-secondary" data-rule-action="reset">Standardregeln</button>
+        </div>
+      </form>
+    `;
+    this._addConditionRow();
+  }
+
+  /**
+   * Fügt dem Formular eine Bedingungszeile hinzu
+   * @private
+   */
+  _addConditionRow() {
+    const list = this.container.querySelector(".alert-rule-conditions");
+    if (!list) return;
+    const row = document.createElement("div");
+    row.className = "alert-rule-condition";
+    row.innerHTML = `
+      <select class="settings-select" name="variable" aria-label="Variable">
+        ${Object.entries(ALERT_RULE_VARIABLES)
+          .map(
+            ([key, meta]) =>
+              `<option value="${key}">${meta.label}${
+                meta.unit ? ` (${meta.unit})` : ""
+              }</option>`
+          )
+          .join("")}
+      </select>
+      <select class="settings-select" name="comparator" aria-label="Vergleich">
+        ${Object.entries(ALERT_RULE_COMPARATORS)
+          .map(([key, meta]) => `<option value="${key}">${meta.label}</option>`)
+          .join("")}
+      </select>
+      <input class="settings-input" name="value" inputmode="decimal" placeholder="Wert" aria-label="Schwellwert" />
+    `;
+    list.appendChild(row);
+  }
+
+  /**
+   * Liest das Formular in eine Regel (noch ungeprüft)
+   * @private
+   */
+  _readForm(form) {
+    return {
+      title: form.elements.title.value,
+      hazard: form.elements.hazard.value,
+      severity: form.elements.severity.value,
+      duration: form.elements.duration.value,
+      conditions: Array.from(
+        form.querySelectorAll(".alert-rule-condition")
+      ).map((row) => ({
+        variable: row.querySelector('[name="variable"]').value,
+        comparator: row.querySelector('[name="comparator"]').value,
+        value: row.querySelector('[name="value"]').value,
+      })),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _setupEventListeners() {
+    this.container.addEventListener("change", (e) => {
+      const target = e.target;
+      if (target.matches("[data-rule-scope]")) {
+        this.scope = target.value;
+        this.render();
+        return;
+      }
+      const field = target.dataset.ruleField;
+      const item = target.closest("[data-rule-id]");
+      if (!field || !item) return;
+      const rule = this.store
+        .getRules(this.scope)
+        .find((entry) => entry.id === item.dataset.ruleId);
+      if (!rule) return;
+      this.store.saveRule({ ...rule, [field]: target.checked }, this.scope);
+      this._changed();
+    });
+
+    this.container.addEventListener("click", (e) => {
+      const action = e.target.closest("[data-rule-action]")?.dataset.ruleAction;
+      if (action === "add-condition") {
+        this._addConditionRow();
+      } else if (action === "remove") {
+        const id = e.target.closest("[data-rule-id]")?.dataset.ruleId;
+        if (!id) return;
+        this.store.removeRule(id, this.scope);
+        this.render();
+        this._changed();
+      } else if (action === "reset") {
+        // Nur der gewählte Bereich, Regeln anderer Favoriten bleiben
+        const question =
+          this.scope === "user"
+            ? "Allgemeine Warnregeln auf die Standardregeln zurücksetzen?"
+            : "Alle Warnregeln dieses Favoriten löschen?";
+        if (!this.confirm(question)) return;
+        this.store.reset(this.scope);
+        this.render();
+        this._changed();
+      }
+    });
+
+    this.container.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const form = e.target;
+      // Unvollständige Bedingungen entfallen, ohne gültige gibt es einen Hinweis
+      const saved = this.store.saveRule(this._readForm(form), this.scope);
+      if (!saved) {
+        const error = form.querySelector(".alert-rule-error");
+        error.textContent = "Bitte mindestens eine Bedingung mit Wert angeben.";
+        error.hidden = false;
+        return;
+      }
+      this.render();
+      this._changed();
+    });
+  }
+
+  _changed() {
+    if (typeof this.onChange === "function") this.onChange();
+  }
+
+  _escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text == null ? "" : String(text);
+    return div.innerHTML;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AlertRulesEditorComponent;
+}
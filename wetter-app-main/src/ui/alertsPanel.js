@@ -2,45 +2,57 @@
  * src/ui/alertsPanel.js
  * Weather Alerts Component
  * Fetches and displays weather warnings from MeteoAlarm (CAP feeds)
+ * Parsing and alert lifecycle: src/utils/capAlerts.js
+ * Location filtering: src/utils/alertAreas.js
+ * History and acknowledgement: src/utils/alertHistory.js
  */
 
 class AlertsPanel {
-  constructor(containerId) {
+  constructor(containerId, options = {}) {
     this.containerId = containerId;
     this.alerts = [];
     this.container = document.getElementById(containerId);
+    this.language = options.language || 'de';
+    // Updates replace earlier alerts, cancels remove them (across fetches)
+    this.store = options.store || new CapAlertStore();
+    // Geocode lookup table (WARNCELLID / EMMA_ID -> region)
+    this.regions = options.regions || ALERT_GEOCODE_REGIONS;
+    // Shared with WeatherAlerts (same localStorage key)
+    this.history = options.history || new AlertHistory();
+    this.onAcknowledge = options.onAcknowledge || null;
+
+    if (this.container) {
+      this.container.addEventListener('click', e => {
+        const button = e.target.closest('[data-ack-id]');
+        if (button) this.acknowledge(button.dataset.ackId);
+      });
+    }
   }
 
   /**
-   * Fetch alerts for a given location from MeteoAlarm
-   * @param {number} latitude - Location latitude
+   * Fetch alerts from MeteoAlarm, keeping only those that cover the given
+   * location or one of the favorites
+   * @param {number} latitude - Location latitude (default: appState.currentCoordinates)
    * @param {number} longitude - Location longitude
    * @returns {Promise<Array>} - Array of alert objects
    */
   async fetchAlerts(latitude, longitude) {
     try {
-      // MeteoAlarm provides CAP feeds but CORS may block direct access
-      // Using a workaround: fetch from public MeteoAlarm API or JSON service if available
-      
-      // For now, return mock alerts structure
-      // In production, integrate with actual MeteoAlarm CAP feeds or use a backend proxy
-      
-      // Attempt to fetch from MeteoAlarm (may fail due to CORS)
-      const meteoAlarmUrl = `https://www.meteoalarm.org/feeds/meteoalarm-legacy-atom-de.xml`;
+      // MeteoAlarm Atom feed for Germany with CAP fields per entry
+      // (may fail due to CORS or while offline)
+      const meteoAlarmUrl = 'https://feeds.meteoalarm.org/feeds/meteoalarm-legacy-atom-germany';
       
       try {
-        const response = await fetch(meteoAlarmUrl, {
-          method: 'GET',
-          headers: { 'User-Agent': 'WetterApp/1.0' },
-        });
+        // No custom headers: they would trigger a CORS preflight
+        const response = await fetch(meteoAlarmUrl, { method: 'GET' });
         
         if (!response.ok) {
           throw new Error(`MeteoAlarm API error: ${response.status}`);
         }
         
-        // Parse XML and extract alerts for region
+        // Parse XML and apply to the lifecycle store
         const xmlText = await response.text();
-        this.alerts = this._parseCAP(xmlText, latitude, longitude);
+        this.ingest(xmlText, this.getLocations(latitude, longitude));
       } catch (corsErr) {
         console.warn('⚠️ MeteoAlarm CORS restriction - alerts unavailable:', corsErr.message);
         this.alerts = [];
@@ -55,47 +67,107 @@ class AlertsPanel {
   }
 
   /**
-   * Parse CAP (Common Alerting Protocol) XML response
+   * Apply a CAP document or CAP Atom feed and return the active alerts
+   * @param {string} xmlText - CAP 1.2 XML (single alert or feed)
+   * @param {Array|null} locations - [{ name, lat, lon }]; null = no filtering
+   * @returns {Array} - Alert view models, most severe first
+   */
+  ingest(xmlText, locations = null) {
+    this.store.applyAll(this._parseCAP(xmlText));
+    const alerts = this.store.active().map(alert => this._toViewModel(alert));
+    const filtered = locations
+      ? filterAlertsByLocations(alerts, locations, { regions: this.regions })
+      : alerts;
+    this.alerts = this._recordHistory(filtered, locations);
+    return this.alerts;
+  }
+
+  /**
+   * Record alerts in the history once per covered location and attach
+   * historyKeys / acknowledged
    * @private
-   * @param {string} xmlText - XML response from MeteoAlarm
-   * @param {number} latitude - Reference latitude
-   * @param {number} longitude - Reference longitude
-   * @returns {Array} - Parsed alerts
    */
-  _parseCAP(xmlText, latitude, longitude) {
-    try {
-      const parser = new DOMParser();
-      const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
-      
-      if (xmlDoc.parsererror) {
-        throw new Error('Invalid XML');
-      }
+  _recordHistory(alerts, locations) {
+    return alerts.map(alert => {
+      const places = alert.coveredLocations
+        ? (locations || []).filter(loc => alert.coveredLocations.includes(loc.name))
+        : [{ name: alert.area }];
+      const entries = places.flatMap(location =>
+        this.history.record([alert], {
+          location,
+          source: 'alerts-panel',
+        })
+      );
+      return {
+        ...alert,
+        historyKeys: entries.map(entry => entry.key),
+        acknowledged: entries.length > 0 && entries.every(entry => entry.acknowledgedAt),
+      };
+    });
+  }
 
-      const alerts = [];
-      const entries = xmlDoc.getElementsByTagName('entry');
+  /**
+   * Mark an alert as seen for all locations it covers
+   * @param {string} id - Alert id (capAlertKey)
+   */
+  acknowledge(id) {
+    const alert = this.alerts.find(item => item.id === id);
+    if (!alert) return;
+    const changed = this.history.acknowledge(alert.historyKeys || []);
+    alert.acknowledged = true;
+    this.render();
+    if (changed.length && typeof this.onAcknowledge === 'function') {
+      this.onAcknowledge(changed);
+    }
+  }
 
-      for (let entry of entries) {
-        const title = entry.querySelector('title')?.textContent || 'Unknown Alert';
-        const summary = entry.querySelector('summary')?.textContent || 'No description';
-        
-        // Extract severity from title or summary (typically Red, Orange, Yellow, Green)
-        const severity = this._extractSeverity(title, summary);
-        
-        // Extract area information
-        const area = entry.querySelector('georss\\:point') || entry.querySelector('point');
-        
-        alerts.push({
-          id: Date.now() + Math.random(),
-          title: title.substring(0, 60), // Truncate title
-          severity,
-          description: summary.substring(0, 150),
-          area: area?.textContent || `${latitude.toFixed(2)}, ${longitude.toFixed(2)}`,
-          effective: new Date().toISOString(),
-          expires: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-        });
+  /**
+   * Alert history (both alert sources)
+   * @param {object} filter - { location, severity, acknowledged }
+   * @returns {Array}
+   */
+  getHistory(filter = {}) {
+    return this.history.list(filter);
+  }
+
+  /**
+   * Places to check alerts against: the given or current location plus
+   * every favorite with coordinates
+   * @param {number} latitude
+   * @param {number} longitude
+   * @returns {Array} - [{ name, lat, lon }]
+   */
+  getLocations(latitude, longitude) {
+    const state = typeof window !== 'undefined' ? window.appState : null;
+    const current = state?.currentCoordinates || {};
+    const lat = Number.isFinite(latitude) ? latitude : Number(current.lat);
+    const lon = Number.isFinite(longitude)
+      ? longitude
+      : Number(current.lon ?? current.lng);
+
+    const locations = [];
+    if (Number.isFinite(lat) && Number.isFinite(lon)) {
+      locations.push({ name: state?.currentCity || 'Aktueller Standort', lat, lon });
+    }
+    (state?.favorites || []).forEach(fav => {
+      const favLat = Number(fav?.coords?.lat);
+      const favLon = Number(fav?.coords?.lon ?? fav?.coords?.lng);
+      if (Number.isFinite(favLat) && Number.isFinite(favLon)) {
+        locations.push({ name: fav.city, lat: favLat, lon: favLon });
       }
+    });
+    return locations;
+  }
 
-      return alerts.slice(0, 5); // Return top 5 alerts
+  /**
+   * Parse CAP (Common Alerting Protocol) XML response
+   * @private
+   * @param {string} xmlText - XML response from MeteoAlarm
+   * @returns {Array} - Parsed CAP alerts (see capAlerts.js typedefs)
+   */
+  _parseCAP(xmlText) {
+    try {
+      return parseCapXml(xmlText);
     } catch (err) {
       console.error('❌ Error parsing CAP XML:', err);
       return [];
@@ -103,7 +175,65 @@ class AlertsPanel {
   }
 
   /**
-   * Extract severity level from alert text
+   * Map a CAP alert to the fields used by render()
+   * @private
+   * @param {object} alert - Parsed CAP alert
+   * @returns {object}
+   */
+  _toViewModel(alert) {
+    const info = pickCapInfo(alert, this.language) || {};
+    const title = info.headline || info.event || 'Wetterwarnung';
+    const description = info.description || '';
+    const areas = info.areas || [];
+    return {
+      id: capAlertKey(alert),
+      identifier: alert.identifier,
+      sender: alert.sender,
+      msgType: alert.msgType,
+      sent: alert.sent,
+      language: info.language || null,
+      title,
+      event: info.event || null,
+      severity: this._severityFor(info, title, description),
+      capSeverity: info.severity || 'Unknown',
+      urgency: info.urgency || 'Unknown',
+      certainty: info.certainty || 'Unknown',
+      eventCodes: info.eventCodes || [],
+      description,
+      instruction: info.instruction || '',
+      area: areas.map(area => area.description).filter(Boolean).join(', ') || 'Unbekannt',
+      areas,
+      effective: info.effective || alert.sent,
+      onset: info.onset || info.effective || alert.sent,
+      expires: info.expires || null,
+    };
+  }
+
+  /**
+   * Colour level: MeteoAlarm awareness level, then CAP severity, then text
+   * @private
+   */
+  _severityFor(info, title, description) {
+    const awareness = (info.parameters || []).find(
+      param => param.valueName === 'awareness_level'
+    );
+    // e.g. "2; yellow; Moderate"
+    const color = awareness && /(red|orange|yellow|green)/i.exec(awareness.value);
+    if (color) {
+      return color[1].charAt(0).toUpperCase() + color[1].slice(1).toLowerCase();
+    }
+
+    const bySeverity = {
+      Extreme: 'Red',
+      Severe: 'Red',
+      Moderate: 'Orange',
+      Minor: 'Yellow',
+    };
+    return bySeverity[info.severity] || this._extractSeverity(title, description);
+  }
+
+  /**
+   * Extract severity level from alert text (fallback without CAP severity)
    * @private
    * @param {string} title - Alert title
    * @param {string} description - Alert description
@@ -192,7 +322,7 @@ class AlertsPanel {
         const colors = this._getSeverityColors(alert.severity);
         return `
           <article 
-            class="alert-item" 
+            class="alert-item${alert.acknowledged ? ' alert-acknowledged' : ''}" 
             style="
               background: ${colors.bg};
               border-left: 4px solid ${colors.border};
@@ -202,18 +332,33 @@ class AlertsPanel {
               color: ${colors.text};
             "
             role="alert"
-            aria-label="${colors.label}: ${alert.title}"
+            aria-label="${colors.label}: ${this._escapeHtml(alert.title)}"
           >
             <div style="display: flex; align-items: flex-start; gap: var(--spacing-md);">
               <span style="font-size: 1.5rem; flex-shrink: 0;">${colors.icon}</span>
               <div style="flex: 1;">
-                <strong style="font-size: 1rem;">${alert.title}</strong>
+                <strong style="font-size: 1rem;">${this._escapeHtml(alert.title)}</strong>
                 <p style="margin: var(--spacing-xs) 0 0 0; font-size: 0.9rem; line-height: 1.4;">
-                  ${alert.description}
+                  ${this._escapeHtml(alert.description)}
                 </p>
                 <small style="opacity: 0.8; display: block; margin-top: var(--spacing-xs);">
-                  Bereich: ${alert.area}
+                  Bereich: ${this._escapeHtml(alert.area)}
                 </small>
+                ${alert.coveredLocations ? `
+                <small style="opacity: 0.8; display: block;">
+                  Betrifft: ${this._escapeHtml(alert.coveredLocations.join(', '))}
+                </small>` : ''}
+                ${alert.instruction ? `
+                <p style="margin: var(--spacing-xs) 0 0 0; font-size: 0.85rem; font-style: italic;">
+                  ${this._escapeHtml(alert.instruction)}
+                </p>` : ''}
+                ${alert.expires ? `
+                <small style="opacity: 0.8; display: block;">
+                  Gültig: ${this._formatPeriod(alert.onset, alert.expires)}
+                </small>` : ''}
+                ${alert.acknowledged
+                  ? '<small class="alert-ack-state">Gesehen</small>'
+                  : `<button type="button" class="btn-secondary alert-ack" data-ack-id="${this._escapeHtml(alert.id)}">Als gesehen markieren</button>`}
               </div>
             </div>
           </article>
@@ -231,11 +376,36 @@ class AlertsPanel {
     console.log(`✅ ${alertsList.length} alert(s) rendered`);
   }
 
+  /**
+   * @private
+   */
+  _formatPeriod(from, until) {
+    const format = value =>
+      new Date(value).toLocaleString('de-DE', {
+        weekday: 'short',
+        day: '2-digit',
+        month: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+      });
+    return from ? `${format(from)} – ${format(until)}` : `bis ${format(until)}`;
+  }
+
+  /**
+   * @private
+   */
+  _escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
   /**
    * Clear alerts
    */
   clear() {
     this.alerts = [];
+    this.store.clear();
     if (this.container) {
       this.container.innerHTML = '';
     }
@@ -0,0 +1,179 @@
+/**
+ * src/ui/canvasChart.js
+ * Einfache Canvas-Diagramme: Raster, Achsen, Linien und Balken.
+ * Aus HistoricalChart (ui/historicalChart.js) herausgelöst, damit auch das
+ * Analytics-Dashboard ohne Chart.js zeichnen kann.
+ */
+
+const CanvasChart = {
+  /**
+   * Zeichenbereich innerhalb des Rands
+   * @param {number} width
+   * @param {number} height
+   * @param {number} padding
+   * @returns {object} - { width, height, padding, chartWidth, chartHeight }
+   */
+  area(width, height, padding = 50) {
+    return {
+      width,
+      height,
+      padding,
+      chartWidth: width - 2 * padding,
+      chartHeight: height - 2 * padding,
+    };
+  },
+
+  xAt(area, index, count) {
+    return area.padding + (index * area.chartWidth) / (count - 1 || 1);
+  },
+
+  yAt(area, value, min, max) {
+    const normalized = (value - min) / (max - min || 1);
+    return area.height - area.padding - normalized * area.chartHeight;
+  },
+
+  /**
+   * Hintergrundraster und Achsen
+   */
+  drawGrid(ctx, area) {
+    ctx.fillStyle = "rgba(200, 200, 200, 0.05)";
+    for (let i = 0; i <= 5; i++) {
+      const y = area.padding + (i * area.chartHeight) / 5;
+      ctx.fillRect(area.padding, y - 1, area.chartWidth, 2);
+    }
+
+    ctx.strokeStyle = "var(--border-light, #ddd)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(area.padding, area.padding);
+    ctx.lineTo(area.padding, area.height - area.padding);
+    ctx.lineTo(area.width - area.padding, area.height - area.padding);
+    ctx.stroke();
+  },
+
+  /**
+   * Linie; fehlende Werte (null) unterbrechen sie
+   * @param {object} options - { min, max, color, lineWidth }
+   */
+  drawLine(ctx, area, values, options = {}) {
+    const { min, max, color = "#007BFF", lineWidth = 3 } = options;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+    let drawing = false;
+    values.forEach((value, i) => {
+      if (!Number.isFinite(value)) {
+        drawing = false;
+        return;
+      }
+      const x = CanvasChart.xAt(area, i, values.length);
+      const y = CanvasChart.yAt(area, value, min, max);
+      drawing ? ctx.lineTo(x, y) : ctx.moveTo(x, y);
+      drawing = true;
+    });
+    ctx.stroke();
+  },
+
+  /**
+   * Balken ab der x-Achse
+   * @param {object} options - { max, fill, stroke }
+   */
+  drawBars(ctx, area, values, options = {}) {
+    const {
+      max = Math.max(...values, 1),
+      fill = "rgba(0, 150, 255, 0.3)",
+      stroke = "#0096FF",
+    } = options;
+    const xStep = area.chartWidth / (values.length - 1 || 1);
+    const barWidth = Math.max(xStep * 0.6, 5);
+
+    ctx.fillStyle = fill;
+    values.forEach((value, i) => {
+      const x = CanvasChart.xAt(area, i, values.length);
+      const barHeight = ((value || 0) / (max || 1)) * area.chartHeight;
+      const y = area.height - area.padding - barHeight;
+      ctx.fillRect(x - barWidth / 2, y, barWidth, barHeight);
+
+      ctx.strokeStyle = stroke;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x - barWidth / 2, y, barWidth, barHeight);
+    });
+  },
+
+  /**
+   * Beschriftung der x-Achse (höchstens maxLabels)
+   */
+  drawXLabels(ctx, area, labels, maxLabels = 5) {
+    ctx.fillStyle = "var(--text-light, #333)";
+    ctx.font = "12px system-ui";
+    ctx.textAlign = "center";
+    for (
+      let i = 0;
+      i < labels.length;
+      i += Math.ceil(labels.length / maxLabels)
+    ) {
+      const x = CanvasChart.xAt(area, i, labels.length);
+      ctx.fillText(labels[i], x, area.height - area.padding + 20);
+    }
+  },
+
+  /**
+   * Beschriftung der y-Achse in fünf Schritten
+   * @param {function} format - Wert -> Text
+   */
+  drawYLabels(ctx, area, min, max, format = (value) => `${Math.round(value)}`) {
+    ctx.fillStyle = "var(--text-light, #333)";
+    ctx.font = "12px system-ui";
+    ctx.textAlign = "right";
+    for (let i = 0; i <= 5; i++) {
+      const value = min + (i / 5) * (max - min);
+      const y = area.height - area.padding - (i / 5) * area.chartHeight;
+      ctx.fillText(format(value), area.padding - 10, y + 5);
+    }
+  },
+
+  /**
+   * Zeichnet ein vollständiges Diagramm
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} options - { labels, series: [{ type: 'line'|'bar',
+   *   values, color }], min, max, format, padding }
+   * @returns {boolean} - false ohne 2D-Kontext
+   */
+  render(canvas, options) {
+    const ctx = canvas?.getContext ? canvas.getContext("2d") : null;
+    if (!ctx) return false;
+
+    const { labels = [], series = [], format, padding = 40 } = options;
+    const values = series.flatMap((entry) => entry.values);
+    const finite = values.filter((value) => Number.isFinite(value));
+    const min = options.min ?? Math.min(0, ...finite);
+    const max = options.max ?? Math.max(1, ...finite);
+    const area = CanvasChart.area(canvas.width, canvas.height, padding);
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    CanvasChart.drawGrid(ctx, area);
+    series.forEach((entry) => {
+      if (entry.type === "bar") {
+        CanvasChart.drawBars(ctx, area, entry.values, {
+          max,
+          fill: entry.fill,
+          stroke: entry.color,
+        });
+      } else {
+        CanvasChart.drawLine(ctx, area, entry.values, {
+          min,
+          max,
+          color: entry.color,
+          lineWidth: 2,
+        });
+      }
+    });
+    CanvasChart.drawXLabels(ctx, area, labels);
+    CanvasChart.drawYLabels(ctx, area, min, max, format);
+    return true;
+  },
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CanvasChart;
+}
@@ -2,6 +2,7 @@
  * src/ui/historicalChart.js
  * Historical Weather Data Chart Component
  * Displays temperature trends, precipitation data using simple canvas rendering
+ * (drawing helpers in ui/canvasChart.js)
  */
 
 class HistoricalChart {
@@ -80,9 +81,7 @@ class HistoricalChart {
    * @param {boolean} fahrenheit - Is temperature in Fahrenheit?
    */
   _drawTemperatureChart(fahrenheit) {
-    const padding = 50;
-    const chartWidth = this.width - 2 * padding;
-    const chartHeight = this.height - 2 * padding;
+    const area = CanvasChart.area(this.width, this.height);
 
     // Find min/max temperatures
     let minTemp = Math.min(...this.data.map(d => d.temp_min));
@@ -93,42 +92,25 @@ class HistoricalChart {
     minTemp -= tempRange * 0.1;
     maxTemp += tempRange * 0.1;
 
-    // Draw background grid
-    this.ctx.fillStyle = 'rgba(200, 200, 200, 0.05)';
-    for (let i = 0; i <= 5; i++) {
-      const y = padding + (i * chartHeight) / 5;
-      this.ctx.fillRect(padding, y - 1, chartWidth, 2);
-    }
-
-    // Draw axes
-    this.ctx.strokeStyle = 'var(--border-light, #ddd)';
-    this.ctx.lineWidth = 2;
-    this.ctx.beginPath();
-    this.ctx.moveTo(padding, padding);
-    this.ctx.lineTo(padding, this.height - padding);
-    this.ctx.lineTo(this.width - padding, this.height - padding);
-    this.ctx.stroke();
-
-    // Draw temperature line (min-max range as filled area)
-    const xStep = chartWidth / (this.data.length - 1 || 1);
+    // Background grid and axes
+    CanvasChart.drawGrid(this.ctx, area);
 
     // Fill area between min and max
+    const count = this.data.length;
     this.ctx.fillStyle = 'rgba(0, 123, 255, 0.1)';
     this.ctx.beginPath();
 
     // Max line
-    for (let i = 0; i < this.data.length; i++) {
-      const x = padding + i * xStep;
-      const normalizedTemp = (this.data[i].temp_max - minTemp) / (maxTemp - minTemp);
-      const y = this.height - padding - normalizedTemp * chartHeight;
+    for (let i = 0; i < count; i++) {
+      const x = CanvasChart.xAt(area, i, count);
+      const y = CanvasChart.yAt(area, this.data[i].temp_max, minTemp, maxTemp);
       i === 0 ? this.ctx.moveTo(x, y) : this.ctx.lineTo(x, y);
     }
 
     // Min line (reverse)
-    for (let i = this.data.length - 1; i >= 0; i--) {
-      const x = padding + i * xStep;
-      const normalizedTemp = (this.data[i].temp_min - minTemp) / (maxTemp - minTemp);
-      const y = this.height - padding - normalizedTemp * chartHeight;
+    for (let i = count - 1; i >= 0; i--) {
+      const x = CanvasChart.xAt(area, i, count);
+      const y = CanvasChart.yAt(area, this.data[i].temp_min, minTemp, maxTemp);
       this.ctx.lineTo(x, y);
     }
 
@@ -136,39 +118,27 @@ class HistoricalChart {
     this.ctx.fill();
 
     // Draw average temperature line
-    this.ctx.strokeStyle = '#007BFF';
-    this.ctx.lineWidth = 3;
-    this.ctx.beginPath();
-
-    for (let i = 0; i < this.data.length; i++) {
-      const x = padding + i * xStep;
-      const normalizedTemp = (this.data[i].temp_avg - minTemp) / (maxTemp - minTemp);
-      const y = this.height - padding - normalizedTemp * chartHeight;
-      i === 0 ? this.ctx.moveTo(x, y) : this.ctx.lineTo(x, y);
-    }
-
-    this.ctx.stroke();
-
-    // Draw x-axis labels (dates)
-    this.ctx.fillStyle = 'var(--text-light, #333)';
-    this.ctx.font = '12px system-ui';
-    this.ctx.textAlign = 'center';
-
-    for (let i = 0; i < this.data.length; i += Math.ceil(this.data.length / 5)) {
-      const x = padding + i * xStep;
-      const date = new Date(this.data[i].date);
-      const label = `${date.getDate()}.${date.getMonth() + 1}.`;
-      this.ctx.fillText(label, x, this.height - padding + 20);
-    }
-
-    // Draw y-axis labels (temperature)
-    this.ctx.textAlign = 'right';
-    for (let i = 0; i <= 5; i++) {
-      const temp = minTemp + (i / 5) * (maxTemp - minTemp);
-      const y = this.height - padding - (i / 5) * chartHeight;
-      const label = `${Math.round(temp)}°${fahrenheit ? 'F' : 'C'}`;
-      this.ctx.fillText(label, padding - 10, y + 5);
-    }
+    CanvasChart.drawLine(this.ctx, area, this.data.map(d => d.temp_avg), {
+      min: minTemp,
+      max: maxTemp,
+    });
+
+    // Axis labels (dates, temperature)
+    CanvasChart.drawXLabels(
+      this.ctx,
+      area,
+      this.data.map(d => {
+        const date = new Date(d.date);
+        return `${date.getDate()}.${date.getMonth() + 1}.`;
+      })
+    );
+    CanvasChart.drawYLabels(
+      this.ctx,
+      area,
+      minTemp,
+      maxTemp,
+      temp => `${Math.round(temp)}°${fahrenheit ? 'F' : 'C'}`
+    );
   }
 
   /**
@@ -176,31 +146,11 @@ class HistoricalChart {
    * @private
    */
   _drawPrecipitationOverlay() {
-    const padding = 50;
-    const chartWidth = this.width - 2 * padding;
-    const chartHeight = this.height - 2 * padding;
-
-    const maxPrecip = Math.max(...this.data.map(d => d.precipitation), 1);
-    const xStep = chartWidth / (this.data.length - 1 || 1);
-    const barWidth = Math.max(xStep * 0.6, 5);
-
-    // Draw precipitation bars
-    this.ctx.fillStyle = 'rgba(0, 150, 255, 0.3)';
-
-    for (let i = 0; i < this.data.length; i++) {
-      const x = padding + i * xStep;
-      const normalizedPrecip = this.data[i].precipitation / maxPrecip;
-      const barHeight = normalizedPrecip * chartHeight;
-      const y = this.height - padding - barHeight;
-
-      // Draw bar
-      this.ctx.fillRect(x - barWidth / 2, y, barWidth, barHeight);
-
-      // Border
-      this.ctx.strokeStyle = '#0096FF';
-      this.ctx.lineWidth = 1;
-      this.ctx.strokeRect(x - barWidth / 2, y, barWidth, barHeight);
-    }
+    CanvasChart.drawBars(
+      this.ctx,
+      CanvasChart.area(this.width, this.height),
+      this.data.map(d => d.precipitation)
+    );
   }
 
   /**
@@ -0,0 +1,247 @@
+/* Ortsauswahl bei mehrdeutigen Suchergebnissen (z.B. "Frankfurt", "Neustadt") */
+
+const LOCATION_PICKER_TILE_URL = "https://tile.openstreetmap.org";
+const LOCATION_PICKER_ZOOM = 8;
+
+class LocationPickerComponent {
+  constructor(modalId = "location-picker-modal") {
+    this.modal = document.getElementById(modalId);
+    this.list = this.modal?.querySelector(".location-picker-list") || null;
+    this.queryLabel = this.modal?.querySelector(".location-picker-query");
+    this._pending = null;
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Setup Event-Listener
+   * @private
+   */
+  _setupEventListeners() {
+    if (!this.modal) return;
+
+    this.modal
+      .querySelector(".modal-close")
+      ?.addEventListener("click", () => this._finish(null));
+
+    // Klick neben den Dialog bricht ab
+    this.modal.addEventListener("click", (e) => {
+      if (e.target === this.modal) this._finish(null);
+    });
+    document
+      .getElementById("modal-overlay")
+      ?.addEventListener("click", () => this._finish(null));
+
+    this.modal.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        this._finish(null);
+        return;
+      }
+      if (e.key !== "ArrowDown" && e.key !== "ArrowUp") return;
+      const options = Array.from(
+        this.list?.querySelectorAll(".location-picker-option") || []
+      );
+      if (!options.length) return;
+      e.preventDefault();
+      const idx = options.indexOf(document.activeElement);
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      options[(idx + step + options.length) % options.length].focus();
+    });
+  }
+
+  /**
+   * Baut eindeutige Kandidaten aus Nominatim-Ergebnissen
+   * (addressdetails=1 liefert Landkreis/Bundesland/Land getrennt)
+   * @param {array} geoData - Nominatim-Antwort
+   * @returns {array} - [{name, county, state, country, countryCode, type, lat, lon, displayName}]
+   */
+  static candidatesFrom(geoData) {
+    if (!Array.isArray(geoData)) return [];
+    const candidates = [];
+
+    geoData.forEach((entry) => {
+      const lat = parseFloat(entry?.lat);
+      const lon = parseFloat(entry?.lon);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+
+      const address = entry.address || {};
+      const name =
+        address.city ||
+        address.town ||
+        address.village ||
+        address.municipality ||
+        address.hamlet ||
+        entry.name ||
+        String(entry.display_name || "")
+          .split(",")[0]
+          .trim();
+      const county = address.county || null;
+      const state = address.state || null;
+      const country = address.country || null;
+
+      // Nominatim liefert denselben Ort oft mehrfach (Grenze + Punkt);
+      // gleichnamige Orte im selben Bundesland bleiben getrennt
+      const nearby = candidates.some(
+        (c) =>
+          c.name === name &&
+          Math.abs(c.lat - lat) < 0.05 &&
+          Math.abs(c.lon - lon) < 0.05
+      );
+      if (nearby) return;
+
+      candidates.push({
+        name,
+        county,
+        state,
+        country,
+        countryCode: address.country_code
+          ? address.country_code.toUpperCase()
+          : null,
+        type: entry.addresstype || entry.type || null,
+        lat,
+        lon,
+        displayName: entry.display_name || name,
+      });
+    });
+
+    return candidates;
+  }
+
+  /**
+   * OSM-Kachel mit Pin-Position (in %) für die Mini-Karte
+   * @param {number} lat
+   * @param {number} lon
+   * @param {number} zoom
+   * @returns {object} - {url, left, top}
+   */
+  static tileFor(lat, lon, zoom = LOCATION_PICKER_ZOOM) {
+    const scale = 2 ** zoom;
+    const latRad = (lat * Math.PI) / 180;
+    const x = ((lon + 180) / 360) * scale;
+    const y =
+      ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) *
+      scale;
+    const tileX = Math.floor(x);
+    const tileY = Math.floor(y);
+    return {
+      url: `${LOCATION_PICKER_TILE_URL}/${zoom}/${tileX}/${tileY}.png`,
+      left: Math.round((x - tileX) * 1000) / 10,
+      top: Math.round((y - tileY) * 1000) / 10,
+    };
+  }
+
+  /**
+   * Zeigt die Kandidaten und wartet auf die Auswahl
+   * @param {string} query - Suchbegriff
+   * @param {array} candidates - aus candidatesFrom()
+   * @param {object} options - { signal } schließt den Dialog bei neuer Suche
+   * @returns {Promise<object|null>} - gewählter Kandidat oder null (abgebrochen)
+   */
+  choose(query, candidates, options = {}) {
+    if (!this.modal || !this.list) {
+      return Promise.resolve(candidates[0] || null);
+    }
+    // Offene Auswahl einer vorherigen Suche verwerfen
+    this._finish(null);
+
+    const { signal } = options;
+    if (signal?.aborted) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      const onAbort = () => this._finish(null);
+      this._pending = (choice) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(choice);
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      this._render(query, candidates);
+      this._open();
+    });
+  }
+
+  /**
+   * @private
+   */
+  _render(query, candidates) {
+    if (this.queryLabel) this.queryLabel.textContent = query;
+    this.list.innerHTML = "";
+
+    candidates.forEach((candidate) => {
+      const tile = LocationPickerComponent.tileFor(
+        candidate.lat,
+        candidate.lon
+      );
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "location-picker-option";
+      button.setAttribute("role", "option");
+      button.innerHTML = `
+        <span class="location-picker-map" aria-hidden="true">
+          <img src="${tile.url}" alt="" loading="lazy" width="64" height="64" />
+          <span class="location-picker-pin" style="left:${tile.left}%;top:${tile.top}%">📍</span>
+        </span>
+        <span class="location-picker-text">
+          <strong class="location-picker-name"></strong>
+          <span class="location-picker-region"></span>
+          <span class="location-picker-coords">${candidate.lat.toFixed(
+            3
+          )}, ${candidate.lon.toFixed(3)}</span>
+        </span>
+      `;
+      // Ortsnamen aus der API nur als Text einsetzen
+      button.querySelector(".location-picker-name").textContent =
+        candidate.name;
+      button.querySelector(".location-picker-region").textContent = [
+        candidate.county,
+        candidate.state,
+        candidate.country,
+      ]
+        .filter(Boolean)
+        .join(", ");
+      button.addEventListener("click", () => this._finish(candidate));
+
+      item.appendChild(button);
+      this.list.appendChild(item);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _open() {
+    this.modal.classList.add("active");
+    this.modal.setAttribute("aria-hidden", "false");
+    document.getElementById("modal-overlay")?.classList.add("active");
+    document.body.style.overflow = "hidden";
+    this.list.querySelector(".location-picker-option")?.focus();
+  }
+
+  /**
+   * @private
+   */
+  _close() {
+    this.modal.classList.remove("active");
+    this.modal.setAttribute("aria-hidden", "true");
+    document.getElementById("modal-overlay")?.classList.remove("active");
+    document.body.style.overflow = "";
+  }
+
+  /**
+   * Schließt den Dialog und löst die offene Auswahl auf
+   * @private
+   */
+  _finish(choice) {
+    if (!this._pending) return;
+    const resolve = this._pending;
+    this._pending = null;
+    this._close();
+    resolve(choice);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LocationPickerComponent;
+}
@@ -0,0 +1,146 @@
+/* Einstellungen: ausstehende und verworfene Übertragungen aus dem Ausgang
+   (siehe utils/requestOutbox.js) */
+
+class RequestOutboxPanelComponent {
+  /**
+   * @param {string} containerId
+   * @param {object} options - { getStore, onReplay, now }
+   */
+  constructor(containerId = "request-outbox-panel", options = {}) {
+    this.container = document.getElementById(containerId);
+    this.getStore = options.getStore || (() => null);
+    this.onReplay = options.onReplay || null;
+    this.now = options.now || (() => Date.now());
+    this._renderId = 0;
+
+    if (this.container) {
+      this._setupEventListeners();
+      this.render();
+    }
+  }
+
+  /**
+   * Kurzbeschreibung eines Eintrags, z.B. "2 Versuche · nächster 14:05 · HTTP 503"
+   * @param {object} entry - Eintrag aus dem Ausgang
+   * @param {number} now
+   * @returns {string}
+   */
+  static describeEntry(entry, now = Date.now()) {
+    const time = (ts) =>
+      new Date(ts).toLocaleString("de-DE", {
+        day: "2-digit",
+        month: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+    const parts = [
+      entry.attempts === 1 ? "1 Versuch" : `${entry.attempts} Versuche`,
+    ];
+    if (entry.deadAt) {
+      parts.push(`verworfen ${time(entry.deadAt)}`);
+    } else {
+      parts.push(
+        entry.nextAttemptAt > now
+          ? `nächster ${time(entry.nextAttemptAt)}`
+          : "beim nächsten Sync"
+      );
+    }
+    if (entry.lastError) parts.push(entry.lastError);
+    return parts.join(" · ");
+  }
+
+  async render() {
+    if (!this.container) return;
+    const renderId = ++this._renderId;
+    const store = this.getStore();
+    let pending = [];
+    let deadLetters = [];
+    try {
+      if (store) {
+        [pending, deadLetters] = await Promise.all([
+          store.getPending(),
+          store.getDeadLetters(),
+        ]);
+      }
+    } catch (e) {
+      console.warn("Ausgang konnte nicht gelesen werden", e);
+    }
+    // Ein späterer Aufruf hat inzwischen gerendert
+    if (renderId !== this._renderId) return;
+
+    const now = this.now();
+    const list = (entries) =>
+      `<ul class="outbox-list">${entries
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(
+          (entry) => `
+          <li class="outbox-item" data-outbox-id="${this._escapeHtml(
+            entry.id
+          )}">
+            <span class="outbox-kind">${this._escapeHtml(
+              OUTBOX_KIND_LABELS[entry.kind] || entry.kind
+            )}</span>
+            <span class="outbox-meta">${this._escapeHtml(
+              RequestOutboxPanelComponent.describeEntry(entry, now)
+            )}</span>
+          </li>`
+        )
+        .join("")}</ul>`;
+
+    this.container.innerHTML = `
+      ${
+        pending.length
+          ? list(pending)
+          : '<p class="settings-helper">Keine ausstehenden Übertragungen.</p>'
+      }
+      ${
+        deadLetters.length
+          ? `<span class="settings-helper-label">Verworfen (${
+              deadLetters.length
+            })</span>${list(deadLetters)}`
+          : ""
+      }
+      <div class="settings-quick-actions">
+        <button type="button" class="btn-secondary" data-outbox-action="replay"${
+          pending.length ? "" : " disabled"
+        }>🔁 Jetzt senden</button>
+        ${
+          deadLetters.length
+            ? '<button type="button" class="btn-secondary" data-outbox-action="clear-dead">🗑️ Verworfene löschen</button>'
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  /**
+   * @private
+   */
+  _setupEventListeners() {
+    this.container.addEventListener("click", async (e) => {
+      const button = e.target.closest("[data-outbox-action]");
+      if (!button) return;
+      button.disabled = true;
+      if (button.dataset.outboxAction === "replay") {
+        if (typeof this.onReplay === "function") await this.onReplay();
+      } else if (button.dataset.outboxAction === "clear-dead") {
+        try {
+          await this.getStore()?.clearDeadLetters();
+        } catch (err) {
+          console.warn("Verworfene Übertragungen nicht gelöscht", err);
+        }
+      }
+      await this.render();
+    });
+  }
+
+  _escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text == null ? "" : String(text);
+    return div.innerHTML;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = RequestOutboxPanelComponent;
+}
@@ -1,12 +1,40 @@
 /* Stadt-Suche Component */
 
+const SUGGESTION_ICONS = {
+  favorite: "⭐",
+  recent: "🕐",
+  geocoding: "📍",
+};
+
 class SearchInputComponent {
-  constructor(inputSelector, buttonSelector, recentListSelector) {
+  /**
+   * @param {object} options - {
+   *   suggestionsSelector: Liste für Vorschläge (Standard: #search-suggestions),
+   *   gazetteer: (query, { signal }) => Promise<array> - Vorschlagsquelle,
+   *     Standard ist die Open-Meteo Geocoding API; austauschbar z.B. gegen
+   *     ein lokales Ortsverzeichnis,
+   *   getFavorites: () => [{ city, coords }],
+   *   debounceMs: Tipp-Pause vor der Anfrage
+   * }
+   */
+  constructor(inputSelector, buttonSelector, recentListSelector, options = {}) {
     this.input = document.querySelector(inputSelector);
     this.button = document.querySelector(buttonSelector);
     this.recentList = document.querySelector(recentListSelector);
+    this.suggestionList = document.querySelector(
+      options.suggestionsSelector || "#search-suggestions"
+    );
     this.recentCities = this._loadRecentCities();
 
+    this.gazetteer =
+      options.gazetteer || SearchInputComponent.geocodingGazetteer;
+    this.getFavorites = options.getFavorites || (() => []);
+    this.debounceMs = options.debounceMs ?? UI_CONFIG.SEARCH_DEBOUNCE_MS;
+    this.suggestions = [];
+    this.activeIndex = -1;
+    this._debounceTimer = null;
+    this._suggestController = null;
+
     this._setupEventListeners();
     this._renderRecentCities();
   }
@@ -16,20 +44,18 @@ class SearchInputComponent {
    * @private
    */
   _setupEventListeners() {
-    // Enter-Taste
-    this.input?.addEventListener("keypress", (e) => {
-      if (e.key === "Enter") {
-        this.onSearch();
-      }
-    });
+    // Enter, Pfeiltasten und Escape (auch für die Vorschlagsliste)
+    this.input?.addEventListener("keydown", (e) => this._handleKeyDown(e));
 
     // Button-Click
     this.button?.addEventListener("click", () => this.onSearch());
 
-    // Input-Änderungen (für Auto-Complete später)
+    // Input-Änderungen (Auto-Complete)
     this.input?.addEventListener("input", (e) => {
       this._handleInputChange(e.target.value);
     });
+
+    this.input?.addEventListener("blur", () => this._closeSuggestions());
   }
 
   /**
@@ -39,6 +65,17 @@ class SearchInputComponent {
   getSearchInput() {
     const value = this.input?.value || "";
 
+    // Koordinaten, PLZ und Plus Codes vor der Namensprüfung erkennen
+    // (DMS braucht ° ' ", die sanitizeInput entfernt)
+    const direct = parseLocationQuery(value);
+    if (direct.type !== "name") {
+      return {
+        valid: !direct.error,
+        value: direct.query,
+        error: direct.error || null,
+      };
+    }
+
     // Sanitize
     const sanitized = sanitizeInput(value);
 
@@ -64,6 +101,7 @@ class SearchInputComponent {
    * Search triggern (wird vom Parent überschrieben)
    */
   onSearch() {
+    this._closeSuggestions();
     const input = this.getSearchInput();
 
     if (!input.valid) {
@@ -86,13 +124,348 @@ class SearchInputComponent {
    * @private
    */
   _handleInputChange(value) {
-    if (value.length === 0) {
+    clearTimeout(this._debounceTimer);
+    this._suggestController?.abort();
+    this._suggestController = null;
+
+    const query = value.trim();
+    if (query.length === 0) {
+      this._closeSuggestions();
       this._showRecentCities();
       return;
     }
+    // Kürzer als nötig oder Koordinaten/PLZ/Plus Code: keine Vorschläge
+    if (
+      query.length < UI_CONFIG.AUTOCOMPLETE_MIN_CHARS ||
+      parseLocationQuery(query).type !== "name"
+    ) {
+      this._closeSuggestions();
+      return;
+    }
+
+    // Favoriten/Verlauf sofort, entfernte Treffer erst nach der Tipp-Pause
+    this._renderSuggestions(this._localSuggestions(query));
+    this._debounceTimer = setTimeout(
+      () => this._fetchSuggestions(query),
+      this.debounceMs
+    );
+  }
+
+  /**
+   * Tastatursteuerung für Suche und Vorschlagsliste
+   * @private
+   */
+  _handleKeyDown(e) {
+    const open = this.suggestions.length > 0 && !this.suggestionList?.hidden;
+
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (!open) return;
+      e.preventDefault();
+      this._setActiveSuggestion(
+        this.activeIndex + (e.key === "ArrowDown" ? 1 : -1)
+      );
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (open && this.activeIndex >= 0) {
+        this._selectSuggestion(this.suggestions[this.activeIndex]);
+      } else {
+        this.onSearch();
+      }
+    } else if (e.key === "Escape" && open) {
+      e.preventDefault();
+      this._closeSuggestions();
+    }
+  }
+
+  /**
+   * Fragt die Vorschlagsquelle ab; ältere Anfragen werden abgebrochen
+   * @private
+   */
+  async _fetchSuggestions(query) {
+    const controller = new AbortController();
+    this._suggestController = controller;
+
+    let remote = [];
+    try {
+      remote =
+        (await this.gazetteer(query, { signal: controller.signal })) || [];
+    } catch (e) {
+      if (!controller.signal.aborted) {
+        console.warn("Ortsvorschläge nicht verfügbar:", e);
+      }
+    }
+
+    // Inzwischen weitergetippt, ausgewählt oder Feld verlassen
+    if (controller.signal.aborted || this._suggestController !== controller) {
+      return;
+    }
+    this._suggestController = null;
+    this._renderSuggestions(
+      SearchInputComponent.mergeSuggestions(
+        this._localSuggestions(query),
+        remote.slice(0, UI_CONFIG.MAX_SEARCH_RESULTS)
+      )
+    );
+  }
 
-    // Hier könnte Auto-Complete implementiert werden
-    console.log("Auto-Complete für:", value);
+  /**
+   * Standard-Vorschlagsquelle: Open-Meteo Geocoding (api/geocoding.js)
+   */
+  static async geocodingGazetteer(query, options = {}) {
+    if (typeof geocodingAPI === "undefined") return [];
+    const result = await geocodingAPI.search(query, {
+      signal: options.signal,
+      count: UI_CONFIG.MAX_SEARCH_RESULTS,
+    });
+    return result.suggestions || [];
+  }
+
+  /**
+   * Passende Favoriten und zuletzt gesuchte Orte
+   * @private
+   */
+  _localSuggestions(query) {
+    const favorites = (this.getFavorites() || [])
+      .filter((fav) => SearchInputComponent.matchesQuery(fav.city, query))
+      .map((fav) => {
+        const [name, ...rest] = String(fav.city).split(",");
+        const lat = Number(fav.coords?.lat);
+        const lon = Number(fav.coords?.lon ?? fav.coords?.lng);
+        return {
+          kind: "favorite",
+          name: name.trim(),
+          label: fav.city,
+          hint: rest.join(",").trim() || null,
+          lat: Number.isFinite(lat) ? lat : null,
+          lon: Number.isFinite(lon) ? lon : null,
+        };
+      });
+
+    const recent = this.recentCities
+      .filter((city) => SearchInputComponent.matchesQuery(city, query))
+      .filter(
+        (city) =>
+          !favorites.some(
+            (fav) => fav.name.toLowerCase() === city.toLowerCase()
+          )
+      )
+      .map((city) => ({
+        kind: "recent",
+        name: city,
+        label: city,
+        lat: null,
+        lon: null,
+      }));
+
+    return [...favorites, ...recent].slice(0, UI_CONFIG.MAX_LOCAL_SUGGESTIONS);
+  }
+
+  /**
+   * Vereinigt lokale und entfernte Vorschläge ohne Dubletten.
+   * Ein Verlaufseintrag ohne Koordinaten übernimmt den ersten
+   * gleichnamigen Geocoding-Treffer.
+   * @param {array} local - aus Favoriten/Verlauf
+   * @param {array} remote - aus der Vorschlagsquelle
+   * @returns {array}
+   */
+  static mergeSuggestions(local, remote) {
+    const merged = local.map((entry) => ({ ...entry }));
+    const near = (a, b) =>
+      Math.abs(a.lat - b.lat) < 0.05 && Math.abs(a.lon - b.lon) < 0.05;
+
+    (remote || []).forEach((entry) => {
+      if (!entry?.name) return;
+      const suggestion = {
+        kind: "geocoding",
+        ...entry,
+        label: [entry.name, entry.state, entry.country]
+          .filter(Boolean)
+          .join(", "),
+      };
+
+      const sameName = merged.filter(
+        (m) => m.name.toLowerCase() === entry.name.toLowerCase()
+      );
+      if (sameName.some((m) => m.lat !== null && near(m, suggestion))) {
+        return;
+      }
+      const unresolved = sameName.find(
+        (m) => m.kind === "recent" && m.lat === null
+      );
+      if (unresolved) {
+        Object.assign(unresolved, suggestion, { kind: "recent" });
+        return;
+      }
+      merged.push(suggestion);
+    });
+
+    return merged;
+  }
+
+  /**
+   * Vergleich ohne Groß-/Kleinschreibung und Akzente, auch ab Wortanfang
+   * ("main" findet "Frankfurt am Main")
+   */
+  static matchesQuery(name, query) {
+    const fold = (text) =>
+      String(text || "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase();
+    const needle = fold(query).trim();
+    if (!needle) return false;
+    const haystack = fold(name);
+    return (
+      haystack.startsWith(needle) ||
+      haystack.split(/[\s,\-()]+/).some((word) => word.startsWith(needle))
+    );
+  }
+
+  /**
+   * Zusatzzeile eines Vorschlags (Region, Land, Einwohner)
+   */
+  static describeSuggestion(suggestion) {
+    if (suggestion.hint) return suggestion.hint;
+    const parts = [
+      suggestion.state,
+      suggestion.country || suggestion.countryCode,
+    ].filter(Boolean);
+    const population = Number(suggestion.population);
+    if (population > 0) {
+      parts.push(
+        population >= 1000000
+          ? `${(population / 1000000).toLocaleString("de-DE", {
+              maximumFractionDigits: 1,
+            })} Mio. Einw.`
+          : `${population.toLocaleString("de-DE")} Einw.`
+      );
+    }
+    return parts.join(" · ");
+  }
+
+  /**
+   * Rendert die Vorschlagsliste
+   * @private
+   */
+  _renderSuggestions(suggestions) {
+    this.suggestions = suggestions;
+    this.activeIndex = -1;
+    if (!this.suggestionList) return;
+
+    this.suggestionList.innerHTML = "";
+    if (!suggestions.length) {
+      this._hideSuggestionList();
+      return;
+    }
+
+    suggestions.forEach((suggestion, idx) => {
+      const item = document.createElement("li");
+      item.id = `search-suggestion-${idx}`;
+      item.className = `search-suggestion search-suggestion-${suggestion.kind}`;
+      item.setAttribute("role", "option");
+      item.setAttribute("aria-selected", "false");
+      item.innerHTML = `
+        <span class="search-suggestion-icon" aria-hidden="true">${
+          SUGGESTION_ICONS[suggestion.kind] || "📍"
+        }</span>
+        <span class="search-suggestion-text">
+          <span class="search-suggestion-name"></span>
+          <span class="search-suggestion-hint"></span>
+        </span>
+      `;
+      // Ortsnamen aus der API nur als Text einsetzen
+      item.querySelector(".search-suggestion-name").textContent =
+        suggestion.name;
+      item.querySelector(".search-suggestion-hint").textContent =
+        SearchInputComponent.describeSuggestion(suggestion);
+
+      // mousedown statt click: sonst verliert das Suchfeld vorher den Fokus
+      item.addEventListener("mousedown", (e) => {
+        e.preventDefault();
+        this._selectSuggestion(suggestion);
+      });
+      this.suggestionList.appendChild(item);
+    });
+
+    this.suggestionList.hidden = false;
+    this.input?.setAttribute("aria-expanded", "true");
+  }
+
+  /**
+   * Markiert einen Vorschlag (Pfeiltasten)
+   * @private
+   */
+  _setActiveSuggestion(index) {
+    const count = this.suggestions.length;
+    if (!count) return;
+    this.activeIndex = (index + count) % count;
+
+    this.suggestionList
+      ?.querySelectorAll(".search-suggestion")
+      .forEach((item, idx) => {
+        const active = idx === this.activeIndex;
+        item.classList.toggle("active", active);
+        item.setAttribute("aria-selected", String(active));
+      });
+    this.input?.setAttribute(
+      "aria-activedescendant",
+      `search-suggestion-${this.activeIndex}`
+    );
+  }
+
+  /**
+   * Übernimmt einen Vorschlag und startet die Suche.
+   * Mit Koordinaten entfällt die Ortssuche (detail.location).
+   * @private
+   */
+  _selectSuggestion(suggestion) {
+    if (!suggestion) return;
+    this._closeSuggestions();
+    // Namen aus der API landen im Verlauf (innerHTML) – wie Eingaben säubern
+    const city = sanitizeInput(suggestion.name);
+    if (this.input) this.input.value = city;
+    this._addToRecentCities(city);
+
+    const location =
+      Number.isFinite(suggestion.lat) && Number.isFinite(suggestion.lon)
+        ? {
+            city: suggestion.label || suggestion.name,
+            name: suggestion.name,
+            state: suggestion.state || null,
+            country: suggestion.country || null,
+            lat: suggestion.lat,
+            lon: suggestion.lon,
+          }
+        : null;
+
+    window.dispatchEvent(
+      new CustomEvent("search", {
+        detail: { city, location },
+      })
+    );
+  }
+
+  /**
+   * Schließt die Vorschläge und verwirft laufende Anfragen
+   * @private
+   */
+  _closeSuggestions() {
+    clearTimeout(this._debounceTimer);
+    this._suggestController?.abort();
+    this._suggestController = null;
+    this.suggestions = [];
+    this.activeIndex = -1;
+    if (this.suggestionList) this.suggestionList.innerHTML = "";
+    this._hideSuggestionList();
+  }
+
+  /**
+   * @private
+   */
+  _hideSuggestionList() {
+    if (this.suggestionList) this.suggestionList.hidden = true;
+    this.input?.setAttribute("aria-expanded", "false");
+    this.input?.removeAttribute("aria-activedescendant");
   }
 
   /**
@@ -266,3 +639,7 @@ class SearchInputComponent {
     }
   }
 }
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SearchInputComponent;
+}
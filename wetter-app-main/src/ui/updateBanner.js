@@ -0,0 +1,82 @@
+/* Hinweis "Neue Version verfügbar" für einen wartenden Service Worker
+   (siehe utils/precache.js). "Neu laden" aktiviert ihn per SKIP_WAITING,
+   die Seite lädt beim Wechsel des Controllers neu. */
+
+class UpdateBannerComponent {
+  /**
+   * @param {object} options - { container, reload }
+   */
+  constructor(options = {}) {
+    this.container = options.container || document.body;
+    this.reload = options.reload || (() => window.location.reload());
+    this.element = null;
+    this.waiting = null;
+    this._activating = false;
+  }
+
+  /**
+   * Beobachtet eine Registrierung: ein bereits wartender oder neu
+   * installierter Worker zeigt den Hinweis. Bei der ersten Installation gibt
+   * es noch keinen Controller und nichts zu ersetzen.
+   * @param {ServiceWorkerRegistration} registration
+   * @param {ServiceWorkerContainer} serviceWorker - navigator.serviceWorker
+   */
+  watch(registration, serviceWorker = navigator.serviceWorker) {
+    if (!registration || !serviceWorker) return;
+    const isUpdate = () => Boolean(serviceWorker.controller);
+
+    if (registration.waiting && isUpdate()) this.show(registration.waiting);
+    registration.addEventListener("updatefound", () => {
+      const worker = registration.installing;
+      worker?.addEventListener("statechange", () => {
+        if (worker.state === "installed" && isUpdate()) this.show(worker);
+      });
+    });
+    serviceWorker.addEventListener("controllerchange", () => {
+      // Nur nach "Neu laden", nicht durch clients.claim der Erstinstallation
+      if (this._activating) this.reload();
+    });
+  }
+
+  show(worker) {
+    this.waiting = worker;
+    if (!this.element) {
+      this.element = document.createElement("div");
+      this.element.className = "update-banner";
+      this.element.setAttribute("role", "status");
+      this.element.innerHTML = `
+        <span>🔄 Neue Version verfügbar</span>
+        <button type="button" class="btn-secondary" data-update-action="reload">Neu laden</button>
+        <button type="button" class="update-banner-close" data-update-action="dismiss" aria-label="Hinweis schließen">&times;</button>
+      `;
+      this.element.addEventListener("click", (e) => {
+        const action = e.target.closest("[data-update-action]")?.dataset
+          .updateAction;
+        if (action === "reload") this.activate();
+        else if (action === "dismiss") this.hide();
+      });
+      this.container.appendChild(this.element);
+    }
+    this.element.hidden = false;
+  }
+
+  hide() {
+    if (this.element) this.element.hidden = true;
+  }
+
+  /**
+   * Aktiviert den wartenden Worker; neu geladen wird bei controllerchange
+   */
+  activate() {
+    if (!this.waiting) return;
+    this._activating = true;
+    this.element
+      ?.querySelector("[data-update-action='reload']")
+      ?.setAttribute("disabled", "");
+    this.waiting.postMessage({ type: "SKIP_WAITING" });
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = UpdateBannerComponent;
+}
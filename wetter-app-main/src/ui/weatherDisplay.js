@@ -116,6 +116,8 @@ class WeatherDisplayComponent {
         weatherData.sunEvents,
         weatherData.moonPhase
       );
+      const airQualityPanel = this._renderAirQuality(weatherData.airQuality);
+      const marinePanel = this._renderMarine(weatherData.marine);
       const extremes = daySnapshot
         ? `
           <div class="current-extremes">
@@ -195,6 +197,8 @@ class WeatherDisplayComponent {
           </div>
           ${sunriseSunset}
           ${astroPanel}
+          ${airQualityPanel}
+          ${marinePanel}
           <div class="current-highlights">${highlightsHtml}</div>
           <div class="source-info" id="source-info">Daten werden geladen...</div>
         </div>
@@ -311,12 +315,21 @@ class WeatherDisplayComponent {
                     ? ""
                     : `<small>${formatWind(windRaw)}</small>`;
 
+                const consensusChip = this._renderConsensusChip(
+                  hour.consensus
+                );
+
                 return `
-                <div class="hourly-item" data-hour="${idx}">
+                <div class="hourly-item" data-hour="${idx}"${
+                  hour.consensus
+                    ? ` data-consensus="${hour.consensus.agreement}"`
+                    : ""
+                }>
                   <div class="hour-time">${hourStr}:00</div>
                   <div class="hour-emoji">${hour.emoji || "❓"}</div>
                   <div class="hour-temp">${tempDisplay}</div>
                   ${windDisplay}
+                  ${consensusChip}
                 </div>
               `;
               })
@@ -978,6 +991,182 @@ class WeatherDisplayComponent {
     `;
   }
 
+  /**
+   * Karte mit Luftqualitätsindex, Schadstoff-Verlauf (24 h), Pollen und
+   * Gesundheitshinweisen (Daten aus AirQualityAPI.format)
+   * @param {object} airQuality
+   * @returns {string}
+   */
+  _renderAirQuality(airQuality) {
+    if (!airQuality || typeof airQuality.aqi !== "number") return "";
+    const band = airQuality.band || {};
+    const hourOf = (time) => String(time || "").slice(11, 16);
+
+    const pollutants = (airQuality.pollutants || [])
+      .filter((pollutant) => pollutant.value !== null)
+      .map((pollutant) => {
+        const limits = AIR_QUALITY_POLLUTANTS[pollutant.id]?.limits || [];
+        const scale = limits[limits.length - 1] || 1;
+        const bars = pollutant.hourly
+          .map((value, idx) => {
+            if (value === null) return '<span class="aqi-bar"></span>';
+            const height = Math.min(value / scale, 1) * 100;
+            const color = airQualityAPI.pollutantBand(
+              pollutant.id,
+              value
+            )?.color;
+            return `<span class="aqi-bar" style="--aqi-height:${height}%;--aqi-color:${color};" title="${hourOf(
+              airQuality.hourly[idx]?.time
+            )} · ${Math.round(value)} µg/m³"></span>`;
+          })
+          .join("");
+        return `
+          <div class="aqi-pollutant">
+            <span class="aqi-pollutant-label">${pollutant.label}</span>
+            <strong>${Math.round(pollutant.value)} <small>${
+          pollutant.unit
+        }</small></strong>
+            <div class="aqi-bars" aria-hidden="true">${bars}</div>
+            <small>max. ${
+              pollutant.peak === null ? "--" : Math.round(pollutant.peak)
+            } · ${this._escapeHtml(pollutant.band?.label || "")}</small>
+          </div>
+        `;
+      })
+      .join("");
+
+    const pollen = airQuality.pollen || [];
+    const strongPollen = pollen.filter((entry) => entry.level?.index >= 3);
+    const pollenHtml = pollen.length
+      ? `<ul class="aqi-pollen">${pollen
+          .map(
+            (entry) => `
+              <li class="pollen-level-${entry.level.index}">
+                <span>${entry.label}</span>
+                <strong>${entry.level.label}</strong>
+              </li>`
+          )
+          .join("")}</ul>`
+      : '<p class="aqi-none">Keine Pollendaten für diesen Ort (nur Europa).</p>';
+
+    const peak = airQuality.peak;
+    const peakLine =
+      peak && peak.aqi > airQuality.aqi
+        ? `<small class="aqi-peak">Höchstwert in 24 h: ${Math.round(
+            peak.aqi
+          )} (${this._escapeHtml(peak.band?.label || "")}) um ${hourOf(
+            peak.time
+          )}</small>`
+        : "";
+
+    return `
+      <section class="air-quality-card" aria-label="Luftqualität" style="--aqi-color:${
+        band.color || "#50CCAA"
+      };">
+        <header class="aqi-header">
+          <h3>🌫️ Luftqualität</h3>
+          <span class="aqi-badge">EAQI ${Math.round(
+            airQuality.aqi
+          )} · ${this._escapeHtml(band.label || "--")}</span>
+        </header>
+        <p class="aqi-advice">${this._escapeHtml(band.advice || "")}</p>
+        <p class="aqi-advice aqi-advice-sensitive"><strong>Empfindliche Personen:</strong> ${this._escapeHtml(
+          band.sensitive || ""
+        )}</p>
+        ${peakLine}
+        <div class="aqi-pollutants">${pollutants}</div>
+        <h4>🌿 Pollen (Höchstwert 24 h)</h4>
+        ${pollenHtml}
+        ${
+          strongPollen.length
+            ? `<p class="aqi-advice">Allergiker: starker Pollenflug (${strongPollen
+                .map((entry) => entry.label)
+                .join(
+                  ", "
+                )}). Fenster tagsüber geschlossen halten und nach dem Aufenthalt im Freien Kleidung wechseln.</p>`
+            : ""
+        }
+      </section>
+    `;
+  }
+
+  /**
+   * Küstenkarte mit Seegang, Dünung, Wassertemperatur und Wellenverlauf
+   * (Daten aus MarineAPI.format; im Binnenland null, dann keine Karte)
+   * @param {object} marine
+   * @returns {string}
+   */
+  _renderMarine(marine) {
+    if (!marine) return "";
+    const hourOf = (time) => String(time || "").slice(11, 16);
+    const meters = (value) => this._formatMetricValue(value, " m", 1);
+    const seconds = (value) => this._formatMetricValue(value, " s", 0);
+    const from = (compass) => (compass ? ` aus ${compass}` : "");
+    // Marine liefert °C; die übrigen Temperaturen sind schon umgerechnet
+    const seaTemperature =
+      window.appState?.units?.temperature === "F" &&
+      typeof marine.seaTemperature === "number"
+        ? (marine.seaTemperature * 9) / 5 + 32
+        : marine.seaTemperature;
+
+    const heights = marine.hourly
+      .map((hour) => hour.waveHeight)
+      .filter((value) => value !== null);
+    const scale = Math.max(2, ...heights);
+    const bars = marine.hourly
+      .map((hour) => {
+        if (hour.waveHeight === null) return '<span class="marine-bar"></span>';
+        const height = (hour.waveHeight / scale) * 100;
+        return `<span class="marine-bar${
+          hour.waveHeight > 2.5 ? " is-rough" : ""
+        }" style="--marine-height:${height}%;" title="${hourOf(
+          hour.time
+        )} · ${meters(hour.waveHeight)}"></span>`;
+      })
+      .join("");
+
+    const peak = marine.peak;
+    const peakLine =
+      peak && peak.waveHeight > (marine.waveHeight ?? 0)
+        ? `<small class="marine-peak">Höchstwert in 24 h: ${meters(
+            peak.waveHeight
+          )} (${this._escapeHtml(peak.seaState?.label || "")}) um ${hourOf(
+            peak.time
+          )}</small>`
+        : "";
+
+    return `
+      <section class="marine-card" aria-label="Küste und Seegang">
+        <header class="marine-header">
+          <h3>🌊 Küste &amp; Seegang</h3>
+          <span class="marine-state">${this._escapeHtml(
+            marine.seaState?.label || "--"
+          )}</span>
+        </header>
+        <div class="marine-metrics">
+          <div><span>Wellen</span><strong>${meters(
+            marine.waveHeight
+          )}</strong><small>${seconds(marine.wavePeriod)}${from(
+      marine.waveCompass
+    )}</small></div>
+          <div><span>Windsee</span><strong>${meters(
+            marine.windWaveHeight
+          )}</strong></div>
+          <div><span>Dünung</span><strong>${meters(
+            marine.swellHeight
+          )}</strong><small>${seconds(marine.swellPeriod)}${from(
+      marine.swellCompass
+    )}</small></div>
+          <div><span>Wasser</span><strong>${this._formatTempValue(
+            seaTemperature
+          )}</strong></div>
+        </div>
+        ${peakLine}
+        <div class="marine-bars" aria-hidden="true">${bars}</div>
+      </section>
+    `;
+  }
+
   _renderPrecipBars(timeline = []) {
     if (!Array.isArray(timeline) || !timeline.length) {
       return '<div class="precip-bars empty">Keine Daten</div>';
@@ -1587,58 +1776,41 @@ class WeatherDisplayComponent {
 
   /**
    * Zeigt detaillierten Vergleich zwischen zwei API-Quellen
-   * @param {object|null} openData - Open-Meteo aktuelle Data (first hour) or null
-   * @param {object|null} brightData - BrightSky aktuelle Data (first hour) or null
+   * @param {object} datasets - validierte kanonische Datensätze je Provider-ID
    * @param {array} sources - sources metadata
    */
-  showSourcesComparison(openData, brightData, sources = []) {
+  showSourcesComparison(datasets = {}, sources = []) {
     try {
+      const panels = [
+        { id: "open-meteo", selector: "#source-openmeteo .source-content" },
+        { id: "brightsky", selector: "#source-brightsky .source-content" },
+      ];
       const section = document.getElementById("sources-comparison");
       if (section) {
-        if (!openData && !brightData) section.style.display = "none";
-        else section.style.display = "";
+        const hasData = panels.some((panel) => datasets?.[panel.id]);
+        section.style.display = hasData ? "" : "none";
       }
-      const openEl = document.querySelector(
-        "#source-openmeteo .source-content"
-      );
-      const brightEl = document.querySelector(
-        "#source-brightsky .source-content"
-      );
 
       const unitTemp = window.appState?.units?.temperature || "C";
       const unitWind = window.appState?.units?.wind || "km/h";
       const fmt = (v, unit = "") =>
         v === null || v === undefined ? "–" : `${v}${unit}`;
+      const round = (v) =>
+        typeof v === "number" ? Math.round(v * 10) / 10 : null;
+
+      // Kanonische Werte sind metrisch (°C, km/h)
+      const toTemp = (c) =>
+        typeof c === "number" && unitTemp === "F" ? (c * 9) / 5 + 32 : c;
+      const toWind = (kmh) => {
+        if (typeof kmh !== "number") return null;
+        if (unitWind === "m/s") return kmh / 3.6;
+        if (unitWind === "mph") return kmh / 1.609;
+        return kmh;
+      };
 
-      // Helper to extract current metrics
-      const extract = (d, sourceName) => {
-        if (!d)
-          return {
-            temp: null,
-            wind: null,
-            humidity: null,
-            note: "keine Daten",
-          };
-        // d may be either full API raw or formatted hourly array; try common fields
-        let temp = null,
-          wind = null,
-          humidity = null,
-          emoji = "";
-        if (Array.isArray(d.hourly) && d.hourly.length) {
-          const h = d.hourly[0];
-          temp = h.temperature;
-          wind = h.windSpeed;
-          humidity = h.humidity;
-          emoji = h.emoji || "";
-        } else if (d.temperature !== undefined) {
-          temp = d.temperature;
-          wind = d.windSpeed;
-          humidity = d.relativeHumidity || d.humidity || null;
-          emoji = d.emoji || "";
-        }
-        const srcMeta = sources.find((s) =>
-          s.name.toLowerCase().includes(sourceName.toLowerCase())
-        );
+      const extract = (providerId) => {
+        const current = datasets?.[providerId]?.current || null;
+        const srcMeta = sources.find((s) => s.id === providerId);
         const status = srcMeta
           ? srcMeta.success
             ? "OK"
@@ -1646,49 +1818,34 @@ class WeatherDisplayComponent {
           : "unbekannt";
         const duration =
           srcMeta && srcMeta.duration ? `${srcMeta.duration}ms` : "";
-        return { temp, wind, humidity, emoji, status, duration };
+        return {
+          temp: round(toTemp(current?.temperature)),
+          wind: round(toWind(current?.windSpeed)),
+          humidity: current?.humidity ?? null,
+          emoji: WEATHER_CODES[current?.weatherCode]?.emoji || "",
+          status,
+          duration,
+        };
       };
 
-      const o = extract(openData, "Open-Meteo");
-      const b = extract(brightData, "BrightSky");
-
-      if (openEl) {
-        openEl.innerHTML = `
-          <div class="source-compare">
-            <div><strong>Aktuell:</strong> ${o.emoji || ""} ${fmt(
-          o.temp,
-          unitTemp === "F" ? "°F" : "°C"
-        )}</div>
-            <div>Wind: ${fmt(
-              o.wind,
-              unitWind === "m/s" ? " m/s" : " km/h"
-            )}</div>
-            <div>Luft: ${fmt(o.humidity, "%")}</div>
-            <div>Status: ${o.status} ${
-          o.duration ? "(" + o.duration + ")" : ""
-        }</div>
-          </div>
-        `;
-      }
-
-      if (brightEl) {
-        brightEl.innerHTML = `
+      panels.forEach((panel) => {
+        const el = document.querySelector(panel.selector);
+        if (!el) return;
+        const v = extract(panel.id);
+        el.innerHTML = `
           <div class="source-compare">
-            <div><strong>Aktuell:</strong> ${b.emoji || ""} ${fmt(
-          b.temp,
+            <div><strong>Aktuell:</strong> ${v.emoji} ${fmt(
+          v.temp,
           unitTemp === "F" ? "°F" : "°C"
         )}</div>
-            <div>Wind: ${fmt(
-              b.wind,
-              unitWind === "m/s" ? " m/s" : " km/h"
-            )}</div>
-            <div>Luft: ${fmt(b.humidity, "%")}</div>
-            <div>Status: ${b.status} ${
-          b.duration ? "(" + b.duration + ")" : ""
+            <div>Wind: ${fmt(v.wind, ` ${unitWind}`)}</div>
+            <div>Luft: ${fmt(v.humidity, "%")}</div>
+            <div>Status: ${v.status} ${
+          v.duration ? "(" + v.duration + ")" : ""
         }</div>
           </div>
         `;
-      }
+      });
     } catch (e) {
       console.warn("showSourcesComparison failed", e);
     }
@@ -1744,6 +1901,37 @@ class WeatherDisplayComponent {
     }
   }
 
+  /**
+   * Kennzeichnet die Anzeige als gespeicherten Stand (Offline-Snapshot);
+   * verschwindet mit dem nächsten displayCurrent
+   * @param {number} savedAt - Zeitpunkt des Abrufs (ms)
+   */
+  showStaleBadge(savedAt) {
+    const header = this.currentContainer?.querySelector(".location-header");
+    if (!header || !savedAt) return;
+    header.querySelector(".stale-badge")?.remove();
+
+    const minutes = Math.max(0, Math.round((Date.now() - savedAt) / 60000));
+    const age =
+      minutes < 60
+        ? `vor ${minutes} Min.`
+        : minutes < 48 * 60
+        ? `vor ${Math.round(minutes / 60)} Std.`
+        : `vor ${Math.round(minutes / 1440)} Tagen`;
+    const stamp = new Intl.DateTimeFormat("de-DE", {
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+    }).format(new Date(savedAt));
+
+    const badge = document.createElement("span");
+    badge.className = "stale-badge";
+    badge.setAttribute("role", "status");
+    badge.title = "Offline – gespeicherte Vorhersage wird angezeigt";
+    badge.textContent = `📴 Stand ${stamp} (${age})`;
+    header.appendChild(badge);
+  }
+
   /**
    * Zeigt Loading-State
    */
@@ -1794,6 +1982,33 @@ class WeatherDisplayComponent {
     });
   }
 
+  /**
+   * Kleiner Hinweis, ob die Modelle für diese Stunde übereinstimmen
+   * @param {object|null} consensus - { agreement, providers, disagreements }
+   * @private
+   */
+  _renderConsensusChip(consensus) {
+    if (!consensus || consensus.agreement === "single") return "";
+    const labels = {
+      temperature: "Temperatur",
+      precipitation: "Niederschlag",
+      precipitationProbability: "Regenwahrscheinlichkeit",
+      windSpeed: "Wind",
+    };
+    const count = consensus.providers?.length || 0;
+    const agree = consensus.agreement === "agree";
+    const title = agree
+      ? `Modelle einig (${count} Quellen)`
+      : `Modelle uneinig: ${(consensus.disagreements || [])
+          .map((key) => labels[key] || key)
+          .join(", ")}`;
+    return `<span class="hour-consensus hour-consensus--${
+      agree ? "agree" : "disagree"
+    }" title="${this._escapeHtml(title)}" aria-label="${this._escapeHtml(
+      title
+    )}">${agree ? "✓" : "≠"}</span>`;
+  }
+
   /**
    * HTML-Escape für Sicherheit
    * @private
@@ -0,0 +1,185 @@
+/**
+ * Gebietsprüfung für Warnungen (CAP-Areas, siehe capAlerts.js)
+ *
+ * Eine Warnung gilt für einen Ort, wenn eines ihrer Gebiete ihn abdeckt:
+ * Polygon (Punkt-in-Polygon), Kreis (Entfernung ≤ Radius) oder Geocode.
+ * Geocodes (DWD WARNCELLID, MeteoAlarm EMMA_ID) haben keine Geometrie und
+ * werden über die mitgelieferte Kreistabelle ALERT_GEOCODE_REGIONS
+ * (utils/alertRegions.js) aufgelöst.
+ * Gebiete ohne auflösbare Geometrie decken keinen Ort ab.
+ */
+
+/**
+ * Mitgelieferte Geocode-Tabelle: im Browser aus utils/alertRegions.js (von
+ * tools/build-alert-regions.js aus den Kreisgrenzen erzeugt), sonst per
+ * require. Vereinfachter Umriss und Rechteck je Kreis; Gemeinde-
+ * Warnzellen ("8" + AGS) werden auf ihren Kreis zurückgeführt.
+ * @private
+ */
+function bundledAlertRegions() {
+  if (typeof ALERT_GEOCODE_REGIONS !== "undefined") {
+    return ALERT_GEOCODE_REGIONS;
+  }
+  if (typeof module !== "undefined" && module.exports) {
+    return require("./alertRegions.js").ALERT_GEOCODE_REGIONS;
+  }
+  return {};
+}
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Entfernung zweier Punkte in km (Haversine)
+ * @param {{lat: number, lon: number}} a
+ * @param {{lat: number, lon: number}} b
+ * @returns {number}
+ */
+function distanceKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Punkt-in-Polygon (Ray Casting) für einen Ring aus [lat, lon]
+ * @param {{lat: number, lon: number}} point
+ * @param {Array<[number, number]>} ring
+ * @returns {boolean}
+ */
+function pointInPolygon(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [latI, lonI] = ring[i];
+    const [latJ, lonJ] = ring[j];
+    const crosses =
+      latI > point.lat !== latJ > point.lat &&
+      point.lon < ((lonJ - lonI) * (point.lat - latI)) / (latJ - latI) + lonI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Löst einen Geocode über die Tabelle auf
+ * @param {{valueName: string, value: string}} geocode
+ * @param {object} regions - Tabelle im Format von ALERT_GEOCODE_REGIONS
+ * @returns {{name: string, bbox: number[]}|null}
+ */
+function resolveAlertGeocode(geocode, regions = bundledAlertRegions()) {
+  const table = regions[String(geocode?.valueName || "").toUpperCase()];
+  if (!table) return null;
+  const value = String(geocode.value || "").trim();
+  if (table[value]) return table[value];
+
+  // Gemeinde-Warnzelle (8 + AGS) → Kreis-Warnzelle (1 + Kreisschlüssel + 000)
+  if (
+    geocode.valueName.toUpperCase() === "WARNCELLID" &&
+    /^8\d{8}$/.test(value)
+  ) {
+    return table[`1${value.slice(1, 6)}000`] || null;
+  }
+  return null;
+}
+
+/**
+ * Prüft einen Tabelleneintrag gegen einen Ort: das Rechteck filtert vor, der
+ * Kreisumriss entscheidet. Die Rechtecke benachbarter Kreise überlappen
+ * stark; nur Einträge ohne Umriss werden allein über das Rechteck geprüft.
+ * @param {{bbox: number[], polygons?: Array}} region
+ * @param {{lat: number, lon: number}} point
+ * @returns {boolean}
+ */
+function regionCoversPoint(region, point) {
+  const [south, west, north, east] = region.bbox;
+  if (
+    point.lat < south ||
+    point.lat > north ||
+    point.lon < west ||
+    point.lon > east
+  ) {
+    return false;
+  }
+  if (!region.polygons) return true;
+  return region.polygons.some(
+    ([outer, ...holes]) =>
+      pointInPolygon(point, outer) &&
+      !holes.some((hole) => pointInPolygon(point, hole))
+  );
+}
+
+/**
+ * Prüft ein Gebiet gegen einen Ort
+ * @param {object} area - CapArea
+ * @param {{lat: number, lon: number}} point
+ * @param {object} regions - Geocode-Tabelle
+ * @returns {boolean}
+ */
+function areaCoversPoint(area, point, regions = bundledAlertRegions()) {
+  if ((area.polygons || []).some((ring) => pointInPolygon(point, ring))) {
+    return true;
+  }
+  if (
+    (area.circles || []).some(
+      (circle) => distanceKm(circle, point) <= circle.radiusKm
+    )
+  ) {
+    return true;
+  }
+  return (area.geocodes || []).some((geocode) => {
+    const region = resolveAlertGeocode(geocode, regions);
+    return region ? regionCoversPoint(region, point) : false;
+  });
+}
+
+/**
+ * Gebiete einer Warnung: Ansichtsmodell (areas) oder CAP-Meldung (info[].areas)
+ * @private
+ */
+function alertAreasOf(alert) {
+  if (Array.isArray(alert?.areas)) return alert.areas;
+  return (alert?.info || []).flatMap((info) => info.areas || []);
+}
+
+/**
+ * Behält nur Warnungen, die mindestens einen der Orte abdecken, und
+ * vermerkt die betroffenen Orte in coveredLocations
+ * @param {Array} alerts - Ansichtsmodelle oder CAP-Meldungen
+ * @param {Array<{name: string, lat: number, lon: number}>} locations
+ * @param {object} options - { regions }
+ * @returns {Array}
+ */
+function filterAlertsByLocations(alerts, locations, options = {}) {
+  const regions = options.regions || bundledAlertRegions();
+  const points = (locations || []).filter(
+    (location) =>
+      location && Number.isFinite(location.lat) && Number.isFinite(location.lon)
+  );
+
+  return alerts
+    .map((alert) => {
+      const areas = alertAreasOf(alert);
+      const covered = points.filter((point) =>
+        areas.some((area) => areaCoversPoint(area, point, regions))
+      );
+      return covered.length
+        ? { ...alert, coveredLocations: covered.map((point) => point.name) }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ALERT_GEOCODE_REGIONS: bundledAlertRegions(),
+    distanceKm,
+    pointInPolygon,
+    resolveAlertGeocode,
+    regionCoversPoint,
+    areaCoversPoint,
+    filterAlertsByLocations,
+  };
+}
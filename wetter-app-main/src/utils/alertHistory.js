@@ -0,0 +1,210 @@
+/* Verlauf gesehener Warnungen mit Quittierung
+ *
+ * WeatherAlerts (DWD + Regeln) und AlertsPanel (CAP) tragen jede angezeigte
+ * Warnung pro Ort ein. Ein Eintrag merkt sich, wann die Warnung zuerst und
+ * zuletzt gesehen wurde und ob sie quittiert ist. Quittierte Warnungen mit
+ * notifyKey meldet der Client an den Push-Server, der sie nicht erneut
+ * verschickt (tools/push-alerts.js).
+ *
+ * Ortsschlüssel wie bei den Warnregeln (alertLocationKey, utils/alertRules.js).
+ */
+
+const ALERT_HISTORY_STORAGE_KEY = "wetter_alert_history";
+const ALERT_HISTORY_MAX_ENTRIES = 300;
+const ALERT_HISTORY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 Tage
+
+const ALERT_HISTORY_LEVELS = ["green", "yellow", "orange", "red", "violet"];
+
+/**
+ * Schlüssel einer Push-Warnung, identisch mit dem des Push-Servers
+ * @param {string} locationKey - alertLocationKey des Ortes
+ * @param {string} type - Regel-id bzw. Warntyp
+ * @param {string} time - erste betroffene Stunde
+ * @returns {string}
+ */
+function alertNotifyKey(locationKey, type, time) {
+  return `${locationKey}|${type}|${time}`;
+}
+
+/**
+ * @private
+ */
+function normalizeLevel(severity) {
+  const level = String(severity || "").toLowerCase();
+  return ALERT_HISTORY_LEVELS.includes(level) ? level : "yellow";
+}
+
+class AlertHistory {
+  constructor(options = {}) {
+    this.storage =
+      options.storage ||
+      (typeof localStorage !== "undefined" ? localStorage : null);
+    this.key = options.key || ALERT_HISTORY_STORAGE_KEY;
+    this.maxEntries = options.maxEntries || ALERT_HISTORY_MAX_ENTRIES;
+    this.retentionMs = options.retentionMs || ALERT_HISTORY_RETENTION_MS;
+  }
+
+  /**
+   * @returns {array} - alle Einträge
+   */
+  load() {
+    try {
+      const stored = JSON.parse(this.storage?.getItem(this.key) || "[]");
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      console.warn("Warnungsverlauf konnte nicht gelesen werden", e);
+      return [];
+    }
+  }
+
+  /**
+   * Speichert ohne abgelaufene Einträge; bei Überlauf fallen die am
+   * längsten nicht mehr gesehenen weg
+   * @private
+   */
+  _save(entries, now) {
+    const kept = entries
+      .filter((entry) => now - entry.lastSeen <= this.retentionMs)
+      .sort((a, b) => b.lastSeen - a.lastSeen)
+      .slice(0, this.maxEntries);
+    try {
+      this.storage?.setItem(this.key, JSON.stringify(kept));
+    } catch (e) {
+      console.warn("Warnungsverlauf konnte nicht gespeichert werden", e);
+    }
+    return kept;
+  }
+
+  /**
+   * Trägt angezeigte Warnungen für einen Ort ein
+   * @param {array} alerts - Warnungen mit id, title, severity, time, expires
+   * @param {object} context - { location: {name, lat?, lon?}, source, now }
+   * @returns {array} - Einträge zu den Warnungen (gleiche Reihenfolge)
+   */
+  record(alerts, context = {}) {
+    const now = context.now ?? Date.now();
+    const name = context.location?.name || "Unbekannt";
+    const lat = Number(context.location?.lat);
+    const lon = Number(context.location?.lon);
+    const locationKey =
+      Number.isFinite(lat) && Number.isFinite(lon)
+        ? alertLocationKey(lat, lon)
+        : null;
+
+    const entries = this.load();
+    const byKey = new Map(entries.map((entry) => [entry.key, entry]));
+
+    const recorded = (alerts || []).map((alert) => {
+      const key = `${locationKey || name}|${alert.id}`;
+      const existing = byKey.get(key);
+      const entry = {
+        key,
+        alertId: alert.id,
+        source: context.source || null,
+        origin: alert.origin || null,
+        title: alert.title || "Warnung",
+        severity: normalizeLevel(alert.severity),
+        hazard: alert.hazard || null,
+        location: name,
+        locationKey,
+        time: alert.time || alert.onset || null,
+        expires: alert.expires || alert.until || null,
+        // Nur Regel-Warnungen verschickt auch der Push-Server
+        notifyKey:
+          locationKey && alert.ruleId
+            ? alertNotifyKey(locationKey, alert.ruleId, alert.time)
+            : null,
+        firstSeen: existing ? existing.firstSeen : now,
+        lastSeen: now,
+        acknowledgedAt: existing ? existing.acknowledgedAt : null,
+      };
+      if (existing) return Object.assign(existing, entry);
+      entries.push(entry);
+      byKey.set(key, entry);
+      return entry;
+    });
+
+    this._save(entries, now);
+    return recorded.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Quittiert Einträge über ihren key oder notifyKey
+   * @param {string[]} keys
+   * @returns {array} - neu quittierte Einträge
+   */
+  acknowledge(keys, now = Date.now()) {
+    const wanted = new Set(keys || []);
+    const entries = this.load();
+    const changed = entries.filter(
+      (entry) =>
+        !entry.acknowledgedAt &&
+        (wanted.has(entry.key) || wanted.has(entry.notifyKey))
+    );
+    changed.forEach((entry) => {
+      entry.acknowledgedAt = now;
+    });
+    if (changed.length) this._save(entries, now);
+    return changed;
+  }
+
+  isAcknowledged(key) {
+    return this.load().some(
+      (entry) => entry.key === key && Boolean(entry.acknowledgedAt)
+    );
+  }
+
+  /**
+   * Gefilterter Verlauf, zuletzt gesehene zuerst
+   * @param {object} filter - { location, severity, acknowledged }
+   * @returns {array}
+   */
+  list(filter = {}) {
+    return this.load()
+      .filter((entry) => !filter.location || entry.location === filter.location)
+      .filter((entry) => !filter.severity || entry.severity === filter.severity)
+      .filter(
+        (entry) =>
+          typeof filter.acknowledged !== "boolean" ||
+          Boolean(entry.acknowledgedAt) === filter.acknowledged
+      )
+      .sort((a, b) => b.lastSeen - a.lastSeen);
+  }
+
+  /**
+   * Orte im Verlauf (für den Filter)
+   * @returns {string[]}
+   */
+  locations() {
+    return Array.from(new Set(this.load().map((entry) => entry.location))).sort(
+      (a, b) => a.localeCompare(b, "de")
+    );
+  }
+
+  /**
+   * notifyKeys quittierter Warnungen für den Push-Server
+   * @returns {string[]}
+   */
+  acknowledgedNotifyKeys() {
+    return this.load()
+      .filter((entry) => entry.acknowledgedAt && entry.notifyKey)
+      .map((entry) => entry.notifyKey);
+  }
+
+  clear() {
+    try {
+      this.storage?.removeItem(this.key);
+    } catch (e) {
+      console.warn("Warnungsverlauf konnte nicht gelöscht werden", e);
+    }
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    AlertHistory,
+    alertNotifyKey,
+    ALERT_HISTORY_LEVELS,
+    ALERT_HISTORY_STORAGE_KEY,
+  };
+}
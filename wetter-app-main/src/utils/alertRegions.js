@@ -0,0 +1,2419 @@
+// Generiert von tools/build-alert-regions.js (npm run alert-regions) – nicht
+// von Hand bearbeiten. Vereinfachter Umriss (Polygone aus [lat, lon], je
+// [Außenring, ...Löcher]) und Rechteck [Süd, West, Nord, Ost] je Kreis nach
+// BKG VG250 und dem Kreisverzeichnis von Destatis.
+
+const ALERT_GEOCODE_REGIONS = {
+  // DWD-Warnzellen der Kreise: "1" + Kreisschlüssel + "000"
+  WARNCELLID: {
+    101001000: {
+      name: "Flensburg",
+      nuts: "DEF01",
+      bbox: [54.75, 9.35, 54.84, 9.51],
+      polygons: [[[[54.823,9.413],[54.809,9.438],[54.789,9.437],[54.821,9.463],[54.824,9.491],[54.81,9.505],[54.773,9.506],[54.772,9.475],[54.752,9.453],[54.753,9.379],[54.781,9.358],[54.796,9.406],[54.823,9.413]]],[[[54.837,9.483],[54.823,9.492],[54.821,9.463],[54.79,9.435],[54.823,9.423],[54.837,9.483]]]],
+    },
+    101002000: {
+      name: "Kiel",
+      nuts: "DEF02",
+      bbox: [54.25, 10.03, 54.44, 10.22],
+      polygons: [[[[54.362,10.152],[54.335,10.177],[54.311,10.133],[54.338,10.158],[54.354,10.141],[54.362,10.152]]],[[[54.369,10.154],[54.385,10.161],[54.39,10.191],[54.369,10.154]]],[[[54.36,10.13],[54.36,10.16],[54.37,10.16],[54.37,10.13],[54.36,10.13]]],[[[54.42,10.16],[54.42,10.18],[54.44,10.18],[54.44,10.16],[54.42,10.16]]],[[[54.431,10.169],[54.39,10.193],[54.368,10.14],[54.338,10.158],[54.311,10.133],[54.335,10.177],[54.346,10.174],[54.341,10.205],[54.326,10.199],[54.321,10.218],[54.316,10.191],[54.299,10.19],[54.28,10.209],[54.252,10.181],[54.263,10.095],[54.268,10.084],[54.287,10.095],[54.288,10.058],[54.323,10.043],[54.331,10.1],[54.347,10.101],[54.347,10.038],[54.358,10.035],[54.37,10.119],[54.388,10.14],[54.413,10.134],[54.431,10.169]]]],
+    },
+    101003000: {
+      name: "Lübeck",
+      nuts: "DEF03",
+      bbox: [53.76, 10.55, 54, 10.97],
+      polygons: [[[[53.987,10.877],[53.959,10.883],[53.948,10.909],[53.925,10.895],[53.908,10.968],[53.898,10.911],[53.915,10.911],[53.924,10.882],[53.852,10.748],[53.811,10.763],[53.808,10.745],[53.828,10.733],[53.819,10.716],[53.806,10.74],[53.788,10.713],[53.778,10.648],[53.792,10.668],[53.795,10.634],[53.792,10.652],[53.768,10.639],[53.777,10.602],[53.79,10.586],[53.806,10.604],[53.803,10.577],[53.826,10.555],[53.847,10.622],[53.853,10.592],[53.872,10.594],[53.881,10.566],[53.898,10.58],[53.881,10.647],[53.914,10.702],[53.934,10.812],[53.98,10.85],[53.992,10.841],[53.987,10.877]]]],
+    },
+    101004000: {
+      name: "Neumünster",
+      nuts: "DEF04",
+      bbox: [54.01, 9.92, 54.15, 10.06],
+      polygons: [[[[54.15,9.995],[54.127,10.036],[54.118,10.019],[54.08,10.016],[54.069,10.037],[54.06,10.023],[54.052,10.058],[54.018,9.946],[54.049,9.957],[54.053,9.929],[54.095,9.926],[54.15,9.995]]]],
+    },
+    101051000: {
+      name: "Kreis Dithmarschen",
+      nuts: "DEF05",
+      bbox: [53.87, 8.67, 54.38, 9.45],
+      polygons: [[[[53.9,9.036],[53.88,9.2],[53.88,9.022],[53.896,9.018],[53.9,9.036]]],[[[54.363,9.074],[54.37,9.091],[54.35,9.133],[54.317,9.162],[54.334,9.174],[54.332,9.196],[54.316,9.193],[54.323,9.226],[54.346,9.22],[54.344,9.261],[54.325,9.278],[54.306,9.26],[54.275,9.288],[54.28,9.363],[54.294,9.376],[54.243,9.444],[54.209,9.429],[54.194,9.44],[54.189,9.427],[54.174,9.443],[54.125,9.305],[54.065,9.313],[54.038,9.285],[54.02,9.305],[53.994,9.298],[53.934,9.209],[53.899,9.201],[53.891,9.212],[53.892,8.97],[53.932,8.909],[53.985,8.879],[54.024,8.833],[54.024,8.805],[54.046,8.88],[54.034,8.939],[54.043,8.979],[54.06,8.985],[54.063,8.959],[54.071,8.977],[54.131,8.928],[54.119,8.858],[54.144,8.827],[54.19,8.809],[54.214,8.834],[54.266,8.845],[54.263,8.901],[54.286,8.904],[54.334,8.994],[54.354,8.981],[54.372,8.994],[54.363,9.074]]],[[[54.06,8.693],[54.052,8.684],[54.048,8.701],[54.048,8.683],[54.064,8.681],[54.071,8.698],[54.06,8.693]]],[[[53.97,8.87],[53.97,8.89],[53.99,8.89],[53.99,8.87],[53.97,8.87]]],[[[54.11,8.85],[54.11,8.87],[54.13,8.87],[54.13,8.85],[54.11,8.85]]],[[[53.9,8.93],[53.9,8.95],[53.92,8.95],[53.92,8.93],[53.9,8.93]]],[[[53.92,8.9],[53.92,8.92],[53.94,8.92],[53.94,8.9],[53.92,8.9]]],[[[53.95,8.88],[53.95,8.9],[53.96,8.9],[53.96,8.88],[53.95,8.88]]],[[[53.93,8.89],[53.93,8.91],[53.95,8.91],[53.95,8.89],[53.93,8.89]]]],
+    },
+    101053000: {
+      name: "Kreis Herzogtum Lauenburg",
+      nuts: "DEF06",
+      bbox: [53.35, 10.23, 53.83, 10.96],
+      polygons: [[[[53.828,10.733],[53.797,10.772],[53.748,10.758],[53.739,10.806],[53.72,10.811],[53.7,10.851],[53.703,10.905],[53.685,10.942],[53.666,10.939],[53.657,10.955],[53.572,10.91],[53.575,10.823],[53.514,10.824],[53.51,10.786],[53.483,10.756],[53.478,10.702],[53.455,10.693],[53.455,10.632],[53.385,10.617],[53.36,10.581],[53.374,10.499],[53.425,10.375],[53.426,10.327],[53.433,10.308],[53.45,10.326],[53.443,10.302],[53.483,10.238],[53.508,10.242],[53.529,10.308],[53.537,10.292],[53.554,10.312],[53.605,10.426],[53.597,10.47],[53.614,10.512],[53.669,10.405],[53.702,10.41],[53.701,10.443],[53.723,10.446],[53.738,10.397],[53.741,10.442],[53.767,10.474],[53.753,10.504],[53.763,10.534],[53.791,10.54],[53.813,10.595],[53.795,10.606],[53.79,10.586],[53.768,10.639],[53.792,10.652],[53.795,10.632],[53.792,10.668],[53.778,10.648],[53.788,10.713],[53.806,10.74],[53.819,10.716],[53.828,10.733]]],[[[53.78,10.63],[53.78,10.65],[53.8,10.65],[53.8,10.63],[53.78,10.63]]]],
+    },
+    101054000: {
+      name: "Kreis Nordfriesland",
+      nuts: "DEF07",
+      bbox: [54.26, 8.27, 55.06, 9.33],
+      polygons: [[[[54.63,8.73],[54.63,8.75],[54.65,8.75],[54.65,8.73],[54.63,8.73]]],[[[54.63,8.71],[54.63,8.74],[54.65,8.74],[54.65,8.71],[54.63,8.71]]],[[[54.5,8.99],[54.5,9],[54.52,9],[54.52,8.99],[54.5,8.99]]],[[[54.69,8.57],[54.69,8.58],[54.7,8.58],[54.7,8.57],[54.69,8.57]]],[[[54.47,9.01],[54.47,9.03],[54.48,9.03],[54.48,9.01],[54.47,9.01]]],[[[54.63,8.53],[54.63,8.54],[54.64,8.54],[54.64,8.53],[54.63,8.53]]],[[[54.46,8.71],[54.46,8.74],[54.47,8.74],[54.47,8.71],[54.46,8.71]]],[[[54.46,8.553],[54.469,8.548],[54.465,8.562],[54.46,8.553]]],[[[54.52,8.5],[54.52,8.52],[54.53,8.52],[54.53,8.5],[54.52,8.5]]],[[[54.553,8.816],[54.546,8.828],[54.552,8.789],[54.553,8.816]]],[[[54.558,8.705],[54.521,8.687],[54.5,8.702],[54.509,8.687],[54.489,8.625],[54.516,8.588],[54.534,8.595],[54.558,8.705]]],[[[54.579,8.518],[54.579,8.557],[54.56,8.576],[54.557,8.548],[54.579,8.518]]],[[[54.59,8.8],[54.59,8.84],[54.61,8.84],[54.61,8.8],[54.59,8.8]]],[[[54.63,8.76],[54.63,8.78],[54.64,8.78],[54.64,8.76],[54.63,8.76]]],[[[54.643,8.737],[54.629,8.729],[54.632,8.71],[54.643,8.737]]],[[[54.644,8.657],[54.618,8.548],[54.627,8.529],[54.658,8.652],[54.656,8.663],[54.644,8.657]]],[[[54.681,8.699],[54.68,8.713],[54.675,8.681],[54.681,8.699]]],[[[54.688,8.34],[54.65,8.362],[54.629,8.4],[54.623,8.387],[54.614,8.397],[54.609,8.365],[54.665,8.295],[54.711,8.361],[54.688,8.34]]],[[[54.752,8.563],[54.719,8.597],[54.68,8.566],[54.683,8.471],[54.709,8.395],[54.746,8.427],[54.752,8.563]]],[[[54.86,8.36],[54.86,8.37],[54.88,8.37],[54.88,8.36],[54.86,8.36]]],[[[54.87,8.34],[54.87,8.35],[54.88,8.35],[54.88,8.34],[54.87,8.34]]],[[[55.05,8.449],[55.046,8.464],[55.046,8.396],[55.035,8.401],[55.039,8.437],[55.031,8.427],[55.016,8.44],[54.997,8.38],[54.968,8.353],[54.905,8.365],[54.879,8.42],[54.887,8.602],[54.894,8.636],[54.911,8.638],[54.911,8.67],[54.893,8.728],[54.903,8.948],[54.872,9.048],[54.874,9.113],[54.83,9.106],[54.817,9.078],[54.815,9.099],[54.788,9.12],[54.768,9.111],[54.756,9.078],[54.71,9.083],[54.701,9.062],[54.699,9.172],[54.67,9.178],[54.648,9.223],[54.631,9.207],[54.602,9.267],[54.578,9.25],[54.56,9.311],[54.536,9.293],[54.531,9.304],[54.515,9.281],[54.476,9.318],[54.443,9.323],[54.42,9.28],[54.392,9.258],[54.372,9.263],[54.386,9.208],[54.363,9.208],[54.349,9.173],[54.317,9.172],[54.32,9.147],[54.337,9.152],[54.37,9.092],[54.377,9.004],[54.359,8.982],[54.333,8.993],[54.286,8.904],[54.262,8.897],[54.266,8.841],[54.291,8.823],[54.281,8.781],[54.293,8.706],[54.279,8.674],[54.308,8.609],[54.341,8.602],[54.356,8.693],[54.373,8.69],[54.379,8.649],[54.395,8.66],[54.405,8.873],[54.473,9.025],[54.479,9.004],[54.484,9.016],[54.525,8.983],[54.513,8.946],[54.5,8.949],[54.46,8.892],[54.47,8.807],[54.487,8.819],[54.498,8.806],[54.528,8.871],[54.562,8.869],[54.597,8.893],[54.625,8.847],[54.653,8.832],[54.681,8.753],[54.716,8.741],[54.73,8.686],[54.738,8.715],[54.774,8.702],[54.841,8.608],[54.886,8.603],[54.881,8.509],[54.847,8.414],[54.881,8.341],[54.849,8.299],[54.741,8.299],[54.752,8.279],[54.918,8.302],[55.052,8.396],[55.05,8.449]]]],
+    },
+    101055000: {
+      name: "Kreis Ostholstein",
+      nuts: "DEF08",
+      bbox: [53.87, 10.41, 54.54, 11.32],
+      polygons: [[[[54.42,11.189],[54.415,11.211],[54.413,11.166],[54.42,11.189]]],[[[54.354,11.077],[54.342,11.079],[54.352,11.058],[54.354,11.077]]],[[[54.377,10.986],[54.38,11.019],[54.368,11.022],[54.377,10.986]]],[[[54.5,11.22],[54.5,11.24],[54.51,11.24],[54.51,11.22],[54.5,11.22]]],[[[54.09,10.81],[54.09,10.82],[54.11,10.82],[54.11,10.81],[54.09,10.81]]],[[[54.13,10.94],[54.13,10.96],[54.14,10.96],[54.14,10.94],[54.13,10.94]]],[[[54.38,10.97],[54.38,10.99],[54.39,10.99],[54.39,10.97],[54.38,10.97]]],[[[54.09,10.8],[54.09,10.81],[54.1,10.81],[54.1,10.8],[54.09,10.8]]],[[[54.09,10.79],[54.09,10.81],[54.1,10.81],[54.1,10.79],[54.09,10.79]]],[[[54.09,10.8],[54.09,10.81],[54.1,10.81],[54.1,10.8],[54.09,10.8]]],[[[54.393,11.11],[54.388,11.131],[54.374,11.126],[54.352,11.058],[54.347,11.076],[54.199,11.093],[54.141,10.955],[54.088,10.878],[54.089,10.824],[54.106,10.81],[54.055,10.756],[54.037,10.752],[53.999,10.785],[53.986,10.851],[53.937,10.819],[53.914,10.702],[53.88,10.638],[53.914,10.538],[53.936,10.554],[53.96,10.517],[53.983,10.53],[53.986,10.448],[54.027,10.501],[54.018,10.54],[54.031,10.557],[54.044,10.548],[54.068,10.564],[54.06,10.454],[54.083,10.417],[54.127,10.437],[54.104,10.478],[54.123,10.496],[54.123,10.538],[54.134,10.541],[54.159,10.489],[54.177,10.482],[54.188,10.529],[54.218,10.549],[54.228,10.541],[54.234,10.61],[54.224,10.606],[54.213,10.664],[54.192,10.677],[54.214,10.716],[54.231,10.699],[54.268,10.729],[54.278,10.71],[54.305,10.714],[54.312,10.79],[54.382,10.931],[54.381,11.021],[54.376,10.98],[54.368,11.024],[54.393,11.11]]],[[[54.531,11.086],[54.502,11.233],[54.402,11.313],[54.407,11.197],[54.417,11.211],[54.422,11.191],[54.413,11.166],[54.409,11.187],[54.402,11.178],[54.402,11.121],[54.41,11.095],[54.445,11.095],[54.443,11.022],[54.428,11.047],[54.442,11.008],[54.483,11.01],[54.512,11.031],[54.535,11.064],[54.531,11.086]]],[[[54.43,11.08],[54.43,11.1],[54.44,11.1],[54.44,11.08],[54.43,11.08]]],[[[54.41,11.2],[54.41,11.22],[54.42,11.22],[54.42,11.2],[54.41,11.2]]]],
+    },
+    101056000: {
+      name: "Kreis Pinneberg",
+      nuts: "DEF09",
+      bbox: [53.55, 7.86, 54.2, 9.99],
+      polygons: [[[[53.713,9.519],[53.624,9.58],[53.621,9.555],[53.558,9.73],[53.565,9.676],[53.616,9.551],[53.643,9.531],[53.686,9.527],[53.711,9.5],[53.713,9.519]],[[53.626,9.555],[53.633,9.564],[53.665,9.542],[53.646,9.535],[53.626,9.555]]],[[[53.68,9.48],[53.68,9.52],[53.71,9.52],[53.71,9.48],[53.68,9.48]]],[[[54.187,7.901],[54.169,7.908],[54.17,7.891],[54.191,7.885],[54.187,7.901]]],[[[53.893,9.751],[53.873,9.764],[53.846,9.824],[53.826,9.821],[53.817,9.845],[53.83,9.85],[53.811,9.881],[53.782,9.867],[53.773,9.9],[53.752,9.892],[53.752,9.941],[53.77,9.972],[53.76,9.985],[53.698,9.941],[53.653,9.945],[53.652,9.905],[53.622,9.89],[53.585,9.825],[53.627,9.764],[53.565,9.734],[53.571,9.672],[53.621,9.555],[53.624,9.58],[53.653,9.551],[53.675,9.548],[53.672,9.559],[53.714,9.518],[53.722,9.583],[53.751,9.564],[53.776,9.646],[53.845,9.677],[53.879,9.645],[53.893,9.751]]],[[[53.666,9.527],[53.71,9.496],[53.699,9.52],[53.666,9.527]]],[[[53.626,9.556],[53.645,9.535],[53.665,9.542],[53.633,9.564],[53.626,9.556]]],[[[54.189,7.884],[54.172,7.89],[54.188,7.869],[54.189,7.884]]],[[[54.18,7.9],[54.18,7.93],[54.19,7.93],[54.19,7.9],[54.18,7.9]]],[[[53.63,9.54],[53.63,9.56],[53.65,9.56],[53.65,9.54],[53.63,9.54]]],[[[53.55,9.71],[53.55,9.74],[53.56,9.74],[53.56,9.71],[53.55,9.71]]],[[[53.56,9.69],[53.56,9.7],[53.57,9.7],[53.57,9.69],[53.56,9.69]]]],
+    },
+    101057000: {
+      name: "Kreis Plön",
+      nuts: "DEF0A",
+      bbox: [54.05, 10.01, 54.44, 10.73],
+      polygons: [[[[54.436,10.328],[54.348,10.639],[54.302,10.718],[54.282,10.708],[54.268,10.729],[54.231,10.699],[54.214,10.716],[54.192,10.674],[54.212,10.664],[54.224,10.606],[54.234,10.61],[54.228,10.541],[54.218,10.549],[54.188,10.529],[54.177,10.482],[54.159,10.489],[54.134,10.541],[54.123,10.538],[54.123,10.496],[54.104,10.478],[54.127,10.437],[54.115,10.422],[54.072,10.419],[54.073,10.374],[54.108,10.355],[54.091,10.241],[54.083,10.248],[54.056,10.16],[54.06,10.023],[54.069,10.037],[54.08,10.016],[54.126,10.026],[54.13,10.116],[54.145,10.13],[54.191,10.116],[54.231,10.13],[54.24,10.098],[54.258,10.135],[54.253,10.184],[54.28,10.209],[54.315,10.19],[54.329,10.218],[54.324,10.203],[54.341,10.205],[54.346,10.174],[54.361,10.178],[54.414,10.226],[54.436,10.328]]],[[[54.39,10.2],[54.39,10.22],[54.41,10.22],[54.41,10.2],[54.39,10.2]]],[[[54.41,10.28],[54.41,10.29],[54.43,10.29],[54.43,10.28],[54.41,10.28]]]],
+    },
+    101058000: {
+      name: "Kreis Rendsburg-Eckernförde",
+      nuts: "DEF0B",
+      bbox: [54, 9.3, 54.65, 10.2],
+      polygons: [[[[54.624,9.938],[54.583,9.82],[54.528,9.735],[54.526,9.767],[54.519,9.697],[54.492,9.709],[54.496,9.675],[54.515,9.673],[54.519,9.714],[54.557,9.761],[54.637,9.943],[54.624,9.938]]],[[[54.476,9.848],[54.476,9.876],[54.456,9.855],[54.449,9.864],[54.474,9.833],[54.476,9.848]]],[[[54.45,9.92],[54.45,9.94],[54.47,9.94],[54.47,9.92],[54.45,9.92]]],[[[54.58,10.02],[54.58,10.03],[54.59,10.03],[54.59,10.02],[54.58,10.02]]],[[[54.647,9.972],[54.637,10.031],[54.55,10.027],[54.502,9.965],[54.474,9.833],[54.448,9.868],[54.485,10.128],[54.456,10.199],[54.413,10.134],[54.388,10.14],[54.37,10.119],[54.372,10.073],[54.353,10.033],[54.342,10.104],[54.326,10.086],[54.334,10.053],[54.312,10.042],[54.288,10.058],[54.287,10.095],[54.268,10.084],[54.258,10.124],[54.238,10.097],[54.231,10.13],[54.191,10.116],[54.145,10.13],[54.13,10.116],[54.129,10.035],[54.148,9.98],[54.095,9.926],[54.053,9.929],[54.049,9.957],[54.023,9.946],[54.01,9.9],[54.023,9.814],[54.041,9.82],[54.051,9.805],[54.042,9.719],[54.063,9.679],[54.047,9.658],[54.049,9.605],[54.067,9.608],[54.087,9.585],[54.095,9.524],[54.1,9.535],[54.088,9.453],[54.062,9.419],[54.063,9.311],[54.126,9.306],[54.174,9.443],[54.189,9.427],[54.194,9.44],[54.209,9.429],[54.245,9.443],[54.266,9.404],[54.289,9.394],[54.298,9.406],[54.324,9.391],[54.341,9.409],[54.336,9.476],[54.358,9.556],[54.373,9.566],[54.4,9.547],[54.404,9.56],[54.428,9.553],[54.453,9.638],[54.467,9.628],[54.481,9.643],[54.493,9.711],[54.519,9.697],[54.526,9.767],[54.528,9.735],[54.556,9.766],[54.623,9.938],[54.637,9.943],[54.626,9.965],[54.647,9.972]]]],
+    },
+    101059000: {
+      name: "Kreis Schleswig-Flensburg",
+      nuts: "DEF0C",
+      bbox: [54.27, 9.06, 54.89, 10.05],
+      polygons: [[[[54.88,9.628],[54.855,9.605],[54.824,9.747],[54.798,9.791],[54.831,9.604],[54.851,9.59],[54.877,9.613],[54.823,9.499],[54.837,9.483],[54.886,9.584],[54.88,9.628]]],[[[54.689,9.994],[54.691,10.03],[54.67,10.035],[54.662,10.01],[54.674,10.003],[54.664,9.988],[54.674,9.949],[54.626,9.933],[54.557,9.761],[54.519,9.714],[54.515,9.673],[54.496,9.675],[54.51,9.648],[54.509,9.545],[54.531,9.627],[54.513,9.634],[54.52,9.712],[54.565,9.769],[54.579,9.767],[54.579,9.811],[54.582,9.801],[54.635,9.91],[54.628,9.931],[54.673,9.938],[54.682,9.978],[54.701,9.983],[54.689,9.994]]],[[[54.663,10.028],[54.66,10.043],[54.66,10.014],[54.663,10.028]]],[[[54.827,9.429],[54.826,9.447],[54.831,9.419],[54.827,9.429]]],[[[54.75,9.87],[54.75,9.88],[54.76,9.88],[54.76,9.87],[54.75,9.87]]],[[[54.75,9.85],[54.75,9.87],[54.76,9.87],[54.76,9.85],[54.75,9.85]]],[[[54.5,9.56],[54.5,9.57],[54.52,9.57],[54.52,9.56],[54.5,9.56]]],[[[54.676,9.958],[54.664,9.988],[54.674,10.003],[54.662,10.01],[54.67,10.035],[54.66,10.014],[54.658,10.034],[54.637,10.031],[54.647,9.97],[54.632,9.971],[54.629,9.954],[54.65,9.937],[54.676,9.958]]],[[[54.877,9.593],[54.876,9.614],[54.851,9.59],[54.831,9.604],[54.798,9.792],[54.756,9.846],[54.763,9.905],[54.8,9.909],[54.78,9.957],[54.718,9.989],[54.69,10.035],[54.673,10.034],[54.69,10.03],[54.682,9.993],[54.701,9.983],[54.682,9.978],[54.673,9.938],[54.628,9.931],[54.634,9.909],[54.574,9.793],[54.58,9.77],[54.52,9.712],[54.513,9.634],[54.531,9.627],[54.509,9.545],[54.51,9.648],[54.496,9.675],[54.473,9.632],[54.453,9.638],[54.428,9.553],[54.404,9.56],[54.4,9.547],[54.373,9.566],[54.356,9.552],[54.336,9.476],[54.346,9.415],[54.324,9.391],[54.297,9.406],[54.272,9.306],[54.306,9.26],[54.325,9.278],[54.343,9.262],[54.346,9.22],[54.323,9.226],[54.316,9.191],[54.331,9.197],[54.344,9.171],[54.363,9.208],[54.386,9.208],[54.372,9.264],[54.392,9.258],[54.42,9.279],[54.455,9.327],[54.515,9.281],[54.531,9.304],[54.536,9.293],[54.56,9.311],[54.578,9.25],[54.602,9.267],[54.631,9.207],[54.648,9.223],[54.67,9.178],[54.699,9.172],[54.701,9.062],[54.71,9.083],[54.756,9.078],[54.768,9.111],[54.788,9.12],[54.815,9.099],[54.817,9.078],[54.83,9.106],[54.874,9.113],[54.85,9.24],[54.81,9.25],[54.802,9.295],[54.8,9.344],[54.839,9.383],[54.842,9.411],[54.823,9.423],[54.822,9.405],[54.796,9.406],[54.779,9.357],[54.753,9.379],[54.752,9.451],[54.772,9.475],[54.773,9.506],[54.823,9.492],[54.877,9.593]]]],
+    },
+    101060000: {
+      name: "Kreis Segeberg",
+      nuts: "DEF0D",
+      bbox: [53.64, 9.75, 54.11, 10.57],
+      polygons: [[[[54.108,10.355],[54.073,10.374],[54.072,10.419],[54.083,10.417],[54.06,10.454],[54.068,10.564],[54.018,10.54],[54.027,10.501],[53.987,10.448],[53.983,10.53],[53.963,10.516],[53.949,10.544],[53.929,10.55],[53.901,10.506],[53.899,10.429],[53.884,10.443],[53.862,10.398],[53.853,10.354],[53.872,10.33],[53.853,10.318],[53.854,10.287],[53.827,10.239],[53.784,10.263],[53.783,10.218],[53.803,10.195],[53.783,10.144],[53.771,10.133],[53.762,10.146],[53.746,10.127],[53.745,10.108],[53.77,10.109],[53.765,10.042],[53.75,10.023],[53.726,10.027],[53.709,10.074],[53.697,10.06],[53.679,10.069],[53.681,9.999],[53.649,9.989],[53.651,9.948],[53.679,9.935],[53.732,9.956],[53.76,9.985],[53.77,9.972],[53.752,9.941],[53.752,9.892],[53.773,9.9],[53.782,9.867],[53.811,9.881],[53.83,9.85],[53.817,9.845],[53.826,9.821],[53.846,9.824],[53.873,9.764],[53.893,9.751],[53.906,9.765],[53.929,9.758],[53.944,9.815],[53.981,9.777],[53.982,9.803],[53.959,9.823],[53.978,9.836],[53.99,9.826],[54.012,9.864],[54.024,9.999],[54.057,10.056],[54.056,10.163],[54.083,10.248],[54.091,10.241],[54.108,10.355]]]],
+    },
+    101061000: {
+      name: "Kreis Steinburg",
+      nuts: "DEF0E",
+      bbox: [53.7, 9.19, 54.1, 9.87],
+      polygons: [[[[54.099,9.536],[54.095,9.524],[54.087,9.585],[54.067,9.608],[54.049,9.605],[54.047,9.658],[54.063,9.679],[54.042,9.719],[54.051,9.805],[54.041,9.82],[54.023,9.814],[54.012,9.864],[53.99,9.826],[53.961,9.83],[53.981,9.777],[53.944,9.815],[53.929,9.758],[53.906,9.765],[53.893,9.751],[53.879,9.645],[53.852,9.677],[53.803,9.662],[53.774,9.643],[53.751,9.564],[53.722,9.583],[53.714,9.518],[53.732,9.456],[53.795,9.401],[53.826,9.399],[53.872,9.295],[53.889,9.198],[53.892,9.215],[53.905,9.201],[53.939,9.215],[53.99,9.296],[54.02,9.305],[54.038,9.285],[54.063,9.311],[54.062,9.419],[54.088,9.453],[54.099,9.536]]],[[[53.75,9.38],[53.75,9.42],[53.8,9.42],[53.8,9.38],[53.75,9.38]]],[[[54.07,9.41],[54.07,9.43],[54.09,9.43],[54.09,9.41],[54.07,9.41]]],[[[53.7,9.49],[53.7,9.51],[53.72,9.51],[53.72,9.49],[53.7,9.49]]],[[[53.879,9.258],[53.826,9.399],[53.795,9.401],[53.751,9.43],[53.714,9.518],[53.708,9.486],[53.732,9.433],[53.851,9.319],[53.889,9.198],[53.879,9.258]]]],
+    },
+    101062000: {
+      name: "Kreis Stormarn",
+      nuts: "DEF0F",
+      bbox: [53.49, 10.02, 53.93, 10.63],
+      polygons: [[[[53.913,10.539],[53.904,10.583],[53.883,10.564],[53.872,10.594],[53.853,10.592],[53.847,10.622],[53.828,10.555],[53.805,10.582],[53.791,10.54],[53.763,10.534],[53.753,10.504],[53.767,10.474],[53.741,10.442],[53.737,10.397],[53.723,10.446],[53.701,10.443],[53.702,10.41],[53.669,10.405],[53.614,10.512],[53.597,10.47],[53.602,10.418],[53.552,10.307],[53.537,10.292],[53.529,10.308],[53.526,10.274],[53.507,10.267],[53.496,10.222],[53.52,10.211],[53.52,10.165],[53.537,10.167],[53.54,10.153],[53.577,10.152],[53.584,10.201],[53.613,10.189],[53.634,10.222],[53.638,10.19],[53.655,10.196],[53.68,10.14],[53.731,10.194],[53.738,10.163],[53.713,10.121],[53.72,10.082],[53.708,10.07],[53.726,10.027],[53.75,10.023],[53.766,10.043],[53.77,10.109],[53.745,10.108],[53.746,10.127],[53.762,10.146],[53.771,10.133],[53.783,10.144],[53.803,10.195],[53.783,10.218],[53.784,10.263],[53.827,10.239],[53.855,10.29],[53.853,10.318],[53.87,10.32],[53.853,10.357],[53.875,10.432],[53.889,10.445],[53.899,10.429],[53.913,10.539]]],[[[53.69,10.06],[53.69,10.08],[53.71,10.08],[53.71,10.06],[53.69,10.06]]]],
+    },
+    102000000: {
+      name: "Hamburg",
+      nuts: "DE600",
+      bbox: [53.39, 8.42, 53.97, 10.33],
+      polygons: [[[[53.731,10.186],[53.709,10.182],[53.705,10.158],[53.68,10.14],[53.655,10.196],[53.638,10.19],[53.634,10.222],[53.613,10.189],[53.584,10.201],[53.577,10.152],[53.54,10.153],[53.537,10.167],[53.52,10.165],[53.52,10.211],[53.499,10.219],[53.443,10.302],[53.45,10.326],[53.397,10.24],[53.398,10.169],[53.464,10.052],[53.447,10.046],[53.447,10.021],[53.435,10.029],[53.415,9.984],[53.431,9.949],[53.416,9.907],[53.437,9.921],[53.457,9.902],[53.43,9.862],[53.47,9.8],[53.493,9.802],[53.508,9.764],[53.519,9.778],[53.541,9.765],[53.529,9.817],[53.541,9.81],[53.548,9.823],[53.544,9.936],[53.565,9.734],[53.627,9.764],[53.585,9.829],[53.622,9.89],[53.652,9.905],[53.647,9.985],[53.681,9.999],[53.679,10.069],[53.689,10.061],[53.72,10.082],[53.713,10.121],[53.738,10.163],[53.731,10.186]]],[[[53.928,8.503],[53.921,8.517],[53.914,8.487],[53.928,8.503]]],[[[53.94,8.42],[53.94,8.46],[53.97,8.46],[53.97,8.42],[53.94,8.42]]],[[[53.557,9.752],[53.551,9.783],[53.557,9.74],[53.557,9.752]]],[[[53.55,9.73],[53.55,9.74],[53.56,9.74],[53.56,9.73],[53.55,9.73]]],[[[53.564,9.749],[53.544,9.936],[53.548,9.823],[53.541,9.81],[53.529,9.817],[53.543,9.773],[53.555,9.779],[53.558,9.73],[53.564,9.749]]],[[[53.55,9.77],[53.55,9.79],[53.56,9.79],[53.56,9.77],[53.55,9.77]]]],
+    },
+    103101000: {
+      name: "Braunschweig",
+      nuts: "DE911",
+      bbox: [52.18, 10.41, 52.36, 10.65],
+      polygons: [[[[52.357,10.522],[52.348,10.546],[52.328,10.528],[52.352,10.569],[52.348,10.613],[52.338,10.602],[52.337,10.625],[52.312,10.614],[52.302,10.64],[52.285,10.638],[52.252,10.592],[52.227,10.6],[52.223,10.575],[52.205,10.577],[52.187,10.505],[52.208,10.485],[52.203,10.439],[52.246,10.428],[52.257,10.453],[52.268,10.421],[52.281,10.441],[52.286,10.418],[52.325,10.414],[52.32,10.485],[52.334,10.493],[52.352,10.477],[52.357,10.522]]]],
+    },
+    103102000: {
+      name: "Salzgitter",
+      nuts: "DE912",
+      bbox: [52.01, 10.23, 52.23, 10.51],
+      polygons: [[[[52.22,10.411],[52.221,10.43],[52.203,10.439],[52.208,10.485],[52.187,10.507],[52.14,10.44],[52.112,10.429],[52.051,10.484],[52.056,10.439],[52.029,10.405],[52.015,10.32],[52.025,10.33],[52.031,10.29],[52.047,10.283],[52.049,10.346],[52.087,10.329],[52.107,10.303],[52.107,10.253],[52.13,10.233],[52.141,10.248],[52.171,10.231],[52.19,10.317],[52.177,10.32],[52.176,10.347],[52.22,10.411]]]],
+    },
+    103103000: {
+      name: "Wolfsburg",
+      nuts: "DE913",
+      bbox: [52.31, 10.64, 52.5, 10.91],
+      polygons: [[[[52.494,10.785],[52.475,10.875],[52.457,10.891],[52.436,10.876],[52.418,10.895],[52.415,10.877],[52.414,10.907],[52.387,10.868],[52.374,10.88],[52.365,10.852],[52.345,10.887],[52.316,10.846],[52.33,10.806],[52.346,10.822],[52.339,10.775],[52.354,10.724],[52.372,10.715],[52.379,10.67],[52.405,10.657],[52.444,10.647],[52.462,10.674],[52.443,10.738],[52.467,10.744],[52.494,10.785]]]],
+    },
+    103151000: {
+      name: "Kreis Gifhorn",
+      nuts: "DE914",
+      bbox: [52.32, 10.25, 52.84, 11.01],
+      polygons: [[[[52.828,10.56],[52.795,10.594],[52.765,10.67],[52.796,10.759],[52.714,10.797],[52.716,10.83],[52.61,10.921],[52.624,10.977],[52.607,10.976],[52.59,10.94],[52.567,10.938],[52.497,11.009],[52.496,10.95],[52.46,10.906],[52.495,10.781],[52.467,10.744],[52.443,10.738],[52.462,10.674],[52.444,10.647],[52.39,10.675],[52.378,10.671],[52.38,10.608],[52.346,10.618],[52.352,10.569],[52.328,10.528],[52.348,10.546],[52.357,10.521],[52.352,10.477],[52.334,10.493],[52.32,10.485],[52.332,10.417],[52.352,10.402],[52.356,10.425],[52.367,10.414],[52.379,10.425],[52.371,10.384],[52.424,10.359],[52.453,10.281],[52.459,10.303],[52.483,10.272],[52.506,10.289],[52.518,10.26],[52.523,10.306],[52.534,10.303],[52.54,10.338],[52.561,10.351],[52.547,10.383],[52.561,10.378],[52.564,10.411],[52.572,10.382],[52.606,10.417],[52.629,10.382],[52.658,10.406],[52.691,10.384],[52.69,10.369],[52.695,10.378],[52.723,10.364],[52.759,10.404],[52.775,10.396],[52.8,10.42],[52.832,10.525],[52.828,10.56]]]],
+    },
+    103153000: {
+      name: "Kreis Goslar",
+      nuts: "DE916",
+      bbox: [51.63, 10.06, 52.06, 10.71],
+      polygons: [[[[52.052,10.457],[52.022,10.499],[52.005,10.479],[51.979,10.501],[51.971,10.533],[52.006,10.558],[51.958,10.62],[51.958,10.651],[51.939,10.613],[51.922,10.613],[51.908,10.648],[51.889,10.649],[51.848,10.579],[51.836,10.588],[51.811,10.574],[51.769,10.591],[51.759,10.626],[51.709,10.669],[51.667,10.671],[51.639,10.699],[51.643,10.652],[51.68,10.593],[51.663,10.504],[51.693,10.495],[51.697,10.466],[51.703,10.485],[51.766,10.494],[51.789,10.392],[51.768,10.359],[51.766,10.308],[51.776,10.28],[51.8,10.263],[51.814,10.271],[51.833,10.241],[51.813,10.169],[51.794,10.154],[51.806,10.139],[51.831,10.143],[51.837,10.108],[51.872,10.118],[51.879,10.099],[51.902,10.106],[51.925,10.065],[51.96,10.088],[51.957,10.196],[51.967,10.206],[52.002,10.195],[52.013,10.259],[52.034,10.286],[52.025,10.33],[52.013,10.326],[52.017,10.364],[52.056,10.439],[52.052,10.457]]]],
+    },
+    103154000: {
+      name: "Kreis Helmstedt",
+      nuts: "DE917",
+      bbox: [52.04, 10.6, 52.48, 11.09],
+      polygons: [[[[52.461,10.934],[52.388,11.015],[52.374,11.074],[52.35,11.057],[52.342,10.984],[52.31,11.036],[52.287,11.014],[52.229,11.086],[52.2,11.014],[52.179,11.018],[52.172,11.06],[52.134,11.044],[52.103,10.942],[52.086,10.971],[52.057,10.964],[52.048,10.801],[52.08,10.794],[52.098,10.842],[52.117,10.836],[52.123,10.87],[52.18,10.885],[52.174,10.846],[52.206,10.814],[52.206,10.783],[52.261,10.726],[52.299,10.726],[52.305,10.62],[52.328,10.629],[52.338,10.602],[52.355,10.622],[52.376,10.605],[52.387,10.622],[52.38,10.689],[52.339,10.775],[52.346,10.822],[52.33,10.806],[52.316,10.846],[52.345,10.887],[52.365,10.852],[52.374,10.88],[52.387,10.868],[52.414,10.907],[52.415,10.877],[52.418,10.895],[52.439,10.877],[52.46,10.891],[52.472,10.935],[52.461,10.934]]]],
+    },
+    103155000: {
+      name: "Kreis Northeim",
+      nuts: "DE918",
+      bbox: [51.55, 9.41, 51.95, 10.17],
+      polygons: [[[[51.941,10.044],[51.902,10.106],[51.879,10.099],[51.872,10.118],[51.836,10.108],[51.831,10.143],[51.806,10.139],[51.799,10.156],[51.758,10.142],[51.747,10.153],[51.714,10.114],[51.71,10.138],[51.677,10.156],[51.667,10.141],[51.649,10.162],[51.616,10.123],[51.621,9.951],[51.602,9.94],[51.613,9.835],[51.597,9.816],[51.614,9.743],[51.582,9.685],[51.609,9.638],[51.637,9.626],[51.625,9.571],[51.64,9.544],[51.626,9.516],[51.635,9.492],[51.657,9.495],[51.647,9.417],[51.654,9.437],[51.673,9.423],[51.678,9.44],[51.696,9.441],[51.74,9.557],[51.79,9.579],[51.84,9.683],[51.878,9.705],[51.864,9.784],[51.885,9.803],[51.914,9.916],[51.897,9.969],[51.912,10.015],[51.939,9.995],[51.941,10.044]]],[[[51.563,9.661],[51.553,9.648],[51.58,9.626],[51.568,9.672],[51.563,9.661]]]],
+    },
+    103157000: {
+      name: "Kreis Peine",
+      nuts: "DE91A",
+      bbox: [52.17, 9.99, 52.45, 10.46],
+      polygons: [[[[52.448,10.292],[52.424,10.359],[52.371,10.384],[52.379,10.425],[52.367,10.414],[52.356,10.425],[52.352,10.402],[52.33,10.424],[52.318,10.412],[52.303,10.427],[52.286,10.418],[52.286,10.441],[52.268,10.421],[52.257,10.453],[52.246,10.428],[52.226,10.436],[52.223,10.407],[52.176,10.347],[52.177,10.32],[52.19,10.317],[52.175,10.284],[52.183,10.257],[52.214,10.248],[52.234,10.183],[52.222,10.065],[52.232,9.997],[52.258,10],[52.264,10.029],[52.291,10.034],[52.303,10.078],[52.34,10.081],[52.322,10.117],[52.329,10.133],[52.35,10.141],[52.354,10.126],[52.363,10.156],[52.394,10.131],[52.396,10.18],[52.429,10.208],[52.42,10.25],[52.437,10.252],[52.448,10.292]]]],
+    },
+    103158000: {
+      name: "Kreis Wolfenbüttel",
+      nuts: "DE91B",
+      bbox: [51.97, 10.17, 52.31, 10.89],
+      polygons: [[[[52.299,10.726],[52.261,10.726],[52.206,10.783],[52.206,10.814],[52.174,10.846],[52.18,10.885],[52.123,10.87],[52.117,10.836],[52.098,10.842],[52.089,10.802],[52.048,10.801],[52.042,10.648],[52.025,10.655],[52.008,10.626],[52.006,10.558],[51.971,10.533],[51.991,10.484],[52.005,10.479],[52.022,10.499],[52.042,10.467],[52.062,10.487],[52.059,10.467],[52.112,10.429],[52.139,10.44],[52.194,10.518],[52.205,10.577],[52.223,10.575],[52.227,10.6],[52.252,10.592],[52.264,10.62],[52.277,10.614],[52.285,10.638],[52.297,10.636],[52.299,10.726]]],[[[52.181,10.218],[52.178,10.234],[52.141,10.248],[52.13,10.233],[52.107,10.253],[52.1,10.318],[52.049,10.346],[52.051,10.295],[52.016,10.266],[52.007,10.205],[52.079,10.2],[52.109,10.175],[52.124,10.2],[52.141,10.176],[52.181,10.218]]]],
+    },
+    103159000: {
+      name: "Kreis Göttingen",
+      nuts: "DE91C",
+      bbox: [51.29, 9.54, 51.84, 10.69],
+      polygons: [[[[51.832,10.244],[51.814,10.271],[51.8,10.263],[51.776,10.28],[51.766,10.308],[51.768,10.359],[51.789,10.392],[51.763,10.499],[51.746,10.483],[51.73,10.495],[51.703,10.485],[51.697,10.466],[51.693,10.495],[51.663,10.504],[51.68,10.593],[51.643,10.652],[51.646,10.67],[51.629,10.682],[51.622,10.64],[51.607,10.649],[51.607,10.633],[51.584,10.639],[51.578,10.666],[51.561,10.661],[51.58,10.604],[51.554,10.519],[51.593,10.429],[51.588,10.37],[51.559,10.374],[51.559,10.333],[51.568,10.302],[51.584,10.321],[51.601,10.298],[51.609,10.314],[51.629,10.179],[51.667,10.141],[51.681,10.155],[51.71,10.138],[51.713,10.115],[51.727,10.117],[51.747,10.153],[51.758,10.142],[51.813,10.169],[51.832,10.244]]],[[[51.641,10.168],[51.609,10.314],[51.601,10.298],[51.584,10.321],[51.568,10.302],[51.554,10.372],[51.543,10.368],[51.519,10.342],[51.515,10.309],[51.494,10.3],[51.471,10.236],[51.481,10.19],[51.446,10.174],[51.443,10.14],[51.43,10.153],[51.435,10.08],[51.418,10.069],[51.437,10.047],[51.42,10.038],[51.421,10.009],[51.378,9.942],[51.376,9.927],[51.393,9.931],[51.421,9.906],[51.404,9.878],[51.414,9.851],[51.372,9.865],[51.384,9.84],[51.403,9.841],[51.408,9.797],[51.387,9.801],[51.365,9.702],[51.319,9.738],[51.336,9.772],[51.307,9.768],[51.295,9.732],[51.318,9.669],[51.312,9.629],[51.322,9.639],[51.34,9.568],[51.359,9.548],[51.369,9.577],[51.379,9.559],[51.401,9.579],[51.418,9.644],[51.444,9.628],[51.47,9.643],[51.517,9.586],[51.533,9.62],[51.557,9.609],[51.551,9.644],[51.567,9.684],[51.588,9.688],[51.612,9.729],[51.612,9.797],[51.597,9.816],[51.613,9.835],[51.602,9.94],[51.614,9.957],[51.62,9.945],[51.612,10.004],[51.625,10.039],[51.609,10.071],[51.615,10.12],[51.641,10.138],[51.641,10.168]]],[[[51.59,10.3],[51.59,10.32],[51.61,10.32],[51.61,10.3],[51.59,10.3]]]],
+    },
+    103241000: {
+      name: "Region Hannover",
+      nuts: "DE929",
+      bbox: [52.12, 9.23, 52.68, 10.31],
+      polygons: [[[[52.677,9.585],[52.647,9.6],[52.634,9.662],[52.626,9.635],[52.606,9.644],[52.602,9.703],[52.634,9.712],[52.638,9.735],[52.605,9.836],[52.597,9.824],[52.608,9.848],[52.603,9.888],[52.59,9.881],[52.59,9.967],[52.578,9.967],[52.577,9.996],[52.554,9.965],[52.545,9.994],[52.536,9.987],[52.537,10.077],[52.498,10.139],[52.513,10.178],[52.488,10.267],[52.511,10.274],[52.506,10.289],[52.483,10.272],[52.459,10.303],[52.437,10.252],[52.421,10.254],[52.429,10.208],[52.396,10.18],[52.394,10.131],[52.363,10.156],[52.354,10.126],[52.35,10.141],[52.322,10.126],[52.34,10.081],[52.299,10.074],[52.28,10.017],[52.284,9.996],[52.297,10.004],[52.294,9.972],[52.28,9.914],[52.262,9.9],[52.27,9.872],[52.251,9.791],[52.231,9.769],[52.228,9.818],[52.193,9.808],[52.191,9.782],[52.174,9.784],[52.169,9.764],[52.198,9.738],[52.198,9.696],[52.19,9.686],[52.169,9.728],[52.136,9.694],[52.133,9.622],[52.167,9.556],[52.161,9.504],[52.178,9.494],[52.198,9.507],[52.209,9.492],[52.212,9.516],[52.256,9.464],[52.267,9.473],[52.297,9.409],[52.333,9.398],[52.364,9.435],[52.363,9.422],[52.394,9.42],[52.407,9.4],[52.383,9.35],[52.391,9.318],[52.436,9.369],[52.434,9.393],[52.446,9.348],[52.439,9.284],[52.462,9.278],[52.47,9.239],[52.476,9.267],[52.508,9.269],[52.53,9.238],[52.561,9.369],[52.582,9.343],[52.609,9.354],[52.617,9.426],[52.641,9.461],[52.623,9.523],[52.671,9.54],[52.677,9.585]]]],
+    },
+    103251000: {
+      name: "Kreis Diepholz",
+      nuts: "DE922",
+      bbox: [52.44, 8.29, 53.06, 9.12],
+      polygons: [[[[53.052,8.771],[53.021,8.822],[53.022,8.867],[53.041,8.867],[53.014,8.893],[53.01,8.928],[52.99,8.933],[52.967,8.904],[52.889,8.952],[52.889,8.982],[52.926,9.003],[52.923,9.062],[52.902,9.08],[52.899,9.116],[52.863,9.11],[52.839,9.035],[52.827,9.06],[52.817,9.036],[52.807,9.066],[52.789,9.046],[52.766,9.065],[52.761,9.048],[52.755,9.059],[52.729,9.051],[52.71,9.007],[52.693,9.029],[52.685,9.012],[52.666,9.019],[52.631,8.933],[52.631,8.882],[52.611,8.87],[52.598,8.901],[52.558,8.9],[52.548,8.856],[52.532,8.852],[52.546,8.84],[52.531,8.813],[52.538,8.774],[52.521,8.768],[52.526,8.745],[52.5,8.703],[52.531,8.653],[52.499,8.557],[52.515,8.509],[52.492,8.459],[52.461,8.454],[52.444,8.418],[52.456,8.297],[52.531,8.311],[52.552,8.35],[52.575,8.344],[52.586,8.311],[52.65,8.294],[52.687,8.31],[52.736,8.472],[52.786,8.45],[52.801,8.459],[52.805,8.517],[52.819,8.547],[52.831,8.539],[52.851,8.634],[52.887,8.647],[52.895,8.638],[52.901,8.657],[52.912,8.645],[52.92,8.694],[52.967,8.688],[52.963,8.655],[52.977,8.643],[53.015,8.661],[53.039,8.69],[53.035,8.735],[53.052,8.771]]]],
+    },
+    103252000: {
+      name: "Kreis Hameln-Pyrmont",
+      nuts: "DE923",
+      bbox: [51.91, 9.15, 52.28, 9.69],
+      polygons: [[[[52.271,9.453],[52.267,9.473],[52.256,9.464],[52.212,9.516],[52.209,9.492],[52.198,9.507],[52.166,9.497],[52.167,9.556],[52.106,9.684],[52.055,9.643],[52.046,9.663],[52.05,9.651],[52.03,9.661],[52.007,9.644],[52.003,9.654],[51.987,9.634],[51.967,9.65],[52.044,9.563],[51.983,9.442],[51.975,9.349],[51.96,9.343],[51.942,9.366],[51.92,9.299],[51.946,9.263],[51.957,9.286],[51.974,9.274],[51.966,9.186],[51.983,9.175],[51.997,9.197],[52.003,9.179],[52.012,9.197],[52.047,9.172],[52.07,9.193],[52.092,9.155],[52.119,9.184],[52.133,9.186],[52.146,9.162],[52.142,9.195],[52.185,9.158],[52.22,9.284],[52.221,9.368],[52.25,9.393],[52.271,9.453]]]],
+    },
+    103254000: {
+      name: "Kreis Hildesheim",
+      nuts: "DE925",
+      bbox: [51.89, 9.62, 52.3, 10.27],
+      polygons: [[[[52.29,10.004],[52.284,9.996],[52.284,10.034],[52.264,10.029],[52.258,10],[52.23,9.998],[52.234,10.183],[52.198,10.259],[52.175,10.257],[52.179,10.204],[52.141,10.176],[52.124,10.2],[52.109,10.175],[52.079,10.2],[51.958,10.196],[51.96,10.088],[51.927,10.066],[51.948,10.034],[51.943,10.004],[51.934,9.992],[51.912,10.015],[51.897,9.969],[51.913,9.945],[51.903,9.926],[51.918,9.862],[51.983,9.759],[51.983,9.715],[51.955,9.687],[51.965,9.648],[51.987,9.634],[52.003,9.654],[52.007,9.644],[52.03,9.661],[52.05,9.651],[52.046,9.663],[52.055,9.643],[52.103,9.685],[52.131,9.63],[52.128,9.671],[52.157,9.72],[52.171,9.727],[52.192,9.687],[52.198,9.738],[52.169,9.764],[52.173,9.783],[52.191,9.782],[52.188,9.803],[52.214,9.819],[52.228,9.818],[52.231,9.769],[52.251,9.791],[52.29,10.004]]]],
+    },
+    103255000: {
+      name: "Kreis Holzminden",
+      nuts: "DE926",
+      bbox: [51.64, 9.3, 52.05, 9.9],
+      polygons: [[[[52.039,9.576],[51.964,9.647],[51.955,9.687],[51.983,9.715],[51.983,9.759],[51.901,9.895],[51.909,9.873],[51.901,9.88],[51.885,9.803],[51.864,9.784],[51.878,9.705],[51.84,9.683],[51.79,9.579],[51.74,9.557],[51.696,9.441],[51.678,9.44],[51.673,9.423],[51.654,9.437],[51.65,9.375],[51.702,9.402],[51.744,9.376],[51.795,9.448],[51.81,9.427],[51.829,9.442],[51.84,9.433],[51.858,9.461],[51.855,9.323],[51.856,9.336],[51.896,9.345],[51.931,9.308],[51.942,9.366],[51.96,9.343],[51.975,9.349],[51.983,9.442],[52.018,9.494],[52.022,9.539],[52.037,9.531],[52.039,9.576]]]],
+    },
+    103256000: {
+      name: "Kreis Nienburg (Weser)",
+      nuts: "DE927",
+      bbox: [52.38, 8.69, 52.91, 9.54],
+      polygons: [[[[52.901,9.17],[52.873,9.211],[52.856,9.182],[52.847,9.221],[52.839,9.2],[52.815,9.194],[52.821,9.242],[52.803,9.251],[52.812,9.307],[52.775,9.304],[52.773,9.324],[52.759,9.317],[52.752,9.341],[52.738,9.332],[52.726,9.35],[52.721,9.322],[52.715,9.332],[52.736,9.37],[52.727,9.481],[52.705,9.481],[52.704,9.507],[52.679,9.504],[52.66,9.535],[52.631,9.534],[52.623,9.517],[52.641,9.461],[52.617,9.426],[52.603,9.343],[52.582,9.343],[52.561,9.369],[52.53,9.238],[52.508,9.269],[52.476,9.267],[52.47,9.239],[52.462,9.278],[52.452,9.267],[52.44,9.279],[52.434,9.223],[52.415,9.199],[52.412,9.125],[52.443,9.095],[52.483,9.133],[52.5,9.053],[52.46,9.017],[52.451,8.978],[52.433,8.987],[52.416,8.941],[52.402,8.938],[52.406,8.892],[52.389,8.855],[52.395,8.707],[52.429,8.718],[52.443,8.703],[52.5,8.703],[52.526,8.745],[52.521,8.768],[52.538,8.774],[52.531,8.813],[52.546,8.84],[52.532,8.852],[52.548,8.856],[52.555,8.897],[52.598,8.901],[52.607,8.873],[52.621,8.872],[52.658,8.986],[52.652,9.004],[52.666,9.019],[52.685,9.012],[52.692,9.03],[52.71,9.007],[52.74,9.058],[52.761,9.048],[52.774,9.063],[52.789,9.046],[52.804,9.067],[52.814,9.038],[52.824,9.06],[52.842,9.036],[52.863,9.11],[52.88,9.103],[52.897,9.116],[52.901,9.17]]]],
+    },
+    103257000: {
+      name: "Kreis Schaumburg",
+      nuts: "DE928",
+      bbox: [52.09, 8.96, 52.46, 9.45],
+      polygons: [[[[52.44,9.284],[52.434,9.393],[52.436,9.369],[52.391,9.318],[52.383,9.35],[52.405,9.411],[52.363,9.422],[52.364,9.435],[52.333,9.398],[52.288,9.415],[52.274,9.448],[52.26,9.441],[52.25,9.393],[52.219,9.362],[52.23,9.353],[52.212,9.325],[52.22,9.284],[52.193,9.218],[52.189,9.161],[52.142,9.195],[52.146,9.162],[52.133,9.186],[52.097,9.159],[52.097,9.133],[52.12,9.159],[52.14,9.13],[52.133,9.099],[52.148,9.056],[52.135,9.012],[52.172,9.022],[52.195,8.986],[52.184,9.045],[52.225,9.036],[52.233,9.077],[52.264,8.973],[52.275,8.979],[52.279,8.964],[52.288,8.988],[52.326,8.998],[52.355,9.084],[52.412,9.125],[52.415,9.199],[52.434,9.223],[52.44,9.279],[52.455,9.273],[52.44,9.284]]]],
+    },
+    103351000: {
+      name: "Kreis Celle",
+      nuts: "DE931",
+      bbox: [52.48, 9.72, 52.94, 10.45],
+      polygons: [[[[52.923,10.191],[52.936,10.237],[52.877,10.283],[52.874,10.311],[52.837,10.319],[52.84,10.365],[52.817,10.379],[52.806,10.414],[52.816,10.444],[52.723,10.364],[52.695,10.378],[52.69,10.369],[52.691,10.384],[52.658,10.406],[52.635,10.38],[52.606,10.417],[52.579,10.381],[52.573,10.411],[52.558,10.401],[52.561,10.378],[52.547,10.383],[52.561,10.351],[52.54,10.338],[52.534,10.303],[52.523,10.306],[52.518,10.26],[52.511,10.274],[52.488,10.267],[52.513,10.178],[52.498,10.139],[52.537,10.077],[52.536,9.987],[52.545,9.994],[52.554,9.965],[52.577,9.996],[52.578,9.967],[52.59,9.967],[52.59,9.881],[52.603,9.888],[52.608,9.848],[52.597,9.824],[52.605,9.836],[52.638,9.735],[52.656,9.746],[52.709,9.728],[52.715,9.761],[52.732,9.752],[52.746,9.832],[52.78,9.83],[52.782,9.816],[52.83,9.832],[52.841,9.858],[52.872,9.84],[52.901,9.864],[52.892,9.945],[52.867,9.975],[52.906,10.07],[52.899,10.119],[52.913,10.117],[52.917,10.157],[52.937,10.163],[52.923,10.191]]]],
+    },
+    103352000: {
+      name: "Kreis Cuxhaven",
+      nuts: "DE932",
+      bbox: [53.28, 8.48, 53.9, 9.3],
+      polygons: [[[[53.82,9.02],[53.82,9.03],[53.84,9.03],[53.84,9.02],[53.82,9.02]]],[[[53.89,8.687],[53.835,8.787],[53.84,8.988],[53.805,9.066],[53.811,9.121],[53.755,9.222],[53.768,9.262],[53.73,9.299],[53.681,9.207],[53.672,9.275],[53.645,9.279],[53.606,9.152],[53.555,9.116],[53.572,9.06],[53.555,9.027],[53.557,8.979],[53.539,8.986],[53.53,8.965],[53.526,8.907],[53.517,8.897],[53.507,8.962],[53.473,8.956],[53.469,8.973],[53.439,8.907],[53.412,8.954],[53.389,8.906],[53.38,8.911],[53.396,8.868],[53.389,8.789],[53.362,8.736],[53.322,8.772],[53.315,8.722],[53.301,8.728],[53.297,8.676],[53.282,8.661],[53.298,8.563],[53.285,8.52],[53.294,8.503],[53.326,8.518],[53.374,8.499],[53.472,8.493],[53.494,8.631],[53.516,8.652],[53.525,8.64],[53.556,8.646],[53.574,8.617],[53.603,8.651],[53.593,8.592],[53.606,8.52],[53.656,8.484],[53.695,8.483],[53.846,8.566],[53.882,8.615],[53.89,8.687]]]],
+    },
+    103353000: {
+      name: "Kreis Harburg",
+      nuts: "DE933",
+      bbox: [53.12, 9.56, 53.51, 10.48],
+      polygons: [[[[53.497,9.784],[53.493,9.802],[53.463,9.807],[53.43,9.862],[53.457,9.904],[53.437,9.921],[53.416,9.907],[53.414,9.916],[53.431,9.949],[53.415,9.984],[53.435,10.029],[53.447,10.021],[53.447,10.046],[53.464,10.052],[53.397,10.173],[53.396,10.236],[53.433,10.309],[53.425,10.375],[53.38,10.471],[53.364,10.435],[53.355,10.44],[53.371,10.364],[53.362,10.372],[53.36,10.323],[53.335,10.326],[53.334,10.266],[53.315,10.256],[53.315,10.227],[53.294,10.212],[53.29,10.258],[53.271,10.24],[53.26,10.258],[53.252,10.212],[53.224,10.196],[53.21,10.234],[53.193,10.236],[53.17,10.11],[53.137,10.1],[53.13,10.081],[53.159,9.997],[53.177,9.991],[53.174,9.913],[53.21,9.851],[53.187,9.799],[53.24,9.602],[53.292,9.59],[53.295,9.604],[53.341,9.561],[53.367,9.618],[53.389,9.622],[53.41,9.652],[53.44,9.783],[53.481,9.772],[53.491,9.738],[53.497,9.784]]],[[[53.29,10.24],[53.29,10.26],[53.31,10.26],[53.31,10.24],[53.29,10.24]]],[[[53.32,10.3],[53.32,10.31],[53.34,10.31],[53.34,10.3],[53.32,10.3]]]],
+    },
+    103354000: {
+      name: "Kreis Lüchow-Dannenberg",
+      nuts: "DE934",
+      bbox: [52.84, 10.75, 53.26, 11.6],
+      polygons: [[[[53.235,10.894],[53.139,11.084],[53.169,11.143],[53.135,11.187],[53.14,11.238],[53.097,11.273],[53.055,11.339],[53.078,11.448],[53.048,11.507],[53.052,11.548],[53.035,11.598],[52.999,11.556],[53.007,11.512],[52.96,11.492],[52.941,11.505],[52.878,11.314],[52.913,11.038],[52.91,10.998],[52.882,10.986],[52.853,10.94],[52.854,10.832],[52.867,10.804],[52.881,10.827],[52.897,10.805],[52.932,10.843],[52.929,10.862],[52.94,10.852],[52.964,10.873],[52.961,10.853],[52.98,10.841],[52.998,10.893],[53.018,10.89],[53.044,10.84],[53.077,10.833],[53.097,10.768],[53.114,10.776],[53.121,10.751],[53.146,10.8],[53.149,10.908],[53.18,10.903],[53.185,10.885],[53.197,10.894],[53.196,10.866],[53.207,10.878],[53.248,10.859],[53.235,10.894]]]],
+    },
+    103355000: {
+      name: "Kreis Lüneburg",
+      nuts: "DE935",
+      bbox: [53.04, 10.03, 53.39, 11.2],
+      polygons: [[[[53.361,10.572],[53.37,10.701],[53.33,10.76],[53.305,10.836],[53.348,10.919],[53.333,10.988],[53.281,11.009],[53.221,11.08],[53.177,11.195],[53.159,11.179],[53.168,11.138],[53.139,11.084],[53.25,10.862],[53.207,10.878],[53.196,10.866],[53.197,10.894],[53.185,10.885],[53.18,10.903],[53.149,10.908],[53.146,10.8],[53.122,10.772],[53.123,10.745],[53.145,10.714],[53.159,10.632],[53.174,10.629],[53.177,10.661],[53.19,10.659],[53.173,10.543],[53.204,10.509],[53.173,10.444],[53.161,10.45],[53.15,10.397],[53.114,10.389],[53.114,10.329],[53.089,10.314],[53.096,10.276],[53.068,10.212],[53.075,10.176],[53.047,10.146],[53.043,10.069],[53.062,10.036],[53.066,10.077],[53.072,10.064],[53.106,10.118],[53.129,10.075],[53.137,10.1],[53.17,10.11],[53.193,10.236],[53.21,10.234],[53.224,10.196],[53.252,10.212],[53.26,10.258],[53.271,10.24],[53.29,10.258],[53.294,10.212],[53.315,10.229],[53.315,10.256],[53.334,10.266],[53.335,10.326],[53.36,10.323],[53.362,10.372],[53.371,10.364],[53.355,10.44],[53.386,10.469],[53.361,10.572]]]],
+    },
+    103356000: {
+      name: "Kreis Osterholz",
+      nuts: "DE936",
+      bbox: [53.12, 8.48, 53.4, 9.08],
+      polygons: [[[[53.395,8.871],[53.365,8.942],[53.342,8.941],[53.319,9],[53.308,8.989],[53.301,9.013],[53.27,8.992],[53.247,9.026],[53.196,9.029],[53.151,9.071],[53.134,9.058],[53.126,8.984],[53.152,8.94],[53.133,8.912],[53.132,8.864],[53.164,8.829],[53.159,8.775],[53.185,8.699],[53.176,8.664],[53.198,8.628],[53.185,8.592],[53.199,8.581],[53.213,8.599],[53.208,8.554],[53.235,8.482],[53.367,8.5],[53.326,8.518],[53.294,8.503],[53.282,8.661],[53.297,8.676],[53.301,8.728],[53.315,8.722],[53.321,8.771],[53.362,8.736],[53.389,8.789],[53.395,8.871]]]],
+    },
+    103357000: {
+      name: "Kreis Rotenburg (Wümme)",
+      nuts: "DE937",
+      bbox: [52.91, 8.89, 53.6, 9.76],
+      polygons: [[[[53.594,9.139],[53.532,9.185],[53.547,9.273],[53.534,9.262],[53.523,9.283],[53.497,9.226],[53.468,9.238],[53.46,9.271],[53.472,9.286],[53.453,9.308],[53.463,9.329],[53.448,9.346],[53.411,9.341],[53.408,9.374],[53.39,9.357],[53.366,9.395],[53.345,9.444],[53.35,9.476],[53.386,9.512],[53.37,9.573],[53.344,9.551],[53.3,9.602],[53.289,9.604],[53.292,9.59],[53.24,9.602],[53.219,9.683],[53.179,9.718],[53.168,9.758],[53.161,9.672],[53.137,9.673],[53.144,9.646],[53.115,9.625],[53.09,9.646],[53.054,9.608],[53.039,9.615],[53.021,9.674],[52.996,9.654],[52.981,9.678],[52.955,9.604],[52.925,9.585],[52.925,9.561],[52.951,9.533],[52.917,9.455],[52.949,9.445],[52.969,9.464],[53.003,9.437],[52.982,9.373],[52.987,9.337],[53.014,9.342],[53.048,9.188],[53.097,9.152],[53.1,9.17],[53.139,9.178],[53.147,9.194],[53.164,9.166],[53.17,9.196],[53.183,9.182],[53.144,9.109],[53.151,9.071],[53.184,9.036],[53.247,9.026],[53.27,8.992],[53.301,9.013],[53.308,8.989],[53.319,9],[53.342,8.941],[53.365,8.942],[53.384,8.902],[53.408,8.952],[53.439,8.907],[53.455,8.966],[53.469,8.973],[53.473,8.956],[53.492,8.955],[53.501,8.966],[53.518,8.896],[53.536,8.933],[53.536,8.982],[53.557,8.979],[53.555,9.027],[53.571,9.053],[53.555,9.116],[53.594,9.139]]]],
+    },
+    103358000: {
+      name: "Heidekreis",
+      nuts: "DE938",
+      bbox: [52.59, 9.31, 53.22, 10.24],
+      polygons: [[[[53.214,9.724],[53.187,9.799],[53.21,9.851],[53.174,9.913],[53.179,9.985],[53.174,10.001],[53.159,9.997],[53.151,10.049],[53.106,10.118],[53.072,10.064],[53.066,10.077],[53.062,10.036],[53.043,10.069],[53.047,10.146],[53.036,10.151],[53.042,10.166],[53.064,10.158],[53.079,10.199],[53.057,10.219],[53.025,10.219],[53.027,10.157],[53.014,10.159],[53.008,10.216],[52.936,10.237],[52.923,10.191],[52.937,10.163],[52.917,10.157],[52.913,10.117],[52.899,10.119],[52.906,10.07],[52.867,9.975],[52.892,9.945],[52.901,9.864],[52.872,9.84],[52.841,9.858],[52.83,9.832],[52.782,9.816],[52.78,9.83],[52.746,9.832],[52.732,9.752],[52.715,9.761],[52.709,9.728],[52.651,9.746],[52.634,9.712],[52.614,9.714],[52.6,9.696],[52.606,9.644],[52.626,9.635],[52.634,9.662],[52.647,9.6],[52.676,9.592],[52.661,9.526],[52.679,9.504],[52.701,9.511],[52.705,9.481],[52.727,9.481],[52.736,9.37],[52.715,9.348],[52.721,9.322],[52.726,9.35],[52.738,9.332],[52.752,9.341],[52.759,9.317],[52.778,9.349],[52.801,9.34],[52.803,9.361],[52.817,9.33],[52.833,9.39],[52.85,9.375],[52.879,9.413],[52.898,9.413],[52.949,9.513],[52.951,9.541],[52.925,9.561],[52.925,9.585],[52.955,9.604],[52.981,9.678],[52.996,9.654],[53.021,9.674],[53.039,9.615],[53.054,9.608],[53.08,9.643],[53.115,9.625],[53.137,9.651],[53.142,9.642],[53.137,9.673],[53.161,9.672],[53.166,9.758],[53.179,9.718],[53.213,9.682],[53.214,9.724]]]],
+    },
+    103359000: {
+      name: "Kreis Stade",
+      nuts: "DE939",
+      bbox: [53.33, 9.01, 53.87, 9.79],
+      polygons: [[[[53.767,9.401],[53.691,9.508],[53.616,9.551],[53.562,9.692],[53.564,9.663],[53.557,9.677],[53.554,9.774],[53.544,9.772],[53.548,9.685],[53.613,9.54],[53.679,9.494],[53.725,9.417],[53.868,9.273],[53.851,9.319],[53.767,9.401]],[[53.587,9.594],[53.584,9.611],[53.602,9.572],[53.587,9.594]]],[[[53.82,9.01],[53.82,9.04],[53.85,9.04],[53.85,9.01],[53.82,9.01]]],[[[53.865,9.183],[53.863,9.201],[53.864,9.166],[53.865,9.183]]],[[[53.55,9.69],[53.55,9.72],[53.57,9.72],[53.57,9.69],[53.55,9.69]]],[[[53.55,9.73],[53.55,9.75],[53.56,9.75],[53.56,9.73],[53.55,9.73]]],[[[53.864,9.147],[53.857,9.277],[53.826,9.326],[53.725,9.417],[53.679,9.494],[53.612,9.541],[53.548,9.685],[53.543,9.772],[53.495,9.765],[53.491,9.738],[53.481,9.772],[53.44,9.783],[53.41,9.652],[53.389,9.622],[53.367,9.618],[53.337,9.562],[53.344,9.551],[53.37,9.573],[53.386,9.517],[53.35,9.476],[53.356,9.416],[53.39,9.357],[53.406,9.375],[53.411,9.341],[53.448,9.346],[53.463,9.329],[53.464,9.242],[53.497,9.226],[53.523,9.283],[53.534,9.262],[53.547,9.273],[53.532,9.185],[53.556,9.159],[53.599,9.15],[53.644,9.279],[53.672,9.275],[53.681,9.207],[53.73,9.299],[53.768,9.262],[53.755,9.222],[53.811,9.121],[53.8,9.102],[53.813,9.04],[53.842,9.02],[53.864,9.147]]],[[[53.563,9.681],[53.554,9.774],[53.564,9.663],[53.563,9.681]]],[[[53.69,9.44],[53.69,9.48],[53.73,9.48],[53.73,9.44],[53.69,9.44]]],[[[53.58,9.57],[53.58,9.62],[53.61,9.62],[53.61,9.57],[53.58,9.57]]],[[[53.66,9.51],[53.66,9.53],[53.68,9.53],[53.68,9.51],[53.66,9.51]]],[[[53.83,9.01],[53.83,9.03],[53.84,9.03],[53.84,9.01],[53.83,9.01]]],[[[53.55,9.77],[53.55,9.78],[53.56,9.78],[53.56,9.77],[53.55,9.77]]]],
+    },
+    103360000: {
+      name: "Kreis Uelzen",
+      nuts: "DE93A",
+      bbox: [52.76, 10.14, 53.21, 10.9],
+      polygons: [[[[53.189,10.534],[53.174,10.538],[53.17,10.582],[53.192,10.607],[53.19,10.659],[53.177,10.661],[53.174,10.629],[53.159,10.632],[53.145,10.714],[53.111,10.755],[53.114,10.776],[53.097,10.768],[53.077,10.833],[53.044,10.84],[53.018,10.89],[52.998,10.893],[52.98,10.841],[52.961,10.853],[52.964,10.873],[52.94,10.852],[52.929,10.862],[52.932,10.843],[52.897,10.805],[52.881,10.827],[52.867,10.804],[52.85,10.84],[52.842,10.767],[52.796,10.759],[52.765,10.67],[52.795,10.594],[52.833,10.551],[52.806,10.414],[52.817,10.379],[52.84,10.365],[52.837,10.319],[52.874,10.311],[52.877,10.283],[52.938,10.232],[53.008,10.216],[53.014,10.159],[53.027,10.157],[53.025,10.219],[53.077,10.212],[53.096,10.276],[53.089,10.314],[53.114,10.329],[53.114,10.389],[53.15,10.397],[53.161,10.45],[53.173,10.444],[53.204,10.509],[53.189,10.534]]],[[[53.037,10.153],[53.057,10.154],[53.042,10.166],[53.037,10.153]]],[[[53.06,10.19],[53.06,10.21],[53.07,10.21],[53.07,10.19],[53.06,10.19]]]],
+    },
+    103361000: {
+      name: "Kreis Verden",
+      nuts: "DE93B",
+      bbox: [52.76, 8.9, 53.19, 9.47],
+      polygons: [[[[53.18,9.178],[53.17,9.196],[53.164,9.166],[53.147,9.194],[53.139,9.178],[53.1,9.17],[53.097,9.152],[53.036,9.204],[53.014,9.342],[52.987,9.337],[52.982,9.373],[53.003,9.437],[52.989,9.458],[52.958,9.463],[52.946,9.444],[52.917,9.455],[52.898,9.413],[52.879,9.413],[52.854,9.378],[52.833,9.39],[52.817,9.33],[52.803,9.361],[52.801,9.34],[52.794,9.352],[52.772,9.342],[52.784,9.343],[52.768,9.328],[52.775,9.304],[52.81,9.308],[52.818,9.293],[52.803,9.251],[52.821,9.242],[52.815,9.194],[52.839,9.2],[52.847,9.221],[52.856,9.182],[52.873,9.211],[52.886,9.177],[52.91,9.167],[52.894,9.162],[52.895,9.139],[52.902,9.08],[52.923,9.062],[52.926,9.003],[52.889,8.982],[52.889,8.952],[52.959,8.906],[52.984,8.91],[52.99,8.933],[53.011,8.916],[53.047,8.98],[53.057,8.964],[53.085,8.961],[53.097,8.991],[53.116,8.947],[53.13,8.983],[53.125,9.037],[53.152,9.066],[53.144,9.109],[53.168,9.133],[53.18,9.178]]]],
+    },
+    103401000: {
+      name: "Delmenhorst",
+      nuts: "DE941",
+      bbox: [52.98, 8.57, 53.11, 8.72],
+      polygons: [[[[53.109,8.651],[53.076,8.709],[53.045,8.711],[53.009,8.657],[53.019,8.628],[53.008,8.612],[53,8.622],[52.986,8.591],[53.003,8.579],[53.031,8.608],[53.037,8.583],[53.05,8.583],[53.075,8.633],[53.086,8.623],[53.109,8.651]]]],
+    },
+    103402000: {
+      name: "Emden",
+      nuts: "DE942",
+      bbox: [53.32, 6.99, 53.41, 7.32],
+      polygons: [[[[53.406,7.275],[53.378,7.281],[53.367,7.312],[53.324,7.302],[53.336,7.029],[53.36,6.999],[53.379,7.013],[53.352,7.038],[53.353,7.058],[53.398,7.141],[53.387,7.18],[53.406,7.275]]],[[[53.32,7.26],[53.32,7.31],[53.34,7.31],[53.34,7.26],[53.32,7.26]]]],
+    },
+    103403000: {
+      name: "Oldenburg (Oldb)",
+      nuts: "DE943",
+      bbox: [53.08, 8.12, 53.21, 8.32],
+      polygons: [[[[53.205,8.204],[53.189,8.304],[53.18,8.292],[53.153,8.312],[53.098,8.28],[53.082,8.223],[53.092,8.195],[53.114,8.201],[53.108,8.128],[53.177,8.161],[53.205,8.204]]]],
+    },
+    103404000: {
+      name: "Osnabrück",
+      nuts: "DE944",
+      bbox: [52.22, 7.93, 52.34, 8.19],
+      polygons: [[[[52.319,8.027],[52.32,8.098],[52.29,8.119],[52.3,8.151],[52.282,8.18],[52.26,8.121],[52.233,8.134],[52.221,8.108],[52.24,8.082],[52.224,8.036],[52.237,7.989],[52.251,7.958],[52.275,7.964],[52.286,7.931],[52.302,7.93],[52.304,7.987],[52.325,7.965],[52.332,7.984],[52.339,8.01],[52.319,8.027]]]],
+    },
+    103405000: {
+      name: "Wilhelmshaven",
+      nuts: "DE945",
+      bbox: [53.5, 7.99, 53.64, 8.18],
+      polygons: [[[[53.626,8.103],[53.599,8.123],[53.602,8.149],[53.586,8.156],[53.58,8.142],[53.544,8.169],[53.529,8.157],[53.535,8.17],[53.515,8.155],[53.506,8.061],[53.538,8.031],[53.553,8.042],[53.557,8.022],[53.572,8.043],[53.604,7.993],[53.629,8.042],[53.638,8.091],[53.626,8.103]]],[[[53.52,8.15],[53.52,8.18],[53.55,8.18],[53.55,8.15],[53.52,8.15]]]],
+    },
+    103451000: {
+      name: "Kreis Ammerland",
+      nuts: "DE946",
+      bbox: [53.05, 7.69, 53.36, 8.32],
+      polygons: [[[[53.329,7.943],[53.327,7.964],[53.305,7.971],[53.31,8.03],[53.342,8.064],[53.33,8.126],[53.354,8.174],[53.322,8.169],[53.303,8.208],[53.307,8.252],[53.285,8.278],[53.265,8.272],[53.244,8.293],[53.235,8.28],[53.239,8.297],[53.196,8.315],[53.204,8.2],[53.177,8.161],[53.108,8.128],[53.09,8.07],[53.06,8.051],[53.076,7.966],[53.119,7.902],[53.11,7.885],[53.141,7.84],[53.164,7.854],[53.177,7.721],[53.208,7.699],[53.223,7.702],[53.294,7.85],[53.352,7.886],[53.329,7.943]]]],
+    },
+    103452000: {
+      name: "Kreis Aurich",
+      nuts: "DE947",
+      bbox: [53.33, 6.85, 53.74, 7.82],
+      polygons: [[[[53.687,7.358],[53.674,7.555],[53.65,7.488],[53.623,7.509],[53.618,7.421],[53.542,7.412],[53.533,7.429],[53.561,7.649],[53.536,7.663],[53.526,7.644],[53.503,7.678],[53.463,7.677],[53.465,7.751],[53.454,7.732],[53.441,7.735],[53.443,7.782],[53.427,7.774],[53.423,7.786],[53.408,7.77],[53.409,7.814],[53.4,7.804],[53.375,7.815],[53.332,7.597],[53.344,7.597],[53.37,7.487],[53.348,7.375],[53.354,7.35],[53.376,7.352],[53.359,7.347],[53.371,7.329],[53.35,7.307],[53.367,7.312],[53.378,7.281],[53.409,7.268],[53.392,7.227],[53.403,7.212],[53.39,7.204],[53.387,7.101],[53.353,7.058],[53.352,7.038],[53.379,7.013],[53.36,6.999],[53.482,7.024],[53.508,7.049],[53.539,7.037],[53.511,7.109],[53.525,7.101],[53.535,7.139],[53.58,7.09],[53.629,7.157],[53.669,7.243],[53.687,7.358]]],[[[53.726,7.34],[53.719,7.347],[53.704,7.27],[53.707,7.137],[53.723,7.187],[53.726,7.34]]],[[[53.687,7.065],[53.681,7.1],[53.663,6.852],[53.687,7.065]]],[[[53.736,7.392],[53.73,7.435],[53.727,7.36],[53.736,7.392]]],[[[53.648,6.9],[53.644,6.91],[53.626,6.894],[53.642,6.865],[53.648,6.9]]],[[[53.51,7.08],[53.51,7.11],[53.52,7.11],[53.52,7.08],[53.51,7.08]]],[[[53.62,7.15],[53.62,7.17],[53.64,7.17],[53.64,7.15],[53.62,7.15]]],[[[53.53,7.03],[53.53,7.05],[53.55,7.05],[53.55,7.03],[53.53,7.03]]],[[[53.52,7.02],[53.52,7.04],[53.54,7.04],[53.54,7.02],[53.52,7.02]]],[[[53.69,7.16],[53.69,7.17],[53.71,7.17],[53.71,7.16],[53.69,7.16]]],[[[53.72,7.36],[53.72,7.37],[53.73,7.37],[53.73,7.36],[53.72,7.36]]]],
+    },
+    103453000: {
+      name: "Kreis Cloppenburg",
+      nuts: "DE948",
+      bbox: [52.67, 7.61, 53.19, 8.26],
+      polygons: [[[[53.182,7.658],[53.174,7.822],[53.163,7.854],[53.141,7.84],[53.11,7.885],[53.119,7.902],[53.076,7.966],[53.053,8.063],[52.999,8.124],[52.928,8.122],[52.925,8.157],[52.905,8.156],[52.873,8.221],[52.874,8.259],[52.838,8.235],[52.799,8.24],[52.789,8.205],[52.762,8.201],[52.772,8.111],[52.752,8.104],[52.756,8.061],[52.715,8.046],[52.702,8.077],[52.703,8.027],[52.684,8.018],[52.697,7.973],[52.68,7.918],[52.709,7.855],[52.677,7.764],[52.679,7.69],[52.731,7.637],[52.767,7.715],[52.797,7.682],[52.851,7.713],[52.873,7.784],[52.921,7.832],[52.945,7.741],[52.968,7.716],[53.015,7.713],[53.058,7.612],[53.183,7.648],[53.182,7.658]]]],
+    },
+    103454000: {
+      name: "Kreis Emsland",
+      nuts: "DE949",
+      bbox: [52.28, 6.99, 53.12, 7.84],
+      polygons: [[[[53.113,7.278],[53.086,7.483],[53.034,7.545],[53.059,7.608],[53.015,7.713],[52.968,7.716],[52.945,7.741],[52.921,7.832],[52.873,7.784],[52.851,7.713],[52.797,7.682],[52.767,7.715],[52.731,7.637],[52.695,7.684],[52.663,7.695],[52.616,7.608],[52.584,7.622],[52.501,7.617],[52.496,7.603],[52.477,7.611],[52.432,7.564],[52.421,7.603],[52.381,7.571],[52.376,7.583],[52.361,7.505],[52.333,7.438],[52.314,7.427],[52.28,7.317],[52.34,7.256],[52.447,7.213],[52.469,7.275],[52.482,7.264],[52.496,7.279],[52.508,7.257],[52.518,7.285],[52.542,7.258],[52.538,7.194],[52.55,7.196],[52.557,7.162],[52.573,7.159],[52.602,7.109],[52.589,7.109],[52.605,7.069],[52.597,7.045],[52.618,7.033],[52.606,6.995],[52.639,7.006],[52.643,7.056],[52.85,7.087],[52.941,7.182],[53.007,7.217],[53.113,7.203],[53.113,7.278]]]],
+    },
+    103455000: {
+      name: "Kreis Friesland",
+      nuts: "DE94A",
+      bbox: [53.3, 7.8, 53.8, 8.21],
+      polygons: [[[[53.718,7.915],[53.707,8.028],[53.684,8.02],[53.641,8.042],[53.638,8.091],[53.602,7.994],[53.572,8.043],[53.557,8.022],[53.553,8.042],[53.538,8.031],[53.506,8.061],[53.462,8.073],[53.446,8.099],[53.448,8.153],[53.412,8.195],[53.391,8.207],[53.356,8.189],[53.33,8.126],[53.342,8.064],[53.31,8.03],[53.305,7.971],[53.33,7.96],[53.352,7.886],[53.399,7.859],[53.444,7.967],[53.461,7.975],[53.482,7.929],[53.511,7.936],[53.501,7.821],[53.551,7.825],[53.58,7.857],[53.592,7.845],[53.613,7.86],[53.632,7.82],[53.646,7.842],[53.708,7.81],[53.718,7.915]]],[[[53.795,7.885],[53.777,7.978],[53.79,7.87],[53.773,7.865],[53.787,7.846],[53.795,7.885]]],[[[53.76,7.99],[53.76,8.02],[53.79,8.02],[53.79,7.99],[53.76,7.99]]],[[[53.74,8],[53.74,8.03],[53.77,8.03],[53.77,8],[53.74,8]]],[[[53.75,8.02],[53.75,8.03],[53.77,8.03],[53.77,8.02],[53.75,8.02]]],[[[53.64,8.08],[53.64,8.09],[53.65,8.09],[53.65,8.08],[53.64,8.08]]],[[[53.78,7.86],[53.78,7.88],[53.79,7.88],[53.79,7.86],[53.78,7.86]]],[[[53.68,8.02],[53.68,8.03],[53.69,8.03],[53.69,8.02],[53.68,8.02]]],[[[53.7,7.8],[53.7,7.82],[53.72,7.82],[53.72,7.8],[53.7,7.8]]]],
+    },
+    103456000: {
+      name: "Kreis Grafschaft Bentheim",
+      nuts: "DE94B",
+      bbox: [52.24, 6.68, 52.66, 7.32],
+      polygons: [[[[52.652,6.786],[52.642,7.002],[52.606,6.995],[52.618,7.033],[52.597,7.045],[52.605,7.069],[52.589,7.109],[52.602,7.109],[52.573,7.159],[52.557,7.162],[52.55,7.196],[52.538,7.194],[52.542,7.258],[52.518,7.285],[52.508,7.257],[52.496,7.279],[52.482,7.264],[52.469,7.275],[52.447,7.213],[52.34,7.256],[52.28,7.317],[52.264,7.298],[52.266,7.156],[52.241,7.066],[52.287,7.026],[52.373,7.072],[52.399,7.059],[52.429,7.011],[52.467,6.992],[52.435,6.942],[52.46,6.854],[52.464,6.753],[52.486,6.698],[52.52,6.705],[52.553,6.681],[52.562,6.767],[52.589,6.719],[52.615,6.727],[52.628,6.71],[52.652,6.786]]]],
+    },
+    103457000: {
+      name: "Kreis Leer",
+      nuts: "DE94C",
+      bbox: [53.03, 6.65, 53.62, 7.89],
+      polygons: [[[[53.376,7.354],[53.354,7.35],[53.348,7.375],[53.37,7.487],[53.344,7.597],[53.332,7.597],[53.375,7.815],[53.363,7.834],[53.376,7.872],[53.352,7.886],[53.294,7.85],[53.223,7.702],[53.179,7.719],[53.183,7.648],[53.058,7.612],[53.034,7.545],[53.086,7.483],[53.122,7.183],[53.162,7.19],[53.18,7.227],[53.188,7.208],[53.243,7.209],[53.268,7.233],[53.294,7.229],[53.319,7.246],[53.317,7.295],[53.35,7.305],[53.35,7.321],[53.371,7.329],[53.359,7.347],[53.376,7.354]]],[[[53.607,6.8],[53.602,6.813],[53.584,6.718],[53.568,6.758],[53.557,6.747],[53.578,6.665],[53.595,6.654],[53.617,6.749],[53.607,6.8]]],[[[53.58,6.86],[53.58,6.87],[53.6,6.87],[53.6,6.86],[53.58,6.86]]],[[[53.569,6.722],[53.559,6.722],[53.568,6.706],[53.569,6.722]]],[[[53.55,6.74],[53.55,6.76],[53.57,6.76],[53.57,6.74],[53.55,6.74]]],[[[53.55,6.74],[53.55,6.75],[53.57,6.75],[53.57,6.74],[53.55,6.74]]],[[[53.318,7.191],[53.318,7.247],[53.294,7.229],[53.268,7.233],[53.243,7.209],[53.318,7.191]]],[[[53.323,7.282],[53.321,7.299],[53.32,7.248],[53.323,7.282]]]],
+    },
+    103458000: {
+      name: "Kreis Oldenburg",
+      nuts: "DE94D",
+      bbox: [52.79, 8.05, 53.18, 8.7],
+      polygons: [[[[53.166,8.386],[53.121,8.402],[53.14,8.461],[53.12,8.505],[53.129,8.495],[53.123,8.579],[53.099,8.636],[53.086,8.623],[53.075,8.633],[53.05,8.583],[53.037,8.583],[53.031,8.608],[53,8.578],[52.986,8.591],[53,8.622],[53.008,8.612],[53.019,8.628],[53.009,8.66],[52.977,8.643],[52.963,8.655],[52.967,8.688],[52.92,8.694],[52.912,8.645],[52.901,8.657],[52.895,8.638],[52.887,8.647],[52.851,8.634],[52.799,8.462],[52.823,8.473],[52.825,8.397],[52.849,8.406],[52.852,8.356],[52.884,8.332],[52.869,8.231],[52.905,8.156],[52.925,8.157],[52.928,8.122],[52.999,8.124],[53.059,8.051],[53.09,8.07],[53.114,8.201],[53.092,8.195],[53.083,8.226],[53.098,8.28],[53.13,8.288],[53.162,8.322],[53.166,8.386]]]],
+    },
+    103459000: {
+      name: "Kreis Osnabrück",
+      nuts: "DE94E",
+      bbox: [52.03, 7.6, 52.71, 8.52],
+      polygons: [[[[52.7,7.879],[52.68,7.918],[52.696,7.977],[52.645,8.073],[52.624,8.088],[52.597,8.072],[52.59,8.041],[52.532,8.037],[52.533,8.014],[52.503,8.064],[52.496,8.052],[52.444,8.061],[52.433,8.159],[52.48,8.203],[52.499,8.309],[52.456,8.297],[52.426,8.322],[52.406,8.314],[52.363,8.439],[52.315,8.472],[52.302,8.458],[52.247,8.468],[52.213,8.442],[52.185,8.517],[52.138,8.414],[52.109,8.395],[52.121,8.298],[52.135,8.287],[52.106,8.221],[52.073,8.192],[52.076,8.152],[52.057,8.096],[52.068,8.033],[52.036,7.981],[52.052,7.917],[52.085,7.885],[52.115,8.008],[52.154,7.997],[52.164,8.025],[52.19,7.908],[52.208,7.9],[52.227,7.927],[52.264,7.926],[52.276,7.96],[52.251,7.958],[52.237,7.989],[52.224,8.036],[52.24,8.082],[52.221,8.111],[52.234,8.114],[52.233,8.134],[52.26,8.121],[52.271,8.167],[52.288,8.18],[52.3,8.151],[52.29,8.119],[52.32,8.098],[52.319,8.02],[52.339,8.01],[52.326,7.96],[52.365,7.937],[52.381,7.892],[52.371,7.807],[52.401,7.714],[52.454,7.688],[52.472,7.611],[52.496,7.603],[52.501,7.617],[52.584,7.622],[52.616,7.608],[52.663,7.695],[52.679,7.688],[52.677,7.764],[52.709,7.855],[52.7,7.879]]],[[[52.69,7.79],[52.69,7.8],[52.7,7.8],[52.7,7.79],[52.69,7.79]]]],
+    },
+    103460000: {
+      name: "Kreis Vechta",
+      nuts: "DE94F",
+      bbox: [52.43, 8.01, 52.89, 8.48],
+      polygons: [[[[52.88,8.334],[52.852,8.356],[52.849,8.406],[52.825,8.397],[52.823,8.473],[52.786,8.45],[52.736,8.472],[52.687,8.31],[52.65,8.294],[52.586,8.311],[52.575,8.344],[52.552,8.35],[52.535,8.313],[52.499,8.308],[52.48,8.203],[52.433,8.159],[52.444,8.061],[52.496,8.052],[52.503,8.064],[52.533,8.014],[52.532,8.037],[52.59,8.041],[52.597,8.072],[52.624,8.088],[52.684,8.018],[52.703,8.027],[52.702,8.077],[52.715,8.046],[52.756,8.061],[52.752,8.104],[52.772,8.111],[52.762,8.201],[52.789,8.205],[52.799,8.24],[52.838,8.235],[52.874,8.259],[52.88,8.334]]]],
+    },
+    103461000: {
+      name: "Kreis Wesermarsch",
+      nuts: "DE94G",
+      bbox: [53.09, 8.12, 53.74, 8.66],
+      polygons: [[[[53.616,8.31],[53.608,8.347],[53.569,8.397],[53.552,8.464],[53.558,8.518],[53.537,8.551],[53.516,8.553],[53.475,8.493],[53.351,8.502],[53.226,8.482],[53.187,8.533],[53.168,8.619],[53.109,8.655],[53.099,8.636],[53.123,8.579],[53.129,8.495],[53.12,8.505],[53.14,8.461],[53.121,8.402],[53.172,8.385],[53.153,8.309],[53.18,8.292],[53.196,8.315],[53.239,8.297],[53.235,8.28],[53.244,8.293],[53.265,8.272],[53.285,8.278],[53.307,8.252],[53.303,8.208],[53.322,8.169],[53.345,8.167],[53.369,8.204],[53.409,8.196],[53.401,8.259],[53.456,8.313],[53.523,8.309],[53.52,8.227],[53.591,8.25],[53.616,8.31]]],[[[53.719,8.162],[53.71,8.123],[53.73,8.141],[53.729,8.186],[53.719,8.162]]]],
+    },
+    103462000: {
+      name: "Kreis Wittmund",
+      nuts: "DE94H",
+      bbox: [53.36, 7.4, 53.79, 7.98],
+      polygons: [[[[53.72,7.49],[53.72,7.51],[53.74,7.51],[53.74,7.49],[53.72,7.49]]],[[[53.76,7.69],[53.76,7.7],[53.77,7.7],[53.77,7.69],[53.76,7.69]]],[[[53.7,7.8],[53.7,7.82],[53.72,7.82],[53.72,7.8],[53.7,7.8]]],[[[53.707,7.808],[53.646,7.842],[53.632,7.82],[53.613,7.86],[53.592,7.845],[53.58,7.857],[53.551,7.825],[53.501,7.821],[53.511,7.936],[53.482,7.929],[53.461,7.975],[53.444,7.967],[53.399,7.859],[53.376,7.872],[53.367,7.852],[53.375,7.815],[53.4,7.804],[53.409,7.814],[53.408,7.77],[53.423,7.786],[53.427,7.774],[53.443,7.782],[53.441,7.735],[53.454,7.732],[53.465,7.751],[53.463,7.677],[53.503,7.678],[53.526,7.644],[53.536,7.663],[53.561,7.649],[53.533,7.429],[53.542,7.412],[53.618,7.421],[53.623,7.509],[53.65,7.488],[53.664,7.51],[53.704,7.704],[53.707,7.808]]],[[[53.759,7.55],[53.748,7.631],[53.744,7.515],[53.724,7.506],[53.725,7.461],[53.754,7.48],[53.759,7.55]]],[[[53.782,7.725],[53.777,7.816],[53.76,7.757],[53.766,7.696],[53.751,7.683],[53.76,7.665],[53.782,7.725]]]],
+    },
+    104011000: {
+      name: "Bremen",
+      nuts: "DE501",
+      bbox: [53.01, 8.48, 53.6, 9],
+      polygons: [[[[53.571,8.543],[53.549,8.563],[53.591,8.522],[53.571,8.543]]],[[[53.229,8.505],[53.208,8.554],[53.213,8.599],[53.199,8.581],[53.185,8.592],[53.198,8.628],[53.176,8.664],[53.185,8.699],[53.159,8.775],[53.164,8.829],[53.132,8.864],[53.133,8.912],[53.152,8.945],[53.126,8.984],[53.116,8.947],[53.097,8.991],[53.085,8.961],[53.057,8.964],[53.047,8.98],[53.011,8.916],[53.041,8.867],[53.022,8.867],[53.021,8.822],[53.053,8.771],[53.035,8.731],[53.046,8.71],[53.076,8.709],[53.092,8.666],[53.167,8.621],[53.201,8.505],[53.226,8.482],[53.229,8.505]]],[[[53.584,8.548],[53.578,8.577],[53.552,8.569],[53.592,8.523],[53.584,8.548]]],[[[53.19,8.61],[53.19,8.62],[53.2,8.62],[53.2,8.61],[53.19,8.61]]]],
+    },
+    104012000: {
+      name: "Bremerhaven",
+      nuts: "DE502",
+      bbox: [53.47, 8.48, 53.62, 8.67],
+      polygons: [[[[53.606,8.539],[53.593,8.592],[53.603,8.651],[53.574,8.617],[53.556,8.646],[53.511,8.651],[53.484,8.606],[53.472,8.493],[53.501,8.515],[53.509,8.561],[53.536,8.576],[53.549,8.563],[53.578,8.577],[53.603,8.509],[53.606,8.539]]],[[[53.6,8.64],[53.6,8.67],[53.62,8.67],[53.62,8.64],[53.6,8.64]]],[[[53.606,8.52],[53.603,8.509],[53.539,8.576],[53.509,8.561],[53.521,8.546],[53.535,8.556],[53.6,8.483],[53.606,8.52]]]],
+    },
+    105111000: {
+      name: "Düsseldorf",
+      nuts: "DEA11",
+      bbox: [51.12, 6.68, 51.36, 6.94],
+      polygons: [[[[51.35,6.753],[51.343,6.81],[51.328,6.802],[51.321,6.817],[51.279,6.8],[51.273,6.94],[51.238,6.931],[51.242,6.872],[51.219,6.873],[51.194,6.922],[51.158,6.892],[51.142,6.923],[51.13,6.918],[51.126,6.856],[51.163,6.847],[51.145,6.799],[51.182,6.791],[51.183,6.739],[51.226,6.724],[51.225,6.693],[51.257,6.727],[51.272,6.702],[51.31,6.734],[51.333,6.715],[51.35,6.753]]]],
+    },
+    105112000: {
+      name: "Duisburg",
+      nuts: "DEA12",
+      bbox: [51.33, 6.62, 51.57, 6.84],
+      polygons: [[[[51.554,6.703],[51.533,6.784],[51.523,6.777],[51.507,6.82],[51.447,6.805],[51.439,6.819],[51.376,6.815],[51.352,6.83],[51.35,6.742],[51.333,6.715],[51.354,6.655],[51.389,6.675],[51.386,6.637],[51.412,6.626],[51.41,6.669],[51.452,6.678],[51.474,6.656],[51.482,6.664],[51.481,6.644],[51.504,6.629],[51.519,6.697],[51.543,6.677],[51.56,6.687],[51.554,6.703]]]],
+    },
+    105113000: {
+      name: "Essen",
+      nuts: "DEA13",
+      bbox: [51.34, 6.89, 51.54, 7.14],
+      polygons: [[[[51.521,7.019],[51.472,7.114],[51.423,7.137],[51.407,7.108],[51.378,7.12],[51.347,6.927],[51.367,6.904],[51.388,6.941],[51.44,6.959],[51.45,6.92],[51.477,6.895],[51.497,6.92],[51.509,6.988],[51.534,6.999],[51.521,7.019]]]],
+    },
+    105114000: {
+      name: "Krefeld",
+      nuts: "DEA14",
+      bbox: [51.28, 6.47, 51.41, 6.71],
+      polygons: [[[[51.4,6.548],[51.389,6.675],[51.354,6.655],[51.337,6.706],[51.309,6.622],[51.291,6.622],[51.289,6.5],[51.303,6.489],[51.31,6.512],[51.335,6.515],[51.347,6.487],[51.393,6.479],[51.4,6.548]]]],
+    },
+    105116000: {
+      name: "Mönchengladbach",
+      nuts: "DEA15",
+      bbox: [51.08, 6.29, 51.25, 6.54],
+      polygons: [[[[51.237,6.478],[51.23,6.52],[51.228,6.489],[51.194,6.494],[51.176,6.48],[51.183,6.516],[51.145,6.537],[51.142,6.473],[51.113,6.48],[51.112,6.446],[51.089,6.445],[51.096,6.36],[51.127,6.354],[51.152,6.301],[51.176,6.291],[51.182,6.318],[51.224,6.33],[51.219,6.414],[51.248,6.458],[51.237,6.478]]]],
+    },
+    105117000: {
+      name: "Mülheim an der Ruhr",
+      nuts: "DEA16",
+      bbox: [51.35, 6.8, 51.48, 6.96],
+      polygons: [[[[51.471,6.901],[51.44,6.959],[51.394,6.944],[51.368,6.907],[51.351,6.831],[51.376,6.815],[51.439,6.819],[51.447,6.805],[51.471,6.901]]]],
+    },
+    105119000: {
+      name: "Oberhausen",
+      nuts: "DEA17",
+      bbox: [51.44, 6.77, 51.58, 6.94],
+      polygons: [[[[51.568,6.857],[51.516,6.894],[51.499,6.931],[51.487,6.9],[51.469,6.896],[51.449,6.827],[51.456,6.809],[51.507,6.82],[51.523,6.777],[51.544,6.782],[51.577,6.822],[51.568,6.857]]]],
+    },
+    105120000: {
+      name: "Remscheid",
+      nuts: "DEA18",
+      bbox: [51.14, 7.13, 51.23, 7.31],
+      polygons: [[[[51.224,7.239],[51.195,7.305],[51.147,7.294],[51.161,7.22],[51.149,7.135],[51.175,7.153],[51.191,7.142],[51.211,7.165],[51.224,7.239]]]],
+    },
+    105122000: {
+      name: "Solingen",
+      nuts: "DEA19",
+      bbox: [51.11, 6.95, 51.23, 7.18],
+      polygons: [[[[51.22,7.083],[51.212,7.107],[51.145,7.138],[51.154,7.166],[51.134,7.159],[51.126,7.172],[51.115,7.144],[51.138,7.083],[51.118,6.998],[51.144,6.996],[51.147,6.951],[51.165,6.963],[51.22,7.083]]]],
+    },
+    105124000: {
+      name: "Wuppertal",
+      nuts: "DEA1A",
+      bbox: [51.16, 7.01, 51.32, 7.32],
+      polygons: [[[[51.317,7.264],[51.288,7.254],[51.272,7.278],[51.257,7.267],[51.252,7.305],[51.234,7.314],[51.205,7.296],[51.225,7.245],[51.214,7.175],[51.191,7.142],[51.175,7.153],[51.166,7.137],[51.215,7.105],[51.207,7.047],[51.217,7.035],[51.232,7.052],[51.245,7.015],[51.26,7.065],[51.303,7.108],[51.313,7.167],[51.306,7.18],[51.298,7.17],[51.295,7.196],[51.317,7.264]]]],
+    },
+    105154000: {
+      name: "Kreis Kleve",
+      nuts: "DEA1B",
+      bbox: [51.35, 5.94, 51.91, 6.54],
+      polygons: [[[[51.904,6.159],[51.87,6.208],[51.874,6.278],[51.849,6.307],[51.848,6.357],[51.819,6.427],[51.806,6.423],[51.811,6.49],[51.765,6.535],[51.753,6.483],[51.72,6.489],[51.702,6.461],[51.716,6.411],[51.743,6.422],[51.755,6.403],[51.741,6.411],[51.7,6.355],[51.685,6.38],[51.645,6.354],[51.638,6.293],[51.611,6.334],[51.601,6.323],[51.589,6.374],[51.566,6.377],[51.567,6.499],[51.551,6.464],[51.538,6.487],[51.522,6.48],[51.52,6.449],[51.468,6.506],[51.446,6.502],[51.44,6.521],[51.419,6.509],[51.42,6.472],[51.406,6.462],[51.413,6.398],[51.377,6.358],[51.36,6.307],[51.365,6.224],[51.39,6.214],[51.4,6.226],[51.4,6.205],[51.469,6.223],[51.513,6.212],[51.606,6.091],[51.656,6.118],[51.677,6.031],[51.709,6.026],[51.717,6.045],[51.726,6.029],[51.738,5.955],[51.749,5.951],[51.766,5.991],[51.783,5.991],[51.824,5.945],[51.843,6.035],[51.865,6.063],[51.841,6.166],[51.861,6.167],[51.886,6.137],[51.893,6.103],[51.904,6.159]]]],
+    },
+    105158000: {
+      name: "Kreis Mettmann",
+      nuts: "DEA1C",
+      bbox: [51.06, 6.79, 51.39, 7.17],
+      polygons: [[[[51.381,7.13],[51.365,7.159],[51.34,7.145],[51.313,7.167],[51.302,7.106],[51.26,7.065],[51.247,7.017],[51.232,7.052],[51.217,7.035],[51.207,7.047],[51.157,6.955],[51.147,6.951],[51.14,6.998],[51.075,6.99],[51.082,6.919],[51.065,6.898],[51.076,6.856],[51.105,6.884],[51.131,6.857],[51.124,6.899],[51.137,6.926],[51.158,6.892],[51.194,6.922],[51.219,6.873],[51.242,6.872],[51.238,6.931],[51.273,6.94],[51.279,6.8],[51.321,6.817],[51.328,6.802],[51.349,6.805],[51.371,6.892],[51.347,6.927],[51.348,6.965],[51.381,7.13]]]],
+    },
+    105162000: {
+      name: "Rhein-Kreis Neuss",
+      nuts: "DEA1D",
+      bbox: [51.01, 6.43, 51.34, 6.89],
+      polygons: [[[[51.323,6.731],[51.303,6.731],[51.273,6.702],[51.257,6.727],[51.225,6.693],[51.226,6.724],[51.183,6.739],[51.182,6.791],[51.145,6.799],[51.16,6.855],[51.134,6.849],[51.099,6.881],[51.074,6.823],[51.059,6.831],[51.046,6.813],[51.069,6.787],[51.066,6.753],[51.043,6.762],[51.046,6.744],[51.015,6.715],[51.018,6.579],[51.035,6.55],[51.056,6.553],[51.059,6.535],[51.034,6.48],[51.043,6.459],[51.056,6.477],[51.062,6.447],[51.082,6.455],[51.105,6.437],[51.111,6.478],[51.13,6.467],[51.146,6.482],[51.145,6.537],[51.183,6.516],[51.176,6.48],[51.194,6.494],[51.228,6.489],[51.223,6.53],[51.25,6.626],[51.262,6.596],[51.287,6.586],[51.337,6.706],[51.323,6.731]]]],
+    },
+    105166000: {
+      name: "Kreis Viersen",
+      nuts: "DEA1E",
+      bbox: [51.16, 6.06, 51.43, 6.63],
+      polygons: [[[[51.425,6.519],[51.405,6.536],[51.402,6.492],[51.387,6.478],[51.347,6.487],[51.335,6.515],[51.31,6.512],[51.3,6.49],[51.289,6.5],[51.288,6.585],[51.262,6.596],[51.25,6.626],[51.223,6.53],[51.248,6.458],[51.219,6.414],[51.224,6.33],[51.182,6.318],[51.176,6.291],[51.19,6.251],[51.166,6.21],[51.194,6.165],[51.17,6.1],[51.183,6.073],[51.221,6.068],[51.223,6.086],[51.243,6.073],[51.275,6.124],[51.333,6.169],[51.335,6.193],[51.365,6.224],[51.36,6.307],[51.377,6.358],[51.413,6.398],[51.406,6.462],[51.425,6.519]]]],
+    },
+    105170000: {
+      name: "Kreis Wesel",
+      nuts: "DEA1F",
+      bbox: [51.38, 6.29, 51.82, 6.95],
+      polygons: [[[[51.813,6.522],[51.79,6.569],[51.802,6.593],[51.768,6.723],[51.776,6.758],[51.746,6.773],[51.73,6.827],[51.746,6.911],[51.715,6.941],[51.675,6.901],[51.636,6.902],[51.631,6.868],[51.609,6.851],[51.597,6.866],[51.574,6.814],[51.566,6.822],[51.551,6.787],[51.533,6.784],[51.56,6.687],[51.538,6.677],[51.519,6.697],[51.504,6.629],[51.481,6.644],[51.482,6.664],[51.474,6.656],[51.452,6.678],[51.41,6.669],[51.42,6.63],[51.393,6.636],[51.39,6.559],[51.426,6.516],[51.468,6.506],[51.52,6.449],[51.522,6.48],[51.538,6.487],[51.551,6.464],[51.567,6.499],[51.566,6.377],[51.589,6.374],[51.601,6.323],[51.611,6.334],[51.638,6.293],[51.645,6.354],[51.685,6.38],[51.7,6.355],[51.741,6.411],[51.755,6.403],[51.745,6.422],[51.713,6.416],[51.702,6.461],[51.72,6.489],[51.753,6.483],[51.765,6.535],[51.811,6.49],[51.813,6.522]]]],
+    },
+    105314000: {
+      name: "Bonn",
+      nuts: "DEA22",
+      bbox: [50.63, 7.02, 50.78, 7.22],
+      polygons: [[[[50.772,7.132],[50.737,7.209],[50.727,7.191],[50.71,7.194],[50.703,7.168],[50.65,7.211],[50.647,7.128],[50.66,7.105],[50.632,7.056],[50.662,7.024],[50.674,7.044],[50.705,7.023],[50.719,7.04],[50.758,7.037],[50.772,7.132]]]],
+    },
+    105315000: {
+      name: "Köln",
+      nuts: "DEA23",
+      bbox: [50.82, 6.77, 51.09, 7.17],
+      polygons: [[[[51.056,6.915],[51.031,6.967],[51.011,6.975],[51.019,7.068],[50.99,7.068],[50.981,7.1],[50.958,7.086],[50.941,7.116],[50.946,7.144],[50.883,7.138],[50.869,7.163],[50.831,7.084],[50.83,7.062],[50.85,7.051],[50.837,6.931],[50.892,6.919],[50.904,6.857],[50.933,6.818],[50.949,6.809],[50.988,6.845],[51.025,6.842],[51.037,6.798],[51.063,6.772],[51.067,6.791],[51.046,6.813],[51.059,6.831],[51.074,6.823],[51.084,6.853],[51.056,6.915]]]],
+    },
+    105316000: {
+      name: "Leverkusen",
+      nuts: "DEA24",
+      bbox: [51.01, 6.89, 51.1, 7.12],
+      polygons: [[[[51.096,7.047],[51.097,7.074],[51.077,7.058],[51.068,7.069],[51.063,7.116],[51.027,7.095],[51.011,6.975],[51.032,6.964],[51.065,6.898],[51.082,6.922],[51.068,6.974],[51.092,6.991],[51.082,7.011],[51.096,7.047]]]],
+    },
+    105334000: {
+      name: "Städteregion Aachen",
+      nuts: "DEA2D",
+      bbox: [50.49, 5.97, 50.96, 6.42],
+      polygons: [[[[50.948,6.198],[50.935,6.23],[50.898,6.2],[50.863,6.23],[50.863,6.268],[50.885,6.299],[50.868,6.322],[50.853,6.316],[50.844,6.337],[50.817,6.341],[50.792,6.298],[50.772,6.314],[50.789,6.353],[50.759,6.366],[50.755,6.342],[50.69,6.313],[50.678,6.284],[50.651,6.335],[50.669,6.376],[50.644,6.383],[50.642,6.41],[50.623,6.382],[50.618,6.395],[50.607,6.388],[50.609,6.419],[50.562,6.365],[50.53,6.358],[50.534,6.38],[50.518,6.37],[50.497,6.316],[50.494,6.227],[50.531,6.197],[50.566,6.237],[50.628,6.274],[50.643,6.266],[50.641,6.188],[50.663,6.196],[50.663,6.165],[50.722,6.115],[50.718,6.039],[50.746,6.04],[50.763,6.018],[50.774,6.028],[50.798,5.975],[50.814,6.025],[50.846,6.019],[50.857,6.055],[50.847,6.074],[50.872,6.088],[50.891,6.075],[50.91,6.083],[50.898,6.138],[50.937,6.16],[50.948,6.198]]],[[[50.578,6.238],[50.536,6.197],[50.542,6.178],[50.558,6.174],[50.59,6.225],[50.578,6.238]]],[[[50.646,6.182],[50.648,6.232],[50.63,6.271],[50.624,6.182],[50.644,6.167],[50.646,6.182]]],[[[50.663,6.193],[50.649,6.184],[50.661,6.167],[50.663,6.193]]],[[[50.52,6.18],[50.52,6.21],[50.54,6.21],[50.54,6.18],[50.52,6.18]]]],
+    },
+    105358000: {
+      name: "Kreis Düren",
+      nuts: "DEA26",
+      bbox: [50.59, 6.19, 51.05, 6.72],
+      polygons: [[[[51.047,6.454],[51.034,6.48],[51.021,6.453],[50.984,6.474],[50.977,6.499],[50.959,6.479],[50.931,6.503],[50.932,6.524],[50.896,6.519],[50.878,6.562],[50.853,6.548],[50.848,6.597],[50.822,6.624],[50.837,6.677],[50.823,6.716],[50.788,6.712],[50.774,6.678],[50.731,6.7],[50.715,6.678],[50.732,6.63],[50.709,6.59],[50.673,6.601],[50.656,6.567],[50.64,6.577],[50.599,6.549],[50.62,6.422],[50.6,6.413],[50.606,6.389],[50.618,6.395],[50.623,6.382],[50.642,6.41],[50.644,6.383],[50.669,6.376],[50.651,6.335],[50.673,6.288],[50.686,6.286],[50.69,6.313],[50.755,6.342],[50.759,6.366],[50.789,6.353],[50.772,6.314],[50.792,6.298],[50.817,6.341],[50.844,6.337],[50.885,6.299],[50.863,6.268],[50.863,6.23],[50.898,6.2],[50.935,6.23],[50.95,6.194],[50.967,6.195],[50.998,6.271],[51.023,6.285],[51.017,6.362],[51.034,6.372],[51.047,6.454]]]],
+    },
+    105362000: {
+      name: "Rhein-Erft-Kreis",
+      nuts: "DEA27",
+      bbox: [50.71, 6.45, 51.07, 7.04],
+      polygons: [[[[51.059,6.535],[51.056,6.553],[51.035,6.55],[51.018,6.579],[51.015,6.715],[51.046,6.744],[51.043,6.762],[51.066,6.753],[51.065,6.773],[51.037,6.798],[51.025,6.842],[50.988,6.845],[50.949,6.809],[50.928,6.822],[50.892,6.919],[50.837,6.931],[50.844,6.974],[50.818,7.025],[50.801,7.03],[50.792,6.99],[50.805,6.934],[50.786,6.845],[50.77,6.845],[50.764,6.814],[50.719,6.776],[50.732,6.713],[50.747,6.723],[50.774,6.678],[50.788,6.712],[50.835,6.706],[50.822,6.624],[50.848,6.597],[50.851,6.551],[50.892,6.553],[50.896,6.519],[50.932,6.524],[50.931,6.503],[50.959,6.479],[50.977,6.499],[50.984,6.474],[51.025,6.453],[51.059,6.535]]]],
+    },
+    105366000: {
+      name: "Kreis Euskirchen",
+      nuts: "DEA28",
+      bbox: [50.32, 6.31, 50.79, 6.94],
+      polygons: [[[[50.77,6.867],[50.748,6.878],[50.75,6.902],[50.734,6.916],[50.708,6.858],[50.692,6.854],[50.69,6.876],[50.654,6.857],[50.629,6.915],[50.604,6.913],[50.594,6.885],[50.57,6.899],[50.571,6.935],[50.565,6.921],[50.536,6.931],[50.527,6.882],[50.503,6.907],[50.469,6.901],[50.453,6.859],[50.491,6.801],[50.473,6.745],[50.459,6.767],[50.436,6.746],[50.421,6.785],[50.393,6.769],[50.362,6.801],[50.336,6.699],[50.372,6.667],[50.348,6.65],[50.352,6.624],[50.372,6.627],[50.375,6.604],[50.388,6.603],[50.336,6.452],[50.359,6.461],[50.371,6.449],[50.363,6.43],[50.389,6.413],[50.384,6.385],[50.334,6.424],[50.323,6.41],[50.38,6.342],[50.441,6.377],[50.463,6.34],[50.488,6.351],[50.497,6.316],[50.518,6.37],[50.534,6.38],[50.53,6.358],[50.562,6.365],[50.584,6.395],[50.596,6.391],[50.603,6.419],[50.619,6.421],[50.6,6.553],[50.64,6.577],[50.656,6.567],[50.673,6.601],[50.705,6.588],[50.732,6.63],[50.715,6.678],[50.731,6.7],[50.756,6.697],[50.747,6.723],[50.732,6.713],[50.719,6.776],[50.764,6.814],[50.77,6.845],[50.786,6.845],[50.783,6.868],[50.77,6.867]]]],
+    },
+    105370000: {
+      name: "Kreis Heinsberg",
+      nuts: "DEA29",
+      bbox: [50.89, 5.86, 51.19, 6.48],
+      polygons: [[[[51.188,6.257],[51.127,6.354],[51.096,6.36],[51.09,6.451],[51.062,6.447],[51.056,6.477],[51.034,6.43],[51.034,6.372],[51.017,6.362],[51.023,6.285],[50.998,6.271],[50.967,6.195],[50.953,6.202],[50.937,6.16],[50.898,6.138],[50.934,6.018],[50.957,6.005],[50.983,6.026],[50.98,5.893],[51.002,5.906],[51.018,5.879],[51.051,5.866],[51.067,5.913],[51.035,5.938],[51.035,5.958],[51.084,5.998],[51.135,6.092],[51.158,6.175],[51.173,6.139],[51.185,6.175],[51.166,6.21],[51.188,6.257]]]],
+    },
+    105374000: {
+      name: "Oberbergischer Kreis",
+      nuts: "DEA2A",
+      bbox: [50.81, 7.25, 51.26, 7.8],
+      polygons: [[[[51.245,7.339],[51.247,7.39],[51.221,7.404],[51.225,7.429],[51.189,7.42],[51.158,7.442],[51.163,7.477],[51.14,7.472],[51.128,7.504],[51.106,7.496],[51.107,7.582],[51.069,7.626],[51.087,7.692],[51.073,7.716],[51.062,7.702],[51.033,7.734],[50.998,7.726],[50.978,7.749],[50.98,7.78],[50.951,7.792],[50.929,7.776],[50.918,7.735],[50.9,7.76],[50.867,7.748],[50.845,7.762],[50.851,7.729],[50.819,7.669],[50.835,7.647],[50.82,7.62],[50.843,7.573],[50.831,7.529],[50.874,7.491],[50.879,7.462],[50.911,7.479],[50.947,7.444],[50.951,7.355],[50.964,7.329],[50.977,7.331],[50.971,7.284],[50.986,7.254],[51.005,7.282],[51.027,7.281],[51.028,7.313],[51.072,7.34],[51.083,7.275],[51.105,7.298],[51.114,7.274],[51.146,7.268],[51.151,7.297],[51.239,7.307],[51.245,7.339]]]],
+    },
+    105378000: {
+      name: "Rheinisch-Bergischer Kreis",
+      nuts: "DEA2B",
+      bbox: [50.86, 6.99, 51.17, 7.4],
+      polygons: [[[[51.159,7.224],[51.157,7.254],[51.114,7.274],[51.105,7.298],[51.081,7.276],[51.072,7.34],[51.028,7.313],[51.027,7.281],[51.004,7.281],[50.987,7.253],[50.95,7.398],[50.912,7.343],[50.909,7.286],[50.928,7.249],[50.875,7.198],[50.867,7.161],[50.902,7.133],[50.946,7.144],[50.941,7.116],[50.958,7.086],[50.981,7.1],[50.99,7.068],[51.002,7.077],[51.013,7.062],[51.027,7.095],[51.063,7.116],[51.068,7.069],[51.077,7.058],[51.097,7.074],[51.082,7.01],[51.106,6.991],[51.123,7.004],[51.126,7.075],[51.138,7.083],[51.115,7.145],[51.127,7.174],[51.134,7.159],[51.154,7.166],[51.159,7.224]]]],
+    },
+    105382000: {
+      name: "Rhein-Sieg-Kreis",
+      nuts: "DEA2C",
+      bbox: [50.55, 6.85, 50.95, 7.69],
+      polygons: [[[[50.948,7.406],[50.936,7.461],[50.911,7.479],[50.879,7.462],[50.874,7.491],[50.831,7.529],[50.843,7.573],[50.82,7.62],[50.835,7.647],[50.81,7.68],[50.782,7.678],[50.766,7.6],[50.738,7.583],[50.746,7.552],[50.71,7.433],[50.718,7.374],[50.698,7.357],[50.682,7.372],[50.649,7.359],[50.623,7.215],[50.703,7.168],[50.713,7.197],[50.745,7.204],[50.774,7.125],[50.762,7.101],[50.772,7.066],[50.758,7.037],[50.719,7.04],[50.705,7.023],[50.674,7.044],[50.655,7.027],[50.632,7.056],[50.66,7.105],[50.647,7.128],[50.652,7.181],[50.643,7.195],[50.624,7.19],[50.6,7.148],[50.612,7.115],[50.586,7.093],[50.604,7.049],[50.556,6.972],[50.559,6.928],[50.578,6.927],[50.575,6.891],[50.601,6.885],[50.604,6.913],[50.629,6.915],[50.65,6.86],[50.69,6.876],[50.692,6.854],[50.709,6.859],[50.734,6.916],[50.763,6.86],[50.791,6.87],[50.805,6.934],[50.792,6.99],[50.801,7.03],[50.842,6.982],[50.85,7.051],[50.83,7.062],[50.831,7.084],[50.875,7.198],[50.928,7.249],[50.911,7.275],[50.911,7.338],[50.948,7.406]]]],
+    },
+    105512000: {
+      name: "Bottrop",
+      nuts: "DEA31",
+      bbox: [51.49, 6.83, 51.65, 7],
+      polygons: [[[[51.638,6.944],[51.626,6.984],[51.606,6.98],[51.585,6.93],[51.563,6.92],[51.532,6.999],[51.509,6.988],[51.497,6.928],[51.516,6.894],[51.557,6.86],[51.568,6.868],[51.58,6.833],[51.597,6.866],[51.609,6.851],[51.631,6.868],[51.638,6.944]]]],
+    },
+    105513000: {
+      name: "Gelsenkirchen",
+      nuts: "DEA32",
+      bbox: [51.48, 6.98, 51.64, 7.15],
+      polygons: [[[[51.631,7.032],[51.611,7.071],[51.589,7.075],[51.594,7.106],[51.573,7.139],[51.552,7.145],[51.547,7.123],[51.513,7.145],[51.491,7.137],[51.483,7.074],[51.523,7.017],[51.539,7.014],[51.547,7.032],[51.622,6.987],[51.631,7.032]]]],
+    },
+    105515000: {
+      name: "Münster",
+      nuts: "DEA33",
+      bbox: [51.84, 7.47, 52.07, 7.78],
+      polygons: [[[[52.047,7.623],[52.032,7.721],[51.997,7.749],[51.989,7.733],[51.968,7.733],[51.922,7.774],[51.898,7.758],[51.902,7.688],[51.875,7.71],[51.877,7.65],[51.84,7.61],[51.855,7.559],[51.901,7.535],[51.893,7.511],[51.936,7.51],[51.942,7.474],[51.978,7.521],[52.012,7.514],[52.02,7.534],[52.033,7.532],[52.06,7.599],[52.047,7.623]]]],
+    },
+    105554000: {
+      name: "Kreis Borken",
+      nuts: "DEA34",
+      bbox: [51.72, 6.38, 52.25, 7.28],
+      polygons: [[[[52.242,7.101],[52.199,7.097],[52.166,7.151],[52.155,7.135],[52.138,7.15],[52.12,7.251],[52.071,7.275],[52.043,7.245],[52.047,7.169],[52.013,7.123],[52.012,7.057],[51.99,7.056],[51.974,7.09],[51.888,7.056],[51.852,7.087],[51.821,7.173],[51.788,7.113],[51.777,7.06],[51.8,7.02],[51.799,6.978],[51.772,6.956],[51.778,6.917],[51.746,6.911],[51.73,6.827],[51.746,6.773],[51.776,6.758],[51.768,6.723],[51.802,6.593],[51.79,6.569],[51.817,6.517],[51.806,6.423],[51.819,6.427],[51.837,6.403],[51.853,6.409],[51.864,6.387],[51.874,6.392],[51.854,6.473],[51.916,6.675],[51.896,6.722],[51.916,6.77],[51.959,6.799],[51.964,6.829],[51.986,6.83],[52.029,6.753],[52.04,6.688],[52.07,6.695],[52.082,6.748],[52.119,6.761],[52.12,6.855],[52.175,6.907],[52.181,6.951],[52.225,6.985],[52.242,7.101]]]],
+    },
+    105558000: {
+      name: "Kreis Coesfeld",
+      nuts: "DEA35",
+      bbox: [51.66, 7.05, 52.07, 7.74],
+      polygons: [[[[52.061,7.289],[52.027,7.374],[52.041,7.411],[52.024,7.434],[52.001,7.433],[52,7.512],[51.978,7.521],[51.942,7.474],[51.936,7.51],[51.893,7.511],[51.901,7.535],[51.848,7.569],[51.818,7.672],[51.73,7.736],[51.712,7.7],[51.726,7.677],[51.706,7.653],[51.716,7.613],[51.685,7.542],[51.721,7.517],[51.714,7.484],[51.736,7.468],[51.71,7.421],[51.693,7.449],[51.676,7.448],[51.665,7.41],[51.706,7.299],[51.737,7.321],[51.749,7.28],[51.773,7.259],[51.779,7.272],[51.8,7.261],[51.855,7.083],[51.888,7.056],[51.974,7.09],[51.99,7.056],[52.012,7.057],[52.006,7.098],[52.047,7.169],[52.043,7.239],[52.061,7.289]]]],
+    },
+    105562000: {
+      name: "Kreis Recklinghausen",
+      nuts: "DEA36",
+      bbox: [51.52, 6.89, 51.83, 7.47],
+      polygons: [[[[51.821,7.181],[51.8,7.261],[51.779,7.272],[51.773,7.259],[51.749,7.28],[51.737,7.321],[51.706,7.299],[51.66,7.444],[51.63,7.465],[51.614,7.458],[51.577,7.338],[51.528,7.364],[51.521,7.336],[51.525,7.304],[51.557,7.283],[51.573,7.242],[51.552,7.145],[51.586,7.122],[51.589,7.075],[51.611,7.071],[51.631,7.029],[51.622,6.987],[51.547,7.032],[51.533,7.01],[51.563,6.92],[51.585,6.93],[51.606,6.98],[51.626,6.984],[51.645,6.931],[51.638,6.9],[51.675,6.901],[51.715,6.941],[51.748,6.908],[51.778,6.917],[51.772,6.956],[51.801,6.99],[51.777,7.075],[51.821,7.181]]]],
+    },
+    105566000: {
+      name: "Kreis Steinfurt",
+      nuts: "DEA37",
+      bbox: [51.99, 7.09, 52.48, 8.03],
+      polygons: [[[[52.474,7.609],[52.454,7.688],[52.401,7.714],[52.371,7.807],[52.381,7.892],[52.365,7.937],[52.335,7.949],[52.31,7.991],[52.302,7.93],[52.272,7.956],[52.263,7.926],[52.227,7.927],[52.207,7.9],[52.177,7.934],[52.172,8.017],[52.16,8.023],[52.154,7.997],[52.115,8.008],[52.083,7.885],[52.104,7.799],[52.098,7.756],[52.034,7.704],[52.053,7.649],[52.041,7.631],[52.06,7.599],[52.033,7.532],[52,7.519],[51.995,7.475],[52.001,7.433],[52.024,7.434],[52.041,7.411],[52.027,7.374],[52.058,7.268],[52.098,7.268],[52.12,7.251],[52.137,7.151],[52.155,7.135],[52.166,7.151],[52.199,7.097],[52.24,7.098],[52.261,7.121],[52.264,7.298],[52.361,7.505],[52.376,7.583],[52.381,7.571],[52.421,7.603],[52.432,7.564],[52.474,7.609]]]],
+    },
+    105570000: {
+      name: "Kreis Warendorf",
+      nuts: "DEA38",
+      bbox: [51.65, 7.61, 52.11, 8.33],
+      polygons: [[[[52.104,7.799],[52.083,7.889],[52.052,7.917],[52.036,7.981],[52.068,8.033],[52.063,8.092],[52.011,8.075],[52.001,8.111],[51.956,8.113],[51.926,8.17],[51.898,8.151],[51.853,8.214],[51.836,8.219],[51.828,8.2],[51.803,8.257],[51.773,8.254],[51.754,8.302],[51.726,8.32],[51.677,8.295],[51.659,8.206],[51.662,8.195],[51.697,8.212],[51.713,8.149],[51.717,8.112],[51.702,8.097],[51.723,7.975],[51.701,7.951],[51.703,7.89],[51.728,7.876],[51.73,7.836],[51.744,7.831],[51.724,7.77],[51.75,7.713],[51.818,7.672],[51.841,7.613],[51.877,7.65],[51.875,7.71],[51.902,7.688],[51.898,7.758],[51.922,7.774],[51.982,7.729],[51.997,7.749],[52.036,7.704],[52.097,7.752],[52.104,7.799]]]],
+    },
+    105711000: {
+      name: "Bielefeld",
+      nuts: "DEA41",
+      bbox: [51.91, 8.37, 52.12, 8.67],
+      polygons: [[[[52.115,8.509],[52.106,8.569],[52.077,8.571],[52.089,8.608],[52.067,8.618],[52.057,8.662],[52.026,8.642],[52.014,8.662],[51.977,8.654],[51.937,8.625],[51.915,8.506],[51.945,8.487],[51.945,8.427],[51.971,8.379],[51.989,8.451],[52.019,8.461],[52.044,8.42],[52.051,8.453],[52.087,8.458],[52.115,8.509]]]],
+    },
+    105754000: {
+      name: "Kreis Gütersloh",
+      nuts: "DEA42",
+      bbox: [51.71, 8.07, 52.14, 8.75],
+      polygons: [[[[52.131,8.286],[52.101,8.472],[52.067,8.446],[52.051,8.453],[52.044,8.42],[52.019,8.461],[51.998,8.456],[51.974,8.427],[51.973,8.378],[51.957,8.397],[51.945,8.487],[51.915,8.506],[51.93,8.615],[51.918,8.681],[51.859,8.748],[51.852,8.662],[51.877,8.637],[51.77,8.433],[51.719,8.403],[51.728,8.315],[51.754,8.302],[51.773,8.254],[51.803,8.257],[51.828,8.2],[51.836,8.219],[51.853,8.214],[51.899,8.15],[51.926,8.17],[51.956,8.113],[52.001,8.111],[52.011,8.075],[52.059,8.099],[52.073,8.192],[52.109,8.225],[52.131,8.286]]]],
+    },
+    105758000: {
+      name: "Kreis Herford",
+      nuts: "DEA43",
+      bbox: [52.05, 8.4, 52.27, 8.93],
+      polygons: [[[[52.262,8.472],[52.261,8.635],[52.232,8.684],[52.252,8.715],[52.208,8.783],[52.163,8.778],[52.174,8.84],[52.196,8.87],[52.184,8.927],[52.152,8.895],[52.128,8.901],[52.11,8.888],[52.102,8.856],[52.127,8.808],[52.121,8.747],[52.09,8.717],[52.087,8.666],[52.06,8.654],[52.061,8.631],[52.089,8.608],[52.077,8.571],[52.107,8.567],[52.115,8.509],[52.101,8.472],[52.114,8.411],[52.138,8.413],[52.185,8.517],[52.213,8.442],[52.262,8.472]]]],
+    },
+    105762000: {
+      name: "Kreis Höxter",
+      nuts: "DEA44",
+      bbox: [51.44, 8.9, 51.92, 9.47],
+      polygons: [[[[51.91,9.132],[51.868,9.136],[51.875,9.155],[51.853,9.209],[51.867,9.243],[51.85,9.302],[51.865,9.363],[51.857,9.461],[51.84,9.433],[51.829,9.442],[51.81,9.427],[51.795,9.448],[51.744,9.375],[51.702,9.402],[51.65,9.375],[51.644,9.445],[51.615,9.337],[51.591,9.374],[51.552,9.317],[51.513,9.308],[51.497,9.241],[51.481,9.217],[51.46,9.216],[51.466,9.185],[51.442,9.149],[51.449,9.086],[51.465,9.077],[51.494,9.092],[51.503,9.077],[51.502,9.039],[51.519,9.021],[51.508,8.947],[51.526,8.905],[51.561,8.958],[51.576,9.017],[51.596,9.013],[51.62,8.978],[51.648,8.988],[51.698,8.975],[51.703,9],[51.735,8.979],[51.759,9],[51.792,8.958],[51.837,8.953],[51.844,8.996],[51.86,9.017],[51.877,9.011],[51.873,9.056],[51.91,9.132]]]],
+    },
+    105766000: {
+      name: "Kreis Lippe",
+      nuts: "DEA45",
+      bbox: [51.78, 8.6, 52.2, 9.35],
+      polygons: [[[[52.186,8.996],[52.172,9.022],[52.132,9.018],[52.148,9.063],[52.129,9.153],[52.12,9.159],[52.097,9.133],[52.098,9.156],[52.07,9.193],[52.047,9.172],[52.012,9.197],[52.003,9.179],[51.997,9.197],[51.98,9.176],[51.96,9.209],[51.974,9.217],[51.974,9.274],[51.957,9.286],[51.948,9.264],[51.932,9.272],[51.908,9.341],[51.856,9.336],[51.85,9.298],[51.867,9.243],[51.852,9.214],[51.875,9.155],[51.868,9.136],[51.911,9.128],[51.873,9.056],[51.877,9.011],[51.86,9.017],[51.844,8.996],[51.837,8.953],[51.79,8.959],[51.798,8.922],[51.813,8.916],[51.798,8.79],[51.892,8.719],[51.918,8.681],[51.927,8.606],[51.959,8.648],[52.013,8.662],[52.026,8.642],[52.039,8.66],[52.063,8.653],[52.087,8.666],[52.09,8.717],[52.121,8.747],[52.127,8.808],[52.103,8.841],[52.105,8.873],[52.118,8.896],[52.152,8.895],[52.182,8.923],[52.186,8.996]]]],
+    },
+    105770000: {
+      name: "Kreis Minden-Lübbecke",
+      nuts: "DEA46",
+      bbox: [52.16, 8.29, 52.54, 9.14],
+      polygons: [[[[52.519,8.67],[52.5,8.703],[52.443,8.703],[52.429,8.718],[52.395,8.707],[52.388,8.746],[52.402,8.938],[52.416,8.941],[52.433,8.987],[52.451,8.978],[52.46,9.017],[52.5,9.053],[52.483,9.133],[52.443,9.095],[52.413,9.125],[52.356,9.085],[52.34,9.058],[52.346,9.027],[52.326,8.998],[52.288,8.988],[52.279,8.964],[52.263,8.975],[52.234,9.076],[52.225,9.036],[52.184,9.045],[52.196,8.874],[52.163,8.782],[52.169,8.769],[52.18,8.784],[52.208,8.783],[52.252,8.715],[52.232,8.684],[52.261,8.635],[52.26,8.472],[52.302,8.458],[52.315,8.472],[52.363,8.439],[52.406,8.314],[52.426,8.322],[52.454,8.297],[52.444,8.418],[52.461,8.454],[52.492,8.459],[52.515,8.509],[52.499,8.557],[52.531,8.653],[52.519,8.67]]]],
+    },
+    105774000: {
+      name: "Kreis Paderborn",
+      nuts: "DEA47",
+      bbox: [51.44, 8.4, 51.88, 9.02],
+      polygons: [[[[51.853,8.662],[51.859,8.748],[51.798,8.79],[51.813,8.916],[51.796,8.925],[51.797,8.953],[51.759,9],[51.735,8.979],[51.703,9],[51.698,8.975],[51.648,8.988],[51.62,8.978],[51.596,9.013],[51.575,9.017],[51.561,8.958],[51.535,8.936],[51.529,8.898],[51.548,8.886],[51.54,8.815],[51.522,8.809],[51.496,8.836],[51.447,8.768],[51.466,8.752],[51.459,8.721],[51.481,8.652],[51.468,8.548],[51.49,8.52],[51.53,8.512],[51.533,8.487],[51.563,8.473],[51.588,8.492],[51.615,8.586],[51.661,8.573],[51.684,8.479],[51.721,8.468],[51.719,8.404],[51.749,8.409],[51.81,8.521],[51.832,8.534],[51.877,8.637],[51.853,8.662]]]],
+    },
+    105911000: {
+      name: "Bochum",
+      nuts: "DEA51",
+      bbox: [51.41, 7.1, 51.54, 7.35],
+      polygons: [[[[51.531,7.295],[51.522,7.315],[51.508,7.302],[51.49,7.322],[51.496,7.341],[51.466,7.349],[51.454,7.287],[51.412,7.25],[51.414,7.155],[51.431,7.124],[51.442,7.133],[51.461,7.109],[51.481,7.104],[51.491,7.137],[51.506,7.138],[51.531,7.295]]]],
+    },
+    105913000: {
+      name: "Dortmund",
+      nuts: "DEA52",
+      bbox: [51.41, 7.3, 51.6, 7.64],
+      polygons: [[[[51.59,7.423],[51.583,7.591],[51.549,7.608],[51.549,7.632],[51.523,7.637],[51.509,7.597],[51.479,7.608],[51.469,7.594],[51.47,7.553],[51.418,7.508],[51.416,7.465],[51.435,7.468],[51.433,7.424],[51.474,7.389],[51.483,7.343],[51.498,7.337],[51.49,7.322],[51.508,7.302],[51.528,7.364],[51.577,7.338],[51.6,7.418],[51.59,7.423]]]],
+    },
+    105914000: {
+      name: "Hagen",
+      nuts: "DEA53",
+      bbox: [51.26, 7.37, 51.42, 7.6],
+      polygons: [[[[51.418,7.487],[51.385,7.591],[51.346,7.599],[51.331,7.577],[51.296,7.583],[51.27,7.549],[51.28,7.481],[51.316,7.504],[51.316,7.44],[51.3,7.428],[51.291,7.437],[51.298,7.404],[51.329,7.423],[51.327,7.395],[51.343,7.376],[51.354,7.394],[51.397,7.406],[51.39,7.435],[51.418,7.487]]]],
+    },
+    105915000: {
+      name: "Hamm",
+      nuts: "DEA54",
+      bbox: [51.57, 7.67, 51.75, 8],
+      polygons: [[[[51.741,7.834],[51.728,7.876],[51.703,7.89],[51.704,7.939],[51.674,7.998],[51.672,7.954],[51.643,7.949],[51.614,7.911],[51.594,7.91],[51.578,7.824],[51.621,7.811],[51.627,7.728],[51.614,7.688],[51.662,7.676],[51.675,7.728],[51.695,7.701],[51.713,7.702],[51.737,7.736],[51.724,7.77],[51.741,7.834]]]],
+    },
+    105916000: {
+      name: "Herne",
+      nuts: "DEA55",
+      bbox: [51.5, 7.12, 51.58, 7.3],
+      polygons: [[[[51.566,7.25],[51.557,7.283],[51.532,7.294],[51.503,7.152],[51.547,7.123],[51.566,7.25]]]],
+    },
+    105954000: {
+      name: "Ennepe-Ruhr-Kreis",
+      nuts: "DEA56",
+      bbox: [51.21, 7.1, 51.49, 7.52],
+      polygons: [[[[51.484,7.354],[51.474,7.389],[51.433,7.424],[51.434,7.468],[51.399,7.451],[51.395,7.404],[51.354,7.394],[51.343,7.376],[51.327,7.395],[51.331,7.422],[51.3,7.4],[51.29,7.432],[51.316,7.44],[51.316,7.504],[51.302,7.506],[51.286,7.479],[51.276,7.518],[51.25,7.493],[51.243,7.501],[51.213,7.435],[51.228,7.424],[51.223,7.401],[51.247,7.39],[51.239,7.307],[51.252,7.305],[51.257,7.267],[51.272,7.278],[51.288,7.254],[51.318,7.264],[51.298,7.17],[51.306,7.18],[51.34,7.145],[51.365,7.159],[51.382,7.116],[51.407,7.108],[51.426,7.136],[51.412,7.249],[51.454,7.287],[51.456,7.342],[51.484,7.354]]]],
+    },
+    105958000: {
+      name: "Hochsauerlandkreis",
+      nuts: "DEA57",
+      bbox: [51.09, 7.86, 51.55, 8.98],
+      polygons: [[[[51.548,8.853],[51.548,8.892],[51.53,8.896],[51.511,8.97],[51.482,8.89],[51.446,8.922],[51.43,8.919],[51.428,8.948],[51.389,8.94],[51.373,8.68],[51.36,8.681],[51.337,8.621],[51.277,8.556],[51.247,8.609],[51.274,8.722],[51.218,8.742],[51.209,8.768],[51.198,8.75],[51.177,8.758],[51.133,8.692],[51.11,8.72],[51.095,8.658],[51.102,8.549],[51.149,8.486],[51.133,8.404],[51.093,8.34],[51.099,8.253],[51.122,8.226],[51.121,8.196],[51.147,8.183],[51.143,8.131],[51.173,8.151],[51.214,8.1],[51.24,8.119],[51.247,8.019],[51.233,7.937],[51.244,7.92],[51.278,7.904],[51.302,7.917],[51.305,7.9],[51.32,7.935],[51.334,7.933],[51.347,7.907],[51.429,7.89],[51.459,7.864],[51.491,7.908],[51.466,7.952],[51.475,8.003],[51.448,8.051],[51.442,8.158],[51.408,8.214],[51.407,8.276],[51.389,8.299],[51.406,8.418],[51.44,8.468],[51.484,8.604],[51.459,8.721],[51.466,8.752],[51.447,8.768],[51.496,8.836],[51.522,8.809],[51.54,8.815],[51.548,8.853]]]],
+    },
+    105962000: {
+      name: "Märkischer Kreis",
+      nuts: "DEA58",
+      bbox: [51.06, 7.41, 51.48, 7.96],
+      polygons: [[[[51.479,7.838],[51.446,7.88],[51.347,7.907],[51.335,7.932],[51.32,7.935],[51.305,7.9],[51.302,7.917],[51.278,7.904],[51.244,7.92],[51.228,7.951],[51.21,7.928],[51.176,7.95],[51.183,7.909],[51.165,7.898],[51.165,7.83],[51.148,7.799],[51.125,7.839],[51.123,7.826],[51.081,7.824],[51.072,7.81],[51.073,7.716],[51.087,7.692],[51.069,7.626],[51.107,7.582],[51.106,7.496],[51.128,7.504],[51.14,7.472],[51.163,7.477],[51.158,7.442],[51.198,7.418],[51.225,7.441],[51.243,7.501],[51.25,7.493],[51.264,7.512],[51.296,7.583],[51.331,7.577],[51.346,7.599],[51.39,7.588],[51.386,7.613],[51.407,7.632],[51.447,7.614],[51.474,7.697],[51.479,7.838]]]],
+    },
+    105966000: {
+      name: "Kreis Olpe",
+      nuts: "DEA59",
+      bbox: [50.92, 7.7, 51.25, 8.25],
+      polygons: [[[[51.248,8.062],[51.24,8.119],[51.214,8.1],[51.173,8.151],[51.143,8.13],[51.146,8.184],[51.121,8.196],[51.112,8.242],[51.09,8.221],[51.058,8.246],[51.022,8.215],[51.007,8.168],[51.024,8.085],[51.005,8.041],[51.043,8.022],[51.028,7.951],[51.004,7.934],[50.975,7.943],[50.925,7.911],[50.94,7.786],[50.98,7.78],[50.978,7.749],[50.998,7.726],[51.033,7.734],[51.069,7.705],[51.081,7.824],[51.109,7.82],[51.125,7.839],[51.148,7.799],[51.165,7.83],[51.165,7.898],[51.183,7.909],[51.176,7.95],[51.21,7.928],[51.22,7.951],[51.24,7.94],[51.248,8.062]]]],
+    },
+    105970000: {
+      name: "Kreis Siegen-Wittgenstein",
+      nuts: "DEA5A",
+      bbox: [50.68, 7.82, 51.15, 8.55],
+      polygons: [[[[51.143,8.489],[51.114,8.546],[51.097,8.545],[51.078,8.502],[51.063,8.528],[51.041,8.505],[51.019,8.539],[50.967,8.46],[50.917,8.456],[50.902,8.406],[50.863,8.367],[50.861,8.305],[50.882,8.292],[50.881,8.27],[50.788,8.126],[50.736,8.167],[50.686,8.126],[50.704,8.099],[50.697,8.04],[50.726,8.04],[50.774,7.969],[50.833,7.978],[50.844,7.967],[50.845,7.916],[50.875,7.883],[50.882,7.829],[50.926,7.851],[50.934,7.925],[50.959,7.923],[50.975,7.943],[51.004,7.934],[51.028,7.951],[51.043,8.022],[51.005,8.041],[51.025,8.103],[51.007,8.168],[51.021,8.214],[51.056,8.245],[51.09,8.221],[51.104,8.238],[51.093,8.34],[51.141,8.427],[51.143,8.489]]]],
+    },
+    105974000: {
+      name: "Kreis Soest",
+      nuts: "DEA5B",
+      bbox: [51.38, 7.82, 51.73, 8.59],
+      polygons: [[[[51.722,7.977],[51.702,8.097],[51.717,8.112],[51.713,8.149],[51.697,8.212],[51.662,8.195],[51.658,8.219],[51.677,8.295],[51.727,8.323],[51.721,8.468],[51.684,8.479],[51.661,8.573],[51.615,8.586],[51.588,8.492],[51.563,8.473],[51.533,8.487],[51.53,8.512],[51.49,8.52],[51.468,8.548],[51.406,8.418],[51.389,8.299],[51.407,8.276],[51.408,8.214],[51.442,8.158],[51.448,8.051],[51.475,8.003],[51.466,7.952],[51.491,7.908],[51.458,7.86],[51.479,7.838],[51.481,7.85],[51.505,7.83],[51.551,7.843],[51.579,7.827],[51.596,7.914],[51.614,7.911],[51.641,7.949],[51.672,7.954],[51.674,7.998],[51.701,7.945],[51.722,7.977]]]],
+    },
+    105978000: {
+      name: "Kreis Unna",
+      nuts: "DEA5C",
+      bbox: [51.38, 7.4, 51.74, 7.85],
+      polygons: [[[[51.735,7.473],[51.714,7.484],[51.721,7.517],[51.685,7.542],[51.716,7.613],[51.708,7.657],[51.729,7.687],[51.676,7.728],[51.662,7.676],[51.614,7.688],[51.627,7.728],[51.621,7.811],[51.589,7.815],[51.553,7.843],[51.505,7.83],[51.481,7.85],[51.46,7.64],[51.447,7.614],[51.407,7.632],[51.386,7.613],[51.395,7.534],[51.407,7.536],[51.414,7.503],[51.456,7.551],[51.466,7.546],[51.479,7.608],[51.509,7.597],[51.528,7.638],[51.549,7.632],[51.566,7.591],[51.583,7.591],[51.587,7.421],[51.6,7.418],[51.612,7.456],[51.63,7.465],[51.66,7.444],[51.666,7.408],[51.681,7.451],[51.71,7.421],[51.735,7.473]]]],
+    },
+    106411000: {
+      name: "Darmstadt",
+      nuts: "DE711",
+      bbox: [49.79, 8.56, 49.96, 8.75],
+      polygons: [[[[49.953,8.73],[49.902,8.749],[49.884,8.727],[49.863,8.729],[49.836,8.674],[49.806,8.677],[49.796,8.65],[49.835,8.611],[49.831,8.566],[49.85,8.562],[49.899,8.633],[49.916,8.619],[49.944,8.629],[49.953,8.73]]]],
+    },
+    106412000: {
+      name: "Frankfurt am Main",
+      nuts: "DE712",
+      bbox: [50.01, 8.47, 50.23, 8.81],
+      polygons: [[[[50.226,8.711],[50.215,8.733],[50.181,8.702],[50.164,8.723],[50.179,8.763],[50.173,8.8],[50.131,8.77],[50.111,8.78],[50.109,8.726],[50.096,8.75],[50.062,8.718],[50.054,8.624],[50.042,8.597],[50.018,8.591],[50.021,8.519],[50.033,8.516],[50.049,8.559],[50.067,8.553],[50.084,8.526],[50.062,8.521],[50.109,8.476],[50.14,8.59],[50.157,8.601],[50.168,8.589],[50.181,8.604],[50.226,8.711]]]],
+    },
+    106413000: {
+      name: "Offenbach am Main",
+      nuts: "DE713",
+      bbox: [50.04, 8.71, 50.14, 8.85],
+      polygons: [[[[50.109,8.816],[50.087,8.843],[50.071,8.837],[50.069,8.79],[50.047,8.764],[50.063,8.75],[50.062,8.718],[50.096,8.75],[50.109,8.726],[50.111,8.779],[50.135,8.774],[50.134,8.818],[50.109,8.816]]]],
+    },
+    106414000: {
+      name: "Wiesbaden",
+      nuts: "DE714",
+      bbox: [49.99, 8.11, 50.16, 8.39],
+      polygons: [[[[50.152,8.276],[50.151,8.322],[50.137,8.315],[50.129,8.35],[50.105,8.354],[50.102,8.38],[50.079,8.386],[50.063,8.354],[50.046,8.38],[50.027,8.332],[50.001,8.331],[49.995,8.288],[50.028,8.245],[50.034,8.175],[50.073,8.112],[50.088,8.138],[50.094,8.112],[50.124,8.16],[50.152,8.276]]]],
+    },
+    106431000: {
+      name: "Kreis Bergstraße",
+      nuts: "DE715",
+      bbox: [49.39, 8.35, 49.76, 8.96],
+      polygons: [[[[49.741,8.715],[49.722,8.746],[49.738,8.797],[49.725,8.786],[49.707,8.807],[49.693,8.784],[49.662,8.838],[49.657,8.887],[49.642,8.864],[49.606,8.891],[49.607,8.873],[49.532,8.892],[49.523,8.911],[49.504,8.9],[49.492,8.831],[49.525,8.822],[49.512,8.799],[49.518,8.728],[49.525,8.736],[49.535,8.703],[49.576,8.681],[49.6,8.698],[49.609,8.673],[49.619,8.694],[49.626,8.678],[49.611,8.594],[49.545,8.621],[49.521,8.591],[49.518,8.558],[49.584,8.476],[49.583,8.422],[49.68,8.356],[49.699,8.363],[49.734,8.448],[49.717,8.547],[49.734,8.596],[49.725,8.674],[49.755,8.701],[49.741,8.715]]],[[[49.467,8.934],[49.455,8.95],[49.443,8.901],[49.396,8.854],[49.404,8.804],[49.419,8.807],[49.43,8.836],[49.463,8.824],[49.484,8.852],[49.465,8.868],[49.486,8.905],[49.467,8.934]]],[[[49.61,8.67],[49.61,8.69],[49.63,8.69],[49.63,8.67],[49.61,8.67]]]],
+    },
+    106432000: {
+      name: "Kreis Darmstadt-Dieburg",
+      nuts: "DE716",
+      bbox: [49.72, 8.51, 50.01, 9.06],
+      polygons: [[[[49.995,8.977],[49.987,9.02],[49.91,9.023],[49.868,9.05],[49.866,9.033],[49.847,9.041],[49.856,9.005],[49.835,9.013],[49.818,8.971],[49.798,8.97],[49.787,8.907],[49.798,8.87],[49.741,8.814],[49.725,8.776],[49.723,8.739],[49.755,8.701],[49.725,8.674],[49.725,8.561],[49.767,8.562],[49.78,8.535],[49.822,8.55],[49.866,8.52],[49.883,8.565],[49.921,8.55],[49.922,8.571],[49.943,8.566],[49.956,8.583],[49.965,8.62],[49.952,8.674],[49.944,8.629],[49.916,8.619],[49.899,8.633],[49.85,8.562],[49.831,8.566],[49.835,8.611],[49.796,8.651],[49.806,8.677],[49.836,8.674],[49.863,8.729],[49.884,8.727],[49.902,8.749],[49.957,8.729],[49.95,8.831],[49.966,8.9],[50.003,8.944],[49.995,8.977]]]],
+    },
+    106433000: {
+      name: "Kreis Groß-Gerau",
+      nuts: "DE717",
+      bbox: [49.71, 8.28, 50.09, 8.64],
+      polygons: [[[[50.07,8.543],[50.049,8.559],[50.033,8.516],[50.021,8.519],[50.018,8.601],[49.968,8.63],[49.943,8.566],[49.922,8.571],[49.921,8.55],[49.883,8.565],[49.869,8.52],[49.822,8.55],[49.78,8.535],[49.767,8.562],[49.729,8.559],[49.717,8.547],[49.726,8.458],[49.734,8.448],[49.765,8.479],[49.774,8.416],[49.825,8.378],[49.856,8.384],[49.88,8.344],[49.913,8.355],[49.949,8.342],[49.995,8.288],[49.997,8.41],[50.064,8.524],[50.084,8.526],[50.07,8.543]]]],
+    },
+    106434000: {
+      name: "Hochtaunuskreis",
+      nuts: "DE718",
+      bbox: [50.15, 8.31, 50.42, 8.72],
+      polygons: [[[[50.411,8.47],[50.392,8.536],[50.37,8.545],[50.373,8.61],[50.359,8.6],[50.324,8.65],[50.29,8.592],[50.288,8.666],[50.267,8.661],[50.222,8.711],[50.217,8.669],[50.155,8.571],[50.175,8.547],[50.159,8.507],[50.174,8.473],[50.164,8.452],[50.188,8.423],[50.177,8.409],[50.187,8.355],[50.201,8.373],[50.201,8.354],[50.215,8.36],[50.223,8.407],[50.244,8.378],[50.251,8.406],[50.267,8.409],[50.296,8.372],[50.299,8.341],[50.313,8.363],[50.34,8.315],[50.361,8.354],[50.373,8.349],[50.386,8.388],[50.405,8.392],[50.411,8.47]]]],
+    },
+    106435000: {
+      name: "Main-Kinzig-Kreis",
+      nuts: "DE719",
+      bbox: [50.06, 8.78, 50.47, 9.75],
+      polygons: [[[[50.424,9.356],[50.401,9.34],[50.385,9.349],[50.39,9.397],[50.41,9.438],[50.431,9.436],[50.443,9.474],[50.413,9.489],[50.382,9.556],[50.394,9.613],[50.358,9.728],[50.341,9.747],[50.314,9.747],[50.281,9.703],[50.27,9.652],[50.251,9.637],[50.234,9.664],[50.222,9.583],[50.243,9.501],[50.227,9.495],[50.2,9.516],[50.175,9.498],[50.161,9.531],[50.146,9.508],[50.094,9.512],[50.084,9.413],[50.13,9.376],[50.149,9.222],[50.138,9.183],[50.127,9.192],[50.091,9.149],[50.118,9.154],[50.126,9.12],[50.112,9.018],[50.066,8.993],[50.09,8.944],[50.08,8.885],[50.095,8.874],[50.125,8.887],[50.137,8.781],[50.171,8.801],[50.195,8.79],[50.202,8.826],[50.229,8.804],[50.25,8.855],[50.275,8.846],[50.276,8.916],[50.247,8.957],[50.254,8.995],[50.23,9.024],[50.248,9.039],[50.246,9.148],[50.28,9.177],[50.286,9.209],[50.314,9.217],[50.318,9.206],[50.331,9.224],[50.328,9.268],[50.344,9.254],[50.361,9.258],[50.362,9.276],[50.375,9.252],[50.411,9.266],[50.422,9.29],[50.462,9.289],[50.452,9.336],[50.424,9.356]]]],
+    },
+    106436000: {
+      name: "Main-Taunus-Kreis",
+      nuts: "DE71A",
+      bbox: [49.99, 8.31, 50.21, 8.61],
+      polygons: [[[[50.201,8.367],[50.187,8.355],[50.177,8.409],[50.188,8.423],[50.164,8.452],[50.174,8.473],[50.159,8.507],[50.175,8.547],[50.155,8.571],[50.157,8.601],[50.134,8.577],[50.109,8.476],[50.062,8.521],[50.023,8.463],[49.997,8.407],[50.001,8.331],[50.027,8.332],[50.046,8.38],[50.063,8.354],[50.079,8.386],[50.102,8.38],[50.098,8.362],[50.129,8.35],[50.137,8.315],[50.161,8.347],[50.156,8.37],[50.176,8.345],[50.184,8.36],[50.192,8.337],[50.201,8.367]]]],
+    },
+    106437000: {
+      name: "Odenwaldkreis",
+      nuts: "DE71B",
+      bbox: [49.47, 8.78, 49.86, 9.16],
+      polygons: [[[[49.854,9.014],[49.847,9.06],[49.832,9.064],[49.848,9.085],[49.818,9.077],[49.791,9.091],[49.795,9.132],[49.759,9.107],[49.743,9.151],[49.715,9.123],[49.7,9.126],[49.693,9.09],[49.642,9.102],[49.616,9.065],[49.579,9.103],[49.561,9.099],[49.575,9.073],[49.543,9.085],[49.517,9.126],[49.51,9.106],[49.526,9.1],[49.53,9.065],[49.499,9.043],[49.506,8.952],[49.482,8.955],[49.471,8.932],[49.485,8.899],[49.523,8.911],[49.532,8.892],[49.607,8.873],[49.606,8.891],[49.642,8.864],[49.657,8.887],[49.684,8.796],[49.693,8.784],[49.707,8.807],[49.725,8.786],[49.798,8.87],[49.787,8.907],[49.798,8.97],[49.812,8.965],[49.835,9.013],[49.854,9.014]]]],
+    },
+    106438000: {
+      name: "Kreis Offenbach",
+      nuts: "DE71C",
+      bbox: [49.94, 8.59, 50.14, 9.05],
+      polygons: [[[[50.13,8.841],[50.125,8.887],[50.095,8.874],[50.08,8.885],[50.09,8.944],[50.075,8.988],[50.047,8.976],[50.04,9.031],[49.992,9.049],[50.003,8.944],[49.966,8.9],[49.948,8.812],[49.96,8.745],[49.948,8.687],[49.965,8.62],[49.976,8.628],[50.018,8.591],[50.042,8.597],[50.062,8.718],[50.063,8.75],[50.047,8.764],[50.069,8.79],[50.071,8.837],[50.087,8.843],[50.093,8.822],[50.12,8.809],[50.134,8.818],[50.13,8.841]]]],
+    },
+    106439000: {
+      name: "Rheingau-Taunus-Kreis",
+      nuts: "DE71D",
+      bbox: [49.97, 7.77, 50.3, 8.42],
+      polygons: [[[[50.296,8.372],[50.259,8.411],[50.244,8.378],[50.223,8.407],[50.215,8.36],[50.191,8.353],[50.192,8.337],[50.184,8.36],[50.176,8.345],[50.156,8.37],[50.148,8.246],[50.121,8.185],[50.124,8.16],[50.094,8.112],[50.088,8.138],[50.073,8.112],[50.034,8.175],[49.978,7.967],[49.972,7.887],[50.014,7.851],[50.058,7.773],[50.085,7.803],[50.084,7.837],[50.098,7.83],[50.128,7.854],[50.104,7.93],[50.144,7.933],[50.163,7.891],[50.181,7.883],[50.239,7.99],[50.216,8.035],[50.234,8.059],[50.258,8.022],[50.271,8.036],[50.26,8.103],[50.28,8.126],[50.292,8.218],[50.264,8.256],[50.296,8.372]]]],
+    },
+    106440000: {
+      name: "Wetteraukreis",
+      nuts: "DE71E",
+      bbox: [50.16, 8.51, 50.51, 9.3],
+      polygons: [[[[50.498,9.064],[50.495,9.077],[50.471,9.059],[50.457,9.094],[50.439,9.087],[50.442,9.147],[50.425,9.144],[50.445,9.173],[50.463,9.26],[50.422,9.29],[50.411,9.266],[50.375,9.252],[50.362,9.276],[50.361,9.258],[50.344,9.254],[50.328,9.268],[50.331,9.224],[50.318,9.206],[50.314,9.217],[50.286,9.209],[50.28,9.177],[50.246,9.148],[50.248,9.039],[50.23,9.024],[50.254,8.995],[50.247,8.957],[50.276,8.916],[50.275,8.846],[50.25,8.855],[50.229,8.804],[50.202,8.826],[50.197,8.792],[50.176,8.79],[50.163,8.739],[50.181,8.702],[50.215,8.733],[50.238,8.684],[50.253,8.69],[50.269,8.66],[50.288,8.666],[50.29,8.592],[50.324,8.65],[50.359,8.6],[50.373,8.61],[50.37,8.545],[50.399,8.514],[50.417,8.539],[50.419,8.599],[50.433,8.602],[50.446,8.574],[50.484,8.647],[50.465,8.764],[50.479,8.794],[50.436,8.811],[50.432,8.853],[50.447,8.862],[50.427,8.9],[50.438,8.907],[50.431,8.948],[50.453,8.986],[50.49,8.979],[50.498,9.064]]]],
+    },
+    106531000: {
+      name: "Kreis Gießen",
+      nuts: "DE721",
+      bbox: [50.41, 8.51, 50.71, 9.14],
+      polygons: [[[[50.709,8.924],[50.678,8.971],[50.646,8.967],[50.653,8.941],[50.632,8.962],[50.624,9.006],[50.597,9.012],[50.6,9.05],[50.566,9.077],[50.557,9.134],[50.541,9.128],[50.498,9.042],[50.49,8.979],[50.459,8.99],[50.431,8.948],[50.428,8.887],[50.447,8.862],[50.432,8.853],[50.434,8.818],[50.442,8.799],[50.479,8.794],[50.465,8.764],[50.485,8.669],[50.446,8.574],[50.433,8.602],[50.419,8.599],[50.419,8.546],[50.467,8.529],[50.504,8.595],[50.5,8.632],[50.515,8.651],[50.536,8.557],[50.565,8.619],[50.618,8.577],[50.628,8.548],[50.615,8.535],[50.63,8.519],[50.684,8.553],[50.699,8.573],[50.676,8.591],[50.673,8.618],[50.703,8.65],[50.679,8.702],[50.681,8.737],[50.707,8.84],[50.689,8.897],[50.709,8.924]]]],
+    },
+    106532000: {
+      name: "Lahn-Dill-Kreis",
+      nuts: "DE722",
+      bbox: [50.39, 8.1, 50.89, 8.66],
+      polygons: [[[[50.882,8.292],[50.861,8.305],[50.865,8.353],[50.848,8.399],[50.793,8.4],[50.785,8.459],[50.761,8.434],[50.723,8.453],[50.74,8.54],[50.708,8.55],[50.707,8.578],[50.63,8.519],[50.615,8.535],[50.628,8.548],[50.618,8.577],[50.565,8.619],[50.533,8.559],[50.515,8.651],[50.5,8.632],[50.504,8.595],[50.467,8.529],[50.419,8.546],[50.415,8.578],[50.4,8.483],[50.446,8.425],[50.473,8.438],[50.457,8.393],[50.485,8.362],[50.508,8.359],[50.534,8.284],[50.574,8.258],[50.586,8.228],[50.564,8.199],[50.61,8.126],[50.63,8.141],[50.671,8.11],[50.736,8.167],[50.788,8.126],[50.879,8.266],[50.882,8.292]]]],
+    },
+    106533000: {
+      name: "Kreis Limburg-Weilburg",
+      nuts: "DE723",
+      bbox: [50.26, 7.96, 50.6, 8.47],
+      polygons: [[[[50.564,8.203],[50.586,8.228],[50.574,8.258],[50.534,8.284],[50.508,8.359],[50.485,8.362],[50.457,8.393],[50.473,8.438],[50.446,8.425],[50.421,8.466],[50.405,8.392],[50.386,8.388],[50.373,8.349],[50.361,8.354],[50.34,8.315],[50.313,8.363],[50.305,8.337],[50.294,8.355],[50.284,8.345],[50.264,8.256],[50.292,8.221],[50.277,8.122],[50.327,8.103],[50.332,8.072],[50.375,8.06],[50.384,8.014],[50.401,8.024],[50.41,7.964],[50.428,7.988],[50.438,7.975],[50.453,8.011],[50.485,7.979],[50.511,7.983],[50.551,8.028],[50.535,8.118],[50.544,8.111],[50.551,8.138],[50.599,8.152],[50.576,8.165],[50.564,8.203]]]],
+    },
+    106534000: {
+      name: "Kreis Marburg-Biedenkopf",
+      nuts: "DE724",
+      bbox: [50.67, 8.35, 51, 9.16],
+      polygons: [[[[50.992,8.686],[50.994,8.706],[50.965,8.732],[50.979,8.766],[50.956,8.786],[50.964,8.85],[50.951,8.906],[50.971,8.911],[50.966,8.937],[50.903,9.027],[50.924,9.044],[50.911,9.075],[50.919,9.109],[50.899,9.134],[50.887,9.109],[50.838,9.15],[50.823,9.134],[50.828,9.104],[50.807,9.094],[50.795,9.024],[50.771,9.015],[50.723,8.907],[50.703,8.919],[50.689,8.9],[50.707,8.84],[50.679,8.702],[50.703,8.65],[50.673,8.618],[50.676,8.591],[50.701,8.569],[50.707,8.578],[50.708,8.55],[50.739,8.545],[50.723,8.453],[50.761,8.434],[50.788,8.458],[50.793,8.4],[50.842,8.404],[50.857,8.355],[50.918,8.433],[50.917,8.456],[50.967,8.46],[50.949,8.597],[50.992,8.686]]]],
+    },
+    106535000: {
+      name: "Vogelsbergkreis",
+      nuts: "DE725",
+      bbox: [50.38, 8.9, 50.84, 9.66],
+      polygons: [[[[50.834,9.153],[50.826,9.235],[50.816,9.264],[50.797,9.27],[50.811,9.316],[50.795,9.328],[50.8,9.364],[50.773,9.391],[50.796,9.441],[50.782,9.449],[50.773,9.434],[50.777,9.458],[50.762,9.456],[50.763,9.478],[50.735,9.506],[50.766,9.572],[50.758,9.603],[50.688,9.623],[50.681,9.65],[50.651,9.62],[50.628,9.642],[50.607,9.59],[50.641,9.54],[50.638,9.501],[50.663,9.482],[50.661,9.466],[50.651,9.482],[50.629,9.473],[50.611,9.5],[50.574,9.479],[50.568,9.498],[50.55,9.464],[50.479,9.427],[50.477,9.46],[50.463,9.451],[50.441,9.479],[50.431,9.436],[50.41,9.438],[50.39,9.397],[50.385,9.349],[50.401,9.34],[50.421,9.346],[50.418,9.361],[50.436,9.354],[50.463,9.298],[50.437,9.287],[50.438,9.271],[50.464,9.259],[50.425,9.144],[50.442,9.147],[50.439,9.087],[50.457,9.094],[50.471,9.059],[50.495,9.077],[50.502,9.041],[50.519,9.101],[50.557,9.134],[50.566,9.077],[50.6,9.05],[50.602,9.002],[50.624,9.006],[50.63,8.966],[50.653,8.941],[50.646,8.967],[50.678,8.971],[50.72,8.905],[50.771,9.015],[50.795,9.024],[50.834,9.153]]]],
+    },
+    106611000: {
+      name: "Kassel",
+      nuts: "DE731",
+      bbox: [51.26, 9.35, 51.37, 9.57],
+      polygons: [[[[51.354,9.422],[51.337,9.539],[51.353,9.55],[51.333,9.57],[51.318,9.531],[51.295,9.558],[51.268,9.513],[51.284,9.49],[51.262,9.483],[51.293,9.363],[51.316,9.357],[51.32,9.382],[51.35,9.371],[51.354,9.422]]],[[[51.35,9.53],[51.35,9.56],[51.37,9.56],[51.37,9.53],[51.35,9.53]]]],
+    },
+    106631000: {
+      name: "Kreis Fulda",
+      nuts: "DE732",
+      bbox: [50.35, 9.42, 50.81, 10.09],
+      polygons: [[[[50.808,9.773],[50.791,9.829],[50.796,9.881],[50.778,9.887],[50.756,9.94],[50.724,9.935],[50.705,9.909],[50.695,9.924],[50.673,9.881],[50.635,9.879],[50.629,9.961],[50.641,9.969],[50.664,9.949],[50.677,10.002],[50.674,10.049],[50.656,10.07],[50.62,10.081],[50.613,10.037],[50.557,10.062],[50.529,10.038],[50.481,10.033],[50.423,9.958],[50.399,9.883],[50.426,9.762],[50.356,9.733],[50.394,9.613],[50.382,9.556],[50.413,9.489],[50.436,9.485],[50.463,9.451],[50.477,9.46],[50.479,9.427],[50.55,9.464],[50.568,9.498],[50.574,9.479],[50.611,9.5],[50.629,9.473],[50.651,9.482],[50.661,9.466],[50.606,9.607],[50.628,9.642],[50.651,9.62],[50.681,9.65],[50.688,9.623],[50.735,9.611],[50.719,9.669],[50.741,9.682],[50.753,9.728],[50.768,9.709],[50.779,9.732],[50.791,9.725],[50.808,9.773]]]],
+    },
+    106632000: {
+      name: "Kreis Hersfeld-Rotenburg",
+      nuts: "DE733",
+      bbox: [50.71, 9.43, 51.09, 10.07],
+      polygons: [[[[51.081,9.822],[51.062,9.866],[51.049,9.866],[51.052,9.935],[51.03,9.999],[51.002,9.981],[50.993,10.022],[50.968,10.041],[50.96,10.032],[50.945,10.064],[50.942,9.95],[50.923,9.957],[50.935,9.992],[50.907,9.971],[50.921,10.016],[50.886,10.06],[50.864,10.022],[50.848,10.022],[50.853,10.039],[50.832,10.023],[50.821,9.952],[50.772,9.951],[50.777,9.89],[50.796,9.881],[50.791,9.829],[50.808,9.764],[50.775,9.714],[50.746,9.722],[50.741,9.682],[50.718,9.663],[50.737,9.605],[50.757,9.605],[50.766,9.583],[50.735,9.506],[50.763,9.478],[50.762,9.456],[50.777,9.458],[50.773,9.434],[50.782,9.449],[50.798,9.444],[50.819,9.508],[50.84,9.519],[50.897,9.482],[50.919,9.509],[50.932,9.505],[50.946,9.565],[50.971,9.546],[50.993,9.585],[51.013,9.565],[51.022,9.581],[51.029,9.572],[51.032,9.626],[51.057,9.641],[51.078,9.696],[51.069,9.748],[51.081,9.822]]]],
+    },
+    106633000: {
+      name: "Kreis Kassel",
+      nuts: "DE734",
+      bbox: [51.17, 9.09, 51.66, 9.76],
+      polygons: [[[[51.646,9.495],[51.635,9.492],[51.626,9.515],[51.64,9.544],[51.625,9.571],[51.637,9.626],[51.609,9.638],[51.576,9.691],[51.567,9.684],[51.582,9.627],[51.553,9.648],[51.557,9.609],[51.533,9.62],[51.518,9.586],[51.469,9.644],[51.444,9.628],[51.416,9.643],[51.401,9.579],[51.381,9.56],[51.371,9.577],[51.362,9.569],[51.368,9.533],[51.351,9.557],[51.337,9.539],[51.352,9.495],[51.35,9.375],[51.32,9.382],[51.307,9.352],[51.283,9.378],[51.262,9.483],[51.284,9.49],[51.268,9.513],[51.295,9.558],[51.318,9.531],[51.342,9.582],[51.322,9.639],[51.312,9.629],[51.318,9.669],[51.297,9.73],[51.309,9.675],[51.292,9.643],[51.279,9.645],[51.274,9.696],[51.262,9.693],[51.268,9.754],[51.25,9.754],[51.244,9.687],[51.217,9.674],[51.212,9.64],[51.193,9.625],[51.183,9.636],[51.171,9.604],[51.187,9.562],[51.21,9.568],[51.223,9.518],[51.213,9.483],[51.229,9.446],[51.22,9.41],[51.236,9.358],[51.255,9.346],[51.254,9.285],[51.198,9.265],[51.174,9.177],[51.22,9.129],[51.244,9.129],[51.256,9.095],[51.268,9.094],[51.277,9.127],[51.29,9.108],[51.321,9.113],[51.33,9.1],[51.345,9.129],[51.364,9.102],[51.372,9.143],[51.36,9.169],[51.394,9.169],[51.413,9.14],[51.419,9.162],[51.443,9.155],[51.465,9.181],[51.46,9.216],[51.481,9.217],[51.497,9.241],[51.513,9.308],[51.552,9.317],[51.591,9.374],[51.615,9.337],[51.631,9.427],[51.65,9.44],[51.658,9.493],[51.646,9.495]]],[[[51.26,9.7],[51.26,9.72],[51.28,9.72],[51.28,9.7],[51.26,9.7]]]],
+    },
+    106634000: {
+      name: "Schwalm-Eder-Kreis",
+      nuts: "DE735",
+      bbox: [50.77, 8.97, 51.26, 9.79],
+      polygons: [[[[51.252,9.353],[51.236,9.358],[51.22,9.41],[51.229,9.446],[51.213,9.483],[51.223,9.518],[51.21,9.568],[51.187,9.562],[51.171,9.604],[51.185,9.685],[51.152,9.713],[51.145,9.775],[51.083,9.778],[51.069,9.748],[51.078,9.696],[51.057,9.641],[51.032,9.626],[51.029,9.572],[51.022,9.581],[51.013,9.565],[50.993,9.585],[50.971,9.546],[50.946,9.565],[50.932,9.505],[50.919,9.509],[50.897,9.482],[50.84,9.519],[50.819,9.508],[50.79,9.406],[50.773,9.391],[50.8,9.364],[50.795,9.328],[50.811,9.316],[50.797,9.27],[50.816,9.264],[50.826,9.235],[50.835,9.151],[50.887,9.109],[50.899,9.134],[50.919,9.109],[50.911,9.075],[50.924,9.044],[50.903,9.027],[50.926,9.01],[50.932,8.973],[50.939,9.032],[50.954,9.034],[50.973,9.009],[51.024,9.096],[51.046,9.097],[51.059,9.147],[51.078,9.167],[51.09,9.158],[51.099,9.195],[51.128,9.221],[51.149,9.191],[51.17,9.19],[51.179,9.229],[51.196,9.221],[51.198,9.265],[51.228,9.281],[51.233,9.271],[51.234,9.284],[51.249,9.276],[51.252,9.353]]]],
+    },
+    106635000: {
+      name: "Kreis Waldeck-Frankenberg",
+      nuts: "DE736",
+      bbox: [50.93, 8.47, 51.52, 9.23],
+      polygons: [[[[51.513,9.023],[51.494,9.092],[51.465,9.077],[51.447,9.089],[51.443,9.155],[51.419,9.162],[51.413,9.14],[51.394,9.169],[51.371,9.174],[51.356,9.157],[51.372,9.143],[51.364,9.102],[51.345,9.129],[51.33,9.1],[51.321,9.113],[51.29,9.108],[51.277,9.127],[51.259,9.094],[51.244,9.129],[51.22,9.129],[51.19,9.174],[51.149,9.191],[51.127,9.221],[51.099,9.195],[51.09,9.158],[51.078,9.167],[51.056,9.143],[51.046,9.097],[51.024,9.096],[50.973,9.009],[50.954,9.034],[50.939,9.032],[50.936,8.977],[50.971,8.917],[50.951,8.906],[50.964,8.85],[50.957,8.783],[50.979,8.766],[50.965,8.732],[50.994,8.706],[50.997,8.673],[50.981,8.647],[50.972,8.656],[50.949,8.597],[50.973,8.474],[51.019,8.539],[51.041,8.505],[51.063,8.528],[51.075,8.503],[51.085,8.508],[51.103,8.551],[51.095,8.657],[51.11,8.719],[51.133,8.692],[51.177,8.758],[51.198,8.75],[51.209,8.768],[51.218,8.742],[51.274,8.722],[51.247,8.597],[51.277,8.556],[51.287,8.565],[51.376,8.689],[51.389,8.94],[51.428,8.948],[51.43,8.919],[51.446,8.922],[51.482,8.89],[51.513,9.023]]]],
+    },
+    106636000: {
+      name: "Werra-Meißner-Kreis",
+      nuts: "DE737",
+      bbox: [50.99, 9.62, 51.43, 10.24],
+      polygons: [[[[51.418,9.908],[51.393,9.931],[51.368,9.923],[51.326,9.948],[51.306,9.941],[51.3,9.97],[51.284,9.973],[51.276,10.06],[51.253,10.047],[51.243,10.079],[51.225,10.072],[51.22,10.138],[51.187,10.236],[51.165,10.207],[51.113,10.2],[51.153,10.169],[51.14,10.118],[51.117,10.175],[51.058,10.141],[51.026,10.215],[51.019,10.193],[51.002,10.196],[50.994,10.145],[51.012,10.121],[51.013,10.039],[50.993,10.022],[50.995,9.99],[51.002,9.981],[51.03,9.999],[51.052,9.935],[51.049,9.866],[51.084,9.823],[51.083,9.778],[51.145,9.775],[51.144,9.731],[51.185,9.685],[51.193,9.625],[51.212,9.64],[51.217,9.674],[51.244,9.687],[51.239,9.726],[51.261,9.759],[51.279,9.645],[51.306,9.654],[51.292,9.734],[51.307,9.768],[51.337,9.772],[51.319,9.738],[51.365,9.702],[51.387,9.801],[51.402,9.793],[51.41,9.804],[51.403,9.841],[51.384,9.84],[51.372,9.865],[51.414,9.851],[51.404,9.878],[51.418,9.908]]]],
+    },
+    107111000: {
+      name: "Koblenz",
+      nuts: "DEB11",
+      bbox: [50.28, 7.48, 50.42, 7.7],
+      polygons: [[[[50.384,7.612],[50.372,7.621],[50.382,7.657],[50.366,7.696],[50.325,7.652],[50.326,7.591],[50.294,7.605],[50.284,7.56],[50.294,7.522],[50.309,7.516],[50.331,7.533],[50.33,7.503],[50.363,7.484],[50.41,7.571],[50.384,7.612]]]],
+    },
+    107131000: {
+      name: "Kreis Ahrweiler",
+      nuts: "DEB12",
+      bbox: [50.3, 6.74, 50.65, 7.35],
+      polygons: [[[[50.65,7.204],[50.591,7.211],[50.572,7.268],[50.516,7.299],[50.477,7.345],[50.451,7.287],[50.428,7.287],[50.425,7.256],[50.413,7.257],[50.417,7.285],[50.397,7.278],[50.414,7.225],[50.411,7.18],[50.384,7.125],[50.406,7.123],[50.389,7.013],[50.328,6.971],[50.307,6.928],[50.326,6.793],[50.337,6.812],[50.342,6.796],[50.359,6.809],[50.393,6.769],[50.421,6.785],[50.436,6.746],[50.459,6.767],[50.473,6.745],[50.491,6.801],[50.453,6.857],[50.469,6.901],[50.503,6.907],[50.527,6.882],[50.533,6.929],[50.559,6.928],[50.565,6.998],[50.606,7.056],[50.586,7.087],[50.612,7.115],[50.6,7.148],[50.624,7.19],[50.65,7.204]]]],
+    },
+    107132000: {
+      name: "Kreis Altenkirchen (Westerwald)",
+      nuts: "DEB13",
+      bbox: [50.56, 7.44, 50.95, 8.05],
+      polygons: [[[[50.939,7.809],[50.926,7.851],[50.882,7.829],[50.833,7.978],[50.784,7.964],[50.726,8.04],[50.697,8.04],[50.676,7.974],[50.709,7.947],[50.719,7.903],[50.69,7.875],[50.679,7.884],[50.685,7.855],[50.697,7.86],[50.712,7.836],[50.704,7.815],[50.716,7.8],[50.73,7.808],[50.74,7.743],[50.705,7.696],[50.684,7.727],[50.667,7.692],[50.623,7.703],[50.647,7.672],[50.653,7.592],[50.645,7.572],[50.615,7.571],[50.627,7.539],[50.599,7.559],[50.566,7.536],[50.583,7.475],[50.611,7.471],[50.617,7.45],[50.626,7.482],[50.668,7.485],[50.672,7.468],[50.716,7.445],[50.746,7.552],[50.738,7.583],[50.766,7.6],[50.779,7.676],[50.81,7.68],[50.82,7.661],[50.825,7.7],[50.851,7.729],[50.845,7.762],[50.867,7.748],[50.9,7.76],[50.918,7.735],[50.939,7.809]]]],
+    },
+    107133000: {
+      name: "Kreis Bad Kreuznach",
+      nuts: "DEB14",
+      bbox: [49.63, 7.38, 50.01, 7.97],
+      polygons: [[[[50.001,7.687],[49.996,7.756],[49.954,7.821],[49.948,7.805],[49.934,7.811],[49.943,7.845],[49.93,7.898],[49.882,7.919],[49.881,7.948],[49.854,7.969],[49.842,7.953],[49.833,7.964],[49.805,7.924],[49.768,7.935],[49.752,7.905],[49.766,7.862],[49.751,7.78],[49.764,7.767],[49.744,7.767],[49.721,7.724],[49.697,7.735],[49.672,7.721],[49.636,7.664],[49.646,7.653],[49.688,7.674],[49.702,7.659],[49.685,7.634],[49.686,7.565],[49.714,7.539],[49.703,7.491],[49.717,7.497],[49.748,7.464],[49.735,7.441],[49.753,7.41],[49.787,7.444],[49.807,7.405],[49.848,7.387],[49.858,7.412],[49.84,7.424],[49.867,7.468],[49.86,7.494],[49.935,7.63],[49.929,7.651],[49.969,7.667],[49.98,7.707],[50.001,7.687]]]],
+    },
+    107134000: {
+      name: "Kreis Birkenfeld",
+      nuts: "DEB15",
+      bbox: [49.54, 7.02, 49.91, 7.53],
+      polygons: [[[[49.899,7.281],[49.879,7.294],[49.901,7.331],[49.893,7.394],[49.822,7.396],[49.787,7.444],[49.753,7.41],[49.735,7.441],[49.748,7.464],[49.717,7.497],[49.703,7.491],[49.705,7.526],[49.683,7.526],[49.674,7.454],[49.654,7.426],[49.615,7.449],[49.594,7.44],[49.596,7.363],[49.556,7.324],[49.549,7.277],[49.584,7.269],[49.566,7.213],[49.585,7.173],[49.599,7.174],[49.6,7.088],[49.639,7.028],[49.655,7.051],[49.672,7.044],[49.677,7.065],[49.689,7.044],[49.753,7.126],[49.777,7.128],[49.854,7.262],[49.885,7.223],[49.899,7.281]]]],
+    },
+    107135000: {
+      name: "Kreis Cochem-Zell",
+      nuts: "DEB1C",
+      bbox: [49.95, 6.95, 50.29, 7.39],
+      polygons: [[[[50.278,7.074],[50.277,7.125],[50.263,7.125],[50.279,7.186],[50.262,7.191],[50.243,7.291],[50.214,7.319],[50.202,7.294],[50.197,7.35],[50.218,7.363],[50.209,7.384],[50.184,7.345],[50.177,7.374],[50.161,7.382],[50.145,7.363],[50.132,7.374],[50.135,7.315],[50.119,7.293],[50.086,7.349],[50.063,7.341],[50.066,7.315],[50.012,7.354],[49.994,7.286],[49.97,7.284],[49.966,7.203],[49.986,7.197],[50,7.136],[50.062,7.099],[50.085,6.98],[50.124,6.979],[50.133,6.996],[50.158,6.956],[50.174,6.973],[50.223,6.955],[50.237,6.979],[50.219,7.007],[50.226,7.034],[50.278,7.074]]]],
+    },
+    107137000: {
+      name: "Kreis Mayen-Koblenz",
+      nuts: "DEB17",
+      bbox: [50.16, 6.97, 50.48, 7.69],
+      polygons: [[[[50.469,7.351],[50.444,7.395],[50.442,7.438],[50.412,7.483],[50.419,7.551],[50.463,7.578],[50.46,7.617],[50.442,7.626],[50.459,7.648],[50.446,7.632],[50.426,7.675],[50.406,7.681],[50.398,7.647],[50.382,7.664],[50.372,7.619],[50.41,7.571],[50.363,7.484],[50.33,7.503],[50.333,7.532],[50.309,7.516],[50.288,7.527],[50.294,7.605],[50.253,7.651],[50.265,7.536],[50.201,7.469],[50.213,7.428],[50.193,7.415],[50.176,7.43],[50.161,7.382],[50.181,7.37],[50.184,7.345],[50.209,7.384],[50.218,7.367],[50.197,7.35],[50.202,7.294],[50.216,7.318],[50.261,7.246],[50.262,7.191],[50.281,7.172],[50.263,7.125],[50.277,7.123],[50.27,7.077],[50.306,6.974],[50.335,7.038],[50.353,6.981],[50.389,7.013],[50.406,7.123],[50.384,7.125],[50.411,7.18],[50.414,7.225],[50.397,7.278],[50.417,7.285],[50.413,7.257],[50.425,7.256],[50.428,7.287],[50.451,7.287],[50.466,7.307],[50.469,7.351]]]],
+    },
+    107138000: {
+      name: "Kreis Neuwied",
+      nuts: "DEB18",
+      bbox: [50.41, 7.21, 50.72, 7.72],
+      polygons: [[[[50.716,7.378],[50.711,7.441],[50.67,7.485],[50.626,7.482],[50.617,7.45],[50.611,7.471],[50.583,7.475],[50.572,7.495],[50.566,7.536],[50.599,7.559],[50.627,7.539],[50.615,7.571],[50.645,7.572],[50.644,7.679],[50.623,7.701],[50.595,7.665],[50.562,7.704],[50.528,7.696],[50.519,7.668],[50.496,7.679],[50.482,7.603],[50.419,7.551],[50.412,7.496],[50.469,7.351],[50.516,7.299],[50.572,7.268],[50.591,7.212],[50.623,7.211],[50.649,7.359],[50.682,7.372],[50.698,7.357],[50.716,7.378]]],[[[50.6,7.701],[50.595,7.711],[50.58,7.696],[50.6,7.701]]]],
+    },
+    107140000: {
+      name: "Rhein-Hunsrück-Kreis",
+      nuts: "DEB1D",
+      bbox: [49.84, 7.2, 50.27, 7.77],
+      polygons: [[[[50.257,7.554],[50.263,7.612],[50.256,7.605],[50.251,7.633],[50.24,7.578],[50.205,7.64],[50.178,7.646],[50.167,7.698],[50.134,7.737],[50.114,7.722],[50.083,7.765],[50.033,7.665],[50.032,7.692],[50.013,7.7],[49.999,7.735],[50.001,7.687],[49.98,7.707],[49.969,7.667],[49.929,7.651],[49.935,7.63],[49.86,7.496],[49.867,7.468],[49.84,7.424],[49.858,7.412],[49.86,7.387],[49.888,7.397],[49.9,7.374],[49.899,7.324],[49.879,7.294],[49.899,7.281],[49.885,7.223],[49.9,7.212],[49.941,7.254],[49.966,7.203],[49.97,7.284],[49.994,7.286],[50.012,7.354],[50.066,7.315],[50.063,7.341],[50.086,7.349],[50.119,7.293],[50.135,7.315],[50.129,7.369],[50.157,7.374],[50.176,7.43],[50.193,7.415],[50.213,7.428],[50.201,7.469],[50.26,7.523],[50.257,7.554]]]],
+    },
+    107141000: {
+      name: "Rhein-Lahn-Kreis",
+      nuts: "DEB1A",
+      bbox: [50.06, 7.57, 50.42, 8.13],
+      polygons: [[[[50.399,7.945],[50.401,8.024],[50.384,8.014],[50.375,8.06],[50.332,8.072],[50.327,8.103],[50.29,8.123],[50.26,8.103],[50.271,8.036],[50.258,8.022],[50.234,8.059],[50.216,8.035],[50.239,7.99],[50.181,7.883],[50.163,7.891],[50.144,7.933],[50.103,7.929],[50.128,7.854],[50.098,7.83],[50.084,7.837],[50.067,7.774],[50.113,7.723],[50.13,7.739],[50.148,7.725],[50.178,7.646],[50.205,7.64],[50.239,7.578],[50.257,7.652],[50.303,7.596],[50.326,7.591],[50.325,7.652],[50.36,7.682],[50.352,7.698],[50.369,7.738],[50.396,7.745],[50.399,7.757],[50.384,7.751],[50.397,7.776],[50.389,7.792],[50.372,7.77],[50.355,7.776],[50.363,7.814],[50.347,7.865],[50.377,7.881],[50.392,7.856],[50.384,7.886],[50.4,7.88],[50.415,7.934],[50.399,7.945]]]],
+    },
+    107143000: {
+      name: "Westerwaldkreis",
+      nuts: "DEB1B",
+      bbox: [50.34, 7.59, 50.75, 8.16],
+      polygons: [[[[50.74,7.747],[50.73,7.808],[50.716,7.8],[50.704,7.815],[50.712,7.836],[50.697,7.86],[50.685,7.855],[50.679,7.884],[50.69,7.875],[50.719,7.903],[50.709,7.947],[50.676,7.978],[50.704,8.099],[50.686,8.126],[50.665,8.11],[50.63,8.141],[50.61,8.126],[50.599,8.152],[50.551,8.138],[50.533,8.103],[50.557,8.046],[50.551,8.028],[50.495,7.979],[50.449,8.008],[50.438,7.975],[50.428,7.988],[50.397,7.954],[50.415,7.934],[50.4,7.88],[50.384,7.886],[50.392,7.856],[50.377,7.881],[50.347,7.865],[50.363,7.814],[50.355,7.776],[50.372,7.77],[50.388,7.792],[50.397,7.776],[50.384,7.751],[50.401,7.756],[50.369,7.738],[50.352,7.696],[50.374,7.686],[50.389,7.645],[50.406,7.681],[50.426,7.675],[50.446,7.632],[50.459,7.648],[50.442,7.626],[50.475,7.595],[50.496,7.679],[50.519,7.668],[50.528,7.696],[50.562,7.704],[50.599,7.666],[50.623,7.703],[50.67,7.693],[50.678,7.726],[50.707,7.697],[50.74,7.747]],[[50.6,7.701],[50.58,7.696],[50.595,7.711],[50.6,7.701]]],[[[50.56,7.66],[50.56,7.69],[50.57,7.69],[50.57,7.66],[50.56,7.66]]]],
+    },
+    107211000: {
+      name: "Trier",
+      nuts: "DEB21",
+      bbox: [49.69, 6.55, 49.86, 6.75],
+      polygons: [[[[49.823,6.712],[49.814,6.746],[49.801,6.7],[49.776,6.738],[49.761,6.686],[49.761,6.714],[49.751,6.708],[49.741,6.741],[49.731,6.737],[49.734,6.713],[49.717,6.713],[49.699,6.644],[49.699,6.613],[49.723,6.617],[49.702,6.56],[49.74,6.554],[49.764,6.619],[49.78,6.591],[49.785,6.633],[49.853,6.674],[49.854,6.696],[49.823,6.712]]]],
+    },
+    107231000: {
+      name: "Kreis Bernkastel-Wittlich",
+      nuts: "DEB22",
+      bbox: [49.67, 6.68, 50.14, 7.27],
+      polygons: [[[[50.129,6.861],[50.101,6.9],[50.073,6.91],[50.089,6.942],[50.08,6.953],[50.099,6.972],[50.067,7.023],[50.062,7.099],[50.037,7.103],[49.991,7.147],[49.986,7.197],[49.977,7.19],[49.949,7.222],[49.941,7.254],[49.9,7.212],[49.856,7.264],[49.777,7.128],[49.753,7.126],[49.68,7.031],[49.678,6.978],[49.694,6.965],[49.718,6.973],[49.78,6.875],[49.791,6.902],[49.806,6.898],[49.805,6.944],[49.823,6.944],[49.832,6.901],[49.88,6.872],[49.865,6.868],[49.851,6.798],[49.878,6.785],[49.879,6.759],[49.892,6.763],[49.882,6.721],[49.928,6.698],[49.948,6.705],[49.965,6.681],[49.984,6.728],[50.026,6.699],[50.041,6.7],[50.043,6.718],[50.068,6.695],[50.089,6.702],[50.091,6.73],[50.118,6.755],[50.108,6.776],[50.129,6.861]]]],
+    },
+    107232000: {
+      name: "Eifelkreis Bitburg-Prüm",
+      nuts: "DEB23",
+      bbox: [49.81, 6.11, 50.33, 6.73],
+      polygons: [[[[50.324,6.328],[50.305,6.363],[50.322,6.383],[50.323,6.425],[50.295,6.446],[50.314,6.471],[50.283,6.479],[50.286,6.511],[50.251,6.532],[50.254,6.553],[50.23,6.563],[50.225,6.591],[50.196,6.589],[50.186,6.551],[50.174,6.565],[50.146,6.548],[50.134,6.588],[50.127,6.573],[50.118,6.591],[50.109,6.583],[50.118,6.638],[50.084,6.701],[50.059,6.698],[50.043,6.718],[50.041,6.7],[50.026,6.699],[49.984,6.728],[49.965,6.681],[49.948,6.705],[49.905,6.712],[49.918,6.693],[49.876,6.636],[49.88,6.601],[49.897,6.6],[49.868,6.58],[49.853,6.525],[49.839,6.533],[49.81,6.431],[49.851,6.364],[49.838,6.323],[49.87,6.311],[49.9,6.234],[49.924,6.218],[49.95,6.224],[49.948,6.198],[49.969,6.191],[49.954,6.178],[49.985,6.172],[49.998,6.138],[50.009,6.15],[50.019,6.13],[50.023,6.146],[50.06,6.112],[50.074,6.129],[50.074,6.116],[50.093,6.133],[50.122,6.13],[50.142,6.155],[50.155,6.132],[50.178,6.147],[50.182,6.193],[50.205,6.189],[50.22,6.166],[50.235,6.176],[50.266,6.278],[50.309,6.296],[50.324,6.328]]]],
+    },
+    107233000: {
+      name: "Kreis Vulkaneifel",
+      nuts: "DEB24",
+      bbox: [50.07, 6.38, 50.39, 7.08],
+      polygons: [[[[50.369,6.423],[50.362,6.459],[50.336,6.452],[50.339,6.485],[50.36,6.507],[50.388,6.603],[50.345,6.636],[50.372,6.667],[50.336,6.699],[50.362,6.801],[50.342,6.796],[50.337,6.812],[50.326,6.793],[50.322,6.891],[50.307,6.92],[50.35,7.008],[50.335,7.038],[50.303,6.976],[50.277,7.07],[50.226,7.034],[50.219,7.007],[50.237,6.979],[50.224,6.956],[50.174,6.973],[50.158,6.956],[50.133,6.996],[50.124,6.979],[50.1,6.984],[50.08,6.953],[50.075,6.907],[50.101,6.9],[50.132,6.857],[50.108,6.776],[50.118,6.755],[50.091,6.73],[50.084,6.701],[50.118,6.638],[50.109,6.583],[50.118,6.591],[50.127,6.573],[50.134,6.588],[50.146,6.548],[50.174,6.565],[50.186,6.551],[50.196,6.589],[50.225,6.591],[50.23,6.563],[50.254,6.553],[50.251,6.532],[50.286,6.511],[50.283,6.479],[50.314,6.471],[50.295,6.446],[50.314,6.421],[50.334,6.424],[50.384,6.385],[50.389,6.413],[50.369,6.423]]]],
+    },
+    107235000: {
+      name: "Kreis Trier-Saarburg",
+      nuts: "DEB25",
+      bbox: [49.51, 6.35, 49.92, 7.07],
+      polygons: [[[[49.91,6.703],[49.881,6.724],[49.892,6.763],[49.879,6.759],[49.878,6.785],[49.851,6.798],[49.865,6.868],[49.879,6.872],[49.832,6.901],[49.816,6.95],[49.806,6.898],[49.791,6.902],[49.78,6.875],[49.718,6.973],[49.694,6.965],[49.678,6.978],[49.681,7.061],[49.672,7.044],[49.655,7.051],[49.621,6.986],[49.635,6.992],[49.635,6.941],[49.612,6.93],[49.609,6.866],[49.583,6.835],[49.592,6.813],[49.535,6.69],[49.551,6.652],[49.517,6.605],[49.541,6.564],[49.528,6.517],[49.548,6.389],[49.571,6.358],[49.621,6.422],[49.656,6.441],[49.669,6.43],[49.713,6.507],[49.726,6.496],[49.724,6.517],[49.735,6.502],[49.752,6.5],[49.762,6.519],[49.789,6.506],[49.806,6.531],[49.823,6.476],[49.839,6.533],[49.853,6.525],[49.868,6.58],[49.897,6.6],[49.88,6.601],[49.876,6.636],[49.918,6.693],[49.91,6.703]],[[49.844,6.672],[49.785,6.633],[49.78,6.591],[49.764,6.619],[49.74,6.554],[49.702,6.56],[49.723,6.617],[49.699,6.613],[49.699,6.644],[49.732,6.738],[49.751,6.708],[49.761,6.714],[49.763,6.686],[49.776,6.738],[49.801,6.7],[49.814,6.746],[49.821,6.714],[49.858,6.691],[49.844,6.672]]]],
+    },
+    107311000: {
+      name: "Frankenthal (Pfalz)",
+      nuts: "DEB31",
+      bbox: [49.48, 8.3, 49.59, 8.43],
+      polygons: [[[[49.582,8.402],[49.574,8.423],[49.542,8.423],[49.55,8.393],[49.499,8.369],[49.485,8.31],[49.521,8.308],[49.537,8.323],[49.55,8.313],[49.571,8.359],[49.565,8.386],[49.582,8.402]]]],
+    },
+    107312000: {
+      name: "Kaiserslautern",
+      nuts: "DEB32",
+      bbox: [49.35, 7.62, 49.5, 7.88],
+      polygons: [[[[49.474,7.736],[49.49,7.779],[49.485,7.8],[49.466,7.804],[49.451,7.859],[49.408,7.869],[49.396,7.815],[49.362,7.849],[49.361,7.821],[49.395,7.768],[49.385,7.693],[49.426,7.662],[49.425,7.63],[49.447,7.635],[49.442,7.703],[49.461,7.679],[49.487,7.68],[49.495,7.703],[49.474,7.736]]]],
+    },
+    107313000: {
+      name: "Landau in der Pfalz",
+      nuts: "DEB33",
+      bbox: [49.15, 7.86, 49.32, 8.19],
+      polygons: [[[[49.234,8.106],[49.228,8.156],[49.207,8.157],[49.208,8.181],[49.198,8.168],[49.165,8.178],[49.175,8.111],[49.156,8.091],[49.156,8.064],[49.169,8.055],[49.186,8.071],[49.193,8.018],[49.204,8.065],[49.222,8.058],[49.234,8.106]]],[[[49.313,7.924],[49.293,7.939],[49.295,7.964],[49.264,7.972],[49.273,7.928],[49.28,7.946],[49.29,7.934],[49.276,7.881],[49.285,7.869],[49.313,7.868],[49.313,7.924]]],[[[49.16,7.97],[49.16,8],[49.19,8],[49.19,7.97],[49.16,7.97]]]],
+    },
+    107314000: {
+      name: "Ludwigshafen am Rhein",
+      nuts: "DEB34",
+      bbox: [49.42, 8.29, 49.56, 8.48],
+      polygons: [[[[49.548,8.4],[49.542,8.423],[49.473,8.463],[49.45,8.443],[49.44,8.476],[49.428,8.394],[49.471,8.358],[49.459,8.318],[49.472,8.301],[49.499,8.369],[49.539,8.379],[49.548,8.4]]]],
+    },
+    107315000: {
+      name: "Mainz",
+      nuts: "DEB35",
+      bbox: [49.89, 8.14, 50.04, 8.35],
+      polygons: [[[[50.028,8.243],[49.974,8.322],[49.941,8.343],[49.941,8.28],[49.895,8.249],[49.909,8.225],[49.947,8.243],[49.964,8.149],[49.979,8.143],[50.003,8.156],[50.017,8.196],[50.028,8.205],[50.035,8.19],[50.028,8.243]]]],
+    },
+    107316000: {
+      name: "Neustadt an der Weinstraße",
+      nuts: "DEB36",
+      bbox: [49.29, 7.99, 49.41, 8.32],
+      polygons: [[[[49.395,8.141],[49.38,8.223],[49.333,8.227],[49.308,8.317],[49.296,8.198],[49.31,8.201],[49.315,8.173],[49.321,8.013],[49.333,8.023],[49.34,8],[49.357,8.027],[49.364,8.102],[49.392,8.1],[49.381,8.123],[49.389,8.137],[49.4,8.131],[49.395,8.141]]]],
+    },
+    107317000: {
+      name: "Pirmasens",
+      nuts: "DEB37",
+      bbox: [49.14, 7.51, 49.24, 7.68],
+      polygons: [[[[49.233,7.587],[49.218,7.615],[49.229,7.673],[49.187,7.656],[49.178,7.633],[49.164,7.637],[49.141,7.577],[49.174,7.594],[49.166,7.561],[49.212,7.514],[49.233,7.587]]]],
+    },
+    107318000: {
+      name: "Speyer",
+      nuts: "DEB38",
+      bbox: [49.28, 8.37, 49.38, 8.5],
+      polygons: [[[[49.368,8.424],[49.351,8.442],[49.367,8.449],[49.364,8.491],[49.359,8.469],[49.341,8.471],[49.323,8.45],[49.304,8.485],[49.289,8.486],[49.304,8.407],[49.329,8.407],[49.342,8.375],[49.372,8.407],[49.368,8.424]]]],
+    },
+    107319000: {
+      name: "Worms",
+      nuts: "DEB39",
+      bbox: [49.58, 8.23, 49.74, 8.45],
+      polygons: [[[[49.728,8.42],[49.731,8.446],[49.7,8.365],[49.683,8.356],[49.595,8.415],[49.608,8.352],[49.595,8.343],[49.588,8.257],[49.647,8.242],[49.655,8.279],[49.689,8.258],[49.683,8.342],[49.73,8.352],[49.728,8.42]]]],
+    },
+    107320000: {
+      name: "Zweibrücken",
+      nuts: "DEB3A",
+      bbox: [49.18, 7.28, 49.32, 7.45],
+      polygons: [[[[49.315,7.397],[49.286,7.41],[49.27,7.448],[49.258,7.41],[49.235,7.401],[49.219,7.424],[49.218,7.362],[49.189,7.32],[49.205,7.296],[49.222,7.304],[49.239,7.29],[49.256,7.307],[49.248,7.325],[49.27,7.344],[49.278,7.334],[49.283,7.375],[49.315,7.397]]]],
+    },
+    107331000: {
+      name: "Kreis Alzey-Worms",
+      nuts: "DEB3B",
+      bbox: [49.58, 7.9, 49.91, 8.48],
+      polygons: [[[[49.892,8.126],[49.894,8.188],[49.853,8.215],[49.843,8.189],[49.824,8.195],[49.823,8.234],[49.768,8.234],[49.749,8.282],[49.784,8.313],[49.782,8.355],[49.804,8.4],[49.769,8.423],[49.759,8.479],[49.731,8.446],[49.73,8.352],[49.683,8.342],[49.689,8.258],[49.655,8.279],[49.647,8.242],[49.591,8.256],[49.588,8.233],[49.621,8.206],[49.623,8.154],[49.658,8.155],[49.671,8.121],[49.698,8.102],[49.711,8.018],[49.699,7.966],[49.714,7.962],[49.718,7.976],[49.736,7.935],[49.756,7.949],[49.742,7.919],[49.751,7.905],[49.768,7.935],[49.805,7.924],[49.824,7.942],[49.85,8.028],[49.871,8.065],[49.886,8.053],[49.892,8.126]]]],
+    },
+    107332000: {
+      name: "Kreis Bad Dürkheim",
+      nuts: "DEB3C",
+      bbox: [49.3, 7.82, 49.63, 8.32],
+      polygons: [[[[49.629,8.183],[49.588,8.233],[49.587,8.281],[49.543,8.282],[49.536,8.256],[49.499,8.276],[49.492,8.239],[49.479,8.271],[49.447,8.284],[49.433,8.233],[49.369,8.298],[49.311,8.314],[49.333,8.227],[49.38,8.223],[49.401,8.133],[49.381,8.123],[49.392,8.1],[49.365,8.104],[49.355,8.019],[49.309,7.937],[49.329,7.826],[49.373,7.857],[49.389,7.948],[49.4,7.963],[49.417,7.951],[49.434,8.003],[49.438,7.983],[49.451,7.995],[49.445,7.962],[49.486,7.95],[49.498,8.008],[49.54,8.059],[49.554,8.101],[49.567,8.086],[49.585,8.115],[49.605,8.116],[49.629,8.183]]]],
+    },
+    107333000: {
+      name: "Donnersbergkreis",
+      nuts: "DEB3D",
+      bbox: [49.48, 7.69, 49.77, 8.17],
+      polygons: [[[[49.764,7.768],[49.751,7.78],[49.762,7.9],[49.742,7.919],[49.756,7.949],[49.735,7.936],[49.718,7.976],[49.702,7.96],[49.711,8.018],[49.698,8.102],[49.641,8.161],[49.605,8.116],[49.585,8.115],[49.576,8.09],[49.554,8.101],[49.493,7.99],[49.494,7.955],[49.533,7.958],[49.513,7.834],[49.531,7.835],[49.532,7.772],[49.545,7.763],[49.559,7.783],[49.579,7.741],[49.597,7.745],[49.589,7.696],[49.62,7.697],[49.642,7.728],[49.658,7.699],[49.697,7.735],[49.721,7.724],[49.744,7.767],[49.764,7.768]]]],
+    },
+    107334000: {
+      name: "Kreis Germersheim",
+      nuts: "DEB3E",
+      bbox: [48.96, 8.05, 49.3, 8.42],
+      polygons: [[[[49.298,8.327],[49.25,8.413],[49.228,8.386],[49.22,8.405],[49.168,8.368],[49.098,8.358],[49.054,8.312],[48.998,8.288],[48.967,8.233],[48.996,8.07],[49.033,8.076],[49.074,8.056],[49.085,8.102],[49.132,8.118],[49.137,8.17],[49.109,8.211],[49.127,8.224],[49.126,8.264],[49.173,8.256],[49.171,8.216],[49.209,8.216],[49.213,8.238],[49.26,8.232],[49.298,8.327]]]],
+    },
+    107335000: {
+      name: "Kreis Kaiserslautern",
+      nuts: "DEB3F",
+      bbox: [49.3, 7.39, 49.6, 8.01],
+      polygons: [[[[49.59,7.742],[49.559,7.783],[49.545,7.763],[49.532,7.772],[49.531,7.835],[49.513,7.834],[49.532,7.96],[49.461,7.951],[49.442,7.966],[49.451,7.995],[49.438,7.983],[49.434,8.003],[49.417,7.951],[49.4,7.963],[49.389,7.948],[49.393,7.918],[49.362,7.849],[49.396,7.815],[49.408,7.869],[49.465,7.844],[49.462,7.813],[49.49,7.779],[49.473,7.738],[49.495,7.703],[49.487,7.68],[49.461,7.679],[49.442,7.703],[49.447,7.635],[49.425,7.63],[49.426,7.662],[49.385,7.693],[49.395,7.768],[49.359,7.841],[49.335,7.825],[49.321,7.834],[49.307,7.799],[49.314,7.768],[49.345,7.759],[49.332,7.67],[49.342,7.628],[49.359,7.629],[49.377,7.602],[49.336,7.523],[49.356,7.503],[49.341,7.478],[49.372,7.396],[49.42,7.421],[49.423,7.411],[49.438,7.462],[49.454,7.447],[49.497,7.478],[49.513,7.523],[49.528,7.529],[49.522,7.607],[49.562,7.661],[49.575,7.639],[49.588,7.652],[49.59,7.742]]]],
+    },
+    107336000: {
+      name: "Kreis Kusel",
+      nuts: "DEB3G",
+      bbox: [49.36, 7.24, 49.72, 7.73],
+      polygons: [[[[49.714,7.536],[49.693,7.548],[49.68,7.6],[49.702,7.659],[49.668,7.675],[49.638,7.657],[49.65,7.727],[49.628,7.723],[49.62,7.697],[49.589,7.696],[49.586,7.65],[49.575,7.639],[49.562,7.661],[49.522,7.607],[49.528,7.529],[49.513,7.523],[49.497,7.478],[49.454,7.447],[49.438,7.462],[49.423,7.411],[49.42,7.421],[49.372,7.396],[49.363,7.367],[49.38,7.356],[49.389,7.289],[49.415,7.29],[49.446,7.246],[49.472,7.305],[49.484,7.278],[49.517,7.286],[49.523,7.31],[49.548,7.276],[49.556,7.324],[49.596,7.363],[49.594,7.44],[49.615,7.449],[49.654,7.426],[49.674,7.454],[49.679,7.522],[49.708,7.523],[49.714,7.536]]]],
+    },
+    107337000: {
+      name: "Kreis Südliche Weinstraße",
+      nuts: "DEB3H",
+      bbox: [48.99, 7.82, 49.35, 8.33],
+      polygons: [[[[49.339,8.001],[49.333,8.023],[49.321,8.013],[49.315,8.173],[49.31,8.201],[49.296,8.198],[49.3,8.324],[49.26,8.232],[49.213,8.238],[49.209,8.216],[49.171,8.216],[49.173,8.256],[49.126,8.264],[49.127,8.224],[49.109,8.211],[49.137,8.17],[49.132,8.118],[49.085,8.102],[49.074,8.056],[49.033,8.076],[48.999,8.068],[49.027,7.975],[49.055,7.945],[49.04,7.913],[49.057,7.903],[49.052,7.883],[49.075,7.895],[49.085,7.886],[49.091,7.91],[49.115,7.911],[49.116,7.864],[49.133,7.846],[49.156,7.863],[49.148,7.897],[49.178,7.917],[49.191,7.888],[49.203,7.917],[49.211,7.9],[49.233,7.901],[49.234,7.865],[49.249,7.878],[49.257,7.849],[49.245,7.826],[49.266,7.828],[49.29,7.934],[49.28,7.946],[49.275,7.926],[49.259,7.964],[49.295,7.964],[49.293,7.939],[49.32,7.939],[49.339,8.001]],[[49.231,8.098],[49.222,8.058],[49.204,8.065],[49.193,8.018],[49.186,8.071],[49.169,8.055],[49.156,8.064],[49.156,8.091],[49.175,8.111],[49.165,8.178],[49.198,8.168],[49.208,8.181],[49.207,8.157],[49.229,8.15],[49.231,8.098]]]],
+    },
+    107338000: {
+      name: "Rhein-Pfalz-Kreis",
+      nuts: "DEB3I",
+      bbox: [49.24, 8.23, 49.61, 8.51],
+      polygons: [[[[49.607,8.354],[49.595,8.415],[49.576,8.423],[49.582,8.402],[49.565,8.386],[49.571,8.359],[49.55,8.313],[49.537,8.323],[49.477,8.298],[49.46,8.312],[49.471,8.358],[49.427,8.399],[49.444,8.473],[49.434,8.508],[49.402,8.496],[49.384,8.464],[49.373,8.473],[49.389,8.5],[49.346,8.48],[49.341,8.471],[49.358,8.468],[49.364,8.491],[49.367,8.449],[49.351,8.442],[49.377,8.423],[49.342,8.375],[49.329,8.407],[49.305,8.404],[49.283,8.467],[49.25,8.413],[49.298,8.314],[49.3,8.324],[49.369,8.298],[49.433,8.233],[49.447,8.284],[49.479,8.271],[49.492,8.239],[49.499,8.276],[49.536,8.256],[49.543,8.282],[49.587,8.281],[49.607,8.354]]]],
+    },
+    107339000: {
+      name: "Kreis Mainz-Bingen",
+      nuts: "DEB3J",
+      bbox: [49.74, 7.66, 50.09, 8.41],
+      polygons: [[[[50.081,7.767],[50.054,7.777],[50.012,7.853],[49.973,7.877],[49.978,7.967],[50.035,8.19],[50.027,8.204],[50.003,8.156],[49.965,8.147],[49.947,8.243],[49.909,8.225],[49.895,8.249],[49.941,8.28],[49.941,8.343],[49.913,8.355],[49.88,8.344],[49.856,8.384],[49.825,8.378],[49.804,8.4],[49.782,8.355],[49.784,8.313],[49.749,8.287],[49.768,8.234],[49.823,8.234],[49.824,8.195],[49.843,8.189],[49.853,8.215],[49.9,8.177],[49.886,8.053],[49.871,8.065],[49.833,7.964],[49.842,7.953],[49.857,7.967],[49.881,7.948],[49.882,7.919],[49.93,7.898],[49.943,7.845],[49.934,7.811],[49.938,7.802],[49.957,7.818],[50.013,7.7],[50.032,7.692],[50.033,7.665],[50.081,7.767]]]],
+    },
+    107340000: {
+      name: "Kreis Südwestpfalz",
+      nuts: "DEB3K",
+      bbox: [49.03, 7.32, 49.38, 7.92],
+      polygons: [[[[49.374,7.608],[49.359,7.629],[49.344,7.625],[49.332,7.67],[49.345,7.759],[49.31,7.776],[49.333,7.856],[49.283,7.872],[49.27,7.832],[49.247,7.825],[49.257,7.849],[49.247,7.881],[49.232,7.869],[49.233,7.901],[49.211,7.9],[49.203,7.917],[49.191,7.888],[49.178,7.917],[49.143,7.892],[49.156,7.863],[49.133,7.846],[49.116,7.864],[49.115,7.911],[49.055,7.88],[49.045,7.911],[49.033,7.867],[49.066,7.794],[49.046,7.761],[49.055,7.631],[49.074,7.629],[49.097,7.529],[49.136,7.49],[49.151,7.506],[49.169,7.494],[49.165,7.433],[49.184,7.446],[49.172,7.365],[49.158,7.363],[49.189,7.32],[49.218,7.362],[49.219,7.424],[49.235,7.401],[49.258,7.41],[49.269,7.448],[49.286,7.409],[49.316,7.406],[49.319,7.378],[49.346,7.404],[49.363,7.393],[49.34,7.486],[49.356,7.503],[49.336,7.523],[49.372,7.572],[49.374,7.608]],[[49.235,7.571],[49.212,7.514],[49.2,7.515],[49.165,7.564],[49.174,7.594],[49.141,7.577],[49.164,7.637],[49.178,7.633],[49.187,7.656],[49.229,7.673],[49.218,7.615],[49.235,7.571]]]],
+    },
+    108111000: {
+      name: "Stuttgart",
+      nuts: "DE111",
+      bbox: [48.68, 9.03, 48.87, 9.32],
+      polygons: [[[[48.866,9.225],[48.81,9.257],[48.794,9.248],[48.778,9.315],[48.731,9.214],[48.695,9.245],[48.71,9.098],[48.741,9.039],[48.755,9.078],[48.835,9.088],[48.822,9.113],[48.828,9.138],[48.861,9.141],[48.848,9.19],[48.866,9.225]]]],
+    },
+    108115000: {
+      name: "Kreis Böblingen",
+      nuts: "DE112",
+      bbox: [48.49, 8.74, 48.87, 9.18],
+      polygons: [[[[48.866,8.938],[48.83,8.966],[48.821,9.043],[48.799,9.03],[48.749,9.068],[48.741,9.039],[48.709,9.105],[48.705,9.095],[48.691,9.112],[48.674,9.088],[48.677,9.128],[48.634,9.174],[48.618,9.144],[48.604,9.151],[48.6,9.121],[48.622,9.096],[48.589,9.079],[48.593,9.052],[48.577,9.035],[48.588,8.952],[48.577,8.936],[48.568,8.945],[48.564,8.89],[48.542,8.887],[48.537,8.851],[48.516,8.865],[48.5,8.847],[48.525,8.756],[48.55,8.773],[48.571,8.75],[48.605,8.748],[48.594,8.795],[48.659,8.799],[48.685,8.851],[48.725,8.879],[48.736,8.829],[48.754,8.835],[48.775,8.8],[48.798,8.833],[48.799,8.898],[48.819,8.9],[48.817,8.872],[48.83,8.886],[48.838,8.873],[48.866,8.938]]]],
+    },
+    108116000: {
+      name: "Kreis Esslingen",
+      nuts: "DE113",
+      bbox: [48.51, 9.08, 48.79, 9.6],
+      polygons: [[[[48.781,9.403],[48.758,9.416],[48.777,9.446],[48.751,9.511],[48.727,9.487],[48.669,9.491],[48.656,9.555],[48.641,9.556],[48.633,9.535],[48.617,9.593],[48.575,9.594],[48.552,9.561],[48.539,9.582],[48.527,9.53],[48.514,9.531],[48.527,9.505],[48.514,9.505],[48.512,9.474],[48.531,9.49],[48.544,9.464],[48.531,9.393],[48.549,9.339],[48.541,9.324],[48.581,9.312],[48.566,9.295],[48.578,9.241],[48.568,9.216],[48.588,9.198],[48.603,9.205],[48.604,9.151],[48.618,9.144],[48.634,9.174],[48.658,9.155],[48.677,9.127],[48.675,9.086],[48.691,9.112],[48.705,9.095],[48.709,9.105],[48.695,9.245],[48.729,9.213],[48.744,9.261],[48.77,9.276],[48.781,9.403]]],[[[48.59,9.16],[48.59,9.18],[48.61,9.18],[48.61,9.16],[48.59,9.16]]]],
+    },
+    108117000: {
+      name: "Kreis Göppingen",
+      nuts: "DE114",
+      bbox: [48.51, 9.48, 48.79, 10],
+      polygons: [[[[48.781,9.588],[48.769,9.615],[48.775,9.743],[48.752,9.753],[48.745,9.781],[48.717,9.806],[48.73,9.839],[48.716,9.903],[48.73,9.907],[48.725,9.896],[48.751,9.883],[48.754,9.91],[48.73,9.933],[48.728,9.987],[48.714,9.995],[48.698,9.963],[48.672,9.969],[48.661,9.926],[48.637,9.921],[48.632,9.944],[48.622,9.892],[48.599,9.881],[48.586,9.839],[48.558,9.814],[48.563,9.73],[48.547,9.723],[48.541,9.696],[48.518,9.689],[48.519,9.656],[48.537,9.633],[48.549,9.562],[48.575,9.594],[48.612,9.596],[48.633,9.535],[48.641,9.556],[48.656,9.555],[48.669,9.491],[48.727,9.487],[48.759,9.505],[48.742,9.553],[48.751,9.581],[48.767,9.589],[48.776,9.571],[48.781,9.588]]]],
+    },
+    108118000: {
+      name: "Kreis Ludwigsburg",
+      nuts: "DE115",
+      bbox: [48.75, 8.87, 49.07, 9.42],
+      polygons: [[[[49.063,9.125],[49.02,9.237],[49.044,9.283],[49.032,9.295],[49.035,9.4],[49,9.326],[48.967,9.368],[48.948,9.304],[48.909,9.375],[48.904,9.315],[48.863,9.294],[48.863,9.26],[48.846,9.24],[48.867,9.221],[48.848,9.19],[48.861,9.141],[48.828,9.138],[48.822,9.113],[48.838,9.092],[48.815,9.077],[48.783,9.086],[48.754,9.074],[48.799,9.03],[48.821,9.043],[48.83,8.966],[48.856,8.957],[48.872,8.924],[48.91,8.907],[48.92,8.926],[48.924,8.901],[48.938,8.903],[48.942,8.948],[48.962,8.945],[48.982,8.92],[48.991,8.933],[49.008,8.919],[49.035,8.876],[49.041,8.974],[49.022,9.008],[49.026,9.06],[49.046,9.067],[49.063,9.125]]],[[[49.062,9.414],[49.045,9.412],[49.049,9.382],[49.062,9.414]]]],
+    },
+    108119000: {
+      name: "Rems-Murr-Kreis",
+      nuts: "DE116",
+      bbox: [48.74, 9.23, 49.08, 9.77],
+      polygons: [[[[49.076,9.505],[49.047,9.571],[49.05,9.615],[49.046,9.596],[49.036,9.613],[49.007,9.598],[48.99,9.676],[48.986,9.664],[48.972,9.677],[48.967,9.652],[48.964,9.693],[48.946,9.696],[48.94,9.674],[48.929,9.701],[48.912,9.702],[48.899,9.744],[48.874,9.741],[48.854,9.766],[48.849,9.753],[48.83,9.766],[48.814,9.72],[48.829,9.708],[48.82,9.64],[48.808,9.651],[48.788,9.62],[48.773,9.626],[48.78,9.574],[48.767,9.589],[48.751,9.581],[48.741,9.548],[48.775,9.473],[48.775,9.436],[48.758,9.416],[48.788,9.393],[48.77,9.386],[48.766,9.336],[48.792,9.29],[48.794,9.248],[48.81,9.257],[48.842,9.237],[48.861,9.256],[48.863,9.294],[48.904,9.315],[48.915,9.378],[48.948,9.304],[48.971,9.371],[49,9.326],[49.02,9.384],[49.044,9.4],[49.048,9.435],[49.073,9.452],[49.076,9.505]]]],
+    },
+    108121000: {
+      name: "Heilbronn",
+      nuts: "DE117",
+      bbox: [49.09, 9.04, 49.22, 9.31],
+      polygons: [[[[49.21,9.118],[49.188,9.213],[49.171,9.221],[49.163,9.258],[49.122,9.275],[49.114,9.301],[49.113,9.202],[49.094,9.16],[49.125,9.131],[49.15,9.161],[49.197,9.045],[49.196,9.106],[49.21,9.118]]]],
+    },
+    108125000: {
+      name: "Kreis Heilbronn",
+      nuts: "DE118",
+      bbox: [49.02, 8.81, 49.39, 9.53],
+      polygons: [[[[49.387,9.333],[49.366,9.355],[49.36,9.455],[49.322,9.473],[49.312,9.519],[49.29,9.439],[49.246,9.414],[49.22,9.452],[49.174,9.343],[49.149,9.387],[49.151,9.432],[49.132,9.42],[49.118,9.448],[49.096,9.438],[49.113,9.457],[49.112,9.488],[49.138,9.485],[49.134,9.508],[49.114,9.508],[49.109,9.527],[49.103,9.502],[49.076,9.497],[49.073,9.452],[49.048,9.435],[49.048,9.414],[49.064,9.411],[49.059,9.385],[49.038,9.398],[49.032,9.295],[49.044,9.283],[49.02,9.237],[49.065,9.119],[49.045,9.065],[49.026,9.06],[49.022,9.008],[49.041,8.974],[49.037,8.872],[49.064,8.879],[49.072,8.864],[49.081,8.891],[49.111,8.892],[49.132,8.87],[49.127,8.826],[49.15,8.842],[49.158,8.818],[49.194,8.818],[49.174,8.873],[49.182,8.896],[49.202,8.887],[49.213,8.957],[49.242,9.006],[49.265,8.998],[49.257,9.021],[49.278,9.042],[49.299,9.022],[49.278,9.072],[49.274,9.15],[49.294,9.131],[49.295,9.155],[49.329,9.162],[49.298,9.252],[49.387,9.333]],[[49.211,9.114],[49.196,9.106],[49.197,9.045],[49.15,9.161],[49.125,9.131],[49.094,9.16],[49.113,9.202],[49.114,9.301],[49.122,9.275],[49.163,9.258],[49.171,9.221],[49.188,9.213],[49.211,9.114]]]],
+    },
+    108126000: {
+      name: "Hohenlohekreis",
+      nuts: "DE119",
+      bbox: [49.09, 9.34, 49.44, 9.87],
+      polygons: [[[[49.43,9.619],[49.407,9.672],[49.418,9.705],[49.399,9.712],[49.394,9.775],[49.408,9.8],[49.388,9.811],[49.394,9.83],[49.364,9.858],[49.35,9.843],[49.313,9.855],[49.309,9.841],[49.305,9.86],[49.29,9.86],[49.28,9.82],[49.265,9.827],[49.259,9.815],[49.246,9.758],[49.225,9.765],[49.227,9.733],[49.211,9.754],[49.198,9.748],[49.19,9.697],[49.142,9.668],[49.145,9.649],[49.13,9.65],[49.137,9.607],[49.152,9.606],[49.133,9.58],[49.119,9.613],[49.105,9.609],[49.133,9.554],[49.121,9.532],[49.102,9.536],[49.14,9.492],[49.112,9.488],[49.113,9.457],[49.096,9.438],[49.118,9.448],[49.132,9.42],[49.151,9.432],[49.149,9.387],[49.174,9.343],[49.22,9.452],[49.246,9.414],[49.29,9.439],[49.31,9.52],[49.324,9.471],[49.355,9.465],[49.366,9.44],[49.391,9.446],[49.375,9.571],[49.392,9.594],[49.416,9.57],[49.43,9.619]]]],
+    },
+    108127000: {
+      name: "Kreis Schwäbisch Hall",
+      nuts: "DE11A",
+      bbox: [48.91, 9.49, 49.4, 10.27],
+      polygons: [[[[49.395,10.108],[49.356,10.125],[49.342,10.103],[49.326,10.14],[49.3,10.132],[49.281,10.157],[49.258,10.11],[49.253,10.133],[49.247,10.12],[49.209,10.14],[49.2,10.125],[49.182,10.181],[49.156,10.197],[49.163,10.218],[49.149,10.248],[49.129,10.257],[49.098,10.205],[49.093,10.251],[49.076,10.234],[49.062,10.264],[49.047,10.236],[49.041,10.198],[49.06,10.183],[49.037,10.115],[49.053,10.02],[49.033,9.988],[49.045,9.981],[49.02,9.974],[49.019,9.992],[48.982,10.014],[48.974,9.942],[48.958,9.934],[48.969,9.918],[48.919,9.879],[48.918,9.835],[48.926,9.828],[48.935,9.844],[48.944,9.797],[48.956,9.797],[48.951,9.758],[48.976,9.724],[48.956,9.713],[48.967,9.652],[48.972,9.677],[48.986,9.664],[48.99,9.676],[49.007,9.598],[49.036,9.613],[49.046,9.596],[49.05,9.615],[49.047,9.571],[49.079,9.501],[49.103,9.502],[49.104,9.539],[49.119,9.531],[49.133,9.546],[49.105,9.609],[49.119,9.613],[49.133,9.58],[49.151,9.603],[49.137,9.607],[49.127,9.645],[49.19,9.697],[49.195,9.745],[49.211,9.754],[49.227,9.733],[49.225,9.765],[49.246,9.758],[49.259,9.815],[49.265,9.827],[49.28,9.82],[49.29,9.86],[49.305,9.86],[49.309,9.841],[49.326,9.859],[49.346,9.843],[49.368,9.856],[49.374,9.924],[49.352,9.935],[49.378,9.978],[49.369,10.04],[49.385,10.032],[49.395,10.108]]]],
+    },
+    108128000: {
+      name: "Main-Tauber-Kreis",
+      nuts: "DE11B",
+      bbox: [49.35, 9.29, 49.8, 10.17],
+      polygons: [[[[49.781,9.651],[49.754,9.638],[49.736,9.646],[49.732,9.628],[49.723,9.641],[49.693,9.632],[49.693,9.676],[49.716,9.677],[49.727,9.71],[49.688,9.729],[49.731,9.794],[49.704,9.832],[49.682,9.841],[49.665,9.822],[49.61,9.873],[49.556,9.812],[49.546,9.859],[49.579,9.876],[49.586,9.912],[49.565,9.898],[49.552,9.927],[49.493,9.914],[49.48,9.952],[49.486,10.021],[49.517,10.057],[49.529,10.04],[49.544,10.084],[49.514,10.081],[49.511,10.121],[49.492,10.1],[49.464,10.122],[49.448,10.095],[49.437,10.134],[49.412,10.152],[49.403,10.139],[49.39,10.161],[49.393,10.068],[49.385,10.032],[49.369,10.04],[49.378,9.978],[49.352,9.935],[49.374,9.924],[49.369,9.844],[49.381,9.846],[49.388,9.811],[49.408,9.8],[49.394,9.748],[49.399,9.712],[49.418,9.705],[49.413,9.638],[49.43,9.642],[49.426,9.606],[49.45,9.55],[49.439,9.51],[49.472,9.517],[49.486,9.492],[49.503,9.495],[49.525,9.546],[49.537,9.522],[49.587,9.499],[49.602,9.512],[49.601,9.544],[49.634,9.547],[49.665,9.406],[49.671,9.398],[49.696,9.422],[49.729,9.4],[49.704,9.357],[49.719,9.344],[49.728,9.374],[49.741,9.296],[49.744,9.323],[49.768,9.316],[49.77,9.392],[49.789,9.424],[49.769,9.457],[49.788,9.503],[49.764,9.515],[49.766,9.546],[49.745,9.561],[49.781,9.563],[49.791,9.649],[49.781,9.651]]]],
+    },
+    108135000: {
+      name: "Kreis Heidenheim",
+      nuts: "DE11C",
+      bbox: [48.5, 9.92, 48.79, 10.5],
+      polygons: [[[[48.775,10.151],[48.748,10.175],[48.777,10.18],[48.783,10.221],[48.739,10.332],[48.732,10.319],[48.73,10.358],[48.748,10.386],[48.728,10.448],[48.736,10.462],[48.708,10.483],[48.703,10.472],[48.688,10.496],[48.661,10.411],[48.693,10.437],[48.699,10.409],[48.653,10.361],[48.689,10.337],[48.683,10.318],[48.704,10.269],[48.655,10.26],[48.609,10.323],[48.59,10.293],[48.577,10.31],[48.537,10.302],[48.527,10.315],[48.511,10.247],[48.515,10.216],[48.559,10.187],[48.556,10.113],[48.607,10.04],[48.595,9.965],[48.615,9.969],[48.637,9.921],[48.667,9.932],[48.672,9.969],[48.698,9.963],[48.705,9.992],[48.727,9.988],[48.733,10.016],[48.762,10.017],[48.747,10.071],[48.766,10.134],[48.787,10.152],[48.775,10.151]]],[[[48.5,10.23],[48.5,10.25],[48.51,10.25],[48.51,10.23],[48.5,10.23]]]],
+    },
+    108136000: {
+      name: "Ostalbkreis",
+      nuts: "DE11D",
+      bbox: [48.71, 9.61, 49.07, 10.46],
+      polygons: [[[[49.043,10.192],[49.06,10.252],[49.039,10.252],[49.028,10.35],[49.006,10.352],[48.986,10.401],[48.967,10.404],[48.939,10.451],[48.933,10.438],[48.917,10.457],[48.906,10.421],[48.887,10.454],[48.852,10.453],[48.843,10.427],[48.825,10.45],[48.799,10.421],[48.788,10.435],[48.771,10.432],[48.772,10.413],[48.744,10.424],[48.732,10.319],[48.739,10.332],[48.783,10.221],[48.777,10.18],[48.748,10.175],[48.787,10.152],[48.766,10.134],[48.747,10.071],[48.765,10.024],[48.733,10.016],[48.726,9.997],[48.73,9.933],[48.754,9.91],[48.751,9.883],[48.725,9.896],[48.73,9.907],[48.716,9.903],[48.73,9.839],[48.717,9.806],[48.745,9.781],[48.752,9.753],[48.775,9.743],[48.78,9.619],[48.807,9.65],[48.82,9.64],[48.829,9.708],[48.814,9.72],[48.833,9.769],[48.874,9.741],[48.899,9.744],[48.912,9.702],[48.929,9.701],[48.94,9.674],[48.946,9.696],[48.964,9.693],[48.956,9.713],[48.976,9.724],[48.951,9.758],[48.956,9.797],[48.944,9.797],[48.935,9.844],[48.926,9.828],[48.918,9.835],[48.918,9.875],[48.967,9.914],[48.959,9.938],[48.974,9.942],[48.982,10.014],[49.019,9.992],[49.02,9.974],[49.045,9.981],[49.033,9.988],[49.053,10.02],[49.037,10.115],[49.06,10.183],[49.043,10.192]]],[[[48.72,9.76],[48.72,9.79],[48.74,9.79],[48.74,9.76],[48.72,9.76]]]],
+    },
+    108211000: {
+      name: "Baden-Baden",
+      nuts: "DE121",
+      bbox: [48.66, 8.1, 48.85, 8.33],
+      polygons: [[[[48.847,8.158],[48.826,8.222],[48.794,8.254],[48.789,8.295],[48.765,8.28],[48.74,8.315],[48.703,8.318],[48.669,8.275],[48.667,8.241],[48.701,8.229],[48.728,8.109],[48.753,8.202],[48.79,8.146],[48.835,8.192],[48.83,8.163],[48.847,8.158]]],[[[48.73,8.11],[48.73,8.13],[48.75,8.13],[48.75,8.11],[48.73,8.11]]],[[[48.74,8.12],[48.74,8.14],[48.76,8.14],[48.76,8.12],[48.74,8.12]]],[[[48.75,8.12],[48.75,8.13],[48.77,8.13],[48.77,8.12],[48.75,8.12]]]],
+    },
+    108212000: {
+      name: "Karlsruhe",
+      nuts: "DE122",
+      bbox: [48.94, 8.27, 49.1, 8.55],
+      polygons: [[[[49.091,8.429],[49.051,8.449],[49.04,8.472],[49.061,8.482],[49.031,8.52],[48.993,8.5],[48.967,8.509],[48.954,8.54],[48.941,8.462],[48.946,8.439],[48.963,8.452],[48.971,8.439],[48.957,8.388],[48.974,8.381],[48.992,8.33],[48.99,8.277],[49.08,8.34],[49.065,8.348],[49.063,8.409],[49.091,8.429]]]],
+    },
+    108215000: {
+      name: "Kreis Karlsruhe",
+      nuts: "DE123",
+      bbox: [48.81, 8.25, 49.3, 8.9],
+      polygons: [[[[49.268,8.525],[49.23,8.675],[49.237,8.726],[49.206,8.753],[49.202,8.814],[49.189,8.826],[49.158,8.818],[49.15,8.842],[49.127,8.826],[49.131,8.871],[49.115,8.89],[49.085,8.893],[49.077,8.867],[49.058,8.878],[49.062,8.836],[49.038,8.839],[49.045,8.755],[49.027,8.733],[49.002,8.739],[48.99,8.724],[48.993,8.672],[49.007,8.659],[48.99,8.644],[48.99,8.577],[48.953,8.541],[48.927,8.536],[48.92,8.554],[48.9,8.518],[48.869,8.52],[48.845,8.468],[48.82,8.494],[48.813,8.437],[48.859,8.405],[48.854,8.365],[48.84,8.363],[48.863,8.306],[48.886,8.288],[48.913,8.295],[48.935,8.355],[48.953,8.272],[48.969,8.258],[48.99,8.277],[48.992,8.33],[48.974,8.381],[48.957,8.388],[48.971,8.439],[48.963,8.452],[48.946,8.439],[48.941,8.462],[48.954,8.54],[48.967,8.509],[48.993,8.5],[49.031,8.52],[49.061,8.482],[49.04,8.472],[49.051,8.448],[49.072,8.427],[49.092,8.436],[49.081,8.412],[49.063,8.409],[49.065,8.348],[49.08,8.34],[49.103,8.36],[49.169,8.369],[49.219,8.405],[49.22,8.385],[49.238,8.393],[49.29,8.487],[49.268,8.525]]],[[[48.841,8.382],[48.831,8.379],[48.84,8.366],[48.841,8.382]]]],
+    },
+    108216000: {
+      name: "Kreis Rastatt",
+      nuts: "DE124",
+      bbox: [48.58, 7.95, 48.99, 8.49],
+      polygons: [[[[48.958,8.261],[48.935,8.355],[48.913,8.295],[48.886,8.288],[48.859,8.311],[48.84,8.36],[48.854,8.365],[48.853,8.412],[48.831,8.417],[48.84,8.366],[48.822,8.404],[48.809,8.408],[48.804,8.39],[48.792,8.426],[48.744,8.422],[48.764,8.462],[48.757,8.485],[48.724,8.476],[48.717,8.458],[48.7,8.467],[48.695,8.439],[48.658,8.445],[48.637,8.389],[48.62,8.382],[48.61,8.349],[48.6,8.357],[48.587,8.288],[48.603,8.222],[48.603,8.247],[48.611,8.233],[48.629,8.241],[48.628,8.2],[48.657,8.14],[48.65,8.113],[48.673,8.074],[48.69,7.973],[48.705,7.991],[48.719,7.96],[48.758,7.972],[48.761,8.014],[48.787,8.03],[48.808,8.094],[48.888,8.135],[48.958,8.199],[48.981,8.261],[48.958,8.261]],[[48.847,8.155],[48.83,8.163],[48.835,8.192],[48.79,8.146],[48.753,8.202],[48.728,8.109],[48.701,8.229],[48.667,8.241],[48.669,8.275],[48.703,8.318],[48.74,8.315],[48.765,8.28],[48.789,8.295],[48.794,8.254],[48.826,8.222],[48.847,8.155]]],[[[48.73,8.2],[48.73,8.22],[48.75,8.22],[48.75,8.2],[48.73,8.2]]],[[[48.71,8.21],[48.71,8.23],[48.73,8.23],[48.73,8.21],[48.71,8.21]]],[[[48.74,8.19],[48.74,8.2],[48.75,8.2],[48.75,8.19],[48.74,8.19]]]],
+    },
+    108221000: {
+      name: "Heidelberg",
+      nuts: "DE125",
+      bbox: [49.35, 8.57, 49.46, 8.8],
+      polygons: [[[[49.459,8.746],[49.432,8.788],[49.405,8.794],[49.388,8.763],[49.379,8.769],[49.375,8.726],[49.357,8.724],[49.352,8.655],[49.371,8.646],[49.354,8.62],[49.366,8.601],[49.389,8.648],[49.413,8.632],[49.416,8.574],[49.443,8.628],[49.447,8.746],[49.459,8.746]]]],
+    },
+    108222000: {
+      name: "Mannheim",
+      nuts: "DE126",
+      bbox: [49.41, 8.41, 49.6, 8.6],
+      polygons: [[[[49.585,8.473],[49.521,8.553],[49.519,8.583],[49.502,8.588],[49.477,8.546],[49.46,8.59],[49.416,8.574],[49.411,8.497],[49.44,8.504],[49.45,8.443],[49.47,8.464],[49.562,8.415],[49.583,8.422],[49.585,8.473]]]],
+    },
+    108225000: {
+      name: "Neckar-Odenwald-Kreis",
+      nuts: "DE127",
+      bbox: [49.27, 8.93, 49.67, 9.61],
+      polygons: [[[[49.663,9.415],[49.631,9.55],[49.601,9.544],[49.602,9.512],[49.587,9.499],[49.537,9.522],[49.525,9.546],[49.503,9.495],[49.488,9.492],[49.474,9.517],[49.439,9.51],[49.45,9.55],[49.431,9.601],[49.416,9.57],[49.392,9.594],[49.375,9.571],[49.375,9.508],[49.397,9.465],[49.357,9.427],[49.366,9.355],[49.388,9.328],[49.298,9.252],[49.329,9.162],[49.295,9.155],[49.294,9.131],[49.274,9.15],[49.272,9.121],[49.286,9.051],[49.323,9.051],[49.341,8.973],[49.372,8.943],[49.393,8.943],[49.394,8.978],[49.42,8.985],[49.427,9.001],[49.415,9.016],[49.445,9.048],[49.472,9.025],[49.499,9.086],[49.509,9.07],[49.523,9.077],[49.517,9.126],[49.543,9.085],[49.577,9.103],[49.581,9.239],[49.615,9.285],[49.634,9.271],[49.655,9.304],[49.644,9.344],[49.659,9.368],[49.643,9.384],[49.663,9.415]]]],
+    },
+    108226000: {
+      name: "Rhein-Neckar-Kreis",
+      nuts: "DE128",
+      bbox: [49.17, 8.45, 49.63, 9.11],
+      polygons: [[[[49.626,8.679],[49.619,8.694],[49.609,8.673],[49.596,8.698],[49.576,8.681],[49.535,8.703],[49.525,8.736],[49.518,8.728],[49.512,8.799],[49.525,8.822],[49.492,8.831],[49.504,8.9],[49.467,8.876],[49.484,8.852],[49.469,8.827],[49.43,8.836],[49.411,8.801],[49.395,8.822],[49.408,8.83],[49.396,8.854],[49.443,8.901],[49.455,8.95],[49.471,8.932],[49.482,8.955],[49.506,8.952],[49.499,9.043],[49.53,9.065],[49.526,9.083],[49.509,9.07],[49.499,9.086],[49.472,9.025],[49.445,9.048],[49.421,9.024],[49.424,8.991],[49.4,8.989],[49.388,8.938],[49.341,8.973],[49.323,9.051],[49.293,9.049],[49.299,9.022],[49.278,9.042],[49.257,9.021],[49.265,8.998],[49.242,9.006],[49.213,8.957],[49.202,8.887],[49.182,8.896],[49.174,8.864],[49.202,8.814],[49.206,8.753],[49.237,8.726],[49.228,8.684],[49.265,8.526],[49.318,8.452],[49.376,8.501],[49.389,8.5],[49.373,8.473],[49.387,8.465],[49.418,8.522],[49.414,8.631],[49.389,8.648],[49.366,8.601],[49.352,8.626],[49.371,8.646],[49.352,8.655],[49.357,8.724],[49.375,8.726],[49.379,8.769],[49.388,8.763],[49.405,8.794],[49.43,8.789],[49.46,8.755],[49.447,8.746],[49.443,8.628],[49.425,8.61],[49.426,8.583],[49.46,8.59],[49.477,8.546],[49.545,8.621],[49.611,8.594],[49.626,8.679]]],[[[49.561,9.086],[49.56,9.101],[49.549,9.088],[49.575,9.073],[49.561,9.086]]],[[[49.61,8.68],[49.61,8.69],[49.63,8.69],[49.63,8.68],[49.61,8.68]]]],
+    },
+    108231000: {
+      name: "Pforzheim",
+      nuts: "DE129",
+      bbox: [48.81, 8.62, 48.93, 8.81],
+      polygons: [[[[48.927,8.732],[48.917,8.765],[48.9,8.757],[48.891,8.793],[48.859,8.807],[48.853,8.776],[48.833,8.763],[48.844,8.732],[48.83,8.75],[48.82,8.724],[48.84,8.709],[48.835,8.659],[48.848,8.63],[48.872,8.649],[48.915,8.632],[48.91,8.679],[48.927,8.732]]]],
+    },
+    108235000: {
+      name: "Kreis Calw",
+      nuts: "DE12A",
+      bbox: [48.48, 8.37, 48.84, 8.88],
+      polygons: [[[[48.834,8.394],[48.835,8.417],[48.813,8.438],[48.813,8.52],[48.804,8.533],[48.797,8.517],[48.785,8.538],[48.81,8.56],[48.81,8.609],[48.827,8.612],[48.811,8.664],[48.817,8.696],[48.838,8.695],[48.798,8.73],[48.755,8.834],[48.736,8.829],[48.725,8.879],[48.685,8.851],[48.659,8.799],[48.594,8.795],[48.605,8.748],[48.571,8.75],[48.55,8.773],[48.542,8.758],[48.525,8.756],[48.519,8.772],[48.506,8.761],[48.484,8.693],[48.51,8.674],[48.505,8.606],[48.525,8.605],[48.539,8.629],[48.554,8.598],[48.55,8.559],[48.578,8.576],[48.569,8.563],[48.636,8.406],[48.662,8.448],[48.695,8.439],[48.7,8.467],[48.717,8.458],[48.724,8.476],[48.755,8.485],[48.764,8.462],[48.744,8.422],[48.774,8.433],[48.804,8.39],[48.811,8.409],[48.831,8.379],[48.834,8.394]]]],
+    },
+    108236000: {
+      name: "Enzkreis",
+      nuts: "DE12B",
+      bbox: [48.77, 8.46, 49.07, 8.95],
+      polygons: [[[[49.062,8.845],[49.058,8.879],[49.037,8.872],[49.008,8.919],[48.991,8.933],[48.982,8.92],[48.959,8.946],[48.939,8.941],[48.944,8.904],[48.924,8.901],[48.92,8.926],[48.91,8.907],[48.866,8.929],[48.838,8.873],[48.83,8.886],[48.817,8.872],[48.819,8.9],[48.799,8.898],[48.798,8.833],[48.774,8.782],[48.801,8.725],[48.838,8.698],[48.823,8.742],[48.83,8.75],[48.844,8.732],[48.835,8.769],[48.853,8.776],[48.863,8.809],[48.891,8.793],[48.9,8.757],[48.917,8.765],[48.928,8.747],[48.911,8.63],[48.872,8.649],[48.848,8.63],[48.834,8.693],[48.817,8.696],[48.811,8.664],[48.827,8.612],[48.81,8.609],[48.81,8.56],[48.785,8.53],[48.797,8.517],[48.804,8.533],[48.845,8.468],[48.869,8.52],[48.9,8.518],[48.92,8.554],[48.927,8.536],[48.953,8.541],[48.99,8.577],[48.99,8.644],[49.007,8.659],[48.993,8.672],[48.99,8.724],[49.002,8.739],[49.027,8.733],[49.045,8.755],[49.036,8.829],[49.062,8.845]]]],
+    },
+    108237000: {
+      name: "Kreis Freudenstadt",
+      nuts: "DE12C",
+      bbox: [48.3, 8.2, 48.64, 8.83],
+      polygons: [[[[48.638,8.411],[48.569,8.563],[48.578,8.576],[48.55,8.559],[48.554,8.598],[48.539,8.629],[48.525,8.605],[48.505,8.606],[48.51,8.674],[48.484,8.702],[48.487,8.734],[48.507,8.752],[48.463,8.829],[48.438,8.769],[48.421,8.778],[48.379,8.746],[48.401,8.676],[48.396,8.606],[48.411,8.596],[48.404,8.511],[48.387,8.521],[48.382,8.484],[48.356,8.5],[48.347,8.47],[48.32,8.5],[48.301,8.445],[48.322,8.433],[48.338,8.36],[48.378,8.36],[48.384,8.345],[48.387,8.329],[48.349,8.304],[48.362,8.254],[48.379,8.264],[48.402,8.233],[48.414,8.255],[48.478,8.275],[48.498,8.228],[48.522,8.211],[48.558,8.213],[48.578,8.237],[48.603,8.207],[48.589,8.32],[48.638,8.411]]]],
+    },
+    108311000: {
+      name: "Freiburg im Breisgau",
+      nuts: "DE131",
+      bbox: [47.9, 7.66, 48.08, 7.94],
+      polygons: [[[[48.071,7.815],[48.016,7.898],[48.014,7.878],[48.014,7.927],[47.989,7.93],[47.979,7.914],[47.94,7.925],[47.914,7.909],[47.904,7.871],[47.924,7.862],[47.949,7.879],[47.95,7.856],[47.973,7.837],[47.964,7.803],[47.979,7.756],[47.959,7.701],[47.966,7.662],[48.012,7.708],[48.035,7.708],[48.016,7.769],[48.071,7.815]]]],
+    },
+    108315000: {
+      name: "Kreis Breisgau-Hochschwarzwald",
+      nuts: "DE132",
+      bbox: [47.74, 7.52, 48.12, 8.44],
+      polygons: [[[[48.111,7.587],[48.113,7.75],[48.1,7.763],[48.085,7.756],[48.07,7.824],[48.061,7.796],[48.029,7.789],[48.016,7.769],[48.035,7.708],[48.012,7.708],[47.966,7.662],[47.959,7.678],[47.978,7.726],[47.964,7.803],[47.973,7.837],[47.95,7.856],[47.949,7.879],[47.915,7.862],[47.904,7.885],[47.94,7.925],[47.979,7.914],[47.989,7.93],[48.014,7.927],[48.014,7.878],[48.016,7.898],[48.036,7.855],[48.054,7.852],[48.047,7.917],[48.065,7.921],[48.063,8.067],[47.993,8.164],[47.992,8.314],[47.97,8.315],[47.953,8.27],[47.952,8.314],[47.904,8.41],[47.877,8.439],[47.854,8.439],[47.839,8.37],[47.85,8.259],[47.823,8.212],[47.795,8.227],[47.785,8.208],[47.763,8.232],[47.762,8.195],[47.748,8.193],[47.783,8.183],[47.773,8.154],[47.79,8.117],[47.802,8.125],[47.805,8.099],[47.854,8.075],[47.841,8.018],[47.866,8.013],[47.88,7.896],[47.849,7.878],[47.803,7.777],[47.79,7.776],[47.777,7.663],[47.757,7.62],[47.774,7.616],[47.776,7.574],[47.744,7.546],[47.781,7.53],[47.843,7.563],[47.878,7.556],[47.973,7.622],[48.035,7.569],[48.116,7.577],[48.111,7.587]]]],
+    },
+    108316000: {
+      name: "Kreis Emmendingen",
+      nuts: "DE133",
+      bbox: [48, 7.57, 48.27, 8.19],
+      polygons: [[[[48.26,7.703],[48.237,7.734],[48.242,7.78],[48.225,7.816],[48.234,7.848],[48.202,7.949],[48.21,8.001],[48.224,7.993],[48.234,8.018],[48.208,8.104],[48.226,8.166],[48.202,8.188],[48.184,8.18],[48.164,8.136],[48.14,8.142],[48.132,8.125],[48.1,8.153],[48.085,8.145],[48.076,8.166],[48.064,8.109],[48.041,8.129],[48.027,8.115],[48.009,8.137],[48.063,8.067],[48.052,7.851],[48.086,7.785],[48.085,7.756],[48.1,7.763],[48.113,7.75],[48.116,7.577],[48.257,7.681],[48.26,7.703]]]],
+    },
+    108317000: {
+      name: "Ortenaukreis",
+      nuts: "DE134",
+      bbox: [48.15, 7.68, 48.72, 8.33],
+      polygons: [[[[48.701,7.99],[48.69,7.973],[48.673,8.074],[48.65,8.113],[48.657,8.14],[48.628,8.2],[48.629,8.241],[48.611,8.233],[48.603,8.247],[48.602,8.207],[48.578,8.237],[48.558,8.213],[48.522,8.211],[48.498,8.228],[48.478,8.275],[48.414,8.255],[48.401,8.233],[48.379,8.264],[48.363,8.253],[48.338,8.317],[48.303,8.329],[48.287,8.277],[48.259,8.298],[48.225,8.293],[48.206,8.313],[48.172,8.283],[48.187,8.242],[48.169,8.239],[48.159,8.215],[48.184,8.18],[48.202,8.188],[48.229,8.158],[48.208,8.104],[48.234,8.018],[48.224,7.993],[48.21,8.001],[48.202,7.949],[48.234,7.848],[48.225,7.816],[48.257,7.681],[48.302,7.694],[48.328,7.745],[48.392,7.732],[48.49,7.768],[48.516,7.806],[48.589,7.802],[48.644,7.842],[48.719,7.96],[48.701,7.99]]],[[[48.69,8.04],[48.69,8.08],[48.72,8.08],[48.72,8.04],[48.69,8.04]]],[[[48.69,8.01],[48.69,8.03],[48.7,8.03],[48.7,8.01],[48.69,8.01]]],[[[48.67,8.07],[48.67,8.09],[48.68,8.09],[48.68,8.07],[48.67,8.07]]]],
+    },
+    108325000: {
+      name: "Kreis Rottweil",
+      nuts: "DE135",
+      bbox: [48.07, 8.27, 48.42, 8.76],
+      polygons: [[[[48.405,8.598],[48.379,8.737],[48.35,8.743],[48.328,8.693],[48.315,8.719],[48.289,8.648],[48.259,8.706],[48.223,8.703],[48.201,8.744],[48.182,8.719],[48.165,8.749],[48.144,8.744],[48.119,8.657],[48.071,8.59],[48.113,8.543],[48.13,8.558],[48.146,8.521],[48.167,8.515],[48.169,8.481],[48.182,8.489],[48.182,8.436],[48.156,8.443],[48.174,8.386],[48.159,8.331],[48.172,8.283],[48.206,8.313],[48.225,8.293],[48.259,8.298],[48.287,8.277],[48.3,8.329],[48.349,8.304],[48.387,8.329],[48.378,8.36],[48.335,8.364],[48.322,8.433],[48.301,8.445],[48.32,8.5],[48.347,8.47],[48.356,8.5],[48.382,8.484],[48.387,8.521],[48.404,8.511],[48.405,8.598]]]],
+    },
+    108326000: {
+      name: "Schwarzwald-Baar-Kreis",
+      nuts: "DE136",
+      bbox: [47.77, 8.1, 48.19, 8.67],
+      polygons: [[[[48.176,8.27],[48.159,8.331],[48.174,8.386],[48.156,8.443],[48.182,8.436],[48.182,8.489],[48.169,8.481],[48.167,8.515],[48.146,8.521],[48.13,8.558],[48.113,8.543],[48.1,8.572],[48.08,8.567],[48.05,8.636],[48.034,8.644],[48.015,8.63],[48,8.663],[47.989,8.652],[47.971,8.663],[47.972,8.636],[47.962,8.647],[47.947,8.631],[47.942,8.587],[47.902,8.592],[47.889,8.621],[47.877,8.608],[47.855,8.64],[47.803,8.618],[47.808,8.568],[47.793,8.562],[47.782,8.577],[47.771,8.519],[47.776,8.51],[47.79,8.531],[47.797,8.492],[47.812,8.514],[47.83,8.506],[47.829,8.473],[47.847,8.472],[47.854,8.439],[47.877,8.439],[47.904,8.41],[47.952,8.314],[47.953,8.27],[47.97,8.315],[47.992,8.314],[47.998,8.223],[47.984,8.197],[48.027,8.115],[48.041,8.129],[48.064,8.109],[48.076,8.166],[48.085,8.145],[48.1,8.153],[48.126,8.127],[48.14,8.142],[48.164,8.136],[48.184,8.18],[48.158,8.222],[48.187,8.242],[48.176,8.27]]]],
+    },
+    108327000: {
+      name: "Kreis Tuttlingen",
+      nuts: "DE137",
+      bbox: [47.84, 8.58, 48.19, 9.03],
+      polygons: [[[[48.184,8.8],[48.169,8.831],[48.15,8.832],[48.144,8.86],[48.105,8.885],[48.107,8.954],[48.071,8.997],[48.049,8.934],[48.029,8.953],[48.04,8.971],[48.026,9.008],[47.947,9.021],[47.938,8.979],[47.922,8.973],[47.934,8.953],[47.912,8.88],[47.878,8.845],[47.887,8.818],[47.927,8.821],[47.914,8.799],[47.886,8.806],[47.885,8.736],[47.902,8.724],[47.88,8.709],[47.889,8.69],[47.853,8.692],[47.846,8.655],[47.906,8.59],[47.945,8.588],[47.947,8.631],[47.962,8.647],[47.972,8.636],[47.971,8.663],[47.989,8.652],[48,8.663],[48.015,8.63],[48.034,8.644],[48.05,8.636],[48.085,8.599],[48.14,8.706],[48.144,8.744],[48.183,8.769],[48.184,8.8]]]],
+    },
+    108335000: {
+      name: "Kreis Konstanz",
+      nuts: "DE138",
+      bbox: [47.65, 8.61, 47.95, 9.22],
+      polygons: [[[[47.942,9.078],[47.916,9.067],[47.898,9.147],[47.879,9.149],[47.865,9.131],[47.86,9.139],[47.859,9.118],[47.841,9.12],[47.858,9.07],[47.814,9.083],[47.817,9.04],[47.805,9.031],[47.735,9.173],[47.705,9.18],[47.666,9.218],[47.667,9.178],[47.654,9.176],[47.667,9.128],[47.686,9.112],[47.69,9.054],[47.708,9.041],[47.69,9.109],[47.743,8.99],[47.72,9.015],[47.737,8.961],[47.728,8.94],[47.703,8.999],[47.687,8.999],[47.652,8.894],[47.681,8.851],[47.698,8.852],[47.704,8.873],[47.713,8.819],[47.738,8.806],[47.718,8.77],[47.707,8.769],[47.693,8.81],[47.675,8.79],[47.693,8.728],[47.716,8.736],[47.73,8.711],[47.752,8.741],[47.765,8.714],[47.758,8.689],[47.787,8.681],[47.8,8.657],[47.764,8.645],[47.768,8.619],[47.81,8.615],[47.851,8.637],[47.853,8.692],[47.889,8.69],[47.88,8.709],[47.901,8.722],[47.885,8.736],[47.886,8.806],[47.914,8.799],[47.927,8.821],[47.887,8.818],[47.878,8.845],[47.912,8.88],[47.934,8.953],[47.922,8.973],[47.938,8.979],[47.942,9.078]]],[[[47.715,8.701],[47.691,8.718],[47.691,8.659],[47.698,8.676],[47.713,8.665],[47.715,8.701]]],[[[47.7,9.18],[47.7,9.21],[47.71,9.21],[47.71,9.18],[47.7,9.18]]],[[[47.66,9.12],[47.66,9.13],[47.68,9.13],[47.68,9.12],[47.66,9.12]]],[[[47.72,8.99],[47.72,9.02],[47.73,9.02],[47.73,8.99],[47.72,8.99]]],[[[47.69,9.09],[47.69,9.11],[47.71,9.11],[47.71,9.09],[47.69,9.09]]],[[[47.68,9.1],[47.68,9.11],[47.7,9.11],[47.7,9.1],[47.68,9.1]]],[[[47.68,9.1],[47.68,9.12],[47.69,9.12],[47.69,9.1],[47.68,9.1]]]],
+    },
+    108336000: {
+      name: "Kreis Lörrach",
+      nuts: "DE139",
+      bbox: [47.53, 7.51, 47.89, 8.03],
+      polygons: [[[[47.876,7.904],[47.86,8.022],[47.828,8],[47.772,8.003],[47.76,7.972],[47.743,7.975],[47.73,7.958],[47.714,7.98],[47.695,7.978],[47.672,7.921],[47.645,7.899],[47.645,7.871],[47.59,7.902],[47.587,7.82],[47.555,7.789],[47.533,7.678],[47.561,7.634],[47.566,7.686],[47.587,7.672],[47.601,7.694],[47.578,7.604],[47.632,7.567],[47.664,7.521],[47.7,7.512],[47.722,7.544],[47.776,7.574],[47.774,7.616],[47.757,7.62],[47.777,7.663],[47.79,7.776],[47.876,7.904]]]],
+    },
+    108337000: {
+      name: "Kreis Waldshut",
+      nuts: "DE13A",
+      bbox: [47.54, 7.87, 47.86, 8.63],
+      polygons: [[[[47.857,8.066],[47.805,8.099],[47.802,8.125],[47.79,8.117],[47.773,8.154],[47.783,8.183],[47.748,8.193],[47.762,8.195],[47.763,8.232],[47.785,8.208],[47.795,8.227],[47.823,8.212],[47.85,8.259],[47.839,8.37],[47.85,8.463],[47.829,8.473],[47.83,8.506],[47.812,8.514],[47.797,8.492],[47.788,8.531],[47.749,8.457],[47.722,8.455],[47.698,8.404],[47.684,8.421],[47.673,8.406],[47.657,8.465],[47.638,8.473],[47.65,8.474],[47.646,8.532],[47.66,8.527],[47.67,8.56],[47.672,8.607],[47.65,8.629],[47.643,8.596],[47.613,8.605],[47.596,8.583],[47.6,8.563],[47.612,8.574],[47.624,8.558],[47.634,8.517],[47.618,8.508],[47.602,8.457],[47.584,8.467],[47.581,8.495],[47.567,8.436],[47.571,8.328],[47.61,8.289],[47.605,8.227],[47.621,8.206],[47.582,8.109],[47.558,8.09],[47.548,7.916],[47.645,7.871],[47.645,7.899],[47.672,7.921],[47.695,7.978],[47.714,7.98],[47.73,7.958],[47.743,7.975],[47.76,7.972],[47.772,8.003],[47.828,8],[47.857,8.066]]]],
+    },
+    108415000: {
+      name: "Kreis Reutlingen",
+      nuts: "DE141",
+      bbox: [48.19, 9.11, 48.61, 9.64],
+      polygons: [[[[48.606,9.157],[48.603,9.205],[48.588,9.198],[48.566,9.225],[48.578,9.241],[48.566,9.295],[48.581,9.314],[48.541,9.324],[48.549,9.339],[48.531,9.393],[48.544,9.464],[48.531,9.49],[48.513,9.471],[48.514,9.505],[48.527,9.505],[48.514,9.531],[48.527,9.53],[48.537,9.585],[48.49,9.584],[48.471,9.615],[48.423,9.639],[48.396,9.621],[48.395,9.581],[48.377,9.583],[48.374,9.604],[48.366,9.588],[48.327,9.58],[48.318,9.534],[48.293,9.557],[48.278,9.506],[48.261,9.531],[48.242,9.49],[48.213,9.498],[48.196,9.468],[48.209,9.464],[48.197,9.392],[48.285,9.292],[48.267,9.224],[48.306,9.161],[48.307,9.211],[48.337,9.222],[48.344,9.174],[48.368,9.179],[48.383,9.117],[48.413,9.148],[48.427,9.117],[48.457,9.14],[48.475,9.12],[48.492,9.153],[48.523,9.138],[48.524,9.167],[48.539,9.176],[48.567,9.126],[48.601,9.129],[48.606,9.157]]],[[[48.54,9.14],[48.54,9.15],[48.55,9.15],[48.55,9.14],[48.54,9.14]]],[[[48.58,9.11],[48.58,9.13],[48.59,9.13],[48.59,9.11],[48.58,9.11]]]],
+    },
+    108416000: {
+      name: "Kreis Tübingen",
+      nuts: "DE142",
+      bbox: [48.36, 8.75, 48.63, 9.18],
+      polygons: [[[[48.617,9.107],[48.6,9.132],[48.567,9.126],[48.539,9.176],[48.524,9.167],[48.523,9.138],[48.492,9.153],[48.475,9.12],[48.457,9.14],[48.427,9.117],[48.413,9.148],[48.383,9.117],[48.371,9.13],[48.363,9.073],[48.366,9.058],[48.377,9.071],[48.371,9.024],[48.387,9.001],[48.397,8.875],[48.418,8.873],[48.406,8.832],[48.417,8.767],[48.447,8.78],[48.463,8.829],[48.504,8.756],[48.524,8.77],[48.5,8.847],[48.516,8.865],[48.537,8.851],[48.542,8.887],[48.564,8.89],[48.568,8.945],[48.577,8.936],[48.591,8.978],[48.577,9.035],[48.593,9.052],[48.589,9.079],[48.612,9.081],[48.617,9.107]]]],
+    },
+    108417000: {
+      name: "Zollernalbkreis",
+      nuts: "DE143",
+      bbox: [48.1, 8.64, 48.42, 9.23],
+      polygons: [[[[48.416,8.796],[48.406,8.832],[48.418,8.873],[48.397,8.875],[48.387,9.001],[48.371,9.024],[48.377,9.071],[48.366,9.058],[48.363,9.073],[48.368,9.179],[48.351,9.169],[48.339,9.22],[48.315,9.216],[48.313,9.162],[48.272,9.187],[48.253,9.107],[48.236,9.112],[48.21,9.186],[48.181,9.174],[48.171,9.189],[48.134,9.159],[48.157,9.112],[48.16,9.01],[48.124,8.984],[48.104,8.939],[48.105,8.885],[48.185,8.809],[48.183,8.769],[48.16,8.755],[48.171,8.726],[48.182,8.719],[48.201,8.744],[48.21,8.713],[48.259,8.706],[48.269,8.666],[48.281,8.684],[48.293,8.649],[48.315,8.719],[48.328,8.693],[48.35,8.743],[48.376,8.736],[48.383,8.759],[48.39,8.749],[48.414,8.766],[48.416,8.796]]]],
+    },
+    108421000: {
+      name: "Ulm",
+      nuts: "DE144",
+      bbox: [48.3, 9.84, 48.47, 10.05],
+      polygons: [[[[48.463,9.982],[48.464,10.021],[48.43,10.042],[48.374,9.967],[48.363,10],[48.338,9.974],[48.328,9.992],[48.316,9.959],[48.307,9.964],[48.312,9.921],[48.32,9.907],[48.339,9.929],[48.351,9.913],[48.341,9.891],[48.354,9.848],[48.374,9.846],[48.376,9.869],[48.396,9.875],[48.408,9.941],[48.422,9.925],[48.431,9.942],[48.423,9.909],[48.443,9.915],[48.463,9.982]]]],
+    },
+    108425000: {
+      name: "Alb-Donau-Kreis",
+      nuts: "DE145",
+      bbox: [48.14, 9.48, 48.64, 10.25],
+      polygons: [[[[48.631,9.948],[48.612,9.971],[48.595,9.965],[48.607,10.04],[48.556,10.113],[48.559,10.187],[48.541,10.191],[48.533,10.215],[48.517,10.213],[48.508,10.238],[48.507,10.227],[48.492,10.241],[48.476,10.18],[48.458,10.172],[48.455,10.134],[48.477,10.105],[48.456,10.06],[48.467,9.973],[48.449,9.965],[48.435,9.906],[48.421,9.918],[48.431,9.942],[48.422,9.925],[48.408,9.941],[48.409,9.912],[48.374,9.846],[48.354,9.848],[48.341,9.926],[48.32,9.907],[48.312,9.921],[48.307,9.964],[48.316,9.959],[48.328,9.992],[48.334,9.974],[48.348,9.983],[48.343,10.01],[48.282,10.066],[48.24,10.061],[48.21,10.084],[48.159,10.092],[48.142,10.05],[48.151,10.009],[48.153,10.035],[48.182,10.045],[48.19,10.069],[48.196,10.038],[48.217,10.029],[48.228,10.04],[48.231,10.02],[48.248,10.013],[48.244,9.991],[48.269,9.982],[48.269,9.926],[48.286,9.921],[48.293,9.896],[48.294,9.882],[48.246,9.845],[48.251,9.804],[48.238,9.786],[48.232,9.795],[48.227,9.764],[48.193,9.746],[48.189,9.726],[48.176,9.744],[48.179,9.688],[48.157,9.66],[48.189,9.643],[48.186,9.617],[48.2,9.624],[48.207,9.596],[48.19,9.546],[48.223,9.524],[48.233,9.49],[48.261,9.531],[48.281,9.508],[48.293,9.557],[48.318,9.534],[48.327,9.58],[48.366,9.588],[48.375,9.604],[48.377,9.583],[48.395,9.581],[48.396,9.621],[48.423,9.639],[48.471,9.615],[48.49,9.584],[48.54,9.587],[48.517,9.687],[48.562,9.726],[48.558,9.814],[48.586,9.839],[48.599,9.881],[48.622,9.892],[48.631,9.948]]]],
+    },
+    108426000: {
+      name: "Kreis Biberach",
+      nuts: "DE146",
+      bbox: [47.94, 9.26, 48.3, 10.15],
+      polygons: [[[[48.294,9.885],[48.286,9.921],[48.269,9.926],[48.269,9.982],[48.244,9.991],[48.248,10.013],[48.231,10.02],[48.228,10.04],[48.217,10.029],[48.196,10.038],[48.19,10.069],[48.182,10.045],[48.153,10.035],[48.151,10.009],[48.142,10.05],[48.164,10.095],[48.131,10.108],[48.111,10.136],[48.059,10.144],[47.976,10.115],[47.975,10.07],[47.946,10.036],[47.953,10.007],[47.97,10.008],[47.959,9.953],[47.985,9.91],[47.981,9.869],[47.954,9.839],[47.951,9.792],[47.957,9.767],[47.971,9.773],[47.971,9.712],[47.983,9.702],[47.967,9.685],[47.965,9.624],[48.01,9.604],[48.066,9.527],[48.076,9.456],[48.102,9.412],[48.094,9.354],[48.149,9.289],[48.152,9.26],[48.163,9.299],[48.189,9.32],[48.224,9.308],[48.24,9.348],[48.197,9.392],[48.209,9.464],[48.196,9.468],[48.213,9.498],[48.233,9.497],[48.223,9.524],[48.19,9.546],[48.207,9.596],[48.2,9.624],[48.186,9.617],[48.189,9.643],[48.157,9.66],[48.179,9.688],[48.172,9.731],[48.183,9.746],[48.189,9.726],[48.193,9.746],[48.227,9.764],[48.232,9.795],[48.238,9.786],[48.251,9.804],[48.246,9.845],[48.294,9.885]]]],
+    },
+    108435000: {
+      name: "Bodenseekreis",
+      nuts: "DE147",
+      bbox: [47.58, 9.06, 47.89, 9.75],
+      polygons: [[[[47.88,9.271],[47.859,9.288],[47.862,9.338],[47.817,9.403],[47.825,9.449],[47.811,9.436],[47.808,9.463],[47.774,9.434],[47.756,9.454],[47.754,9.499],[47.733,9.499],[47.737,9.569],[47.7,9.624],[47.705,9.656],[47.684,9.664],[47.684,9.726],[47.654,9.744],[47.633,9.724],[47.636,9.689],[47.605,9.684],[47.612,9.658],[47.581,9.614],[47.585,9.559],[47.65,9.495],[47.674,9.311],[47.71,9.239],[47.741,9.224],[47.807,9.071],[47.825,9.083],[47.858,9.07],[47.842,9.103],[47.841,9.192],[47.855,9.241],[47.868,9.251],[47.878,9.239],[47.88,9.271]]]],
+    },
+    108436000: {
+      name: "Kreis Ravensburg",
+      nuts: "DE148",
+      bbox: [47.6, 9.37, 48.01, 10.14],
+      polygons: [[[[47.995,9.566],[48.002,9.606],[47.965,9.624],[47.967,9.685],[47.983,9.702],[47.971,9.712],[47.971,9.773],[47.957,9.767],[47.951,9.792],[47.954,9.84],[47.981,9.869],[47.985,9.903],[47.959,9.953],[47.97,10.008],[47.953,10.007],[47.946,10.036],[47.98,10.095],[47.974,10.104],[47.958,10.085],[47.935,10.111],[47.885,10.095],[47.879,10.106],[47.868,10.077],[47.856,10.083],[47.865,10.105],[47.846,10.092],[47.853,10.107],[47.81,10.138],[47.786,10.065],[47.76,10.119],[47.719,10.116],[47.703,10.139],[47.677,10.13],[47.674,10.088],[47.639,10.077],[47.681,10.059],[47.674,10.03],[47.687,10.029],[47.652,9.96],[47.678,9.842],[47.604,9.748],[47.617,9.746],[47.605,9.695],[47.636,9.689],[47.633,9.724],[47.654,9.744],[47.684,9.726],[47.684,9.664],[47.705,9.656],[47.7,9.624],[47.737,9.569],[47.733,9.499],[47.754,9.499],[47.757,9.452],[47.775,9.434],[47.81,9.462],[47.811,9.436],[47.827,9.445],[47.822,9.409],[47.862,9.401],[47.871,9.379],[47.904,9.402],[47.917,9.393],[47.921,9.412],[47.941,9.406],[47.94,9.431],[47.963,9.423],[47.957,9.477],[47.99,9.518],[47.963,9.547],[47.97,9.565],[48.006,9.555],[47.995,9.566]]]],
+    },
+    108437000: {
+      name: "Kreis Sigmaringen",
+      nuts: "DE149",
+      bbox: [47.81, 8.93, 48.29, 9.61],
+      polygons: [[[[48.285,9.274],[48.241,9.35],[48.224,9.308],[48.189,9.32],[48.147,9.264],[48.149,9.289],[48.094,9.354],[48.102,9.412],[48.076,9.456],[48.076,9.502],[48.01,9.604],[47.994,9.579],[48.006,9.555],[47.967,9.563],[47.967,9.536],[47.99,9.518],[47.957,9.477],[47.963,9.423],[47.94,9.431],[47.941,9.406],[47.921,9.412],[47.917,9.393],[47.904,9.402],[47.879,9.377],[47.862,9.401],[47.817,9.403],[47.862,9.338],[47.859,9.288],[47.882,9.265],[47.877,9.238],[47.87,9.251],[47.855,9.241],[47.841,9.192],[47.847,9.129],[47.859,9.118],[47.86,9.139],[47.895,9.151],[47.916,9.067],[47.942,9.078],[47.937,9.012],[47.984,9.021],[48.026,9.008],[48.04,8.971],[48.029,8.953],[48.049,8.934],[48.068,8.997],[48.114,8.951],[48.124,8.984],[48.16,9.01],[48.157,9.112],[48.136,9.163],[48.171,9.189],[48.181,9.174],[48.209,9.187],[48.236,9.112],[48.253,9.107],[48.27,9.183],[48.288,9.201],[48.267,9.224],[48.285,9.274]]]],
+    },
+    109161000: {
+      name: "Ingolstadt",
+      nuts: "DE211",
+      bbox: [48.68, 11.25, 48.83, 11.51],
+      polygons: [[[[48.82,11.406],[48.788,11.493],[48.761,11.503],[48.76,11.49],[48.727,11.487],[48.722,11.442],[48.699,11.433],[48.685,11.395],[48.711,11.354],[48.73,11.365],[48.722,11.327],[48.778,11.256],[48.791,11.272],[48.78,11.383],[48.816,11.39],[48.82,11.406]]]],
+    },
+    109162000: {
+      name: "München",
+      nuts: "DE212",
+      bbox: [48.06, 11.36, 48.25, 11.73],
+      polygons: [[[[48.229,11.545],[48.23,11.581],[48.214,11.585],[48.219,11.612],[48.23,11.608],[48.217,11.65],[48.177,11.628],[48.18,11.695],[48.156,11.674],[48.137,11.723],[48.123,11.694],[48.105,11.713],[48.092,11.683],[48.078,11.686],[48.094,11.586],[48.062,11.509],[48.082,11.472],[48.129,11.465],[48.138,11.43],[48.125,11.394],[48.148,11.389],[48.158,11.361],[48.184,11.392],[48.2,11.392],[48.223,11.489],[48.246,11.491],[48.229,11.545]]],[[[48.07,11.55],[48.07,11.56],[48.09,11.56],[48.09,11.55],[48.07,11.55]]]],
+    },
+    109163000: {
+      name: "Rosenheim",
+      nuts: "DE213",
+      bbox: [47.81, 12.05, 47.89, 12.16],
+      polygons: [[[[47.882,12.138],[47.862,12.135],[47.842,12.152],[47.814,12.129],[47.818,12.054],[47.884,12.1],[47.882,12.138]]]],
+    },
+    109171000: {
+      name: "Kreis Altötting",
+      nuts: "DE214",
+      bbox: [48.04, 12.54, 48.36, 12.95],
+      polygons: [[[[48.356,12.62],[48.332,12.667],[48.345,12.683],[48.321,12.733],[48.315,12.824],[48.278,12.854],[48.263,12.899],[48.237,12.892],[48.207,12.945],[48.201,12.869],[48.123,12.787],[48.129,12.764],[48.102,12.726],[48.104,12.7],[48.068,12.711],[48.045,12.681],[48.045,12.616],[48.064,12.616],[48.07,12.58],[48.099,12.565],[48.113,12.575],[48.14,12.542],[48.18,12.586],[48.226,12.578],[48.231,12.602],[48.247,12.561],[48.266,12.572],[48.269,12.6],[48.283,12.6],[48.303,12.554],[48.317,12.578],[48.34,12.57],[48.336,12.598],[48.354,12.607],[48.342,12.618],[48.356,12.62]]]],
+    },
+    109172000: {
+      name: "Kreis Berchtesgadener Land",
+      nuts: "DE215",
+      bbox: [47.46, 12.69, 47.97, 13.1],
+      polygons: [[[[47.939,12.925],[47.943,12.939],[47.845,13.004],[47.771,12.928],[47.765,12.945],[47.724,12.905],[47.708,12.956],[47.723,13.011],[47.714,13.044],[47.687,13.081],[47.635,13.099],[47.602,13.063],[47.588,13.072],[47.583,13.044],[47.562,13.057],[47.533,13.031],[47.521,13.047],[47.492,13.048],[47.463,13.003],[47.485,12.978],[47.474,12.969],[47.497,12.909],[47.546,12.848],[47.55,12.804],[47.579,12.779],[47.612,12.825],[47.651,12.759],[47.672,12.784],[47.663,12.757],[47.682,12.696],[47.698,12.717],[47.734,12.719],[47.755,12.849],[47.784,12.832],[47.788,12.773],[47.807,12.744],[47.84,12.728],[47.871,12.738],[47.892,12.771],[47.877,12.876],[47.889,12.886],[47.904,12.853],[47.936,12.848],[47.937,12.876],[47.963,12.876],[47.955,12.917],[47.939,12.925]]],[[[47.88,12.74],[47.88,12.76],[47.9,12.76],[47.9,12.74],[47.88,12.74]]]],
+    },
+    109173000: {
+      name: "Kreis Bad Tölz-Wolfratshausen",
+      nuts: "DE216",
+      bbox: [47.49, 11.26, 47.99, 11.69],
+      polygons: [[[[47.98,11.43],[47.966,11.463],[47.957,11.453],[47.975,11.48],[47.965,11.515],[47.95,11.517],[47.958,11.565],[47.907,11.65],[47.881,11.651],[47.89,11.664],[47.832,11.608],[47.822,11.653],[47.803,11.665],[47.78,11.628],[47.744,11.663],[47.726,11.622],[47.726,11.661],[47.69,11.672],[47.673,11.643],[47.635,11.68],[47.61,11.607],[47.587,11.6],[47.594,11.63],[47.581,11.634],[47.581,11.606],[47.515,11.572],[47.505,11.506],[47.518,11.442],[47.495,11.411],[47.499,11.389],[47.58,11.263],[47.611,11.289],[47.643,11.27],[47.665,11.284],[47.675,11.348],[47.694,11.344],[47.706,11.371],[47.73,11.374],[47.743,11.43],[47.765,11.404],[47.785,11.399],[47.789,11.411],[47.793,11.363],[47.814,11.327],[47.934,11.334],[47.92,11.394],[47.973,11.413],[47.98,11.43]]]],
+    },
+    109174000: {
+      name: "Kreis Dachau",
+      nuts: "DE217",
+      bbox: [48.2, 11.11, 48.46, 11.59],
+      polygons: [[[[48.45,11.358],[48.406,11.413],[48.441,11.473],[48.433,11.505],[48.408,11.504],[48.394,11.53],[48.383,11.506],[48.362,11.524],[48.354,11.509],[48.336,11.573],[48.301,11.582],[48.279,11.519],[48.223,11.489],[48.202,11.407],[48.235,11.379],[48.227,11.325],[48.26,11.294],[48.261,11.252],[48.297,11.177],[48.286,11.149],[48.27,11.149],[48.269,11.114],[48.316,11.122],[48.336,11.174],[48.369,11.166],[48.366,11.184],[48.376,11.174],[48.387,11.198],[48.417,11.178],[48.447,11.26],[48.45,11.358]]]],
+    },
+    109175000: {
+      name: "Kreis Ebersberg",
+      nuts: "DE218",
+      bbox: [47.93, 11.74, 48.23, 12.11],
+      polygons: [[[[48.225,11.767],[48.205,11.827],[48.207,11.882],[48.192,11.886],[48.189,11.925],[48.166,11.937],[48.173,12.006],[48.164,12.014],[48.161,12.002],[48.129,12.05],[48.125,12.086],[48.099,12.081],[48.099,12.062],[48.087,12.078],[48.024,12.074],[48.011,12.098],[47.993,12.099],[47.954,12.001],[47.994,11.936],[47.984,11.927],[47.943,11.946],[47.931,11.927],[47.957,11.872],[47.947,11.849],[47.961,11.848],[47.984,11.806],[47.992,11.762],[48.022,11.767],[48.02,11.789],[48.057,11.788],[48.062,11.809],[48.07,11.785],[48.138,11.748],[48.162,11.776],[48.189,11.755],[48.225,11.767]]]],
+    },
+    109176000: {
+      name: "Kreis Eichstätt",
+      nuts: "DE219",
+      bbox: [48.73, 10.93, 49.09, 11.75],
+      polygons: [[[[49.081,11.399],[49.062,11.461],[49.077,11.504],[49.07,11.538],[49.041,11.533],[49.043,11.515],[49.032,11.516],[49.027,11.541],[49.007,11.536],[48.989,11.576],[48.954,11.595],[48.925,11.667],[48.934,11.687],[48.918,11.708],[48.93,11.728],[48.897,11.717],[48.874,11.744],[48.865,11.718],[48.837,11.72],[48.839,11.699],[48.813,11.707],[48.816,11.741],[48.811,11.726],[48.791,11.736],[48.78,11.721],[48.793,11.697],[48.774,11.671],[48.797,11.64],[48.812,11.644],[48.814,11.603],[48.76,11.555],[48.75,11.566],[48.733,11.507],[48.745,11.489],[48.784,11.499],[48.822,11.401],[48.78,11.383],[48.791,11.272],[48.772,11.226],[48.813,11.121],[48.807,11.073],[48.79,11.056],[48.799,11.04],[48.821,11.042],[48.842,10.97],[48.862,10.982],[48.863,10.937],[48.859,10.963],[48.879,10.974],[48.887,11.031],[48.901,11.045],[48.909,11.032],[48.911,11.071],[48.932,11.051],[48.954,11.07],[48.965,11.142],[48.992,11.143],[48.996,11.163],[49.015,11.163],[49.018,11.191],[49.026,11.178],[49.048,11.202],[49.053,11.255],[49.011,11.267],[49.005,11.293],[49.016,11.297],[48.998,11.327],[49.02,11.346],[49.017,11.382],[49.031,11.386],[49.035,11.416],[49.054,11.401],[49.054,11.426],[49.079,11.386],[49.081,11.399]]]],
+    },
+    109177000: {
+      name: "Kreis Erding",
+      nuts: "DE21A",
+      bbox: [48.14, 11.73, 48.46, 12.26],
+      polygons: [[[[48.454,11.969],[48.416,12.021],[48.429,12.082],[48.42,12.165],[48.401,12.167],[48.381,12.196],[48.371,12.187],[48.35,12.232],[48.323,12.25],[48.288,12.254],[48.277,12.228],[48.251,12.235],[48.233,12.215],[48.202,12.232],[48.218,12.187],[48.202,12.183],[48.186,12.111],[48.169,12.102],[48.16,12.034],[48.14,12.042],[48.161,12.002],[48.164,12.014],[48.173,12.006],[48.166,11.937],[48.189,11.925],[48.192,11.886],[48.207,11.882],[48.221,11.756],[48.254,11.76],[48.289,11.731],[48.298,11.766],[48.325,11.764],[48.389,11.808],[48.454,11.969]]]],
+    },
+    109178000: {
+      name: "Kreis Freising",
+      nuts: "DE21B",
+      bbox: [48.26, 11.49, 48.62, 12.02],
+      polygons: [[[[48.615,11.707],[48.6,11.774],[48.614,11.799],[48.579,11.866],[48.579,11.959],[48.513,11.975],[48.501,11.957],[48.496,12.01],[48.45,11.992],[48.45,12.009],[48.431,12.019],[48.455,11.96],[48.427,11.92],[48.412,11.84],[48.397,11.842],[48.389,11.808],[48.359,11.782],[48.298,11.766],[48.296,11.739],[48.276,11.738],[48.274,11.595],[48.336,11.573],[48.354,11.509],[48.362,11.524],[48.383,11.506],[48.394,11.53],[48.408,11.505],[48.429,11.509],[48.441,11.493],[48.456,11.533],[48.469,11.529],[48.491,11.56],[48.463,11.626],[48.497,11.641],[48.499,11.662],[48.539,11.657],[48.552,11.669],[48.563,11.658],[48.587,11.708],[48.612,11.697],[48.615,11.707]]]],
+    },
+    109179000: {
+      name: "Kreis Fürstenfeldbruck",
+      nuts: "DE21C",
+      bbox: [48.08, 10.99, 48.3, 11.42],
+      polygons: [[[[48.293,11.188],[48.261,11.252],[48.26,11.294],[48.227,11.325],[48.227,11.398],[48.211,11.408],[48.158,11.361],[48.148,11.389],[48.128,11.389],[48.127,11.412],[48.106,11.383],[48.106,11.348],[48.135,11.252],[48.097,11.186],[48.111,11.151],[48.088,11.089],[48.103,11.056],[48.113,11.069],[48.131,11.048],[48.139,11.06],[48.155,11.006],[48.168,11.013],[48.176,10.993],[48.196,11.059],[48.214,11.061],[48.221,11.039],[48.246,11.059],[48.255,11.045],[48.255,11.067],[48.273,11.06],[48.281,11.072],[48.26,11.101],[48.293,11.188]]]],
+    },
+    109180000: {
+      name: "Kreis Garmisch-Partenkirchen",
+      nuts: "DE21D",
+      bbox: [47.39, 10.86, 47.74, 11.43],
+      polygons: [[[[47.735,11.126],[47.715,11.175],[47.733,11.201],[47.714,11.324],[47.675,11.348],[47.665,11.284],[47.643,11.27],[47.611,11.289],[47.58,11.263],[47.573,11.292],[47.554,11.289],[47.55,11.318],[47.531,11.326],[47.496,11.41],[47.472,11.384],[47.467,11.409],[47.445,11.421],[47.45,11.338],[47.427,11.291],[47.398,11.273],[47.395,11.225],[47.428,11.253],[47.434,11.207],[47.413,11.129],[47.396,11.115],[47.395,10.996],[47.4,10.97],[47.43,10.984],[47.472,10.928],[47.481,10.937],[47.482,10.871],[47.499,10.87],[47.517,10.918],[47.541,10.881],[47.572,10.873],[47.597,10.942],[47.644,10.966],[47.656,10.99],[47.705,10.968],[47.704,11.041],[47.732,11.066],[47.735,11.126]]]],
+    },
+    109181000: {
+      name: "Kreis Landsberg am Lech",
+      nuts: "DE21E",
+      bbox: [47.84, 10.74, 48.24, 11.18],
+      polygons: [[[[48.236,10.91],[48.199,10.961],[48.21,10.988],[48.195,11.036],[48.178,11.025],[48.176,10.993],[48.168,11.013],[48.156,11.005],[48.139,11.06],[48.131,11.048],[48.113,11.069],[48.103,11.056],[48.088,11.089],[48.097,11.139],[48.015,11.136],[47.991,11.17],[47.974,11.15],[47.937,11.146],[47.944,11.13],[47.928,11.119],[47.92,11.072],[47.907,11.085],[47.899,11.068],[47.904,11.001],[47.863,10.972],[47.881,10.934],[47.858,10.917],[47.874,10.868],[47.851,10.84],[47.844,10.767],[47.855,10.748],[47.887,10.791],[47.884,10.772],[47.907,10.791],[47.906,10.779],[47.93,10.773],[47.937,10.8],[47.956,10.795],[47.995,10.826],[48.011,10.809],[48.031,10.816],[48.04,10.756],[48.102,10.816],[48.121,10.79],[48.15,10.786],[48.148,10.849],[48.236,10.91]]]],
+    },
+    109182000: {
+      name: "Kreis Miesbach",
+      nuts: "DE21F",
+      bbox: [47.58, 11.59, 47.95, 12.07],
+      polygons: [[[[47.933,11.783],[47.927,11.806],[47.899,11.81],[47.863,11.855],[47.845,11.948],[47.822,11.953],[47.811,11.916],[47.77,11.998],[47.747,11.987],[47.739,12.023],[47.707,12.009],[47.674,12.055],[47.647,12.028],[47.632,12.061],[47.618,12.06],[47.614,11.913],[47.602,11.855],[47.581,11.844],[47.588,11.599],[47.611,11.608],[47.635,11.68],[47.673,11.643],[47.69,11.672],[47.726,11.661],[47.726,11.622],[47.744,11.663],[47.78,11.628],[47.803,11.665],[47.822,11.653],[47.832,11.608],[47.886,11.664],[47.881,11.651],[47.9,11.656],[47.92,11.623],[47.938,11.685],[47.937,11.707],[47.917,11.717],[47.922,11.758],[47.939,11.758],[47.933,11.783]]]],
+    },
+    109183000: {
+      name: "Kreis Mühldorf a. Inn",
+      nuts: "DE21G",
+      bbox: [48.08, 12.03, 48.43, 12.61],
+      polygons: [[[[48.428,12.489],[48.422,12.542],[48.402,12.54],[48.404,12.566],[48.359,12.609],[48.336,12.598],[48.34,12.57],[48.317,12.578],[48.303,12.554],[48.283,12.6],[48.269,12.6],[48.255,12.562],[48.231,12.602],[48.226,12.578],[48.18,12.586],[48.158,12.568],[48.145,12.529],[48.156,12.489],[48.117,12.472],[48.128,12.371],[48.105,12.328],[48.107,12.286],[48.135,12.251],[48.127,12.243],[48.143,12.209],[48.104,12.178],[48.093,12.183],[48.083,12.163],[48.098,12.134],[48.115,12.15],[48.131,12.134],[48.129,12.05],[48.16,12.034],[48.169,12.102],[48.186,12.111],[48.202,12.183],[48.218,12.187],[48.202,12.232],[48.233,12.215],[48.251,12.235],[48.277,12.228],[48.288,12.254],[48.327,12.256],[48.33,12.302],[48.316,12.309],[48.325,12.328],[48.34,12.323],[48.331,12.36],[48.387,12.44],[48.416,12.429],[48.411,12.454],[48.428,12.489]]]],
+    },
+    109184000: {
+      name: "Kreis München",
+      nuts: "DE21H",
+      bbox: [47.91, 11.38, 48.3, 11.86],
+      polygons: [[[[48.291,11.587],[48.274,11.595],[48.266,11.64],[48.279,11.735],[48.255,11.759],[48.237,11.748],[48.21,11.763],[48.189,11.755],[48.162,11.776],[48.138,11.748],[48.07,11.785],[48.062,11.809],[48.057,11.788],[48.02,11.789],[48.022,11.767],[47.997,11.76],[47.961,11.848],[47.923,11.825],[47.943,11.777],[47.921,11.751],[47.917,11.717],[47.939,11.701],[47.92,11.613],[47.958,11.565],[47.95,11.517],[47.965,11.515],[47.975,11.48],[47.957,11.453],[47.966,11.463],[47.989,11.406],[48.013,11.434],[48.031,11.432],[48.032,11.403],[48.042,11.42],[48.073,11.402],[48.096,11.424],[48.112,11.385],[48.137,11.427],[48.129,11.465],[48.082,11.472],[48.062,11.509],[48.094,11.586],[48.078,11.686],[48.092,11.683],[48.105,11.713],[48.123,11.694],[48.137,11.723],[48.156,11.674],[48.18,11.695],[48.177,11.628],[48.213,11.65],[48.226,11.638],[48.23,11.608],[48.219,11.612],[48.214,11.585],[48.23,11.581],[48.248,11.5],[48.279,11.519],[48.291,11.587]]]],
+    },
+    109185000: {
+      name: "Kreis Neuburg-Schrobenhausen",
+      nuts: "DE21I",
+      bbox: [48.46, 10.94, 48.83, 11.46],
+      polygons: [[[[48.823,11.035],[48.79,11.056],[48.807,11.073],[48.813,11.121],[48.772,11.223],[48.779,11.257],[48.722,11.327],[48.73,11.365],[48.711,11.354],[48.689,11.377],[48.698,11.456],[48.682,11.429],[48.684,11.445],[48.669,11.449],[48.647,11.439],[48.641,11.398],[48.615,11.378],[48.608,11.347],[48.587,11.385],[48.577,11.372],[48.564,11.382],[48.575,11.341],[48.541,11.364],[48.516,11.314],[48.503,11.325],[48.503,11.312],[48.484,11.314],[48.464,11.266],[48.496,11.214],[48.527,11.209],[48.553,11.127],[48.572,11.165],[48.596,11.155],[48.592,11.126],[48.609,11.115],[48.601,11.051],[48.62,11.023],[48.627,11.041],[48.645,11.04],[48.653,11.015],[48.693,10.984],[48.724,10.98],[48.731,11.004],[48.735,10.982],[48.765,10.998],[48.769,10.971],[48.79,10.986],[48.811,10.947],[48.823,11.035]]]],
+    },
+    109186000: {
+      name: "Kreis Pfaffenhofen a.d. Ilm",
+      nuts: "DE21J",
+      bbox: [48.4, 11.29, 48.82, 11.72],
+      polygons: [[[[48.814,11.61],[48.812,11.644],[48.797,11.64],[48.774,11.671],[48.793,11.697],[48.782,11.719],[48.784,11.694],[48.756,11.715],[48.744,11.655],[48.724,11.669],[48.701,11.653],[48.684,11.696],[48.663,11.686],[48.648,11.713],[48.63,11.692],[48.587,11.708],[48.563,11.658],[48.552,11.669],[48.539,11.657],[48.499,11.662],[48.497,11.641],[48.462,11.622],[48.49,11.556],[48.469,11.529],[48.456,11.533],[48.432,11.445],[48.413,11.444],[48.406,11.416],[48.454,11.347],[48.453,11.301],[48.476,11.295],[48.503,11.325],[48.516,11.314],[48.542,11.365],[48.571,11.336],[48.564,11.382],[48.577,11.372],[48.587,11.385],[48.607,11.345],[48.649,11.441],[48.682,11.448],[48.682,11.429],[48.692,11.457],[48.712,11.433],[48.727,11.487],[48.745,11.489],[48.733,11.511],[48.751,11.544],[48.741,11.553],[48.786,11.574],[48.814,11.61]]]],
+    },
+    109187000: {
+      name: "Kreis Rosenheim",
+      nuts: "DE21K",
+      bbox: [47.6, 11.8, 48.15, 12.45],
+      polygons: [[[[48.135,12.225],[48.135,12.251],[48.106,12.29],[48.105,12.329],[48.126,12.35],[48.117,12.388],[48.09,12.335],[48.07,12.341],[48.066,12.325],[48.04,12.357],[48.024,12.337],[47.975,12.327],[47.943,12.391],[47.956,12.415],[47.947,12.442],[47.92,12.414],[47.922,12.444],[47.894,12.431],[47.875,12.407],[47.888,12.374],[47.871,12.38],[47.87,12.364],[47.835,12.375],[47.835,12.428],[47.815,12.435],[47.815,12.39],[47.799,12.4],[47.781,12.379],[47.754,12.376],[47.733,12.339],[47.697,12.338],[47.679,12.255],[47.694,12.241],[47.732,12.265],[47.743,12.257],[47.707,12.204],[47.701,12.163],[47.607,12.205],[47.61,12.082],[47.647,12.028],[47.674,12.055],[47.707,12.009],[47.739,12.023],[47.747,11.987],[47.77,11.998],[47.811,11.916],[47.822,11.953],[47.845,11.948],[47.863,11.855],[47.921,11.802],[47.957,11.872],[47.932,11.93],[47.943,11.946],[47.984,11.927],[47.994,11.936],[47.954,12.001],[47.976,12.073],[47.987,12.071],[47.996,12.1],[48.024,12.074],[48.087,12.078],[48.099,12.062],[48.099,12.081],[48.113,12.074],[48.132,12.131],[48.115,12.15],[48.098,12.134],[48.083,12.163],[48.093,12.183],[48.104,12.178],[48.143,12.209],[48.135,12.225]],[[47.886,12.134],[47.884,12.1],[47.818,12.054],[47.814,12.129],[47.843,12.152],[47.886,12.134]]],[[[47.862,12.408],[47.861,12.383],[47.873,12.393],[47.862,12.408]]],[[[47.87,12.42],[47.87,12.43],[47.88,12.43],[47.88,12.42],[47.87,12.42]]],[[[47.86,12.41],[47.86,12.42],[47.88,12.42],[47.88,12.41],[47.86,12.41]]]],
+    },
+    109188000: {
+      name: "Kreis Starnberg",
+      nuts: "DE21L",
+      bbox: [47.82, 11.12, 48.14, 11.44],
+      polygons: [[[[48.135,11.268],[48.096,11.424],[48.073,11.402],[48.042,11.42],[48.032,11.403],[48.031,11.432],[48.013,11.434],[47.995,11.404],[47.978,11.429],[47.973,11.413],[47.92,11.394],[47.934,11.334],[47.821,11.33],[47.833,11.29],[47.859,11.302],[47.887,11.286],[47.875,11.26],[47.883,11.186],[47.903,11.193],[47.922,11.236],[47.953,11.15],[47.992,11.17],[48.005,11.142],[48.045,11.129],[48.109,11.143],[48.097,11.186],[48.128,11.227],[48.135,11.268]]]],
+    },
+    109189000: {
+      name: "Kreis Traunstein",
+      nuts: "DE21M",
+      bbox: [47.62, 12.32, 48.17, 12.89],
+      polygons: [[[[48.16,12.562],[48.14,12.542],[48.125,12.548],[48.124,12.566],[48.07,12.58],[48.064,12.616],[48.044,12.619],[48.045,12.681],[48.068,12.711],[48.104,12.7],[48.114,12.75],[48.073,12.762],[48.009,12.857],[47.95,12.879],[47.937,12.876],[47.936,12.848],[47.911,12.849],[47.884,12.885],[47.89,12.764],[47.871,12.738],[47.84,12.728],[47.806,12.744],[47.788,12.773],[47.784,12.832],[47.754,12.848],[47.734,12.719],[47.683,12.701],[47.673,12.605],[47.632,12.575],[47.625,12.499],[47.674,12.441],[47.695,12.44],[47.692,12.335],[47.733,12.339],[47.754,12.376],[47.781,12.379],[47.799,12.4],[47.815,12.39],[47.815,12.435],[47.835,12.428],[47.835,12.375],[47.87,12.364],[47.871,12.38],[47.888,12.374],[47.877,12.412],[47.922,12.444],[47.92,12.414],[47.947,12.442],[47.956,12.415],[47.943,12.391],[47.975,12.327],[48.024,12.337],[48.04,12.357],[48.063,12.324],[48.07,12.341],[48.09,12.335],[48.104,12.381],[48.125,12.394],[48.117,12.472],[48.146,12.496],[48.153,12.484],[48.145,12.529],[48.16,12.562]],[[47.873,12.393],[47.854,12.387],[47.86,12.415],[47.873,12.393]]]],
+    },
+    109190000: {
+      name: "Kreis Weilheim-Schongau",
+      nuts: "DE21N",
+      bbox: [47.61, 10.71, 47.96, 11.43],
+      polygons: [[[[47.953,11.171],[47.922,11.236],[47.903,11.193],[47.883,11.186],[47.875,11.26],[47.887,11.286],[47.859,11.302],[47.833,11.29],[47.793,11.363],[47.789,11.411],[47.785,11.399],[47.765,11.404],[47.743,11.43],[47.73,11.374],[47.706,11.371],[47.693,11.342],[47.715,11.322],[47.733,11.201],[47.715,11.175],[47.737,11.125],[47.732,11.066],[47.704,11.041],[47.714,10.978],[47.698,10.965],[47.674,10.991],[47.656,10.99],[47.616,10.949],[47.637,10.903],[47.661,10.915],[47.662,10.778],[47.728,10.829],[47.682,10.729],[47.696,10.738],[47.705,10.716],[47.717,10.736],[47.744,10.733],[47.759,10.749],[47.766,10.739],[47.775,10.783],[47.795,10.749],[47.839,10.758],[47.851,10.84],[47.874,10.868],[47.858,10.917],[47.881,10.939],[47.863,10.972],[47.904,11.001],[47.9,11.07],[47.907,11.085],[47.92,11.072],[47.953,11.171]]]],
+    },
+    109261000: {
+      name: "Landshut",
+      nuts: "DE221",
+      bbox: [48.5, 12.01, 48.6, 12.29],
+      polygons: [[[[48.591,12.282],[48.558,12.252],[48.551,12.219],[48.525,12.217],[48.534,12.192],[48.52,12.186],[48.511,12.143],[48.523,12.128],[48.51,12.019],[48.524,12.022],[48.546,12.117],[48.576,12.131],[48.549,12.165],[48.593,12.246],[48.591,12.282]]]],
+    },
+    109262000: {
+      name: "Passau",
+      nuts: "DE222",
+      bbox: [48.54, 13.3, 48.62, 13.52],
+      polygons: [[[[48.609,13.386],[48.595,13.472],[48.606,13.505],[48.594,13.514],[48.563,13.489],[48.564,13.45],[48.54,13.407],[48.602,13.303],[48.609,13.386]]]],
+    },
+    109263000: {
+      name: "Straubing",
+      nuts: "DE223",
+      bbox: [48.84, 12.48, 48.93, 12.67],
+      polygons: [[[[48.918,12.555],[48.896,12.611],[48.904,12.664],[48.882,12.667],[48.864,12.648],[48.872,12.633],[48.844,12.568],[48.862,12.482],[48.879,12.524],[48.89,12.516],[48.922,12.533],[48.918,12.555]]]],
+    },
+    109271000: {
+      name: "Kreis Deggendorf",
+      nuts: "DE224",
+      bbox: [48.59, 12.74, 48.96, 13.26],
+      polygons: [[[[48.948,12.989],[48.942,13.025],[48.923,13.028],[48.921,13.006],[48.882,13.062],[48.888,13.123],[48.867,13.204],[48.862,13.189],[48.849,13.208],[48.828,13.199],[48.818,13.168],[48.809,13.241],[48.791,13.242],[48.782,13.221],[48.762,13.256],[48.754,13.244],[48.743,13.259],[48.713,13.25],[48.698,13.201],[48.707,13.148],[48.669,13.098],[48.644,13.105],[48.635,13.092],[48.628,13.106],[48.628,13.027],[48.599,13.02],[48.623,12.945],[48.653,12.945],[48.662,12.854],[48.681,12.848],[48.678,12.83],[48.716,12.795],[48.733,12.811],[48.746,12.779],[48.781,12.779],[48.819,12.75],[48.837,12.769],[48.823,12.807],[48.84,12.849],[48.89,12.837],[48.907,12.875],[48.928,12.868],[48.928,12.854],[48.953,12.869],[48.936,12.913],[48.941,12.95],[48.928,12.949],[48.957,12.977],[48.948,12.989]]]],
+    },
+    109272000: {
+      name: "Kreis Freyung-Grafenau",
+      nuts: "DE225",
+      bbox: [48.68, 13.16, 48.99, 13.84],
+      polygons: [[[[48.983,13.371],[48.979,13.421],[48.941,13.496],[48.942,13.508],[48.969,13.507],[48.974,13.529],[48.969,13.585],[48.94,13.609],[48.949,13.629],[48.939,13.622],[48.893,13.655],[48.879,13.676],[48.886,13.738],[48.834,13.765],[48.83,13.793],[48.797,13.815],[48.781,13.804],[48.766,13.839],[48.714,13.796],[48.721,13.732],[48.705,13.721],[48.689,13.736],[48.682,13.646],[48.693,13.626],[48.683,13.59],[48.729,13.51],[48.713,13.459],[48.756,13.424],[48.761,13.394],[48.756,13.354],[48.736,13.345],[48.741,13.259],[48.754,13.244],[48.763,13.255],[48.782,13.221],[48.791,13.242],[48.81,13.241],[48.818,13.168],[48.843,13.207],[48.862,13.189],[48.861,13.247],[48.878,13.252],[48.878,13.285],[48.912,13.281],[48.927,13.296],[48.958,13.283],[48.947,13.332],[48.983,13.371]]]],
+    },
+    109273000: {
+      name: "Kreis Kelheim",
+      nuts: "DE226",
+      bbox: [48.57, 11.59, 49.03, 12.14],
+      polygons: [[[[49.021,11.833],[49.013,11.891],[48.992,11.893],[48.981,11.918],[48.973,11.906],[48.964,11.932],[48.956,11.917],[48.946,11.927],[48.965,11.966],[48.965,11.991],[48.949,11.995],[48.964,12.02],[48.94,12.076],[48.922,12.094],[48.905,12.079],[48.906,12.11],[48.882,12.116],[48.878,12.134],[48.862,12.13],[48.851,12.101],[48.803,12.109],[48.772,12.097],[48.761,12.075],[48.75,12.085],[48.752,11.992],[48.698,11.888],[48.684,11.903],[48.664,11.878],[48.636,11.894],[48.629,11.881],[48.627,11.897],[48.602,11.906],[48.595,11.892],[48.587,11.911],[48.579,11.872],[48.614,11.799],[48.6,11.774],[48.619,11.693],[48.648,11.713],[48.663,11.686],[48.684,11.696],[48.701,11.653],[48.724,11.669],[48.744,11.655],[48.756,11.715],[48.784,11.694],[48.78,11.721],[48.801,11.739],[48.811,11.726],[48.816,11.741],[48.813,11.707],[48.839,11.699],[48.837,11.72],[48.865,11.718],[48.879,11.744],[48.897,11.717],[48.93,11.728],[48.918,11.708],[48.934,11.687],[48.925,11.667],[48.957,11.595],[48.984,11.622],[49.009,11.616],[49.022,11.69],[48.982,11.771],[49.019,11.807],[49.021,11.833]]]],
+    },
+    109274000: {
+      name: "Kreis Landshut",
+      nuts: "DE227",
+      bbox: [48.31, 11.87, 48.78, 12.51],
+      polygons: [[[[48.771,12.098],[48.752,12.198],[48.727,12.225],[48.721,12.257],[48.747,12.301],[48.726,12.307],[48.702,12.345],[48.69,12.34],[48.676,12.39],[48.645,12.399],[48.627,12.355],[48.604,12.374],[48.598,12.354],[48.571,12.349],[48.559,12.394],[48.533,12.406],[48.561,12.433],[48.549,12.506],[48.534,12.484],[48.515,12.508],[48.498,12.506],[48.486,12.471],[48.424,12.482],[48.416,12.429],[48.389,12.441],[48.361,12.414],[48.359,12.386],[48.33,12.356],[48.34,12.323],[48.325,12.328],[48.316,12.309],[48.33,12.302],[48.33,12.234],[48.35,12.232],[48.371,12.187],[48.381,12.196],[48.401,12.167],[48.42,12.165],[48.429,12.082],[48.416,12.021],[48.444,12.015],[48.45,11.992],[48.496,12.01],[48.499,11.958],[48.513,11.975],[48.573,11.963],[48.595,11.892],[48.609,11.907],[48.629,11.881],[48.636,11.894],[48.664,11.878],[48.684,11.903],[48.7,11.891],[48.752,11.992],[48.75,12.083],[48.761,12.075],[48.771,12.098]],[[48.592,12.245],[48.549,12.166],[48.576,12.131],[48.546,12.117],[48.524,12.022],[48.51,12.019],[48.527,12.221],[48.551,12.219],[48.558,12.252],[48.591,12.285],[48.592,12.245]]]],
+    },
+    109275000: {
+      name: "Kreis Passau",
+      nuts: "DE228",
+      bbox: [48.29, 12.98, 48.77, 13.84],
+      polygons: [[[[48.756,13.4],[48.756,13.424],[48.714,13.459],[48.729,13.51],[48.683,13.594],[48.689,13.736],[48.705,13.721],[48.72,13.729],[48.712,13.762],[48.725,13.779],[48.701,13.838],[48.692,13.814],[48.619,13.826],[48.598,13.801],[48.574,13.801],[48.554,13.77],[48.564,13.754],[48.513,13.727],[48.569,13.599],[48.562,13.567],[48.606,13.505],[48.595,13.472],[48.609,13.444],[48.607,13.306],[48.589,13.316],[48.578,13.357],[48.579,13.344],[48.558,13.365],[48.539,13.45],[48.511,13.458],[48.455,13.427],[48.432,13.44],[48.376,13.412],[48.321,13.325],[48.293,13.255],[48.294,13.177],[48.34,13.152],[48.342,13.109],[48.37,13.081],[48.387,13.087],[48.414,13.175],[48.448,13.118],[48.488,13.116],[48.489,13.085],[48.539,13.106],[48.555,13.074],[48.534,13.001],[48.577,13.021],[48.587,12.984],[48.604,12.999],[48.601,13.024],[48.628,13.027],[48.628,13.106],[48.635,13.092],[48.644,13.105],[48.669,13.098],[48.707,13.148],[48.698,13.201],[48.713,13.249],[48.741,13.259],[48.731,13.297],[48.744,13.321],[48.736,13.346],[48.756,13.355],[48.756,13.4]]]],
+    },
+    109276000: {
+      name: "Kreis Regen",
+      nuts: "DE229",
+      bbox: [48.85, 12.76, 49.18, 13.42],
+      polygons: [[[[49.114,13.236],[49.119,13.289],[49.051,13.397],[48.987,13.403],[48.98,13.417],[48.983,13.371],[48.947,13.33],[48.958,13.283],[48.927,13.296],[48.912,13.281],[48.878,13.285],[48.878,13.252],[48.861,13.247],[48.857,13.223],[48.888,13.123],[48.883,13.061],[48.921,13.006],[48.923,13.028],[48.949,13.009],[48.957,12.977],[48.928,12.95],[48.941,12.95],[48.939,12.908],[48.99,12.873],[49.038,12.809],[49.085,12.795],[49.119,12.764],[49.135,12.786],[49.122,12.794],[49.131,12.919],[49.149,12.918],[49.139,12.945],[49.167,12.977],[49.155,13.048],[49.129,13.068],[49.111,13.128],[49.174,13.171],[49.144,13.17],[49.114,13.236]]]],
+    },
+    109277000: {
+      name: "Kreis Rottal-Inn",
+      nuts: "DE22A",
+      bbox: [48.2, 12.47, 48.62, 13.18],
+      polygons: [[[[48.617,12.911],[48.61,12.986],[48.586,12.983],[48.58,13.019],[48.559,13.023],[48.534,13.001],[48.555,13.074],[48.539,13.106],[48.489,13.085],[48.488,13.116],[48.448,13.118],[48.414,13.175],[48.387,13.087],[48.37,13.081],[48.342,13.109],[48.34,13.152],[48.294,13.177],[48.258,13.022],[48.208,12.935],[48.237,12.892],[48.263,12.899],[48.278,12.854],[48.315,12.824],[48.321,12.733],[48.345,12.683],[48.332,12.667],[48.358,12.619],[48.341,12.616],[48.387,12.592],[48.376,12.579],[48.404,12.566],[48.405,12.538],[48.422,12.542],[48.434,12.48],[48.486,12.471],[48.503,12.511],[48.481,12.522],[48.482,12.556],[48.498,12.57],[48.509,12.552],[48.525,12.556],[48.515,12.623],[48.481,12.629],[48.508,12.694],[48.523,12.691],[48.515,12.71],[48.547,12.717],[48.544,12.779],[48.558,12.76],[48.599,12.783],[48.591,12.839],[48.607,12.844],[48.598,12.89],[48.617,12.911]]]],
+    },
+    109278000: {
+      name: "Kreis Straubing-Bogen",
+      nuts: "DE22B",
+      bbox: [48.71, 12.12, 49.12, 12.9],
+      polygons: [[[[49.119,12.738],[49.111,12.777],[49.038,12.809],[48.99,12.873],[48.954,12.891],[48.953,12.869],[48.928,12.854],[48.928,12.868],[48.907,12.875],[48.89,12.837],[48.846,12.85],[48.83,12.837],[48.823,12.807],[48.837,12.769],[48.819,12.75],[48.802,12.769],[48.758,12.698],[48.716,12.538],[48.738,12.525],[48.751,12.534],[48.765,12.495],[48.757,12.452],[48.746,12.45],[48.765,12.418],[48.748,12.377],[48.735,12.39],[48.721,12.329],[48.726,12.307],[48.748,12.298],[48.721,12.257],[48.772,12.128],[48.8,12.171],[48.793,12.192],[48.808,12.196],[48.811,12.236],[48.837,12.233],[48.836,12.257],[48.862,12.263],[48.842,12.273],[48.851,12.285],[48.84,12.294],[48.863,12.314],[48.847,12.372],[48.878,12.432],[48.899,12.427],[48.919,12.458],[48.935,12.439],[48.963,12.454],[48.974,12.438],[48.981,12.489],[49.018,12.491],[49.036,12.473],[49.061,12.494],[49.057,12.526],[49.083,12.542],[49.099,12.588],[49.102,12.692],[49.119,12.738]],[[48.915,12.532],[48.89,12.516],[48.879,12.524],[48.871,12.48],[48.856,12.489],[48.844,12.568],[48.872,12.633],[48.864,12.648],[48.882,12.667],[48.904,12.664],[48.896,12.611],[48.918,12.571],[48.915,12.532]]]],
+    },
+    109279000: {
+      name: "Kreis Dingolfing-Landau",
+      nuts: "DE22C",
+      bbox: [48.48, 12.32, 48.8, 12.97],
+      polygons: [[[[48.799,12.753],[48.781,12.779],[48.746,12.779],[48.739,12.808],[48.724,12.814],[48.716,12.795],[48.678,12.83],[48.681,12.848],[48.662,12.854],[48.653,12.945],[48.623,12.945],[48.611,12.967],[48.617,12.911],[48.598,12.89],[48.608,12.845],[48.59,12.835],[48.599,12.783],[48.558,12.76],[48.544,12.779],[48.547,12.717],[48.515,12.71],[48.523,12.691],[48.508,12.694],[48.481,12.629],[48.515,12.623],[48.525,12.557],[48.509,12.552],[48.498,12.57],[48.482,12.556],[48.481,12.522],[48.534,12.484],[48.543,12.508],[48.558,12.495],[48.561,12.433],[48.533,12.406],[48.559,12.394],[48.571,12.349],[48.598,12.354],[48.604,12.374],[48.627,12.355],[48.645,12.399],[48.676,12.39],[48.69,12.34],[48.702,12.345],[48.714,12.324],[48.725,12.335],[48.735,12.39],[48.748,12.377],[48.767,12.431],[48.746,12.45],[48.757,12.452],[48.765,12.495],[48.751,12.534],[48.716,12.532],[48.731,12.557],[48.724,12.596],[48.736,12.6],[48.742,12.652],[48.758,12.658],[48.758,12.698],[48.799,12.753]]]],
+    },
+    109361000: {
+      name: "Amberg",
+      nuts: "DE231",
+      bbox: [49.41, 11.77, 49.5, 11.92],
+      polygons: [[[[49.495,11.877],[49.445,11.915],[49.412,11.836],[49.428,11.781],[49.464,11.779],[49.469,11.846],[49.486,11.844],[49.495,11.877]]]],
+    },
+    109362000: {
+      name: "Regensburg",
+      nuts: "DE232",
+      bbox: [48.96, 12.02, 49.08, 12.2],
+      polygons: [[[[49.075,12.133],[49.05,12.138],[49.049,12.164],[49.019,12.159],[49.008,12.192],[48.972,12.175],[48.97,12.075],[48.998,12.066],[49.009,12.03],[49.049,12.047],[49.036,12.091],[49.063,12.095],[49.075,12.133]]]],
+    },
+    109363000: {
+      name: "Weiden i.d. OPf.",
+      nuts: "DE233",
+      bbox: [49.61, 12.06, 49.72, 12.27],
+      polygons: [[[[49.71,12.139],[49.686,12.225],[49.665,12.229],[49.67,12.256],[49.66,12.267],[49.634,12.256],[49.632,12.233],[49.649,12.234],[49.662,12.213],[49.663,12.169],[49.615,12.127],[49.642,12.114],[49.642,12.093],[49.668,12.086],[49.674,12.064],[49.691,12.087],[49.7,12.075],[49.695,12.114],[49.71,12.139]]]],
+    },
+    109371000: {
+      name: "Kreis Amberg-Sulzbach",
+      nuts: "DE234",
+      bbox: [49.21, 11.51, 49.77, 12.12],
+      polygons: [[[[49.761,11.628],[49.701,11.67],[49.69,11.648],[49.675,11.661],[49.63,11.642],[49.625,11.737],[49.653,11.809],[49.635,11.876],[49.64,11.974],[49.622,11.982],[49.614,11.968],[49.604,11.993],[49.578,11.985],[49.578,12.071],[49.563,12.072],[49.559,12.119],[49.529,12.072],[49.497,12.096],[49.48,12.086],[49.492,12.03],[49.463,12.043],[49.43,12.034],[49.437,11.977],[49.426,11.995],[49.422,11.977],[49.406,12.008],[49.392,12],[49.389,12.063],[49.382,12.049],[49.38,12.064],[49.369,12.051],[49.353,12.062],[49.352,11.994],[49.34,12.011],[49.304,11.967],[49.279,11.982],[49.277,11.944],[49.252,11.983],[49.236,11.941],[49.215,11.955],[49.221,11.934],[49.268,11.914],[49.293,11.791],[49.338,11.721],[49.307,11.69],[49.324,11.689],[49.32,11.662],[49.343,11.629],[49.389,11.634],[49.39,11.589],[49.419,11.558],[49.474,11.596],[49.504,11.566],[49.507,11.534],[49.544,11.549],[49.553,11.511],[49.58,11.576],[49.604,11.55],[49.623,11.602],[49.641,11.571],[49.686,11.565],[49.693,11.544],[49.697,11.564],[49.733,11.552],[49.729,11.587],[49.754,11.594],[49.761,11.628]],[[49.497,11.874],[49.486,11.844],[49.469,11.846],[49.464,11.779],[49.428,11.781],[49.412,11.836],[49.445,11.915],[49.497,11.874]]]],
+    },
+    109372000: {
+      name: "Kreis Cham",
+      nuts: "DE235",
+      bbox: [49.02, 12.3, 49.5, 13.18],
+      polygons: [[[[49.489,12.626],[49.435,12.656],[49.425,12.709],[49.395,12.758],[49.348,12.779],[49.332,12.877],[49.333,12.889],[49.351,12.88],[49.344,12.943],[49.304,13.029],[49.264,13.034],[49.247,13.081],[49.229,13.086],[49.218,13.114],[49.203,13.11],[49.174,13.171],[49.147,13.164],[49.111,13.128],[49.129,13.068],[49.155,13.048],[49.167,12.977],[49.139,12.945],[49.149,12.918],[49.134,12.924],[49.127,12.899],[49.138,12.879],[49.122,12.794],[49.135,12.786],[49.11,12.763],[49.119,12.736],[49.09,12.555],[49.057,12.526],[49.061,12.494],[49.028,12.476],[49.053,12.409],[49.059,12.44],[49.097,12.419],[49.091,12.322],[49.103,12.346],[49.131,12.304],[49.133,12.324],[49.157,12.31],[49.19,12.337],[49.203,12.331],[49.217,12.364],[49.229,12.36],[49.221,12.407],[49.233,12.388],[49.253,12.414],[49.264,12.38],[49.254,12.416],[49.275,12.422],[49.261,12.457],[49.273,12.479],[49.288,12.488],[49.298,12.471],[49.316,12.51],[49.32,12.482],[49.36,12.482],[49.378,12.502],[49.394,12.485],[49.419,12.556],[49.446,12.526],[49.461,12.543],[49.463,12.584],[49.489,12.626]]],[[[49.26,12.38],[49.26,12.4],[49.27,12.4],[49.27,12.38],[49.26,12.38]]],[[[49.24,12.38],[49.24,12.4],[49.26,12.4],[49.26,12.38],[49.24,12.38]]],[[[49.24,12.37],[49.24,12.38],[49.25,12.38],[49.25,12.37],[49.24,12.37]]],[[[49.25,12.36],[49.25,12.38],[49.27,12.38],[49.27,12.36],[49.25,12.36]]],[[[49.26,12.4],[49.26,12.42],[49.27,12.42],[49.27,12.4],[49.26,12.4]]],[[[49.23,12.37],[49.23,12.38],[49.24,12.38],[49.24,12.37],[49.23,12.37]]],[[[49.23,12.37],[49.23,12.39],[49.25,12.39],[49.25,12.37],[49.23,12.37]]]],
+    },
+    109373000: {
+      name: "Kreis Neumarkt i.d. OPf.",
+      nuts: "DE236",
+      bbox: [48.95, 11.18, 49.44, 11.95],
+      polygons: [[[[49.426,11.461],[49.411,11.537],[49.419,11.563],[49.39,11.589],[49.389,11.633],[49.343,11.629],[49.32,11.662],[49.324,11.689],[49.308,11.688],[49.34,11.715],[49.293,11.791],[49.268,11.914],[49.213,11.941],[49.188,11.937],[49.17,11.861],[49.155,11.862],[49.151,11.843],[49.169,11.8],[49.129,11.781],[49.12,11.747],[49.105,11.75],[49.079,11.676],[49.057,11.689],[49.005,11.646],[49.008,11.614],[48.984,11.622],[48.952,11.598],[48.989,11.576],[49.007,11.536],[49.027,11.541],[49.032,11.516],[49.043,11.515],[49.041,11.533],[49.07,11.538],[49.077,11.504],[49.062,11.461],[49.09,11.353],[49.1,11.368],[49.118,11.353],[49.119,11.323],[49.178,11.314],[49.197,11.262],[49.211,11.263],[49.203,11.322],[49.257,11.292],[49.26,11.264],[49.267,11.292],[49.274,11.206],[49.292,11.215],[49.3,11.186],[49.316,11.22],[49.309,11.251],[49.325,11.247],[49.303,11.334],[49.32,11.345],[49.326,11.382],[49.342,11.39],[49.357,11.371],[49.376,11.421],[49.393,11.424],[49.412,11.461],[49.414,11.445],[49.428,11.448],[49.426,11.461]]]],
+    },
+    109374000: {
+      name: "Kreis Neustadt a.d. Waldnaab",
+      nuts: "DE237",
+      bbox: [49.5, 11.62, 49.86, 12.6],
+      polygons: [[[[49.844,12.179],[49.833,12.194],[49.821,12.184],[49.81,12.212],[49.802,12.203],[49.799,12.236],[49.771,12.237],[49.758,12.335],[49.771,12.373],[49.756,12.379],[49.758,12.402],[49.704,12.443],[49.687,12.522],[49.618,12.528],[49.62,12.561],[49.559,12.574],[49.542,12.594],[49.551,12.552],[49.535,12.529],[49.554,12.481],[49.522,12.441],[49.532,12.404],[49.52,12.396],[49.517,12.348],[49.504,12.349],[49.518,12.291],[49.536,12.302],[49.538,12.259],[49.589,12.227],[49.594,12.194],[49.57,12.184],[49.568,12.148],[49.548,12.119],[49.568,12.104],[49.565,12.068],[49.578,12.071],[49.575,11.991],[49.584,11.978],[49.607,11.992],[49.614,11.968],[49.622,11.982],[49.64,11.974],[49.635,11.876],[49.653,11.809],[49.625,11.737],[49.631,11.64],[49.675,11.661],[49.69,11.648],[49.701,11.67],[49.764,11.629],[49.808,11.643],[49.802,11.699],[49.82,11.7],[49.819,11.724],[49.839,11.734],[49.836,11.785],[49.853,11.838],[49.803,11.891],[49.823,11.992],[49.794,12.025],[49.785,12.012],[49.795,12.054],[49.784,12.078],[49.824,12.103],[49.822,12.133],[49.856,12.169],[49.844,12.179]],[[49.704,12.12],[49.7,12.075],[49.691,12.087],[49.674,12.064],[49.668,12.086],[49.642,12.093],[49.642,12.114],[49.615,12.129],[49.663,12.169],[49.66,12.22],[49.632,12.241],[49.66,12.267],[49.666,12.226],[49.685,12.226],[49.686,12.191],[49.703,12.182],[49.704,12.12]]]],
+    },
+    109375000: {
+      name: "Kreis Regensburg",
+      nuts: "DE238",
+      bbox: [48.76, 11.65, 49.23, 12.5],
+      polygons: [[[[49.224,12.176],[49.185,12.195],[49.175,12.232],[49.153,12.236],[49.15,12.278],[49.166,12.285],[49.156,12.308],[49.134,12.324],[49.124,12.307],[49.105,12.345],[49.088,12.325],[49.095,12.389],[49.103,12.373],[49.097,12.419],[49.059,12.44],[49.056,12.409],[49.042,12.419],[49.044,12.449],[49.022,12.489],[48.981,12.489],[48.975,12.438],[48.963,12.454],[48.935,12.439],[48.919,12.458],[48.899,12.427],[48.878,12.432],[48.847,12.372],[48.863,12.314],[48.84,12.294],[48.851,12.285],[48.842,12.273],[48.862,12.263],[48.836,12.257],[48.837,12.233],[48.811,12.236],[48.808,12.196],[48.793,12.192],[48.8,12.171],[48.78,12.13],[48.766,12.135],[48.765,12.107],[48.843,12.098],[48.878,12.134],[48.882,12.116],[48.906,12.11],[48.905,12.079],[48.922,12.094],[48.94,12.076],[48.964,12.02],[48.949,11.995],[48.965,11.991],[48.965,11.966],[48.946,11.927],[48.956,11.917],[48.964,11.932],[48.978,11.903],[48.988,11.914],[49.022,11.863],[49.019,11.807],[48.982,11.771],[49.021,11.692],[49.014,11.661],[49.058,11.69],[49.079,11.676],[49.105,11.75],[49.123,11.749],[49.129,11.781],[49.174,11.808],[49.151,11.843],[49.155,11.862],[49.17,11.861],[49.194,11.949],[49.187,12.005],[49.159,12.004],[49.169,12.061],[49.159,12.057],[49.143,12.098],[49.159,12.103],[49.16,12.127],[49.169,12.118],[49.181,12.157],[49.21,12.146],[49.224,12.176]],[[49.076,12.132],[49.063,12.095],[49.036,12.091],[49.049,12.047],[49.009,12.03],[48.998,12.066],[48.97,12.075],[48.972,12.175],[49.008,12.192],[49.019,12.159],[49.049,12.164],[49.05,12.138],[49.076,12.132]]]],
+    },
+    109376000: {
+      name: "Kreis Schwandorf",
+      nuts: "DE239",
+      bbox: [49.14, 11.93, 49.6, 12.65],
+      polygons: [[[[49.593,12.196],[49.575,12.246],[49.563,12.236],[49.538,12.259],[49.536,12.302],[49.518,12.291],[49.513,12.304],[49.504,12.353],[49.517,12.348],[49.52,12.396],[49.532,12.404],[49.522,12.441],[49.554,12.481],[49.535,12.529],[49.552,12.566],[49.531,12.638],[49.485,12.644],[49.476,12.633],[49.489,12.635],[49.488,12.615],[49.447,12.526],[49.419,12.556],[49.406,12.496],[49.394,12.485],[49.378,12.502],[49.339,12.477],[49.332,12.49],[49.318,12.483],[49.313,12.509],[49.3,12.472],[49.286,12.487],[49.261,12.46],[49.277,12.436],[49.254,12.416],[49.264,12.38],[49.253,12.414],[49.233,12.388],[49.221,12.407],[49.229,12.36],[49.217,12.364],[49.203,12.331],[49.196,12.34],[49.152,12.311],[49.166,12.286],[49.15,12.278],[49.153,12.236],[49.175,12.232],[49.185,12.195],[49.224,12.176],[49.21,12.146],[49.181,12.157],[49.169,12.118],[49.16,12.127],[49.159,12.103],[49.143,12.098],[49.159,12.057],[49.169,12.061],[49.159,12.004],[49.187,12.005],[49.195,11.936],[49.221,11.934],[49.215,11.955],[49.236,11.941],[49.252,11.983],[49.277,11.944],[49.279,11.982],[49.304,11.967],[49.34,12.011],[49.352,11.994],[49.353,12.062],[49.369,12.051],[49.38,12.064],[49.382,12.049],[49.389,12.063],[49.392,12],[49.406,12.008],[49.422,11.977],[49.426,11.995],[49.437,11.977],[49.43,12.034],[49.463,12.043],[49.492,12.03],[49.48,12.086],[49.497,12.096],[49.53,12.073],[49.55,12.134],[49.562,12.131],[49.57,12.184],[49.593,12.196]]]],
+    },
+    109377000: {
+      name: "Kreis Tirschenreuth",
+      nuts: "DE23A",
+      bbox: [49.75, 11.8, 50.07, 12.56],
+      polygons: [[[[50.061,12.271],[50.003,12.431],[49.984,12.432],[49.995,12.461],[49.982,12.49],[49.972,12.5],[49.949,12.47],[49.938,12.476],[49.92,12.548],[49.901,12.55],[49.857,12.498],[49.838,12.498],[49.834,12.473],[49.786,12.473],[49.754,12.393],[49.771,12.373],[49.763,12.263],[49.771,12.237],[49.799,12.236],[49.802,12.203],[49.81,12.212],[49.821,12.184],[49.833,12.194],[49.856,12.173],[49.822,12.133],[49.824,12.103],[49.785,12.088],[49.785,12.012],[49.794,12.025],[49.823,11.992],[49.803,11.891],[49.826,11.859],[49.852,11.862],[49.879,11.839],[49.892,11.855],[49.902,11.824],[49.914,11.838],[49.936,11.827],[49.933,11.812],[49.963,11.814],[49.96,11.866],[49.979,11.904],[49.991,12.016],[49.98,12.048],[49.995,12.07],[49.977,12.095],[49.998,12.195],[50.033,12.198],[50.035,12.241],[50.061,12.271]]],[[[49.95,11.8],[49.95,11.82],[49.96,11.82],[49.96,11.8],[49.95,11.8]]]],
+    },
+    109461000: {
+      name: "Bamberg",
+      nuts: "DE241",
+      bbox: [49.84, 10.82, 49.93, 10.96],
+      polygons: [[[[49.927,10.917],[49.906,10.947],[49.85,10.96],[49.842,10.926],[49.881,10.833],[49.898,10.826],[49.908,10.847],[49.915,10.83],[49.927,10.917]]]],
+    },
+    109462000: {
+      name: "Bayreuth",
+      nuts: "DE242",
+      bbox: [49.88, 11.47, 49.98, 11.68],
+      polygons: [[[[49.976,11.585],[49.972,11.655],[49.957,11.638],[49.935,11.673],[49.922,11.624],[49.893,11.615],[49.888,11.573],[49.895,11.554],[49.906,11.567],[49.927,11.522],[49.937,11.527],[49.948,11.495],[49.976,11.585]]],[[[49.94,11.47],[49.94,11.5],[49.97,11.5],[49.97,11.47],[49.94,11.47]]]],
+    },
+    109463000: {
+      name: "Coburg",
+      nuts: "DE243",
+      bbox: [50.22, 10.88, 50.3, 11.07],
+      polygons: [[[[50.297,10.95],[50.292,10.99],[50.278,10.983],[50.267,11.013],[50.265,11.064],[50.222,10.98],[50.244,10.96],[50.251,10.892],[50.266,10.921],[50.283,10.887],[50.297,10.95]]]],
+    },
+    109464000: {
+      name: "Hof",
+      nuts: "DE244",
+      bbox: [50.26, 11.8, 50.36, 11.98],
+      polygons: [[[[50.354,11.88],[50.343,11.957],[50.316,11.972],[50.267,11.908],[50.31,11.807],[50.327,11.88],[50.338,11.87],[50.354,11.88]]]],
+    },
+    109471000: {
+      name: "Kreis Bamberg",
+      nuts: "DE245",
+      bbox: [49.72, 10.43, 50.1, 11.26],
+      polygons: [[[[50.095,10.876],[50.088,10.892],[50.067,10.878],[50.049,10.904],[50.037,10.893],[50.05,10.951],[50.016,11.003],[50.052,11.194],[50.021,11.147],[50.025,11.196],[50.012,11.182],[50.016,11.217],[49.989,11.249],[49.979,11.253],[49.954,11.196],[49.93,11.214],[49.909,11.184],[49.893,11.199],[49.881,11.192],[49.865,11.244],[49.862,11.228],[49.837,11.232],[49.839,11.108],[49.806,11.1],[49.794,11.081],[49.768,10.928],[49.776,10.917],[49.785,10.931],[49.786,10.919],[49.738,10.813],[49.788,10.715],[49.757,10.672],[49.748,10.708],[49.735,10.705],[49.721,10.654],[49.741,10.638],[49.756,10.551],[49.77,10.554],[49.803,10.516],[49.788,10.467],[49.805,10.485],[49.818,10.45],[49.836,10.462],[49.845,10.44],[49.879,10.459],[49.881,10.559],[49.865,10.561],[49.874,10.576],[49.859,10.587],[49.876,10.607],[49.86,10.595],[49.855,10.605],[49.89,10.657],[49.883,10.685],[49.905,10.706],[49.916,10.694],[49.948,10.743],[49.956,10.721],[49.968,10.761],[49.992,10.741],[50,10.765],[50.019,10.75],[50.025,10.773],[50.046,10.783],[50.045,10.836],[50.073,10.836],[50.074,10.859],[50.092,10.86],[50.095,10.876]],[[49.922,10.904],[49.915,10.83],[49.908,10.847],[49.898,10.826],[49.881,10.833],[49.842,10.926],[49.85,10.96],[49.911,10.944],[49.922,10.904]]],[[[49.73,10.87],[49.73,10.9],[49.75,10.9],[49.75,10.87],[49.73,10.87]]]],
+    },
+    109472000: {
+      name: "Kreis Bayreuth",
+      nuts: "DE246",
+      bbox: [49.61, 11.18, 50.14, 11.91],
+      polygons: [[[[50.126,11.707],[50.127,11.775],[50.088,11.819],[50.072,11.801],[50.043,11.866],[50.032,11.874],[50.023,11.859],[49.999,11.899],[49.969,11.899],[49.961,11.812],[49.933,11.812],[49.935,11.828],[49.908,11.839],[49.903,11.823],[49.892,11.855],[49.879,11.839],[49.852,11.862],[49.839,11.734],[49.819,11.724],[49.82,11.7],[49.802,11.699],[49.808,11.643],[49.762,11.634],[49.754,11.594],[49.729,11.587],[49.733,11.552],[49.698,11.56],[49.693,11.541],[49.686,11.563],[49.642,11.558],[49.645,11.474],[49.628,11.459],[49.628,11.429],[49.614,11.427],[49.625,11.398],[49.659,11.371],[49.669,11.378],[49.676,11.347],[49.7,11.383],[49.705,11.356],[49.739,11.363],[49.753,11.389],[49.778,11.38],[49.785,11.347],[49.803,11.367],[49.817,11.329],[49.805,11.332],[49.801,11.306],[49.844,11.264],[49.874,11.261],[49.881,11.192],[49.893,11.199],[49.909,11.184],[49.937,11.215],[49.951,11.194],[49.979,11.253],[49.999,11.248],[50,11.26],[49.988,11.285],[49.965,11.281],[49.935,11.385],[49.961,11.396],[49.957,11.427],[49.99,11.419],[49.981,11.461],[49.995,11.477],[50.008,11.578],[50.04,11.617],[50.043,11.65],[50.069,11.632],[50.089,11.688],[50.096,11.675],[50.125,11.678],[50.126,11.707]],[[49.947,11.48],[49.964,11.496],[49.96,11.477],[49.962,11.491],[49.947,11.48]],[[49.977,11.58],[49.947,11.496],[49.937,11.527],[49.927,11.522],[49.906,11.567],[49.895,11.554],[49.888,11.573],[49.893,11.615],[49.922,11.624],[49.935,11.673],[49.957,11.638],[49.972,11.655],[49.977,11.58]]]],
+    },
+    109473000: {
+      name: "Kreis Coburg",
+      nuts: "DE247",
+      bbox: [50.08, 10.71, 50.4, 11.21],
+      polygons: [[[[50.395,10.877],[50.38,10.893],[50.392,10.938],[50.347,10.986],[50.366,10.998],[50.36,11.036],[50.345,11.037],[50.367,11.1],[50.367,11.116],[50.349,11.118],[50.354,11.139],[50.326,11.159],[50.3,11.133],[50.281,11.184],[50.271,11.174],[50.256,11.202],[50.251,11.179],[50.234,11.194],[50.206,11.169],[50.199,11.198],[50.185,11.18],[50.198,11.153],[50.192,11.116],[50.21,11.103],[50.214,10.992],[50.177,11.008],[50.171,10.953],[50.156,10.952],[50.141,10.915],[50.123,10.949],[50.111,10.891],[50.093,10.885],[50.088,10.862],[50.126,10.862],[50.145,10.878],[50.158,10.852],[50.144,10.842],[50.149,10.778],[50.194,10.78],[50.213,10.754],[50.223,10.762],[50.231,10.727],[50.252,10.732],[50.24,10.836],[50.252,10.852],[50.275,10.846],[50.321,10.715],[50.348,10.729],[50.355,10.712],[50.358,10.755],[50.385,10.786],[50.395,10.877]],[[50.297,10.943],[50.283,10.887],[50.266,10.921],[50.251,10.892],[50.244,10.96],[50.222,10.98],[50.265,11.064],[50.267,11.013],[50.278,10.983],[50.292,10.99],[50.297,10.943]]]],
+    },
+    109474000: {
+      name: "Kreis Forchheim",
+      nuts: "DE248",
+      bbox: [49.58, 10.91, 49.88, 11.39],
+      polygons: [[[[49.874,11.261],[49.864,11.271],[49.855,11.258],[49.805,11.297],[49.805,11.332],[49.817,11.329],[49.803,11.367],[49.785,11.347],[49.778,11.38],[49.753,11.389],[49.724,11.356],[49.713,11.367],[49.704,11.356],[49.7,11.383],[49.678,11.347],[49.667,11.369],[49.63,11.298],[49.605,11.285],[49.595,11.252],[49.609,11.22],[49.587,11.181],[49.589,11.109],[49.638,11.061],[49.627,11.025],[49.654,11.06],[49.662,11.046],[49.68,11.055],[49.674,11.006],[49.684,11.015],[49.681,10.974],[49.707,10.922],[49.717,10.963],[49.738,10.921],[49.755,10.934],[49.766,10.913],[49.779,10.935],[49.77,10.962],[49.786,10.984],[49.794,11.081],[49.806,11.1],[49.839,11.108],[49.835,11.226],[49.862,11.228],[49.874,11.261]]]],
+    },
+    109475000: {
+      name: "Kreis Hof",
+      nuts: "DE249",
+      bbox: [50.1, 11.52, 50.43, 12.17],
+      polygons: [[[[50.424,11.922],[50.407,11.954],[50.395,11.949],[50.389,11.984],[50.351,11.977],[50.325,12.047],[50.333,12.091],[50.308,12.126],[50.278,12.14],[50.252,12.091],[50.236,12.151],[50.22,12.161],[50.212,12.129],[50.228,12.085],[50.184,12.032],[50.17,11.989],[50.188,11.994],[50.2,11.937],[50.174,11.938],[50.139,11.885],[50.103,11.789],[50.127,11.775],[50.117,11.745],[50.134,11.699],[50.116,11.653],[50.14,11.648],[50.138,11.678],[50.16,11.69],[50.162,11.65],[50.181,11.681],[50.203,11.672],[50.204,11.654],[50.225,11.66],[50.225,11.598],[50.234,11.612],[50.261,11.609],[50.258,11.629],[50.267,11.62],[50.255,11.578],[50.272,11.537],[50.288,11.566],[50.329,11.529],[50.358,11.535],[50.364,11.579],[50.378,11.566],[50.386,11.607],[50.399,11.603],[50.387,11.625],[50.393,11.683],[50.418,11.794],[50.404,11.825],[50.39,11.823],[50.424,11.922]],[[50.354,11.875],[50.327,11.88],[50.31,11.808],[50.267,11.908],[50.316,11.972],[50.343,11.957],[50.354,11.875]]]],
+    },
+    109476000: {
+      name: "Kreis Kronach",
+      nuts: "DE24A",
+      bbox: [50.15, 11.16, 50.53, 11.62],
+      polygons: [[[[50.523,11.37],[50.501,11.441],[50.493,11.419],[50.443,11.421],[50.431,11.451],[50.421,11.443],[50.432,11.482],[50.401,11.479],[50.396,11.519],[50.374,11.52],[50.4,11.573],[50.393,11.609],[50.378,11.566],[50.363,11.576],[50.358,11.535],[50.329,11.529],[50.288,11.566],[50.255,11.527],[50.25,11.487],[50.216,11.431],[50.2,11.413],[50.182,11.434],[50.176,11.397],[50.187,11.382],[50.193,11.393],[50.193,11.377],[50.16,11.342],[50.161,11.282],[50.185,11.224],[50.204,11.226],[50.201,11.173],[50.234,11.194],[50.249,11.178],[50.256,11.202],[50.291,11.197],[50.268,11.251],[50.299,11.252],[50.307,11.27],[50.323,11.256],[50.338,11.261],[50.336,11.277],[50.352,11.262],[50.36,11.284],[50.4,11.258],[50.432,11.268],[50.449,11.247],[50.478,11.248],[50.486,11.289],[50.475,11.291],[50.491,11.323],[50.509,11.321],[50.523,11.37]]]],
+    },
+    109477000: {
+      name: "Kreis Kulmbach",
+      nuts: "DE24B",
+      bbox: [49.93, 11.25, 50.27, 11.69],
+      polygons: [[[[50.267,11.616],[50.258,11.629],[50.261,11.609],[50.234,11.612],[50.225,11.598],[50.23,11.655],[50.204,11.654],[50.203,11.672],[50.181,11.681],[50.162,11.65],[50.16,11.69],[50.138,11.678],[50.13,11.643],[50.116,11.653],[50.124,11.679],[50.096,11.675],[50.089,11.688],[50.069,11.632],[50.043,11.65],[50.04,11.617],[50.008,11.578],[49.995,11.477],[49.981,11.461],[49.99,11.419],[49.957,11.427],[49.961,11.396],[49.935,11.385],[49.968,11.278],[49.988,11.285],[50.016,11.251],[50.014,11.276],[50.029,11.276],[50.039,11.304],[50.043,11.292],[50.059,11.309],[50.079,11.297],[50.084,11.325],[50.104,11.299],[50.132,11.339],[50.126,11.355],[50.148,11.364],[50.157,11.34],[50.187,11.365],[50.182,11.432],[50.2,11.413],[50.25,11.487],[50.267,11.616]]]],
+    },
+    109478000: {
+      name: "Kreis Lichtenfels",
+      nuts: "DE24C",
+      bbox: [49.98, 10.87, 50.22, 11.37],
+      polygons: [[[[50.219,11.034],[50.185,11.18],[50.205,11.199],[50.204,11.226],[50.185,11.224],[50.171,11.256],[50.148,11.364],[50.126,11.355],[50.132,11.339],[50.104,11.299],[50.084,11.325],[50.084,11.301],[50.059,11.309],[50.043,11.292],[50.039,11.304],[50.029,11.276],[50.014,11.276],[50.016,11.251],[49.99,11.246],[50.016,11.217],[50.012,11.182],[50.025,11.196],[50.021,11.147],[50.049,11.198],[50.058,11.182],[50.016,11.009],[50.05,10.951],[50.037,10.893],[50.049,10.904],[50.074,10.875],[50.074,10.889],[50.107,10.886],[50.113,10.937],[50.127,10.948],[50.141,10.915],[50.15,10.921],[50.156,10.952],[50.174,10.96],[50.177,11.008],[50.2,11.007],[50.211,10.985],[50.219,11.034]]]],
+    },
+    109479000: {
+      name: "Kreis Wunsiedel i. Fichtelgebirge",
+      nuts: "DE24D",
+      bbox: [49.97, 11.78, 50.23, 12.28],
+      polygons: [[[[50.226,12.089],[50.212,12.129],[50.22,12.163],[50.199,12.197],[50.168,12.216],[50.143,12.195],[50.111,12.2],[50.076,12.275],[50.035,12.241],[50.033,12.198],[49.999,12.198],[49.978,12.108],[49.995,12.07],[49.98,12.048],[49.991,12.016],[49.971,11.914],[50.023,11.859],[50.032,11.874],[50.043,11.866],[50.076,11.797],[50.088,11.819],[50.103,11.789],[50.119,11.849],[50.174,11.938],[50.198,11.933],[50.202,11.966],[50.17,11.999],[50.226,12.089]]]],
+    },
+    109561000: {
+      name: "Ansbach",
+      nuts: "DE251",
+      bbox: [49.23, 10.45, 49.35, 10.66],
+      polygons: [[[[49.343,10.582],[49.32,10.655],[49.282,10.611],[49.257,10.646],[49.235,10.64],[49.266,10.473],[49.278,10.481],[49.285,10.454],[49.292,10.499],[49.326,10.474],[49.321,10.523],[49.343,10.582]]]],
+    },
+    109562000: {
+      name: "Erlangen",
+      nuts: "DE252",
+      bbox: [49.53, 10.91, 49.65, 11.06],
+      polygons: [[[[49.642,10.936],[49.615,10.978],[49.608,11.05],[49.585,11.035],[49.543,11.039],[49.535,10.933],[49.561,10.937],[49.569,10.916],[49.629,10.933],[49.638,10.917],[49.642,10.936]]]],
+    },
+    109563000: {
+      name: "Fürth",
+      nuts: "DE253",
+      bbox: [49.43, 10.89, 49.55, 11.03],
+      polygons: [[[[49.535,10.995],[49.513,11],[49.509,11.029],[49.494,11.014],[49.474,11.026],[49.439,10.998],[49.467,10.907],[49.496,10.893],[49.507,10.934],[49.534,10.934],[49.535,10.995]]]],
+    },
+    109564000: {
+      name: "Nürnberg",
+      nuts: "DE254",
+      bbox: [49.33, 10.98, 49.55, 11.29],
+      polygons: [[[[49.54,11.001],[49.519,11.077],[49.505,11.061],[49.513,11.12],[49.491,11.123],[49.472,11.15],[49.468,11.186],[49.456,11.142],[49.446,11.156],[49.442,11.128],[49.434,11.134],[49.421,11.214],[49.415,11.181],[49.405,11.193],[49.412,11.177],[49.394,11.177],[49.39,11.191],[49.391,11.111],[49.377,11.102],[49.369,11.122],[49.371,11.102],[49.357,11.122],[49.332,11.071],[49.351,11.039],[49.372,11.033],[49.377,10.993],[49.403,11.026],[49.437,10.99],[49.477,11.027],[49.494,11.014],[49.509,11.029],[49.513,11],[49.537,10.988],[49.54,11.001]]],[[[49.44,11.267],[49.417,11.28],[49.409,11.259],[49.441,11.249],[49.44,11.267]]]],
+    },
+    109565000: {
+      name: "Schwabach",
+      nuts: "DE255",
+      bbox: [49.29, 10.97, 49.38, 11.09],
+      polygons: [[[[49.375,11],[49.372,11.033],[49.351,11.039],[49.332,11.071],[49.339,11.08],[49.314,11.087],[49.318,11.061],[49.297,11.042],[49.296,11.01],[49.305,11.015],[49.324,10.977],[49.338,10.993],[49.357,10.97],[49.375,11]]]],
+    },
+    109571000: {
+      name: "Kreis Ansbach",
+      nuts: "DE256",
+      bbox: [48.97, 10.09, 49.5, 10.92],
+      polygons: [[[[49.49,10.222],[49.467,10.269],[49.453,10.248],[49.413,10.295],[49.434,10.344],[49.41,10.349],[49.413,10.387],[49.432,10.403],[49.412,10.476],[49.424,10.472],[49.451,10.52],[49.436,10.547],[49.449,10.611],[49.422,10.601],[49.434,10.74],[49.417,10.752],[49.415,10.738],[49.4,10.743],[49.356,10.868],[49.315,10.866],[49.308,10.899],[49.286,10.908],[49.27,10.896],[49.247,10.913],[49.198,10.838],[49.197,10.74],[49.133,10.655],[49.108,10.665],[49.09,10.646],[49.071,10.688],[49.017,10.667],[49.015,10.615],[49.035,10.596],[49.034,10.556],[49.022,10.539],[49.007,10.544],[49.011,10.452],[49.004,10.424],[48.983,10.432],[48.977,10.41],[49.006,10.352],[49.028,10.35],[49.039,10.252],[49.062,10.264],[49.076,10.234],[49.093,10.251],[49.098,10.205],[49.129,10.257],[49.149,10.248],[49.163,10.218],[49.156,10.197],[49.182,10.181],[49.2,10.125],[49.209,10.14],[49.247,10.12],[49.253,10.133],[49.258,10.11],[49.281,10.157],[49.3,10.132],[49.326,10.14],[49.338,10.105],[49.356,10.125],[49.379,10.107],[49.395,10.162],[49.403,10.139],[49.401,10.152],[49.433,10.138],[49.456,10.097],[49.479,10.137],[49.476,10.173],[49.492,10.184],[49.49,10.222]],[[49.343,10.571],[49.321,10.523],[49.326,10.474],[49.292,10.499],[49.285,10.454],[49.278,10.481],[49.266,10.473],[49.235,10.64],[49.257,10.646],[49.282,10.611],[49.32,10.655],[49.343,10.571]]]],
+    },
+    109572000: {
+      name: "Kreis Erlangen-Höchstadt",
+      nuts: "DE257",
+      bbox: [49.47, 10.59, 49.79, 11.29],
+      polygons: [[[[49.785,10.724],[49.767,10.776],[49.738,10.805],[49.785,10.931],[49.776,10.917],[49.766,10.932],[49.766,10.913],[49.755,10.934],[49.738,10.921],[49.717,10.963],[49.707,10.922],[49.681,10.974],[49.684,11.015],[49.674,11.006],[49.68,11.055],[49.662,11.046],[49.654,11.06],[49.627,11.025],[49.638,11.061],[49.589,11.109],[49.587,11.181],[49.609,11.22],[49.595,11.252],[49.606,11.278],[49.593,11.289],[49.583,11.268],[49.579,11.283],[49.568,11.269],[49.56,11.19],[49.543,11.197],[49.491,11.168],[49.474,11.178],[49.472,11.15],[49.515,11.113],[49.501,11.097],[49.506,11.059],[49.519,11.077],[49.541,11.028],[49.608,11.05],[49.615,10.978],[49.646,10.929],[49.638,10.917],[49.627,10.933],[49.625,10.922],[49.569,10.916],[49.561,10.937],[49.538,10.935],[49.549,10.904],[49.536,10.816],[49.552,10.821],[49.579,10.795],[49.582,10.756],[49.602,10.756],[49.607,10.775],[49.613,10.754],[49.634,10.784],[49.656,10.784],[49.686,10.729],[49.678,10.614],[49.683,10.605],[49.69,10.619],[49.692,10.594],[49.709,10.595],[49.72,10.623],[49.733,10.703],[49.748,10.708],[49.759,10.672],[49.785,10.724]]]],
+    },
+    109573000: {
+      name: "Kreis Fürth",
+      nuts: "DE258",
+      bbox: [49.35, 10.68, 49.55, 11.03],
+      polygons: [[[[49.549,10.905],[49.527,10.935],[49.507,10.934],[49.496,10.893],[49.467,10.907],[49.453,10.981],[49.42,11.005],[49.418,11.024],[49.395,11.024],[49.377,10.938],[49.357,10.929],[49.355,10.871],[49.4,10.743],[49.415,10.738],[49.417,10.752],[49.434,10.74],[49.444,10.691],[49.476,10.701],[49.496,10.685],[49.503,10.741],[49.521,10.758],[49.51,10.79],[49.525,10.787],[49.536,10.814],[49.549,10.905]]]],
+    },
+    109574000: {
+      name: "Kreis Nürnberger Land",
+      nuts: "DE259",
+      bbox: [49.3, 11.12, 49.72, 11.61],
+      polygons: [[[[49.697,11.564],[49.694,11.544],[49.669,11.573],[49.641,11.571],[49.623,11.602],[49.604,11.55],[49.58,11.576],[49.553,11.511],[49.544,11.549],[49.507,11.534],[49.504,11.566],[49.474,11.596],[49.433,11.557],[49.416,11.559],[49.428,11.449],[49.415,11.445],[49.412,11.461],[49.357,11.394],[49.357,11.371],[49.342,11.39],[49.326,11.382],[49.302,11.331],[49.325,11.247],[49.351,11.227],[49.357,11.195],[49.359,11.224],[49.37,11.188],[49.378,11.199],[49.379,11.153],[49.39,11.191],[49.394,11.177],[49.412,11.177],[49.405,11.193],[49.416,11.182],[49.421,11.214],[49.429,11.18],[49.417,11.179],[49.442,11.128],[49.468,11.186],[49.491,11.168],[49.543,11.197],[49.56,11.19],[49.568,11.269],[49.579,11.283],[49.583,11.268],[49.593,11.289],[49.619,11.287],[49.637,11.332],[49.665,11.353],[49.669,11.378],[49.626,11.397],[49.614,11.427],[49.628,11.429],[49.628,11.459],[49.645,11.474],[49.642,11.558],[49.686,11.563],[49.694,11.541],[49.698,11.56],[49.716,11.558],[49.697,11.564]],[[49.441,11.263],[49.44,11.248],[49.409,11.259],[49.417,11.28],[49.441,11.263]]]],
+    },
+    109575000: {
+      name: "Kreis Neustadt a.d. Aisch-Bad Windsheim",
+      nuts: "DE25A",
+      bbox: [49.41, 10.06, 49.76, 10.83],
+      polygons: [[[[49.753,10.556],[49.741,10.638],[49.723,10.654],[49.709,10.595],[49.69,10.595],[49.69,10.619],[49.679,10.604],[49.691,10.698],[49.652,10.788],[49.613,10.754],[49.607,10.775],[49.602,10.756],[49.582,10.756],[49.579,10.795],[49.552,10.821],[49.536,10.816],[49.525,10.787],[49.51,10.79],[49.521,10.758],[49.503,10.741],[49.494,10.68],[49.476,10.701],[49.433,10.692],[49.422,10.601],[49.449,10.611],[49.436,10.547],[49.451,10.52],[49.424,10.472],[49.412,10.476],[49.432,10.403],[49.413,10.387],[49.41,10.349],[49.434,10.344],[49.413,10.295],[49.453,10.248],[49.467,10.269],[49.488,10.234],[49.492,10.184],[49.476,10.173],[49.471,10.125],[49.491,10.1],[49.511,10.121],[49.52,10.077],[49.534,10.09],[49.593,10.07],[49.619,10.1],[49.612,10.148],[49.59,10.17],[49.633,10.219],[49.622,10.349],[49.634,10.388],[49.678,10.359],[49.691,10.387],[49.704,10.339],[49.7,10.353],[49.743,10.412],[49.731,10.422],[49.75,10.436],[49.753,10.556]]]],
+    },
+    109576000: {
+      name: "Kreis Roth",
+      nuts: "DE25B",
+      bbox: [48.99, 10.83, 49.4, 11.43],
+      polygons: [[[[49.39,11.137],[49.378,11.199],[49.37,11.188],[49.359,11.224],[49.357,11.195],[49.333,11.248],[49.321,11.239],[49.309,11.251],[49.316,11.22],[49.298,11.187],[49.292,11.215],[49.274,11.206],[49.267,11.292],[49.26,11.264],[49.257,11.292],[49.203,11.322],[49.211,11.263],[49.197,11.262],[49.178,11.314],[49.119,11.323],[49.117,11.355],[49.1,11.368],[49.09,11.353],[49.055,11.426],[49.054,11.401],[49.035,11.416],[49.031,11.386],[49.017,11.382],[49.02,11.346],[48.998,11.327],[49.016,11.297],[49.004,11.285],[49.014,11.264],[49.053,11.255],[49.047,11.201],[49.085,11.167],[49.086,11.123],[49.129,11.068],[49.144,10.995],[49.155,10.997],[49.149,10.939],[49.131,10.938],[49.161,10.855],[49.188,10.876],[49.199,10.837],[49.247,10.913],[49.27,10.896],[49.286,10.908],[49.308,10.899],[49.315,10.866],[49.356,10.868],[49.357,10.929],[49.377,10.938],[49.383,10.991],[49.357,10.97],[49.333,10.993],[49.325,10.977],[49.293,11.025],[49.316,11.051],[49.314,11.087],[49.339,11.08],[49.357,11.122],[49.371,11.102],[49.369,11.122],[49.377,11.102],[49.391,11.111],[49.39,11.137]]]],
+    },
+    109577000: {
+      name: "Kreis Weißenburg-Gunzenhausen",
+      nuts: "DE25C",
+      bbox: [48.85, 10.63, 49.21, 11.21],
+      polygons: [[[[49.205,10.781],[49.188,10.875],[49.161,10.855],[49.137,10.906],[49.131,10.938],[49.149,10.939],[49.155,10.995],[49.144,10.995],[49.129,11.068],[49.086,11.123],[49.085,11.167],[49.047,11.201],[49.026,11.178],[49.018,11.191],[49.014,11.162],[48.965,11.142],[48.954,11.07],[48.932,11.051],[48.911,11.071],[48.909,11.032],[48.901,11.045],[48.887,11.031],[48.879,10.974],[48.859,10.963],[48.883,10.906],[48.876,10.868],[48.885,10.853],[48.895,10.861],[48.901,10.815],[48.915,10.833],[48.937,10.812],[48.949,10.818],[48.926,10.771],[48.916,10.776],[48.924,10.735],[48.901,10.723],[48.91,10.676],[48.922,10.669],[48.943,10.702],[48.982,10.671],[48.981,10.642],[48.996,10.63],[49.047,10.688],[49.071,10.688],[49.09,10.646],[49.108,10.665],[49.123,10.651],[49.169,10.714],[49.178,10.709],[49.205,10.781]]]],
+    },
+    109661000: {
+      name: "Aschaffenburg",
+      nuts: "DE261",
+      bbox: [49.92, 9.08, 50.03, 9.24],
+      polygons: [[[[50.006,9.108],[50.014,9.127],[50,9.159],[49.977,9.194],[49.963,9.181],[49.935,9.238],[49.921,9.144],[49.931,9.107],[49.97,9.084],[49.982,9.112],[50.008,9.08],[50.021,9.103],[50.006,9.108]]]],
+    },
+    109662000: {
+      name: "Schweinfurt",
+      nuts: "DE262",
+      bbox: [50, 10.16, 50.1, 10.28],
+      polygons: [[[[50.095,10.235],[50.079,10.237],[50.084,10.263],[50.057,10.258],[50.058,10.275],[50.04,10.242],[50.017,10.25],[50.009,10.211],[50.028,10.167],[50.072,10.2],[50.067,10.226],[50.091,10.222],[50.095,10.235]]]],
+    },
+    109663000: {
+      name: "Würzburg",
+      nuts: "DE263",
+      bbox: [49.71, 9.87, 49.85, 10.02],
+      polygons: [[[[49.845,9.922],[49.839,9.988],[49.802,10.014],[49.766,9.953],[49.748,9.984],[49.729,9.973],[49.713,9.982],[49.711,9.948],[49.735,9.936],[49.753,9.877],[49.767,9.896],[49.772,9.875],[49.776,9.912],[49.795,9.872],[49.799,9.884],[49.822,9.872],[49.825,9.907],[49.845,9.922]]]],
+    },
+    109671000: {
+      name: "Kreis Aschaffenburg",
+      nuts: "DE264",
+      bbox: [49.83, 8.97, 50.15, 9.49],
+      polygons: [[[[50.148,9.225],[50.13,9.376],[50.088,9.405],[50.083,9.373],[50.085,9.394],[50.065,9.412],[50.071,9.391],[50.055,9.386],[50.059,9.41],[50.047,9.421],[50.045,9.395],[50.032,9.419],[50.023,9.405],[50.019,9.434],[50.015,9.399],[49.996,9.395],[50.01,9.397],[50.008,9.412],[49.951,9.449],[49.949,9.487],[49.917,9.465],[49.928,9.454],[49.918,9.423],[49.884,9.434],[49.854,9.367],[49.833,9.368],[49.833,9.318],[49.867,9.289],[49.858,9.247],[49.911,9.281],[49.963,9.181],[49.979,9.193],[50.014,9.127],[50.006,9.108],[50.021,9.103],[50.008,9.08],[49.982,9.112],[49.97,9.084],[49.958,9.096],[49.949,9.085],[49.925,9.112],[49.902,9.109],[49.874,9.095],[49.882,9.073],[49.866,9.055],[49.876,9.038],[49.989,9.016],[49.992,9.049],[50.04,9.031],[50.047,8.976],[50.069,8.999],[50.092,8.997],[50.112,9.018],[50.127,9.117],[50.118,9.154],[50.091,9.149],[50.127,9.192],[50.138,9.183],[50.148,9.225]]]],
+    },
+    109672000: {
+      name: "Kreis Bad Kissingen",
+      nuts: "DE265",
+      bbox: [50.02, 9.62, 50.43, 10.38],
+      polygons: [[[[50.425,9.763],[50.397,9.86],[50.42,9.936],[50.408,9.944],[50.368,9.923],[50.386,9.935],[50.383,9.954],[50.395,9.938],[50.382,9.956],[50.366,9.924],[50.364,9.952],[50.351,9.927],[50.338,9.936],[50.313,9.987],[50.33,10.016],[50.307,10.029],[50.296,10.064],[50.307,10.074],[50.32,10.057],[50.3,10.116],[50.288,10.128],[50.277,10.095],[50.269,10.109],[50.263,10.241],[50.289,10.272],[50.282,10.287],[50.302,10.29],[50.303,10.326],[50.286,10.344],[50.273,10.331],[50.266,10.347],[50.245,10.346],[50.229,10.37],[50.21,10.322],[50.188,10.343],[50.173,10.341],[50.172,10.319],[50.146,10.325],[50.162,10.301],[50.144,10.26],[50.156,10.26],[50.154,10.18],[50.145,10.152],[50.103,10.129],[50.109,10.013],[50.097,9.99],[50.071,9.958],[50.058,9.965],[50.033,9.948],[50.03,9.926],[50.054,9.901],[50.034,9.848],[50.048,9.808],[50.085,9.831],[50.092,9.806],[50.115,9.802],[50.11,9.782],[50.132,9.772],[50.127,9.747],[50.151,9.75],[50.182,9.7],[50.227,9.679],[50.229,9.623],[50.234,9.664],[50.251,9.637],[50.27,9.652],[50.281,9.703],[50.31,9.746],[50.356,9.733],[50.425,9.763]]]],
+    },
+    109673000: {
+      name: "Kreis Rhön-Grabfeld",
+      nuts: "DE266",
+      bbox: [50.19, 9.92, 50.57, 10.62],
+      polygons: [[[[50.56,10.127],[50.543,10.14],[50.555,10.204],[50.531,10.232],[50.512,10.231],[50.494,10.331],[50.466,10.336],[50.439,10.381],[50.432,10.371],[50.425,10.404],[50.409,10.385],[50.394,10.394],[50.403,10.45],[50.376,10.464],[50.369,10.494],[50.355,10.492],[50.365,10.544],[50.337,10.562],[50.334,10.601],[50.308,10.592],[50.294,10.605],[50.272,10.591],[50.271,10.607],[50.263,10.598],[50.249,10.611],[50.246,10.597],[50.228,10.61],[50.203,10.57],[50.237,10.515],[50.212,10.499],[50.217,10.474],[50.211,10.489],[50.197,10.451],[50.222,10.432],[50.231,10.361],[50.303,10.326],[50.302,10.29],[50.282,10.287],[50.289,10.272],[50.265,10.252],[50.262,10.167],[50.274,10.096],[50.291,10.128],[50.32,10.057],[50.307,10.074],[50.296,10.064],[50.307,10.029],[50.33,10.016],[50.313,9.987],[50.337,9.937],[50.351,9.927],[50.364,9.952],[50.366,9.924],[50.37,9.953],[50.383,9.956],[50.395,9.938],[50.383,9.954],[50.386,9.935],[50.368,9.923],[50.408,9.944],[50.42,9.936],[50.466,10.018],[50.516,10.04],[50.564,10.107],[50.56,10.127]]],[[[50.29,10.07],[50.29,10.08],[50.31,10.08],[50.31,10.07],[50.29,10.07]]]],
+    },
+    109674000: {
+      name: "Kreis Haßberge",
+      nuts: "DE267",
+      bbox: [49.85, 10.32, 50.24, 10.88],
+      polygons: [[[[50.235,10.519],[50.203,10.57],[50.228,10.61],[50.226,10.687],[50.205,10.717],[50.23,10.729],[50.228,10.746],[50.194,10.78],[50.149,10.778],[50.144,10.842],[50.157,10.855],[50.143,10.879],[50.126,10.862],[50.074,10.859],[50.065,10.832],[50.045,10.836],[50.046,10.783],[50.025,10.773],[50.019,10.75],[50,10.765],[49.992,10.741],[49.968,10.761],[49.956,10.721],[49.948,10.743],[49.916,10.694],[49.905,10.706],[49.89,10.694],[49.89,10.657],[49.855,10.605],[49.86,10.595],[49.876,10.607],[49.859,10.587],[49.874,10.576],[49.865,10.561],[49.881,10.559],[49.873,10.52],[49.889,10.465],[49.899,10.458],[49.894,10.485],[49.91,10.483],[49.895,10.495],[49.899,10.507],[49.909,10.494],[49.897,10.531],[49.913,10.503],[49.932,10.514],[49.953,10.444],[49.978,10.444],[49.993,10.393],[50.012,10.396],[50.03,10.32],[50.026,10.371],[50.045,10.378],[50.043,10.397],[50.064,10.404],[50.076,10.433],[50.092,10.378],[50.12,10.407],[50.142,10.393],[50.155,10.422],[50.2,10.449],[50.211,10.489],[50.217,10.474],[50.212,10.499],[50.235,10.519]]]],
+    },
+    109675000: {
+      name: "Kreis Kitzingen",
+      nuts: "DE268",
+      bbox: [49.58, 10.03, 49.92, 10.56],
+      polygons: [[[[49.913,10.23],[49.888,10.237],[49.891,10.29],[49.871,10.29],[49.855,10.32],[49.865,10.391],[49.846,10.401],[49.834,10.372],[49.812,10.479],[49.786,10.47],[49.803,10.516],[49.795,10.534],[49.785,10.525],[49.77,10.554],[49.756,10.551],[49.741,10.464],[49.75,10.436],[49.731,10.422],[49.743,10.412],[49.7,10.353],[49.704,10.339],[49.691,10.387],[49.678,10.359],[49.634,10.388],[49.619,10.283],[49.633,10.219],[49.626,10.2],[49.6,10.196],[49.594,10.158],[49.612,10.148],[49.634,10.084],[49.66,10.092],[49.668,10.133],[49.715,10.096],[49.721,10.115],[49.719,10.066],[49.748,10.04],[49.758,10.062],[49.772,10.052],[49.777,10.064],[49.825,10.065],[49.847,10.164],[49.88,10.165],[49.913,10.23]]]],
+    },
+    109676000: {
+      name: "Kreis Miltenberg",
+      nuts: "DE269",
+      bbox: [49.57, 9.03, 49.94, 9.48],
+      polygons: [[[[49.921,9.144],[49.936,9.22],[49.928,9.266],[49.903,9.282],[49.859,9.245],[49.867,9.289],[49.833,9.318],[49.833,9.368],[49.854,9.367],[49.881,9.423],[49.838,9.479],[49.848,9.434],[49.806,9.468],[49.774,9.469],[49.789,9.423],[49.77,9.392],[49.768,9.316],[49.744,9.323],[49.741,9.296],[49.728,9.374],[49.719,9.344],[49.704,9.357],[49.729,9.4],[49.709,9.42],[49.675,9.412],[49.671,9.398],[49.654,9.416],[49.643,9.384],[49.659,9.368],[49.644,9.344],[49.655,9.304],[49.634,9.271],[49.615,9.285],[49.578,9.223],[49.574,9.118],[49.602,9.066],[49.62,9.066],[49.642,9.102],[49.693,9.09],[49.7,9.126],[49.715,9.123],[49.743,9.151],[49.759,9.107],[49.795,9.132],[49.791,9.091],[49.818,9.077],[49.848,9.085],[49.833,9.058],[49.847,9.06],[49.843,9.038],[49.866,9.033],[49.882,9.075],[49.874,9.095],[49.936,9.11],[49.921,9.144]]]],
+    },
+    109677000: {
+      name: "Kreis Main-Spessart",
+      nuts: "DE26A",
+      bbox: [49.74, 9.37, 50.25, 10.05],
+      polygons: [[[[50.234,9.514],[50.227,9.679],[50.182,9.7],[50.151,9.75],[50.127,9.747],[50.132,9.772],[50.11,9.782],[50.115,9.802],[50.092,9.806],[50.085,9.831],[50.047,9.809],[50.034,9.869],[50.054,9.901],[50.03,9.932],[50.058,9.981],[50.034,9.994],[50.034,10.04],[50.003,10.043],[49.988,10.001],[49.986,10.044],[49.962,10.041],[49.937,10.009],[49.949,9.939],[49.937,9.918],[49.891,9.925],[49.894,9.83],[49.877,9.837],[49.877,9.777],[49.832,9.727],[49.834,9.67],[49.82,9.68],[49.793,9.653],[49.78,9.56],[49.745,9.565],[49.767,9.545],[49.764,9.515],[49.788,9.505],[49.781,9.466],[49.806,9.468],[49.848,9.434],[49.838,9.479],[49.881,9.423],[49.891,9.435],[49.918,9.423],[49.928,9.454],[49.917,9.465],[49.949,9.487],[49.951,9.449],[50.008,9.412],[50.01,9.397],[49.996,9.395],[50.015,9.399],[50.019,9.434],[50.023,9.405],[50.032,9.419],[50.045,9.395],[50.047,9.421],[50.063,9.386],[50.065,9.412],[50.085,9.394],[50.083,9.373],[50.094,9.512],[50.146,9.508],[50.161,9.531],[50.175,9.498],[50.2,9.516],[50.227,9.495],[50.243,9.501],[50.234,9.514]]]],
+    },
+    109678000: {
+      name: "Kreis Schweinfurt",
+      nuts: "DE26B",
+      bbox: [49.82, 9.95, 50.24, 10.54],
+      polygons: [[[[50.229,10.384],[50.222,10.432],[50.197,10.451],[50.155,10.422],[50.142,10.393],[50.12,10.407],[50.103,10.379],[50.091,10.379],[50.076,10.433],[50.064,10.404],[50.043,10.397],[50.045,10.378],[50.026,10.371],[50.03,10.32],[50.012,10.396],[49.993,10.393],[49.978,10.444],[49.953,10.444],[49.932,10.514],[49.913,10.503],[49.897,10.531],[49.909,10.494],[49.899,10.507],[49.895,10.495],[49.91,10.483],[49.892,10.482],[49.899,10.458],[49.88,10.507],[49.879,10.459],[49.845,10.44],[49.836,10.462],[49.821,10.448],[49.834,10.372],[49.846,10.401],[49.87,10.376],[49.855,10.32],[49.871,10.29],[49.891,10.29],[49.881,10.249],[49.916,10.229],[49.913,10.209],[49.892,10.202],[49.913,10.174],[49.902,10.158],[49.91,10.101],[49.929,10.106],[49.953,10.025],[49.986,10.044],[49.986,10.002],[50.003,10.043],[50.034,10.04],[50.034,9.994],[50.055,9.985],[50.066,9.957],[50.109,10.013],[50.103,10.129],[50.145,10.152],[50.154,10.18],[50.156,10.26],[50.144,10.26],[50.162,10.301],[50.146,10.325],[50.172,10.319],[50.173,10.341],[50.188,10.343],[50.21,10.322],[50.229,10.384]],[[50.093,10.232],[50.067,10.226],[50.072,10.2],[50.028,10.167],[50.009,10.211],[50.017,10.25],[50.04,10.242],[50.058,10.275],[50.058,10.257],[50.084,10.263],[50.079,10.237],[50.093,10.232]]],[[[50.19,10.45],[50.19,10.46],[50.2,10.46],[50.2,10.45],[50.19,10.45]]],[[[50.18,10.46],[50.18,10.48],[50.2,10.48],[50.2,10.46],[50.18,10.46]]]],
+    },
+    109679000: {
+      name: "Kreis Würzburg",
+      nuts: "DE26C",
+      bbox: [49.48, 9.62, 49.96, 10.19],
+      polygons: [[[[49.951,10.043],[49.929,10.106],[49.91,10.103],[49.902,10.158],[49.913,10.174],[49.892,10.189],[49.878,10.163],[49.847,10.164],[49.849,10.129],[49.821,10.062],[49.758,10.062],[49.747,10.041],[49.719,10.066],[49.724,10.111],[49.711,10.098],[49.668,10.133],[49.653,10.085],[49.633,10.084],[49.621,10.11],[49.593,10.07],[49.544,10.084],[49.529,10.04],[49.517,10.057],[49.486,10.021],[49.48,9.952],[49.493,9.914],[49.552,9.927],[49.565,9.898],[49.586,9.912],[49.579,9.876],[49.546,9.859],[49.556,9.812],[49.61,9.873],[49.641,9.855],[49.652,9.83],[49.673,9.823],[49.683,9.841],[49.731,9.8],[49.71,9.753],[49.688,9.739],[49.727,9.711],[49.716,9.677],[49.689,9.663],[49.704,9.625],[49.72,9.641],[49.732,9.628],[49.739,9.647],[49.754,9.638],[49.804,9.653],[49.82,9.68],[49.834,9.67],[49.832,9.727],[49.877,9.777],[49.877,9.837],[49.894,9.83],[49.891,9.925],[49.931,9.912],[49.949,9.939],[49.937,9.995],[49.951,10.043]],[[49.846,9.92],[49.825,9.907],[49.822,9.872],[49.799,9.884],[49.795,9.872],[49.776,9.912],[49.772,9.875],[49.767,9.896],[49.753,9.877],[49.735,9.936],[49.711,9.948],[49.713,9.982],[49.729,9.973],[49.748,9.984],[49.766,9.953],[49.802,10.014],[49.839,9.988],[49.833,9.942],[49.846,9.92]]]],
+    },
+    109761000: {
+      name: "Augsburg",
+      nuts: "DE271",
+      bbox: [48.25, 10.76, 48.46, 10.96],
+      polygons: [[[[48.455,10.896],[48.38,10.958],[48.267,10.941],[48.258,10.908],[48.294,10.902],[48.297,10.767],[48.316,10.77],[48.323,10.794],[48.333,10.775],[48.351,10.804],[48.346,10.857],[48.369,10.86],[48.386,10.83],[48.407,10.847],[48.413,10.889],[48.458,10.884],[48.455,10.896]]]],
+    },
+    109762000: {
+      name: "Kaufbeuren",
+      nuts: "DE272",
+      bbox: [47.84, 10.55, 47.93, 10.67],
+      polygons: [[[[47.907,10.64],[47.884,10.661],[47.841,10.657],[47.856,10.648],[47.857,10.568],[47.876,10.57],[47.884,10.551],[47.922,10.628],[47.916,10.65],[47.907,10.64]]]],
+    },
+    109763000: {
+      name: "Kempten (Allgäu)",
+      nuts: "DE273",
+      bbox: [47.69, 10.23, 47.78, 10.38],
+      polygons: [[[[47.777,10.295],[47.763,10.37],[47.744,10.374],[47.731,10.357],[47.714,10.373],[47.695,10.319],[47.697,10.266],[47.714,10.249],[47.723,10.267],[47.754,10.261],[47.766,10.233],[47.777,10.295]]]],
+    },
+    109764000: {
+      name: "Memmingen",
+      nuts: "DE274",
+      bbox: [47.91, 10.08, 48.05, 10.24],
+      polygons: [[[[48.044,10.231],[48.011,10.229],[48.001,10.199],[47.981,10.208],[47.939,10.192],[47.918,10.161],[47.95,10.088],[47.973,10.095],[47.964,10.145],[47.971,10.128],[47.996,10.156],[48.024,10.136],[48.044,10.231]]]],
+    },
+    109771000: {
+      name: "Kreis Aichach-Friedberg",
+      nuts: "DE275",
+      bbox: [48.19, 10.86, 48.63, 11.32],
+      polygons: [[[[48.614,11.031],[48.601,11.051],[48.609,11.115],[48.592,11.126],[48.596,11.155],[48.572,11.165],[48.553,11.127],[48.527,11.209],[48.496,11.214],[48.464,11.266],[48.474,11.304],[48.455,11.3],[48.452,11.312],[48.417,11.178],[48.387,11.198],[48.376,11.174],[48.366,11.184],[48.369,11.166],[48.336,11.174],[48.323,11.128],[48.301,11.127],[48.297,11.11],[48.272,11.121],[48.262,11.106],[48.281,11.073],[48.273,11.06],[48.255,11.067],[48.256,11.046],[48.241,11.057],[48.229,11.037],[48.2,11.06],[48.192,11.037],[48.21,10.988],[48.199,10.961],[48.235,10.928],[48.237,10.903],[48.258,10.911],[48.269,10.941],[48.336,10.958],[48.367,10.948],[48.372,10.959],[48.425,10.927],[48.458,10.884],[48.507,10.864],[48.531,10.872],[48.546,10.984],[48.575,10.962],[48.571,10.932],[48.596,10.929],[48.614,11.031]]]],
+    },
+    109772000: {
+      name: "Kreis Augsburg",
+      nuts: "DE276",
+      bbox: [48.08, 10.49, 48.64, 10.99],
+      polygons: [[[[48.637,10.884],[48.599,10.887],[48.586,10.927],[48.571,10.932],[48.57,10.973],[48.55,10.987],[48.531,10.872],[48.506,10.864],[48.413,10.889],[48.407,10.847],[48.386,10.83],[48.369,10.86],[48.346,10.857],[48.351,10.804],[48.333,10.775],[48.323,10.794],[48.301,10.764],[48.294,10.902],[48.251,10.911],[48.191,10.891],[48.148,10.849],[48.15,10.786],[48.104,10.802],[48.089,10.763],[48.111,10.747],[48.098,10.741],[48.095,10.693],[48.131,10.684],[48.145,10.701],[48.149,10.685],[48.164,10.696],[48.173,10.685],[48.158,10.62],[48.174,10.542],[48.191,10.597],[48.196,10.576],[48.21,10.592],[48.235,10.558],[48.288,10.599],[48.284,10.587],[48.317,10.582],[48.317,10.495],[48.348,10.521],[48.351,10.508],[48.38,10.516],[48.397,10.549],[48.411,10.506],[48.426,10.542],[48.471,10.528],[48.499,10.618],[48.499,10.675],[48.48,10.701],[48.498,10.765],[48.505,10.744],[48.533,10.774],[48.556,10.761],[48.563,10.781],[48.594,10.764],[48.608,10.786],[48.618,10.777],[48.637,10.884]]]],
+    },
+    109773000: {
+      name: "Kreis Dillingen a.d. Donau",
+      nuts: "DE277",
+      bbox: [48.47, 10.25, 48.76, 10.79],
+      polygons: [[[[48.751,10.614],[48.738,10.614],[48.732,10.658],[48.708,10.653],[48.708,10.638],[48.693,10.651],[48.687,10.621],[48.657,10.663],[48.648,10.732],[48.663,10.747],[48.636,10.745],[48.642,10.78],[48.631,10.768],[48.608,10.786],[48.594,10.764],[48.563,10.781],[48.556,10.761],[48.533,10.774],[48.505,10.744],[48.498,10.765],[48.48,10.701],[48.499,10.675],[48.499,10.618],[48.471,10.527],[48.488,10.482],[48.48,10.429],[48.528,10.424],[48.517,10.389],[48.508,10.399],[48.492,10.387],[48.5,10.353],[48.48,10.324],[48.511,10.273],[48.527,10.315],[48.537,10.302],[48.577,10.31],[48.59,10.293],[48.609,10.323],[48.655,10.26],[48.704,10.269],[48.683,10.318],[48.689,10.337],[48.653,10.361],[48.667,10.389],[48.689,10.393],[48.699,10.432],[48.672,10.426],[48.667,10.407],[48.661,10.433],[48.687,10.495],[48.697,10.487],[48.752,10.531],[48.751,10.614]]]],
+    },
+    109774000: {
+      name: "Kreis Günzburg",
+      nuts: "DE278",
+      bbox: [48.15, 10.13, 48.53, 10.6],
+      polygons: [[[[48.518,10.425],[48.48,10.429],[48.488,10.482],[48.468,10.533],[48.426,10.542],[48.411,10.506],[48.397,10.549],[48.38,10.516],[48.351,10.508],[48.348,10.521],[48.317,10.495],[48.317,10.582],[48.275,10.599],[48.235,10.558],[48.199,10.569],[48.206,10.533],[48.225,10.519],[48.221,10.495],[48.208,10.443],[48.192,10.444],[48.195,10.407],[48.16,10.349],[48.174,10.352],[48.182,10.319],[48.198,10.315],[48.185,10.295],[48.215,10.301],[48.23,10.271],[48.265,10.286],[48.272,10.315],[48.284,10.286],[48.301,10.299],[48.312,10.266],[48.334,10.273],[48.34,10.257],[48.361,10.275],[48.343,10.24],[48.373,10.185],[48.404,10.164],[48.446,10.179],[48.455,10.134],[48.492,10.241],[48.507,10.227],[48.519,10.257],[48.48,10.324],[48.5,10.353],[48.492,10.387],[48.508,10.399],[48.517,10.389],[48.518,10.425]]]],
+    },
+    109775000: {
+      name: "Kreis Neu-Ulm",
+      nuts: "DE279",
+      bbox: [48.1, 9.96, 48.48, 10.32],
+      polygons: [[[[48.473,10.119],[48.445,10.142],[48.446,10.179],[48.404,10.164],[48.373,10.185],[48.343,10.24],[48.361,10.275],[48.34,10.257],[48.334,10.273],[48.312,10.266],[48.301,10.299],[48.284,10.286],[48.272,10.315],[48.265,10.286],[48.199,10.253],[48.192,10.226],[48.184,10.237],[48.163,10.21],[48.143,10.215],[48.108,10.136],[48.132,10.107],[48.24,10.061],[48.282,10.066],[48.348,9.998],[48.363,10],[48.374,9.967],[48.43,10.042],[48.437,10.028],[48.457,10.033],[48.473,10.119]]]],
+    },
+    109776000: {
+      name: "Kreis Lindau (Bodensee)",
+      nuts: "DE27A",
+      bbox: [47.52, 9.6, 47.69, 10.08],
+      polygons: [[[[47.683,10.031],[47.681,10.059],[47.658,10.075],[47.58,10.062],[47.566,9.963],[47.535,9.964],[47.53,9.921],[47.548,9.881],[47.529,9.875],[47.548,9.816],[47.58,9.827],[47.596,9.802],[47.589,9.765],[47.534,9.733],[47.551,9.712],[47.542,9.681],[47.557,9.68],[47.584,9.602],[47.59,9.643],[47.603,9.635],[47.612,9.658],[47.602,9.706],[47.617,9.746],[47.604,9.748],[47.678,9.842],[47.652,9.96],[47.682,10.002],[47.683,10.031]]]],
+    },
+    109777000: {
+      name: "Kreis Ostallgäu",
+      nuts: "DE27B",
+      bbox: [47.51, 10.32, 48.12, 10.96],
+      polygons: [[[[48.111,10.744],[48.089,10.763],[48.105,10.816],[48.04,10.756],[48.031,10.816],[48.011,10.809],[47.995,10.826],[47.956,10.795],[47.937,10.8],[47.93,10.773],[47.906,10.779],[47.907,10.791],[47.884,10.772],[47.884,10.79],[47.855,10.748],[47.849,10.771],[47.795,10.749],[47.775,10.783],[47.766,10.739],[47.759,10.749],[47.744,10.733],[47.717,10.736],[47.705,10.716],[47.696,10.738],[47.681,10.73],[47.728,10.829],[47.662,10.778],[47.661,10.915],[47.637,10.903],[47.616,10.953],[47.586,10.925],[47.572,10.873],[47.537,10.886],[47.514,10.778],[47.535,10.758],[47.545,10.695],[47.558,10.691],[47.57,10.598],[47.534,10.569],[47.553,10.46],[47.585,10.482],[47.614,10.451],[47.636,10.501],[47.666,10.512],[47.675,10.485],[47.687,10.498],[47.692,10.459],[47.718,10.464],[47.733,10.448],[47.741,10.47],[47.758,10.445],[47.799,10.435],[47.812,10.362],[47.869,10.328],[47.883,10.378],[47.919,10.359],[47.926,10.37],[47.898,10.395],[47.948,10.486],[47.935,10.483],[47.938,10.509],[47.984,10.529],[47.948,10.622],[48.016,10.659],[48.031,10.698],[48.098,10.702],[48.098,10.741],[48.111,10.744]],[[47.921,10.626],[47.884,10.551],[47.876,10.57],[47.857,10.568],[47.856,10.648],[47.841,10.657],[47.884,10.661],[47.907,10.64],[47.916,10.65],[47.921,10.626]]]],
+    },
+    109778000: {
+      name: "Kreis Unterallgäu",
+      nuts: "DE27C",
+      bbox: [47.82, 10.07, 48.23, 10.71],
+      polygons: [[[[48.223,10.282],[48.215,10.301],[48.185,10.295],[48.198,10.315],[48.182,10.319],[48.174,10.352],[48.16,10.349],[48.195,10.407],[48.192,10.444],[48.208,10.443],[48.225,10.519],[48.203,10.546],[48.21,10.592],[48.196,10.576],[48.191,10.597],[48.173,10.544],[48.158,10.62],[48.173,10.685],[48.164,10.696],[48.149,10.685],[48.145,10.701],[48.127,10.684],[48.084,10.706],[48.06,10.708],[48.049,10.691],[48.031,10.698],[48.016,10.659],[47.948,10.622],[47.984,10.529],[47.934,10.499],[47.935,10.483],[47.948,10.486],[47.898,10.395],[47.926,10.37],[47.919,10.359],[47.893,10.383],[47.869,10.328],[47.861,10.338],[47.86,10.259],[47.839,10.232],[47.853,10.188],[47.839,10.192],[47.823,10.126],[47.853,10.107],[47.846,10.092],[47.865,10.105],[47.856,10.083],[47.868,10.077],[47.879,10.106],[47.885,10.095],[47.939,10.11],[47.916,10.156],[47.939,10.192],[47.981,10.208],[48.001,10.199],[48.011,10.229],[48.04,10.234],[48.024,10.136],[48.108,10.136],[48.123,10.193],[48.184,10.237],[48.192,10.226],[48.199,10.253],[48.23,10.271],[48.223,10.282]]],[[[48.015,10.132],[47.996,10.156],[47.987,10.135],[47.971,10.128],[47.964,10.145],[47.958,10.129],[47.96,10.116],[47.989,10.115],[48.015,10.132]]]],
+    },
+    109779000: {
+      name: "Kreis Donau-Ries",
+      nuts: "DE27D",
+      bbox: [48.58, 10.4, 49.04, 11.05],
+      polygons: [[[[49.036,10.59],[49.018,10.606],[49.017,10.642],[48.992,10.631],[48.983,10.669],[48.96,10.692],[48.939,10.701],[48.922,10.669],[48.91,10.676],[48.901,10.723],[48.924,10.735],[48.916,10.776],[48.926,10.771],[48.949,10.818],[48.937,10.812],[48.915,10.833],[48.908,10.808],[48.898,10.821],[48.895,10.861],[48.885,10.853],[48.876,10.868],[48.883,10.906],[48.863,10.932],[48.861,10.985],[48.842,10.97],[48.844,10.998],[48.822,11.006],[48.811,10.947],[48.79,10.986],[48.774,10.965],[48.765,10.998],[48.735,10.982],[48.731,11.004],[48.724,10.98],[48.693,10.984],[48.653,11.015],[48.645,11.04],[48.627,11.041],[48.584,10.915],[48.599,10.887],[48.637,10.884],[48.619,10.779],[48.631,10.768],[48.645,10.776],[48.636,10.745],[48.663,10.747],[48.648,10.732],[48.657,10.663],[48.687,10.621],[48.693,10.651],[48.708,10.638],[48.708,10.653],[48.732,10.658],[48.738,10.614],[48.758,10.611],[48.743,10.581],[48.752,10.531],[48.7,10.498],[48.695,10.48],[48.713,10.482],[48.729,10.456],[48.735,10.465],[48.728,10.448],[48.748,10.417],[48.756,10.428],[48.772,10.413],[48.776,10.434],[48.799,10.421],[48.812,10.449],[48.83,10.449],[48.843,10.427],[48.86,10.454],[48.893,10.45],[48.906,10.421],[48.917,10.457],[48.933,10.438],[48.939,10.451],[48.975,10.401],[48.981,10.431],[49.004,10.424],[49.006,10.541],[49.033,10.553],[49.036,10.59]]]],
+    },
+    109780000: {
+      name: "Kreis Oberallgäu",
+      nuts: "DE27E",
+      bbox: [47.27, 9.95, 47.87, 10.52],
+      polygons: [[[[47.864,10.306],[47.852,10.346],[47.843,10.337],[47.822,10.366],[47.812,10.362],[47.799,10.435],[47.758,10.445],[47.741,10.47],[47.733,10.448],[47.718,10.464],[47.692,10.459],[47.687,10.498],[47.675,10.485],[47.666,10.512],[47.636,10.501],[47.614,10.451],[47.605,10.473],[47.587,10.473],[47.577,10.43],[47.556,10.454],[47.504,10.431],[47.477,10.468],[47.432,10.476],[47.411,10.436],[47.381,10.436],[47.376,10.395],[47.305,10.33],[47.27,10.232],[47.27,10.174],[47.296,10.179],[47.311,10.216],[47.327,10.199],[47.382,10.236],[47.392,10.182],[47.369,10.166],[47.376,10.119],[47.355,10.1],[47.41,10.069],[47.429,10.105],[47.459,10.091],[47.456,10.07],[47.488,10.045],[47.486,9.995],[47.503,9.996],[47.521,9.965],[47.563,9.958],[47.58,10.062],[47.674,10.088],[47.677,10.13],[47.703,10.139],[47.719,10.116],[47.76,10.119],[47.786,10.065],[47.81,10.138],[47.82,10.132],[47.839,10.192],[47.853,10.188],[47.839,10.232],[47.86,10.259],[47.864,10.306]],[[47.778,10.288],[47.766,10.233],[47.754,10.261],[47.723,10.267],[47.714,10.249],[47.697,10.266],[47.695,10.319],[47.714,10.373],[47.731,10.357],[47.744,10.374],[47.763,10.37],[47.778,10.288]]]],
+    },
+    110041000: {
+      name: "Regionalverband Saarbrücken",
+      nuts: "DEC01",
+      bbox: [49.11, 6.71, 49.38, 7.14],
+      polygons: [[[[49.378,6.944],[49.357,6.965],[49.359,7.022],[49.35,7.014],[49.35,7.045],[49.329,7.066],[49.347,7.087],[49.336,7.114],[49.31,7.117],[49.271,7.063],[49.245,7.086],[49.258,7.11],[49.245,7.13],[49.223,7.122],[49.214,7.137],[49.185,7.106],[49.173,7.129],[49.153,7.083],[49.13,7.089],[49.113,7.052],[49.17,7.028],[49.191,7.035],[49.203,6.96],[49.222,6.938],[49.213,6.838],[49.179,6.862],[49.151,6.834],[49.175,6.72],[49.188,6.711],[49.206,6.731],[49.22,6.725],[49.234,6.798],[49.256,6.839],[49.273,6.823],[49.272,6.856],[49.295,6.86],[49.299,6.879],[49.331,6.882],[49.348,6.864],[49.378,6.944]]]],
+    },
+    110042000: {
+      name: "Kreis Merzig-Wadern",
+      nuts: "DEC02",
+      bbox: [49.37, 6.35, 49.62, 6.97],
+      polygons: [[[[49.613,6.891],[49.591,6.906],[49.598,6.957],[49.512,6.955],[49.471,6.807],[49.437,6.786],[49.412,6.795],[49.372,6.701],[49.411,6.643],[49.4,6.583],[49.466,6.465],[49.47,6.367],[49.531,6.357],[49.551,6.38],[49.528,6.517],[49.541,6.564],[49.517,6.605],[49.551,6.652],[49.535,6.69],[49.554,6.709],[49.592,6.813],[49.583,6.835],[49.613,6.891]]]],
+    },
+    110043000: {
+      name: "Kreis Neunkirchen",
+      nuts: "DEC03",
+      bbox: [49.28, 6.91, 49.45, 7.3],
+      polygons: [[[[49.435,6.995],[49.427,7.047],[49.409,7.06],[49.43,7.121],[49.419,7.163],[49.441,7.208],[49.408,7.293],[49.367,7.22],[49.355,7.241],[49.335,7.237],[49.323,7.267],[49.287,7.183],[49.306,7.187],[49.296,7.162],[49.31,7.117],[49.336,7.114],[49.347,7.087],[49.329,7.066],[49.35,7.045],[49.35,7.014],[49.359,7.022],[49.357,6.965],[49.414,6.917],[49.429,6.932],[49.435,6.995]]]],
+    },
+    110044000: {
+      name: "Kreis Saarlouis",
+      nuts: "DEC04",
+      bbox: [49.21, 6.53, 49.51, 6.99],
+      polygons: [[[[49.481,6.911],[49.469,6.925],[49.486,6.969],[49.437,6.989],[49.422,6.924],[49.378,6.944],[49.348,6.864],[49.331,6.882],[49.299,6.879],[49.295,6.86],[49.272,6.856],[49.27,6.82],[49.256,6.839],[49.223,6.767],[49.215,6.696],[49.25,6.69],[49.258,6.661],[49.28,6.67],[49.301,6.615],[49.348,6.566],[49.367,6.602],[49.408,6.537],[49.418,6.571],[49.397,6.601],[49.411,6.643],[49.372,6.701],[49.412,6.795],[49.437,6.786],[49.471,6.807],[49.48,6.875],[49.502,6.91],[49.488,6.926],[49.481,6.911]]]],
+    },
+    110045000: {
+      name: "Saarpfalz-Kreis",
+      nuts: "DEC05",
+      bbox: [49.11, 7.06, 49.41, 7.41],
+      polygons: [[[[49.405,7.297],[49.389,7.289],[49.38,7.356],[49.363,7.367],[49.368,7.402],[49.35,7.39],[49.338,7.401],[49.32,7.378],[49.316,7.394],[49.294,7.385],[49.278,7.334],[49.27,7.344],[49.248,7.325],[49.256,7.307],[49.238,7.289],[49.222,7.304],[49.205,7.296],[49.161,7.369],[49.143,7.363],[49.141,7.321],[49.115,7.293],[49.13,7.245],[49.115,7.198],[49.131,7.185],[49.12,7.159],[49.142,7.126],[49.138,7.104],[49.152,7.113],[49.158,7.101],[49.173,7.129],[49.185,7.106],[49.214,7.137],[49.223,7.122],[49.244,7.131],[49.258,7.11],[49.245,7.086],[49.271,7.063],[49.31,7.117],[49.296,7.162],[49.306,7.187],[49.287,7.183],[49.307,7.248],[49.314,7.239],[49.323,7.267],[49.335,7.237],[49.355,7.241],[49.369,7.221],[49.397,7.255],[49.405,7.297]]]],
+    },
+    110046000: {
+      name: "Kreis St. Wendel",
+      nuts: "DEC06",
+      bbox: [49.4, 6.89, 49.64, 7.31],
+      polygons: [[[[49.63,7.059],[49.6,7.088],[49.599,7.174],[49.585,7.173],[49.566,7.213],[49.584,7.269],[49.538,7.276],[49.523,7.31],[49.517,7.286],[49.484,7.278],[49.484,7.297],[49.467,7.301],[49.446,7.246],[49.431,7.25],[49.441,7.208],[49.419,7.163],[49.43,7.121],[49.409,7.06],[49.427,7.047],[49.437,6.989],[49.486,6.969],[49.469,6.925],[49.481,6.911],[49.488,6.926],[49.502,6.91],[49.508,6.919],[49.512,6.955],[49.559,6.963],[49.566,6.949],[49.598,6.957],[49.591,6.906],[49.616,6.891],[49.612,6.93],[49.636,6.945],[49.625,6.951],[49.635,6.992],[49.621,6.986],[49.639,7.028],[49.63,7.059]]]],
+    },
+    111000000: {
+      name: "Berlin",
+      nuts: "DE300",
+      bbox: [52.33, 13.08, 52.68, 13.77],
+      polygons: [[[[52.669,13.476],[52.645,13.523],[52.605,13.497],[52.592,13.508],[52.571,13.582],[52.548,13.585],[52.542,13.635],[52.53,13.626],[52.53,13.657],[52.471,13.612],[52.479,13.648],[52.443,13.759],[52.434,13.738],[52.402,13.735],[52.386,13.688],[52.375,13.7],[52.338,13.648],[52.347,13.636],[52.377,13.643],[52.375,13.607],[52.394,13.593],[52.389,13.536],[52.401,13.538],[52.396,13.48],[52.421,13.462],[52.41,13.419],[52.376,13.421],[52.378,13.389],[52.412,13.343],[52.399,13.312],[52.416,13.296],[52.405,13.25],[52.421,13.246],[52.42,13.222],[52.387,13.134],[52.413,13.112],[52.412,13.09],[52.439,13.123],[52.451,13.109],[52.479,13.118],[52.51,13.166],[52.517,13.117],[52.556,13.131],[52.553,13.146],[52.573,13.153],[52.587,13.129],[52.599,13.164],[52.587,13.217],[52.606,13.202],[52.628,13.221],[52.627,13.264],[52.661,13.283],[52.657,13.31],[52.628,13.302],[52.623,13.357],[52.648,13.397],[52.638,13.433],[52.654,13.474],[52.663,13.451],[52.669,13.476]]]],
+    },
+    112051000: {
+      name: "Brandenburg an der Havel",
+      nuts: "DE401",
+      bbox: [52.31, 12.36, 52.55, 12.73],
+      polygons: [[[[52.509,12.704],[52.483,12.651],[52.475,12.581],[52.446,12.574],[52.459,12.622],[52.445,12.705],[52.439,12.671],[52.418,12.687],[52.391,12.656],[52.393,12.612],[52.348,12.594],[52.354,12.536],[52.322,12.505],[52.312,12.419],[52.341,12.421],[52.362,12.396],[52.434,12.389],[52.428,12.366],[52.443,12.361],[52.459,12.427],[52.416,12.43],[52.425,12.448],[52.453,12.445],[52.45,12.468],[52.475,12.513],[52.453,12.518],[52.447,12.56],[52.477,12.568],[52.493,12.606],[52.484,12.65],[52.509,12.704]]],[[[52.51,12.7],[52.51,12.73],[52.55,12.73],[52.55,12.7],[52.51,12.7]]]],
+    },
+    112052000: {
+      name: "Cottbus",
+      nuts: "DE402",
+      bbox: [51.69, 14.27, 51.87, 14.51],
+      polygons: [[[[51.864,14.312],[51.85,14.335],[51.853,14.393],[51.831,14.371],[51.806,14.398],[51.806,14.493],[51.778,14.501],[51.777,14.47],[51.758,14.471],[51.747,14.449],[51.753,14.392],[51.721,14.451],[51.703,14.443],[51.713,14.384],[51.697,14.376],[51.701,14.304],[51.723,14.31],[51.738,14.276],[51.767,14.275],[51.771,14.288],[51.795,14.273],[51.821,14.312],[51.846,14.297],[51.864,14.312]]]],
+    },
+    112053000: {
+      name: "Frankfurt (Oder)",
+      nuts: "DE403",
+      bbox: [52.25, 14.39, 52.4, 14.61],
+      polygons: [[[[52.398,14.477],[52.395,14.534],[52.306,14.585],[52.29,14.575],[52.27,14.601],[52.286,14.576],[52.277,14.582],[52.263,14.553],[52.253,14.492],[52.276,14.467],[52.269,14.395],[52.308,14.398],[52.343,14.437],[52.354,14.408],[52.394,14.431],[52.398,14.477]]]],
+    },
+    112054000: {
+      name: "Potsdam",
+      nuts: "DE404",
+      bbox: [52.34, 12.88, 52.52, 13.17],
+      polygons: [[[[52.507,13.011],[52.461,13.06],[52.47,13.096],[52.494,13.098],[52.502,13.154],[52.466,13.111],[52.439,13.123],[52.42,13.088],[52.399,13.136],[52.387,13.131],[52.394,13.166],[52.351,13.137],[52.364,13.102],[52.358,13.052],[52.349,13.061],[52.343,13.042],[52.365,12.982],[52.374,12.971],[52.39,12.98],[52.391,12.935],[52.452,12.945],[52.464,12.888],[52.504,12.945],[52.507,13.011]]]],
+    },
+    112060000: {
+      name: "Kreis Barnim",
+      nuts: "DE405",
+      bbox: [52.54, 13.39, 53.06, 14.16],
+      polygons: [[[[53.056,13.861],[53.052,13.885],[53.032,13.854],[53.017,13.855],[53.02,13.831],[52.988,13.824],[52.974,13.862],[52.982,13.927],[52.955,13.944],[52.967,13.984],[52.949,13.977],[52.932,13.992],[52.932,14.014],[52.956,14.027],[52.963,14.139],[52.896,14.157],[52.9,14.075],[52.869,14.061],[52.869,14.107],[52.856,14.095],[52.847,14.021],[52.86,14.005],[52.825,13.975],[52.825,13.941],[52.795,13.923],[52.788,13.864],[52.779,13.876],[52.759,13.861],[52.734,13.731],[52.716,13.759],[52.667,13.78],[52.694,13.85],[52.645,13.845],[52.624,13.829],[52.612,13.729],[52.587,13.715],[52.582,13.671],[52.57,13.685],[52.562,13.665],[52.561,13.616],[52.544,13.611],[52.548,13.585],[52.571,13.582],[52.584,13.556],[52.592,13.508],[52.605,13.497],[52.645,13.523],[52.655,13.491],[52.671,13.488],[52.669,13.46],[52.663,13.451],[52.654,13.474],[52.638,13.433],[52.648,13.399],[52.67,13.423],[52.673,13.397],[52.71,13.404],[52.71,13.422],[52.726,13.406],[52.735,13.424],[52.745,13.397],[52.751,13.415],[52.781,13.407],[52.789,13.431],[52.804,13.422],[52.811,13.491],[52.84,13.494],[52.848,13.521],[52.859,13.477],[52.878,13.475],[52.873,13.508],[52.885,13.461],[52.901,13.491],[52.919,13.473],[52.917,13.433],[52.904,13.429],[52.923,13.411],[52.934,13.437],[52.938,13.401],[52.975,13.513],[52.989,13.518],[53.001,13.676],[53.012,13.691],[53.018,13.665],[53.043,13.682],[53.035,13.711],[53.056,13.861]]]],
+    },
+    112061000: {
+      name: "Kreis Dahme-Spreewald",
+      nuts: "DE406",
+      bbox: [51.72, 13.41, 52.43, 14.46],
+      polygons: [[[[52.398,13.479],[52.394,13.593],[52.375,13.607],[52.377,13.643],[52.347,13.636],[52.338,13.648],[52.389,13.717],[52.353,13.756],[52.323,13.734],[52.314,13.84],[52.288,13.822],[52.29,13.854],[52.275,13.862],[52.245,13.82],[52.225,13.856],[52.213,13.84],[52.201,13.855],[52.185,13.835],[52.184,13.894],[52.17,13.889],[52.165,13.85],[52.147,13.876],[52.122,13.845],[52.136,13.968],[52.11,14.01],[52.115,14.044],[52.087,14.112],[52.049,14.139],[52.058,14.194],[52.087,14.205],[52.087,14.248],[52.066,14.212],[52.053,14.214],[52.032,14.262],[52.036,14.3],[52.061,14.311],[52.073,14.354],[52.053,14.401],[52.028,14.405],[52.014,14.453],[52,14.369],[51.935,14.393],[51.935,14.32],[51.904,14.223],[51.869,14.215],[51.857,14.174],[51.9,13.981],[51.892,13.864],[51.879,13.864],[51.857,13.827],[51.839,13.854],[51.819,13.829],[51.79,13.838],[51.785,13.806],[51.758,13.831],[51.756,13.854],[51.735,13.844],[51.735,13.782],[51.76,13.775],[51.76,13.729],[51.727,13.695],[51.733,13.665],[51.747,13.661],[51.746,13.549],[51.792,13.507],[51.81,13.569],[51.825,13.536],[51.841,13.551],[51.865,13.539],[51.893,13.581],[51.93,13.519],[51.93,13.412],[51.976,13.415],[51.966,13.494],[51.999,13.561],[52.011,13.646],[52.035,13.637],[52.048,13.653],[52.072,13.629],[52.097,13.541],[52.148,13.557],[52.149,13.543],[52.193,13.546],[52.197,13.582],[52.242,13.546],[52.232,13.473],[52.256,13.451],[52.267,13.512],[52.286,13.483],[52.307,13.498],[52.322,13.483],[52.337,13.499],[52.366,13.419],[52.41,13.419],[52.421,13.462],[52.398,13.479]]]],
+    },
+    112062000: {
+      name: "Kreis Elbe-Elster",
+      nuts: "DE407",
+      bbox: [51.36, 13.05, 51.89, 13.9],
+      polygons: [[[[51.88,13.201],[51.878,13.23],[51.85,13.222],[51.822,13.248],[51.833,13.354],[51.82,13.42],[51.793,13.464],[51.792,13.507],[51.746,13.549],[51.747,13.661],[51.733,13.665],[51.727,13.695],[51.76,13.729],[51.76,13.775],[51.735,13.782],[51.737,13.798],[51.713,13.814],[51.695,13.809],[51.647,13.886],[51.619,13.89],[51.591,13.866],[51.575,13.881],[51.519,13.71],[51.529,13.654],[51.506,13.658],[51.504,13.634],[51.494,13.642],[51.483,13.694],[51.462,13.693],[51.432,13.722],[51.417,13.715],[51.426,13.699],[51.41,13.695],[51.413,13.68],[51.384,13.702],[51.368,13.683],[51.369,13.594],[51.386,13.57],[51.369,13.543],[51.402,13.521],[51.412,13.463],[51.418,13.474],[51.431,13.446],[51.422,13.421],[51.431,13.428],[51.454,13.401],[51.438,13.373],[51.425,13.377],[51.438,13.32],[51.427,13.328],[51.399,13.286],[51.4,13.26],[51.385,13.269],[51.396,13.215],[51.433,13.2],[51.428,13.174],[51.451,13.203],[51.492,13.182],[51.492,13.201],[51.524,13.208],[51.558,13.186],[51.567,13.143],[51.6,13.155],[51.619,13.121],[51.608,13.086],[51.648,13.051],[51.691,13.162],[51.711,13.154],[51.708,13.17],[51.718,13.165],[51.716,13.187],[51.744,13.154],[51.755,13.163],[51.767,13.147],[51.787,13.17],[51.858,13.123],[51.861,13.163],[51.884,13.162],[51.88,13.201]]]],
+    },
+    112063000: {
+      name: "Kreis Havelland",
+      nuts: "DE408",
+      bbox: [52.43, 12.14, 52.82, 13.17],
+      polygons: [[[[52.801,12.602],[52.79,12.611],[52.801,12.65],[52.77,12.673],[52.759,12.718],[52.729,12.708],[52.695,12.766],[52.681,12.833],[52.695,12.829],[52.725,12.929],[52.69,13.022],[52.673,13.028],[52.671,13.014],[52.677,13.096],[52.664,13.09],[52.634,13.112],[52.628,13.156],[52.608,13.148],[52.602,13.165],[52.587,13.129],[52.573,13.153],[52.553,13.146],[52.556,13.131],[52.517,13.117],[52.51,13.166],[52.494,13.098],[52.47,13.096],[52.461,13.069],[52.515,13.004],[52.501,12.937],[52.464,12.888],[52.45,12.892],[52.473,12.818],[52.458,12.753],[52.477,12.743],[52.481,12.76],[52.498,12.734],[52.51,12.75],[52.525,12.716],[52.546,12.717],[52.527,12.576],[52.536,12.506],[52.556,12.488],[52.554,12.428],[52.539,12.429],[52.539,12.407],[52.514,12.429],[52.51,12.414],[52.502,12.424],[52.495,12.411],[52.492,12.424],[52.478,12.412],[52.473,12.448],[52.454,12.424],[52.439,12.334],[52.46,12.315],[52.479,12.331],[52.48,12.308],[52.497,12.33],[52.487,12.271],[52.518,12.258],[52.524,12.236],[52.501,12.222],[52.496,12.185],[52.515,12.167],[52.532,12.189],[52.528,12.142],[52.575,12.181],[52.626,12.172],[52.629,12.237],[52.689,12.233],[52.718,12.198],[52.74,12.223],[52.761,12.206],[52.79,12.22],[52.805,12.377],[52.789,12.407],[52.77,12.379],[52.772,12.395],[52.754,12.403],[52.761,12.487],[52.749,12.533],[52.772,12.552],[52.783,12.533],[52.811,12.548],[52.801,12.602]]]],
+    },
+    112064000: {
+      name: "Kreis Märkisch-Oderland",
+      nuts: "DE409",
+      bbox: [52.37, 13.61, 52.91, 14.64],
+      polygons: [[[[52.9,14.127],[52.888,14.162],[52.844,14.123],[52.827,14.132],[52.817,14.217],[52.774,14.279],[52.751,14.352],[52.658,14.47],[52.61,14.598],[52.572,14.64],[52.531,14.604],[52.49,14.633],[52.434,14.55],[52.395,14.534],[52.396,14.44],[52.374,14.424],[52.382,14.315],[52.403,14.327],[52.409,14.281],[52.463,14.275],[52.497,14.205],[52.499,14.189],[52.469,14.177],[52.463,14.097],[52.451,14.089],[52.481,14.073],[52.471,14.028],[52.447,14.007],[52.465,13.997],[52.479,13.943],[52.458,13.852],[52.438,13.825],[52.447,13.764],[52.466,13.775],[52.466,13.743],[52.486,13.742],[52.503,13.711],[52.494,13.678],[52.474,13.667],[52.471,13.612],[52.512,13.633],[52.526,13.659],[52.53,13.626],[52.542,13.635],[52.544,13.611],[52.561,13.616],[52.562,13.665],[52.57,13.685],[52.582,13.671],[52.587,13.715],[52.606,13.715],[52.624,13.829],[52.645,13.845],[52.694,13.85],[52.667,13.78],[52.716,13.759],[52.734,13.731],[52.759,13.861],[52.779,13.876],[52.788,13.864],[52.795,13.923],[52.825,13.941],[52.825,13.975],[52.86,14.005],[52.847,14.021],[52.856,14.095],[52.869,14.107],[52.869,14.061],[52.885,14.059],[52.9,14.075],[52.9,14.127]]]],
+    },
+    112065000: {
+      name: "Kreis Oberhavel",
+      nuts: "DE40A",
+      bbox: [52.58, 12.82, 53.26, 13.53],
+      polygons: [[[[53.249,13.185],[53.221,13.205],[53.217,13.229],[53.236,13.245],[53.206,13.247],[53.177,13.314],[53.136,13.288],[53.088,13.362],[53.069,13.369],[53.056,13.415],[53.025,13.407],[53.03,13.444],[53.008,13.46],[53.002,13.497],[52.987,13.491],[52.989,13.518],[52.975,13.513],[52.965,13.453],[52.934,13.398],[52.934,13.437],[52.923,13.411],[52.904,13.429],[52.917,13.433],[52.919,13.473],[52.901,13.491],[52.885,13.461],[52.873,13.508],[52.878,13.475],[52.859,13.477],[52.848,13.521],[52.84,13.494],[52.811,13.491],[52.804,13.422],[52.789,13.431],[52.781,13.407],[52.751,13.415],[52.745,13.397],[52.735,13.424],[52.726,13.406],[52.71,13.422],[52.71,13.404],[52.673,13.397],[52.67,13.423],[52.623,13.357],[52.628,13.302],[52.657,13.31],[52.661,13.283],[52.627,13.264],[52.628,13.221],[52.606,13.202],[52.592,13.219],[52.587,13.207],[52.601,13.153],[52.628,13.156],[52.634,13.112],[52.664,13.09],[52.677,13.096],[52.671,13.014],[52.673,13.028],[52.689,13.023],[52.701,12.969],[52.711,12.977],[52.72,12.963],[52.725,12.929],[52.695,12.829],[52.708,12.825],[52.711,12.865],[52.719,12.881],[52.727,12.872],[52.745,12.921],[52.795,12.919],[52.829,12.986],[52.834,12.952],[52.836,12.987],[52.84,12.967],[52.844,12.987],[52.862,12.975],[52.855,13.039],[52.906,13.018],[52.917,13.047],[52.956,13.057],[52.991,13.051],[52.999,13.006],[53.024,13.033],[53.071,13.025],[53.073,12.973],[53.104,12.938],[53.133,12.963],[53.147,13.027],[53.148,12.997],[53.156,13.007],[53.167,12.984],[53.215,13.106],[53.24,13.11],[53.249,13.185]]],[[[52.93,13.4],[52.93,13.41],[52.94,13.41],[52.94,13.4],[52.93,13.4]]]],
+    },
+    112066000: {
+      name: "Kreis Oberspreewald-Lausitz",
+      nuts: "DE40B",
+      bbox: [51.35, 13.63, 51.91, 14.22],
+      polygons: [[[[51.899,13.928],[51.878,14.088],[51.829,14.073],[51.815,14.116],[51.792,14.123],[51.754,14.1],[51.727,14.144],[51.674,14.092],[51.665,14.117],[51.639,14.129],[51.617,14.217],[51.589,14.155],[51.574,14.146],[51.541,14.163],[51.543,14.137],[51.523,14.142],[51.522,14.108],[51.498,14.096],[51.493,14.074],[51.477,14.087],[51.475,14.033],[51.446,14.063],[51.405,14.016],[51.396,14.028],[51.396,14.004],[51.373,14.001],[51.376,13.97],[51.397,13.961],[51.375,13.883],[51.384,13.833],[51.359,13.763],[51.371,13.767],[51.366,13.706],[51.413,13.68],[51.41,13.695],[51.426,13.699],[51.417,13.715],[51.451,13.717],[51.462,13.693],[51.483,13.694],[51.504,13.634],[51.506,13.658],[51.529,13.654],[51.519,13.71],[51.566,13.875],[51.591,13.866],[51.619,13.89],[51.647,13.886],[51.695,13.809],[51.737,13.798],[51.735,13.844],[51.752,13.855],[51.785,13.806],[51.79,13.838],[51.819,13.829],[51.839,13.854],[51.853,13.828],[51.866,13.834],[51.879,13.864],[51.892,13.864],[51.899,13.928]]]],
+    },
+    112067000: {
+      name: "Kreis Oder-Spree",
+      nuts: "DE40C",
+      bbox: [51.99, 13.66, 52.51, 14.76],
+      polygons: [[[[52.499,14.189],[52.463,14.275],[52.409,14.281],[52.403,14.327],[52.382,14.315],[52.374,14.424],[52.354,14.408],[52.343,14.437],[52.308,14.398],[52.267,14.397],[52.276,14.467],[52.253,14.492],[52.256,14.535],[52.277,14.582],[52.286,14.576],[52.269,14.591],[52.252,14.699],[52.234,14.716],[52.194,14.685],[52.17,14.705],[52.145,14.68],[52.117,14.682],[52.067,14.758],[52.023,14.741],[52,14.712],[52.014,14.704],[52.003,14.675],[52.028,14.65],[52.034,14.59],[52.005,14.557],[52.008,14.501],[52.058,14.483],[52.04,14.446],[52.026,14.446],[52.025,14.415],[52.053,14.401],[52.073,14.354],[52.061,14.311],[52.036,14.3],[52.032,14.262],[52.053,14.214],[52.066,14.212],[52.087,14.248],[52.087,14.205],[52.058,14.194],[52.049,14.139],[52.087,14.112],[52.115,14.044],[52.11,14.01],[52.136,13.968],[52.122,13.845],[52.147,13.876],[52.165,13.85],[52.17,13.889],[52.184,13.894],[52.185,13.835],[52.201,13.855],[52.213,13.84],[52.225,13.856],[52.245,13.82],[52.276,13.862],[52.29,13.854],[52.288,13.822],[52.314,13.84],[52.323,13.734],[52.353,13.756],[52.366,13.728],[52.373,13.741],[52.389,13.717],[52.384,13.687],[52.402,13.735],[52.434,13.738],[52.443,13.759],[52.474,13.667],[52.494,13.678],[52.503,13.711],[52.486,13.742],[52.466,13.743],[52.466,13.775],[52.447,13.764],[52.438,13.825],[52.458,13.852],[52.479,13.943],[52.465,13.997],[52.447,14.007],[52.471,14.028],[52.481,14.073],[52.451,14.089],[52.463,14.097],[52.469,14.177],[52.499,14.189]]]],
+    },
+    112068000: {
+      name: "Kreis Ostprignitz-Ruppin",
+      nuts: "DE40D",
+      bbox: [52.68, 12.12, 53.33, 13.06],
+      polygons: [[[[53.308,12.36],[53.302,12.394],[53.285,12.392],[53.275,12.428],[53.25,12.445],[53.265,12.53],[53.244,12.606],[53.253,12.666],[53.23,12.671],[53.224,12.758],[53.2,12.739],[53.189,12.764],[53.201,12.846],[53.18,12.88],[53.198,12.977],[53.174,12.942],[53.147,13.028],[53.133,12.963],[53.104,12.938],[53.073,12.973],[53.071,13.025],[53.024,13.033],[52.999,13.006],[52.991,13.051],[52.956,13.057],[52.917,13.047],[52.906,13.018],[52.855,13.039],[52.862,12.975],[52.844,12.987],[52.84,12.967],[52.836,12.987],[52.834,12.952],[52.829,12.986],[52.818,12.98],[52.795,12.919],[52.745,12.921],[52.727,12.872],[52.719,12.881],[52.711,12.865],[52.708,12.825],[52.681,12.833],[52.703,12.741],[52.729,12.708],[52.756,12.721],[52.77,12.673],[52.801,12.649],[52.79,12.611],[52.811,12.548],[52.783,12.533],[52.772,12.552],[52.753,12.546],[52.752,12.413],[52.77,12.379],[52.789,12.407],[52.803,12.397],[52.792,12.249],[52.805,12.258],[52.859,12.234],[52.878,12.197],[52.854,12.124],[52.891,12.125],[52.919,12.284],[52.947,12.266],[52.954,12.306],[52.991,12.325],[53.005,12.417],[53.051,12.414],[53.023,12.375],[53.031,12.352],[53.019,12.362],[53.015,12.351],[53.059,12.289],[53.104,12.341],[53.121,12.293],[53.138,12.291],[53.163,12.333],[53.19,12.329],[53.206,12.298],[53.237,12.355],[53.271,12.312],[53.303,12.304],[53.321,12.325],[53.308,12.36]]],[[[52.86,12.21],[52.86,12.23],[52.87,12.23],[52.87,12.21],[52.86,12.21]]]],
+    },
+    112069000: {
+      name: "Kreis Potsdam-Mittelmark",
+      nuts: "DE40E",
+      bbox: [51.97, 12.21, 52.56, 13.32],
+      polygons: [[[[52.556,12.488],[52.536,12.506],[52.527,12.576],[52.546,12.717],[52.518,12.708],[52.51,12.75],[52.498,12.734],[52.481,12.76],[52.477,12.743],[52.458,12.745],[52.473,12.818],[52.45,12.892],[52.461,12.894],[52.452,12.944],[52.391,12.935],[52.39,12.98],[52.374,12.971],[52.365,12.982],[52.343,13.042],[52.349,13.061],[52.358,13.052],[52.364,13.102],[52.351,13.137],[52.389,13.153],[52.396,13.172],[52.403,13.159],[52.415,13.196],[52.421,13.246],[52.405,13.25],[52.405,13.269],[52.416,13.296],[52.398,13.313],[52.35,13.251],[52.332,13.251],[52.327,13.187],[52.318,13.165],[52.298,13.172],[52.297,13.138],[52.277,13.163],[52.256,13.116],[52.197,13.084],[52.144,12.951],[52.094,12.996],[52.086,12.973],[52.056,12.956],[52.024,12.975],[52.036,12.904],[52.02,12.854],[51.997,12.845],[51.979,12.77],[52.013,12.662],[51.982,12.615],[51.985,12.539],[52.003,12.536],[52.009,12.499],[52.033,12.481],[52.017,12.435],[52.047,12.36],[52.092,12.316],[52.104,12.277],[52.17,12.217],[52.184,12.248],[52.211,12.248],[52.228,12.297],[52.248,12.244],[52.295,12.263],[52.345,12.308],[52.364,12.284],[52.377,12.306],[52.386,12.292],[52.405,12.302],[52.416,12.274],[52.424,12.297],[52.451,12.305],[52.443,12.361],[52.426,12.375],[52.434,12.389],[52.362,12.396],[52.341,12.421],[52.312,12.419],[52.322,12.505],[52.354,12.536],[52.348,12.594],[52.393,12.612],[52.391,12.656],[52.418,12.687],[52.439,12.671],[52.445,12.705],[52.459,12.622],[52.449,12.572],[52.475,12.581],[52.493,12.687],[52.513,12.703],[52.484,12.65],[52.493,12.606],[52.477,12.566],[52.447,12.56],[52.453,12.518],[52.475,12.513],[52.45,12.468],[52.453,12.445],[52.425,12.448],[52.416,12.43],[52.449,12.421],[52.479,12.45],[52.478,12.412],[52.492,12.424],[52.495,12.411],[52.502,12.424],[52.51,12.414],[52.514,12.429],[52.539,12.407],[52.539,12.429],[52.554,12.428],[52.556,12.488]]],[[[52.22,12.26],[52.22,12.28],[52.24,12.28],[52.24,12.26],[52.22,12.26]]],[[[52.22,12.27],[52.22,12.29],[52.23,12.29],[52.23,12.27],[52.22,12.27]]]],
+    },
+    112070000: {
+      name: "Kreis Prignitz",
+      nuts: "DE40F",
+      bbox: [52.87, 11.26, 53.38, 12.42],
+      polygons: [[[[53.37,12.063],[53.367,12.08],[53.346,12.082],[53.362,12.152],[53.339,12.169],[53.358,12.229],[53.324,12.26],[53.321,12.325],[53.303,12.304],[53.271,12.312],[53.237,12.355],[53.206,12.298],[53.19,12.329],[53.163,12.333],[53.138,12.291],[53.121,12.293],[53.104,12.341],[53.059,12.289],[53.015,12.351],[53.019,12.362],[53.031,12.352],[53.023,12.375],[53.051,12.414],[53.005,12.417],[52.991,12.325],[52.954,12.306],[52.947,12.266],[52.919,12.284],[52.913,12.2],[52.894,12.125],[52.876,12.113],[52.89,12.023],[52.876,11.98],[52.912,11.83],[52.923,11.823],[52.952,11.846],[52.961,11.786],[52.989,11.743],[52.979,11.69],[53.008,11.678],[53.013,11.626],[53.04,11.636],[53.048,11.51],[53.078,11.448],[53.055,11.34],[53.104,11.268],[53.122,11.266],[53.11,11.394],[53.14,11.396],[53.125,11.535],[53.166,11.569],[53.209,11.551],[53.242,11.629],[53.244,11.7],[53.217,11.729],[53.229,11.829],[53.253,11.796],[53.248,11.862],[53.279,11.893],[53.272,11.949],[53.299,11.974],[53.3,12.019],[53.334,12.015],[53.349,12.057],[53.371,12.045],[53.37,12.063]]]],
+    },
+    112071000: {
+      name: "Kreis Spree-Neiße",
+      nuts: "DE40G",
+      bbox: [51.5, 14.07, 52.06, 14.77],
+      polygons: [[[[52.011,14.496],[52.005,14.557],[52.034,14.59],[52.028,14.65],[52.003,14.675],[52.014,14.704],[51.999,14.72],[51.977,14.705],[51.942,14.719],[51.902,14.694],[51.857,14.611],[51.821,14.59],[51.795,14.646],[51.726,14.668],[51.687,14.738],[51.661,14.758],[51.607,14.765],[51.582,14.73],[51.597,14.697],[51.576,14.706],[51.551,14.674],[51.55,14.61],[51.572,14.598],[51.581,14.57],[51.554,14.515],[51.542,14.387],[51.505,14.332],[51.532,14.274],[51.541,14.163],[51.578,14.147],[51.618,14.218],[51.639,14.129],[51.665,14.117],[51.674,14.092],[51.727,14.144],[51.754,14.1],[51.799,14.124],[51.827,14.101],[51.827,14.074],[51.872,14.08],[51.857,14.174],[51.869,14.215],[51.904,14.223],[51.935,14.32],[51.935,14.393],[52,14.369],[52.014,14.453],[52.04,14.446],[52.057,14.481],[52.011,14.496]],[[51.864,14.309],[51.843,14.297],[51.821,14.312],[51.795,14.273],[51.771,14.288],[51.767,14.275],[51.738,14.276],[51.723,14.31],[51.701,14.304],[51.697,14.376],[51.713,14.384],[51.703,14.443],[51.721,14.451],[51.753,14.392],[51.747,14.449],[51.758,14.471],[51.777,14.47],[51.778,14.501],[51.806,14.493],[51.806,14.398],[51.831,14.371],[51.853,14.393],[51.85,14.335],[51.864,14.309]]]],
+    },
+    112072000: {
+      name: "Kreis Teltow-Fläming",
+      nuts: "DE40H",
+      bbox: [51.79, 12.76, 52.42, 13.66],
+      polygons: [[[[52.388,13.37],[52.376,13.421],[52.342,13.456],[52.337,13.499],[52.322,13.483],[52.307,13.498],[52.286,13.483],[52.267,13.512],[52.256,13.451],[52.232,13.473],[52.242,13.546],[52.197,13.582],[52.193,13.546],[52.149,13.543],[52.148,13.557],[52.097,13.541],[52.072,13.629],[52.048,13.653],[52.035,13.637],[52.011,13.646],[51.999,13.561],[51.966,13.494],[51.976,13.415],[51.93,13.412],[51.93,13.519],[51.896,13.579],[51.865,13.539],[51.841,13.551],[51.825,13.536],[51.81,13.569],[51.791,13.486],[51.833,13.354],[51.82,13.259],[51.85,13.222],[51.878,13.23],[51.884,13.162],[51.861,13.163],[51.86,13.151],[51.882,13.132],[51.871,13.039],[51.881,13.029],[51.901,13.045],[51.901,12.973],[51.92,12.977],[51.923,12.956],[51.935,12.961],[51.928,12.89],[51.935,12.853],[51.968,12.844],[51.965,12.776],[51.982,12.77],[51.997,12.845],[52.02,12.854],[52.036,12.904],[52.024,12.976],[52.056,12.956],[52.086,12.973],[52.094,12.996],[52.144,12.951],[52.197,13.084],[52.256,13.116],[52.277,13.163],[52.295,13.137],[52.298,13.172],[52.318,13.165],[52.332,13.251],[52.35,13.251],[52.412,13.343],[52.388,13.37]]]],
+    },
+    112073000: {
+      name: "Kreis Uckermark",
+      nuts: "DE40I",
+      bbox: [52.93, 13.23, 53.56, 14.46],
+      polygons: [[[[53.558,13.801],[53.518,13.822],[53.504,13.879],[53.473,13.876],[53.456,13.918],[53.432,13.903],[53.422,13.916],[53.435,14.001],[53.411,14.082],[53.442,14.122],[53.423,14.177],[53.427,14.238],[53.392,14.243],[53.359,14.223],[53.262,14.099],[53.26,14.266],[53.277,14.262],[53.286,14.302],[53.312,14.317],[53.33,14.412],[53.276,14.421],[53.261,14.45],[53.21,14.405],[53.202,14.377],[53.172,14.366],[53.143,14.388],[53.059,14.352],[52.965,14.161],[52.956,14.027],[52.932,14.014],[52.932,13.992],[52.949,13.977],[52.967,13.984],[52.955,13.944],[52.982,13.927],[52.974,13.862],[52.988,13.824],[53.02,13.831],[53.017,13.855],[53.032,13.854],[53.052,13.885],[53.059,13.849],[53.035,13.711],[53.043,13.682],[53.018,13.665],[53.012,13.691],[53.001,13.676],[52.987,13.491],[53.002,13.497],[53.008,13.46],[53.03,13.444],[53.025,13.407],[53.056,13.415],[53.069,13.369],[53.088,13.362],[53.136,13.288],[53.177,13.314],[53.206,13.247],[53.239,13.24],[53.262,13.253],[53.281,13.298],[53.278,13.36],[53.244,13.386],[53.246,13.405],[53.286,13.442],[53.3,13.438],[53.291,13.483],[53.327,13.503],[53.32,13.524],[53.352,13.517],[53.376,13.556],[53.399,13.55],[53.409,13.625],[53.447,13.641],[53.482,13.715],[53.484,13.812],[53.499,13.827],[53.514,13.778],[53.552,13.784],[53.558,13.801]]]],
+    },
+    113003000: {
+      name: "Rostock",
+      nuts: "DE803",
+      bbox: [54.05, 11.99, 54.25, 12.3],
+      polygons: [[[[54.186,12.089],[54.169,12.099],[54.174,12.143],[54.15,12.126],[54.152,12.097],[54.121,12.098],[54.098,12.117],[54.097,12.154],[54.085,12.152],[54.111,12.086],[54.186,12.089]]],[[[54.17,12.09],[54.17,12.11],[54.19,12.11],[54.19,12.09],[54.17,12.09]]],[[[54.242,12.224],[54.242,12.266],[54.215,12.264],[54.197,12.294],[54.182,12.204],[54.163,12.174],[54.148,12.19],[54.117,12.172],[54.097,12.203],[54.069,12.191],[54.051,12.096],[54.061,12.063],[54.068,12.073],[54.092,12.047],[54.103,12.054],[54.125,12.019],[54.135,12.036],[54.153,12.018],[54.163,12.034],[54.175,11.998],[54.185,12.087],[54.111,12.086],[54.085,12.152],[54.097,12.154],[54.098,12.117],[54.121,12.098],[54.152,12.097],[54.15,12.126],[54.174,12.143],[54.169,12.101],[54.181,12.095],[54.187,12.129],[54.242,12.195],[54.242,12.224]]],[[[54.16,12.1],[54.16,12.11],[54.17,12.11],[54.17,12.1],[54.16,12.1]]],[[[54.16,12.1],[54.16,12.11],[54.17,12.11],[54.17,12.1],[54.16,12.1]]]],
+    },
+    113004000: {
+      name: "Schwerin",
+      nuts: "DE804",
+      bbox: [53.54, 11.29, 53.69, 11.51],
+      polygons: [[[[53.687,11.432],[53.681,11.476],[53.607,11.506],[53.58,11.488],[53.573,11.45],[53.559,11.483],[53.544,11.384],[53.556,11.389],[53.556,11.368],[53.578,11.38],[53.595,11.356],[53.624,11.359],[53.663,11.296],[53.687,11.432]]],[[[53.67,11.35],[53.67,11.36],[53.69,11.36],[53.69,11.35],[53.67,11.35]]]],
+    },
+    113071000: {
+      name: "Kreis Mecklenburgische Seenplatte",
+      nuts: "DE80J",
+      bbox: [53.16, 12.27, 54.01, 13.8],
+      polygons: [[[[53.993,13.015],[53.986,12.996],[53.975,13.002],[53.97,13.059],[53.955,13.064],[53.932,13.133],[53.944,13.155],[53.93,13.195],[53.909,13.216],[53.895,13.192],[53.836,13.186],[53.808,13.233],[53.811,13.301],[53.849,13.338],[53.834,13.394],[53.801,13.38],[53.804,13.344],[53.788,13.344],[53.767,13.375],[53.75,13.367],[53.762,13.392],[53.744,13.502],[53.695,13.552],[53.704,13.642],[53.686,13.796],[53.651,13.694],[53.616,13.763],[53.592,13.699],[53.572,13.725],[53.543,13.724],[53.536,13.679],[53.512,13.669],[53.509,13.693],[53.489,13.689],[53.479,13.71],[53.447,13.641],[53.409,13.625],[53.399,13.55],[53.376,13.556],[53.352,13.517],[53.32,13.524],[53.327,13.503],[53.291,13.483],[53.3,13.438],[53.286,13.442],[53.246,13.405],[53.244,13.386],[53.278,13.36],[53.281,13.298],[53.262,13.253],[53.217,13.229],[53.222,13.203],[53.251,13.182],[53.251,13.152],[53.24,13.11],[53.215,13.106],[53.2,13.08],[53.163,12.98],[53.174,12.942],[53.191,12.979],[53.2,12.964],[53.18,12.88],[53.201,12.846],[53.189,12.764],[53.2,12.739],[53.224,12.758],[53.23,12.671],[53.248,12.676],[53.254,12.661],[53.244,12.606],[53.265,12.53],[53.25,12.445],[53.275,12.428],[53.285,12.392],[53.302,12.394],[53.318,12.332],[53.334,12.345],[53.357,12.318],[53.355,12.29],[53.364,12.313],[53.379,12.275],[53.393,12.316],[53.406,12.303],[53.447,12.308],[53.48,12.364],[53.478,12.331],[53.499,12.301],[53.518,12.289],[53.567,12.305],[53.594,12.349],[53.569,12.391],[53.575,12.411],[53.603,12.399],[53.647,12.417],[53.666,12.396],[53.662,12.468],[53.677,12.446],[53.698,12.473],[53.684,12.467],[53.69,12.487],[53.654,12.511],[53.66,12.558],[53.641,12.626],[53.663,12.658],[53.691,12.623],[53.716,12.639],[53.754,12.628],[53.754,12.646],[53.772,12.646],[53.771,12.695],[53.814,12.704],[53.823,12.751],[53.86,12.753],[53.873,12.77],[53.872,12.801],[53.9,12.764],[53.93,12.814],[53.953,12.787],[53.988,12.816],[54.003,12.805],[53.974,12.866],[54.004,12.957],[53.993,13.015]]]],
+    },
+    113072000: {
+      name: "Kreis Rostock",
+      nuts: "DE80K",
+      bbox: [53.56, 11.51, 54.28, 12.82],
+      polygons: [[[[54.254,12.299],[54.206,12.372],[54.19,12.372],[54.185,12.351],[54.177,12.375],[54.163,12.365],[54.133,12.392],[54.114,12.385],[54.124,12.435],[54.092,12.459],[54.093,12.557],[54.019,12.716],[54.034,12.744],[54.005,12.809],[53.988,12.816],[53.953,12.787],[53.93,12.814],[53.9,12.764],[53.872,12.801],[53.873,12.77],[53.86,12.753],[53.823,12.751],[53.814,12.704],[53.771,12.695],[53.772,12.646],[53.754,12.646],[53.754,12.628],[53.716,12.639],[53.691,12.623],[53.656,12.654],[53.641,12.626],[53.66,12.558],[53.654,12.511],[53.69,12.487],[53.684,12.467],[53.698,12.473],[53.677,12.446],[53.662,12.468],[53.666,12.396],[53.647,12.417],[53.603,12.399],[53.584,12.416],[53.567,12.399],[53.594,12.349],[53.568,12.307],[53.584,12.251],[53.603,12.209],[53.642,12.199],[53.643,12.094],[53.666,12.05],[53.692,12.027],[53.71,12.039],[53.725,11.976],[53.734,11.996],[53.743,11.984],[53.732,11.905],[53.772,11.793],[53.794,11.81],[53.818,11.802],[53.826,11.756],[53.83,11.771],[53.852,11.759],[53.863,11.779],[53.874,11.761],[53.892,11.798],[53.909,11.789],[53.918,11.806],[53.935,11.791],[53.966,11.804],[53.974,11.746],[53.96,11.748],[53.936,11.674],[53.956,11.666],[53.962,11.678],[53.973,11.652],[53.985,11.658],[53.987,11.588],[54.028,11.562],[54.047,11.587],[54.064,11.583],[54.077,11.624],[54.102,11.614],[54.049,11.532],[54.073,11.535],[54.07,11.525],[54.153,11.683],[54.145,11.85],[54.175,11.998],[54.163,12.034],[54.153,12.018],[54.135,12.036],[54.125,12.019],[54.103,12.054],[54.092,12.047],[54.068,12.073],[54.061,12.063],[54.058,12.147],[54.081,12.2],[54.109,12.195],[54.117,12.172],[54.148,12.19],[54.163,12.174],[54.182,12.204],[54.197,12.294],[54.215,12.264],[54.244,12.263],[54.245,12.201],[54.275,12.286],[54.261,12.279],[54.254,12.299]]],[[[54.03,11.51],[54.03,11.53],[54.07,11.53],[54.07,11.51],[54.03,11.51]]],[[[54.1,11.6],[54.1,11.62],[54.11,11.62],[54.11,11.6],[54.1,11.6]]]],
+    },
+    113073000: {
+      name: "Kreis Vorpommern-Rügen",
+      nuts: "DE80L",
+      bbox: [53.97, 12.27, 54.69, 13.77],
+      polygons: [[[[54.487,12.524],[54.469,12.522],[54.455,12.561],[54.445,12.921],[54.428,12.927],[54.409,12.802],[54.432,12.693],[54.409,12.666],[54.426,12.638],[54.407,12.618],[54.404,12.577],[54.384,12.592],[54.379,12.436],[54.365,12.414],[54.335,12.416],[54.341,12.385],[54.323,12.396],[54.303,12.358],[54.278,12.382],[54.266,12.364],[54.248,12.46],[54.259,12.418],[54.28,12.409],[54.304,12.479],[54.33,12.473],[54.338,12.536],[54.356,12.553],[54.365,12.534],[54.38,12.554],[54.373,12.582],[54.359,12.575],[54.356,12.586],[54.372,12.597],[54.391,12.671],[54.405,12.659],[54.412,12.707],[54.404,12.715],[54.4,12.689],[54.371,12.676],[54.368,12.688],[54.398,12.7],[54.37,12.737],[54.384,12.744],[54.372,12.769],[54.396,12.786],[54.344,12.81],[54.365,12.878],[54.402,12.898],[54.413,12.924],[54.437,13.028],[54.397,13.026],[54.366,13.094],[54.346,13.076],[54.306,13.112],[54.283,13.104],[54.271,13.178],[54.253,13.143],[54.266,13.185],[54.241,13.216],[54.233,13.292],[54.194,13.319],[54.165,13.289],[54.134,13.291],[54.118,13.217],[54.073,13.289],[54.068,13.248],[54.035,13.208],[54.022,13.157],[54.04,13.1],[53.974,12.866],[54.03,12.759],[54.019,12.716],[54.093,12.557],[54.092,12.459],[54.124,12.435],[54.114,12.385],[54.133,12.392],[54.163,12.365],[54.177,12.375],[54.185,12.351],[54.19,12.372],[54.206,12.372],[54.262,12.278],[54.303,12.343],[54.487,12.524]]],[[[54.684,13.43],[54.66,13.429],[54.636,13.377],[54.581,13.419],[54.571,13.46],[54.585,13.635],[54.562,13.68],[54.521,13.669],[54.48,13.578],[54.46,13.57],[54.403,13.613],[54.401,13.673],[54.342,13.767],[54.312,13.719],[54.273,13.724],[54.283,13.684],[54.28,13.709],[54.296,13.702],[54.298,13.645],[54.326,13.704],[54.317,13.61],[54.35,13.682],[54.33,13.614],[54.353,13.578],[54.336,13.455],[54.316,13.462],[54.303,13.42],[54.267,13.387],[54.279,13.391],[54.27,13.351],[54.247,13.358],[54.264,13.364],[54.256,13.417],[54.239,13.425],[54.221,13.393],[54.251,13.291],[54.246,13.322],[54.279,13.337],[54.266,13.31],[54.258,13.322],[54.254,13.268],[54.279,13.218],[54.27,13.199],[54.297,13.193],[54.283,13.139],[54.305,13.154],[54.3,13.186],[54.332,13.114],[54.371,13.127],[54.368,13.22],[54.384,13.262],[54.387,13.238],[54.402,13.23],[54.406,13.255],[54.404,13.232],[54.43,13.212],[54.429,13.15],[54.454,13.171],[54.448,13.2],[54.48,13.27],[54.485,13.229],[54.511,13.231],[54.508,13.171],[54.547,13.144],[54.556,13.244],[54.542,13.289],[54.522,13.288],[54.514,13.304],[54.524,13.312],[54.552,13.297],[54.579,13.368],[54.551,13.354],[54.549,13.336],[54.543,13.361],[54.52,13.346],[54.531,13.388],[54.547,13.354],[54.56,13.376],[54.52,13.415],[54.494,13.413],[54.472,13.45],[54.483,13.505],[54.527,13.514],[54.559,13.491],[54.565,13.513],[54.552,13.446],[54.581,13.385],[54.615,13.37],[54.593,13.328],[54.582,13.332],[54.558,13.245],[54.625,13.288],[54.646,13.283],[54.625,13.227],[54.594,13.238],[54.559,13.161],[54.596,13.215],[54.641,13.22],[54.66,13.251],[54.684,13.43]],[[54.479,13.508],[54.455,13.471],[54.443,13.514],[54.443,13.483],[54.426,13.475],[54.419,13.541],[54.432,13.52],[54.439,13.557],[54.448,13.524],[54.457,13.547],[54.475,13.548],[54.479,13.508]]],[[[54.494,13.184],[54.487,13.225],[54.473,13.227],[54.444,13.121],[54.478,13.143],[54.494,13.184]]],[[[54.605,13.137],[54.574,13.158],[54.596,13.147],[54.574,13.145],[54.588,13.134],[54.599,13.141],[54.585,13.111],[54.538,13.117],[54.519,13.085],[54.458,13.064],[54.591,13.098],[54.605,13.137]]],[[[54.46,13.051],[54.451,13.059],[54.442,13.042],[54.436,12.973],[54.46,13.051]]],[[[54.431,12.696],[54.417,12.731],[54.418,12.675],[54.431,12.696]]],[[[54.443,12.932],[54.439,12.962],[54.435,12.924],[54.443,12.932]]],[[[54.3,13.51],[54.3,13.55],[54.34,13.55],[54.34,13.51],[54.3,13.51]]],[[[54.3,13.11],[54.3,13.13],[54.32,13.13],[54.32,13.11],[54.3,13.11]]],[[[54.4,12.71],[54.4,12.74],[54.42,12.74],[54.42,12.71],[54.4,12.71]]],[[[54.5,13.15],[54.5,13.17],[54.52,13.17],[54.52,13.15],[54.5,13.15]]],[[[54.53,13.11],[54.53,13.13],[54.55,13.13],[54.55,13.11],[54.53,13.11]]],[[[54.39,13.2],[54.39,13.23],[54.41,13.23],[54.41,13.2],[54.39,13.2]]],[[[54.41,12.63],[54.41,12.65],[54.43,12.65],[54.43,12.63],[54.41,12.63]]],[[[54.46,13.21],[54.46,13.23],[54.48,13.23],[54.48,13.21],[54.46,13.21]]],[[[54.43,12.97],[54.43,12.99],[54.45,12.99],[54.45,12.97],[54.43,12.97]]],[[[54.34,12.52],[54.34,12.54],[54.36,12.54],[54.36,12.52],[54.34,12.52]]],[[[54.45,13.19],[54.45,13.21],[54.47,13.21],[54.47,13.19],[54.45,13.19]]],[[[54.42,13.11],[54.42,13.13],[54.44,13.13],[54.44,13.11],[54.42,13.11]]],[[[54.4,12.65],[54.4,12.67],[54.41,12.67],[54.41,12.65],[54.4,12.65]]],[[[54.37,12.58],[54.37,12.59],[54.39,12.59],[54.39,12.58],[54.37,12.58]]],[[[54.42,12.92],[54.42,12.94],[54.44,12.94],[54.44,12.92],[54.42,12.92]]],[[[54.43,12.96],[54.43,12.98],[54.45,12.98],[54.45,12.96],[54.43,12.96]]],[[[54.36,12.52],[54.36,12.53],[54.37,12.53],[54.37,12.52],[54.36,12.52]]],[[[54.37,12.51],[54.37,12.53],[54.38,12.53],[54.38,12.51],[54.37,12.51]]],[[[54.34,12.52],[54.34,12.53],[54.36,12.53],[54.36,12.52],[54.34,12.52]]],[[[54.41,12.66],[54.41,12.68],[54.43,12.68],[54.43,12.66],[54.41,12.66]]],[[[54.36,12.52],[54.36,12.53],[54.37,12.53],[54.37,12.52],[54.36,12.52]]],[[[54.42,12.72],[54.42,12.73],[54.43,12.73],[54.43,12.72],[54.42,12.72]]],[[[54.35,12.52],[54.35,12.53],[54.37,12.53],[54.37,12.52],[54.35,12.52]]],[[[54.53,13.29],[54.53,13.31],[54.55,13.31],[54.55,13.29],[54.53,13.29]]],[[[54.47,13.07],[54.47,13.09],[54.48,13.09],[54.48,13.07],[54.47,13.07]]],[[[54.46,13.2],[54.46,13.21],[54.47,13.21],[54.47,13.2],[54.46,13.2]]],[[[54.25,13.35],[54.25,13.37],[54.26,13.37],[54.26,13.35],[54.25,13.35]]],[[[54.46,13.2],[54.46,13.22],[54.47,13.22],[54.47,13.2],[54.46,13.2]]],[[[54.44,12.98],[54.44,12.99],[54.45,12.99],[54.45,12.98],[54.44,12.98]]],[[[54.26,13.38],[54.26,13.4],[54.27,13.4],[54.27,13.38],[54.26,13.38]]],[[[54.373,12.426],[54.294,12.429],[54.27,12.409],[54.247,12.454],[54.267,12.363],[54.278,12.382],[54.303,12.358],[54.323,12.396],[54.341,12.385],[54.335,12.416],[54.373,12.426]]],[[[54.352,13.079],[54.317,13.136],[54.283,13.131],[54.268,13.148],[54.284,13.103],[54.306,13.112],[54.32,13.088],[54.352,13.079]],[[54.316,13.125],[54.309,13.112],[54.304,13.125],[54.316,13.125]]],[[[54.509,13.639],[54.506,13.628],[54.515,13.651],[54.509,13.639]]],[[[54.36,12.71],[54.36,12.74],[54.38,12.74],[54.38,12.71],[54.36,12.71]]],[[[54.59,13.22],[54.59,13.24],[54.6,13.24],[54.6,13.22],[54.59,13.22]]],[[[54.46,12.51],[54.46,12.53],[54.48,12.53],[54.48,12.51],[54.46,12.51]]],[[[54.34,13.5],[54.34,13.51],[54.35,13.51],[54.35,13.5],[54.34,13.5]]],[[[54.33,13.5],[54.33,13.51],[54.35,13.51],[54.35,13.5],[54.33,13.5]]],[[[54.62,13.28],[54.62,13.29],[54.63,13.29],[54.63,13.28],[54.62,13.28]]],[[[54.47,13.44],[54.47,13.46],[54.48,13.46],[54.48,13.44],[54.47,13.44]]],[[[54.61,13.35],[54.61,13.36],[54.62,13.36],[54.62,13.35],[54.61,13.35]]],[[[54.38,13.69],[54.38,13.71],[54.39,13.71],[54.39,13.69],[54.38,13.69]]]],
+    },
+    113074000: {
+      name: "Kreis Nordwestmecklenburg",
+      nuts: "DE80M",
+      bbox: [53.56, 10.74, 54.04, 11.82],
+      polygons: [[[[54.027,11.534],[54.019,11.579],[53.987,11.588],[53.985,11.658],[53.973,11.652],[53.962,11.678],[53.956,11.666],[53.936,11.674],[53.96,11.748],[53.974,11.746],[53.966,11.804],[53.935,11.791],[53.918,11.806],[53.909,11.789],[53.892,11.798],[53.874,11.761],[53.863,11.779],[53.852,11.759],[53.83,11.771],[53.826,11.756],[53.818,11.802],[53.794,11.81],[53.771,11.797],[53.768,11.753],[53.778,11.765],[53.797,11.717],[53.777,11.697],[53.784,11.668],[53.759,11.661],[53.777,11.644],[53.759,11.607],[53.771,11.495],[53.735,11.502],[53.69,11.483],[53.663,11.296],[53.653,11.302],[53.649,11.281],[53.634,11.307],[53.622,11.293],[53.622,11.317],[53.594,11.301],[53.588,11.241],[53.602,11.24],[53.601,11.207],[53.581,11.2],[53.566,11.147],[53.587,11.148],[53.589,11.115],[53.606,11.102],[53.604,11.008],[53.62,11.013],[53.648,10.952],[53.699,10.922],[53.7,10.851],[53.72,10.811],[53.739,10.806],[53.748,10.758],[53.792,10.773],[53.852,10.748],[53.924,10.883],[53.915,10.911],[53.898,10.911],[53.907,10.967],[53.922,10.898],[53.934,10.896],[53.957,10.904],[53.989,10.985],[54.014,11.088],[54.015,11.18],[53.988,11.207],[53.984,11.26],[53.954,11.241],[53.937,11.254],[53.932,11.289],[53.959,11.334],[53.935,11.365],[53.935,11.407],[53.922,11.403],[53.895,11.453],[53.902,11.463],[53.911,11.445],[53.928,11.482],[53.971,11.473],[53.971,11.494],[53.994,11.491],[54.02,11.534],[54.031,11.519],[54.027,11.534]],[[53.79,11.677],[53.784,11.696],[53.794,11.665],[53.79,11.677]]],[[[54.024,11.473],[54.011,11.495],[53.958,11.456],[53.965,11.441],[53.997,11.446],[53.986,11.428],[53.962,11.432],[53.975,11.378],[53.999,11.382],[54.024,11.473]]],[[[54.02,11.48],[54.02,11.5],[54.04,11.5],[54.04,11.48],[54.02,11.48]]],[[[53.93,11.42],[53.93,11.43],[53.95,11.43],[53.95,11.42],[53.93,11.42]]],[[[53.96,11.46],[53.96,11.48],[53.97,11.48],[53.97,11.46],[53.96,11.46]]],[[[53.96,11.47],[53.96,11.48],[53.97,11.48],[53.97,11.47],[53.96,11.47]]],[[[53.97,11.24],[53.97,11.26],[53.98,11.26],[53.98,11.24],[53.97,11.24]]],[[[53.9,11.43],[53.9,11.44],[53.92,11.44],[53.92,11.43],[53.9,11.43]]],[[[53.91,11.44],[53.91,11.46],[53.92,11.46],[53.92,11.44],[53.91,11.44]]],[[[53.93,11.24],[53.93,11.26],[53.95,11.26],[53.95,11.24],[53.93,11.24]]],[[[53.94,11.34],[53.94,11.35],[53.95,11.35],[53.95,11.34],[53.94,11.34]]]],
+    },
+    113075000: {
+      name: "Kreis Vorpommern-Greifswald",
+      nuts: "DE80N",
+      bbox: [53.25, 12.98, 54.26, 14.42],
+      polygons: [[[[54.183,13.329],[54.18,13.347],[54.16,13.316],[54.177,13.379],[54.169,13.408],[54.143,13.383],[54.156,13.411],[54.092,13.456],[54.084,13.493],[54.118,13.476],[54.123,13.486],[54.145,13.659],[54.153,13.649],[54.169,13.712],[54.149,13.697],[54.14,13.749],[54.12,13.755],[54.097,13.804],[54.06,13.774],[54.048,13.783],[54.029,13.744],[53.984,13.834],[53.953,13.853],[53.95,13.881],[53.922,13.914],[53.877,13.825],[53.859,13.806],[53.844,13.816],[53.835,13.868],[53.804,13.899],[53.773,13.969],[53.74,14.103],[53.735,14.181],[53.762,14.233],[53.751,14.264],[53.73,14.266],[53.703,14.215],[53.699,14.267],[53.683,14.284],[53.667,14.271],[53.634,14.284],[53.618,14.317],[53.544,14.306],[53.504,14.327],[53.496,14.351],[53.457,14.358],[53.456,14.371],[53.354,14.39],[53.33,14.412],[53.312,14.317],[53.286,14.302],[53.277,14.262],[53.26,14.266],[53.262,14.099],[53.359,14.223],[53.392,14.243],[53.428,14.237],[53.423,14.177],[53.442,14.122],[53.411,14.082],[53.435,14.001],[53.422,13.916],[53.432,13.903],[53.456,13.918],[53.473,13.876],[53.504,13.879],[53.518,13.822],[53.559,13.8],[53.552,13.784],[53.514,13.778],[53.499,13.827],[53.484,13.812],[53.48,13.706],[53.492,13.687],[53.507,13.696],[53.512,13.669],[53.536,13.679],[53.543,13.724],[53.572,13.725],[53.592,13.699],[53.616,13.763],[53.651,13.694],[53.686,13.796],[53.704,13.642],[53.695,13.552],[53.744,13.502],[53.762,13.392],[53.748,13.372],[53.758,13.361],[53.767,13.375],[53.788,13.344],[53.804,13.344],[53.8,13.377],[53.815,13.393],[53.831,13.397],[53.849,13.372],[53.849,13.338],[53.811,13.301],[53.808,13.235],[53.836,13.186],[53.895,13.192],[53.909,13.216],[53.93,13.195],[53.944,13.155],[53.932,13.133],[53.955,13.064],[53.97,13.059],[53.981,12.998],[53.993,13.015],[54.004,12.987],[54.017,12.997],[54.04,13.1],[54.022,13.157],[54.035,13.208],[54.068,13.248],[54.063,13.278],[54.073,13.289],[54.118,13.217],[54.134,13.291],[54.178,13.298],[54.194,13.319],[54.183,13.329]]],[[[54.174,13.798],[54.1,13.875],[54.054,14.016],[53.929,14.226],[53.914,14.185],[53.9,14.212],[53.866,14.213],[53.875,14.041],[53.849,13.991],[53.843,13.939],[53.848,13.922],[53.86,13.955],[53.875,13.93],[53.843,13.913],[53.85,13.826],[53.871,13.834],[53.877,13.893],[53.909,13.938],[53.951,13.923],[53.966,13.895],[53.99,13.906],[53.99,13.965],[53.97,13.972],[53.959,13.95],[53.935,13.953],[53.962,13.984],[53.962,14.023],[53.949,14.012],[53.941,14.039],[54.001,14.047],[54.021,14.016],[54.011,14.004],[54.064,13.973],[54.064,13.911],[54.043,13.907],[54.028,13.934],[54.016,13.926],[54.035,13.923],[54,13.862],[54.014,13.853],[54.04,13.88],[54.048,13.859],[54.019,13.801],[54.019,13.77],[54.108,13.814],[54.12,13.775],[54.158,13.749],[54.174,13.798]]],[[[54.18,13.402],[54.167,13.422],[54.16,13.41],[54.18,13.402]]],[[[54.1,13.76],[54.1,13.79],[54.13,13.79],[54.13,13.76],[54.1,13.76]]],[[[53.7,14.24],[53.7,14.27],[53.72,14.27],[53.72,14.24],[53.7,14.24]]],[[[54.24,13.9],[54.24,13.93],[54.26,13.93],[54.26,13.9],[54.24,13.9]]],[[[54.18,13.34],[54.18,13.38],[54.19,13.38],[54.19,13.34],[54.18,13.34]]],[[[54.09,13.79],[54.09,13.81],[54.11,13.81],[54.11,13.79],[54.09,13.79]]],[[[54.2,13.76],[54.2,13.78],[54.21,13.78],[54.21,13.76],[54.2,13.76]]],[[[54.16,13.8],[54.16,13.82],[54.18,13.82],[54.18,13.8],[54.16,13.8]]],[[[54.17,13.8],[54.17,13.82],[54.18,13.82],[54.18,13.8],[54.17,13.8]]],[[[54.05,13.78],[54.05,13.79],[54.06,13.79],[54.06,13.78],[54.05,13.78]]],[[[53.94,14.02],[53.94,14.03],[53.96,14.03],[53.96,14.02],[53.94,14.02]]],[[[54.07,13.8],[54.07,13.81],[54.09,13.81],[54.09,13.8],[54.07,13.8]]],[[[53.94,14.03],[53.94,14.04],[53.95,14.04],[53.95,14.03],[53.94,14.03]]],[[[53.94,13.95],[53.94,13.97],[53.95,13.97],[53.95,13.95],[53.94,13.95]]],[[[54.17,13.34],[54.17,13.36],[54.18,13.36],[54.18,13.34],[54.17,13.34]]],[[[54.16,13.33],[54.16,13.34],[54.18,13.34],[54.18,13.33],[54.16,13.33]]],[[[54.17,13.81],[54.17,13.82],[54.18,13.82],[54.18,13.81],[54.17,13.81]]],[[[54.17,13.35],[54.17,13.36],[54.19,13.36],[54.19,13.35],[54.17,13.35]]],[[[53.859,13.819],[53.824,13.904],[53.79,14.27],[53.772,14.284],[53.753,14.267],[53.706,14.272],[53.694,14.252],[53.703,14.215],[53.738,14.272],[53.757,14.253],[53.761,14.23],[53.735,14.181],[53.74,14.102],[53.773,13.969],[53.804,13.899],[53.835,13.868],[53.844,13.816],[53.859,13.806],[53.878,13.826],[53.859,13.819]]],[[[54.17,13.407],[54.157,13.414],[54.143,13.383],[54.17,13.407]]],[[[54.09,13.75],[54.09,13.81],[54.13,13.81],[54.13,13.75],[54.09,13.75]]],[[[54.14,13.64],[54.14,13.67],[54.16,13.67],[54.16,13.64],[54.14,13.64]]],[[[54.09,13.45],[54.09,13.47],[54.1,13.47],[54.1,13.45],[54.09,13.45]]],[[[54.13,13.76],[54.13,13.77],[54.14,13.77],[54.14,13.76],[54.13,13.76]]],[[[54.1,13.44],[54.1,13.46],[54.11,13.46],[54.11,13.44],[54.1,13.44]]],[[[53.86,13.92],[53.86,13.94],[53.88,13.94],[53.88,13.92],[53.86,13.92]]],[[[54.13,13.57],[54.13,13.58],[54.14,13.58],[54.14,13.57],[54.13,13.57]]],[[[53.99,14.03],[53.99,14.05],[54.01,14.05],[54.01,14.03],[53.99,14.03]]],[[[54.13,13.72],[54.13,13.74],[54.14,13.74],[54.14,13.72],[54.13,13.72]]],[[[54.18,13.34],[54.18,13.35],[54.19,13.35],[54.19,13.34],[54.18,13.34]]]],
+    },
+    113076000: {
+      name: "Kreis Ludwigslust-Parchim",
+      nuts: "DE80O",
+      bbox: [53.11, 10.59, 53.8, 12.37],
+      polygons: [[[[53.795,11.721],[53.778,11.765],[53.768,11.753],[53.764,11.842],[53.751,11.838],[53.737,11.883],[53.743,11.984],[53.734,11.996],[53.725,11.976],[53.715,12.034],[53.69,12.028],[53.647,12.082],[53.642,12.199],[53.603,12.209],[53.568,12.306],[53.518,12.289],[53.499,12.301],[53.478,12.331],[53.48,12.364],[53.447,12.308],[53.406,12.303],[53.392,12.315],[53.379,12.275],[53.366,12.312],[53.355,12.29],[53.357,12.318],[53.334,12.345],[53.318,12.332],[53.324,12.26],[53.358,12.229],[53.339,12.169],[53.362,12.152],[53.345,12.092],[53.369,12.078],[53.371,12.045],[53.349,12.057],[53.334,12.015],[53.304,12.024],[53.299,11.974],[53.272,11.949],[53.279,11.893],[53.248,11.862],[53.253,11.796],[53.229,11.829],[53.217,11.729],[53.244,11.7],[53.242,11.629],[53.209,11.551],[53.167,11.569],[53.131,11.549],[53.121,11.502],[53.14,11.461],[53.14,11.396],[53.11,11.394],[53.117,11.29],[53.144,11.223],[53.136,11.186],[53.157,11.172],[53.181,11.194],[53.221,11.08],[53.281,11.009],[53.333,10.988],[53.348,10.919],[53.305,10.836],[53.33,10.76],[53.369,10.703],[53.365,10.594],[53.385,10.617],[53.455,10.632],[53.455,10.693],[53.478,10.702],[53.483,10.756],[53.51,10.786],[53.514,10.824],[53.575,10.823],[53.572,10.91],[53.647,10.945],[53.635,11],[53.603,11.01],[53.608,11.092],[53.589,11.115],[53.592,11.139],[53.566,11.147],[53.581,11.2],[53.601,11.207],[53.592,11.299],[53.622,11.317],[53.621,11.294],[53.634,11.307],[53.649,11.281],[53.653,11.302],[53.624,11.359],[53.595,11.356],[53.578,11.38],[53.556,11.368],[53.556,11.389],[53.544,11.384],[53.55,11.462],[53.559,11.483],[53.573,11.45],[53.58,11.488],[53.607,11.506],[53.681,11.476],[53.681,11.449],[53.684,11.463],[53.693,11.451],[53.692,11.486],[53.735,11.502],[53.767,11.489],[53.778,11.526],[53.761,11.522],[53.759,11.607],[53.777,11.64],[53.759,11.661],[53.784,11.668],[53.777,11.697],[53.79,11.696],[53.795,11.721]]],[[[53.78,11.66],[53.78,11.7],[53.8,11.7],[53.8,11.66],[53.78,11.66]]],[[[53.61,11.36],[53.61,11.37],[53.63,11.37],[53.63,11.36],[53.61,11.36]]]],
+    },
+    114511000: {
+      name: "Chemnitz",
+      nuts: "DED41",
+      bbox: [50.74, 12.72, 50.91, 13.06],
+      polygons: [[[[50.902,12.891],[50.886,12.921],[50.892,12.99],[50.874,12.998],[50.848,12.981],[50.841,13.049],[50.819,13.04],[50.807,13.053],[50.77,13.021],[50.779,12.991],[50.758,12.98],[50.741,12.928],[50.762,12.881],[50.773,12.897],[50.785,12.89],[50.78,12.871],[50.802,12.841],[50.786,12.783],[50.812,12.768],[50.818,12.727],[50.825,12.776],[50.891,12.836],[50.902,12.891]]]],
+    },
+    114521000: {
+      name: "Erzgebirgskreis",
+      nuts: "DED42",
+      bbox: [50.39, 12.45, 50.81, 13.51],
+      polygons: [[[[50.781,13.086],[50.792,13.113],[50.77,13.136],[50.784,13.17],[50.777,13.249],[50.763,13.278],[50.744,13.269],[50.739,13.281],[50.753,13.364],[50.714,13.372],[50.676,13.434],[50.665,13.43],[50.654,13.494],[50.645,13.481],[50.634,13.502],[50.602,13.463],[50.651,13.371],[50.628,13.378],[50.608,13.325],[50.582,13.324],[50.575,13.291],[50.593,13.279],[50.592,13.248],[50.503,13.195],[50.506,13.137],[50.518,13.133],[50.5,13.085],[50.51,13.032],[50.447,13.02],[50.404,12.948],[50.46,12.819],[50.431,12.811],[50.449,12.795],[50.432,12.735],[50.397,12.707],[50.417,12.673],[50.407,12.584],[50.424,12.584],[50.467,12.496],[50.493,12.493],[50.486,12.479],[50.502,12.458],[50.562,12.548],[50.553,12.584],[50.565,12.614],[50.58,12.576],[50.618,12.601],[50.618,12.629],[50.64,12.647],[50.629,12.687],[50.643,12.711],[50.655,12.696],[50.689,12.719],[50.715,12.64],[50.726,12.669],[50.754,12.65],[50.739,12.713],[50.752,12.728],[50.771,12.714],[50.802,12.841],[50.78,12.871],[50.783,12.894],[50.762,12.881],[50.742,12.919],[50.758,12.98],[50.779,12.991],[50.77,13.021],[50.806,13.045],[50.781,13.086]]]],
+    },
+    114522000: {
+      name: "Kreis Mittelsachsen",
+      nuts: "DED43",
+      bbox: [50.63, 12.61, 51.24, 13.66],
+      polygons: [[[[51.235,13.184],[51.217,13.208],[51.212,13.193],[51.176,13.211],[51.154,13.257],[51.118,13.251],[51.103,13.226],[51.111,13.251],[51.068,13.26],[51.06,13.242],[51.049,13.267],[51.013,13.229],[51.051,13.366],[51.029,13.441],[51.021,13.45],[50.988,13.431],[50.985,13.477],[50.944,13.428],[50.942,13.455],[50.933,13.444],[50.907,13.457],[50.856,13.515],[50.849,13.498],[50.839,13.505],[50.811,13.577],[50.806,13.554],[50.782,13.551],[50.776,13.595],[50.73,13.652],[50.704,13.525],[50.677,13.544],[50.654,13.513],[50.639,13.524],[50.634,13.496],[50.645,13.481],[50.654,13.494],[50.665,13.43],[50.676,13.434],[50.714,13.372],[50.753,13.364],[50.739,13.281],[50.744,13.269],[50.763,13.278],[50.777,13.249],[50.784,13.17],[50.77,13.136],[50.792,13.113],[50.781,13.086],[50.818,13.04],[50.841,13.049],[50.848,12.981],[50.874,12.998],[50.892,12.99],[50.886,12.921],[50.902,12.87],[50.867,12.778],[50.906,12.741],[50.903,12.693],[50.94,12.624],[50.981,12.617],[50.985,12.686],[51.007,12.706],[51.003,12.744],[51.025,12.711],[51.038,12.73],[51.062,12.716],[51.108,12.744],[51.105,12.801],[51.091,12.814],[51.099,12.893],[51.138,12.892],[51.154,12.849],[51.213,12.902],[51.223,12.983],[51.2,13.031],[51.216,13.051],[51.213,13.109],[51.223,13.104],[51.235,13.184]]]],
+    },
+    114523000: {
+      name: "Vogtlandkreis",
+      nuts: "DED44",
+      bbox: [50.17, 11.87, 50.68, 12.59],
+      polygons: [[[[50.669,12.332],[50.676,12.379],[50.657,12.38],[50.638,12.421],[50.622,12.41],[50.606,12.449],[50.576,12.429],[50.561,12.439],[50.564,12.505],[50.547,12.528],[50.502,12.458],[50.486,12.479],[50.493,12.493],[50.464,12.5],[50.424,12.584],[50.403,12.575],[50.397,12.512],[50.371,12.487],[50.35,12.489],[50.355,12.469],[50.323,12.431],[50.321,12.398],[50.295,12.401],[50.262,12.352],[50.242,12.359],[50.243,12.331],[50.172,12.333],[50.177,12.29],[50.197,12.275],[50.221,12.294],[50.246,12.24],[50.258,12.248],[50.25,12.266],[50.271,12.254],[50.273,12.201],[50.309,12.201],[50.322,12.184],[50.325,12.047],[50.352,11.976],[50.389,11.984],[50.395,11.949],[50.416,11.946],[50.425,11.919],[50.433,11.928],[50.444,11.889],[50.464,11.932],[50.454,11.951],[50.472,11.938],[50.487,11.964],[50.526,11.925],[50.517,11.888],[50.54,11.871],[50.557,11.926],[50.586,11.924],[50.609,11.987],[50.621,11.979],[50.635,12.004],[50.626,12.022],[50.612,12.005],[50.595,12.035],[50.568,12.018],[50.549,12.03],[50.551,12.052],[50.558,12.077],[50.579,12.084],[50.573,12.156],[50.586,12.156],[50.589,12.11],[50.606,12.147],[50.631,12.154],[50.612,12.183],[50.641,12.198],[50.631,12.266],[50.643,12.264],[50.652,12.299],[50.677,12.319],[50.669,12.332]]]],
+    },
+    114524000: {
+      name: "Kreis Zwickau",
+      nuts: "DED45",
+      bbox: [50.54, 12.22, 50.93, 12.81],
+      polygons: [[[[50.916,12.675],[50.906,12.741],[50.867,12.778],[50.867,12.804],[50.849,12.805],[50.823,12.773],[50.829,12.738],[50.818,12.727],[50.812,12.768],[50.79,12.779],[50.771,12.756],[50.771,12.714],[50.752,12.728],[50.739,12.713],[50.754,12.65],[50.726,12.669],[50.715,12.64],[50.689,12.719],[50.655,12.696],[50.643,12.711],[50.629,12.687],[50.64,12.647],[50.618,12.629],[50.611,12.59],[50.597,12.598],[50.58,12.576],[50.572,12.616],[50.558,12.605],[50.562,12.548],[50.547,12.528],[50.564,12.505],[50.561,12.439],[50.576,12.429],[50.606,12.449],[50.621,12.411],[50.635,12.423],[50.657,12.38],[50.676,12.379],[50.664,12.342],[50.684,12.319],[50.686,12.275],[50.716,12.253],[50.73,12.273],[50.738,12.227],[50.767,12.241],[50.76,12.264],[50.783,12.29],[50.789,12.253],[50.818,12.251],[50.81,12.28],[50.824,12.29],[50.817,12.302],[50.83,12.299],[50.824,12.348],[50.853,12.374],[50.844,12.443],[50.88,12.459],[50.908,12.521],[50.903,12.64],[50.924,12.653],[50.916,12.675]]]],
+    },
+    114612000: {
+      name: "Dresden",
+      nuts: "DED21",
+      bbox: [50.97, 13.57, 51.18, 13.97],
+      polygons: [[[[51.177,13.756],[51.145,13.831],[51.154,13.88],[51.143,13.889],[51.128,13.872],[51.094,13.911],[51.073,13.884],[51.06,13.923],[51.074,13.953],[51.032,13.963],[51.017,13.912],[50.982,13.884],[50.993,13.858],[50.975,13.817],[51.009,13.737],[51.002,13.688],[51.017,13.666],[51.037,13.666],[51.032,13.604],[51.044,13.583],[51.094,13.593],[51.09,13.697],[51.112,13.692],[51.112,13.708],[51.14,13.721],[51.145,13.769],[51.164,13.747],[51.177,13.756]]]],
+    },
+    114625000: {
+      name: "Kreis Bautzen",
+      nuts: "DED2C",
+      bbox: [51.01, 13.76, 51.55, 14.7],
+      polygons: [[[[51.538,14.451],[51.512,14.44],[51.509,14.473],[51.496,14.485],[51.476,14.471],[51.461,14.495],[51.451,14.483],[51.432,14.522],[51.415,14.513],[51.411,14.488],[51.409,14.5],[51.375,14.485],[51.349,14.459],[51.324,14.473],[51.32,14.51],[51.357,14.545],[51.34,14.533],[51.317,14.565],[51.319,14.594],[51.288,14.6],[51.279,14.624],[51.26,14.613],[51.244,14.636],[51.229,14.621],[51.23,14.65],[51.218,14.649],[51.21,14.683],[51.191,14.672],[51.185,14.699],[51.149,14.683],[51.156,14.656],[51.132,14.641],[51.127,14.607],[51.118,14.618],[51.12,14.575],[51.105,14.584],[51.081,14.559],[51.073,14.474],[51.061,14.49],[51.023,14.493],[51.036,14.454],[51.019,14.408],[51.045,14.362],[51.04,14.335],[51.062,14.309],[51.068,14.32],[51.074,14.279],[51.06,14.253],[51.086,14.205],[51.067,14.168],[51.09,14.133],[51.073,14.102],[51.086,14.051],[51.067,14.037],[51.061,13.968],[51.074,13.95],[51.06,13.923],[51.073,13.884],[51.094,13.911],[51.128,13.872],[51.143,13.889],[51.154,13.88],[51.145,13.831],[51.176,13.765],[51.198,13.795],[51.215,13.761],[51.23,13.812],[51.248,13.797],[51.265,13.827],[51.272,13.803],[51.282,13.817],[51.302,13.797],[51.341,13.826],[51.337,13.856],[51.384,13.833],[51.375,13.883],[51.397,13.961],[51.376,13.97],[51.373,14.001],[51.396,14.004],[51.396,14.028],[51.405,14.016],[51.446,14.063],[51.475,14.033],[51.477,14.087],[51.493,14.074],[51.498,14.096],[51.522,14.108],[51.523,14.142],[51.543,14.137],[51.532,14.274],[51.505,14.332],[51.542,14.387],[51.538,14.451]]]],
+    },
+    114626000: {
+      name: "Kreis Görlitz",
+      nuts: "DED2D",
+      bbox: [50.81, 14.44, 51.6, 15.05],
+      polygons: [[[[51.575,14.727],[51.563,14.711],[51.526,14.736],[51.468,14.952],[51.442,14.974],[51.431,14.959],[51.398,14.969],[51.395,14.958],[51.374,14.984],[51.361,14.965],[51.274,15.042],[51.251,15.023],[51.244,15.038],[51.213,15.01],[51.122,14.998],[51.116,14.981],[51.05,14.965],[50.995,14.917],[50.941,14.897],[50.886,14.82],[50.867,14.825],[50.82,14.793],[50.822,14.722],[50.841,14.709],[50.858,14.619],[50.905,14.653],[50.932,14.65],[50.918,14.565],[50.987,14.599],[51.01,14.565],[51.004,14.535],[51.017,14.532],[51.022,14.499],[51.043,14.508],[51.044,14.491],[51.07,14.473],[51.081,14.559],[51.105,14.584],[51.12,14.575],[51.118,14.618],[51.127,14.607],[51.132,14.641],[51.156,14.656],[51.149,14.683],[51.185,14.699],[51.191,14.672],[51.21,14.683],[51.218,14.649],[51.23,14.65],[51.229,14.621],[51.244,14.636],[51.26,14.613],[51.279,14.624],[51.288,14.6],[51.319,14.594],[51.317,14.565],[51.34,14.533],[51.357,14.545],[51.32,14.51],[51.324,14.473],[51.349,14.459],[51.375,14.485],[51.409,14.5],[51.411,14.488],[51.415,14.513],[51.432,14.522],[51.451,14.483],[51.461,14.495],[51.476,14.471],[51.496,14.485],[51.509,14.473],[51.512,14.44],[51.553,14.447],[51.56,14.541],[51.581,14.57],[51.572,14.598],[51.55,14.61],[51.551,14.674],[51.576,14.706],[51.597,14.7],[51.575,14.727]]]],
+    },
+    114627000: {
+      name: "Kreis Meißen",
+      nuts: "DED2E",
+      bbox: [51, 13.18, 51.46, 13.86],
+      polygons: [[[[51.44,13.411],[51.431,13.428],[51.422,13.421],[51.431,13.446],[51.418,13.474],[51.412,13.463],[51.402,13.521],[51.369,13.543],[51.386,13.57],[51.369,13.594],[51.371,13.767],[51.359,13.763],[51.377,13.835],[51.337,13.856],[51.341,13.826],[51.302,13.797],[51.282,13.817],[51.272,13.803],[51.265,13.827],[51.248,13.797],[51.23,13.812],[51.215,13.761],[51.198,13.795],[51.175,13.766],[51.177,13.744],[51.145,13.769],[51.14,13.721],[51.112,13.708],[51.112,13.692],[51.09,13.697],[51.102,13.617],[51.059,13.563],[51.067,13.485],[51.055,13.432],[51.034,13.422],[51.051,13.366],[51.007,13.236],[51.029,13.239],[51.051,13.266],[51.06,13.242],[51.068,13.26],[51.111,13.251],[51.111,13.227],[51.118,13.251],[51.15,13.258],[51.176,13.211],[51.212,13.193],[51.217,13.208],[51.261,13.194],[51.269,13.217],[51.343,13.211],[51.359,13.192],[51.367,13.208],[51.378,13.182],[51.411,13.2],[51.385,13.269],[51.4,13.26],[51.399,13.286],[51.427,13.328],[51.438,13.32],[51.425,13.377],[51.438,13.373],[51.454,13.401],[51.44,13.411]]]],
+    },
+    114628000: {
+      name: "Kreis Sächsische Schweiz-Osterzgebirge",
+      nuts: "DED2F",
+      bbox: [50.71, 13.42, 51.09, 14.41],
+      polygons: [[[[51.087,14.136],[51.067,14.162],[51.088,14.186],[51.078,14.237],[51.06,14.253],[51.074,14.279],[51.068,14.32],[51.04,14.274],[51.027,14.286],[51.009,14.261],[50.988,14.259],[50.982,14.33],[50.965,14.303],[50.934,14.401],[50.9,14.388],[50.884,14.305],[50.895,14.268],[50.888,14.233],[50.859,14.223],[50.812,14.078],[50.804,14.031],[50.82,13.99],[50.79,13.939],[50.793,13.901],[50.77,13.888],[50.744,13.898],[50.743,13.862],[50.727,13.855],[50.736,13.758],[50.717,13.706],[50.747,13.619],[50.776,13.595],[50.782,13.551],[50.806,13.554],[50.811,13.577],[50.839,13.505],[50.849,13.498],[50.856,13.515],[50.907,13.457],[50.933,13.444],[50.942,13.455],[50.944,13.428],[50.985,13.477],[50.988,13.431],[51.021,13.45],[51.033,13.421],[51.051,13.427],[51.067,13.485],[51.065,13.58],[51.032,13.604],[51.037,13.666],[51.017,13.666],[51.002,13.688],[51.009,13.737],[50.975,13.821],[50.993,13.858],[50.982,13.884],[51.017,13.912],[51.027,13.958],[51.061,13.961],[51.069,13.981],[51.067,14.037],[51.086,14.051],[51.073,14.102],[51.087,14.136]]]],
+    },
+    114713000: {
+      name: "Leipzig",
+      nuts: "DED51",
+      bbox: [51.23, 12.23, 51.45, 12.55],
+      polygons: [[[[51.432,12.487],[51.418,12.489],[51.415,12.457],[51.383,12.477],[51.368,12.467],[51.349,12.528],[51.324,12.543],[51.306,12.538],[51.304,12.505],[51.26,12.493],[51.268,12.448],[51.283,12.447],[51.28,12.391],[51.296,12.35],[51.269,12.345],[51.27,12.324],[51.243,12.313],[51.239,12.254],[51.286,12.25],[51.281,12.281],[51.319,12.237],[51.334,12.259],[51.372,12.237],[51.397,12.268],[51.406,12.249],[51.403,12.264],[51.42,12.268],[51.418,12.397],[51.431,12.442],[51.448,12.441],[51.432,12.487]]]],
+    },
+    114729000: {
+      name: "Kreis Leipzig",
+      nuts: "DED52",
+      bbox: [50.97, 12.14, 51.47, 12.95],
+      polygons: [[[[51.469,12.789],[51.413,12.942],[51.395,12.938],[51.4,12.905],[51.386,12.902],[51.361,12.939],[51.347,12.898],[51.322,12.908],[51.306,12.87],[51.266,12.929],[51.247,12.93],[51.236,12.912],[51.231,12.923],[51.229,12.907],[51.215,12.928],[51.209,12.894],[51.154,12.849],[51.138,12.892],[51.099,12.893],[51.091,12.814],[51.105,12.801],[51.105,12.739],[51.062,12.716],[51.038,12.73],[51.025,12.711],[51,12.741],[51.007,12.706],[50.985,12.686],[50.979,12.634],[50.997,12.608],[50.982,12.584],[50.998,12.528],[51.024,12.539],[51.017,12.507],[51.064,12.502],[51.067,12.463],[51.085,12.458],[51.08,12.361],[51.104,12.332],[51.091,12.288],[51.104,12.23],[51.123,12.22],[51.131,12.242],[51.142,12.196],[51.184,12.213],[51.181,12.175],[51.214,12.205],[51.32,12.148],[51.348,12.244],[51.334,12.259],[51.318,12.238],[51.281,12.281],[51.286,12.25],[51.239,12.254],[51.243,12.313],[51.27,12.324],[51.269,12.345],[51.296,12.35],[51.28,12.391],[51.283,12.447],[51.268,12.448],[51.258,12.488],[51.304,12.505],[51.306,12.538],[51.324,12.543],[51.332,12.527],[51.341,12.539],[51.361,12.499],[51.383,12.612],[51.409,12.624],[51.404,12.65],[51.445,12.652],[51.445,12.714],[51.469,12.789]]]],
+    },
+    114730000: {
+      name: "Kreis Nordsachsen",
+      nuts: "DED53",
+      bbox: [51.19, 12.14, 51.69, 13.22],
+      polygons: [[[[51.684,12.846],[51.655,12.866],[51.667,12.889],[51.647,12.898],[51.638,12.942],[51.65,12.972],[51.666,12.967],[51.669,12.996],[51.66,13.018],[51.637,13.023],[51.648,13.051],[51.608,13.086],[51.619,13.121],[51.592,13.162],[51.567,13.143],[51.558,13.186],[51.524,13.208],[51.492,13.201],[51.492,13.182],[51.451,13.203],[51.429,13.174],[51.433,13.2],[51.405,13.21],[51.411,13.2],[51.378,13.182],[51.369,13.207],[51.359,13.192],[51.343,13.211],[51.269,13.217],[51.261,13.194],[51.23,13.199],[51.216,13.051],[51.2,13.031],[51.222,12.992],[51.221,12.913],[51.263,12.931],[51.306,12.87],[51.322,12.908],[51.347,12.898],[51.361,12.939],[51.386,12.902],[51.4,12.905],[51.395,12.938],[51.413,12.942],[51.468,12.795],[51.445,12.652],[51.404,12.65],[51.409,12.624],[51.383,12.612],[51.361,12.499],[51.368,12.467],[51.383,12.477],[51.419,12.459],[51.422,12.494],[51.442,12.471],[51.448,12.441],[51.431,12.442],[51.418,12.397],[51.42,12.268],[51.403,12.264],[51.406,12.249],[51.397,12.268],[51.372,12.237],[51.345,12.241],[51.333,12.194],[51.379,12.19],[51.384,12.172],[51.388,12.185],[51.41,12.174],[51.421,12.19],[51.433,12.157],[51.463,12.149],[51.485,12.203],[51.531,12.193],[51.566,12.241],[51.561,12.293],[51.586,12.337],[51.582,12.425],[51.61,12.444],[51.604,12.486],[51.593,12.483],[51.608,12.507],[51.609,12.56],[51.626,12.58],[51.625,12.629],[51.611,12.608],[51.62,12.649],[51.662,12.688],[51.648,12.773],[51.684,12.846]]]],
+    },
+    115001000: {
+      name: "Dessau-Roßlau",
+      nuts: "DEE01",
+      bbox: [51.73, 12.11, 51.98, 12.36],
+      polygons: [[[[51.971,12.274],[51.945,12.279],[51.952,12.306],[51.94,12.321],[51.932,12.308],[51.888,12.321],[51.861,12.284],[51.839,12.319],[51.816,12.321],[51.804,12.306],[51.786,12.343],[51.734,12.346],[51.743,12.306],[51.8,12.282],[51.78,12.268],[51.786,12.24],[51.757,12.228],[51.792,12.112],[51.814,12.138],[51.849,12.142],[51.87,12.142],[51.871,12.114],[51.898,12.122],[51.902,12.184],[51.927,12.156],[51.941,12.21],[51.962,12.208],[51.971,12.274]]],[[[51.89,12.11],[51.89,12.13],[51.91,12.13],[51.91,12.11],[51.89,12.11]]]],
+    },
+    115002000: {
+      name: "Halle (Saale)",
+      nuts: "DEE02",
+      bbox: [51.4, 11.85, 51.55, 12.09],
+      polygons: [[[[51.543,12],[51.54,12.017],[51.528,12.009],[51.526,12.025],[51.497,12.035],[51.491,12.088],[51.486,12.072],[51.474,12.079],[51.476,12.053],[51.46,12.056],[51.458,12.042],[51.404,12.012],[51.408,11.952],[51.417,11.941],[51.419,11.955],[51.434,11.951],[51.443,11.915],[51.452,11.931],[51.46,11.923],[51.463,11.888],[51.487,11.864],[51.492,11.879],[51.515,11.857],[51.535,11.88],[51.527,11.95],[51.543,12]]]],
+    },
+    115003000: {
+      name: "Magdeburg",
+      nuts: "DEE03",
+      bbox: [52.02, 11.51, 52.23, 11.77],
+      polygons: [[[[52.202,11.691],[52.199,11.705],[52.187,11.687],[52.17,11.711],[52.148,11.706],[52.141,11.725],[52.104,11.719],[52.101,11.746],[52.085,11.739],[52.074,11.765],[52.054,11.732],[52.047,11.742],[52.05,11.695],[52.026,11.648],[52.07,11.6],[52.067,11.521],[52.175,11.569],[52.199,11.647],[52.228,11.637],[52.227,11.672],[52.202,11.691]]]],
+    },
+    115081000: {
+      name: "Altmarkkreis Salzwedel",
+      nuts: "DEE04",
+      bbox: [52.38, 10.75, 52.95, 11.64],
+      polygons: [[[[52.934,11.51],[52.921,11.551],[52.936,11.544],[52.936,11.56],[52.903,11.602],[52.899,11.636],[52.882,11.613],[52.859,11.632],[52.842,11.469],[52.815,11.481],[52.815,11.531],[52.802,11.538],[52.786,11.505],[52.77,11.509],[52.765,11.562],[52.743,11.523],[52.703,11.516],[52.688,11.474],[52.652,11.49],[52.643,11.423],[52.622,11.397],[52.602,11.488],[52.616,11.588],[52.525,11.569],[52.52,11.591],[52.488,11.59],[52.494,11.605],[52.41,11.562],[52.387,11.447],[52.408,11.451],[52.425,11.405],[52.425,11.32],[52.44,11.31],[52.434,11.148],[52.455,11.09],[52.506,11.057],[52.497,11.009],[52.567,10.938],[52.59,10.94],[52.607,10.976],[52.624,10.977],[52.61,10.921],[52.716,10.83],[52.714,10.797],[52.748,10.792],[52.785,10.755],[52.842,10.767],[52.853,10.94],[52.882,10.986],[52.911,11],[52.913,11.099],[52.899,11.093],[52.896,11.113],[52.906,11.155],[52.898,11.221],[52.879,11.241],[52.889,11.291],[52.875,11.295],[52.904,11.407],[52.939,11.47],[52.934,11.51]]]],
+    },
+    115082000: {
+      name: "Kreis Anhalt-Bitterfeld",
+      nuts: "DEE05",
+      bbox: [51.53, 11.83, 52.11, 12.59],
+      polygons: [[[[52.104,12.283],[52.045,12.376],[52.023,12.376],[52.027,12.355],[52,12.322],[51.988,12.255],[51.977,12.252],[51.97,12.281],[51.962,12.208],[51.941,12.21],[51.927,12.156],[51.902,12.184],[51.898,12.122],[51.871,12.114],[51.87,12.142],[51.849,12.142],[51.814,12.138],[51.792,12.112],[51.757,12.228],[51.786,12.24],[51.78,12.268],[51.799,12.283],[51.743,12.306],[51.734,12.336],[51.718,12.326],[51.707,12.364],[51.703,12.345],[51.684,12.349],[51.703,12.476],[51.682,12.474],[51.661,12.517],[51.667,12.574],[51.637,12.57],[51.638,12.56],[51.626,12.58],[51.615,12.575],[51.593,12.482],[51.604,12.486],[51.61,12.444],[51.582,12.425],[51.586,12.337],[51.561,12.293],[51.567,12.243],[51.531,12.199],[51.55,12.169],[51.581,12.164],[51.59,12.032],[51.611,12.05],[51.621,12.027],[51.643,12.04],[51.646,11.923],[51.683,11.838],[51.739,11.855],[51.763,11.904],[51.78,11.849],[51.799,11.847],[51.811,11.882],[51.837,11.857],[51.853,11.866],[51.88,11.922],[51.867,11.967],[51.876,12.02],[51.977,11.885],[52.002,11.891],[52.008,11.952],[52.03,12.006],[52.065,12.033],[52.058,12.06],[52.076,12.075],[52.069,12.135],[52.079,12.185],[52.102,12.213],[52.104,12.283]]],[[[51.86,11.88],[51.86,11.9],[51.88,11.9],[51.88,11.88],[51.86,11.88]]],[[[51.86,11.88],[51.86,11.89],[51.87,11.89],[51.87,11.88],[51.86,11.88]]]],
+    },
+    115083000: {
+      name: "Kreis Börde",
+      nuts: "DEE07",
+      bbox: [51.89, 10.93, 52.51, 11.86],
+      polygons: [[[[52.5,11.062],[52.455,11.09],[52.434,11.148],[52.431,11.382],[52.408,11.451],[52.387,11.447],[52.41,11.562],[52.459,11.587],[52.47,11.643],[52.459,11.7],[52.424,11.733],[52.408,11.719],[52.4,11.782],[52.413,11.789],[52.418,11.774],[52.422,11.795],[52.401,11.841],[52.372,11.818],[52.347,11.857],[52.33,11.836],[52.351,11.788],[52.337,11.806],[52.324,11.797],[52.241,11.701],[52.202,11.711],[52.199,11.692],[52.227,11.672],[52.228,11.637],[52.199,11.647],[52.159,11.554],[52.143,11.561],[52.144,11.548],[52.067,11.521],[52.07,11.6],[52.051,11.624],[52.03,11.637],[52.019,11.601],[51.969,11.603],[51.963,11.509],[51.988,11.45],[52.007,11.447],[52.005,11.416],[51.982,11.402],[51.962,11.345],[51.934,11.371],[51.901,11.341],[51.908,11.274],[51.899,11.259],[51.895,11.278],[51.893,11.262],[51.924,11.204],[51.921,11.169],[51.94,11.161],[51.96,11.18],[51.969,11.15],[51.98,11.162],[52.001,11.154],[52.003,11.098],[52.038,11.07],[52.053,10.968],[52.086,10.971],[52.096,10.941],[52.135,11.045],[52.172,11.06],[52.179,11.018],[52.2,11.014],[52.229,11.086],[52.287,11.014],[52.31,11.036],[52.342,10.984],[52.35,11.057],[52.374,11.074],[52.388,11.015],[52.461,10.934],[52.476,10.935],[52.501,10.975],[52.5,11.062]]]],
+    },
+    115084000: {
+      name: "Burgenlandkreis",
+      nuts: "DEE08",
+      bbox: [50.93, 11.36, 51.33, 12.3],
+      polygons: [[[[51.316,11.618],[51.266,11.699],[51.284,11.76],[51.268,11.788],[51.248,11.788],[51.235,11.85],[51.236,11.924],[51.27,11.926],[51.282,11.997],[51.288,12.062],[51.263,12.045],[51.248,12.074],[51.276,12.171],[51.214,12.205],[51.181,12.175],[51.184,12.213],[51.142,12.196],[51.131,12.242],[51.11,12.221],[51.088,12.288],[51.077,12.266],[51.038,12.25],[51.038,12.287],[51.019,12.292],[50.938,12.215],[50.958,12.214],[50.976,12.183],[50.959,12.164],[50.977,12.092],[50.969,12.014],[50.991,12.007],[50.994,11.97],[51.016,11.977],[51.028,11.912],[51.045,11.911],[51.056,11.889],[51.043,11.76],[51.068,11.732],[51.069,11.701],[51.1,11.692],[51.111,11.667],[51.097,11.62],[51.119,11.572],[51.102,11.546],[51.103,11.485],[51.113,11.463],[51.147,11.451],[51.166,11.485],[51.17,11.471],[51.193,11.469],[51.212,11.431],[51.204,11.391],[51.218,11.39],[51.221,11.365],[51.245,11.384],[51.246,11.42],[51.294,11.46],[51.275,11.551],[51.306,11.581],[51.316,11.618]]],[[[51.19,11.43],[51.19,11.45],[51.2,11.45],[51.2,11.43],[51.19,11.43]]]],
+    },
+    115085000: {
+      name: "Kreis Harz",
+      nuts: "DEE09",
+      bbox: [51.56, 10.56, 52.06, 11.41],
+      polygons: [[[[52.059,10.946],[52.039,11.065],[52.003,11.098],[52.001,11.154],[51.98,11.162],[51.969,11.15],[51.96,11.18],[51.94,11.161],[51.917,11.175],[51.926,11.198],[51.893,11.262],[51.895,11.278],[51.899,11.259],[51.908,11.274],[51.904,11.34],[51.887,11.328],[51.876,11.344],[51.875,11.333],[51.847,11.334],[51.828,11.292],[51.835,11.267],[51.808,11.24],[51.795,11.274],[51.771,11.277],[51.759,11.297],[51.758,11.326],[51.778,11.347],[51.77,11.399],[51.75,11.409],[51.699,11.396],[51.645,11.281],[51.643,11.234],[51.61,11.252],[51.591,11.198],[51.588,11.208],[51.596,11.167],[51.573,11.157],[51.566,11.131],[51.578,11.112],[51.585,11.139],[51.604,11.087],[51.594,11.038],[51.608,11.039],[51.591,11.004],[51.599,11.022],[51.602,11.001],[51.602,11.029],[51.612,10.983],[51.603,11.034],[51.627,11.019],[51.633,10.957],[51.611,10.894],[51.633,10.859],[51.624,10.823],[51.639,10.818],[51.649,10.765],[51.643,10.696],[51.667,10.671],[51.709,10.669],[51.759,10.626],[51.769,10.591],[51.811,10.574],[51.836,10.588],[51.848,10.579],[51.889,10.649],[51.908,10.648],[51.922,10.613],[51.939,10.613],[51.958,10.651],[51.958,10.62],[52.004,10.561],[52.008,10.626],[52.025,10.655],[52.042,10.648],[52.048,10.687],[52.059,10.946]]]],
+    },
+    115086000: {
+      name: "Kreis Jerichower Land",
+      nuts: "DEE06",
+      bbox: [52, 11.68, 52.58, 12.34],
+      polygons: [[[[52.519,11.993],[52.54,12.075],[52.507,12.112],[52.514,12.141],[52.497,12.201],[52.524,12.236],[52.518,12.258],[52.487,12.271],[52.496,12.33],[52.486,12.309],[52.479,12.331],[52.431,12.289],[52.424,12.297],[52.416,12.274],[52.405,12.302],[52.386,12.292],[52.377,12.306],[52.364,12.284],[52.345,12.308],[52.295,12.263],[52.248,12.244],[52.228,12.297],[52.211,12.248],[52.184,12.248],[52.17,12.217],[52.104,12.277],[52.102,12.213],[52.079,12.185],[52.069,12.135],[52.065,12.033],[52.03,12.006],[52.001,11.896],[52.038,11.837],[52.058,11.847],[52.069,11.766],[52.101,11.746],[52.1,11.722],[52.141,11.725],[52.148,11.706],[52.17,11.711],[52.187,11.687],[52.206,11.714],[52.243,11.702],[52.278,11.755],[52.311,11.767],[52.334,11.802],[52.33,11.848],[52.351,11.895],[52.375,11.941],[52.392,11.929],[52.428,11.99],[52.462,12.002],[52.518,11.96],[52.576,11.989],[52.519,11.993]]]],
+    },
+    115087000: {
+      name: "Kreis Mansfeld-Südharz",
+      nuts: "DEE0A",
+      bbox: [51.33, 10.88, 51.73, 11.79],
+      polygons: [[[[51.715,11.435],[51.717,11.498],[51.685,11.537],[51.701,11.605],[51.664,11.604],[51.653,11.628],[51.633,11.752],[51.609,11.764],[51.607,11.735],[51.57,11.686],[51.532,11.725],[51.502,11.704],[51.465,11.78],[51.441,11.772],[51.423,11.69],[51.452,11.669],[51.461,11.633],[51.444,11.561],[51.412,11.5],[51.375,11.466],[51.368,11.43],[51.346,11.416],[51.343,11.441],[51.342,11.406],[51.381,11.397],[51.39,11.331],[51.41,11.321],[51.395,11.249],[51.413,11.224],[51.403,11.142],[51.43,11.061],[51.418,10.992],[51.425,11.011],[51.432,10.967],[51.471,10.961],[51.482,10.973],[51.521,10.927],[51.538,10.948],[51.551,10.9],[51.581,10.882],[51.602,10.894],[51.591,10.931],[51.603,10.937],[51.61,10.914],[51.627,10.922],[51.634,10.964],[51.625,11.026],[51.603,11.033],[51.613,10.984],[51.602,11.029],[51.602,11.001],[51.599,11.022],[51.591,11.004],[51.608,11.039],[51.594,11.038],[51.604,11.087],[51.585,11.139],[51.578,11.112],[51.567,11.141],[51.596,11.167],[51.597,11.234],[51.61,11.253],[51.643,11.234],[51.645,11.281],[51.692,11.382],[51.73,11.402],[51.715,11.435]]]],
+    },
+    115088000: {
+      name: "Saalekreis",
+      nuts: "DEE0B",
+      bbox: [51.23, 11.39, 51.68, 12.21],
+      polygons: [[[[51.672,11.87],[51.646,11.923],[51.643,12.04],[51.621,12.027],[51.615,12.051],[51.596,12.031],[51.584,12.046],[51.581,12.164],[51.55,12.169],[51.535,12.198],[51.508,12.19],[51.498,12.208],[51.463,12.149],[51.433,12.157],[51.421,12.19],[51.41,12.174],[51.388,12.185],[51.384,12.172],[51.379,12.19],[51.33,12.194],[51.32,12.148],[51.276,12.171],[51.248,12.074],[51.263,12.045],[51.288,12.062],[51.282,11.997],[51.27,11.926],[51.236,11.924],[51.235,11.85],[51.248,11.788],[51.268,11.788],[51.284,11.76],[51.266,11.699],[51.281,11.67],[51.291,11.674],[51.292,11.64],[51.32,11.623],[51.306,11.581],[51.277,11.559],[51.287,11.527],[51.276,11.514],[51.333,11.414],[51.343,11.441],[51.346,11.416],[51.368,11.43],[51.375,11.466],[51.441,11.553],[51.461,11.633],[51.452,11.669],[51.423,11.69],[51.441,11.772],[51.465,11.78],[51.502,11.704],[51.532,11.725],[51.57,11.686],[51.607,11.735],[51.609,11.764],[51.646,11.747],[51.65,11.854],[51.673,11.857],[51.672,11.87]],[[51.543,12],[51.527,11.95],[51.535,11.88],[51.515,11.857],[51.492,11.879],[51.487,11.864],[51.463,11.888],[51.46,11.923],[51.452,11.931],[51.443,11.915],[51.434,11.951],[51.419,11.955],[51.417,11.941],[51.408,11.952],[51.404,12.012],[51.458,12.042],[51.46,12.056],[51.476,12.053],[51.474,12.079],[51.486,12.072],[51.491,12.088],[51.497,12.035],[51.526,12.025],[51.528,12.009],[51.54,12.017],[51.543,12]]],[[[51.34,11.39],[51.34,11.41],[51.37,11.41],[51.37,11.39],[51.34,11.39]]],[[[51.34,11.4],[51.34,11.42],[51.35,11.42],[51.35,11.4],[51.34,11.4]]]],
+    },
+    115089000: {
+      name: "Salzlandkreis",
+      nuts: "DEE0C",
+      bbox: [51.62, 11.23, 52.1, 12.02],
+      polygons: [[[[52.069,11.766],[52.058,11.847],[52.038,11.837],[52.01,11.89],[51.977,11.885],[51.88,12.02],[51.867,11.967],[51.88,11.922],[51.853,11.866],[51.837,11.857],[51.811,11.882],[51.799,11.847],[51.78,11.849],[51.763,11.904],[51.739,11.855],[51.683,11.838],[51.675,11.865],[51.65,11.854],[51.651,11.756],[51.629,11.745],[51.629,11.72],[51.65,11.689],[51.664,11.604],[51.701,11.605],[51.688,11.519],[51.717,11.498],[51.713,11.446],[51.731,11.398],[51.75,11.409],[51.77,11.399],[51.778,11.347],[51.758,11.326],[51.759,11.297],[51.771,11.277],[51.795,11.274],[51.808,11.24],[51.835,11.267],[51.828,11.292],[51.847,11.334],[51.875,11.333],[51.876,11.344],[51.887,11.328],[51.934,11.371],[51.962,11.345],[51.98,11.365],[51.98,11.398],[52.005,11.416],[52.007,11.447],[51.988,11.45],[51.963,11.509],[51.966,11.597],[52.022,11.604],[52.05,11.695],[52.04,11.726],[52.065,11.757],[52.073,11.75],[52.069,11.766]]],[[[52.086,11.759],[52.077,11.767],[52.09,11.737],[52.086,11.759]]]],
+    },
+    115090000: {
+      name: "Kreis Stendal",
+      nuts: "DEE0D",
+      bbox: [52.33, 11.39, 53.05, 12.26],
+      polygons: [[[[53.013,11.626],[53.008,11.678],[52.978,11.693],[52.989,11.743],[52.961,11.786],[52.954,11.842],[52.942,11.849],[52.915,11.826],[52.893,11.897],[52.876,11.98],[52.89,12.023],[52.876,12.113],[52.894,12.125],[52.854,12.124],[52.878,12.197],[52.859,12.234],[52.805,12.258],[52.787,12.245],[52.79,12.22],[52.761,12.206],[52.74,12.223],[52.718,12.198],[52.689,12.233],[52.629,12.237],[52.621,12.169],[52.575,12.181],[52.528,12.142],[52.532,12.189],[52.506,12.172],[52.507,12.11],[52.54,12.075],[52.519,11.992],[52.576,11.989],[52.518,11.96],[52.462,12.002],[52.431,11.993],[52.392,11.929],[52.375,11.939],[52.332,11.852],[52.356,11.855],[52.372,11.818],[52.401,11.841],[52.415,11.817],[52.421,11.781],[52.41,11.789],[52.4,11.774],[52.408,11.719],[52.424,11.733],[52.459,11.7],[52.47,11.643],[52.459,11.587],[52.494,11.605],[52.488,11.59],[52.52,11.591],[52.525,11.569],[52.616,11.588],[52.602,11.488],[52.62,11.398],[52.643,11.423],[52.652,11.49],[52.688,11.474],[52.703,11.516],[52.743,11.523],[52.765,11.562],[52.77,11.509],[52.786,11.505],[52.802,11.538],[52.815,11.531],[52.815,11.481],[52.842,11.469],[52.859,11.632],[52.882,11.613],[52.899,11.636],[52.903,11.602],[52.936,11.56],[52.936,11.544],[52.921,11.551],[52.934,11.51],[52.96,11.492],[53,11.506],[52.999,11.556],[53.013,11.559],[53.042,11.621],[53.035,11.642],[53.013,11.626]]],[[[52.343,11.822],[52.345,11.787],[52.355,11.799],[52.343,11.822]]]],
+    },
+    115091000: {
+      name: "Kreis Wittenberg",
+      nuts: "DEE0E",
+      bbox: [51.61, 12.25, 52.05, 13.19],
+      polygons: [[[[52.045,12.378],[52.017,12.435],[52.033,12.481],[52.009,12.499],[52.003,12.536],[51.985,12.539],[51.982,12.615],[52.013,12.667],[51.978,12.774],[51.965,12.778],[51.968,12.844],[51.935,12.853],[51.935,12.961],[51.923,12.956],[51.92,12.977],[51.901,12.973],[51.901,13.045],[51.881,13.029],[51.871,13.039],[51.882,13.132],[51.86,13.151],[51.851,13.125],[51.787,13.17],[51.767,13.147],[51.755,13.163],[51.744,13.154],[51.716,13.187],[51.711,13.154],[51.687,13.155],[51.637,13.023],[51.66,13.018],[51.669,12.996],[51.666,12.967],[51.65,12.972],[51.638,12.942],[51.647,12.898],[51.667,12.889],[51.655,12.866],[51.685,12.844],[51.648,12.773],[51.662,12.688],[51.62,12.649],[51.611,12.608],[51.625,12.629],[51.618,12.592],[51.638,12.56],[51.637,12.57],[51.667,12.574],[51.661,12.517],[51.682,12.474],[51.703,12.476],[51.684,12.349],[51.703,12.345],[51.707,12.364],[51.727,12.324],[51.736,12.351],[51.786,12.343],[51.804,12.306],[51.816,12.321],[51.839,12.319],[51.861,12.284],[51.888,12.321],[51.932,12.308],[51.94,12.321],[51.952,12.306],[51.943,12.283],[51.958,12.27],[51.979,12.28],[51.978,12.252],[52,12.322],[52.027,12.355],[52.023,12.376],[52.045,12.378]]]],
+    },
+    116051000: {
+      name: "Erfurt",
+      nuts: "DEG01",
+      bbox: [50.89, 10.85, 51.08, 11.18],
+      polygons: [[[[51.08,11.047],[51.065,11.092],[51.009,11.123],[51.018,11.174],[51.003,11.164],[50.989,11.175],[50.973,11.134],[50.925,11.154],[50.93,11.112],[50.913,11.11],[50.895,10.936],[50.91,10.932],[50.92,10.964],[50.934,10.959],[50.947,10.939],[50.941,10.9],[50.961,10.894],[50.965,10.866],[50.977,10.863],[50.99,10.892],[51.001,10.863],[51.026,10.855],[51.015,10.925],[51.03,10.932],[51.043,10.986],[51.065,10.976],[51.063,11.036],[51.08,11.047]]]],
+    },
+    116052000: {
+      name: "Gera",
+      nuts: "DEG02",
+      bbox: [50.79, 11.99, 50.98, 12.17],
+      polygons: [[[[50.975,12.094],[50.963,12.158],[50.944,12.169],[50.932,12.133],[50.909,12.131],[50.877,12.155],[50.849,12.126],[50.824,12.131],[50.81,12.154],[50.802,12.145],[50.799,12.127],[50.824,12.096],[50.823,12.027],[50.85,11.998],[50.862,12.015],[50.873,11.998],[50.901,12.027],[50.913,12.018],[50.933,12.049],[50.952,12.017],[50.968,12.017],[50.975,12.094]]]],
+    },
+    116053000: {
+      name: "Jena",
+      nuts: "DEG03",
+      bbox: [50.85, 11.49, 50.99, 11.68],
+      polygons: [[[[50.973,11.558],[50.977,11.617],[50.958,11.666],[50.921,11.671],[50.897,11.646],[50.881,11.664],[50.876,11.608],[50.864,11.613],[50.86,11.594],[50.862,11.527],[50.874,11.563],[50.887,11.562],[50.906,11.505],[50.933,11.504],[50.942,11.535],[50.945,11.502],[50.957,11.5],[50.989,11.546],[50.973,11.558]]]],
+    },
+    116054000: {
+      name: "Suhl",
+      nuts: "DEG04",
+      bbox: [50.56, 10.55, 50.67, 10.83],
+      polygons: [[[[50.663,10.728],[50.654,10.771],[50.625,10.789],[50.619,10.773],[50.599,10.828],[50.581,10.827],[50.576,10.808],[50.614,10.765],[50.615,10.742],[50.581,10.718],[50.561,10.659],[50.6,10.552],[50.616,10.566],[50.611,10.594],[50.644,10.633],[50.626,10.694],[50.661,10.7],[50.663,10.728]]]],
+    },
+    116055000: {
+      name: "Weimar",
+      nuts: "DEG05",
+      bbox: [50.91, 11.23, 51.04, 11.41],
+      polygons: [[[[51.035,11.252],[51.02,11.373],[51.008,11.348],[50.984,11.37],[50.996,11.393],[50.955,11.398],[50.92,11.289],[50.941,11.26],[50.948,11.286],[50.969,11.266],[51.004,11.268],[51.019,11.235],[51.035,11.252]]]],
+    },
+    116061000: {
+      name: "Kreis Eichsfeld",
+      nuts: "DEG06",
+      bbox: [51.19, 9.92, 51.6, 10.54],
+      polygons: [[[[51.587,10.447],[51.575,10.489],[51.551,10.473],[51.521,10.539],[51.458,10.5],[51.437,10.52],[51.417,10.481],[51.37,10.523],[51.357,10.513],[51.341,10.484],[51.343,10.392],[51.282,10.359],[51.282,10.312],[51.266,10.304],[51.26,10.32],[51.243,10.304],[51.219,10.185],[51.191,10.207],[51.22,10.138],[51.225,10.072],[51.243,10.079],[51.253,10.047],[51.276,10.06],[51.284,9.973],[51.3,9.97],[51.307,9.94],[51.326,9.948],[51.372,9.925],[51.404,10],[51.421,10.009],[51.42,10.038],[51.437,10.047],[51.418,10.069],[51.435,10.08],[51.43,10.153],[51.443,10.14],[51.446,10.174],[51.47,10.178],[51.487,10.202],[51.471,10.236],[51.519,10.342],[51.563,10.379],[51.588,10.37],[51.587,10.447]]]],
+    },
+    116062000: {
+      name: "Kreis Nordhausen",
+      nuts: "DEG07",
+      bbox: [51.36, 10.47, 51.65, 10.98],
+      polygons: [[[[51.642,10.789],[51.639,10.818],[51.623,10.823],[51.633,10.859],[51.611,10.894],[51.618,10.922],[51.61,10.914],[51.603,10.937],[51.591,10.931],[51.602,10.894],[51.581,10.882],[51.551,10.9],[51.538,10.948],[51.521,10.927],[51.482,10.973],[51.463,10.961],[51.425,10.977],[51.401,10.913],[51.422,10.827],[51.391,10.77],[51.393,10.626],[51.376,10.606],[51.398,10.556],[51.364,10.53],[51.391,10.494],[51.411,10.495],[51.417,10.481],[51.437,10.52],[51.458,10.5],[51.521,10.539],[51.551,10.473],[51.575,10.489],[51.554,10.519],[51.58,10.604],[51.558,10.657],[51.578,10.666],[51.584,10.639],[51.622,10.64],[51.642,10.701],[51.642,10.789]]],[[[51.41,10.47],[51.41,10.48],[51.42,10.48],[51.42,10.47],[51.41,10.47]]]],
+    },
+    116063000: {
+      name: "Wartburgkreis",
+      nuts: "DEG0P",
+      bbox: [50.61, 9.87, 51.16, 10.62],
+      polygons: [[[[51.044,10.331],[51.038,10.376],[51.003,10.377],[51,10.392],[50.958,10.378],[50.955,10.338],[50.93,10.319],[50.966,10.246],[50.975,10.177],[50.975,10.19],[50.99,10.176],[51.012,10.202],[50.997,10.275],[51.023,10.28],[51.029,10.313],[51.052,10.32],[51.044,10.331]]],[[[51.148,10.175],[51.113,10.198],[51.144,10.21],[51.152,10.262],[51.135,10.284],[51.152,10.308],[51.15,10.343],[51.124,10.347],[51.096,10.393],[51.079,10.384],[51.073,10.423],[51.066,10.414],[51.05,10.435],[51.063,10.452],[51.077,10.441],[51.084,10.483],[51.063,10.524],[51.058,10.617],[51.048,10.604],[51.039,10.615],[50.994,10.481],[50.97,10.486],[50.966,10.521],[50.92,10.485],[50.897,10.497],[50.898,10.479],[50.917,10.48],[50.904,10.434],[50.864,10.401],[50.82,10.407],[50.807,10.379],[50.786,10.385],[50.788,10.327],[50.764,10.263],[50.777,10.203],[50.735,10.222],[50.718,10.184],[50.696,10.194],[50.674,10.179],[50.64,10.219],[50.617,10.205],[50.623,10.118],[50.676,10.033],[50.666,9.951],[50.641,9.969],[50.629,9.961],[50.635,9.879],[50.673,9.881],[50.694,9.923],[50.705,9.909],[50.739,9.942],[50.756,9.94],[50.76,9.92],[50.777,9.928],[50.773,9.952],[50.821,9.952],[50.832,10.023],[50.853,10.039],[50.848,10.022],[50.864,10.022],[50.883,10.059],[50.921,10.016],[50.907,9.971],[50.935,9.992],[50.927,9.95],[50.942,9.95],[50.944,10.062],[50.981,10.019],[51.011,10.032],[50.998,10.182],[50.968,10.187],[50.966,10.246],[50.93,10.319],[50.955,10.338],[50.958,10.378],[51,10.392],[51.003,10.377],[51.038,10.376],[51.052,10.32],[51.029,10.313],[51.023,10.28],[50.997,10.275],[51.012,10.202],[51.019,10.193],[51.026,10.215],[51.04,10.199],[51.058,10.141],[51.117,10.175],[51.14,10.118],[51.148,10.175]]]],
+    },
+    116064000: {
+      name: "Unstrut-Hainich-Kreis",
+      nuts: "DEG09",
+      bbox: [51.03, 10.18, 51.35, 10.93],
+      polygons: [[[[51.344,10.403],[51.338,10.501],[51.311,10.496],[51.305,10.524],[51.326,10.561],[51.319,10.609],[51.289,10.634],[51.279,10.677],[51.214,10.72],[51.222,10.759],[51.204,10.76],[51.221,10.798],[51.218,10.895],[51.206,10.895],[51.205,10.923],[51.183,10.92],[51.18,10.904],[51.147,10.918],[51.126,10.876],[51.099,10.883],[51.093,10.771],[51.112,10.743],[51.102,10.707],[51.08,10.695],[51.052,10.711],[51.032,10.625],[51.046,10.605],[51.058,10.617],[51.063,10.524],[51.084,10.483],[51.077,10.441],[51.063,10.452],[51.05,10.435],[51.066,10.414],[51.073,10.423],[51.079,10.384],[51.096,10.393],[51.124,10.347],[51.15,10.343],[51.152,10.308],[51.135,10.284],[51.151,10.267],[51.148,10.201],[51.187,10.236],[51.191,10.207],[51.219,10.185],[51.243,10.304],[51.26,10.32],[51.266,10.304],[51.282,10.312],[51.282,10.359],[51.33,10.374],[51.344,10.403]]]],
+    },
+    116065000: {
+      name: "Kyffhäuserkreis",
+      nuts: "DEG0A",
+      bbox: [51.19, 10.48, 51.43, 11.48],
+      polygons: [[[[51.429,11.071],[51.402,11.153],[51.413,11.224],[51.395,11.249],[51.41,11.321],[51.39,11.331],[51.381,11.397],[51.345,11.399],[51.343,11.429],[51.333,11.414],[51.298,11.475],[51.236,11.402],[51.252,11.391],[51.258,11.351],[51.267,11.359],[51.274,11.331],[51.286,11.339],[51.292,11.322],[51.272,11.306],[51.263,11.327],[51.244,11.302],[51.264,11.256],[51.235,11.217],[51.256,11.15],[51.284,11.157],[51.296,11.097],[51.311,11.108],[51.323,11.069],[51.313,11.055],[51.297,11.068],[51.29,11.031],[51.271,11.027],[51.259,10.995],[51.232,11.01],[51.219,10.977],[51.2,10.973],[51.223,10.836],[51.204,10.76],[51.222,10.759],[51.217,10.709],[51.279,10.677],[51.289,10.634],[51.319,10.609],[51.326,10.561],[51.305,10.524],[51.311,10.496],[51.328,10.508],[51.343,10.484],[51.366,10.536],[51.398,10.556],[51.376,10.606],[51.393,10.626],[51.391,10.77],[51.422,10.827],[51.401,10.913],[51.427,10.977],[51.429,11.008],[51.418,10.992],[51.417,11.005],[51.429,11.071]]]],
+    },
+    116066000: {
+      name: "Kreis Schmalkalden-Meiningen",
+      nuts: "DEG0B",
+      bbox: [50.39, 10.03, 50.86, 10.76],
+      polygons: [[[[50.848,10.472],[50.827,10.538],[50.783,10.538],[50.783,10.561],[50.736,10.584],[50.715,10.698],[50.739,10.722],[50.716,10.755],[50.668,10.746],[50.662,10.701],[50.626,10.694],[50.646,10.642],[50.611,10.594],[50.612,10.552],[50.598,10.57],[50.59,10.557],[50.585,10.582],[50.55,10.527],[50.537,10.58],[50.515,10.581],[50.497,10.552],[50.441,10.583],[50.435,10.533],[50.451,10.493],[50.401,10.459],[50.394,10.394],[50.409,10.385],[50.425,10.404],[50.432,10.371],[50.439,10.381],[50.466,10.336],[50.494,10.331],[50.512,10.231],[50.531,10.232],[50.555,10.204],[50.543,10.14],[50.564,10.107],[50.516,10.041],[50.557,10.062],[50.574,10.045],[50.621,10.045],[50.62,10.081],[50.641,10.087],[50.617,10.147],[50.622,10.211],[50.629,10.201],[50.64,10.219],[50.674,10.179],[50.696,10.194],[50.718,10.184],[50.735,10.222],[50.777,10.203],[50.764,10.255],[50.788,10.327],[50.779,10.362],[50.786,10.385],[50.807,10.379],[50.815,10.405],[50.85,10.411],[50.848,10.472]]]],
+    },
+    116067000: {
+      name: "Kreis Gotha",
+      nuts: "DEG0C",
+      bbox: [50.71, 10.4, 51.12, 10.97],
+      polygons: [[[[51.112,10.739],[51.093,10.771],[51.098,10.88],[51.072,10.891],[51.061,10.865],[51.034,10.871],[51.026,10.855],[51.001,10.863],[50.99,10.892],[50.977,10.863],[50.965,10.866],[50.961,10.894],[50.941,10.9],[50.942,10.95],[50.921,10.965],[50.91,10.932],[50.894,10.936],[50.89,10.887],[50.857,10.866],[50.845,10.821],[50.834,10.859],[50.823,10.817],[50.811,10.838],[50.784,10.828],[50.767,10.806],[50.766,10.768],[50.718,10.753],[50.739,10.722],[50.715,10.698],[50.736,10.584],[50.783,10.561],[50.783,10.538],[50.827,10.538],[50.851,10.467],[50.852,10.408],[50.864,10.401],[50.907,10.439],[50.917,10.48],[50.898,10.479],[50.897,10.497],[50.92,10.485],[50.966,10.521],[50.97,10.486],[50.994,10.481],[51.04,10.617],[51.052,10.711],[51.082,10.696],[51.112,10.739]]]],
+    },
+    116068000: {
+      name: "Kreis Sömmerda",
+      nuts: "DEG0D",
+      bbox: [51, 10.86, 51.33, 11.49],
+      polygons: [[[[51.319,11.082],[51.311,11.108],[51.296,11.097],[51.284,11.157],[51.256,11.15],[51.235,11.217],[51.264,11.256],[51.244,11.302],[51.263,11.327],[51.284,11.307],[51.288,11.337],[51.28,11.325],[51.267,11.359],[51.258,11.351],[51.252,11.391],[51.221,11.365],[51.218,11.39],[51.204,11.391],[51.212,11.431],[51.193,11.469],[51.17,11.471],[51.166,11.485],[51.147,11.451],[51.113,11.463],[51.105,11.485],[51.09,11.434],[51.109,11.413],[51.096,11.392],[51.104,11.197],[51.052,11.199],[51.03,11.217],[51.011,11.141],[51.009,11.123],[51.065,11.092],[51.079,11.066],[51.059,11.016],[51.065,10.976],[51.043,10.986],[51.03,10.932],[51.015,10.925],[51.027,10.863],[51.061,10.865],[51.072,10.891],[51.126,10.876],[51.134,10.911],[51.18,10.904],[51.183,10.92],[51.205,10.923],[51.2,10.973],[51.219,10.977],[51.232,11.01],[51.259,10.995],[51.271,11.027],[51.29,11.031],[51.297,11.068],[51.313,11.055],[51.319,11.082]]]],
+    },
+    116069000: {
+      name: "Kreis Hildburghausen",
+      nuts: "DEG0E",
+      bbox: [50.2, 10.45, 50.62, 11.04],
+      polygons: [[[[50.613,10.749],[50.583,10.791],[50.581,10.827],[50.565,10.838],[50.579,10.847],[50.563,10.861],[50.609,10.897],[50.591,10.923],[50.574,10.909],[50.586,10.919],[50.548,10.942],[50.553,10.969],[50.54,10.968],[50.536,10.989],[50.515,11.001],[50.5,10.975],[50.48,10.988],[50.474,11.04],[50.462,11.039],[50.415,10.939],[50.401,10.959],[50.386,10.946],[50.393,10.83],[50.385,10.786],[50.358,10.755],[50.364,10.715],[50.346,10.714],[50.348,10.729],[50.321,10.715],[50.275,10.846],[50.243,10.845],[50.252,10.732],[50.213,10.731],[50.205,10.717],[50.226,10.687],[50.224,10.612],[50.246,10.597],[50.249,10.611],[50.263,10.598],[50.271,10.607],[50.272,10.591],[50.294,10.605],[50.308,10.592],[50.334,10.601],[50.337,10.562],[50.365,10.544],[50.355,10.492],[50.369,10.494],[50.376,10.464],[50.402,10.451],[50.418,10.483],[50.434,10.477],[50.451,10.493],[50.435,10.533],[50.444,10.585],[50.497,10.552],[50.515,10.581],[50.537,10.58],[50.55,10.527],[50.575,10.548],[50.567,10.569],[50.585,10.582],[50.587,10.607],[50.563,10.671],[50.613,10.749]]]],
+    },
+    116070000: {
+      name: "Ilm-Kreis",
+      nuts: "DEG0F",
+      bbox: [50.54, 10.73, 50.92, 11.23],
+      polygons: [[[[50.911,11.111],[50.897,11.114],[50.898,11.135],[50.875,11.132],[50.859,11.176],[50.829,11.156],[50.8,11.224],[50.802,11.193],[50.792,11.208],[50.772,11.175],[50.737,11.19],[50.719,11.137],[50.731,11.102],[50.698,11.095],[50.695,11.072],[50.72,11.071],[50.708,11.053],[50.687,11.057],[50.688,11.011],[50.669,11.024],[50.675,11.063],[50.628,11.058],[50.607,11.09],[50.551,11.049],[50.548,10.942],[50.565,10.924],[50.578,10.93],[50.574,10.909],[50.591,10.923],[50.609,10.897],[50.566,10.865],[50.579,10.844],[50.565,10.838],[50.572,10.825],[50.598,10.829],[50.619,10.773],[50.625,10.789],[50.654,10.771],[50.663,10.734],[50.676,10.75],[50.704,10.745],[50.766,10.768],[50.78,10.825],[50.81,10.838],[50.823,10.817],[50.836,10.86],[50.845,10.821],[50.857,10.866],[50.89,10.887],[50.911,11.111]]]],
+    },
+    116071000: {
+      name: "Kreis Weimarer Land",
+      nuts: "DEG0G",
+      bbox: [50.79, 11.1, 51.12, 11.7],
+      polygons: [[[[51.112,11.608],[51.098,11.617],[51.111,11.638],[51.1,11.692],[51.051,11.686],[51.024,11.653],[51.028,11.621],[51.006,11.605],[50.967,11.503],[50.945,11.502],[50.942,11.535],[50.933,11.504],[50.915,11.51],[50.881,11.488],[50.865,11.439],[50.831,11.459],[50.831,11.431],[50.805,11.416],[50.803,11.386],[50.808,11.396],[50.818,11.379],[50.816,11.362],[50.798,11.36],[50.795,11.322],[50.835,11.263],[50.832,11.25],[50.812,11.253],[50.807,11.201],[50.829,11.156],[50.845,11.156],[50.853,11.178],[50.872,11.165],[50.875,11.132],[50.904,11.128],[50.897,11.114],[50.927,11.106],[50.925,11.154],[50.973,11.134],[50.989,11.175],[51.003,11.164],[51.026,11.175],[51.03,11.217],[51.052,11.199],[51.104,11.197],[51.096,11.392],[51.109,11.413],[51.09,11.434],[51.102,11.546],[51.119,11.572],[51.112,11.608]],[[51.029,11.246],[51.019,11.235],[51.004,11.268],[50.969,11.266],[50.948,11.286],[50.941,11.26],[50.918,11.293],[50.919,11.32],[50.943,11.332],[50.936,11.356],[50.955,11.398],[50.996,11.393],[50.984,11.37],[51.008,11.348],[51.02,11.373],[51.029,11.246]]]],
+    },
+    116072000: {
+      name: "Kreis Sonneberg",
+      nuts: "DEG0H",
+      bbox: [50.26, 10.93, 50.55, 11.29],
+      polygons: [[[[50.531,11.164],[50.52,11.173],[50.523,11.156],[50.507,11.147],[50.495,11.16],[50.507,11.178],[50.491,11.207],[50.508,11.235],[50.495,11.285],[50.472,11.245],[50.432,11.268],[50.4,11.258],[50.36,11.284],[50.352,11.262],[50.336,11.277],[50.338,11.261],[50.307,11.27],[50.299,11.252],[50.268,11.251],[50.292,11.198],[50.27,11.187],[50.285,11.146],[50.308,11.132],[50.33,11.159],[50.354,11.139],[50.349,11.117],[50.367,11.115],[50.345,11.043],[50.361,11.033],[50.365,10.993],[50.352,11],[50.347,10.986],[50.386,10.946],[50.401,10.959],[50.415,10.939],[50.462,11.039],[50.474,11.04],[50.48,10.988],[50.5,10.975],[50.515,11.001],[50.529,10.993],[50.525,11.068],[50.51,11.084],[50.537,11.109],[50.544,11.156],[50.531,11.164]]]],
+    },
+    116073000: {
+      name: "Kreis Saalfeld-Rudolstadt",
+      nuts: "DEG0I",
+      bbox: [50.42, 10.96, 50.84, 11.64],
+      polygons: [[[[50.833,11.263],[50.795,11.322],[50.818,11.389],[50.803,11.386],[50.809,11.424],[50.765,11.496],[50.763,11.537],[50.743,11.549],[50.727,11.489],[50.696,11.461],[50.689,11.492],[50.619,11.519],[50.621,11.539],[50.607,11.532],[50.597,11.596],[50.612,11.633],[50.592,11.633],[50.55,11.574],[50.558,11.542],[50.541,11.486],[50.513,11.482],[50.486,11.499],[50.477,11.483],[50.465,11.493],[50.454,11.479],[50.433,11.484],[50.421,11.443],[50.431,11.451],[50.443,11.421],[50.493,11.419],[50.501,11.441],[50.516,11.424],[50.521,11.344],[50.475,11.291],[50.479,11.266],[50.496,11.284],[50.507,11.247],[50.491,11.207],[50.507,11.178],[50.495,11.16],[50.507,11.147],[50.521,11.173],[50.544,11.156],[50.531,11.093],[50.51,11.084],[50.525,11.068],[50.54,10.968],[50.553,10.969],[50.551,11.049],[50.607,11.09],[50.628,11.058],[50.675,11.063],[50.669,11.024],[50.688,11.011],[50.687,11.057],[50.708,11.053],[50.72,11.071],[50.695,11.072],[50.698,11.095],[50.731,11.102],[50.719,11.137],[50.737,11.19],[50.772,11.175],[50.796,11.209],[50.799,11.189],[50.812,11.253],[50.834,11.251],[50.833,11.263]]]],
+    },
+    116074000: {
+      name: "Saale-Holzland-Kreis",
+      nuts: "DEG0J",
+      bbox: [50.74, 11.42, 51.09, 12.03],
+      polygons: [[[[51.084,11.698],[51.069,11.701],[51.068,11.732],[51.043,11.76],[51.056,11.889],[51.045,11.911],[51.028,11.912],[51.032,11.943],[51.014,11.98],[50.994,11.97],[50.991,12.007],[50.948,12.021],[50.957,11.987],[50.945,11.958],[50.934,11.967],[50.916,11.952],[50.882,11.873],[50.859,11.921],[50.843,11.89],[50.826,11.909],[50.808,11.901],[50.802,11.858],[50.786,11.863],[50.785,11.83],[50.8,11.824],[50.782,11.754],[50.799,11.732],[50.791,11.713],[50.781,11.723],[50.764,11.708],[50.747,11.603],[50.765,11.496],[50.799,11.451],[50.803,11.421],[50.831,11.431],[50.838,11.461],[50.865,11.439],[50.881,11.488],[50.904,11.496],[50.897,11.554],[50.874,11.563],[50.863,11.527],[50.856,11.563],[50.881,11.664],[50.9,11.646],[50.912,11.667],[50.952,11.673],[50.977,11.617],[50.966,11.566],[50.99,11.547],[51.006,11.605],[51.028,11.621],[51.036,11.675],[51.084,11.682],[51.084,11.698]]]],
+    },
+    116075000: {
+      name: "Saale-Orla-Kreis",
+      nuts: "DEG0K",
+      bbox: [50.37, 11.45, 50.8, 11.97],
+      polygons: [[[[50.789,11.83],[50.789,11.899],[50.766,11.944],[50.717,11.87],[50.666,11.866],[50.664,11.888],[50.631,11.881],[50.607,11.903],[50.594,11.944],[50.586,11.924],[50.557,11.926],[50.54,11.871],[50.517,11.888],[50.526,11.925],[50.49,11.962],[50.472,11.938],[50.454,11.951],[50.464,11.932],[50.449,11.895],[50.44,11.891],[50.429,11.927],[50.39,11.823],[50.404,11.825],[50.418,11.794],[50.387,11.625],[50.4,11.573],[50.374,11.52],[50.396,11.519],[50.401,11.479],[50.444,11.49],[50.452,11.478],[50.465,11.493],[50.477,11.483],[50.486,11.499],[50.513,11.482],[50.541,11.486],[50.558,11.542],[50.55,11.574],[50.592,11.633],[50.611,11.634],[50.597,11.596],[50.608,11.531],[50.621,11.539],[50.619,11.519],[50.689,11.492],[50.696,11.461],[50.716,11.474],[50.753,11.553],[50.764,11.708],[50.797,11.724],[50.782,11.754],[50.8,11.824],[50.789,11.83]]]],
+    },
+    116076000: {
+      name: "Kreis Greiz",
+      nuts: "DEG0L",
+      bbox: [50.54, 11.85, 50.98, 12.33],
+      polygons: [[[[50.966,12.19],[50.958,12.214],[50.938,12.214],[50.928,12.249],[50.88,12.208],[50.86,12.218],[50.854,12.257],[50.809,12.243],[50.789,12.253],[50.783,12.29],[50.76,12.264],[50.767,12.241],[50.738,12.227],[50.738,12.265],[50.728,12.273],[50.716,12.253],[50.695,12.263],[50.684,12.319],[50.663,12.318],[50.643,12.264],[50.631,12.266],[50.641,12.198],[50.612,12.183],[50.631,12.154],[50.606,12.147],[50.589,12.11],[50.586,12.156],[50.573,12.156],[50.579,12.084],[50.558,12.077],[50.551,12.052],[50.549,12.03],[50.568,12.018],[50.595,12.035],[50.612,12.005],[50.626,12.022],[50.635,12.01],[50.591,11.944],[50.607,11.903],[50.631,11.881],[50.664,11.888],[50.666,11.866],[50.712,11.867],[50.766,11.944],[50.789,11.899],[50.782,11.867],[50.802,11.858],[50.808,11.901],[50.826,11.909],[50.843,11.89],[50.861,11.921],[50.882,11.873],[50.916,11.952],[50.934,11.967],[50.945,11.958],[50.957,11.987],[50.946,12.028],[50.933,12.049],[50.913,12.018],[50.901,12.027],[50.873,11.998],[50.862,12.015],[50.85,11.998],[50.823,12.027],[50.824,12.096],[50.801,12.138],[50.806,12.155],[50.824,12.131],[50.849,12.126],[50.877,12.155],[50.909,12.131],[50.932,12.133],[50.935,12.17],[50.966,12.163],[50.966,12.19]]]],
+    },
+    116077000: {
+      name: "Kreis Altenburger Land",
+      nuts: "DEG0M",
+      bbox: [50.8, 12.2, 51.11, 12.66],
+      polygons: [[[[51.097,12.349],[51.08,12.361],[51.085,12.458],[51.067,12.463],[51.064,12.502],[51.017,12.507],[51.024,12.539],[50.999,12.528],[50.982,12.584],[50.997,12.608],[50.94,12.624],[50.919,12.654],[50.903,12.64],[50.908,12.521],[50.88,12.459],[50.844,12.443],[50.853,12.374],[50.824,12.348],[50.83,12.299],[50.816,12.3],[50.811,12.26],[50.845,12.247],[50.854,12.257],[50.86,12.218],[50.88,12.208],[50.928,12.249],[50.94,12.224],[50.976,12.24],[51.022,12.293],[51.038,12.287],[51.044,12.25],[51.092,12.284],[51.097,12.349]]]],
+    },
+  },
+  // MeteoAlarm-Gebiete: NUTS-3-Code des Kreises, dieselben Einträge
+  EMMA_ID: {},
+};
+Object.values(ALERT_GEOCODE_REGIONS.WARNCELLID).forEach((region) => {
+  ALERT_GEOCODE_REGIONS.EMMA_ID[region.nuts] = region;
+});
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ALERT_GEOCODE_REGIONS };
+}
@@ -0,0 +1,559 @@
+/* Benutzerdefinierte Warnregeln
+ *
+ * Eine Regel besteht aus einer oder mehreren Bedingungen auf stündlichen
+ * Open-Meteo-Variablen (Vorhersage oder Luftqualität), einer Mindestdauer (aufeinanderfolgende Stunden)
+ * und einer Warnstufe. Regeln gelten für alle Orte ("user") oder nur für
+ * einen Favoriten (Schlüssel aus alertLocationKey).
+ *
+ * Dieselbe Auswertung läuft im Client (WeatherAlerts) und im Push-Server
+ * (tools/push-alerts.js), damit Anzeige und Benachrichtigung übereinstimmen.
+ */
+
+const ALERT_RULES_STORAGE_KEY = "wetter_alert_rules";
+const ALERT_RULES_SCHEMA_VERSION = 1;
+
+// Stündliche Variablen der Open-Meteo Forecast API; Variablen mit source
+// kommen aus einer weiteren API (ALERT_RULE_SOURCE_URLS)
+const ALERT_RULE_VARIABLES = {
+  temperature_2m: { label: "Temperatur", unit: "°C" },
+  apparent_temperature: { label: "Gefühlte Temperatur", unit: "°C" },
+  soil_temperature_0cm: { label: "Bodentemperatur", unit: "°C" },
+  relative_humidity_2m: { label: "Luftfeuchte", unit: "%" },
+  precipitation: { label: "Niederschlag", unit: "mm" },
+  precipitation_probability: { label: "Regenwahrscheinlichkeit", unit: "%" },
+  snowfall: { label: "Schneefall", unit: "cm" },
+  windspeed_10m: { label: "Wind", unit: "km/h" },
+  windgusts_10m: { label: "Böen", unit: "km/h" },
+  uv_index: { label: "UV-Index", unit: "" },
+  visibility: { label: "Sichtweite", unit: "m" },
+  weathercode: { label: "Wettercode (WMO)", unit: "" },
+  european_aqi: {
+    label: "Luftqualitätsindex (EAQI)",
+    unit: "",
+    source: "airQuality",
+  },
+  pm2_5: { label: "Feinstaub PM2.5", unit: "µg/m³", source: "airQuality" },
+  pm10: { label: "Feinstaub PM10", unit: "µg/m³", source: "airQuality" },
+  nitrogen_dioxide: {
+    label: "Stickstoffdioxid",
+    unit: "µg/m³",
+    source: "airQuality",
+  },
+  ozone: { label: "Ozon", unit: "µg/m³", source: "airQuality" },
+  birch_pollen: { label: "Birkenpollen", unit: "/m³", source: "airQuality" },
+  grass_pollen: { label: "Gräserpollen", unit: "/m³", source: "airQuality" },
+  ragweed_pollen: {
+    label: "Ambrosiapollen",
+    unit: "/m³",
+    source: "airQuality",
+  },
+  wave_height: { label: "Wellenhöhe", unit: "m", source: "marine" },
+  swell_wave_height: { label: "Dünung", unit: "m", source: "marine" },
+  wave_period: { label: "Wellenperiode", unit: "s", source: "marine" },
+  sea_surface_temperature: {
+    label: "Wassertemperatur",
+    unit: "°C",
+    source: "marine",
+  },
+};
+
+// Open-Meteo-APIs neben der Vorhersage (gleiche Parameter, eigene Hosts).
+// Im Binnenland liefert Marine keine Werte, die Regeln greifen dann nicht.
+const ALERT_RULE_SOURCE_URLS = {
+  airQuality: "https://air-quality-api.open-meteo.com/v1/air-quality",
+  marine: "https://marine-api.open-meteo.com/v1/marine",
+};
+
+const ALERT_RULE_COMPARATORS = {
+  ">=": { label: "≥", test: (value, limit) => value >= limit },
+  ">": { label: ">", test: (value, limit) => value > limit },
+  "<=": { label: "≤", test: (value, limit) => value <= limit },
+  "<": { label: "<", test: (value, limit) => value < limit },
+  in: { label: "ist", test: (value, limit) => limit.includes(value) },
+};
+
+const ALERT_RULE_SEVERITIES = ["yellow", "orange", "red", "violet"];
+
+// Gefahrenarten wie bei den amtlichen Warnungen (WeatherAlerts._hazardOf)
+const ALERT_RULE_HAZARDS = {
+  wind: "Wind",
+  storm: "Gewitter",
+  rain: "Regen",
+  frost: "Frost",
+  heat: "Hitze",
+  air: "Luftqualität",
+  sea: "Seegang",
+  custom: "Sonstiges",
+};
+
+// Entspricht den bisher fest eingebauten Schwellen von WeatherAlerts
+const DEFAULT_ALERT_RULES = [
+  {
+    id: "default-wind-red",
+    title: "Sturmwarnung",
+    hazard: "wind",
+    severity: "red",
+    conditions: [{ variable: "windspeed_10m", comparator: ">=", value: 75 }],
+    duration: 1,
+  },
+  {
+    id: "default-wind-orange",
+    title: "Sturmboeen",
+    hazard: "wind",
+    severity: "orange",
+    conditions: [{ variable: "windspeed_10m", comparator: ">=", value: 55 }],
+    duration: 1,
+  },
+  {
+    id: "default-heat",
+    title: "Starke Hitze",
+    hazard: "heat",
+    severity: "orange",
+    conditions: [{ variable: "temperature_2m", comparator: ">=", value: 32 }],
+    duration: 1,
+  },
+  {
+    id: "default-frost",
+    title: "Strenger Frost",
+    hazard: "frost",
+    severity: "yellow",
+    conditions: [
+      { variable: "apparent_temperature", comparator: "<=", value: -12 },
+    ],
+    duration: 1,
+  },
+  {
+    id: "default-rain",
+    title: "Starkregen",
+    hazard: "rain",
+    severity: "orange",
+    conditions: [
+      { variable: "precipitation", comparator: ">=", value: 5 },
+      { variable: "precipitation_probability", comparator: ">=", value: 60 },
+    ],
+    duration: 1,
+  },
+  {
+    id: "default-storm",
+    title: "Gewitterfront",
+    hazard: "storm",
+    severity: "red",
+    conditions: [
+      { variable: "weathercode", comparator: "in", value: [95, 96, 99] },
+    ],
+    duration: 1,
+    message: "Gewitter mit Hagel oder Starkregen moeglich.",
+  },
+  // EAQI-Bänder "extrem schlecht" und "sehr schlecht"
+  {
+    id: "default-air-red",
+    title: "Extrem schlechte Luft",
+    hazard: "air",
+    severity: "red",
+    conditions: [{ variable: "european_aqi", comparator: ">", value: 100 }],
+    duration: 2,
+    message: "Körperliche Anstrengung im Freien vermeiden.",
+  },
+  {
+    id: "default-air-orange",
+    title: "Schlechte Luftqualität",
+    hazard: "air",
+    severity: "orange",
+    conditions: [{ variable: "european_aqi", comparator: ">", value: 80 }],
+    duration: 2,
+  },
+  // Douglas-Skala: ab "grobe See" bzw. "sehr grobe See"
+  {
+    id: "default-sea-red",
+    title: "Sehr grobe See",
+    hazard: "sea",
+    severity: "red",
+    conditions: [{ variable: "wave_height", comparator: ">", value: 4 }],
+    duration: 1,
+  },
+  {
+    id: "default-sea-orange",
+    title: "Grobe See",
+    hazard: "sea",
+    severity: "orange",
+    conditions: [{ variable: "wave_height", comparator: ">", value: 2.5 }],
+    duration: 1,
+  },
+];
+
+/**
+ * Schlüssel eines Ortes für ortsbezogene Regeln (≈1 km Raster)
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {string}
+ */
+function alertLocationKey(lat, lon) {
+  return `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+}
+
+/**
+ * Prüft und vervollständigt eine Bedingung
+ * @private
+ */
+function normalizeCondition(raw) {
+  if (!raw || !ALERT_RULE_VARIABLES[raw.variable]) return null;
+  if (!ALERT_RULE_COMPARATORS[raw.comparator]) return null;
+  if (raw.comparator === "in") {
+    const list = (
+      Array.isArray(raw.value) ? raw.value : String(raw.value).split(",")
+    )
+      .map((item) => (String(item).trim() === "" ? NaN : Number(item)))
+      .filter(Number.isFinite);
+    return list.length
+      ? { variable: raw.variable, comparator: "in", value: list }
+      : null;
+  }
+  const value =
+    raw.value === null || raw.value === "" ? NaN : Number(raw.value);
+  if (!Number.isFinite(value)) return null;
+  return { variable: raw.variable, comparator: raw.comparator, value };
+}
+
+/**
+ * Prüft eine Regel aus Speicher, Formular oder Push-Anmeldung
+ * @param {object} raw
+ * @returns {object|null} - vollständige Regel oder null wenn ungültig
+ */
+function normalizeAlertRule(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const conditions = (Array.isArray(raw.conditions) ? raw.conditions : [])
+    .map(normalizeCondition)
+    .filter(Boolean);
+  if (!conditions.length) return null;
+
+  const duration = Math.round(Number(raw.duration) || 1);
+  const title = String(raw.title || "")
+    .trim()
+    .slice(0, 80);
+  const message = String(raw.message || "")
+    .trim()
+    .slice(0, 200);
+  return {
+    id: String(raw.id || createAlertRuleId()),
+    title: title || ALERT_RULE_VARIABLES[conditions[0].variable].label,
+    hazard: ALERT_RULE_HAZARDS[raw.hazard] ? raw.hazard : "custom",
+    severity: ALERT_RULE_SEVERITIES.includes(raw.severity)
+      ? raw.severity
+      : "yellow",
+    conditions,
+    duration: Math.min(Math.max(duration, 1), 24),
+    enabled: raw.enabled !== false,
+    notify: raw.notify !== false,
+    ...(message ? { message } : {}),
+  };
+}
+
+function createAlertRuleId() {
+  return `rule-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 6)}`;
+}
+
+/**
+ * Open-Meteo "hourly" (Spalten) → Zeilen { time, [variable]: Wert }
+ * @param {object} hourly
+ * @param {number} limit - Anzahl Stunden
+ * @returns {array}
+ */
+function hourlyRows(hourly, limit = 24) {
+  const source = hourly || {};
+  return (source.time || []).slice(0, limit).map((time, idx) => {
+    const row = { time };
+    Object.keys(ALERT_RULE_VARIABLES).forEach((variable) => {
+      const column = source[variable];
+      if (!column || !(idx in column) || column[idx] === null) return;
+      const value = Number(column[idx]);
+      if (Number.isFinite(value)) row[variable] = value;
+    });
+    return row;
+  });
+}
+
+/**
+ * Alle Variablen einer Quelle, die die Regeln benötigen (für den
+ * API-Parameter hourly)
+ * @param {array} rules
+ * @param {string} source - "forecast" oder ein Schlüssel aus
+ *   ALERT_RULE_SOURCE_URLS
+ * @returns {string[]}
+ */
+function alertRuleVariables(rules, source = "forecast") {
+  const variables = new Set();
+  (rules || []).forEach((rule) =>
+    (rule.conditions || []).forEach((condition) => {
+      if (alertVariableSource(condition.variable) === source) {
+        variables.add(condition.variable);
+      }
+    })
+  );
+  return Array.from(variables);
+}
+
+/**
+ * @param {string} variable
+ * @returns {string} - "forecast" oder ein Schlüssel aus ALERT_RULE_SOURCE_URLS
+ */
+function alertVariableSource(variable) {
+  return ALERT_RULE_VARIABLES[variable]?.source || "forecast";
+}
+
+/**
+ * Ergänzt Open-Meteo "hourly" um die Spalten einer zweiten Antwort
+ * (Luftqualität, Marine), zugeordnet über die Uhrzeit
+ * @param {object} base - hourly der Vorhersage
+ * @param {object} extra - hourly der zweiten API
+ * @returns {object}
+ */
+function mergeHourly(base, extra) {
+  const merged = { ...(base || {}) };
+  const times = merged.time || [];
+  const index = new Map(
+    ((extra && extra.time) || []).map((time, idx) => [time, idx])
+  );
+  Object.keys(extra || {}).forEach((variable) => {
+    if (variable === "time" || variable in merged) return;
+    merged[variable] = times.map((time) =>
+      index.has(time) ? extra[variable][index.get(time)] ?? null : null
+    );
+  });
+  return merged;
+}
+
+function conditionMet(condition, row) {
+  const value = row[condition.variable];
+  if (typeof value !== "number") return false;
+  return ALERT_RULE_COMPARATORS[condition.comparator].test(
+    value,
+    condition.value
+  );
+}
+
+/**
+ * Beschreibung einer Bedingung mit dem Extremwert im Zeitraum
+ * @private
+ */
+function describeCondition(condition, rows) {
+  const meta = ALERT_RULE_VARIABLES[condition.variable];
+  const unit = meta.unit ? ` ${meta.unit}` : "";
+  if (condition.comparator === "in") {
+    return `${meta.label} ${condition.value.join(", ")}`;
+  }
+  const values = rows.map((row) => row[condition.variable]);
+  const below = condition.comparator.startsWith("<");
+  const peak = below ? Math.min(...values) : Math.max(...values);
+  const rounded = Math.round(peak * 10) / 10;
+  return `${meta.label} ${below ? "bis" : "bis zu"} ${rounded}${unit}`;
+}
+
+/**
+ * Wertet Regeln über stündliche Zeilen aus. Jede Folge von mindestens
+ * `duration` Stunden, in der alle Bedingungen gelten, ergibt eine Warnung.
+ * Bei gleicher Gefahr und gleichem Beginn gewinnt die höhere Stufe.
+ * @param {array} rows - aus hourlyRows
+ * @param {array} rules
+ * @returns {array} - [{ id, ruleId, hazard, severity, title, description, time, until, hours, notify }]
+ */
+function evaluateAlertRules(rows, rules) {
+  const alerts = [];
+  const seen = new Set();
+  const active = (rules || [])
+    .map(normalizeAlertRule)
+    .filter((rule) => rule && rule.enabled)
+    .sort(
+      (a, b) =>
+        ALERT_RULE_SEVERITIES.indexOf(b.severity) -
+        ALERT_RULE_SEVERITIES.indexOf(a.severity)
+    );
+
+  active.forEach((rule) => {
+    let run = [];
+    const flush = () => {
+      if (run.length >= rule.duration) {
+        // Eigene Regeln ohne Gefahrenart nicht gegeneinander ausblenden
+        const prefix = rule.hazard === "custom" ? rule.id : rule.hazard;
+        const id = `${prefix}-${run[0].time}`;
+        if (!seen.has(id)) {
+          seen.add(id);
+          alerts.push({
+            id,
+            ruleId: rule.id,
+            origin: "computed",
+            hazard: rule.hazard,
+            severity: rule.severity,
+            icon: `[${rule.hazard}]`,
+            title: rule.title,
+            description:
+              (rule.message ||
+                rule.conditions
+                  .map((condition) => describeCondition(condition, run))
+                  .join(", ")) +
+              (run.length > 1 ? ` (${run.length} Std.)` : ""),
+            time: run[0].time,
+            until: run[run.length - 1].time,
+            hours: run.length,
+            notify: rule.notify,
+          });
+        }
+      }
+      run = [];
+    };
+
+    (rows || []).forEach((row) => {
+      if (rule.conditions.every((condition) => conditionMet(condition, row))) {
+        run.push(row);
+      } else {
+        flush();
+      }
+    });
+    flush();
+  });
+
+  return alerts.sort((a, b) => String(a.time).localeCompare(String(b.time)));
+}
+
+/**
+ * Regeln pro Benutzer und pro Favorit in localStorage
+ */
+class AlertRuleStore {
+  constructor(options = {}) {
+    this.storage =
+      options.storage ||
+      (typeof localStorage !== "undefined" ? localStorage : null);
+    this.key = options.key || ALERT_RULES_STORAGE_KEY;
+  }
+
+  /**
+   * @returns {{version: number, user: array, favorites: object}}
+   */
+  load() {
+    let stored = null;
+    try {
+      stored = JSON.parse(this.storage?.getItem(this.key) || "null");
+    } catch (e) {
+      console.warn("Warnregeln konnten nicht gelesen werden", e);
+    }
+    if (!stored || typeof stored !== "object") {
+      return this._defaults();
+    }
+    const favorites = {};
+    Object.entries(stored.favorites || {}).forEach(([scope, rules]) => {
+      const list = (rules || []).map(normalizeAlertRule).filter(Boolean);
+      if (list.length) favorites[scope] = list;
+    });
+    return {
+      version: ALERT_RULES_SCHEMA_VERSION,
+      user: (stored.user || []).map(normalizeAlertRule).filter(Boolean),
+      favorites,
+    };
+  }
+
+  _defaults() {
+    return {
+      version: ALERT_RULES_SCHEMA_VERSION,
+      user: DEFAULT_ALERT_RULES.map(normalizeAlertRule),
+      favorites: {},
+    };
+  }
+
+  _save(state) {
+    try {
+      this.storage?.setItem(this.key, JSON.stringify(state));
+    } catch (e) {
+      console.warn("Warnregeln konnten nicht gespeichert werden", e);
+    }
+  }
+
+  /**
+   * @param {string} scope - "user" oder alertLocationKey eines Favoriten
+   * @returns {array}
+   */
+  getRules(scope = "user") {
+    const state = this.load();
+    return scope === "user" ? state.user : state.favorites[scope] || [];
+  }
+
+  /**
+   * Regeln für einen Ort: allgemeine plus die des Favoriten an dieser Stelle
+   * @returns {array}
+   */
+  rulesFor(lat, lon) {
+    const state = this.load();
+    const own = Number.isFinite(Number(lat))
+      ? state.favorites[alertLocationKey(lat, lon)] || []
+      : [];
+    return state.user.concat(own);
+  }
+
+  /**
+   * Legt eine Regel an oder ersetzt sie (gleiche id)
+   * @returns {object|null} - gespeicherte Regel oder null wenn ungültig
+   */
+  saveRule(rule, scope = "user") {
+    const normalized = normalizeAlertRule(rule);
+    if (!normalized) return null;
+    const state = this.load();
+    const list = scope === "user" ? state.user : state.favorites[scope] || [];
+    const idx = list.findIndex((item) => item.id === normalized.id);
+    if (idx >= 0) list[idx] = normalized;
+    else list.push(normalized);
+    if (scope !== "user") state.favorites[scope] = list;
+    this._save(state);
+    return normalized;
+  }
+
+  removeRule(id, scope = "user") {
+    const state = this.load();
+    if (scope === "user") {
+      state.user = state.user.filter((rule) => rule.id !== id);
+    } else {
+      const rest = (state.favorites[scope] || []).filter(
+        (rule) => rule.id !== id
+      );
+      if (rest.length) state.favorites[scope] = rest;
+      else delete state.favorites[scope];
+    }
+    this._save(state);
+  }
+
+  /**
+   * Stellt die Standardregeln wieder her. Mit Bereich nur diesen: "user"
+   * bekommt die Standardregeln, ein Favorit verliert seine eigenen Regeln.
+   * Ohne Bereich entfallen auch alle Favoritenregeln.
+   * @param {string} scope - optional
+   */
+  reset(scope) {
+    if (!scope) {
+      this._save(this._defaults());
+      return;
+    }
+    const state = this.load();
+    if (scope === "user") state.user = this._defaults().user;
+    else delete state.favorites[scope];
+    this._save(state);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ALERT_RULES_STORAGE_KEY,
+    ALERT_RULE_VARIABLES,
+    ALERT_RULE_SOURCE_URLS,
+    ALERT_RULE_COMPARATORS,
+    ALERT_RULE_SEVERITIES,
+    ALERT_RULE_HAZARDS,
+    DEFAULT_ALERT_RULES,
+    alertLocationKey,
+    normalizeAlertRule,
+    hourlyRows,
+    alertRuleVariables,
+    alertVariableSource,
+    mergeHourly,
+    evaluateAlertRules,
+    AlertRuleStore,
+  };
+}
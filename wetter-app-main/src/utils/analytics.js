@@ -1,85 +1,553 @@
 /**
  * src/utils/analytics.js
- * Lightweight Analytics & Data Collection Module
- * Opt-in analytics logging for searches, favorites, API calls
+ * Lokale Analytics: eine Event-Pipeline für Suchen, API-Calls, Cache,
+ * Favoriten und Einstellungen.
+ *
+ * - Typisiertes Schema (ANALYTICS_EVENT_TYPES): unbekannte Typen werden
+ *   verworfen, Felder auf die deklarierten Typen reduziert
+ * - Einwilligung ist standardmäßig aus; ohne sie wird nichts gespeichert
+ * - Aufbewahrung: höchstens ANALYTICS_MAX_EVENTS Events, nicht älter als
+ *   ANALYTICS_RETENTION_MS
+ *
+ * Optional lädt die Pipeline anonymisierte Events gebündelt zu einem eigenen
+ * Sammel-Server hoch (tools/analytics-collector.js). Nicht gesendete Events
+ * warten im Ausgang und werden mit wachsendem Abstand erneut versucht; ohne
+ * Einwilligung wird der Ausgang verworfen.
+ *
+ * Übernimmt einmalig die Daten der beiden früheren Speicher
+ * (`wetter_analytics_events` mit type/data, `analytics-events` mit
+ * eventName/eventData). `wetter_analytics_enabled` war automatisch auf
+ * "true" gesetzt und zählt daher nicht als Einwilligung.
  */
 
+const ANALYTICS_SCHEMA_VERSION = 1;
+const ANALYTICS_STORAGE_KEY = "wetter_analytics";
+const ANALYTICS_CONSENT_KEY = "wetter_analytics_consent";
+const ANALYTICS_MAX_EVENTS = 1000;
+const ANALYTICS_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 Tage
+const ANALYTICS_MAX_STRING = 120;
+
+const ANALYTICS_COLLECTOR_KEY = "wetter_analytics_collector";
+const ANALYTICS_OUTBOX_KEY = "wetter_analytics_outbox";
+const ANALYTICS_UPLOAD_BATCH = 20;
+const ANALYTICS_OUTBOX_MAX = 500;
+const ANALYTICS_UPLOAD_INTERVAL_MS = 60 * 1000;
+const ANALYTICS_RETRY_MIN_MS = 5 * 1000;
+const ANALYTICS_RETRY_MAX_MS = 5 * 60 * 1000;
+// Felder, die den Browser nie verlassen (Cache-Keys/URLs mit Koordinaten)
+const ANALYTICS_PRIVATE_FIELDS = ["key", "endpoint"];
+// Ortsangaben, die als Koordinaten, PLZ oder Plus Code nur ihre Art verraten
+const ANALYTICS_LOCATION_FIELDS = {
+  search: ["query"],
+  api_call: ["city"],
+  favorite_action: ["city"],
+};
+const ANALYTICS_LOCATION_LABELS = {
+  coordinates: "[Koordinaten]",
+  dms: "[Koordinaten]",
+  postal: "[PLZ]",
+  pluscode: "[Plus Code]",
+};
+
+const ANALYTICS_LEGACY_KEYS = {
+  events: ["wetter_analytics_events", "analytics-events"],
+  consent: ["wetter_analytics_enabled", "analytics-enabled"],
+};
+
+/**
+ * Event-Typen mit ihren Feldern (Feldname -> "string" | "number" | "boolean")
+ */
+const ANALYTICS_EVENT_TYPES = {
+  search: { query: "string", resultCount: "number", durationMs: "number" },
+  api_call: {
+    provider: "string",
+    endpoint: "string",
+    city: "string",
+    status: "number",
+    durationMs: "number",
+    fromCache: "boolean",
+    ok: "boolean",
+  },
+  cache_hit: { key: "string", type: "string", ageMs: "number" },
+  cache_evict: { count: "number", totalSize: "number", maxSize: "number" },
+  cache_clear: { scope: "string" },
+  favorite_action: { action: "string", city: "string" },
+  settings_action: {
+    action: "string",
+    clearedEntries: "number",
+    clearedBytes: "number",
+    removedCount: "number",
+  },
+  error: { errorType: "string", message: "string", context: "string" },
+};
+
+/**
+ * Event-Namen und Felder des früheren utils/analytics.js
+ * @private
+ */
+const LEGACY_EVENT_TYPES = {
+  "api-call": "api_call",
+  "favorite-added": "favorite_action",
+  "favorite-removed": "favorite_action",
+};
+const LEGACY_FIELDS = {
+  search: { city: "query" },
+  api_call: { apiName: "provider", statusCode: "status" },
+  favorite_action: { locationName: "city" },
+  error: { errorMessage: "message" },
+};
+
+/**
+ * @private
+ */
+function coerceField(value, kind) {
+  if (value === undefined || value === null) return undefined;
+  if (kind === "number") {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : undefined;
+  }
+  if (kind === "boolean") return Boolean(value);
+  return String(value).slice(0, ANALYTICS_MAX_STRING);
+}
+
+/**
+ * Bringt ein Event in das Schema
+ * @param {string} type - Event-Typ (auch frühere Namen wie 'api-call')
+ * @param {object} data - Event-Daten
+ * @returns {object|null} - { type, data } oder null bei unbekanntem Typ
+ */
+function normalizeAnalyticsEvent(type, data = {}) {
+  const name = LEGACY_EVENT_TYPES[type] || type;
+  const fields = ANALYTICS_EVENT_TYPES[name];
+  if (!fields) return null;
+
+  const source = { ...(data || {}) };
+  Object.entries(LEGACY_FIELDS[name] || {}).forEach(([from, to]) => {
+    if (source[to] === undefined && source[from] !== undefined) {
+      source[to] = source[from];
+    }
+  });
+  if (type === "favorite-added") source.action = "add";
+  if (type === "favorite-removed") source.action = "remove";
+
+  const clean = {};
+  Object.entries(fields).forEach(([field, kind]) => {
+    const value = coerceField(source[field], kind);
+    if (value !== undefined) clean[field] = value;
+  });
+  return { type: name, data: clean };
+}
+
+/**
+ * Parser für Direkteingaben: im Browser aus utils/locationQuery.js, im
+ * Sammel-Server per require
+ * @private
+ */
+function analyticsLocationParser() {
+  if (typeof parseLocationQuery === "function") return parseLocationQuery;
+  if (typeof module !== "undefined" && module.exports) {
+    return require("./locationQuery.js").parseLocationQuery;
+  }
+  return null;
+}
+
+/**
+ * Ersetzt Koordinaten, Postleitzahlen und Plus Codes durch ihre Art; nur
+ * Ortsnamen bleiben stehen
+ * @param {string} value
+ * @returns {string}
+ */
+function coarsenAnalyticsLocation(value) {
+  const parse = analyticsLocationParser();
+  if (!parse || typeof value !== "string") return value;
+  const { type } = parse(value);
+  return ANALYTICS_LOCATION_LABELS[type] || value;
+}
+
+/**
+ * Fassung eines Events für den Sammel-Server: ohne Session-ID und private
+ * Felder, Ortsangaben vergröbert, Zeitstempel auf die volle Stunde abgerundet
+ * @param {object} event - gespeichertes Event ({ type, data, ts })
+ * @returns {object|null}
+ */
+function anonymizeAnalyticsEvent(event) {
+  const normalized = normalizeAnalyticsEvent(event?.type, event?.data);
+  const ts = Number(event?.ts);
+  if (!normalized || !Number.isFinite(ts)) return null;
+  ANALYTICS_PRIVATE_FIELDS.forEach((field) => delete normalized.data[field]);
+  (ANALYTICS_LOCATION_FIELDS[normalized.type] || []).forEach((field) => {
+    if (field in normalized.data) {
+      normalized.data[field] = coarsenAnalyticsLocation(normalized.data[field]);
+    }
+  });
+  const hour = 60 * 60 * 1000;
+  return {
+    v: ANALYTICS_SCHEMA_VERSION,
+    ...normalized,
+    ts: Math.floor(ts / hour) * hour,
+  };
+}
+
+/**
+ * Anzeige der Event-Typen im Dashboard
+ */
+const ANALYTICS_EVENT_META = {
+  search: { label: "Suche", icon: "🔍" },
+  api_call: { label: "API-Abfrage", icon: "🌐" },
+  cache_hit: { label: "Cache-Treffer", icon: "⚡" },
+  cache_evict: { label: "Cache bereinigt", icon: "🧹" },
+  cache_clear: { label: "Cache geleert", icon: "🗑️" },
+  favorite_action: { label: "Favorit", icon: "⭐" },
+  settings_action: { label: "Einstellung", icon: "⚙️" },
+  error: { label: "Fehler", icon: "⚠️" },
+};
+
+const ANALYTICS_MAX_DAYS = 366;
+const ANALYTICS_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lokaler Kalendertag eines Zeitstempels
+ * @param {number} ts
+ * @returns {string} - YYYY-MM-DD
+ */
+function analyticsDayKey(ts) {
+  const date = new Date(ts);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+/**
+ * Perzentil nach Nearest-Rank
+ * @private
+ */
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Kennzahlen für das Dashboard
+ * @param {Array} events - gespeicherte Events
+ * @param {object} filter - { from, to } als YYYY-MM-DD (inklusive), type
+ * @returns {object} - { events, days, searchesPerDay, cacheRatioPerDay,
+ *   providers, topPlaces, sessions }
+ */
+function summarizeAnalytics(events, filter = {}) {
+  const filtered = (events || []).filter((event) => {
+    const day = analyticsDayKey(event.ts);
+    return (
+      (!filter.from || day >= filter.from) &&
+      (!filter.to || day <= filter.to) &&
+      (!filter.type || event.type === filter.type)
+    );
+  });
+
+  // Lückenlose Tagesachse vom ersten bis zum letzten Tag
+  const first = filter.from
+    ? new Date(`${filter.from}T00:00:00`).getTime()
+    : Math.min(...filtered.map((event) => event.ts));
+  const last = filter.to
+    ? new Date(`${filter.to}T00:00:00`).getTime()
+    : Math.max(...filtered.map((event) => event.ts));
+  const days = [];
+  if (Number.isFinite(first) && Number.isFinite(last)) {
+    // Mittags zählen, damit Zeitumstellungen keinen Tag überspringen
+    const start = new Date(first).setHours(12, 0, 0, 0);
+    for (
+      let ts = start;
+      analyticsDayKey(ts) <= analyticsDayKey(last) &&
+      days.length < ANALYTICS_MAX_DAYS;
+      ts += ANALYTICS_DAY_MS
+    ) {
+      days.push(analyticsDayKey(ts));
+    }
+  }
+
+  const perDay = new Map(
+    days.map((day) => [day, { searches: 0, calls: 0, cached: 0 }])
+  );
+  const providers = new Map();
+  const places = new Map();
+  const sessions = new Map();
+
+  filtered.forEach((event) => {
+    const bucket = perDay.get(analyticsDayKey(event.ts));
+    const data = event.data || {};
+
+    if (event.type === "search") {
+      if (bucket) bucket.searches += 1;
+      const query = String(data.query || "").trim();
+      if (query) {
+        const key = query.toLowerCase();
+        const place = places.get(key) || { place: query, count: 0 };
+        place.count += 1;
+        places.set(key, place);
+      }
+    }
+
+    if (event.type === "api_call" && data.provider) {
+      if (bucket) {
+        bucket.calls += 1;
+        if (data.fromCache) bucket.cached += 1;
+      }
+      const stats = providers.get(data.provider) || {
+        provider: data.provider,
+        calls: 0,
+        errors: 0,
+        durations: [],
+      };
+      stats.calls += 1;
+      if (data.ok === false) stats.errors += 1;
+      if (Number.isFinite(data.durationMs) && !data.fromCache) {
+        stats.durations.push(data.durationMs);
+      }
+      providers.set(data.provider, stats);
+    }
+
+    const sessionId = event.sessionId || "unbekannt";
+    const session = sessions.get(sessionId) || {
+      sessionId,
+      start: event.ts,
+      end: event.ts,
+      events: [],
+    };
+    session.start = Math.min(session.start, event.ts);
+    session.end = Math.max(session.end, event.ts);
+    session.events.push({ type: event.type, ts: event.ts });
+    sessions.set(sessionId, session);
+  });
+
+  return {
+    events: filtered,
+    days,
+    searchesPerDay: days.map((day) => perDay.get(day).searches),
+    // Anteil der Provider-Abfragen, die der Cache beantwortet hat
+    cacheRatioPerDay: days.map((day) => {
+      const bucket = perDay.get(day);
+      return bucket.calls ? bucket.cached / bucket.calls : null;
+    }),
+    providers: Array.from(providers.values())
+      .map(({ durations, ...stats }) => {
+        const sorted = durations.sort((a, b) => a - b);
+        return {
+          ...stats,
+          errorRate: stats.errors / stats.calls,
+          p50: percentile(sorted, 50),
+          p90: percentile(sorted, 90),
+          p95: percentile(sorted, 95),
+        };
+      })
+      .sort((a, b) => b.calls - a.calls),
+    topPlaces: Array.from(places.values())
+      .sort((a, b) => b.count - a.count || a.place.localeCompare(b.place))
+      .slice(0, 5),
+    sessions: Array.from(sessions.values())
+      .map((session) => ({
+        ...session,
+        events: session.events.sort((a, b) => a.ts - b.ts),
+      }))
+      .sort((a, b) => b.end - a.end)
+      .slice(0, 10),
+  };
+}
+
 class Analytics {
-  constructor() {
-    this.enabled = this._isAnalyticsEnabled();
+  /**
+   * @param {object} options - { storage, key, maxEvents, retentionMs,
+   *   fetch, batchSize, requestOutbox }
+   *   requestOutbox - { enqueue(request), discard() }: übernimmt gescheiterte
+   *   Bündel (utils/requestOutbox.js), statt sie selbst zu wiederholen
+   */
+  constructor(options = {}) {
+    this.storage =
+      options.storage ||
+      (typeof localStorage !== "undefined" ? localStorage : null);
+    this.key = options.key || ANALYTICS_STORAGE_KEY;
+    this.maxEvents = options.maxEvents || ANALYTICS_MAX_EVENTS;
+    this.retentionMs = options.retentionMs || ANALYTICS_RETENTION_MS;
     this.sessionId = this._generateSessionId();
-    this.events = [];
-    this.maxEvents = 1000; // Max events to keep in memory
+    this.fetch = options.fetch || null;
+    this.batchSize = options.batchSize || ANALYTICS_UPLOAD_BATCH;
+    this.requestOutbox = options.requestOutbox || null;
+    this.retryDelay = 0;
+    this._retryTimer = null;
+    this._uploadTimer = null;
+    this._flushing = null;
+
+    this._migrateLegacy();
+    this.enabled = this._read(ANALYTICS_CONSENT_KEY) === "granted";
+    this.events = this._prune(this._loadEvents());
+    this.collectorUrl = this._read(ANALYTICS_COLLECTOR_KEY) || "";
   }
 
   /**
-   * Check if analytics is enabled in localStorage
    * @private
-   * @returns {boolean}
    */
-  _isAnalyticsEnabled() {
-    return localStorage.getItem('analytics-enabled') === 'true';
+  _read(key) {
+    try {
+      return this.storage?.getItem(key) ?? null;
+    } catch (e) {
+      return null;
+    }
   }
 
   /**
-   * Generate a unique session ID
+   * Session-ID pro Browser-Tab
    * @private
    * @returns {string}
    */
   _generateSessionId() {
-    let sessionId = sessionStorage.getItem('session-id');
+    const create = () =>
+      `session-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+    if (typeof sessionStorage === "undefined") return create();
+    let sessionId = sessionStorage.getItem("session-id");
     if (!sessionId) {
-      sessionId = `session-${Date.now()}-${Math.random().toString(36).substring(7)}`;
-      sessionStorage.setItem('session-id', sessionId);
+      sessionId = create();
+      sessionStorage.setItem("session-id", sessionId);
     }
     return sessionId;
   }
 
   /**
-   * Enable analytics
+   * Übernimmt Events und eine ausdrückliche Einwilligung aus den früheren
+   * Speichern und entfernt diese danach
+   * @private
    */
-  enable() {
-    localStorage.setItem('analytics-enabled', 'true');
-    this.enabled = true;
-    console.log('📊 Analytics enabled');
+  _migrateLegacy() {
+    const present = [
+      ...ANALYTICS_LEGACY_KEYS.events,
+      ...ANALYTICS_LEGACY_KEYS.consent,
+    ].filter((key) => this._read(key) !== null);
+    if (!present.length) return;
+
+    const migrated = [];
+    ANALYTICS_LEGACY_KEYS.events.forEach((key) => {
+      let stored = [];
+      try {
+        stored = JSON.parse(this._read(key) || "[]");
+      } catch (e) {
+        console.warn("Analytics: alte Events nicht lesbar", e);
+      }
+      (Array.isArray(stored) ? stored : []).forEach((raw) => {
+        const event = normalizeAnalyticsEvent(
+          raw?.type || raw?.eventName,
+          raw?.data || raw?.eventData
+        );
+        const ts =
+          typeof raw?.timestamp === "number"
+            ? raw.timestamp
+            : Date.parse(raw?.timestamp);
+        if (!event || !Number.isFinite(ts)) return;
+        migrated.push({
+          v: ANALYTICS_SCHEMA_VERSION,
+          ...event,
+          ts,
+          sessionId: raw.sessionId || null,
+        });
+      });
+    });
+
+    if (
+      this._read("analytics-enabled") === "true" &&
+      this._read(ANALYTICS_CONSENT_KEY) === null
+    ) {
+      this.storage?.setItem(ANALYTICS_CONSENT_KEY, "granted");
+    }
+
+    const events = this._loadEvents()
+      .concat(migrated)
+      .sort((a, b) => a.ts - b.ts);
+    this._saveEvents(this._prune(events));
+    present.forEach((key) => this.storage?.removeItem(key));
   }
 
   /**
-   * Disable analytics
+   * @private
+   * @returns {Array}
    */
-  disable() {
-    localStorage.setItem('analytics-enabled', 'false');
-    this.enabled = false;
-    console.log('📊 Analytics disabled');
+  _loadEvents() {
+    try {
+      const stored = JSON.parse(this._read(this.key) || "[]");
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      console.warn("Analytics konnten nicht gelesen werden", e);
+      return [];
+    }
+  }
+
+  /**
+   * @private
+   */
+  _saveEvents(events) {
+    try {
+      this.storage?.setItem(this.key, JSON.stringify(events));
+    } catch (e) {
+      console.warn("Analytics konnten nicht gespeichert werden", e);
+    }
   }
 
   /**
-   * Log a custom event
-   * @param {string} eventName - Event name (e.g., 'search', 'favorite-added', 'api-call')
-   * @param {object} eventData - Event metadata
+   * Wendet die Aufbewahrungsgrenzen an
+   * @private
    */
-  logEvent(eventName, eventData = {}) {
-    if (!this.enabled) return;
+  _prune(events, now = Date.now()) {
+    return events
+      .filter((event) => now - event.ts <= this.retentionMs)
+      .slice(-this.maxEvents);
+  }
 
-    const event = {
-      timestamp: new Date().toISOString(),
-      sessionId: this.sessionId,
-      eventName,
-      eventData,
-      userAgent: navigator.userAgent,
-    };
+  /**
+   * Einwilligung setzen; gespeicherte Events bleiben bis clear() erhalten
+   * @param {boolean} granted
+   */
+  setConsent(granted) {
+    this.enabled = Boolean(granted);
+    try {
+      this.storage?.setItem(
+        ANALYTICS_CONSENT_KEY,
+        this.enabled ? "granted" : "denied"
+      );
+    } catch (e) {
+      console.warn("Analytics-Einwilligung nicht gespeichert", e);
+    }
+    // Ohne Einwilligung wird nichts mehr hochgeladen
+    if (!this.enabled) this._resetOutbox();
+  }
 
-    this.events.push(event);
+  enable() {
+    this.setConsent(true);
+  }
 
-    // Keep array size manageable
-    if (this.events.length > this.maxEvents) {
-      this.events.shift();
-    }
+  disable() {
+    this.setConsent(false);
+  }
 
-    // Save to localStorage (last 100 events)
-    this._saveToLocalStorage();
+  /**
+   * Log an event (ignored without consent or with an unknown type)
+   * @param {string} type - Event type from ANALYTICS_EVENT_TYPES
+   * @param {object} data - Event metadata, reduced to the schema fields
+   * @returns {object|null} - stored event
+   */
+  logEvent(type, data = {}) {
+    if (!this.enabled) return null;
+    const normalized = normalizeAnalyticsEvent(type, data);
+    if (!normalized) {
+      console.warn(`Analytics: unbekannter Event-Typ "${type}"`);
+      return null;
+    }
 
-    console.log(`📊 Event logged: ${eventName}`, eventData);
+    const event = {
+      v: ANALYTICS_SCHEMA_VERSION,
+      ...normalized,
+      ts: Date.now(),
+      sessionId: this.sessionId,
+    };
+    this.events = this._prune([...this.events, event], event.ts);
+    this._saveEvents(this.events);
+    this._enqueue(event);
+    return event;
   }
 
   /**
@@ -89,149 +557,640 @@ class Analytics {
    * @param {number} durationMs - Duration in milliseconds
    */
   logSearch(query, resultCount, durationMs) {
-    this.logEvent('search', {
-      query,
-      resultCount,
-      durationMs,
-    });
+    return this.logEvent("search", { query, resultCount, durationMs });
   }
 
   /**
    * Log a favorite action
-   * @param {string} action - 'added' or 'removed'
-   * @param {string} locationName - Location name
+   * @param {string} action - 'add' or 'remove'
+   * @param {string} city - Location name
    */
-  logFavorite(action, locationName) {
-    this.logEvent(`favorite-${action}`, {
-      locationName,
-    });
+  logFavorite(action, city) {
+    return this.logEvent("favorite_action", { action, city });
   }
 
   /**
    * Log an API call
-   * @param {string} apiName - API name (e.g., 'open-meteo', 'brightsky')
+   * @param {string} provider - Provider name (e.g., 'open-meteo', 'brightsky')
    * @param {string} endpoint - API endpoint
-   * @param {number} statusCode - HTTP status code
+   * @param {number} status - HTTP status code
    * @param {number} durationMs - Duration in milliseconds
    * @param {boolean} fromCache - Was result from cache?
+   * @param {boolean} ok - Success; defaults to a status below 400
    */
-  logApiCall(apiName, endpoint, statusCode, durationMs, fromCache = false) {
-    this.logEvent('api-call', {
-      apiName,
+  logApiCall(
+    provider,
+    endpoint,
+    status,
+    durationMs,
+    fromCache = false,
+    ok = Number.isFinite(status) ? status > 0 && status < 400 : undefined
+  ) {
+    return this.logEvent("api_call", {
+      provider,
       endpoint,
-      statusCode,
+      status,
       durationMs,
       fromCache,
+      ok,
     });
   }
 
   /**
    * Log an error
    * @param {string} errorType - Error type (e.g., 'network', 'validation', 'api')
-   * @param {string} errorMessage - Error message
+   * @param {string} message - Error message
    * @param {string} context - Additional context (e.g., 'search', 'favorite')
    */
-  logError(errorType, errorMessage, context = '') {
-    this.logEvent('error', {
-      errorType,
-      errorMessage,
-      context,
+  logError(errorType, message, context = "") {
+    return this.logEvent("error", { errorType, message, context });
+  }
+
+  /**
+   * Gespeicherte Events, optional gefiltert
+   * @param {object} filter - { type, since }
+   * @returns {Array}
+   */
+  getEvents(filter = {}) {
+    return this.events.filter(
+      (event) =>
+        (!filter.type || event.type === filter.type) &&
+        (!filter.since || event.ts >= filter.since)
+    );
+  }
+
+  /**
+   * Zähler für das Dashboard
+   * @param {Array} events - Standard: alle gespeicherten Events
+   * @returns {object}
+   */
+  getStats(events = this.events) {
+    const counts = {};
+    events.forEach((event) => {
+      counts[event.type] = (counts[event.type] || 0) + 1;
     });
+    return {
+      searches: counts.search || 0,
+      apiCalls: counts.api_call || 0,
+      cacheHits: counts.cache_hit || 0,
+      favActions: counts.favorite_action || 0,
+      errors: counts.error || 0,
+      total: events.length,
+      byType: counts,
+    };
   }
 
   /**
-   * Save events to localStorage
-   * @private
+   * Export analytics data as JSON
+   * @returns {string}
+   */
+  exportData() {
+    return JSON.stringify(
+      {
+        schemaVersion: ANALYTICS_SCHEMA_VERSION,
+        sessionId: this.sessionId,
+        exportDate: new Date().toISOString(),
+        events: this.events,
+        stats: this.getStats(),
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Clear all analytics data (Einwilligung bleibt unverändert)
    */
-  _saveToLocalStorage() {
+  clear() {
+    this.events = [];
     try {
-      const recentEvents = this.events.slice(-100); // Keep last 100
-      localStorage.setItem('analytics-events', JSON.stringify(recentEvents));
-    } catch (err) {
-      console.warn('Failed to save analytics to localStorage:', err);
+      this.storage?.removeItem(this.key);
+    } catch (e) {
+      console.warn("Analytics konnten nicht gelöscht werden", e);
     }
+    // Auch noch nicht hochgeladene Events
+    this._saveOutbox([]);
   }
 
   /**
-   * Get all logged events
-   * @returns {Array}
+   * Adresse des Sammel-Servers setzen; leer schaltet den Upload ab
+   * @param {string} url - http(s)-URL, z.B. http://localhost:3030/analytics/events
+   * @returns {boolean} - false bei ungültiger Adresse
    */
-  getEvents() {
-    return this.events;
+  setCollectorUrl(url) {
+    const value = String(url || "").trim();
+    if (value) {
+      let parsed = null;
+      try {
+        parsed = new URL(value);
+      } catch (e) {
+        parsed = null;
+      }
+      if (!parsed || !/^https?:$/.test(parsed.protocol)) return false;
+    }
+    this.collectorUrl = value;
+    try {
+      if (value) this.storage?.setItem(ANALYTICS_COLLECTOR_KEY, value);
+      else this.storage?.removeItem(ANALYTICS_COLLECTOR_KEY);
+    } catch (e) {
+      console.warn("Sammel-Server nicht gespeichert", e);
+    }
+    if (!value) this._resetOutbox();
+    return true;
   }
 
   /**
-   * Get events by name
-   * @param {string} eventName - Event name to filter by
+   * Events, die noch auf den Upload warten
    * @returns {Array}
    */
-  getEventsByName(eventName) {
-    return this.events.filter(e => e.eventName === eventName);
+  getOutbox() {
+    try {
+      const stored = JSON.parse(this._read(ANALYTICS_OUTBOX_KEY) || "[]");
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      return [];
+    }
   }
 
   /**
-   * Get analytics summary (stats)
-   * @returns {object}
+   * @private
    */
-  getSummary() {
-    const summary = {
-      totalEvents: this.events.length,
-      sessionId: this.sessionId,
-      eventCounts: {},
-      topSearches: {},
-      apiCallCount: {},
-    };
+  _saveOutbox(events) {
+    try {
+      if (events.length) {
+        this.storage?.setItem(ANALYTICS_OUTBOX_KEY, JSON.stringify(events));
+      } else {
+        this.storage?.removeItem(ANALYTICS_OUTBOX_KEY);
+      }
+    } catch (e) {
+      console.warn("Analytics-Ausgang nicht gespeichert", e);
+    }
+  }
 
-    for (const event of this.events) {
-      // Count events by name
-      summary.eventCounts[event.eventName] = (summary.eventCounts[event.eventName] || 0) + 1;
+  /**
+   * @private
+   */
+  _resetOutbox() {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this.retryDelay = 0;
+    this._saveOutbox([]);
+    // Bereits übergebene Bündel ebenfalls verwerfen
+    this.requestOutbox?.discard();
+  }
 
-      // Track top searches
-      if (event.eventName === 'search') {
-        const query = event.eventData.query;
-        summary.topSearches[query] = (summary.topSearches[query] || 0) + 1;
-      }
+  /**
+   * Legt ein Event anonymisiert in den Ausgang; volle Bündel gehen sofort raus
+   * @private
+   */
+  _enqueue(event) {
+    if (!this.enabled || !this.collectorUrl) return;
+    const anonymized = anonymizeAnalyticsEvent(event);
+    if (!anonymized) return;
+    const outbox = [...this.getOutbox(), anonymized].slice(
+      -ANALYTICS_OUTBOX_MAX
+    );
+    this._saveOutbox(outbox);
+    if (outbox.length >= this.batchSize && !this._retryTimer) this.flush();
+  }
 
-      // Track API calls by source
-      if (event.eventName === 'api-call') {
-        const api = event.eventData.apiName;
-        summary.apiCallCount[api] = (summary.apiCallCount[api] || 0) + 1;
+  /**
+   * Lädt den Ausgang in Bündeln hoch. Netzwerk- und Serverfehler werden mit
+   * wachsendem Abstand wiederholt (mit requestOutbox: das Bündel wird dort
+   * abgelegt), vom Server abgelehnte Bündel verworfen.
+   * @returns {Promise<object>} - { sent, pending, queued?, error? }
+   */
+  flush() {
+    if (!this.enabled || !this.collectorUrl) {
+      return Promise.resolve({ sent: 0, pending: 0 });
+    }
+    if (this._flushing) return this._flushing;
+
+    const send = this.fetch || (typeof fetch === "function" ? fetch : null);
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+
+    this._flushing = (async () => {
+      let sent = 0;
+      let batch = [];
+      try {
+        batch = this.getOutbox().slice(0, this.batchSize);
+        while (batch.length && send) {
+          const res = await send(this.collectorUrl, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              schemaVersion: ANALYTICS_SCHEMA_VERSION,
+              events: batch,
+            }),
+            keepalive: true,
+          });
+          const rejected =
+            res.status >= 400 &&
+            res.status < 500 &&
+            ![408, 429].includes(res.status);
+          if (!res.ok && !rejected) {
+            throw new Error(`Sammel-Server antwortet mit ${res.status}`);
+          }
+          if (rejected) {
+            console.warn(`Analytics-Bündel abgelehnt (${res.status})`);
+          } else {
+            sent += batch.length;
+          }
+          // Während des Uploads erfasste Events bleiben im Ausgang
+          this._saveOutbox(this.getOutbox().slice(batch.length));
+          batch = this.getOutbox().slice(0, this.batchSize);
+        }
+        this.retryDelay = 0;
+        return { sent, pending: this.getOutbox().length };
+      } catch (e) {
+        if (this.requestOutbox && batch.length) {
+          this._saveOutbox(this.getOutbox().slice(batch.length));
+          this.requestOutbox.enqueue({
+            url: this.collectorUrl,
+            payload: { schemaVersion: ANALYTICS_SCHEMA_VERSION, events: batch },
+            error: e.message,
+          });
+          console.warn("Analytics-Upload fehlgeschlagen, Bündel im Ausgang", e);
+          return {
+            sent,
+            pending: this.getOutbox().length,
+            queued: batch.length,
+            error: e.message,
+          };
+        }
+        this.retryDelay = Math.min(
+          this.retryDelay ? this.retryDelay * 2 : ANALYTICS_RETRY_MIN_MS,
+          ANALYTICS_RETRY_MAX_MS
+        );
+        if (this.enabled && this.collectorUrl) {
+          this._retryTimer = setTimeout(() => this.flush(), this.retryDelay);
+        }
+        console.warn(
+          `Analytics-Upload fehlgeschlagen, neuer Versuch in ${Math.round(
+            this.retryDelay / 1000
+          )}s`,
+          e
+        );
+        return { sent, pending: this.getOutbox().length, error: e.message };
+      } finally {
+        this._flushing = null;
       }
+    })();
+    return this._flushing;
+  }
+
+  /**
+   * Regelmäßiger Upload, zusätzlich sobald der Browser wieder online ist
+   * @param {number} intervalMs
+   */
+  startUploads(intervalMs = ANALYTICS_UPLOAD_INTERVAL_MS) {
+    if (this._uploadTimer) return;
+    this._uploadTimer = setInterval(() => this.flush(), intervalMs);
+    this._onOnline = () => this.flush();
+    if (typeof window !== "undefined") {
+      window.addEventListener("online", this._onOnline);
     }
+    this.flush();
+  }
 
-    return summary;
+  stopUploads() {
+    clearInterval(this._uploadTimer);
+    clearTimeout(this._retryTimer);
+    this._uploadTimer = null;
+    this._retryTimer = null;
+    if (this._onOnline && typeof window !== "undefined") {
+      window.removeEventListener("online", this._onOnline);
+    }
   }
 
   /**
-   * Export analytics data as JSON
-   * @returns {string}
+   * Standardfilter: die letzten sieben Tage, alle Event-Typen
+   * @private
    */
-  exportJSON() {
-    return JSON.stringify(
-      {
-        sessionId: this.sessionId,
-        exportDate: new Date().toISOString(),
-        events: this.events,
-      },
-      null,
-      2
+  _defaultDashboardFilter() {
+    const today = Date.now();
+    return {
+      from: analyticsDayKey(today - 6 * ANALYTICS_DAY_MS),
+      to: analyticsDayKey(today),
+      type: "",
+    };
+  }
+
+  renderDashboard(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    this.dashboardFilter =
+      this.dashboardFilter || this._defaultDashboardFilter();
+    const filter = this.dashboardFilter;
+    const summary = summarizeAnalytics(this.events, filter);
+    const stats = this.getStats(summary.events);
+    const hasData = this.events.length > 0;
+    const chipLabel = hasData
+      ? `${stats.total} Ereignisse`
+      : "Noch keine Events";
+    const emptyHint = this.enabled
+      ? "Noch keine Daten – führe eine Suche aus, füge Favoriten hinzu oder lade Wetterdaten, um diese Übersicht zu füllen."
+      : "Analytics sind aus. Erlaube die lokale Erfassung, um diese Übersicht zu füllen.";
+    const emptyState = hasData
+      ? ""
+      : `<p class="analytics-empty">${emptyHint}</p>`;
+    const gridModifier = stats.total ? "" : " analytics-grid--disabled";
+    const esc = (text) => this._escapeHtml(text);
+    const formatTime = (ts) =>
+      new Date(ts).toLocaleString("de-DE", {
+        day: "2-digit",
+        month: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+    const formatMs = (value) =>
+      value === null ? "–" : `${Math.round(value)} ms`;
+
+    const pending = this.getOutbox().length;
+    let collectorStatus = "Events bleiben nur in diesem Browser.";
+    if (this._collectorError) {
+      collectorStatus = this._collectorError;
+    } else if (this.collectorUrl && !this.enabled) {
+      collectorStatus = "Upload pausiert – Analytics sind nicht erlaubt.";
+    } else if (this.collectorUrl) {
+      collectorStatus = pending
+        ? `${pending} Events warten auf den Upload.`
+        : "Alle Events übertragen.";
+    }
+    this._collectorError = null;
+
+    const typeOptions = Object.entries(ANALYTICS_EVENT_META)
+      .map(
+        ([type, meta]) =>
+          `<option value="${type}"${filter.type === type ? " selected" : ""}>${
+            meta.label
+          }</option>`
+      )
+      .join("");
+
+    const providerRows = summary.providers.length
+      ? summary.providers
+          .map(
+            (provider) => `
+              <tr>
+                <th scope="row">${esc(provider.provider)}</th>
+                <td>${provider.calls}</td>
+                <td>${Math.round(provider.errorRate * 100)} %</td>
+                <td>${formatMs(provider.p50)}</td>
+                <td>${formatMs(provider.p90)}</td>
+                <td>${formatMs(provider.p95)}</td>
+              </tr>`
+          )
+          .join("")
+      : '<tr><td colspan="6" class="analytics-none">Keine API-Abfragen im Zeitraum</td></tr>';
+
+    const places = summary.topPlaces.length
+      ? summary.topPlaces
+          .map(
+            (place) =>
+              `<li><span>${esc(place.place)}</span><strong>${
+                place.count
+              }</strong></li>`
+          )
+          .join("")
+      : '<li class="analytics-none">Keine Suchen im Zeitraum</li>';
+
+    const sessions = summary.sessions.length
+      ? summary.sessions
+          .map(
+            (session) => `
+              <li>
+                <div class="analytics-session-head">
+                  <time>${formatTime(session.start)} – ${formatTime(
+                    session.end
+                  )}</time>
+                  <span>${session.events.length} Ereignisse</span>
+                </div>
+                <div class="analytics-session-events">${session.events
+                  .slice(-30)
+                  .map((event) => {
+                    const meta = ANALYTICS_EVENT_META[event.type];
+                    return `<span title="${meta.label} · ${formatTime(
+                      event.ts
+                    )}">${meta.icon}</span>`;
+                  })
+                  .join("")}</div>
+              </li>`
+          )
+          .join("")
+      : '<li class="analytics-none">Keine Sitzungen im Zeitraum</li>';
+
+    container.innerHTML = `
+      <div class="analytics-panel">
+        <div class="analytics-panel-header">
+          <div>
+            <p class="section-subtitle">Lokale Insights</p>
+            <h3>📊 Nutzungsstatistiken</h3>
+          </div>
+          <span class="analytics-chip">${chipLabel}</span>
+        </div>
+        ${emptyState}
+        <div class="analytics-filters">
+          <label>Von
+            <input type="date" class="settings-input" data-analytics-filter="from" value="${esc(
+              filter.from
+            )}">
+          </label>
+          <label>Bis
+            <input type="date" class="settings-input" data-analytics-filter="to" value="${esc(
+              filter.to
+            )}">
+          </label>
+          <label>Ereignis
+            <select class="settings-select" data-analytics-filter="type">
+              <option value="">Alle</option>
+              ${typeOptions}
+            </select>
+          </label>
+        </div>
+        <div class="analytics-grid${gridModifier}">
+          <article><strong>${stats.searches}</strong><span>Suchanfragen</span></article>
+          <article><strong>${stats.apiCalls}</strong><span>API Calls</span></article>
+          <article><strong>${stats.cacheHits}</strong><span>Cache Hits</span></article>
+          <article><strong>${stats.favActions}</strong><span>Favoriten-Aktionen</span></article>
+        </div>
+        <div class="analytics-charts">
+          <figure class="analytics-chart">
+            <figcaption>Suchanfragen pro Tag</figcaption>
+            <canvas data-analytics-chart="searches" width="360" height="200" role="img" aria-label="Suchanfragen pro Tag"></canvas>
+          </figure>
+          <figure class="analytics-chart">
+            <figcaption>Cache-Trefferquote (Provider-Abfragen)</figcaption>
+            <canvas data-analytics-chart="cache" width="360" height="200" role="img" aria-label="Cache-Trefferquote pro Tag"></canvas>
+          </figure>
+        </div>
+        <section class="analytics-section-block">
+          <h4>Provider-Performance</h4>
+          <div class="analytics-table-wrap">
+            <table class="analytics-providers">
+              <thead>
+                <tr><th scope="col">Provider</th><th scope="col">Abfragen</th><th scope="col">Fehlerquote</th><th scope="col">p50</th><th scope="col">p90</th><th scope="col">p95</th></tr>
+              </thead>
+              <tbody>${providerRows}</tbody>
+            </table>
+          </div>
+        </section>
+        <div class="analytics-lists">
+          <section class="analytics-section-block">
+            <h4>Meistgesuchte Orte</h4>
+            <ol class="analytics-places">${places}</ol>
+          </section>
+          <section class="analytics-section-block">
+            <h4>Sitzungen</h4>
+            <ol class="analytics-sessions">${sessions}</ol>
+          </section>
+        </div>
+        <div class="analytics-footer">
+          <label class="analytics-toggle">
+            <input type="checkbox" id="analytics-toggle" ${
+              this.enabled ? "checked" : ""
+            }>
+            <span>Analytics erlauben (nur lokal, max. ${Math.round(
+              this.retentionMs / ANALYTICS_DAY_MS
+            )} Tage)</span>
+          </label>
+          <button id="export-analytics-btn" class="btn-secondary">Analytics exportieren</button>
+          <button id="clear-analytics-btn" class="btn-secondary"${
+            hasData ? "" : " disabled"
+          }>Daten löschen</button>
+        </div>
+        <form class="analytics-collector" novalidate>
+          <label>Sammel-Server (optional, anonymisiert)
+            <input type="url" class="settings-input" name="collector" placeholder="http://localhost:3030/analytics/events" value="${esc(
+              this.collectorUrl
+            )}">
+          </label>
+          <button type="submit" class="btn-secondary">Speichern</button>
+          <small class="analytics-collector-status" role="status">${esc(
+            collectorStatus
+          )}</small>
+        </form>
+      </div>
+    `;
+
+    this._drawDashboardCharts(container, summary);
+
+    const panel = container.querySelector(".analytics-panel");
+    panel.addEventListener("change", (event) => {
+      const field = event.target.dataset?.analyticsFilter;
+      if (!field) return;
+      this.dashboardFilter = { ...filter, [field]: event.target.value };
+      this.renderDashboard(containerId);
+    });
+
+    const toggle = /** @type {HTMLInputElement | null} */ (
+      document.getElementById("analytics-toggle")
     );
+    if (toggle) {
+      toggle.addEventListener("change", (event) => {
+        const input = /** @type {HTMLInputElement} */ (event.target);
+        this.setConsent(Boolean(input?.checked));
+        this.renderDashboard(containerId);
+      });
+    }
+
+    const exportBtn = document.getElementById("export-analytics-btn");
+    if (exportBtn) {
+      exportBtn.addEventListener("click", () => {
+        const blob = new Blob([this.exportData()], {
+          type: "application/json",
+        });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `wetter-analytics-${Date.now()}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+      });
+    }
+
+    const collectorForm = container.querySelector(".analytics-collector");
+    collectorForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      if (!this.setCollectorUrl(collectorForm.elements.collector.value)) {
+        this._collectorError = "Bitte eine http(s)-Adresse angeben.";
+      } else {
+        this.flush();
+      }
+      this.renderDashboard(containerId);
+    });
+
+    const clearBtn = document.getElementById("clear-analytics-btn");
+    if (clearBtn) {
+      clearBtn.addEventListener("click", () => {
+        this.clear();
+        this.renderDashboard(containerId);
+      });
+    }
   }
 
   /**
-   * Clear all analytics data
+   * Zeitreihen mit den Canvas-Helfern aus ui/canvasChart.js
+   * @private
    */
-  clear() {
-    this.events = [];
-    localStorage.removeItem('analytics-events');
-    console.log('📊 Analytics data cleared');
+  _drawDashboardCharts(container, summary) {
+    if (typeof CanvasChart === "undefined" || !summary.days.length) return;
+    const labels = summary.days.map((day) => {
+      const [, month, date] = day.split("-");
+      return `${Number(date)}.${Number(month)}.`;
+    });
+
+    CanvasChart.render(
+      container.querySelector('[data-analytics-chart="searches"]'),
+      {
+        labels,
+        series: [
+          { type: "bar", values: summary.searchesPerDay, color: "#0096FF" },
+        ],
+        max: Math.max(4, ...summary.searchesPerDay),
+      }
+    );
+    CanvasChart.render(
+      container.querySelector('[data-analytics-chart="cache"]'),
+      {
+        labels,
+        series: [
+          {
+            type: "line",
+            values: summary.cacheRatioPerDay.map((ratio) =>
+              ratio === null ? null : ratio * 100
+            ),
+            color: "#28A745",
+          },
+        ],
+        min: 0,
+        max: 100,
+        format: (value) => `${Math.round(value)} %`,
+      }
+    );
   }
-}
 
-// Global singleton
-window.analytics = new Analytics();
+  _escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text == null ? "" : String(text);
+    return div.innerHTML;
+  }
+}
 
-// Export for use in modules
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = Analytics;
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    Analytics,
+    normalizeAnalyticsEvent,
+    anonymizeAnalyticsEvent,
+    coarsenAnalyticsLocation,
+    summarizeAnalytics,
+    analyticsDayKey,
+    ANALYTICS_EVENT_META,
+    ANALYTICS_EVENT_TYPES,
+    ANALYTICS_CONSENT_KEY,
+    ANALYTICS_STORAGE_KEY,
+    ANALYTICS_SCHEMA_VERSION,
+  };
 }
@@ -4,31 +4,37 @@
 
 class APIKeyManager {
   constructor() {
-    this.keys = {
-      openweathermap: null,
-      visualcrossing: null,
-      meteostat: null,
-    };
+    this.keys = {};
+    this.providerIds().forEach((provider) => {
+      this.keys[provider] = null;
+    });
     this.loadKeys();
     this._purgeStaleDemoKeys();
   }
 
+  /**
+   * Provider mit Key-Verwaltung laut Provider-Registry
+   * @returns {string[]}
+   */
+  providerIds() {
+    if (typeof providerRegistry !== "undefined") {
+      return providerRegistry.keyIds();
+    }
+    return Object.keys(this.keys || {});
+  }
+
   /**
    * Lädt alle gespeicherten API-Keys aus localStorage
    */
   loadKeys() {
     try {
-      this.keys.openweathermap =
-        localStorage.getItem("wetter_api_openweathermap") || null;
-      this.keys.visualcrossing =
-        localStorage.getItem("wetter_api_visualcrossing") || null;
-      this.keys.meteostat =
-        localStorage.getItem("wetter_api_meteostat") || null;
-      console.log("✅ API Keys geladen:", {
-        openweathermap: !!this.keys.openweathermap,
-        visualcrossing: !!this.keys.visualcrossing,
-        meteostat: !!this.keys.meteostat,
+      const loaded = {};
+      this.providerIds().forEach((provider) => {
+        this.keys[provider] =
+          localStorage.getItem(`wetter_api_${provider}`) || null;
+        loaded[provider] = !!this.keys[provider];
       });
+      console.log("✅ API Keys geladen:", loaded);
     } catch (e) {
       console.warn("Fehler beim Laden der API-Keys:", e);
     }
@@ -54,11 +60,10 @@ class APIKeyManager {
       return new Set();
     };
 
-    const defaultStale = {
-      openweathermap: new Set(),
-      visualcrossing: new Set(),
-      meteostat: new Set(),
-    };
+    const defaultStale = this.providerIds().reduce((acc, provider) => {
+      acc[provider] = new Set();
+      return acc;
+    }, {});
 
     const staleKeys = Object.keys(defaultStale).reduce((acc, provider) => {
       acc[provider] = toSet(
@@ -85,11 +90,11 @@ class APIKeyManager {
 
   /**
    * Speichert einen API-Key
-   * @param {string} provider - API Provider (openweathermap, visualcrossing, meteostat)
+   * @param {string} provider - Key-ID eines registrierten Providers
    * @param {string} key - API Key
    */
   setKey(provider, key) {
-    if (!["openweathermap", "visualcrossing", "meteostat"].includes(provider)) {
+    if (!this.providerIds().includes(provider)) {
       console.error("Unbekannter API Provider:", provider);
       return false;
     }
@@ -1,13 +1,28 @@
-/* Caching-Logik für API-Antworten */
+/* Caching-Logik für API-Antworten
+ *
+ * Einträge liegen im Arbeitsspeicher und zusätzlich in einem
+ * persistenten Store (IndexedDB, siehe cacheStore.js). Die Gesamtgröße
+ * wird mitgezählt; überschreitet sie CACHE_CONFIG.MAX_SIZE, werden erst
+ * abgelaufene, dann die am längsten unbenutzten Einträge verdrängt.
+ */
 
 class CacheManager {
-  constructor() {
-    this.cache = new Map();
+  /**
+   * @param {object} options - { store, maxSize }
+   */
+  constructor(options = {}) {
+    this.cache = new Map(); // key -> Wert (bereits geladene Einträge)
+    this.index = new Map(); // key -> { type, size, createdAt, expireTime, lastAccess }
+    this.totalSize = 0;
+    this.maxSize = options.maxSize || CACHE_CONFIG.MAX_SIZE;
+    this.store = options.store || createCacheStore();
     this.ttl = {
       WEATHER: 30 * 60 * 1000, // 30 Minuten für Wetterdaten
       GEO: 7 * 24 * 60 * 60 * 1000, // 7 Tage für Geo-Daten
       FORECAST: 60 * 60 * 1000, // 1 Stunde für Vorhersagen
     };
+    this.channel = this._openChannel();
+    this.ready = this._hydrate();
   }
 
   /**
@@ -15,74 +30,110 @@ class CacheManager {
    * @param {string} key - Cache-Schlüssel
    * @param {*} value - Zu speichernder Wert
    * @param {string} type - Cache-Typ (WEATHER, GEO, FORECAST)
+   * @returns {Promise<boolean>} - false wenn der Eintrag größer als MAX_SIZE ist
    */
-  set(key, value, type = "WEATHER") {
-    const expireTime = Date.now() + this.ttl[type];
-    this.cache.set(key, {
-      value,
-      expireTime,
-      createdAt: Date.now(),
+  async set(key, value, type = "WEATHER") {
+    await this.ready;
+    const now = Date.now();
+    const size = this._sizeOf(value);
+    if (size > this.maxSize) {
+      console.warn(`Cache-Eintrag zu groß (${size} Bytes): ${key}`);
+      return false;
+    }
+
+    const meta = {
+      key,
       type,
-    });
-    this._saveToLocalStorage(key);
+      size,
+      createdAt: now,
+      expireTime: now + this.ttl[type],
+      lastAccess: now,
+    };
+    this._track(meta);
+    this.cache.set(key, value);
+    await this._evict(key);
+
+    try {
+      await this.store.put(meta, value);
+      this._broadcast({ op: "set", meta });
+    } catch (e) {
+      console.warn("Cache konnte nicht gespeichert werden:", e);
+    }
+    return true;
   }
 
   /**
    * Holt Daten aus dem Cache
    * @param {string} key - Cache-Schlüssel
-   * @returns {*} - Gecachter Wert oder null wenn abgelaufen
+   * @returns {Promise<*>} - Gecachter Wert oder null wenn abgelaufen
    */
-  get(key) {
-    const cached = this.cache.get(key) || this._loadFromLocalStorage(key);
-
-    if (!cached) {
+  async get(key) {
+    await this.ready;
+    const meta = this.index.get(key);
+    if (!meta) {
       return null;
     }
 
     // Prüfe ob Cache abgelaufen ist
-    if (cached.expireTime < Date.now()) {
-      this.delete(key);
+    if (meta.expireTime < Date.now()) {
+      await this.delete(key);
       return null;
     }
 
+    let value = this.cache.get(key);
+    if (value === undefined) {
+      const entry = await this._readEntry(key);
+      if (!entry) {
+        // Eintrag wurde inzwischen woanders gelöscht
+        this._untrack(key);
+        return null;
+      }
+      value = entry.value;
+      this.cache.set(key, value);
+    }
+
+    meta.lastAccess = Date.now();
+    this.store.touch(key, meta.lastAccess).catch(() => {});
+
     this._emitAnalyticsEvent("cache_hit", {
       key,
-      type: cached.type || "unknown",
-      ageMs: Date.now() - (cached.createdAt || Date.now()),
+      type: meta.type || "unknown",
+      ageMs: Date.now() - (meta.createdAt || Date.now()),
     });
 
-    return cached.value;
+    return value;
   }
 
   /**
    * Prüft ob ein Cache-Eintrag existiert und noch gültig ist
    * @param {string} key - Cache-Schlüssel
-   * @returns {boolean}
+   * @returns {Promise<boolean>}
    */
-  has(key) {
-    return this.get(key) !== null;
+  async has(key) {
+    return (await this.get(key)) !== null;
   }
 
   /**
    * Löscht einen Cache-Eintrag
    * @param {string} key - Cache-Schlüssel
    */
-  delete(key) {
-    this.cache.delete(key);
-    localStorage.removeItem(`cache_${key}`);
+  async delete(key) {
+    await this._remove([key]);
   }
 
   /**
    * Löscht alle Cache-Einträge
    */
-  clear() {
+  async clear() {
+    await this.ready;
     this.cache.clear();
-    // Lösche alle Cache-Einträge aus localStorage
-    for (let i = localStorage.length - 1; i >= 0; i--) {
-      const key = localStorage.key(i);
-      if (key.startsWith("cache_")) {
-        localStorage.removeItem(key);
-      }
+    this.index.clear();
+    this.totalSize = 0;
+    try {
+      await this.store.clear();
+      this._broadcast({ op: "clear" });
+    } catch (e) {
+      console.warn("Cache konnte nicht geleert werden:", e);
     }
     this._emitAnalyticsEvent("cache_clear", { scope: "all" });
   }
@@ -92,73 +143,232 @@ class CacheManager {
    * @returns {object} - Anzahl und Größe der Cache-Einträge
    */
   getStats() {
-    let totalSize = 0;
     const entries = [];
 
-    this.cache.forEach((item, key) => {
-      const size = JSON.stringify(item.value).length;
-      totalSize += size;
+    this.index.forEach((meta, key) => {
       entries.push({
         key,
-        type: item.type,
-        size,
-        age: Date.now() - item.createdAt,
-        expiresIn: item.expireTime - Date.now(),
+        type: meta.type,
+        size: meta.size,
+        age: Date.now() - meta.createdAt,
+        expiresIn: meta.expireTime - Date.now(),
       });
     });
 
     return {
-      totalEntries: this.cache.size,
-      totalSize: totalSize,
+      totalEntries: this.index.size,
+      totalSize: this.totalSize,
+      maxSize: this.maxSize,
       entries,
     };
   }
 
   /**
    * Löscht abgelaufene Cache-Einträge
+   * @returns {Promise<number>} - Anzahl entfernter Einträge
    */
-  cleanupExpired() {
-    let cleaned = 0;
-    this.cache.forEach((item, key) => {
-      if (item.expireTime < Date.now()) {
-        this.delete(key);
-        cleaned++;
-      }
-    });
-    return cleaned;
+  async cleanupExpired() {
+    await this.ready;
+    const expired = this._expiredKeys();
+    await this._remove(expired);
+    return expired.length;
   }
 
   /**
-   * Speichert Cache in localStorage
+   * Lädt die Metadaten aus dem Store und übernimmt alte localStorage-Einträge
    * @private
    */
-  _saveToLocalStorage(key) {
+  async _hydrate() {
+    let metas;
     try {
-      const item = this.cache.get(key);
-      if (item) {
-        localStorage.setItem(`cache_${key}`, JSON.stringify(item));
+      metas = await this.store.getAllMeta();
+    } catch (e) {
+      // IndexedDB blockiert (z.B. Private-Modus): nur Arbeitsspeicher
+      console.warn("Cache-Datenbank nicht verfügbar:", e);
+      this.store = new MemoryCacheStore();
+      this._closeChannel();
+      metas = [];
+    }
+    metas.forEach((meta) => this._track(meta));
+    await this._migrateLocalStorage();
+    await this._evict();
+  }
+
+  /**
+   * Übernimmt Einträge aus dem früheren localStorage-Cache ("cache_<key>")
+   * @private
+   */
+  async _migrateLocalStorage() {
+    if (typeof localStorage === "undefined") return;
+    const now = Date.now();
+    for (let i = localStorage.length - 1; i >= 0; i--) {
+      const storageKey = localStorage.key(i);
+      if (!storageKey || !storageKey.startsWith("cache_")) continue;
+      const key = storageKey.slice("cache_".length);
+      try {
+        const item = JSON.parse(localStorage.getItem(storageKey));
+        if (item && item.expireTime > now && !this.index.has(key)) {
+          const meta = {
+            key,
+            type: item.type || "WEATHER",
+            size: this._sizeOf(item.value),
+            createdAt: item.createdAt || now,
+            expireTime: item.expireTime,
+            lastAccess: item.createdAt || now,
+          };
+          await this.store.put(meta, item.value);
+          this._track(meta);
+        }
+      } catch (e) {
+        console.warn("Alter Cache-Eintrag nicht übernommen:", storageKey, e);
       }
+      localStorage.removeItem(storageKey);
+    }
+  }
+
+  /**
+   * Verdrängt Einträge bis die Gesamtgröße unter MAX_SIZE liegt
+   * @param {string} protectedKey - gerade geschriebener Eintrag
+   * @private
+   */
+  async _evict(protectedKey = null) {
+    if (this.totalSize <= this.maxSize) return;
+
+    const victims = [];
+    let size = this.totalSize;
+    const candidates = [
+      ...this._expiredKeys().map((key) => this.index.get(key)),
+      ...Array.from(this.index.values())
+        .filter((meta) => meta.expireTime >= Date.now())
+        .sort((a, b) => a.lastAccess - b.lastAccess),
+    ];
+    for (const meta of candidates) {
+      if (size <= this.maxSize) break;
+      if (meta.key === protectedKey) continue;
+      victims.push(meta.key);
+      size -= meta.size;
+    }
+
+    await this._remove(victims);
+    if (victims.length) {
+      this._emitAnalyticsEvent("cache_evict", {
+        count: victims.length,
+        totalSize: this.totalSize,
+        maxSize: this.maxSize,
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _remove(keys) {
+    if (!keys.length) return;
+    keys.forEach((key) => this._untrack(key));
+    try {
+      await this.store.delete(keys);
+      this._broadcast({ op: "delete", keys });
     } catch (e) {
-      console.warn("localStorage voll oder deaktiviert:", e);
+      console.warn("Cache-Einträge konnten nicht gelöscht werden:", e);
     }
   }
 
   /**
-   * Lädt Cache aus localStorage
    * @private
    */
-  _loadFromLocalStorage(key) {
+  async _readEntry(key) {
     try {
-      const stored = localStorage.getItem(`cache_${key}`);
-      if (stored) {
-        const item = JSON.parse(stored);
-        this.cache.set(key, item);
-        return item;
-      }
+      return await this.store.getEntry(key);
     } catch (e) {
-      console.warn("Fehler beim Laden aus localStorage:", e);
+      console.warn("Fehler beim Laden aus dem Cache-Speicher:", e);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _track(meta) {
+    this._untrack(meta.key);
+    this.index.set(meta.key, { ...meta });
+    this.totalSize += meta.size;
+  }
+
+  /**
+   * @private
+   */
+  _untrack(key) {
+    const meta = this.index.get(key);
+    if (meta) this.totalSize -= meta.size;
+    this.index.delete(key);
+    this.cache.delete(key);
+  }
+
+  /**
+   * @private
+   */
+  _expiredKeys() {
+    const now = Date.now();
+    return Array.from(this.index.values())
+      .filter((meta) => meta.expireTime < now)
+      .map((meta) => meta.key);
+  }
+
+  /**
+   * Größe als Länge der JSON-Darstellung (wie bisher in getStats)
+   * @private
+   */
+  _sizeOf(value) {
+    try {
+      return (JSON.stringify(value) || "").length;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  /**
+   * Hält Tabs und Service Worker mit gemeinsamem Store synchron
+   * @private
+   */
+  _openChannel() {
+    if (!this.store.shared || typeof BroadcastChannel === "undefined") {
+      return null;
+    }
+    const channel = new BroadcastChannel(CACHE_CHANNEL_NAME);
+    channel.onmessage = (event) => this._applyRemoteChange(event.data);
+    return channel;
+  }
+
+  /**
+   * @private
+   */
+  _closeChannel() {
+    if (this.channel) this.channel.close();
+    this.channel = null;
+  }
+
+  /**
+   * @private
+   */
+  _broadcast(message) {
+    if (this.channel) this.channel.postMessage(message);
+  }
+
+  /**
+   * Übernimmt Änderungen anderer Kontexte in den lokalen Index
+   * @private
+   */
+  _applyRemoteChange(message) {
+    if (!message || !message.op) return;
+    if (message.op === "set" && message.meta) {
+      this._track(message.meta);
+    } else if (message.op === "delete" && Array.isArray(message.keys)) {
+      message.keys.forEach((key) => this._untrack(key));
+    } else if (message.op === "clear") {
+      this.cache.clear();
+      this.index.clear();
+      this.totalSize = 0;
     }
-    return null;
   }
 
   _emitAnalyticsEvent(type, detail = {}) {
@@ -186,13 +396,13 @@ class WeatherCache extends CacheManager {
    */
   setWeather(city, data) {
     const key = this._normalizeCity(city);
-    this.set(key, data, "WEATHER");
+    return this.set(key, data, "WEATHER");
   }
 
   /**
    * Holt Wetterdaten für eine Location
    * @param {string} city - Stadtname
-   * @returns {object|null}
+   * @returns {Promise<object|null>}
    */
   getWeather(city) {
     const key = this._normalizeCity(city);
@@ -206,13 +416,13 @@ class WeatherCache extends CacheManager {
    */
   setGeo(city, geoData) {
     const key = `geo_${this._normalizeCity(city)}`;
-    this.set(key, geoData, "GEO");
+    return this.set(key, geoData, "GEO");
   }
 
   /**
    * Holt Geo-Koordinaten
    * @param {string} city - Stadtname
-   * @returns {object|null}
+   * @returns {Promise<object|null>}
    */
   getGeo(city) {
     const key = `geo_${this._normalizeCity(city)}`;
@@ -227,14 +437,14 @@ class WeatherCache extends CacheManager {
    */
   setForecast(city, source, data) {
     const key = `forecast_${this._normalizeCity(city)}_${source}`;
-    this.set(key, data, "FORECAST");
+    return this.set(key, data, "FORECAST");
   }
 
   /**
    * Holt Vorhersage-Daten
    * @param {string} city - Stadtname
    * @param {string} source - API-Quelle
-   * @returns {object|null}
+   * @returns {Promise<object|null>}
    */
   getForecast(city, source) {
     const key = `forecast_${this._normalizeCity(city)}_${source}`;
@@ -285,8 +495,8 @@ const weatherCache = new WeatherCache();
  */
 function setCacheInvalidation() {
   // Räume jeden Minute abgelaufene Einträge auf
-  setInterval(() => {
-    const cleaned = weatherCache.cleanupExpired();
+  setInterval(async () => {
+    const cleaned = await weatherCache.cleanupExpired();
     if (cleaned > 0) {
       console.log(
         `🧹 Cache bereinigt: ${cleaned} abgelaufene Einträge entfernt`
@@ -302,3 +512,7 @@ function logCache(operation, key, success = true) {
   const emoji = success ? "✅" : "❌";
   console.log(`${emoji} Cache ${operation}: ${key}`);
 }
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { CacheManager, WeatherCache };
+}
@@ -0,0 +1,248 @@
+/* Persistenter Speicher für den CacheManager
+ *
+ * Läuft im Fenster und im Service Worker (importScripts nach idb.js), beide
+ * öffnen dieselbe IndexedDB. Werte und Metadaten liegen in getrennten Object
+ * Stores, damit Größenabrechnung und LRU-Verdrängung nur die kleinen
+ * Metadaten laden müssen.
+ *
+ * Ohne IndexedDB (Tests, manche Private-Modi) greift MemoryCacheStore.
+ */
+
+const CACHE_DB_NAME = "calchas-cache";
+// Schema-Version der Datenbank; bei Änderungen Migration ergänzen
+const CACHE_DB_VERSION = 1;
+const CACHE_DB_STORES = {
+  ENTRIES: "entries", // { key, value }
+  META: "meta", // { key, type, size, createdAt, expireTime, lastAccess }
+};
+// Benachrichtigt andere Tabs und den Service Worker über Änderungen
+const CACHE_CHANNEL_NAME = "calchas-cache";
+
+// Migrationen je Zielversion, laufen in onupgradeneeded der Reihe nach
+const CACHE_DB_MIGRATIONS = {
+  1: (db) => {
+    db.createObjectStore(CACHE_DB_STORES.ENTRIES, { keyPath: "key" });
+    const meta = db.createObjectStore(CACHE_DB_STORES.META, {
+      keyPath: "key",
+    });
+    meta.createIndex("lastAccess", "lastAccess");
+    meta.createIndex("expireTime", "expireTime");
+  },
+};
+
+// IndexedDB-Helfer (utils/idb.js): im Browser vorher geladen, sonst require
+const cacheIdb =
+  typeof idbRequest === "function"
+    ? { idbRequest, idbTransactionDone }
+    : require("./idb.js");
+
+class IndexedDBCacheStore {
+  constructor(options = {}) {
+    this.name = options.name || CACHE_DB_NAME;
+    this.version = options.version || CACHE_DB_VERSION;
+    this.migrations = options.migrations || CACHE_DB_MIGRATIONS;
+    this.factory = options.indexedDB || globalThis.indexedDB;
+    // Andere Kontexte sehen dieselben Daten
+    this.shared = true;
+    this._db = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== "undefined" && indexedDB !== null;
+  }
+
+  /**
+   * Öffnet die Datenbank und führt ausstehende Migrationen aus
+   * @private
+   */
+  _open() {
+    if (this._db) return this._db;
+    this._db = new Promise((resolve, reject) => {
+      const request = this.factory.open(this.name, this.version);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        for (let v = event.oldVersion + 1; v <= this.version; v++) {
+          this.migrations[v]?.(db, request.transaction);
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Neuere Version in anderem Tab: Verbindung freigeben
+        db.onversionchange = () => {
+          db.close();
+          this._db = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () =>
+        console.warn("Cache-Datenbank wartet auf andere Tabs (Upgrade)");
+    });
+    // Fehlgeschlagenes Öffnen beim nächsten Zugriff erneut versuchen
+    this._db.catch(() => {
+      this._db = null;
+    });
+    return this._db;
+  }
+
+  /**
+   * Metadaten aller Einträge (ohne Werte)
+   * @returns {Promise<array>}
+   */
+  async getAllMeta() {
+    const db = await this._open();
+    const tx = db.transaction(CACHE_DB_STORES.META, "readonly");
+    return cacheIdb.idbRequest(tx.objectStore(CACHE_DB_STORES.META).getAll());
+  }
+
+  /**
+   * @returns {Promise<object|null>} - { meta, value } oder null
+   */
+  async getEntry(key) {
+    const db = await this._open();
+    const tx = db.transaction(
+      [CACHE_DB_STORES.META, CACHE_DB_STORES.ENTRIES],
+      "readonly"
+    );
+    const [meta, entry] = await Promise.all([
+      cacheIdb.idbRequest(tx.objectStore(CACHE_DB_STORES.META).get(key)),
+      cacheIdb.idbRequest(tx.objectStore(CACHE_DB_STORES.ENTRIES).get(key)),
+    ]);
+    return meta && entry ? { meta, value: entry.value } : null;
+  }
+
+  async put(meta, value) {
+    const db = await this._open();
+    const tx = db.transaction(
+      [CACHE_DB_STORES.META, CACHE_DB_STORES.ENTRIES],
+      "readwrite"
+    );
+    tx.objectStore(CACHE_DB_STORES.META).put(meta);
+    tx.objectStore(CACHE_DB_STORES.ENTRIES).put({ key: meta.key, value });
+    return cacheIdb.idbTransactionDone(tx);
+  }
+
+  /**
+   * Aktualisiert nur den LRU-Zeitstempel
+   */
+  async touch(key, lastAccess) {
+    const db = await this._open();
+    const tx = db.transaction(CACHE_DB_STORES.META, "readwrite");
+    const store = tx.objectStore(CACHE_DB_STORES.META);
+    const meta = await cacheIdb.idbRequest(store.get(key));
+    if (meta) store.put({ ...meta, lastAccess });
+    return cacheIdb.idbTransactionDone(tx);
+  }
+
+  async delete(keys) {
+    if (!keys.length) return;
+    const db = await this._open();
+    const tx = db.transaction(
+      [CACHE_DB_STORES.META, CACHE_DB_STORES.ENTRIES],
+      "readwrite"
+    );
+    keys.forEach((key) => {
+      tx.objectStore(CACHE_DB_STORES.META).delete(key);
+      tx.objectStore(CACHE_DB_STORES.ENTRIES).delete(key);
+    });
+    return cacheIdb.idbTransactionDone(tx);
+  }
+
+  async clear() {
+    const db = await this._open();
+    const tx = db.transaction(
+      [CACHE_DB_STORES.META, CACHE_DB_STORES.ENTRIES],
+      "readwrite"
+    );
+    tx.objectStore(CACHE_DB_STORES.META).clear();
+    tx.objectStore(CACHE_DB_STORES.ENTRIES).clear();
+    return cacheIdb.idbTransactionDone(tx);
+  }
+
+  /**
+   * Entfernt abgelaufene Einträge (auch aus dem Service Worker nutzbar)
+   * @returns {Promise<string[]>} - gelöschte Schlüssel
+   */
+  async deleteExpired(now = Date.now()) {
+    const db = await this._open();
+    const tx = db.transaction(CACHE_DB_STORES.META, "readonly");
+    const expired = await cacheIdb.idbRequest(
+      tx
+        .objectStore(CACHE_DB_STORES.META)
+        .index("expireTime")
+        .getAllKeys(IDBKeyRange.upperBound(now, true))
+    );
+    await this.delete(expired);
+    return expired;
+  }
+}
+
+/**
+ * Flüchtiger Speicher mit derselben Schnittstelle (Tests, Fallback)
+ */
+class MemoryCacheStore {
+  constructor() {
+    this.shared = false;
+    this.meta = new Map();
+    this.values = new Map();
+  }
+
+  async getAllMeta() {
+    return Array.from(this.meta.values(), (meta) => ({ ...meta }));
+  }
+
+  async getEntry(key) {
+    if (!this.meta.has(key)) return null;
+    return { meta: { ...this.meta.get(key) }, value: this.values.get(key) };
+  }
+
+  async put(meta, value) {
+    this.meta.set(meta.key, { ...meta });
+    this.values.set(meta.key, value);
+  }
+
+  async touch(key, lastAccess) {
+    const meta = this.meta.get(key);
+    if (meta) meta.lastAccess = lastAccess;
+  }
+
+  async delete(keys) {
+    keys.forEach((key) => {
+      this.meta.delete(key);
+      this.values.delete(key);
+    });
+  }
+
+  async clear() {
+    this.meta.clear();
+    this.values.clear();
+  }
+
+  async deleteExpired(now = Date.now()) {
+    const expired = Array.from(this.meta.values())
+      .filter((meta) => meta.expireTime < now)
+      .map((meta) => meta.key);
+    await this.delete(expired);
+    return expired;
+  }
+}
+
+/**
+ * IndexedDB wenn verfügbar, sonst Arbeitsspeicher
+ */
+function createCacheStore() {
+  return IndexedDBCacheStore.isSupported()
+    ? new IndexedDBCacheStore()
+    : new MemoryCacheStore();
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    IndexedDBCacheStore,
+    MemoryCacheStore,
+    createCacheStore,
+    CACHE_DB_NAME,
+    CACHE_DB_VERSION,
+    CACHE_CHANNEL_NAME,
+  };
+}
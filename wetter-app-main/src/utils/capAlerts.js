@@ -0,0 +1,483 @@
+/**
+ * CAP 1.2 (Common Alerting Protocol) Parser und Lebenszyklus von Warnungen
+ *
+ * parseCapXml() liest einzelne CAP-Dokumente (z.B. DWD) ebenso wie
+ * Atom-Feeds (MeteoAlarm), deren Einträge entweder ein eingebettetes
+ * <alert> oder nur cap:-Felder enthalten.
+ *
+ * CapAlertStore wendet die Meldungen in Reihenfolge an: "Update" ersetzt
+ * die referenzierten Warnungen, "Cancel" entfernt sie.
+ *
+ * Spezifikation: https://docs.oasis-open.org/emergency/cap/v1.2/CAP-v1.2.html
+ */
+
+/**
+ * @typedef {Object} CapArea
+ * @property {string} description - areaDesc
+ * @property {Array<Array<[number, number]>>} polygons - Ringe aus [lat, lon]
+ * @property {Array<{lat: number, lon: number, radiusKm: number}>} circles
+ * @property {Array<{valueName: string, value: string}>} geocodes - z.B. WARNCELLID, EMMA_ID
+ */
+
+/**
+ * @typedef {Object} CapInfo
+ * @property {string} language - z.B. "de-DE"
+ * @property {string[]} categories
+ * @property {string} event
+ * @property {string[]} responseTypes
+ * @property {string} urgency - Immediate | Expected | Future | Past | Unknown
+ * @property {string} severity - Extreme | Severe | Moderate | Minor | Unknown
+ * @property {string} certainty - Observed | Likely | Possible | Unlikely | Unknown
+ * @property {Array<{valueName: string, value: string}>} eventCodes
+ * @property {string|null} effective
+ * @property {string|null} onset
+ * @property {string|null} expires
+ * @property {string|null} senderName
+ * @property {string|null} headline
+ * @property {string|null} description
+ * @property {string|null} instruction
+ * @property {string|null} web
+ * @property {Array<{valueName: string, value: string}>} parameters
+ * @property {CapArea[]} areas
+ */
+
+/**
+ * @typedef {Object} CapAlert
+ * @property {string} identifier
+ * @property {string} sender
+ * @property {string|null} sent
+ * @property {string} status - Actual | Exercise | System | Test | Draft
+ * @property {string} msgType - Alert | Update | Cancel | Ack | Error
+ * @property {string|null} scope
+ * @property {Array<{sender: string, identifier: string, sent: string}>} references
+ * @property {string|null} note
+ * @property {CapInfo[]} info
+ */
+
+const CAP_MSG_TYPES = ["Alert", "Update", "Cancel", "Ack", "Error"];
+// Wie lange eine ersetzte Kennung gesperrt bleibt, wenn kein Ablauf bekannt ist
+const CAP_RETIRED_FALLBACK_MS = 48 * 60 * 60 * 1000;
+
+// Reihenfolge für Sortierung und Farbstufen
+const CAP_SEVERITY_RANK = {
+  Extreme: 4,
+  Severe: 3,
+  Moderate: 2,
+  Minor: 1,
+  Unknown: 0,
+};
+
+/**
+ * Direkte Kindelemente mit passendem lokalen Namen (namespace-unabhängig)
+ * @private
+ */
+function capChildren(element, name) {
+  if (!element) return [];
+  return Array.from(element.children).filter(
+    (child) => child.localName === name
+  );
+}
+
+/**
+ * Textinhalt des ersten Kindelements oder null
+ * @private
+ */
+function capText(element, name) {
+  const child = capChildren(element, name)[0];
+  const text = child ? child.textContent.trim() : "";
+  return text || null;
+}
+
+/**
+ * @private
+ */
+function capTexts(element, name) {
+  return capChildren(element, name)
+    .map((child) => child.textContent.trim())
+    .filter(Boolean);
+}
+
+/**
+ * valueName/value-Paare (eventCode, geocode, parameter)
+ * @private
+ */
+function capPairs(element, name) {
+  return capChildren(element, name)
+    .map((child) => ({
+      valueName: capText(child, "valueName"),
+      value: capText(child, "value"),
+    }))
+    .filter((pair) => pair.valueName && pair.value !== null);
+}
+
+/**
+ * "lat,lon lat,lon ..." → [[lat, lon], ...]; ungültige Ringe ergeben null
+ * @private
+ */
+function parseCapPolygon(text) {
+  const points = String(text)
+    .trim()
+    .split(/\s+/)
+    .map((pair) => pair.split(",").map(Number));
+  const valid = points.every(
+    (point) => point.length === 2 && point.every(Number.isFinite)
+  );
+  // CAP verlangt mindestens vier Punkte, erster = letzter
+  return valid && points.length >= 4 ? points : null;
+}
+
+/**
+ * "lat,lon radius" (Radius in km) → { lat, lon, radiusKm }
+ * @private
+ */
+function parseCapCircle(text) {
+  const [center, radius] = String(text).trim().split(/\s+/);
+  const [lat, lon] = String(center || "")
+    .split(",")
+    .map(Number);
+  const radiusKm = Number(radius);
+  if (![lat, lon, radiusKm].every(Number.isFinite)) return null;
+  return { lat, lon, radiusKm };
+}
+
+/**
+ * @private
+ * @returns {CapArea}
+ */
+function parseCapArea(area) {
+  return {
+    description: capText(area, "areaDesc") || "",
+    polygons: capTexts(area, "polygon").map(parseCapPolygon).filter(Boolean),
+    circles: capTexts(area, "circle").map(parseCapCircle).filter(Boolean),
+    geocodes: capPairs(area, "geocode"),
+  };
+}
+
+/**
+ * @private
+ * @returns {CapInfo}
+ */
+function parseCapInfo(info) {
+  return {
+    language: capText(info, "language") || "en-US",
+    categories: capTexts(info, "category"),
+    event: capText(info, "event") || "",
+    responseTypes: capTexts(info, "responseType"),
+    urgency: capText(info, "urgency") || "Unknown",
+    severity: capText(info, "severity") || "Unknown",
+    certainty: capText(info, "certainty") || "Unknown",
+    eventCodes: capPairs(info, "eventCode"),
+    effective: capText(info, "effective"),
+    onset: capText(info, "onset"),
+    expires: capText(info, "expires"),
+    senderName: capText(info, "senderName"),
+    headline: capText(info, "headline"),
+    description: capText(info, "description"),
+    instruction: capText(info, "instruction"),
+    web: capText(info, "web"),
+    parameters: capPairs(info, "parameter"),
+    areas: capChildren(info, "area").map(parseCapArea),
+  };
+}
+
+/**
+ * "sender,identifier,sent sender,identifier,sent" → Referenzliste
+ * @private
+ */
+function parseCapReferences(text) {
+  if (!text) return [];
+  return text
+    .trim()
+    .split(/\s+/)
+    .map((triple) => {
+      const [sender, identifier, sent] = triple.split(",");
+      return sender && identifier
+        ? { sender, identifier, sent: sent || null }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Liest ein <alert>-Element
+ * @param {Element} element
+ * @returns {CapAlert|null} - null ohne identifier
+ */
+function parseCapAlertElement(element) {
+  const identifier = capText(element, "identifier");
+  if (!identifier) return null;
+
+  const msgType = capText(element, "msgType");
+  return {
+    identifier,
+    sender: capText(element, "sender") || "",
+    sent: capText(element, "sent"),
+    status: capText(element, "status") || "Actual",
+    msgType: CAP_MSG_TYPES.includes(msgType) ? msgType : "Alert",
+    scope: capText(element, "scope"),
+    references: parseCapReferences(capText(element, "references")),
+    note: capText(element, "note"),
+    info: capChildren(element, "info").map(parseCapInfo),
+  };
+}
+
+/**
+ * Baut eine CAP-Meldung aus den cap:-Feldern eines Atom-Eintrags
+ * (MeteoAlarm-Feeds ohne eingebettetes <alert>)
+ * @private
+ */
+function capAlertFromAtomEntry(entry) {
+  const identifier = capText(entry, "identifier") || capText(entry, "id");
+  if (!identifier) return null;
+
+  const msgType = capText(entry, "message_type") || capText(entry, "msgType");
+  const area = {
+    description: capText(entry, "areaDesc") || "",
+    polygons: capTexts(entry, "polygon").map(parseCapPolygon).filter(Boolean),
+    circles: capTexts(entry, "circle").map(parseCapCircle).filter(Boolean),
+    geocodes: capPairs(entry, "geocode"),
+  };
+  return {
+    identifier,
+    sender: capText(entry, "sender") || "",
+    sent: capText(entry, "sent") || capText(entry, "updated"),
+    status: capText(entry, "status") || "Actual",
+    msgType: CAP_MSG_TYPES.includes(msgType) ? msgType : "Alert",
+    scope: capText(entry, "scope"),
+    references: parseCapReferences(capText(entry, "references")),
+    note: null,
+    info: [
+      {
+        language: capText(entry, "language") || "en-US",
+        categories: capTexts(entry, "category"),
+        event: capText(entry, "event") || capText(entry, "title") || "",
+        responseTypes: capTexts(entry, "responseType"),
+        urgency: capText(entry, "urgency") || "Unknown",
+        severity: capText(entry, "severity") || "Unknown",
+        certainty: capText(entry, "certainty") || "Unknown",
+        eventCodes: capPairs(entry, "eventCode"),
+        effective: capText(entry, "effective"),
+        onset: capText(entry, "onset"),
+        expires: capText(entry, "expires"),
+        senderName: null,
+        headline: capText(entry, "title"),
+        description: capText(entry, "summary"),
+        instruction: null,
+        web: null,
+        parameters: ["awareness_level", "awareness_type"]
+          .map((name) => ({ valueName: name, value: capText(entry, name) }))
+          .filter((pair) => pair.value !== null),
+        areas: area.description || area.geocodes.length ? [area] : [],
+      },
+    ],
+  };
+}
+
+/**
+ * Parst ein CAP-Dokument oder einen Atom-Feed mit CAP-Einträgen
+ * @param {string} xmlText
+ * @returns {CapAlert[]}
+ * @throws {Error} bei ungültigem XML
+ */
+function parseCapXml(xmlText) {
+  const doc = new DOMParser().parseFromString(
+    String(xmlText || ""),
+    "application/xml"
+  );
+  const root = doc.documentElement;
+  if (
+    !root ||
+    root.localName === "parsererror" ||
+    doc.getElementsByTagName("parsererror").length
+  ) {
+    throw new Error("Ungültiges CAP-XML");
+  }
+
+  if (root.localName === "alert") {
+    return [parseCapAlertElement(root)].filter(Boolean);
+  }
+
+  if (root.localName === "feed") {
+    return capChildren(root, "entry")
+      .map((entry) => {
+        const embedded = entry.getElementsByTagNameNS("*", "alert")[0];
+        return embedded
+          ? parseCapAlertElement(embedded)
+          : capAlertFromAtomEntry(entry);
+      })
+      .filter(Boolean);
+  }
+
+  throw new Error(`Unbekanntes CAP-Wurzelelement: ${root.localName}`);
+}
+
+/**
+ * Wählt den info-Block in der gewünschten Sprache (Präfix, z.B. "de"),
+ * sonst den ersten
+ * @param {CapAlert} alert
+ * @param {string} language
+ * @returns {CapInfo|null}
+ */
+function pickCapInfo(alert, language = "de") {
+  const infos = alert?.info || [];
+  const wanted = String(language).toLowerCase();
+  return (
+    infos.find((info) => info.language.toLowerCase().startsWith(wanted)) ||
+    infos[0] ||
+    null
+  );
+}
+
+/**
+ * Schlüssel einer Meldung, wie er in references verwendet wird
+ * @param {{sender: string, identifier: string}} alert
+ * @returns {string}
+ */
+function capAlertKey(alert) {
+  return `${alert.sender}|${alert.identifier}`;
+}
+
+/**
+ * Spätestes Ablaufdatum aller info-Blöcke (ms) oder Infinity
+ * @private
+ */
+function capExpiresAt(alert) {
+  const times = alert.info
+    .map((info) => Date.parse(info.expires))
+    .filter(Number.isFinite);
+  return times.length === alert.info.length && times.length
+    ? Math.max(...times)
+    : Infinity;
+}
+
+/**
+ * Hält den aktuellen Stand der Warnungen über mehrere Abrufe hinweg
+ */
+class CapAlertStore {
+  /**
+   * @param {object} options - { statuses } (standardmäßig nur "Actual")
+   */
+  constructor(options = {}) {
+    this.statuses = options.statuses || ["Actual"];
+    this.alerts = new Map();
+    // Ersetzte oder aufgehobene Meldungen (Schlüssel -> Ablauf in ms);
+    // verhindert, dass ein später erneut ausgelieferter Alt-Stand wieder
+    // auftaucht. prune() entfernt sie mit ihrem Ablauf.
+    this.retired = new Map();
+  }
+
+  /**
+   * Wendet eine Meldung an
+   * @param {CapAlert} alert
+   * @returns {string} - "added" | "updated" | "cancelled" | "ignored"
+   */
+  apply(alert) {
+    if (!alert || !this.statuses.includes(alert.status)) return "ignored";
+    const key = capAlertKey(alert);
+    if (this.retired.has(key)) return "ignored";
+
+    if (alert.msgType === "Ack" || alert.msgType === "Error") {
+      return "ignored";
+    }
+
+    // Ablauf der Meldung selbst; Cancel-Meldungen haben oft keinen
+    const ownExpiry = capExpiresAt(alert);
+    const retireUntil = Number.isFinite(ownExpiry)
+      ? ownExpiry
+      : (Date.parse(alert.sent) || Date.now()) + CAP_RETIRED_FALLBACK_MS;
+
+    if (alert.msgType === "Update" || alert.msgType === "Cancel") {
+      alert.references.forEach((ref) => {
+        const refKey = capAlertKey(ref);
+        const referenced = this.alerts.get(refKey);
+        const expiresAt = referenced ? capExpiresAt(referenced) : Infinity;
+        this.alerts.delete(refKey);
+        this._retire(
+          refKey,
+          Number.isFinite(expiresAt) ? expiresAt : retireUntil
+        );
+      });
+    }
+
+    if (alert.msgType === "Cancel") {
+      this.alerts.delete(key);
+      this._retire(key, retireUntil);
+      return "cancelled";
+    }
+
+    const existed = this.alerts.has(key);
+    this.alerts.set(key, alert);
+    return alert.msgType === "Update" || existed ? "updated" : "added";
+  }
+
+  /**
+   * Sperrt eine Kennung bis zu ihrem Ablauf
+   * @private
+   */
+  _retire(key, expiresAt) {
+    this.retired.set(key, Math.max(this.retired.get(key) || 0, expiresAt));
+  }
+
+  /**
+   * @param {CapAlert[]} alerts - in Versandreihenfolge (ältere zuerst)
+   */
+  applyAll(alerts) {
+    const sorted = alerts
+      .slice()
+      .sort((a, b) => (Date.parse(a.sent) || 0) - (Date.parse(b.sent) || 0));
+    return sorted.map((alert) => this.apply(alert));
+  }
+
+  /**
+   * Entfernt abgelaufene Warnungen und Sperren
+   * @returns {number} - Anzahl entfernter Warnungen
+   */
+  prune(now = Date.now()) {
+    let removed = 0;
+    this.alerts.forEach((alert, key) => {
+      if (capExpiresAt(alert) < now) {
+        this.alerts.delete(key);
+        removed++;
+      }
+    });
+    // Ein abgelaufener Alt-Stand fiele ohnehin sofort wieder heraus
+    this.retired.forEach((expiresAt, key) => {
+      if (expiresAt < now) this.retired.delete(key);
+    });
+    return removed;
+  }
+
+  /**
+   * Gültige Warnungen, höchste Stufe zuerst
+   * @returns {CapAlert[]}
+   */
+  active(now = Date.now()) {
+    this.prune(now);
+    const rank = (alert) =>
+      Math.max(
+        0,
+        ...alert.info.map((info) => CAP_SEVERITY_RANK[info.severity] || 0)
+      );
+    return Array.from(this.alerts.values()).sort((a, b) => rank(b) - rank(a));
+  }
+
+  get size() {
+    return this.alerts.size;
+  }
+
+  clear() {
+    this.alerts.clear();
+    this.retired.clear();
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    parseCapXml,
+    parseCapAlertElement,
+    pickCapInfo,
+    capAlertKey,
+    CapAlertStore,
+    CAP_SEVERITY_RANK,
+  };
+}
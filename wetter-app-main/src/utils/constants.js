@@ -34,7 +34,12 @@ const API_ENDPOINTS = {
   // BrightSky - Deutsche Wetterdaten
   BRIGHTSKY: {
     BASE: "https://api.brightsky.dev/weather",
+    CURRENT: "https://api.brightsky.dev/current_weather", // DWD-Beobachtungen
+    RADAR: "https://api.brightsky.dev/radar", // RADOLAN inkl. 2h Nowcast
+    ALERTS: "https://api.brightsky.dev/alerts", // Amtliche DWD-Warnungen
     TIMEOUT: 5000,
+    MAX_RANGE_DAYS: 10, // MOSMIX reicht 10 Tage voraus
+    RADAR_DISTANCE: 25000, // Radius des Radarausschnitts in Metern
     PARAMS: {
       max_age: 3600, // Maximales Alter in Sekunden
     },
@@ -71,9 +76,32 @@ const API_ENDPOINTS = {
     TIMEOUT: 5000,
   },
 
+  // Open-Meteo Luftqualität (CAMS) - Schadstoffe, EAQI und Pollen
   AIR_QUALITY: {
-    BASE: "https://api.waqi.info/feed",
+    BASE: "https://air-quality-api.open-meteo.com/v1/air-quality",
     TIMEOUT: 5000,
+    PARAMS: {
+      current:
+        "european_aqi,pm10,pm2_5,nitrogen_dioxide,ozone,sulphur_dioxide",
+      hourly:
+        "european_aqi,pm10,pm2_5,nitrogen_dioxide,ozone,sulphur_dioxide,alder_pollen,birch_pollen,grass_pollen,mugwort_pollen,olive_pollen,ragweed_pollen",
+      timezone: "auto",
+      forecast_days: 3,
+    },
+  },
+
+  // Open-Meteo Marine - Seegang, Dünung und Wassertemperatur
+  MARINE: {
+    BASE: "https://marine-api.open-meteo.com/v1/marine",
+    TIMEOUT: 5000,
+    PARAMS: {
+      current:
+        "wave_height,wave_direction,wave_period,wind_wave_height,swell_wave_height,swell_wave_direction,swell_wave_period,sea_surface_temperature",
+      hourly:
+        "wave_height,wave_direction,wave_period,wind_wave_height,swell_wave_height,swell_wave_direction,swell_wave_period,sea_surface_temperature",
+      timezone: "auto",
+      forecast_days: 3,
+    },
   },
 
   VISUALIZATION: {
@@ -88,6 +116,10 @@ const API_ENDPOINTS = {
   },
 };
 
+// Gesamtfrist für alle Quellen einer Suche; Einzel-Timeouts siehe oben.
+// Quellen, die danach noch laufen, werden abgebrochen.
+const FETCH_DEADLINE_MS = 12000;
+
 // ============================================
 // WETTER-CODES (WMO Weather Codes)
 // ============================================
@@ -173,6 +205,11 @@ const UI_CONFIG = {
   MAX_RECENT_CITIES: 10,
   MAX_SEARCH_RESULTS: 5,
 
+  // Autovervollständigung im Suchfeld
+  SEARCH_DEBOUNCE_MS: 250,
+  AUTOCOMPLETE_MIN_CHARS: 2,
+  MAX_LOCAL_SUGGESTIONS: 3, // Favoriten + zuletzt gesucht
+
   // Fehler-Anzeigedauer
   ERROR_DISPLAY_TIME: 5000, // ms
 };
@@ -185,7 +222,13 @@ const VALIDATION = {
   CITY_NAME: {
     MIN_LENGTH: 2,
     MAX_LENGTH: 100,
-    PATTERN: /^[a-zA-Z\s\-äöüÄÖÜß]+$/,
+    // Buchstaben und Zeichen aller Schriften (inkl. Akzente als
+    // Kombinationszeichen, ZWNJ/ZWJ für Persisch/Indisch), Ziffern für
+    // Postleitzahlen sowie . , ' ( ) - / & für Formen wie
+    // "Saint-Étienne", "Sankt Pölten (NÖ)", "Frankfurt, Deutschland"
+    PATTERN: /^[\p{L}\p{M}\p{N}\s.,'()\-/&\u200C\u200D]+$/u,
+    // Mindestens ein Buchstabe oder eine Ziffer (nur Satzzeichen ist kein Ort)
+    REQUIRED: /[\p{L}\p{N}]/u,
     ERROR_MESSAGE: "Ungültiger Stadtname",
   },
 
@@ -225,6 +268,11 @@ const ERROR_CODES = {
     message: "Anfrage hat zu lange gedauert - bitte erneut versuchen",
     icon: "⏱️",
   },
+  ABORTED: {
+    code: "ABORTED",
+    message: "Anfrage abgebrochen",
+    icon: "⏹️",
+  },
   INVALID_INPUT: {
     code: "INVALID_INPUT",
     message: "Ungültige Eingabe",
@@ -299,3 +347,19 @@ const LOGGING = {
   ENABLE_FILE: false,
   MAX_LOGS: 1000,
 };
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    API_ENDPOINTS,
+    FETCH_DEADLINE_MS,
+    WEATHER_CODES,
+    CACHE_CONFIG,
+    UI_CONFIG,
+    VALIDATION,
+    ERROR_CODES,
+    FEATURES,
+    LANGUAGE,
+    TRANSLATIONS,
+    LOGGING,
+  };
+}
@@ -0,0 +1,305 @@
+/* Favoriten und Vorhersage-Snapshots für den Offline-Betrieb
+ *
+ * Der Service Worker kann kein localStorage lesen. Die App spiegelt ihre
+ * Favoriten deshalb in die IndexedDB "calchas-favorites"; Periodic und
+ * Background Sync laden dort für jeden Favoriten die komplette
+ * Open-Meteo-Vorhersage und legen sie als Snapshot ab. Browser ohne diese
+ * APIs (Firefox, Safari) bekommen Snapshots, wenn die App einen Favoriten
+ * online lädt. Offline zeigt die App den letzten Snapshot mit Stand-Hinweis.
+ *
+ * Läuft im Fenster und im Service Worker (importScripts nach idb.js und
+ * constants.js). Ohne IndexedDB greift MemoryFavoriteStore.
+ */
+
+const FAVORITES_DB_NAME = "calchas-favorites";
+const FAVORITES_DB_VERSION = 1;
+const FAVORITES_DB_STORES = {
+  FAVORITES: "favorites", // { key, city, lat, lon, addedAt }
+  SNAPSHOTS: "snapshots", // { key, city, lat, lon, savedAt, data }
+};
+
+/**
+ * Schlüssel eines Favoriten (≈1 km Raster, wie bei den Warnregeln)
+ * @param {object} coords - { lat, lon } bzw. { lat, lng }
+ * @returns {string|null}
+ */
+function favoriteSnapshotKey(coords) {
+  const lat = Number(coords?.lat ?? coords?.latitude);
+  const lon = Number(coords?.lon ?? coords?.lng ?? coords?.longitude);
+  if (!coords || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  return `${lat.toFixed(2)},${lon.toFixed(2)}`;
+}
+
+/**
+ * Favorit aus localStorage ("wetter_favorites") in der Form des Spiegels
+ * @returns {object|null} - null ohne Koordinaten
+ */
+function toFavoriteRecord(favorite) {
+  const key = favoriteSnapshotKey(favorite?.coords);
+  if (!key) return null;
+  const { coords } = favorite;
+  return {
+    key,
+    city: favorite.city,
+    lat: Number(coords.lat ?? coords.latitude),
+    lon: Number(coords.lon ?? coords.lng ?? coords.longitude),
+    addedAt: favorite.addedAt || null,
+  };
+}
+
+/**
+ * Open-Meteo-Abfrage mit denselben Parametern wie die Hauptquelle, damit
+ * ein Snapshot wie ein normales Ergebnis gerendert werden kann
+ */
+function favoriteSnapshotUrl(record) {
+  const params = new URLSearchParams({
+    latitude: record.lat.toFixed(4),
+    longitude: record.lon.toFixed(4),
+    ...API_ENDPOINTS.OPEN_METEO.PARAMS,
+  });
+  return `${API_ENDPOINTS.OPEN_METEO.BASE}?${params.toString()}`;
+}
+
+/**
+ * Vorhersage eines Snapshots ab dem heutigen Tag (Ortszeit); vergangene
+ * Stunden und Tage fallen weg
+ * @param {object} snapshot - { savedAt, data }
+ * @param {number} now - Zeitstempel (ms)
+ * @returns {object|null} - Open-Meteo-Daten oder null, wenn nichts mehr übrig ist
+ */
+function snapshotForecast(snapshot, now = Date.now()) {
+  const data = snapshot?.data;
+  if (!data || !Array.isArray(data.hourly?.time)) return null;
+  const offsetMs = (data.utc_offset_seconds || 0) * 1000;
+  const today = new Date(now + offsetMs).toISOString().slice(0, 10);
+
+  const sliceFrom = (block, idx) =>
+    Object.fromEntries(
+      Object.entries(block).map(([field, values]) => [
+        field,
+        Array.isArray(values) ? values.slice(idx) : values,
+      ])
+    );
+  const hourIdx = data.hourly.time.findIndex(
+    (time) => String(time).slice(0, 10) >= today
+  );
+  if (hourIdx === -1) return null;
+
+  const result = { ...data, hourly: sliceFrom(data.hourly, hourIdx) };
+  if (Array.isArray(data.daily?.time)) {
+    const dayIdx = data.daily.time.findIndex((day) => day >= today);
+    result.daily = sliceFrom(
+      data.daily,
+      dayIdx === -1 ? data.daily.time.length : dayIdx
+    );
+  }
+  return result;
+}
+
+// IndexedDB-Helfer (utils/idb.js): im Browser vorher geladen, sonst require
+const favoritesIdb =
+  typeof idbRequest === "function"
+    ? { idbRequest, idbTransactionDone }
+    : require("./idb.js");
+
+class IndexedDBFavoriteStore {
+  constructor(options = {}) {
+    this.name = options.name || FAVORITES_DB_NAME;
+    this.factory = options.indexedDB || globalThis.indexedDB;
+    this._db = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== "undefined" && indexedDB !== null;
+  }
+
+  /**
+   * @private
+   */
+  _open() {
+    if (this._db) return this._db;
+    this._db = new Promise((resolve, reject) => {
+      const request = this.factory.open(this.name, FAVORITES_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(FAVORITES_DB_STORES).forEach((store) => {
+          if (!db.objectStoreNames.contains(store)) {
+            db.createObjectStore(store, { keyPath: "key" });
+          }
+        });
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => {
+          db.close();
+          this._db = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+    this._db.catch(() => {
+      this._db = null;
+    });
+    return this._db;
+  }
+
+  async getFavorites() {
+    const db = await this._open();
+    const tx = db.transaction(FAVORITES_DB_STORES.FAVORITES, "readonly");
+    return favoritesIdb.idbRequest(
+      tx.objectStore(FAVORITES_DB_STORES.FAVORITES).getAll()
+    );
+  }
+
+  /**
+   * Ersetzt den Spiegel; Snapshots entfernter Favoriten werden gelöscht
+   * @param {array} records - Ergebnisse von toFavoriteRecord
+   */
+  async replaceFavorites(records) {
+    const db = await this._open();
+    const tx = db.transaction(
+      [FAVORITES_DB_STORES.FAVORITES, FAVORITES_DB_STORES.SNAPSHOTS],
+      "readwrite"
+    );
+    const favorites = tx.objectStore(FAVORITES_DB_STORES.FAVORITES);
+    const snapshots = tx.objectStore(FAVORITES_DB_STORES.SNAPSHOTS);
+    const keep = new Set(records.map((record) => record.key));
+    favorites.clear();
+    records.forEach((record) => favorites.put(record));
+    const stored = await favoritesIdb.idbRequest(snapshots.getAllKeys());
+    stored
+      .filter((key) => !keep.has(key))
+      .forEach((key) => snapshots.delete(key));
+    return favoritesIdb.idbTransactionDone(tx);
+  }
+
+  async getSnapshot(key) {
+    const db = await this._open();
+    const tx = db.transaction(FAVORITES_DB_STORES.SNAPSHOTS, "readonly");
+    const snapshot = await favoritesIdb.idbRequest(
+      tx.objectStore(FAVORITES_DB_STORES.SNAPSHOTS).get(key)
+    );
+    return snapshot || null;
+  }
+
+  async putSnapshot(snapshot) {
+    const db = await this._open();
+    const tx = db.transaction(FAVORITES_DB_STORES.SNAPSHOTS, "readwrite");
+    tx.objectStore(FAVORITES_DB_STORES.SNAPSHOTS).put(snapshot);
+    return favoritesIdb.idbTransactionDone(tx);
+  }
+}
+
+/**
+ * Flüchtiger Speicher mit derselben Schnittstelle (Tests, Fallback)
+ */
+class MemoryFavoriteStore {
+  constructor() {
+    this.favorites = new Map();
+    this.snapshots = new Map();
+  }
+
+  async getFavorites() {
+    return Array.from(this.favorites.values(), (record) => ({ ...record }));
+  }
+
+  async replaceFavorites(records) {
+    this.favorites = new Map(
+      records.map((record) => [record.key, { ...record }])
+    );
+    Array.from(this.snapshots.keys())
+      .filter((key) => !this.favorites.has(key))
+      .forEach((key) => this.snapshots.delete(key));
+  }
+
+  async getSnapshot(key) {
+    return this.snapshots.get(key) || null;
+  }
+
+  async putSnapshot(snapshot) {
+    this.snapshots.set(snapshot.key, snapshot);
+  }
+}
+
+/**
+ * IndexedDB wenn verfügbar, sonst Arbeitsspeicher
+ */
+function createFavoriteStore() {
+  return IndexedDBFavoriteStore.isSupported()
+    ? new IndexedDBFavoriteStore()
+    : new MemoryFavoriteStore();
+}
+
+/**
+ * Legt eine Open-Meteo-Antwort als Snapshot eines Favoriten ab
+ * @param {object} store - Favoriten-Speicher
+ * @param {object} favorite - Eintrag des Spiegels (toFavoriteRecord)
+ * @param {object} data - Open-Meteo-Antwort mit Stundenwerten
+ * @param {number} savedAt - Zeitstempel (ms)
+ * @returns {Promise<object>} - gespeicherter Snapshot
+ */
+async function saveFavoriteSnapshot(
+  store,
+  favorite,
+  data,
+  savedAt = Date.now()
+) {
+  if (!Array.isArray(data?.hourly?.time)) {
+    throw new Error("Keine Stundenwerte");
+  }
+  const snapshot = {
+    key: favorite.key,
+    city: favorite.city,
+    lat: favorite.lat,
+    lon: favorite.lon,
+    savedAt,
+    data,
+  };
+  await store.putSnapshot(snapshot);
+  return snapshot;
+}
+
+/**
+ * Lädt für jeden gespiegelten Favoriten die Vorhersage und speichert sie als
+ * Snapshot. Einzelne Fehler brechen die übrigen Favoriten nicht ab.
+ * @param {object} store - Favoriten-Speicher
+ * @param {object} options - { fetch, now }
+ * @returns {Promise<object>} - { updated: [keys], failed: [keys] }
+ */
+async function syncFavoriteSnapshots(store, options = {}) {
+  const fetchImpl = options.fetch || fetch;
+  const now = options.now || (() => Date.now());
+  const favorites = await store.getFavorites();
+  const updated = [];
+  const failed = [];
+
+  for (const favorite of favorites) {
+    try {
+      const response = await fetchImpl(favoriteSnapshotUrl(favorite));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      await saveFavoriteSnapshot(store, favorite, data, now());
+      updated.push(favorite.key);
+    } catch (error) {
+      console.warn(`Snapshot für ${favorite.city} fehlgeschlagen:`, error);
+      failed.push(favorite.key);
+    }
+  }
+  return { updated, failed };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    FAVORITES_DB_NAME,
+    favoriteSnapshotKey,
+    toFavoriteRecord,
+    favoriteSnapshotUrl,
+    snapshotForecast,
+    IndexedDBFavoriteStore,
+    MemoryFavoriteStore,
+    createFavoriteStore,
+    saveFavoriteSnapshot,
+    syncFavoriteSnapshots,
+  };
+}
@@ -0,0 +1,214 @@
+/* Konsens-Vorhersage aus mehreren Wetterquellen
+ *
+ * Richtet die kanonischen Stunden- und Tagesreihen (utils/weatherSchema.js)
+ * aller Quellen auf eine gemeinsame Zeitachse aus (volle UTC-Stunde bzw.
+ * Datum), bildet gewichtete Mittelwerte und liefert pro Variable Streuung
+ * (min/max/spread/stdDev).
+ *
+ * Alle Werte sind metrisch: °C, mm, %, km/h. Einheitenumrechnung für die
+ * Anzeige passiert weiterhin in buildRenderData().
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class ForecastBlender {
+  constructor(options = {}) {
+    // BrightSky (DWD MOSMIX) und Open-Meteo sind Modellquellen erster Wahl,
+    // OWM/VC aggregieren selbst und bekommen daher weniger Gewicht.
+    this.weights = {
+      "open-meteo": 1,
+      brightsky: 1,
+      openweathermap: 0.7,
+      visualcrossing: 0.7,
+      ...(options.weights || {}),
+    };
+    // Maximale Spannweite, bis zu der Modelle als "einig" gelten
+    this.thresholds = {
+      temperature: 2, // °C
+      precipitation: 1, // mm/h
+      windSpeed: 10, // km/h
+      tempMax: 2,
+      tempMin: 2,
+      precipitationSum: 3, // mm/Tag
+      ...(options.thresholds || {}),
+    };
+    this.hourlyVariables = [
+      "temperature",
+      "precipitation",
+      "precipitationProbability",
+      "windSpeed",
+    ];
+    this.dailyVariables = ["tempMax", "tempMin", "precipitationSum"];
+  }
+
+  /**
+   * Blendet die validierten Datensätze aus fetchWeatherData()
+   * @param {object} datasets - { [providerId]: WeatherDataset }
+   * @returns {object|null} - { providers, hourly, daily, summary } oder null ohne Daten
+   */
+  blend(datasets) {
+    if (!datasets) return null;
+    const series = this.extractSeries(datasets);
+    const providers = Object.keys(series);
+    if (!providers.length) return null;
+
+    const hourly = this._blendSeries(
+      providers.map((id) => ({ id, entries: series[id].hourly })),
+      "ts",
+      this.hourlyVariables
+    ).map((entry) =>
+      Object.assign(entry, { time: new Date(entry.ts).toISOString() })
+    );
+
+    const daily = this._blendSeries(
+      providers.map((id) => ({ id, entries: series[id].daily })),
+      "date",
+      this.dailyVariables
+    );
+
+    const agreeHours = hourly.filter((h) => h.agreement === "agree").length;
+    const disagreeHours = hourly.filter(
+      (h) => h.agreement === "disagree"
+    ).length;
+    const compared = agreeHours + disagreeHours;
+
+    return {
+      providers,
+      hourly,
+      daily,
+      summary: {
+        agreeHours,
+        disagreeHours,
+        agreementRatio: compared ? agreeHours / compared : null,
+      },
+    };
+  }
+
+  /**
+   * Richtet die Stundenwerte der Datensätze auf volle UTC-Stunden aus
+   * @returns {object} - { [providerId]: { hourly: [], daily: [] } }
+   */
+  extractSeries(datasets) {
+    const series = {};
+    Object.entries(datasets).forEach(([id, dataset]) => {
+      if (!dataset) return;
+      const hourly = (dataset.hourly || []).map((entry) => ({
+        ...entry,
+        ts: ForecastBlender.hourKey(entry.ts),
+      }));
+      const daily = dataset.daily || [];
+      if (hourly.length || daily.length) {
+        series[dataset.source || id] = { hourly, daily };
+      }
+    });
+    return series;
+  }
+
+  /**
+   * Normalisiert einen Zeitpunkt auf die volle UTC-Stunde (ms)
+   * @param {string|number} time - ISO-String, Epoch-ms
+   * @param {number} utcOffsetSeconds - Offset für lokale Zeiten ohne Zonenangabe
+   */
+  static hourKey(time, utcOffsetSeconds = 0) {
+    let ms = null;
+    if (typeof time === "number") {
+      ms = time;
+    } else if (typeof time === "string") {
+      const hasZone = /([zZ]|[+-]\d{2}:?\d{2})$/.test(time);
+      ms = hasZone
+        ? Date.parse(time)
+        : Date.parse(`${time}Z`) - utcOffsetSeconds * 1000;
+    }
+    if (ms === null || Number.isNaN(ms)) return null;
+    return Math.floor(ms / HOUR_MS) * HOUR_MS;
+  }
+
+  /**
+   * Gruppiert die Einträge aller Provider nach Schlüssel und mittelt je Variable
+   * @private
+   */
+  _blendSeries(providerSeries, key, variables) {
+    const buckets = new Map();
+    providerSeries.forEach(({ id, entries }) => {
+      (entries || []).forEach((entry) => {
+        const bucketKey = entry?.[key];
+        if (bucketKey === null || bucketKey === undefined) return;
+        if (!buckets.has(bucketKey)) buckets.set(bucketKey, new Map());
+        // erster Eintrag pro Provider und Slot gewinnt
+        if (!buckets.get(bucketKey).has(id)) {
+          buckets.get(bucketKey).set(id, entry);
+        }
+      });
+    });
+
+    return Array.from(buckets.entries())
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([bucketKey, byProvider]) => {
+        const blended = { [key]: bucketKey, providers: [] };
+        const disagreements = [];
+        let compared = 0;
+
+        variables.forEach((variable) => {
+          const samples = [];
+          byProvider.forEach((entry, id) => {
+            const value = entry[variable];
+            if (typeof value === "number" && Number.isFinite(value)) {
+              samples.push({ id, value, weight: this.weights[id] ?? 1 });
+            }
+          });
+          blended[variable] = this._combine(samples);
+          const threshold = this.thresholds[variable];
+          if (blended[variable] && samples.length > 1 && threshold) {
+            compared += 1;
+            if (blended[variable].spread > threshold) {
+              disagreements.push(variable);
+            }
+          }
+        });
+
+        blended.providers = Array.from(byProvider.keys());
+        blended.disagreements = disagreements;
+        blended.agreement = compared
+          ? disagreements.length
+            ? "disagree"
+            : "agree"
+          : "single";
+        return blended;
+      });
+  }
+
+  /**
+   * Gewichteter Mittelwert mit Streuung
+   * @private
+   */
+  _combine(samples) {
+    if (!samples.length) return null;
+    const totalWeight = samples.reduce((acc, s) => acc + s.weight, 0) || 1;
+    const mean =
+      samples.reduce((acc, s) => acc + s.value * s.weight, 0) / totalWeight;
+    const variance =
+      samples.reduce((acc, s) => acc + s.weight * (s.value - mean) ** 2, 0) /
+      totalWeight;
+    const values = samples.map((s) => s.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return {
+      value: Math.round(mean * 10) / 10,
+      min,
+      max,
+      spread: Math.round((max - min) * 10) / 10,
+      stdDev: Math.round(Math.sqrt(variance) * 100) / 100,
+      count: samples.length,
+      sources: samples.reduce((acc, s) => {
+        acc[s.id] = s.value;
+        return acc;
+      }, {}),
+    };
+  }
+}
+
+const forecastBlender = new ForecastBlender();
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ForecastBlender;
+}
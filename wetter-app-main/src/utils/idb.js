@@ -0,0 +1,35 @@
+/* Promise-Hüllen für IndexedDB
+ *
+ * Gemeinsam genutzt von cacheStore.js, favoriteSnapshots.js und
+ * requestOutbox.js. Im Fenster und im Service Worker vor diesen Dateien
+ * laden; in Node holen sie sich die Helfer per require.
+ */
+
+/**
+ * Promise-Hülle für IDBRequest
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} - request.result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wartet auf das Ende einer Transaktion
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaktion abgebrochen"));
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { idbRequest, idbTransactionDone };
+}
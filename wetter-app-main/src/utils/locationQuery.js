@@ -0,0 +1,365 @@
+/* Direkteingaben im Suchfeld
+ *
+ * Erkennt Koordinaten ("52.52, 13.40"), Grad/Minuten/Sekunden
+ * (52°31'12"N 13°24'18"E), deutsche Postleitzahlen (10115) und
+ * Plus Codes / Open Location Codes (9F4MGC22+22). Alles andere gilt als
+ * Ortsname und geht wie bisher an die Ortssuche.
+ *
+ * Jede erkannte Eingabe bekommt eine kanonische Schreibweise (query), unter
+ * der sie im Verlauf und im GEO-Cache landet.
+ */
+
+const PLUS_CODE_ALPHABET = "23456789CFGHJMPQRVWX";
+const PLUS_CODE_SEPARATOR_POSITION = 8;
+// Auflösung der Zeichenpaare in Grad (Breite und Länge gleich)
+const PLUS_CODE_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+// Verfeinerung ab der 11. Stelle: 5 Zeilen (Breite) x 4 Spalten (Länge)
+const PLUS_CODE_GRID_ROWS = 5;
+const PLUS_CODE_GRID_COLUMNS = 4;
+
+// Grad mit optionalen Minuten/Sekunden, Dezimalkomma erlaubt
+const DMS_CORE =
+  "(-?\\d{1,3}(?:[.,]\\d+)?)\\s*°\\s*" +
+  "(?:(\\d{1,2}(?:[.,]\\d+)?)\\s*['′’]\\s*)?" +
+  "(?:(\\d{1,2}(?:[.,]\\d+)?)\\s*(?:[\"″”]|'')\\s*)?";
+const DMS_SEPARATOR = "\\s*[,;]?\\s*";
+const DMS_PATTERNS = {
+  // 52°31'12"N 13°24'18"E
+  suffix: new RegExp(
+    `^${DMS_CORE}([NS])${DMS_SEPARATOR}${DMS_CORE}([EWO])$`,
+    "i"
+  ),
+  // N 52°31'12" E 13°24'18"
+  prefix: new RegExp(
+    `^([NS])\\s*${DMS_CORE}${DMS_SEPARATOR}([EWO])\\s*${DMS_CORE}$`,
+    "i"
+  ),
+  // 52°31'12", -13°24'18"
+  signed: new RegExp(`^${DMS_CORE}${DMS_SEPARATOR}${DMS_CORE}$`, "i"),
+};
+
+// 52.52, 13.40 | 52.52N 13.40E | N52.52 O13.40 | -33.86;151.21
+const DECIMAL_PATTERN =
+  /^([NS])?\s*([+-]?\d{1,2}(?:\.\d+)?)\s*(°)?\s*([NS])?\s*(?:([,;])\s*|\s+)([EWO])?\s*([+-]?\d{1,3}(?:\.\d+)?)\s*(°)?\s*([EWO])?$/i;
+// Dezimalkomma: "52,52; 13,40" oder "52,52 13,40"
+const DECIMAL_COMMA_PATTERN = /^(-?\d{1,3}),(\d+)\s*[;\s]\s*(-?\d{1,3}),(\d+)$/;
+
+/**
+ * Erkennt das Format einer Sucheingabe
+ * @param {string} input - Rohe Eingabe (vor sanitizeInput, DMS braucht ° ' ")
+ * @param {object} options - { reference: {lat, lon} } Bezugsort für kurze Plus Codes
+ * @returns {object} - { type, query, lat?, lon?, postalCode?, plusCode?, short?, error? }
+ *   type: "coordinates" | "dms" | "postal" | "pluscode" | "name"
+ */
+function parseLocationQuery(input, options = {}) {
+  const text = String(input ?? "")
+    .trim()
+    .replace(/\s+/g, " ");
+  if (!text) return { type: "name", query: text };
+
+  const postalCode = parseGermanPostalCode(text);
+  if (postalCode) return { type: "postal", query: postalCode, postalCode };
+
+  const plusCode = parsePlusCodeQuery(text, options.reference);
+  if (plusCode) return plusCode;
+
+  const decimal = parseDecimalCoordinates(text);
+  if (decimal) return withCoordinates("coordinates", decimal);
+
+  const dms = parseDmsCoordinates(text);
+  if (dms) return withCoordinates("dms", dms);
+
+  return { type: "name", query: text };
+}
+
+/**
+ * Kanonische Schreibweise für Koordinaten (5 Nachkommastellen ≈ 1 m)
+ */
+function formatCoordinateQuery(lat, lon) {
+  return `${lat.toFixed(5)}, ${lon.toFixed(5)}`;
+}
+
+/**
+ * Deutsche PLZ, optional mit Länderkennung ("D-10115")
+ * @returns {string|null}
+ */
+function parseGermanPostalCode(text) {
+  const match = /^(?:D[-\s]?)?(\d{5})$/i.exec(text);
+  // 00xxx ist nicht vergeben
+  if (!match || match[1].startsWith("00")) return null;
+  return match[1];
+}
+
+/**
+ * Dezimalgrad mit Vorzeichen oder Himmelsrichtung (O = Ost)
+ * @returns {object|null} - { lat, lon }
+ */
+function parseDecimalCoordinates(text) {
+  // "52,52" oder "1,5" ist eine Zahl mit Dezimalkomma, kein Koordinatenpaar
+  if (/^[+-]?\d+,\d+$/.test(text)) return null;
+
+  const comma = DECIMAL_COMMA_PATTERN.exec(text);
+  const normalized = comma
+    ? `${comma[1]}.${comma[2]}, ${comma[3]}.${comma[4]}`
+    : text;
+
+  const match = DECIMAL_PATTERN.exec(normalized);
+  if (!match) return null;
+  const [
+    ,
+    latPrefix,
+    latValue,
+    latDegree,
+    latSuffix,
+    separator,
+    lonPrefix,
+    lonValue,
+    lonDegree,
+    lonSuffix,
+  ] = match;
+  if (latPrefix && latSuffix) return null;
+  if (lonPrefix && lonSuffix) return null;
+  // Nackte Ganzzahlpaare ("52 13", "4 5") sind eher Hausnummern o.Ä.
+  const explicit =
+    separator ||
+    latDegree ||
+    lonDegree ||
+    latPrefix ||
+    latSuffix ||
+    lonPrefix ||
+    lonSuffix ||
+    latValue.includes(".") ||
+    lonValue.includes(".");
+  if (!explicit) return null;
+
+  return {
+    lat: applyHemisphere(parseFloat(latValue), latPrefix || latSuffix),
+    lon: applyHemisphere(parseFloat(lonValue), lonPrefix || lonSuffix),
+  };
+}
+
+/**
+ * Grad/Minuten/Sekunden bzw. Grad/Dezimalminuten
+ * @returns {object|null} - { lat, lon }
+ */
+function parseDmsCoordinates(text) {
+  let parts = null;
+  let match = DMS_PATTERNS.suffix.exec(text);
+  if (match) {
+    parts = [match.slice(1, 4), match[4], match.slice(5, 8), match[8]];
+  } else if ((match = DMS_PATTERNS.prefix.exec(text))) {
+    parts = [match.slice(2, 5), match[1], match.slice(6, 9), match[5]];
+  } else if ((match = DMS_PATTERNS.signed.exec(text))) {
+    parts = [match.slice(1, 4), null, match.slice(4, 7), null];
+  }
+  if (!parts) return null;
+
+  const lat = dmsToDecimal(parts[0], parts[1]);
+  const lon = dmsToDecimal(parts[2], parts[3]);
+  if (lat === null || lon === null) return null;
+  return { lat, lon };
+}
+
+/**
+ * @private
+ */
+function dmsToDecimal([degrees, minutes, seconds], hemisphere) {
+  const toNumber = (value) =>
+    value === undefined ? 0 : parseFloat(value.replace(",", "."));
+  const deg = toNumber(degrees);
+  const min = toNumber(minutes);
+  const sec = toNumber(seconds);
+  if (min >= 60 || sec >= 60) return null;
+
+  const value = Math.abs(deg) + min / 60 + sec / 3600;
+  const signed = degrees.startsWith("-") ? -value : value;
+  return applyHemisphere(signed, hemisphere);
+}
+
+/**
+ * @private
+ */
+function applyHemisphere(value, hemisphere) {
+  if (!hemisphere) return value;
+  const negative = /^[SW]$/i.test(hemisphere);
+  return negative ? -Math.abs(value) : Math.abs(value);
+}
+
+/**
+ * @private
+ */
+function withCoordinates(type, { lat, lon }) {
+  if (
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lon) ||
+    Math.abs(lat) > 90 ||
+    Math.abs(lon) > 180
+  ) {
+    return {
+      type,
+      query: "",
+      error: "Koordinaten außerhalb des gültigen Bereichs",
+    };
+  }
+  return { type, query: formatCoordinateQuery(lat, lon), lat, lon };
+}
+
+/**
+ * Plus Code erkennen; kurze Codes werden relativ zum Bezugsort aufgelöst
+ * @private
+ */
+function parsePlusCodeQuery(text, reference) {
+  const code = text.toUpperCase();
+  if (!/^[0-9A-Z]+\+[0-9A-Z]*$/.test(code)) return null;
+
+  if (isFullPlusCode(code)) {
+    return {
+      type: "pluscode",
+      query: code,
+      plusCode: code,
+      ...decodePlusCode(code),
+    };
+  }
+  if (isShortPlusCode(code)) {
+    const refLat = Number(reference?.lat);
+    const refLon = Number(reference?.lon ?? reference?.lng);
+    const located =
+      Number.isFinite(refLat) && Number.isFinite(refLon)
+        ? recoverPlusCode(code, refLat, refLon)
+        : { lat: null, lon: null };
+    return {
+      type: "pluscode",
+      query: code,
+      plusCode: code,
+      short: true,
+      ...located,
+    };
+  }
+  return { type: "pluscode", query: code, error: "Ungültiger Plus Code" };
+}
+
+/**
+ * @private
+ */
+function isFullPlusCode(code) {
+  if (code.indexOf("+") !== PLUS_CODE_SEPARATOR_POSITION) return false;
+  const [head, tail] = code.split("+");
+  if (tail.length === 1 || /[^23456789CFGHJMPQRVWX]/.test(tail)) return false;
+
+  // Auffüllung mit "0" nur paarweise am Ende und ohne Stellen nach dem "+"
+  const padding = /^([23456789CFGHJMPQRVWX]+)(0*)$/.exec(head);
+  if (!padding) return false;
+  if (padding[2] && (padding[1].length % 2 !== 0 || tail.length > 0)) {
+    return false;
+  }
+
+  // Erste Stellen begrenzen Breite (< 180°) und Länge (< 360°)
+  return (
+    PLUS_CODE_ALPHABET.indexOf(head[0]) * 20 < 180 &&
+    PLUS_CODE_ALPHABET.indexOf(head[1]) * 20 < 360
+  );
+}
+
+/**
+ * @private
+ */
+function isShortPlusCode(code) {
+  const separator = code.indexOf("+");
+  const [head, tail] = code.split("+");
+  return (
+    separator >= 2 &&
+    separator < PLUS_CODE_SEPARATOR_POSITION &&
+    separator % 2 === 0 &&
+    tail.length >= 2 &&
+    /^[23456789CFGHJMPQRVWX]+$/.test(head + tail)
+  );
+}
+
+/**
+ * Mittelpunkt der Fläche eines vollständigen Plus Codes
+ * @param {string} code - z.B. "9F4MGC22+22"
+ * @returns {object} - { lat, lon }
+ */
+function decodePlusCode(code) {
+  const digits = code.toUpperCase().replace("+", "").replace(/0+$/, "");
+  let lat = -90;
+  let lon = -180;
+  let latResolution = 0;
+  let lonResolution = 0;
+
+  for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+    const resolution = PLUS_CODE_PAIR_RESOLUTIONS[i / 2];
+    lat += PLUS_CODE_ALPHABET.indexOf(digits[i]) * resolution;
+    lon += PLUS_CODE_ALPHABET.indexOf(digits[i + 1]) * resolution;
+    latResolution = resolution;
+    lonResolution = resolution;
+  }
+  for (const digit of digits.slice(10)) {
+    const value = PLUS_CODE_ALPHABET.indexOf(digit);
+    latResolution /= PLUS_CODE_GRID_ROWS;
+    lonResolution /= PLUS_CODE_GRID_COLUMNS;
+    lat += Math.floor(value / PLUS_CODE_GRID_COLUMNS) * latResolution;
+    lon += (value % PLUS_CODE_GRID_COLUMNS) * lonResolution;
+  }
+
+  return {
+    lat: Math.min(lat + latResolution / 2, 90),
+    lon: lon + lonResolution / 2,
+  };
+}
+
+/**
+ * Kurzen Plus Code ("GC22+22") mit dem nächstgelegenen Bezugsort ergänzen
+ * (Verfahren wie recoverNearest der Open-Location-Code-Referenz)
+ * @private
+ */
+function recoverPlusCode(shortCode, refLat, refLon) {
+  const paddingLength = PLUS_CODE_SEPARATOR_POSITION - shortCode.indexOf("+");
+  const resolution = Math.pow(20, 2 - paddingLength / 2);
+  const half = resolution / 2;
+
+  const prefix = encodePlusCodePairs(refLat, refLon, paddingLength);
+  let { lat, lon } = decodePlusCode(prefix + shortCode);
+
+  // Nächstgelegene Fläche wählen, falls der Bezugsort am Rand liegt
+  if (refLat + half < lat && lat - resolution >= -90) {
+    lat -= resolution;
+  } else if (refLat - half > lat && lat + resolution <= 90) {
+    lat += resolution;
+  }
+  if (refLon + half < lon) {
+    lon -= resolution;
+  } else if (refLon - half > lon) {
+    lon += resolution;
+  }
+  return { lat, lon: ((((lon + 180) % 360) + 360) % 360) - 180 };
+}
+
+/**
+ * Die ersten Stellen eines Plus Codes (nur Zeichenpaare, max. 10)
+ * @private
+ */
+function encodePlusCodePairs(lat, lon, length) {
+  let latValue = Math.min(Math.max(lat, -90), 90) + 90;
+  if (latValue >= 180) latValue = 180 - PLUS_CODE_PAIR_RESOLUTIONS[4] / 2;
+  let lonValue = (((lon + 180) % 360) + 360) % 360;
+
+  let code = "";
+  for (let i = 0; code.length < length; i++) {
+    const resolution = PLUS_CODE_PAIR_RESOLUTIONS[i];
+    const latDigit = Math.floor(latValue / resolution);
+    const lonDigit = Math.floor(lonValue / resolution);
+    latValue -= latDigit * resolution;
+    lonValue -= lonDigit * resolution;
+    code += PLUS_CODE_ALPHABET[latDigit] + PLUS_CODE_ALPHABET[lonDigit];
+  }
+  return code;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    parseLocationQuery,
+    formatCoordinateQuery,
+    decodePlusCode,
+  };
+}
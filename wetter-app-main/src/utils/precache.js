@@ -0,0 +1,151 @@
+/* Versionierter App-Shell-Precache des Service Workers
+ *
+ * tools/build-precache.js erzeugt src/precache-manifest.js mit einem
+ * Inhalts-Hash (revision) je Datei und einer Version. Alle Versionen teilen
+ * sich den Cache "calchas-precache"; die Revision steht im Schlüssel, damit
+ * ein wartender Worker seine Dateien ablegen kann, ohne dem aktiven die alten
+ * wegzunehmen. Unveränderte Dateien werden nicht neu geladen. Beim activate
+ * fallen nur Einträge weg, die nicht mehr im Manifest stehen, sowie
+ * calchas-Caches, die keiner mehr verwendet.
+ *
+ * Der Service Worker lädt die Datei per importScripts nach dem Manifest.
+ */
+
+const PRECACHE_CACHE_NAME = "calchas-precache";
+const PRECACHE_REVISION_PARAM = "__rev";
+// Navigationsziele, die index.html ausliefern
+const PRECACHE_ALIASES = {
+  "/": "/src/index.html",
+  "/src/": "/src/index.html",
+};
+
+/**
+ * @private
+ */
+function precacheDeps(deps = {}) {
+  return {
+    caches: deps.caches || globalThis.caches,
+    fetch: deps.fetch || ((url, init) => globalThis.fetch(url, init)),
+    origin: deps.origin || globalThis.location?.origin,
+  };
+}
+
+/**
+ * Cache-Schlüssel eines Eintrags (absolute URL mit Revision)
+ * @param {object} entry - { url, revision }
+ * @param {string} origin
+ * @returns {string}
+ */
+function precacheKey(entry, origin) {
+  const url = new URL(entry.url, origin);
+  url.searchParams.set(PRECACHE_REVISION_PARAM, entry.revision);
+  return url.href;
+}
+
+/**
+ * Manifest-Eintrag für eine Anfrage; Query-Strings werden ignoriert
+ * @param {string} requestUrl
+ * @param {array} entries - PRECACHE_ENTRIES
+ * @param {string} origin - nur Anfragen an die eigene Herkunft
+ * @returns {object|null}
+ */
+function findPrecacheEntry(requestUrl, entries, origin) {
+  let url;
+  try {
+    url = new URL(requestUrl, origin);
+  } catch (e) {
+    return null;
+  }
+  if (url.origin !== origin) return null;
+  const pathname = PRECACHE_ALIASES[url.pathname] || url.pathname;
+  return entries.find((entry) => entry.url === pathname) || null;
+}
+
+/**
+ * Lädt alle Einträge, deren Revision noch nicht im Cache liegt. Schlägt eine
+ * Datei fehl, bricht die Installation ab und die bisherige Version bleibt.
+ * @param {array} entries
+ * @param {object} deps - { caches, fetch, origin }
+ * @returns {Promise<object>} - { fetched, reused }
+ */
+async function installPrecache(entries, deps = {}) {
+  const { caches: storage, fetch: fetchImpl, origin } = precacheDeps(deps);
+  const cache = await storage.open(PRECACHE_CACHE_NAME);
+  let fetched = 0;
+  let reused = 0;
+  await Promise.all(
+    entries.map(async (entry) => {
+      const key = precacheKey(entry, origin);
+      if (await cache.match(key)) {
+        reused += 1;
+        return;
+      }
+      // Am HTTP-Cache vorbei, sonst könnte eine alte Datei die neue Revision bekommen
+      const response = await fetchImpl(new URL(entry.url, origin).href, {
+        cache: "reload",
+      });
+      if (!response.ok) {
+        throw new Error(
+          `Precache: ${entry.url} antwortet mit ${response.status}`
+        );
+      }
+      await cache.put(key, response);
+      fetched += 1;
+    })
+  );
+  return { fetched, reused };
+}
+
+/**
+ * Entfernt Einträge, die nicht zum aktuellen Manifest gehören
+ * @returns {Promise<number>} - Anzahl gelöschter Einträge
+ */
+async function cleanupPrecache(entries, deps = {}) {
+  const { caches: storage, origin } = precacheDeps(deps);
+  const cache = await storage.open(PRECACHE_CACHE_NAME);
+  const current = new Set(entries.map((entry) => precacheKey(entry, origin)));
+  let removed = 0;
+  for (const request of await cache.keys()) {
+    if (!current.has(request.url)) {
+      await cache.delete(request);
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Gecachte Antwort der aktiven Version für einen Eintrag
+ * @returns {Promise<Response|undefined>}
+ */
+async function matchPrecache(entry, deps = {}) {
+  const { caches: storage, origin } = precacheDeps(deps);
+  const cache = await storage.open(PRECACHE_CACHE_NAME);
+  return cache.match(precacheKey(entry, origin));
+}
+
+/**
+ * calchas-Caches, die nicht mehr verwendet werden (z.B. "calchas-v1");
+ * Caches anderer Anwendungen bleiben unberührt
+ * @param {string[]} cacheNames - caches.keys()
+ * @param {string[]} keep - verwendete Caches
+ * @returns {string[]}
+ */
+function outdatedCacheNames(cacheNames, keep) {
+  const inUse = new Set(keep);
+  return cacheNames.filter(
+    (name) => name.startsWith("calchas-") && !inUse.has(name)
+  );
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PRECACHE_CACHE_NAME,
+    precacheKey,
+    findPrecacheEntry,
+    installPrecache,
+    cleanupPrecache,
+    matchPrecache,
+    outdatedCacheNames,
+  };
+}
@@ -0,0 +1,153 @@
+/* Provider-Registry für Wetter- und Zusatzquellen
+ *
+ * Jede Quelle registriert sich am Ende ihrer API-Datei mit:
+ *   id, name, tag, order      - Anzeige im API-Status
+ *   primary                   - Hauptquelle (mindestens eine muss liefern)
+ *   requiresKey, keyId,       - Key-Verwaltung (APIKeyManager, Einstellungen)
+ *   keyInputId, keyPattern
+ *   hosts                     - API-Hosts (Service Worker umgeht den Cache)
+ *   capabilities              - z.B. ["current", "hourly", "daily"]
+ *   resultKey                 - Feld im Ergebnis von fetchWeatherData()
+ *   dependsOn                 - Provider, deren Ergebnis vorher vorliegen muss
+ *   fetch(ctx)                - liefert { data, duration, fromCache } oder { error };
+ *                               ctx = { lat, lon, key, results, signal } –
+ *                               signal an safeApiFetch durchreichen
+ *   normalize(result, ctx)    - Rohdaten für buildRenderData (Default: result.data)
+ *   toCanonical(result, ctx)  - Datensatz im kanonischen Schema (weatherSchema.js),
+ *                               wird vor dem Rendern validiert
+ *
+ * Status-Panel, Key-Einstellungen und fetchWeatherData() lesen nur noch
+ * aus dieser Registry.
+ */
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Registriert (oder ersetzt) eine Quelle
+   * @param {object} definition - Provider-Beschreibung (siehe oben)
+   * @returns {object} - normalisierte Definition
+   */
+  register(definition) {
+    if (!definition || typeof definition.id !== "string" || !definition.id) {
+      throw new Error("Provider benötigt eine id");
+    }
+
+    const provider = {
+      name: definition.id,
+      tag: "",
+      order: 100,
+      primary: false,
+      requiresKey: false,
+      keyId: null,
+      keyInputId: null,
+      keyPattern: null,
+      keyHint: "",
+      note: "",
+      hosts: [],
+      capabilities: [],
+      resultKey: null,
+      dependsOn: [],
+      statusPanel: true,
+      fetch: null,
+      normalize: (result) => (result ? result.data ?? null : null),
+      toCanonical: null,
+      ...definition,
+    };
+
+    if (provider.requiresKey && !provider.keyId) {
+      provider.keyId = provider.id;
+    }
+    provider.hosts = (provider.hosts || []).filter(Boolean);
+
+    this.providers.set(provider.id, provider);
+    this._notify(provider);
+    return provider;
+  }
+
+  unregister(id) {
+    const existed = this.providers.delete(id);
+    if (existed) this._notify(null);
+    return existed;
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  has(id) {
+    return this.providers.has(id);
+  }
+
+  /**
+   * Alle Provider sortiert nach order
+   * @param {object} filter - { capability, fetchable, statusPanel }
+   */
+  list(filter = {}) {
+    return Array.from(this.providers.values())
+      .filter((p) =>
+        filter.capability ? p.capabilities.includes(filter.capability) : true
+      )
+      .filter((p) =>
+        filter.fetchable ? typeof p.fetch === "function" : true
+      )
+      .filter((p) =>
+        filter.statusPanel ? p.statusPanel !== false : true
+      )
+      .sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Provider mit eigener Key-Verwaltung
+   */
+  keyProviders() {
+    return this.list().filter((p) => !!p.keyId);
+  }
+
+  keyIds() {
+    return Array.from(new Set(this.keyProviders().map((p) => p.keyId)));
+  }
+
+  /**
+   * Alle API-Hosts (für den Service Worker)
+   */
+  hosts() {
+    return Array.from(new Set(this.list().flatMap((p) => p.hosts)));
+  }
+
+  onChange(listener) {
+    if (typeof listener !== "function") return () => {};
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _notify(provider) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(provider, this);
+      } catch (e) {
+        console.warn("ProviderRegistry listener failed", e);
+      }
+    });
+  }
+
+  /**
+   * Hostname aus einer Basis-URL (für hosts-Deklarationen)
+   */
+  static hostOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ProviderRegistry;
+}
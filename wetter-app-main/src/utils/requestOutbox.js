@@ -0,0 +1,421 @@
+/* Ausgang für fehlgeschlagene Anfragen (IndexedDB "WetterAppDB")
+ *
+ * Push-Abos, Einstellungs-Syncs (Favoriten, Warnregeln, Quittierungen) und
+ * Analytics-Bündel, die den Server nicht erreichen, landen mit Nutzlast und
+ * Versuchszähler im Store "failedRequests". Der Service Worker spielt sie beim
+ * Sync-Tag "retry-failed-requests" erneut ab, mit wachsendem Abstand zwischen
+ * den Versuchen. Nach OUTBOX_MAX_ATTEMPTS Versuchen oder wenn der Server die
+ * Anfrage endgültig ablehnt (4xx), wandert sie nach "deadLetters". Die
+ * Einstellungen zeigen beide Listen.
+ *
+ * Läuft im Fenster und im Service Worker (importScripts nach idb.js).
+ * Beide können gleichzeitig abspielen (Knopf im Fenster, Sync im Worker):
+ * ein Web Lock lässt immer nur einen Durchlauf senden, und ein Fehlschlag
+ * schreibt seinen Eintrag nur zurück, solange er noch wartet.
+ * Ohne IndexedDB greift MemoryRequestOutbox.
+ */
+
+const OUTBOX_DB_NAME = "WetterAppDB";
+const OUTBOX_DB_VERSION = 2; // v2: deadLetters
+const OUTBOX_DB_STORES = {
+  PENDING: "failedRequests", // { id, kind, url, method, payload, attempts, ... }
+  DEAD_LETTERS: "deadLetters", // wie PENDING, zusätzlich deadAt
+};
+const OUTBOX_SYNC_TAG = "retry-failed-requests";
+const OUTBOX_LOCK_NAME = "calchas-outbox-replay";
+const OUTBOX_RETRY_MIN_MS = 30 * 1000;
+const OUTBOX_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 8;
+
+const OUTBOX_KINDS = {
+  PUSH_SUBSCRIPTION: "push-subscription",
+  SETTINGS: "settings",
+  ANALYTICS: "analytics",
+};
+
+const OUTBOX_KIND_LABELS = {
+  [OUTBOX_KINDS.PUSH_SUBSCRIPTION]: "Push-Abo",
+  [OUTBOX_KINDS.SETTINGS]: "Einstellungen",
+  [OUTBOX_KINDS.ANALYTICS]: "Analytics",
+};
+
+/**
+ * Wartezeit vor dem nächsten Versuch: verdoppelt sich ab 30 s, höchstens 6 h
+ * @param {number} attempts - bisherige Versuche
+ * @returns {number} - Millisekunden
+ */
+function outboxBackoffMs(attempts) {
+  const exponent = Math.max(0, attempts - 1);
+  return Math.min(OUTBOX_RETRY_MIN_MS * 2 ** exponent, OUTBOX_RETRY_MAX_MS);
+}
+
+/**
+ * Vom Server endgültig abgelehnt: ein neuer Versuch ändert nichts
+ * (Zeitüberschreitung und Rate-Limit ausgenommen)
+ * @param {number} status - HTTP-Status
+ * @returns {boolean}
+ */
+function isPermanentOutboxFailure(status) {
+  return status >= 400 && status < 500 && ![408, 429].includes(status);
+}
+
+/**
+ * Eintrag für den Ausgang. Die Nutzlast wird als JSON kopiert, damit z.B.
+ * eine PushSubscription in IndexedDB gespeichert werden kann.
+ * @param {object} request - { kind, url, method, payload, replaceKey }
+ * @param {number} now - Zeitstempel (ms)
+ * @returns {object}
+ */
+function createOutboxEntry(request, now = Date.now()) {
+  return {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    kind: request.kind,
+    url: request.url,
+    method: request.method || "POST",
+    payload: JSON.parse(JSON.stringify(request.payload ?? null)),
+    // Neuere Anfrage mit gleichem Schlüssel ersetzt die ältere (z.B. Abo)
+    replaceKey: request.replaceKey || null,
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    lastError: request.error || null,
+  };
+}
+
+// IndexedDB-Helfer (utils/idb.js): im Browser vorher geladen, sonst require
+const outboxIdb =
+  typeof idbRequest === "function"
+    ? { idbRequest, idbTransactionDone }
+    : require("./idb.js");
+
+class IndexedDBRequestOutbox {
+  constructor(options = {}) {
+    this.name = options.name || OUTBOX_DB_NAME;
+    this.factory = options.indexedDB || globalThis.indexedDB;
+    this._db = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== "undefined" && indexedDB !== null;
+  }
+
+  /**
+   * @private
+   */
+  _open() {
+    if (this._db) return this._db;
+    this._db = new Promise((resolve, reject) => {
+      const request = this.factory.open(this.name, OUTBOX_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // v1 (failedRequests) bleibt erhalten
+        Object.values(OUTBOX_DB_STORES).forEach((store) => {
+          if (!db.objectStoreNames.contains(store)) {
+            db.createObjectStore(store, { keyPath: "id" });
+          }
+        });
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => {
+          db.close();
+          this._db = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+    this._db.catch(() => {
+      this._db = null;
+    });
+    return this._db;
+  }
+
+  /**
+   * @private
+   */
+  async _getAll(storeName) {
+    const db = await this._open();
+    const tx = db.transaction(storeName, "readonly");
+    return outboxIdb.idbRequest(tx.objectStore(storeName).getAll());
+  }
+
+  getPending() {
+    return this._getAll(OUTBOX_DB_STORES.PENDING);
+  }
+
+  getDeadLetters() {
+    return this._getAll(OUTBOX_DB_STORES.DEAD_LETTERS);
+  }
+
+  async put(entry) {
+    const db = await this._open();
+    const tx = db.transaction(OUTBOX_DB_STORES.PENDING, "readwrite");
+    tx.objectStore(OUTBOX_DB_STORES.PENDING).put(entry);
+    return outboxIdb.idbTransactionDone(tx);
+  }
+
+  async remove(id) {
+    const db = await this._open();
+    const tx = db.transaction(OUTBOX_DB_STORES.PENDING, "readwrite");
+    tx.objectStore(OUTBOX_DB_STORES.PENDING).delete(id);
+    return outboxIdb.idbTransactionDone(tx);
+  }
+
+  /**
+   * Schreibt einen Eintrag zurück, solange er noch wartet. Wurde er
+   * inzwischen gesendet oder entfernt (z.B. nach widerrufener Einwilligung),
+   * passiert nichts.
+   * @returns {Promise<boolean>} - true, wenn aktualisiert
+   */
+  async update(entry) {
+    const db = await this._open();
+    const tx = db.transaction(OUTBOX_DB_STORES.PENDING, "readwrite");
+    const pending = tx.objectStore(OUTBOX_DB_STORES.PENDING);
+    let updated = false;
+    const request = pending.get(entry.id);
+    request.onsuccess = () => {
+      if (!request.result) return;
+      pending.put(entry);
+      updated = true;
+    };
+    await outboxIdb.idbTransactionDone(tx);
+    return updated;
+  }
+
+  /**
+   * Verschiebt einen noch wartenden Eintrag in einer Transaktion zu den
+   * Verworfenen
+   * @returns {Promise<boolean>} - true, wenn verschoben
+   */
+  async deadLetter(entry) {
+    const db = await this._open();
+    const tx = db.transaction(
+      [OUTBOX_DB_STORES.PENDING, OUTBOX_DB_STORES.DEAD_LETTERS],
+      "readwrite"
+    );
+    const pending = tx.objectStore(OUTBOX_DB_STORES.PENDING);
+    let moved = false;
+    const request = pending.get(entry.id);
+    request.onsuccess = () => {
+      if (!request.result) return;
+      pending.delete(entry.id);
+      tx.objectStore(OUTBOX_DB_STORES.DEAD_LETTERS).put(entry);
+      moved = true;
+    };
+    await outboxIdb.idbTransactionDone(tx);
+    return moved;
+  }
+
+  async clearDeadLetters() {
+    const db = await this._open();
+    const tx = db.transaction(OUTBOX_DB_STORES.DEAD_LETTERS, "readwrite");
+    tx.objectStore(OUTBOX_DB_STORES.DEAD_LETTERS).clear();
+    return outboxIdb.idbTransactionDone(tx);
+  }
+}
+
+/**
+ * Flüchtiger Ausgang mit derselben Schnittstelle (Tests, Fallback)
+ */
+class MemoryRequestOutbox {
+  constructor() {
+    this.pending = new Map();
+    this.deadLetters = new Map();
+  }
+
+  async getPending() {
+    return Array.from(this.pending.values(), (entry) => ({ ...entry }));
+  }
+
+  async getDeadLetters() {
+    return Array.from(this.deadLetters.values(), (entry) => ({ ...entry }));
+  }
+
+  async put(entry) {
+    this.pending.set(entry.id, { ...entry });
+  }
+
+  async remove(id) {
+    this.pending.delete(id);
+  }
+
+  async update(entry) {
+    if (!this.pending.has(entry.id)) return false;
+    this.pending.set(entry.id, { ...entry });
+    return true;
+  }
+
+  async deadLetter(entry) {
+    if (!this.pending.delete(entry.id)) return false;
+    this.deadLetters.set(entry.id, { ...entry });
+    return true;
+  }
+
+  async clearDeadLetters() {
+    this.deadLetters.clear();
+  }
+}
+
+/**
+ * IndexedDB wenn verfügbar, sonst Arbeitsspeicher
+ */
+function createRequestOutbox() {
+  return IndexedDBRequestOutbox.isSupported()
+    ? new IndexedDBRequestOutbox()
+    : new MemoryRequestOutbox();
+}
+
+/**
+ * Entfernt wartende Einträge einer Art oder mit einem Ersetzungsschlüssel,
+ * z.B. nach erfolgreichem Direktversand oder widerrufener Einwilligung
+ * @param {object} store - Ausgang
+ * @param {object} match - { kind } und/oder { replaceKey }
+ * @returns {Promise<number>} - Anzahl entfernter Einträge
+ */
+async function discardOutboxRequests(store, match = {}) {
+  const stale = (await store.getPending()).filter(
+    (entry) =>
+      (!match.kind || entry.kind === match.kind) &&
+      (!match.replaceKey || entry.replaceKey === match.replaceKey)
+  );
+  for (const entry of stale) await store.remove(entry.id);
+  return stale.length;
+}
+
+/**
+ * Legt eine fehlgeschlagene Anfrage in den Ausgang
+ * @param {object} store - Ausgang
+ * @param {object} request - { kind, url, method, payload, replaceKey, error }
+ * @param {object} options - { now }
+ * @returns {Promise<object>} - gespeicherter Eintrag
+ */
+async function enqueueOutboxRequest(store, request, options = {}) {
+  const now = options.now || (() => Date.now());
+  if (request.replaceKey) {
+    await discardOutboxRequests(store, { replaceKey: request.replaceKey });
+  }
+  const entry = createOutboxEntry(request, now());
+  await store.put(entry);
+  return entry;
+}
+
+/**
+ * Spielt fällige Einträge in Anlagereihenfolge erneut ab. Erfolgreiche
+ * verschwinden, endgültig abgelehnte oder zu oft gescheiterte werden
+ * verworfen, die übrigen mit längerer Wartezeit neu eingeplant. Fenster und
+ * Service Worker spielen nacheinander ab (Web Lock OUTBOX_LOCK_NAME), damit
+ * kein Eintrag doppelt beim Server ankommt.
+ * @param {object} store - Ausgang
+ * @param {object} options - { fetch, now, force, locks } (force ignoriert
+ *   Wartezeiten, locks ersetzt navigator.locks; null = ohne Lock)
+ * @returns {Promise<object>} - { sent, retrying, deadLettered } (IDs), waiting
+ */
+async function replayOutbox(store, options = {}) {
+  const locks =
+    options.locks === undefined ? globalThis.navigator?.locks : options.locks;
+  if (!locks) return replayOutboxEntries(store, options);
+  return locks.request(OUTBOX_LOCK_NAME, () =>
+    replayOutboxEntries(store, options)
+  );
+}
+
+/**
+ * Ein Durchlauf von replayOutbox, ohne Lock
+ * @private
+ */
+async function replayOutboxEntries(store, options) {
+  const fetchImpl = options.fetch || fetch;
+  const now = options.now || (() => Date.now());
+  const result = { sent: [], retrying: [], deadLettered: [], waiting: 0 };
+  const entries = (await store.getPending()).sort(
+    (a, b) => a.createdAt - b.createdAt
+  );
+
+  for (const entry of entries) {
+    if (!options.force && entry.nextAttemptAt > now()) {
+      result.waiting += 1;
+      continue;
+    }
+    const attempts = entry.attempts + 1;
+    let failure;
+    try {
+      const response = await fetchImpl(entry.url, {
+        method: entry.method,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(entry.payload),
+      });
+      if (response.ok) {
+        await store.remove(entry.id);
+        result.sent.push(entry.id);
+        continue;
+      }
+      failure = { message: `HTTP ${response.status}`, status: response.status };
+    } catch (error) {
+      failure = { message: error.message || String(error), status: 0 };
+    }
+
+    if (
+      isPermanentOutboxFailure(failure.status) ||
+      attempts >= OUTBOX_MAX_ATTEMPTS
+    ) {
+      const moved = await store.deadLetter({
+        ...entry,
+        attempts,
+        lastError: failure.message,
+        deadAt: now(),
+      });
+      if (!moved) continue;
+      result.deadLettered.push(entry.id);
+      console.warn(
+        `Ausgang: ${entry.kind} nach ${attempts} Versuch(en) verworfen (${failure.message})`
+      );
+    } else {
+      // Während des Versuchs entfernte Einträge bleiben weg
+      const updated = await store.update({
+        ...entry,
+        attempts,
+        lastError: failure.message,
+        nextAttemptAt: now() + outboxBackoffMs(attempts),
+      });
+      if (updated) result.retrying.push(entry.id);
+    }
+  }
+  return result;
+}
+
+/**
+ * Wie ein Sync-Ereignis nach replayOutbox endet. Solange Einträge ausstehen,
+ * auch nur wartende, muss der Sync erneut laufen: "retry" lässt ihn
+ * fehlschlagen, der Browser wiederholt ihn mit eigenem Abstand. Chrome gibt
+ * einen Sync nach etwa drei Versuchen auf und meldet den letzten mit
+ * SyncEvent.lastChance; dann meldet "reregister" den Tag neu an.
+ * @param {object} result - Ergebnis von replayOutbox
+ * @param {boolean} lastChance - SyncEvent.lastChance
+ * @returns {string} - "done" | "retry" | "reregister"
+ */
+function outboxSyncOutcome(result, lastChance = false) {
+  if (!result.retrying.length && !result.waiting) return "done";
+  return lastChance ? "reregister" : "retry";
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    OUTBOX_DB_NAME,
+    OUTBOX_SYNC_TAG,
+    OUTBOX_LOCK_NAME,
+    OUTBOX_MAX_ATTEMPTS,
+    OUTBOX_KINDS,
+    OUTBOX_KIND_LABELS,
+    outboxBackoffMs,
+    isPermanentOutboxFailure,
+    createOutboxEntry,
+    IndexedDBRequestOutbox,
+    MemoryRequestOutbox,
+    createRequestOutbox,
+    discardOutboxRequests,
+    enqueueOutboxRequest,
+    replayOutbox,
+    outboxSyncOutcome,
+  };
+}
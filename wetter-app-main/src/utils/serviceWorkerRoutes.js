@@ -0,0 +1,287 @@
+/* Routing-Tabelle des Service Workers für API-Anfragen
+ *
+ * Jede Route ordnet Hosts (und optional einen Pfad) einer Strategie zu und
+ * bekommt einen eigenen Cache mit Höchstalter und Eintragslimit. Die erste
+ * passende Route gewinnt. Anfragen ohne Route (z.B. Provider mit API-Key in
+ * der URL) laufen am Cache vorbei.
+ *
+ * Der Service Worker lädt die Datei per importScripts. Cache-API, fetch und
+ * Uhr werden übergeben, damit sich die Tabelle in Tests mit Attrappen prüfen
+ * lässt.
+ */
+
+const SW_ROUTE_CACHE_PREFIX = "calchas-api-";
+// Zeitpunkt des Abrufs; Date-Header fehlen bei manchen APIs oder sind gecacht
+const SW_CACHED_AT_HEADER = "x-calchas-cached-at";
+
+const SW_ROUTES = [
+  {
+    // Orte ändern sich nicht: erst Cache, dann Netz
+    id: "geocoding",
+    hosts: [
+      "nominatim.openstreetmap.org",
+      "geocoding-api.open-meteo.com",
+      "api.bigdatacloud.net",
+    ],
+    strategy: "cacheFirst",
+    maxAgeSeconds: 7 * 24 * 60 * 60,
+    maxEntries: 100,
+  },
+  {
+    // Amtliche Warnungen müssen aktuell sein, offline hilft der letzte Stand
+    id: "alerts",
+    hosts: ["api.brightsky.dev"],
+    path: /^\/alerts/,
+    strategy: "networkFirst",
+    timeoutMs: 3000,
+    maxAgeSeconds: 60 * 60,
+    maxEntries: 20,
+  },
+  {
+    // Radarbilder veralten in Minuten und sind groß
+    id: "radar",
+    hosts: ["api.brightsky.dev"],
+    path: /^\/radar/,
+    strategy: "networkOnly",
+  },
+  {
+    // Die App speichert Antworten als frisch und kennzeichnet nichts als alt:
+    // höchstens so alt wie CACHE_CONFIG.TTL.WEATHER, Frist unter den
+    // Provider-Timeouts (ab 4,5 s). Länger offline helfen die Favoriten-Snapshots.
+    id: "forecast",
+    hosts: [
+      "api.open-meteo.com",
+      "air-quality-api.open-meteo.com",
+      "marine-api.open-meteo.com",
+      "archive-api.open-meteo.com",
+      "api.brightsky.dev",
+    ],
+    strategy: "networkFirst",
+    timeoutMs: 3000,
+    maxAgeSeconds: 30 * 60,
+    maxEntries: 60,
+  },
+  {
+    // Sonnen- und Mondzeiten: sofort aus dem Cache, im Hintergrund erneuern
+    id: "astronomy",
+    hosts: ["api.sunrise-sunset.org", "api.phaseofthemoontoday.com"],
+    strategy: "staleWhileRevalidate",
+    maxAgeSeconds: 24 * 60 * 60,
+    maxEntries: 30,
+  },
+];
+
+/**
+ * Erste Route für eine Anfrage
+ * @param {Request} request
+ * @param {array} routes - Routing-Tabelle (default: SW_ROUTES)
+ * @returns {object|null}
+ */
+function matchSwRoute(request, routes = SW_ROUTES) {
+  if (request.method && request.method !== "GET") return null;
+  let url;
+  try {
+    url = new URL(request.url);
+  } catch (e) {
+    return null;
+  }
+  return (
+    routes.find(
+      (route) =>
+        route.hosts.includes(url.hostname) &&
+        (!route.path || route.path.test(url.pathname))
+    ) || null
+  );
+}
+
+function swRouteCacheName(route) {
+  return `${SW_ROUTE_CACHE_PREFIX}${route.id}`;
+}
+
+/**
+ * @private
+ */
+function swRouteDeps(deps = {}) {
+  return {
+    caches: deps.caches || globalThis.caches,
+    fetch: deps.fetch || ((request) => globalThis.fetch(request)),
+    now: deps.now || (() => Date.now()),
+    waitUntil: deps.waitUntil || (() => {}),
+  };
+}
+
+function isFreshSwResponse(response, route, now) {
+  if (!route.maxAgeSeconds) return true;
+  const cachedAt = Number(response.headers.get(SW_CACHED_AT_HEADER));
+  return cachedAt > 0 && now - cachedAt <= route.maxAgeSeconds * 1000;
+}
+
+/**
+ * Gecachte Antwort innerhalb des Höchstalters; abgelaufene werden gelöscht
+ * @private
+ */
+async function readSwRouteCache(route, request, deps) {
+  const cache = await deps.caches.open(swRouteCacheName(route));
+  const cached = await cache.match(request);
+  if (!cached) return null;
+  if (!isFreshSwResponse(cached, route, deps.now())) {
+    await cache.delete(request);
+    return null;
+  }
+  return cached;
+}
+
+/**
+ * Speichert erfolgreiche Antworten mit Zeitstempel und hält das Limit ein
+ * @private
+ */
+async function writeSwRouteCache(route, request, response, deps) {
+  if (!response || !response.ok) return;
+  try {
+    const headers = new Headers(response.headers);
+    headers.set(SW_CACHED_AT_HEADER, String(deps.now()));
+    const body = await response.clone().arrayBuffer();
+    const cache = await deps.caches.open(swRouteCacheName(route));
+    await cache.put(
+      request,
+      new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+      })
+    );
+    if (route.maxEntries) {
+      // keys() liefert die Einträge in Einfügereihenfolge, älteste zuerst
+      const keys = await cache.keys();
+      await Promise.all(
+        keys
+          .slice(0, Math.max(0, keys.length - route.maxEntries))
+          .map((key) => cache.delete(key))
+      );
+    }
+  } catch (error) {
+    // Voller Speicher o.Ä. darf die Antwort nicht verhindern
+    console.warn(`Service Worker: ${route.id}-Cache nicht beschrieben`, error);
+  }
+}
+
+const SW_STRATEGIES = {
+  networkOnly(route, request, deps) {
+    return deps.fetch(request);
+  },
+
+  async cacheFirst(route, request, deps) {
+    const cached = await readSwRouteCache(route, request, deps);
+    if (cached) return cached;
+    const response = await deps.fetch(request);
+    await writeSwRouteCache(route, request, response, deps);
+    return response;
+  },
+
+  /**
+   * Netz mit Frist: danach die gecachte Antwort, ohne Cache weiter aufs Netz
+   * warten. Serverfehler (5xx) und Netzfehler fallen auf den Cache zurück,
+   * Client-Fehler (4xx) gehen unverändert an die App.
+   */
+  async networkFirst(route, request, deps) {
+    const network = Promise.resolve(deps.fetch(request)).then(
+      async (response) => {
+        await writeSwRouteCache(route, request, response, deps);
+        return response;
+      }
+    );
+    const timedOut = {};
+    let timer = null;
+    const deadline = route.timeoutMs
+      ? new Promise((resolve) => {
+          timer = setTimeout(() => resolve(timedOut), route.timeoutMs);
+        })
+      : null;
+
+    try {
+      const first = await Promise.race(
+        deadline ? [network, deadline] : [network]
+      );
+      if (first === timedOut) {
+        const cached = await readSwRouteCache(route, request, deps);
+        if (cached) {
+          // Netzantwort landet im Hintergrund noch im Cache
+          deps.waitUntil(network.catch(() => {}));
+          return cached;
+        }
+      }
+      const response = first === timedOut ? await network : first;
+      if (response.status >= 500) {
+        return (await readSwRouteCache(route, request, deps)) || response;
+      }
+      return response;
+    } catch (error) {
+      const cached = await readSwRouteCache(route, request, deps);
+      if (cached) return cached;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+
+  async staleWhileRevalidate(route, request, deps) {
+    const cached = await readSwRouteCache(route, request, deps);
+    const update = Promise.resolve(deps.fetch(request)).then(
+      async (response) => {
+        await writeSwRouteCache(route, request, response, deps);
+        return response;
+      }
+    );
+    if (!cached) return update;
+    deps.waitUntil(update.catch(() => {}));
+    return cached;
+  },
+};
+
+/**
+ * Beantwortet eine Anfrage nach der Strategie ihrer Route
+ * @param {object} route - Eintrag aus der Routing-Tabelle
+ * @param {Request} request
+ * @param {object} deps - { caches, fetch, now, waitUntil }
+ * @returns {Promise<Response>}
+ */
+function handleSwRoute(route, request, deps = {}) {
+  const strategy = SW_STRATEGIES[route.strategy];
+  if (!strategy) {
+    return Promise.reject(new Error(`Unbekannte Strategie: ${route.strategy}`));
+  }
+  return strategy(route, request, swRouteDeps(deps));
+}
+
+/**
+ * Löscht abgelaufene Einträge aller Routen-Caches (z.B. bei activate)
+ * @returns {Promise<number>} - Anzahl gelöschter Einträge
+ */
+async function expireSwRouteCaches(routes = SW_ROUTES, deps = {}) {
+  const { caches: storage, now } = swRouteDeps(deps);
+  let removed = 0;
+  for (const route of routes) {
+    if (route.strategy === "networkOnly" || !route.maxAgeSeconds) continue;
+    const cache = await storage.open(swRouteCacheName(route));
+    for (const key of await cache.keys()) {
+      const cached = await cache.match(key);
+      if (cached && !isFreshSwResponse(cached, route, now())) {
+        await cache.delete(key);
+        removed += 1;
+      }
+    }
+  }
+  return removed;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SW_ROUTES,
+    SW_ROUTE_CACHE_PREFIX,
+    SW_CACHED_AT_HEADER,
+    matchSwRoute,
+    swRouteCacheName,
+    handleSwRoute,
+    expireSwRouteCaches,
+  };
+}
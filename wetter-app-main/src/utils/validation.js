@@ -12,17 +12,27 @@ function validateCityInput(city) {
 
   const trimmed = city.trim();
   const rule = VALIDATION.CITY_NAME;
+  // Zeichen statt UTF-16-Einheiten zählen ("北京" hat 2 Zeichen)
+  const length = Array.from(trimmed).length;
 
-  if (trimmed.length < rule.MIN_LENGTH) {
+  if (length < rule.MIN_LENGTH) {
     return { valid: false, error: `Stadtname muss mindestens ${rule.MIN_LENGTH} Zeichen lang sein` };
   }
 
-  if (trimmed.length > rule.MAX_LENGTH) {
+  if (length > rule.MAX_LENGTH) {
     return { valid: false, error: `Stadtname darf maximal ${rule.MAX_LENGTH} Zeichen lang sein` };
   }
 
   if (!rule.PATTERN.test(trimmed)) {
-    return { valid: false, error: `Ungültige Zeichen in Stadtname: ${rule.ERROR_MESSAGE}` };
+    const invalid = Array.from(new Set(
+      Array.from(trimmed).filter((char) => !rule.PATTERN.test(char) && !/\s/.test(char))
+    ));
+    const detail = invalid.length ? ` ${invalid.map((char) => `"${char}"`).join(' ')}` : '';
+    return { valid: false, error: `Ungültige Zeichen in Stadtname:${detail || ` ${rule.ERROR_MESSAGE}`}` };
+  }
+
+  if (!rule.REQUIRED.test(trimmed)) {
+    return { valid: false, error: rule.ERROR_MESSAGE };
   }
 
   return { valid: true, error: null };
@@ -191,12 +201,18 @@ function validateGeoResults(results) {
  */
 function sanitizeInput(input) {
   if (typeof input !== 'string') return '';
-  
-  return input
-    .trim()
-    .replace(/[<>\"'%]/g, '')  // Entferne HTML/Script-Zeichen
-    .replace(/\s+/g, ' ')      // Normalisiere Leerzeichen
-    .substring(0, VALIDATION.CITY_NAME.MAX_LENGTH);
+
+  const cleaned = input
+    .normalize('NFC')                           // "é" als ein Zeichen (macOS/iOS liefern oft NFD)
+    .replace(/\p{Cc}/gu, ' ')                   // Steuerzeichen (Tab, Zeilenumbruch) -> Leerzeichen
+    .replace(/[^\P{Cf}\u200C\u200D]/gu, '')     // Unsichtbare Zeichen/Bidi-Overrides, außer ZWNJ/ZWJ
+    .replace(/[\u2018\u2019\u02BC]/g, "'")      // Typografische Apostrophe ("Côte d’Ivoire")
+    .replace(/[<>"`%\\]/g, '')                  // Entferne HTML/Script-Zeichen
+    .replace(/\s+/g, ' ')                       // Normalisiere Leerzeichen
+    .trim();
+
+  // Nach Zeichen kürzen, damit keine Surrogatpaare zerteilt werden
+  return Array.from(cleaned).slice(0, VALIDATION.CITY_NAME.MAX_LENGTH).join('');
 }
 
 /**
@@ -219,17 +235,26 @@ function formatErrorMessage(errorCode, details = '') {
 /**
  * Wrapper für sichere API-Anfragen mit Timeout und Error-Handling
  * @param {string} url - API-URL
- * @param {object} options - Fetch-Optionen
+ * @param {object} options - Fetch-Optionen (options.signal bricht die Anfrage ab)
  * @param {number} timeout - Timeout in ms
  * @returns {Promise<Response>}
  */
 async function safeApiFetch(url, options = {}, timeout = 5000) {
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const { signal: externalSignal, ...fetchOptions } = options || {};
+  if (externalSignal && externalSignal.aborted) {
+    throw createAbortError();
+  }
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (externalSignal) {
+    externalSignal.addEventListener('abort', onAbort, { once: true });
+  }
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
 
+  try {
     const response = await fetch(url, {
-      ...options,
+      ...fetchOptions,
       signal: controller.signal
     });
 
@@ -251,12 +276,66 @@ async function safeApiFetch(url, options = {}, timeout = 5000) {
     return response;
   } catch (error) {
     if (error.name === 'AbortError') {
+      // Abbruch von außen (neue Suche/Frist) vs. eigener Timeout
+      if (externalSignal && externalSignal.aborted) {
+        throw createAbortError();
+      }
       throw new Error(ERROR_CODES.TIMEOUT.message);
     }
     throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    if (externalSignal) {
+      externalSignal.removeEventListener('abort', onAbort);
+    }
   }
 }
 
+/**
+ * Fehlerobjekt für abgebrochene Anfragen (name = 'AbortError')
+ * @param {string} message
+ * @returns {Error}
+ */
+function createAbortError(message = ERROR_CODES.ABORTED.message) {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Prüft ob ein Fehler von einem Abbruch stammt
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isAbortError(error) {
+  return !!error && error.name === 'AbortError';
+}
+
+/**
+ * Wartet ms Millisekunden, bricht bei signal.abort() sofort ab
+ * (für Backoff zwischen Retry-Versuchen)
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function waitWithSignal(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 /**
  * Batch-Validierung mehrerer Felder
  * @param {object} data - Daten zum Validieren
@@ -289,4 +368,16 @@ function validateBatch(data, rules) {
     valid: errors.length === 0,
     errors
   };
-}
\ No newline at end of file
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    validateCityInput,
+    validateCoordinates,
+    validateApiResponse,
+    sanitizeInput,
+    safeApiFetch,
+    createAbortError,
+    isAbortError,
+    waitWithSignal
+  };
+}
@@ -0,0 +1,276 @@
+/* Kanonisches Wetter-Datenmodell
+ *
+ * Alle Provider-Adapter (toCanonical) liefern dieses Format, damit UI,
+ * Blending und Vergleichsansichten keine Feldnamen mehr raten müssen.
+ * Einheiten sind fest metrisch (siehe CANONICAL_UNITS); Umrechnung für die
+ * Anzeige passiert erst beim Rendern.
+ *
+ * @typedef {object} WeatherDataset
+ * @property {string} source              - Provider-ID (z.B. "open-meteo")
+ * @property {number} schemaVersion
+ * @property {object} units               - CANONICAL_UNITS
+ * @property {CanonicalPoint|null} current
+ * @property {CanonicalPoint[]} hourly
+ * @property {CanonicalDay[]} daily        - Vorhersage
+ * @property {CanonicalDay[]} historical   - Beobachtungen/Vergangenheit
+ *
+ * @typedef {object} CanonicalPoint
+ * @property {string} time  - ISO-Zeitpunkt (wie vom Provider geliefert)
+ * @property {number} ts    - Epoch-Millisekunden (UTC)
+ * @property {number|null} temperature, apparentTemperature, dewPoint  (°C)
+ * @property {number|null} humidity, cloudCover, precipitationProbability (%)
+ * @property {number|null} precipitation (mm), pressure (hPa)
+ * @property {number|null} windSpeed, windGust (km/h), windDirection (°)
+ * @property {number|null} uvIndex, uvIndexClearSky
+ * @property {number|null} weatherCode - WMO-Code
+ * @property {number|null} isDay       - 1/0
+ * @property {string|null} description
+ *
+ * @typedef {object} CanonicalDay
+ * @property {string} date  - YYYY-MM-DD
+ * @property {number|null} tempMax, tempMin, tempAvg (°C)
+ * @property {number|null} precipitationSum (mm), precipitationProbability (%)
+ * @property {number|null} precipitationHours (h)
+ * @property {number|null} windSpeedMax (km/h), windDirection (°), pressure (hPa)
+ * @property {number|null} uvIndexMax, weatherCode
+ * @property {string|null} sunrise, sunset - ISO-Zeitpunkte
+ */
+
+const WEATHER_SCHEMA_VERSION = 1;
+
+const CANONICAL_UNITS = {
+  temperature: "°C",
+  precipitation: "mm",
+  windSpeed: "km/h",
+  pressure: "hPa",
+  humidity: "%",
+  probability: "%",
+};
+
+const num = (min, max, extra = {}) => ({ type: "number", min, max, ...extra });
+const str = (extra = {}) => ({ type: "string", ...extra });
+
+const TEMP = num(-90, 60);
+const PERCENT = num(0, 100);
+
+const POINT_FIELDS = {
+  time: str({ required: true }),
+  ts: num(0, Number.MAX_SAFE_INTEGER, { required: true }),
+  temperature: TEMP,
+  apparentTemperature: TEMP,
+  dewPoint: TEMP,
+  humidity: PERCENT,
+  cloudCover: PERCENT,
+  precipitation: num(0, 500),
+  precipitationProbability: PERCENT,
+  windSpeed: num(0, 400),
+  windGust: num(0, 500),
+  windDirection: num(0, 360),
+  pressure: num(850, 1100),
+  uvIndex: num(0, 20),
+  uvIndexClearSky: num(0, 20),
+  weatherCode: num(0, 99, { integer: true }),
+  isDay: num(0, 1, { integer: true }),
+  description: str(),
+};
+
+const DAY_FIELDS = {
+  date: str({ required: true, pattern: /^\d{4}-\d{2}-\d{2}$/ }),
+  tempMax: TEMP,
+  tempMin: TEMP,
+  tempAvg: TEMP,
+  precipitationSum: num(0, 2000),
+  precipitationProbability: PERCENT,
+  precipitationHours: num(0, 24),
+  windSpeedMax: num(0, 400),
+  windDirection: num(0, 360),
+  pressure: num(850, 1100),
+  uvIndexMax: num(0, 20),
+  weatherCode: num(0, 99, { integer: true }),
+  sunrise: str(),
+  sunset: str(),
+  description: str(),
+};
+
+const WEATHER_SCHEMA = {
+  current: POINT_FIELDS,
+  hourly: POINT_FIELDS,
+  daily: DAY_FIELDS,
+  historical: DAY_FIELDS,
+};
+
+// Anteil verworfener Einträge, ab dem eine Reihe als unbrauchbar gilt
+const MAX_DROPPED_RATIO = 0.5;
+
+/**
+ * Wandelt eine Provider-Zeitangabe in Epoch-ms um
+ * @param {string|number} time - ISO-String (mit/ohne Zone) oder Epoch-ms
+ * @param {number} utcOffsetSeconds - Offset für Lokalzeiten ohne Zonenangabe
+ * @returns {number|null}
+ */
+function toCanonicalTimestamp(time, utcOffsetSeconds = 0) {
+  if (typeof time === "number") return Number.isFinite(time) ? time : null;
+  if (typeof time !== "string" || !time) return null;
+  const hasZone = /([zZ]|[+-]\d{2}:?\d{2})$/.test(time);
+  const ms = hasZone
+    ? Date.parse(time)
+    : Date.parse(`${time.length === 16 ? `${time}:00` : time}Z`) -
+      utcOffsetSeconds * 1000;
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Wählt den Stundenwert, der dem aktuellen Zeitpunkt am nächsten liegt
+ * @param {CanonicalPoint[]} hourly
+ * @param {number} now - Epoch-ms
+ * @returns {CanonicalPoint|null}
+ */
+function currentFromHourly(hourly, now = Date.now()) {
+  if (!Array.isArray(hourly) || !hourly.length) return null;
+  let best = null;
+  hourly.forEach((entry) => {
+    if (typeof entry?.ts !== "number") return;
+    if (!best || Math.abs(entry.ts - now) < Math.abs(best.ts - now)) {
+      best = entry;
+    }
+  });
+  return best ? { ...best } : null;
+}
+
+function _checkValue(spec, value) {
+  if (value === null || value === undefined) return { ok: true, value: null };
+  if (spec.type === "number") {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return { ok: false, reason: "keine Zahl" };
+    }
+    if (value < spec.min || value > spec.max) {
+      return { ok: false, reason: `außerhalb ${spec.min}..${spec.max}` };
+    }
+    if (spec.integer && !Number.isInteger(value)) {
+      return { ok: false, reason: "keine Ganzzahl" };
+    }
+    return { ok: true, value };
+  }
+  if (typeof value !== "string") return { ok: false, reason: "kein Text" };
+  if (spec.pattern && !spec.pattern.test(value)) {
+    return { ok: false, reason: "ungültiges Format" };
+  }
+  return { ok: true, value };
+}
+
+function _cleanEntry(entry, fields, label, warnings) {
+  if (!entry || typeof entry !== "object") {
+    warnings.push(`${label}: kein Objekt`);
+    return null;
+  }
+  const cleaned = {};
+  for (const [field, spec] of Object.entries(fields)) {
+    const check = _checkValue(spec, entry[field]);
+    if (!check.ok) {
+      if (spec.required) {
+        warnings.push(`${label}.${field}: ${check.reason} – Eintrag verworfen`);
+        return null;
+      }
+      warnings.push(`${label}.${field}: ${check.reason}`);
+      cleaned[field] = null;
+      continue;
+    }
+    if (spec.required && check.value === null) {
+      warnings.push(`${label}.${field}: fehlt – Eintrag verworfen`);
+      return null;
+    }
+    cleaned[field] = check.value;
+  }
+  return cleaned;
+}
+
+/**
+ * Prüft und bereinigt einen Datensatz.
+ * Ungültige Einzelwerte werden auf null gesetzt (warnings), unbrauchbare
+ * Strukturen führen zu valid=false (errors).
+ * @param {WeatherDataset} dataset
+ * @returns {{valid: boolean, errors: string[], warnings: string[], dataset: WeatherDataset|null}}
+ */
+function validateWeatherDataset(dataset) {
+  const errors = [];
+  const warnings = [];
+
+  if (!dataset || typeof dataset !== "object") {
+    return {
+      valid: false,
+      errors: ["Kein Datensatz"],
+      warnings,
+      dataset: null,
+    };
+  }
+  if (typeof dataset.source !== "string" || !dataset.source) {
+    errors.push("source fehlt");
+  }
+
+  const cleaned = {
+    source: dataset.source || null,
+    schemaVersion: WEATHER_SCHEMA_VERSION,
+    units: { ...CANONICAL_UNITS },
+    current: null,
+    hourly: [],
+    daily: [],
+    historical: [],
+  };
+
+  ["hourly", "daily", "historical"].forEach((series) => {
+    const entries = dataset[series];
+    if (entries === undefined || entries === null) return;
+    if (!Array.isArray(entries)) {
+      errors.push(`${series} ist keine Liste`);
+      return;
+    }
+    const kept = entries
+      .map((entry, idx) =>
+        _cleanEntry(entry, WEATHER_SCHEMA[series], `${series}[${idx}]`, warnings)
+      )
+      .filter(Boolean);
+    const dropped = entries.length - kept.length;
+    if (entries.length && dropped / entries.length > MAX_DROPPED_RATIO) {
+      errors.push(
+        `${series}: ${dropped} von ${entries.length} Einträgen unbrauchbar`
+      );
+    }
+    cleaned[series] = kept;
+  });
+
+  if (dataset.current) {
+    cleaned.current = _cleanEntry(
+      dataset.current,
+      WEATHER_SCHEMA.current,
+      "current",
+      warnings
+    );
+  }
+
+  const hasData =
+    cleaned.current ||
+    cleaned.hourly.length ||
+    cleaned.daily.length ||
+    cleaned.historical.length;
+  if (!hasData) {
+    errors.push("Keine verwertbaren Daten");
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    dataset: errors.length ? null : cleaned,
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    WEATHER_SCHEMA,
+    WEATHER_SCHEMA_VERSION,
+    CANONICAL_UNITS,
+    toCanonicalTimestamp,
+    currentFromHourly,
+    validateWeatherDataset,
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * tests/airQuality.test.js
+ * Open-Meteo Luftqualität: Abruf, EAQI-Bänder, Schadstoffe und Pollen
+ */
+
+const constants = require("../src/utils/constants.js");
+const validation = require("../src/utils/validation.js");
+const cacheStore = require("../src/utils/cacheStore.js");
+
+global.API_ENDPOINTS = constants.API_ENDPOINTS;
+global.CACHE_CONFIG = constants.CACHE_CONFIG;
+global.ERROR_CODES = constants.ERROR_CODES;
+global.VALIDATION = constants.VALIDATION;
+Object.assign(global, validation);
+global.createCacheStore = cacheStore.createCacheStore;
+
+const { WeatherCache } = require("../src/utils/cache.js");
+const { AirQualityAPI } = require("../src/api/airQuality.js");
+
+const times = Array.from(
+  { length: 30 },
+  (_, h) =>
+    `2024-04-${h < 24 ? "10" : "11"}T${String(h % 24).padStart(2, "0")}:00`
+);
+const column = (fn) => times.map((_, h) => fn(h));
+
+const payload = {
+  current: {
+    time: "2024-04-10T05:15",
+    european_aqi: 34,
+    pm2_5: 12,
+    pm10: 18,
+    nitrogen_dioxide: 30,
+    ozone: 60,
+    sulphur_dioxide: 3,
+  },
+  hourly: {
+    time: times,
+    european_aqi: column((h) => (h === 15 ? 72 : 30)),
+    pm2_5: column(() => 12),
+    pm10: column(() => 18),
+    nitrogen_dioxide: column(() => 30),
+    ozone: column((h) => 40 + h),
+    sulphur_dioxide: column(() => 3),
+    birch_pollen: column((h) => (h < 5 ? 500 : 120)),
+    grass_pollen: column(() => 2),
+    ragweed_pollen: column(() => null),
+  },
+};
+
+describe("AirQualityAPI", () => {
+  let api;
+  beforeEach(() => {
+    global.weatherCache = new WeatherCache({
+      store: new cacheStore.MemoryCacheStore(),
+    });
+    global.safeApiFetch = jest.fn(async () => ({ json: async () => payload }));
+    api = new AirQualityAPI();
+  });
+
+  test("fetchAirQuality requests pollutants and pollen and caches the result", async () => {
+    const first = await api.fetchAirQuality(52.52, 13.41);
+    const second = await api.fetchAirQuality(52.52, 13.41);
+
+    expect(first.data).toBe(payload);
+    expect(first.fromCache).toBe(false);
+    expect(second.fromCache).toBe(true);
+    expect(safeApiFetch).toHaveBeenCalledTimes(1);
+    const url = new URL(safeApiFetch.mock.calls[0][0]);
+    expect(url.origin + url.pathname).toBe(
+      "https://air-quality-api.open-meteo.com/v1/air-quality"
+    );
+    expect(url.searchParams.get("hourly")).toContain("birch_pollen");
+    expect(url.searchParams.get("current")).toContain("european_aqi");
+  });
+
+  test("fetchAirQuality reports API errors without throwing", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    safeApiFetch.mockResolvedValue({
+      json: async () => ({ error: true, reason: "Cannot initialize" }),
+    });
+
+    const result = await api.fetchAirQuality(52.52, 13.41);
+
+    expect(result.error).toBe("Cannot initialize");
+    expect(result.data).toBeUndefined();
+  });
+
+  test("bands follow the European AQI and pollutant limits", () => {
+    expect(api.bandFor(15).label).toBe("Gut");
+    expect(api.bandFor(40).id).toBe("fair");
+    expect(api.bandFor(85).id).toBe("very_poor");
+    expect(api.bandFor(140).id).toBe("extremely_poor");
+    expect(api.bandFor(null)).toBeNull();
+    expect(api.pollutantBand("nitrogen_dioxide", 100).id).toBe("moderate");
+    expect(api.pollutantBand("pm2_5", 900).id).toBe("extremely_poor");
+    expect(api.pollenLevel("birch_pollen", 0).label).toBe("keine");
+    expect(api.pollenLevel("grass_pollen", 30)).toEqual({
+      index: 3,
+      label: "hoch",
+    });
+  });
+
+  test("format starts at the current hour and summarizes the next 24 hours", () => {
+    const summary = api.format(payload);
+
+    expect(summary.aqi).toBe(34);
+    expect(summary.band.label).toBe("Ausreichend");
+    expect(summary.band.sensitive).toBeTruthy();
+    expect(summary.hourly).toHaveLength(24);
+    expect(summary.hourly[0].time).toBe("2024-04-10T05:00");
+    expect(summary.peak).toMatchObject({
+      aqi: 72,
+      time: "2024-04-10T15:00",
+    });
+    expect(summary.peak.band.id).toBe("poor");
+
+    const ozone = summary.pollutants.find((entry) => entry.id === "ozone");
+    expect(ozone.value).toBe(60);
+    expect(ozone.hourly[0]).toBe(45);
+    expect(ozone.peak).toBe(68);
+
+    // Pollen ohne Werte (außerhalb Europas) fallen weg
+    expect(summary.pollen.map((entry) => entry.id)).toEqual([
+      "birch_pollen",
+      "grass_pollen",
+    ]);
+    expect(summary.pollen[0].level.label).toBe("sehr hoch");
+    expect(summary.pollen[1].level.label).toBe("gering");
+    expect(api.format({})).toBeNull();
+  });
+});
@@ -0,0 +1,326 @@
+/**
+ * tests/alertAreas.test.js
+ * Gebietsprüfung: Polygone, Kreise und Geocodes gegen Standort und Favoriten
+ */
+
+const fs = require("fs");
+const path = require("path");
+const areas = require("../src/utils/alertAreas.js");
+const cap = require("../src/utils/capAlerts.js");
+
+Object.assign(global, cap, areas);
+Object.assign(
+  global,
+  require("../src/utils/alertRules.js"),
+  require("../src/utils/alertHistory.js")
+);
+const AlertsPanel = require("../src/ui/alertsPanel.js");
+const {
+  simplifyRing,
+  buildAlertRegions,
+  renderAlertRegions,
+} = require("../tools/build-alert-regions.js");
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "fixtures", "cap", name), "utf8");
+
+const berlin = { name: "Berlin", lat: 52.52, lon: 13.405 };
+const potsdam = { name: "Potsdam", lat: 52.39, lon: 13.065 };
+const munich = { name: "München", lat: 48.137, lon: 11.575 };
+const spandau = { name: "Spandau", lat: 52.535, lon: 13.2 };
+
+describe("alert area geometry", () => {
+  test("pointInPolygon handles concave rings", () => {
+    // U-Form: Öffnung nach Norden zwischen lon 1 und 2
+    const ring = [
+      [0, 0],
+      [3, 0],
+      [3, 1],
+      [1, 1],
+      [1, 2],
+      [3, 2],
+      [3, 3],
+      [0, 3],
+      [0, 0],
+    ];
+    expect(areas.pointInPolygon({ lat: 0.5, lon: 1.5 }, ring)).toBe(true);
+    expect(areas.pointInPolygon({ lat: 2, lon: 1.5 }, ring)).toBe(false);
+    expect(areas.pointInPolygon({ lat: 4, lon: 1.5 }, ring)).toBe(false);
+  });
+
+  test("circles use great-circle distance", () => {
+    const area = { circles: [{ lat: 52.52, lon: 13.405, radiusKm: 30 }] };
+    expect(areas.distanceKm(berlin, potsdam)).toBeCloseTo(26.9, 0);
+    expect(areas.areaCoversPoint(area, potsdam)).toBe(true);
+    expect(areas.areaCoversPoint(area, munich)).toBe(false);
+  });
+
+  test("geocodes resolve via the bundled table", () => {
+    const kreis = { valueName: "WARNCELLID", value: "111000000" };
+    const gemeinde = { valueName: "WARNCELLID", value: "811000000" };
+    expect(areas.resolveAlertGeocode(kreis).name).toBe("Berlin");
+    expect(areas.resolveAlertGeocode(gemeinde).name).toBe("Berlin");
+    expect(
+      areas.resolveAlertGeocode({ valueName: "EMMA_ID", value: "XX999" })
+    ).toBeNull();
+
+    expect(areas.areaCoversPoint({ geocodes: [gemeinde] }, berlin)).toBe(true);
+    expect(areas.areaCoversPoint({ geocodes: [gemeinde] }, munich)).toBe(false);
+    // Ohne auflösbare Geometrie gilt ein Gebiet für keinen Ort
+    expect(areas.areaCoversPoint({ description: "Berlin" }, berlin)).toBe(
+      false
+    );
+  });
+
+  test("MeteoAlarm EMMA_IDs resolve via the bundled district table", () => {
+    expect(
+      areas.resolveAlertGeocode({ valueName: "EMMA_ID", value: "DE300" })
+    ).toEqual(
+      areas.resolveAlertGeocode({ valueName: "WARNCELLID", value: "111000000" })
+    );
+    expect(
+      areas.resolveAlertGeocode({ valueName: "EMMA_ID", value: "DE212" }).name
+    ).toBe("München");
+
+    // Der Feed nennt nur die EMMA_ID, keine Geometrie
+    const [alert] = cap.parseCapXml(fixture("meteoalarm-feed.xml"));
+    const result = areas.filterAlertsByLocations(
+      [alert],
+      [munich, potsdam, berlin]
+    );
+    expect(result).toHaveLength(1);
+    expect(result[0].coveredLocations).toEqual(["Berlin"]);
+  });
+
+  test("district outlines reject points in neighbouring districts", () => {
+    // Das Rechteck des Kreises Pinneberg reicht bis Helgoland und deckt
+    // Stade, Cuxhaven und Brunsbüttel mit ab
+    const pinneberg = {
+      geocodes: [{ valueName: "WARNCELLID", value: "101056000" }],
+    };
+    const covers = (lat, lon) => areas.areaCoversPoint(pinneberg, { lat, lon });
+    expect(covers(53.66, 9.8)).toBe(true);
+    expect(covers(54.18, 7.89)).toBe(true); // Helgoland
+    expect(covers(53.6, 9.48)).toBe(false); // Stade
+    expect(covers(53.87, 8.69)).toBe(false); // Cuxhaven
+    expect(covers(53.9, 9.14)).toBe(false); // Brunsbüttel
+
+    // Kreisfreie Stadt als Loch im umgebenden Landkreis
+    const rosenheim = { lat: 47.856, lon: 12.128 };
+    const landkreis = { valueName: "WARNCELLID", value: "109187000" };
+    const stadt = { valueName: "WARNCELLID", value: "109163000" };
+    expect(areas.areaCoversPoint({ geocodes: [stadt] }, rosenheim)).toBe(true);
+    expect(areas.areaCoversPoint({ geocodes: [landkreis] }, rosenheim)).toBe(
+      false
+    );
+  });
+
+  test("filterAlertsByLocations keeps covering alerts and names the places", () => {
+    const [alert] = cap.parseCapXml(fixture("dwd-alert.xml"));
+    const result = areas.filterAlertsByLocations(
+      [alert],
+      [munich, berlin, { name: "kaputt", lat: NaN, lon: 1 }]
+    );
+    expect(result).toHaveLength(1);
+    expect(result[0].coveredLocations).toEqual(["Berlin"]);
+    expect(areas.filterAlertsByLocations([alert], [munich])).toEqual([]);
+  });
+});
+
+describe("AlertsPanel location filter", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2024-03-10T12:00:00+01:00") });
+    document.body.innerHTML = '<div id="alerts"></div>';
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    delete window.appState;
+  });
+
+  test("checks the current location and every favorite", () => {
+    window.appState = {
+      currentCity: "München",
+      currentCoordinates: { lat: munich.lat, lon: munich.lon },
+      favorites: [
+        { city: "Potsdam", coords: { lat: potsdam.lat, lng: potsdam.lon } },
+        { city: "Spandau", coords: { lat: spandau.lat, lon: spandau.lon } },
+        { city: "Ohne Koordinaten", coords: null },
+      ],
+    };
+    const panel = new AlertsPanel("alerts");
+    const locations = panel.getLocations();
+    expect(locations.map((l) => l.name)).toEqual([
+      "München",
+      "Potsdam",
+      "Spandau",
+    ]);
+
+    const alerts = panel.ingest(fixture("dwd-alert.xml"), locations);
+    expect(alerts).toHaveLength(1);
+    // Potsdam liegt knapp außerhalb des Berliner Polygons
+    expect(alerts[0].coveredLocations).toEqual(["Spandau"]);
+
+    panel.render();
+    expect(document.querySelector(".alert-item").textContent).toContain(
+      "Betrifft: Spandau"
+    );
+  });
+
+  test("feed entries outside every location are dropped", async () => {
+    const panel = new AlertsPanel("alerts", {
+      regions: {
+        EMMA_ID: { DE300: { name: "Berlin", bbox: [52.3, 13, 52.7, 13.8] } },
+      },
+    });
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      text: async () => fixture("meteoalarm-feed.xml"),
+    }));
+
+    await expect(panel.fetchAlerts(munich.lat, munich.lon)).resolves.toEqual(
+      []
+    );
+    panel.store.clear();
+    const [alert] = await panel.fetchAlerts(berlin.lat, berlin.lon);
+    expect(alert.coveredLocations).toEqual(["Aktueller Standort"]);
+    delete global.fetch;
+  });
+});
+
+describe("alert region generator", () => {
+  const square = (lat, lon, size = 0.5) => ({
+    type: "Polygon",
+    coordinates: [
+      [
+        [lon, lat],
+        [lon + size, lat],
+        [lon + size, lat + size],
+        [lon, lat + size],
+        [lon, lat],
+      ],
+    ],
+  });
+
+  test("keys districts by warn cell and NUTS code and merges former ones", () => {
+    const regions = buildAlertRegions({
+      features: [
+        {
+          properties: { AGS: "03152", GEN: "Göttingen" },
+          geometry: square(51.4, 9.8),
+        },
+        {
+          properties: { AGS: "03156", GEN: "Osterode" },
+          geometry: square(51.6, 10.1),
+        },
+        {
+          properties: { AGS: "11000", GEN: "Berlin" },
+          geometry: square(52.333, 13.088),
+        },
+      ],
+      districts: [
+        { AGS: "03159", type: "Landkreis", name: "Göttingen", NUTS3: "DE91C" },
+        {
+          AGS: 11000,
+          type: "Kreisfreie Stadt",
+          name: "Berlin, Stadt",
+          NUTS3: "DE300",
+        },
+      ],
+    });
+    expect(regions.WARNCELLID["103159000"]).toMatchObject({
+      name: "Kreis Göttingen",
+      nuts: "DE91C",
+      bbox: [51.4, 9.8, 52.1, 10.6],
+    });
+    expect(regions.WARNCELLID["103159000"].polygons).toHaveLength(2);
+    // Rechteck nach außen gerundet, Umriss als [lat, lon]
+    expect(regions.EMMA_ID.DE300).toEqual({
+      name: "Berlin",
+      nuts: "DE300",
+      bbox: [52.33, 13.08, 52.84, 13.59],
+      polygons: [
+        [
+          [
+            [52.333, 13.088],
+            [52.333, 13.588],
+            [52.833, 13.588],
+            [52.833, 13.088],
+            [52.333, 13.088],
+          ],
+        ],
+      ],
+    });
+    expect(Object.keys(regions.WARNCELLID)).toEqual(["103159000", "111000000"]);
+
+    expect(() =>
+      buildAlertRegions({
+        features: [],
+        districts: [
+          { AGS: "01001", type: "Kreisfreie Stadt", name: "Flensburg" },
+        ],
+      })
+    ).toThrow("No geometry for district 01001");
+  });
+
+  test("outlines are simplified, small islands become rectangles", () => {
+    // Knick von 0.001° liegt unter der Toleranz
+    const ring = [
+      [9, 50],
+      [9.5, 50.001],
+      [10, 50],
+      [10, 51],
+      [9, 51],
+      [9, 50],
+    ];
+    expect(simplifyRing(ring)).toEqual([
+      [50, 9],
+      [50, 10],
+      [51, 10],
+      [51, 9],
+      [50, 9],
+    ]);
+
+    const { WARNCELLID } = buildAlertRegions({
+      features: [
+        {
+          properties: { AGS: "01056", GEN: "Pinneberg" },
+          geometry: {
+            type: "MultiPolygon",
+            coordinates: [
+              square(53.6, 9.5).coordinates,
+              square(54.181, 7.881, 0.004).coordinates,
+            ],
+          },
+        },
+      ],
+      districts: [
+        { AGS: "01056", type: "Kreis", name: "Pinneberg", NUTS3: "DEF09" },
+      ],
+    });
+    expect(WARNCELLID["101056000"].polygons[1]).toEqual([
+      [
+        [54.18, 7.88],
+        [54.18, 7.89],
+        [54.19, 7.89],
+        [54.19, 7.88],
+        [54.18, 7.88],
+      ],
+    ]);
+  });
+
+  test("the committed table is current", () => {
+    const features =
+      require("german-administrative-areas/kreise.geo.json").flatMap(
+        (item) => item.features || [item]
+      );
+    const districts = require("landkreise-deutschland").getDistricts();
+    // Schlägt fehl, solange "npm run alert-regions" nach Änderungen fehlt
+    expect(
+      fs.readFileSync(
+        path.join(__dirname, "..", "src", "utils", "alertRegions.js"),
+        "utf8"
+      )
+    ).toBe(renderAlertRegions(buildAlertRegions({ features, districts })));
+    expect(Object.keys(areas.ALERT_GEOCODE_REGIONS.EMMA_ID)).toHaveLength(400);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * tests/alertHistory.test.js
+ * Warnungsverlauf mit Quittierung (WeatherAlerts und AlertsPanel)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+Object.assign(
+  global,
+  require("../src/utils/alertRules.js"),
+  require("../src/utils/capAlerts.js"),
+  require("../src/utils/alertAreas.js")
+);
+const history = require("../src/utils/alertHistory.js");
+Object.assign(global, history);
+const { AlertHistory, alertNotifyKey } = history;
+const { WeatherAlerts } = require("../src/features.js");
+const AlertsPanel = require("../src/ui/alertsPanel.js");
+
+const HOUR = 60 * 60 * 1000;
+const berlin = { name: "Berlin", lat: 52.52, lon: 13.41 };
+
+const windAlert = {
+  id: "wind-2025-01-10T15:00",
+  ruleId: "default-wind-red",
+  origin: "computed",
+  hazard: "wind",
+  severity: "red",
+  title: "Sturmwarnung",
+  time: "2025-01-10T15:00",
+};
+
+describe("AlertHistory", () => {
+  beforeEach(() => localStorage.clear());
+
+  test("keeps first and last seen per alert and location", () => {
+    const log = new AlertHistory();
+    const t0 = Date.parse("2025-01-10T10:00:00Z");
+
+    const [first] = log.record([windAlert], { location: berlin, now: t0 });
+    expect(first).toMatchObject({
+      key: "52.52,13.41|wind-2025-01-10T15:00",
+      location: "Berlin",
+      severity: "red",
+      firstSeen: t0,
+      lastSeen: t0,
+      acknowledgedAt: null,
+      notifyKey: alertNotifyKey(
+        "52.52,13.41",
+        "default-wind-red",
+        "2025-01-10T15:00"
+      ),
+    });
+
+    log.record([windAlert], { location: berlin, now: t0 + HOUR });
+    log.record([{ ...windAlert, severity: "Orange", ruleId: undefined }], {
+      location: { name: "Hamburg", lat: 53.55, lon: 9.99 },
+      now: t0 + 2 * HOUR,
+    });
+
+    const entries = log.list();
+    expect(entries.map((entry) => entry.location)).toEqual([
+      "Hamburg",
+      "Berlin",
+    ]);
+    expect(entries[1].firstSeen).toBe(t0);
+    expect(entries[1].lastSeen).toBe(t0 + HOUR);
+    expect(log.list({ severity: "orange" })).toHaveLength(1);
+    expect(log.list({ location: "Berlin" })).toHaveLength(1);
+    expect(log.locations()).toEqual(["Berlin", "Hamburg"]);
+  });
+
+  test("acknowledges by key or notifyKey and survives re-recording", () => {
+    const log = new AlertHistory();
+    const [entry] = log.record([windAlert], { location: berlin });
+
+    expect(log.acknowledge([entry.notifyKey], 1000)).toHaveLength(1);
+    expect(log.acknowledge([entry.key])).toHaveLength(0);
+    log.record([windAlert], { location: berlin });
+
+    expect(log.isAcknowledged(entry.key)).toBe(true);
+    expect(log.list({ acknowledged: false })).toEqual([]);
+    expect(log.acknowledgedNotifyKeys()).toEqual([entry.notifyKey]);
+  });
+
+  test("drops entries past retention and beyond the size limit", () => {
+    const log = new AlertHistory({ maxEntries: 2, retentionMs: 10 * HOUR });
+    const alerts = ["a", "b", "c"].map((id) => ({ ...windAlert, id }));
+    alerts.forEach((alert, idx) =>
+      log.record([alert], { location: berlin, now: idx * HOUR })
+    );
+    expect(log.list().map((entry) => entry.alertId)).toEqual(["c", "b"]);
+
+    log.record([{ ...windAlert, id: "d" }], {
+      location: berlin,
+      now: 13 * HOUR,
+    });
+    expect(log.list().map((entry) => entry.alertId)).toEqual(["d"]);
+  });
+});
+
+describe("WeatherAlerts history", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '<div id="weather-alerts"></div>';
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({
+        hourly: {
+          time: ["2025-01-10T15:00", "2025-01-10T16:00"],
+          windspeed_10m: [80, 20],
+          temperature_2m: [5, 33],
+        },
+      }),
+    }));
+    global.brightSkyAPI = {
+      fetchAlerts: jest.fn(async () => ({ data: { alerts: [] } })),
+      formatAlerts: jest.fn(() => []),
+    };
+  });
+  afterEach(() => {
+    delete global.fetch;
+    delete global.brightSkyAPI;
+  });
+
+  test("marks alerts as seen and filters the history", async () => {
+    const onAcknowledge = jest.fn();
+    const alerts = new WeatherAlerts("weather-alerts", { onAcknowledge });
+    await alerts.fetchAlerts(52.52, 13.41, "Berlin");
+
+    const items = () => document.querySelectorAll(".alerts-history-item");
+    expect(items()).toHaveLength(2);
+    document.querySelector(".alert-card [data-ack-key]").click();
+
+    const cards = document.querySelectorAll(".alert-card");
+    expect(cards[0].classList.contains("alert-acknowledged")).toBe(true);
+    expect(cards[1].querySelector("[data-ack-key]")).not.toBeNull();
+    expect(onAcknowledge).toHaveBeenCalledTimes(1);
+    expect(onAcknowledge.mock.calls[0][0][0].notifyKey).toBe(
+      "52.52,13.41|default-wind-red|2025-01-10T15:00"
+    );
+
+    // Neue Stadt: Berliner Warnungen bleiben im Verlauf
+    await alerts.fetchAlerts(48.14, 11.58, "München");
+    expect(items()).toHaveLength(4);
+
+    const open = document.querySelector('[data-history-filter="open"]');
+    open.checked = true;
+    open.dispatchEvent(new Event("change", { bubbles: true }));
+    expect(items()).toHaveLength(3);
+
+    const severity = document.querySelector('[data-history-filter="severity"]');
+    severity.value = "red";
+    severity.dispatchEvent(new Event("change", { bubbles: true }));
+    expect(items()).toHaveLength(1);
+    expect(items()[0].textContent).toContain("München");
+
+    // Bereits quittierte Warnung bleibt beim erneuten Laden quittiert
+    await alerts.fetchAlerts(52.52, 13.41, "Berlin");
+    expect(
+      document
+        .querySelectorAll(".alert-card")[0]
+        .classList.contains("alert-acknowledged")
+    ).toBe(true);
+  });
+});
+
+describe("AlertsPanel history", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '<div id="alerts"></div>';
+    jest.useFakeTimers({ now: new Date("2024-03-10T12:00:00+01:00") });
+  });
+  afterEach(() => jest.useRealTimers());
+
+  test("records covered locations and acknowledges per alert", () => {
+    const xml = fs.readFileSync(
+      path.join(__dirname, "fixtures/cap/dwd-alert.xml"),
+      "utf8"
+    );
+    const panel = new AlertsPanel("alerts");
+    const [alert] = panel.ingest(xml, [berlin]);
+    expect(alert.historyKeys).toEqual([`52.52,13.41|${alert.id}`]);
+    panel.render();
+
+    const onAcknowledge = jest.fn();
+    panel.onAcknowledge = onAcknowledge;
+    document.querySelector("[data-ack-id]").click();
+
+    expect(onAcknowledge).toHaveBeenCalledTimes(1);
+    expect(document.querySelector(".alert-item.alert-acknowledged")).not.toBe(
+      null
+    );
+    expect(panel.getHistory({ acknowledged: true })).toHaveLength(1);
+    // Geteilter Verlauf: WeatherAlerts sieht dieselben Einträge
+    expect(new AlertHistory().list({ location: "Berlin" })[0].source).toBe(
+      "alerts-panel"
+    );
+  });
+});
@@ -0,0 +1,374 @@
+/**
+ * tests/alertRules.test.js
+ * Benutzerdefinierte Warnregeln: Auswertung, Speicher und Einstellungen
+ */
+
+const rulesModule = require("../src/utils/alertRules.js");
+Object.assign(global, rulesModule);
+const {
+  AlertRuleStore,
+  DEFAULT_ALERT_RULES,
+  alertLocationKey,
+  ALERT_RULE_SOURCE_URLS,
+  alertRuleVariables,
+  evaluateAlertRules,
+  hourlyRows,
+  mergeHourly,
+  normalizeAlertRule,
+} = rulesModule;
+const AlertRulesEditorComponent = require("../src/ui/alertRulesEditor.js");
+
+const hourly = {
+  time: [
+    "2025-04-02T06:00",
+    "2025-04-02T07:00",
+    "2025-04-02T08:00",
+    "2025-04-02T09:00",
+    "2025-04-02T10:00",
+  ],
+  windspeed_10m: [25, 32, 36, 31, 12],
+  soil_temperature_0cm: [1.5, 2.5, 3, 4, null],
+  weathercode: [3, 95, 3, 3, 3],
+};
+
+const cyclistRule = {
+  id: "cyclist",
+  title: "Gegenwind",
+  hazard: "wind",
+  severity: "yellow",
+  conditions: [{ variable: "windspeed_10m", comparator: ">=", value: "30" }],
+  duration: 2,
+};
+
+describe("alert rule engine", () => {
+  test("hourlyRows keeps finite values of known variables", () => {
+    const rows = hourlyRows({ ...hourly, foo: [1, 2, 3, 4, 5] }, 5);
+    expect(rows).toHaveLength(5);
+    expect(rows[0]).toEqual({
+      time: "2025-04-02T06:00",
+      windspeed_10m: 25,
+      soil_temperature_0cm: 1.5,
+      weathercode: 3,
+    });
+    expect(rows[4]).not.toHaveProperty("soil_temperature_0cm");
+  });
+
+  test("duration window yields one alert per matching run", () => {
+    const alerts = evaluateAlertRules(hourlyRows(hourly), [
+      cyclistRule,
+      {
+        title: "Bodenfrost",
+        severity: "orange",
+        conditions: [
+          { variable: "soil_temperature_0cm", comparator: "<=", value: 2 },
+        ],
+      },
+    ]);
+
+    expect(
+      alerts.map((alert) => [alert.title, alert.time, alert.hours])
+    ).toEqual([
+      ["Bodenfrost", "2025-04-02T06:00", 1],
+      ["Gegenwind", "2025-04-02T07:00", 3],
+    ]);
+    expect(alerts[0].hazard).toBe("custom");
+    expect(alerts[0].description).toBe("Bodentemperatur bis 1.5 °C");
+    expect(alerts[1]).toMatchObject({
+      id: "wind-2025-04-02T07:00",
+      ruleId: "cyclist",
+      until: "2025-04-02T09:00",
+      description: "Wind bis zu 36 km/h (3 Std.)",
+    });
+
+    // Zu kurz: nur zwei Stunden über 32 km/h nötig, aber nur eine vorhanden
+    expect(
+      evaluateAlertRules(hourlyRows(hourly), [
+        {
+          ...cyclistRule,
+          conditions: [
+            { variable: "windspeed_10m", comparator: ">", value: 32 },
+          ],
+        },
+      ])
+    ).toEqual([]);
+  });
+
+  test("default rules reproduce the former thresholds", () => {
+    const alerts = evaluateAlertRules(
+      hourlyRows({
+        time: ["t0", "t1"],
+        windspeed_10m: [80, 60],
+        precipitation: [6, 6],
+        precipitation_probability: [50, 70],
+        weathercode: [96, 3],
+      }),
+      DEFAULT_ALERT_RULES
+    );
+    expect(alerts.map((alert) => alert.id)).toEqual([
+      "wind-t0",
+      "storm-t0",
+      "rain-t1",
+    ]);
+    // Rot gewinnt bei gleicher Gefahr und gleichem Beginn
+    expect(alerts[0].severity).toBe("red");
+    expect(alerts[1].description).toBe(
+      "Gewitter mit Hagel oder Starkregen moeglich."
+    );
+    expect(alertRuleVariables(DEFAULT_ALERT_RULES)).toEqual([
+      "windspeed_10m",
+      "temperature_2m",
+      "apparent_temperature",
+      "precipitation",
+      "precipitation_probability",
+      "weathercode",
+    ]);
+  });
+
+  test("air quality rules use their own API and merge by hour", () => {
+    expect(alertRuleVariables(DEFAULT_ALERT_RULES, "airQuality")).toEqual([
+      "european_aqi",
+    ]);
+    const merged = mergeHourly(
+      { time: ["t0", "t1", "t2"], windspeed_10m: [10, 20, 30] },
+      { time: ["t1", "t2"], european_aqi: [85, 120], windspeed_10m: [0, 0] }
+    );
+    expect(merged.european_aqi).toEqual([null, 85, 120]);
+    expect(merged.windspeed_10m).toEqual([10, 20, 30]);
+
+    const alerts = evaluateAlertRules(
+      hourlyRows({ ...merged, european_aqi: [90, 105, 110] }),
+      DEFAULT_ALERT_RULES
+    );
+    // Ab t1 wird aus "sehr schlecht" "extrem schlecht"
+    expect(
+      alerts.map(({ id, severity, hours }) => [id, severity, hours])
+    ).toEqual([
+      ["air-t0", "orange", 3],
+      ["air-t1", "red", 2],
+    ]);
+  });
+
+  test("high seas rules use the marine API and stay quiet inland", () => {
+    expect(alertRuleVariables(DEFAULT_ALERT_RULES, "marine")).toEqual([
+      "wave_height",
+    ]);
+    expect(ALERT_RULE_SOURCE_URLS.marine).toBe(
+      "https://marine-api.open-meteo.com/v1/marine"
+    );
+
+    const base = { time: ["t0", "t1", "t2"], windspeed_10m: [30, 40, 50] };
+    const coast = mergeHourly(base, {
+      time: ["t0", "t1", "t2"],
+      wave_height: [2, 3.1, 4.6],
+    });
+    const alerts = evaluateAlertRules(hourlyRows(coast), DEFAULT_ALERT_RULES);
+    expect(
+      alerts.map(({ id, severity, hours, title }) => [
+        id,
+        severity,
+        hours,
+        title,
+      ])
+    ).toEqual([
+      ["sea-t1", "orange", 2, "Grobe See"],
+      ["sea-t2", "red", 1, "Sehr grobe See"],
+    ]);
+
+    // Binnenland: keine Wellenwerte, also keine Seegangwarnung
+    const inland = mergeHourly(base, {
+      time: ["t0", "t1", "t2"],
+      wave_height: [null, null, null],
+    });
+    expect(
+      evaluateAlertRules(hourlyRows(inland), DEFAULT_ALERT_RULES).filter(
+        (alert) => alert.hazard === "sea"
+      )
+    ).toEqual([]);
+  });
+
+  test("normalizeAlertRule rejects incomplete rules", () => {
+    expect(normalizeAlertRule({ conditions: [] })).toBeNull();
+    expect(
+      normalizeAlertRule({
+        conditions: [{ variable: "nope", comparator: ">=", value: 1 }],
+      })
+    ).toBeNull();
+    expect(
+      normalizeAlertRule({
+        conditions: [{ variable: "uv_index", comparator: ">=", value: "" }],
+      })
+    ).toBeNull();
+
+    const rule = normalizeAlertRule({
+      severity: "pink",
+      duration: 99,
+      conditions: [
+        { variable: "weathercode", comparator: "in", value: "71, 73,x" },
+        { variable: "uv_index", comparator: "~", value: 3 },
+      ],
+    });
+    expect(rule).toMatchObject({
+      title: "Wettercode (WMO)",
+      hazard: "custom",
+      severity: "yellow",
+      duration: 24,
+      enabled: true,
+      notify: true,
+      conditions: [
+        { variable: "weathercode", comparator: "in", value: [71, 73] },
+      ],
+    });
+  });
+});
+
+describe("AlertRuleStore", () => {
+  beforeEach(() => localStorage.clear());
+
+  test("stores general and favorite rules separately", () => {
+    const store = new AlertRuleStore();
+    expect(store.getRules().map((rule) => rule.id)).toEqual(
+      DEFAULT_ALERT_RULES.map((rule) => rule.id)
+    );
+
+    const garden = alertLocationKey(52.4, 13.06);
+    expect(garden).toBe("52.40,13.06");
+    store.saveRule(
+      {
+        id: "garden",
+        title: "Bodenfrost",
+        conditions: [
+          { variable: "soil_temperature_0cm", comparator: "<=", value: 2 },
+        ],
+      },
+      garden
+    );
+    expect(store.saveRule({ conditions: [] })).toBeNull();
+    store.removeRule("default-heat");
+
+    const reloaded = new AlertRuleStore();
+    expect(
+      reloaded.rulesFor(52.4012, 13.0591).map((rule) => rule.id)
+    ).toContain("garden");
+    expect(reloaded.rulesFor(48.1, 11.6).map((rule) => rule.id)).not.toContain(
+      "garden"
+    );
+    expect(reloaded.getRules().map((rule) => rule.id)).not.toContain(
+      "default-heat"
+    );
+
+    reloaded.removeRule("garden", garden);
+    expect(reloaded.load().favorites).toEqual({});
+    reloaded.reset();
+    expect(reloaded.getRules()).toHaveLength(DEFAULT_ALERT_RULES.length);
+  });
+});
+
+describe("AlertRulesEditorComponent", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '<div id="alert-rules-editor"></div>';
+  });
+
+  test("adds a favorite rule from the form and toggles push", () => {
+    const onChange = jest.fn();
+    const editor = new AlertRulesEditorComponent("alert-rules-editor", {
+      getFavorites: () => [
+        { city: "Garten", coords: { lat: 52.4, lng: 13.06 } },
+        { city: "Ohne Koordinaten" },
+      ],
+      onChange,
+    });
+
+    const scope = document.querySelector("[data-rule-scope]");
+    expect(Array.from(scope.options, (option) => option.value)).toEqual([
+      "user",
+      "52.40,13.06",
+    ]);
+    scope.value = "52.40,13.06";
+    scope.dispatchEvent(new Event("change", { bubbles: true }));
+    expect(document.querySelector(".alert-rule-empty")).not.toBeNull();
+
+    // Leeres Formular wird abgelehnt
+    const submit = () =>
+      document
+        .querySelector(".alert-rule-form")
+        .dispatchEvent(
+          new Event("submit", { bubbles: true, cancelable: true })
+        );
+    submit();
+    expect(document.querySelector(".alert-rule-error").hidden).toBe(false);
+    expect(onChange).not.toHaveBeenCalled();
+
+    const form = document.querySelector(".alert-rule-form");
+    form.elements.title.value = "Bodenfrost";
+    form.elements.duration.value = "2";
+    form.elements.severity.value = "orange";
+    const row = form.querySelector(".alert-rule-condition");
+    row.querySelector('[name="variable"]').value = "soil_temperature_0cm";
+    row.querySelector('[name="comparator"]').value = "<=";
+    row.querySelector('[name="value"]').value = "2";
+    submit();
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    const items = document.querySelectorAll(".alert-rule");
+    expect(items).toHaveLength(1);
+    expect(items[0].textContent).toContain(
+      "Bodentemperatur ≤ 2 °C · ab 2 Std. · Orange"
+    );
+
+    const push = items[0].querySelector('[data-rule-field="notify"]');
+    push.checked = false;
+    push.dispatchEvent(new Event("change", { bubbles: true }));
+    expect(editor.store.getRules("52.40,13.06")[0].notify).toBe(false);
+    expect(editor.store.getRules("user")).toHaveLength(
+      DEFAULT_ALERT_RULES.length
+    );
+  });
+
+  test("reset asks first and only touches the selected scope", () => {
+    const confirm = jest.fn(() => false);
+    const editor = new AlertRulesEditorComponent("alert-rules-editor", {
+      getFavorites: () => [
+        { city: "Garten", coords: { lat: 52.4, lng: 13.06 } },
+      ],
+      confirm,
+    });
+    const store = editor.store;
+    store.removeRule("default-heat");
+    store.saveRule(
+      {
+        id: "garden",
+        title: "Bodenfrost",
+        conditions: [
+          { variable: "soil_temperature_0cm", comparator: "<=", value: 2 },
+        ],
+      },
+      "52.40,13.06"
+    );
+    const reset = () =>
+      document.querySelector('[data-rule-action="reset"]').click();
+
+    // Abgebrochen: nichts ändert sich
+    reset();
+    expect(confirm).toHaveBeenCalledTimes(1);
+    expect(store.getRules("user")).toHaveLength(DEFAULT_ALERT_RULES.length - 1);
+
+    // Allgemeine Regeln zurückgesetzt, der Favorit behält seine
+    confirm.mockReturnValue(true);
+    reset();
+    expect(store.getRules("user")).toHaveLength(DEFAULT_ALERT_RULES.length);
+    expect(store.getRules("52.40,13.06").map((rule) => rule.id)).toEqual([
+      "garden",
+    ]);
+
+    const scope = document.querySelector("[data-rule-scope]");
+    scope.value = "52.40,13.06";
+    scope.dispatchEvent(new Event("change", { bubbles: true }));
+    reset();
+    expect(confirm).toHaveBeenLastCalledWith(
+      "Alle Warnregeln dieses Favoriten löschen?"
+    );
+    expect(store.load().favorites).toEqual({});
+    expect(store.getRules("user")).toHaveLength(DEFAULT_ALERT_RULES.length);
+  });
+});
@@ -3,9 +3,453 @@
  * Unit tests for Analytics Module
  */
 
+const {
+  Analytics,
+  analyticsDayKey,
+  anonymizeAnalyticsEvent,
+  normalizeAnalyticsEvent,
+  summarizeAnalytics,
+  ANALYTICS_CONSENT_KEY,
+  ANALYTICS_STORAGE_KEY,
+} = require("../src/utils/analytics.js");
+const CanvasChart = require("../src/ui/canvasChart.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+
 describe('Analytics Module', () => {
   test('should pass smoke test for analytics module', () => {
     // Smoke test - verify analytics module can be imported
     expect(true).toBe(true);
   });
 });
+
+describe("Analytics pipeline", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+  afterEach(() => console.warn.mockRestore());
+
+  test("does not record anything without consent", () => {
+    const analytics = new Analytics();
+    expect(analytics.enabled).toBe(false);
+    expect(analytics.logEvent("search", { query: "Berlin" })).toBeNull();
+    expect(localStorage.getItem(ANALYTICS_STORAGE_KEY)).toBeNull();
+
+    analytics.enable();
+    expect(new Analytics().enabled).toBe(true);
+    analytics.disable();
+    expect(localStorage.getItem(ANALYTICS_CONSENT_KEY)).toBe("denied");
+  });
+
+  test("reduces events to the typed schema", () => {
+    const analytics = new Analytics();
+    analytics.enable();
+
+    const event = analytics.logEvent("api_call", {
+      provider: "open-meteo",
+      status: "200",
+      durationMs: 120,
+      fromCache: 0,
+      timestamp: 1,
+      secret: "x",
+    });
+    expect(event).toMatchObject({
+      v: 1,
+      type: "api_call",
+      data: {
+        provider: "open-meteo",
+        status: 200,
+        durationMs: 120,
+        fromCache: false,
+      },
+    });
+    expect(event.data).not.toHaveProperty("secret");
+    expect(analytics.logEvent("unknown", {})).toBeNull();
+
+    expect(
+      normalizeAnalyticsEvent("favorite-added", { locationName: "Ulm" })
+    ).toEqual({
+      type: "favorite_action",
+      data: { action: "add", city: "Ulm" },
+    });
+    expect(analytics.getStats()).toMatchObject({ apiCalls: 1, total: 1 });
+  });
+
+  test("applies count and age limits", () => {
+    jest.useFakeTimers({ now: 0 });
+    try {
+      const analytics = new Analytics({ maxEvents: 3, retentionMs: DAY });
+      analytics.enable();
+      ["a", "b", "c", "d"].forEach((query) =>
+        analytics.logSearch(query, 1, 10)
+      );
+      expect(analytics.getEvents().map((e) => e.data.query)).toEqual([
+        "b",
+        "c",
+        "d",
+      ]);
+
+      jest.setSystemTime(2 * DAY);
+      analytics.logSearch("e");
+      expect(analytics.getEvents({ type: "search" })).toHaveLength(1);
+      expect(new Analytics().getEvents()).toHaveLength(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test("migrates both former stores and clears the merged one", () => {
+    const now = Date.now();
+    localStorage.setItem("wetter_analytics_enabled", "true");
+    localStorage.setItem(
+      "wetter_analytics_events",
+      JSON.stringify([
+        { type: "search", data: { city: "Berlin" }, timestamp: now - 2000 },
+        { type: "cache_hit", data: { key: "k" }, timestamp: now - 40 * DAY },
+      ])
+    );
+    localStorage.setItem(
+      "analytics-events",
+      JSON.stringify([
+        {
+          eventName: "api-call",
+          eventData: { apiName: "brightsky", statusCode: 500 },
+          timestamp: new Date(now - 1000).toISOString(),
+          sessionId: "old",
+        },
+      ])
+    );
+
+    const analytics = new Analytics();
+    // Automatisch gesetztes "true" ist keine Einwilligung
+    expect(analytics.enabled).toBe(false);
+    expect(
+      analytics.getEvents().map((event) => [event.type, event.data])
+    ).toEqual([
+      ["search", { query: "Berlin" }],
+      ["api_call", { provider: "brightsky", status: 500 }],
+    ]);
+    expect(localStorage.getItem("wetter_analytics_events")).toBeNull();
+    expect(localStorage.getItem("analytics-events")).toBeNull();
+
+    analytics.clear();
+    expect(localStorage.getItem(ANALYTICS_STORAGE_KEY)).toBeNull();
+    expect(new Analytics().getEvents()).toEqual([]);
+  });
+
+  test("keeps an explicit opt-in from the former module", () => {
+    localStorage.setItem("analytics-enabled", "true");
+    expect(new Analytics().enabled).toBe(true);
+    expect(localStorage.getItem("analytics-enabled")).toBeNull();
+  });
+
+  test("dashboard toggles consent and clears data", () => {
+    document.body.innerHTML = '<div id="analytics-dashboard"></div>';
+    const analytics = new Analytics();
+    analytics.renderDashboard("analytics-dashboard");
+    expect(document.querySelector(".analytics-empty").textContent).toContain(
+      "Analytics sind aus"
+    );
+
+    const toggle = document.getElementById("analytics-toggle");
+    toggle.checked = true;
+    toggle.dispatchEvent(new Event("change"));
+    analytics.logFavorite("add", "Köln");
+    analytics.renderDashboard("analytics-dashboard");
+    expect(document.querySelector(".analytics-chip").textContent).toBe(
+      "1 Ereignisse"
+    );
+
+    document.getElementById("clear-analytics-btn").click();
+    expect(analytics.getEvents()).toEqual([]);
+    expect(document.getElementById("analytics-toggle").checked).toBe(true);
+  });
+});
+
+describe("Analytics dashboard", () => {
+  const at = (day, hour) => new Date(`${day}T${hour}:00`).getTime();
+  const events = [
+    {
+      type: "search",
+      data: { query: "Berlin" },
+      ts: at("2025-03-01", "09:00"),
+      sessionId: "s1",
+    },
+    {
+      type: "search",
+      data: { query: "berlin" },
+      ts: at("2025-03-03", "10:00"),
+      sessionId: "s2",
+    },
+    {
+      type: "search",
+      data: { query: "Ulm" },
+      ts: at("2025-03-03", "10:01"),
+      sessionId: "s2",
+    },
+    ...[120, 80, 400, 100].map((durationMs, idx) => ({
+      type: "api_call",
+      data: {
+        provider: "open-meteo",
+        durationMs,
+        ok: idx !== 2,
+        fromCache: false,
+      },
+      ts: at("2025-03-01", "09:01"),
+      sessionId: "s1",
+    })),
+    {
+      type: "api_call",
+      data: {
+        provider: "open-meteo",
+        durationMs: 1,
+        fromCache: true,
+        ok: true,
+      },
+      ts: at("2025-03-03", "10:02"),
+      sessionId: "s2",
+    },
+    {
+      type: "api_call",
+      data: {
+        provider: "brightsky",
+        durationMs: 300,
+        fromCache: false,
+        ok: true,
+      },
+      ts: at("2025-03-03", "10:02"),
+      sessionId: "s2",
+    },
+  ];
+
+  test("summarizes days, providers, places and sessions", () => {
+    const summary = summarizeAnalytics(events, {
+      from: "2025-03-01",
+      to: "2025-03-04",
+    });
+
+    expect(summary.days).toEqual([
+      "2025-03-01",
+      "2025-03-02",
+      "2025-03-03",
+      "2025-03-04",
+    ]);
+    expect(summary.searchesPerDay).toEqual([1, 0, 2, 0]);
+    expect(summary.cacheRatioPerDay).toEqual([0, null, 0.5, null]);
+
+    const [openMeteo, brightsky] = summary.providers;
+    // Cache-Antworten zählen nicht in die Latenz
+    expect(openMeteo).toMatchObject({
+      provider: "open-meteo",
+      calls: 5,
+      errors: 1,
+      errorRate: 0.2,
+      p50: 100,
+      p90: 400,
+      p95: 400,
+    });
+    expect(brightsky.p50).toBe(300);
+
+    expect(summary.topPlaces).toEqual([
+      { place: "Berlin", count: 2 },
+      { place: "Ulm", count: 1 },
+    ]);
+    expect(summary.sessions.map((session) => session.sessionId)).toEqual([
+      "s2",
+      "s1",
+    ]);
+    expect(summary.sessions[1].events.map((event) => event.type)).toEqual([
+      "search",
+      "api_call",
+      "api_call",
+      "api_call",
+      "api_call",
+    ]);
+
+    const onlySearches = summarizeAnalytics(events, {
+      from: "2025-03-03",
+      type: "search",
+    });
+    expect(onlySearches.events).toHaveLength(2);
+    expect(onlySearches.providers).toEqual([]);
+    expect(analyticsDayKey(at("2025-03-03", "23:30"))).toBe("2025-03-03");
+  });
+
+  test("renders filters, provider table and charts", () => {
+    localStorage.clear();
+    document.body.innerHTML = '<div id="analytics-dashboard"></div>';
+    const calls = [];
+    const ctx = new Proxy(
+      {},
+      {
+        get: (target, prop) =>
+          prop in target
+            ? target[prop]
+            : (...args) => calls.push([prop, ...args]),
+        set: (target, prop, value) => {
+          target[prop] = value;
+          return true;
+        },
+      }
+    );
+    const getContext = jest
+      .spyOn(HTMLCanvasElement.prototype, "getContext")
+      .mockImplementation(() => ctx);
+    global.CanvasChart = CanvasChart;
+
+    try {
+      const analytics = new Analytics();
+      analytics.events = events.map((event) => ({ v: 1, ...event }));
+      analytics.dashboardFilter = {
+        from: "2025-03-01",
+        to: "2025-03-03",
+        type: "",
+      };
+      analytics.renderDashboard("analytics-dashboard");
+
+      const rows = document.querySelectorAll(".analytics-providers tbody tr");
+      expect(rows).toHaveLength(2);
+      expect(rows[0].textContent).toContain("20 %");
+      expect(
+        document.querySelector(".analytics-places li").textContent
+      ).toContain("Berlin");
+      expect(document.querySelectorAll(".analytics-sessions li")).toHaveLength(
+        2
+      );
+      expect(getContext).toHaveBeenCalledTimes(2);
+      expect(
+        calls.filter(([name]) => name === "fillText").map(([, text]) => text)
+      ).toEqual(expect.arrayContaining(["1.3.", "3.3.", "100 %"]));
+
+      const type = document.querySelector('[data-analytics-filter="type"]');
+      type.value = "favorite_action";
+      type.dispatchEvent(new Event("change", { bubbles: true }));
+      expect(analytics.dashboardFilter.type).toBe("favorite_action");
+      expect(document.querySelector(".analytics-chip").textContent).toBe(
+        "0 Ereignisse"
+      );
+      expect(document.querySelector(".analytics-places").textContent).toContain(
+        "Keine Suchen im Zeitraum"
+      );
+    } finally {
+      getContext.mockRestore();
+      delete global.CanvasChart;
+    }
+  });
+});
+
+describe("Analytics uploads", () => {
+  const url = "http://localhost:3030/analytics/events";
+
+  beforeEach(() => {
+    localStorage.clear();
+    jest.useFakeTimers({ now: new Date("2025-03-10T12:34:00Z") });
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    console.warn.mockRestore();
+  });
+
+  test("batches anonymized events and retries failed uploads", async () => {
+    const responses = [
+      { ok: false, status: 503 },
+      { ok: true, status: 200 },
+    ];
+    const fetch = jest.fn(
+      async () => responses.shift() || { ok: true, status: 200 }
+    );
+    const analytics = new Analytics({ fetch, batchSize: 2 });
+    analytics.enable();
+    expect(analytics.setCollectorUrl("ftp://example.com")).toBe(false);
+    expect(analytics.setCollectorUrl(url)).toBe(true);
+
+    analytics.logEvent("cache_hit", { key: "weather_52.52_13.41", ageMs: 5 });
+    expect(fetch).not.toHaveBeenCalled();
+    analytics.logSearch("Ulm");
+    await analytics._flushing;
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.events).toEqual([
+      {
+        v: 1,
+        type: "cache_hit",
+        data: { ageMs: 5 },
+        ts: Date.parse("2025-03-10T12:00:00Z"),
+      },
+      {
+        v: 1,
+        type: "search",
+        data: { query: "Ulm" },
+        ts: Date.parse("2025-03-10T12:00:00Z"),
+      },
+    ]);
+    expect(analytics.getOutbox()).toHaveLength(2);
+    expect(analytics.retryDelay).toBe(5000);
+
+    // Neuer Versuch nach dem Backoff
+    analytics.logFavorite("add", "Ulm");
+    jest.advanceTimersByTime(5000);
+    await analytics._flushing;
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(analytics.getOutbox()).toEqual([]);
+    expect(analytics.retryDelay).toBe(0);
+    analytics.stopUploads();
+  });
+
+  test("drops rejected batches and stops without consent", async () => {
+    const fetch = jest.fn(async () => ({ ok: false, status: 400 }));
+    const analytics = new Analytics({ fetch, batchSize: 5 });
+    analytics.enable();
+    analytics.setCollectorUrl(url);
+    analytics.logSearch("Ulm");
+
+    await expect(analytics.flush()).resolves.toEqual({ sent: 0, pending: 0 });
+    expect(analytics.getOutbox()).toEqual([]);
+
+    analytics.logSearch("Köln");
+    analytics.disable();
+    expect(analytics.getOutbox()).toEqual([]);
+    analytics.logSearch("Bonn");
+    await analytics.flush();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("uploads place names but not coordinates, postal or plus codes", () => {
+    const upload = (type, data) =>
+      anonymizeAnalyticsEvent({ type, data, ts: Date.now() }).data;
+
+    expect(upload("search", { query: "52.52, 13.40" })).toEqual({
+      query: "[Koordinaten]",
+    });
+    expect(upload("search", { query: `52°31'12"N 13°24'18"E` }).query).toBe(
+      "[Koordinaten]"
+    );
+    expect(upload("search", { query: "10115" }).query).toBe("[PLZ]");
+    expect(upload("search", { query: "8FVC9G8F+6X" }).query).toBe(
+      "[Plus Code]"
+    );
+    expect(
+      upload("api_call", { city: "52.52000, 13.40500", ok: true })
+    ).toEqual({ city: "[Koordinaten]", ok: true });
+    expect(upload("favorite_action", { action: "add", city: "Ulm" })).toEqual({
+      action: "add",
+      city: "Ulm",
+    });
+  });
+
+  test("clear also empties the upload outbox", () => {
+    const analytics = new Analytics({ fetch: jest.fn(), batchSize: 5 });
+    analytics.enable();
+    analytics.setCollectorUrl(url);
+    analytics.logSearch("Ulm");
+    expect(analytics.getOutbox()).toHaveLength(1);
+
+    analytics.clear();
+    expect(analytics.getOutbox()).toEqual([]);
+    expect(localStorage.getItem("wetter_analytics_outbox")).toBeNull();
+    analytics.stopUploads();
+  });
+});
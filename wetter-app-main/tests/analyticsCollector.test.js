@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  MAX_BATCH_EVENTS,
+  sanitizeBatch,
+  createCollector,
+  renderReport,
+} = require("../tools/analytics-collector.js");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const now = Date.parse("2025-03-10T12:00:00Z");
+
+describe("analytics collector", () => {
+  let dir;
+  let file;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "calchas-analytics-"));
+    file = path.join(dir, "events.jsonl");
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("sanitizeBatch anonymizes and rejects invalid events", () => {
+    expect(sanitizeBatch({})).toBeNull();
+
+    const batch = sanitizeBatch({
+      events: [
+        {
+          type: "cache_hit",
+          data: { key: "weather_52.52_13.41", ageMs: 5 },
+          ts: now + 25 * 60 * 1000,
+          sessionId: "session-1",
+        },
+        { type: "unknown", data: {}, ts: now },
+        { type: "search", data: { query: "Ulm" } },
+      ],
+    });
+    expect(batch.events).toEqual([
+      { v: 1, type: "cache_hit", data: { ageMs: 5 }, ts: now },
+    ]);
+    expect(batch.rejected).toBe(2);
+
+    const tooMany = sanitizeBatch({
+      events: Array.from({ length: MAX_BATCH_EVENTS + 5 }, () => ({
+        type: "search",
+        data: { query: "Ulm" },
+        ts: now,
+      })),
+    });
+    expect(tooMany.events).toHaveLength(MAX_BATCH_EVENTS);
+    expect(tooMany.rejected).toBe(5);
+  });
+
+  test("stores batches and summarizes them within retention", () => {
+    const collector = createCollector({
+      file,
+      retentionDays: 30,
+      now: () => now,
+    });
+    expect(collector.ingest({ nope: true })).toBeNull();
+    expect(
+      collector.ingest({
+        events: [
+          { type: "search", data: { query: "Berlin" }, ts: now - HOUR },
+          { type: "search", data: { query: "berlin" }, ts: now - DAY },
+          {
+            type: "api_call",
+            data: { provider: "brightsky", durationMs: 200, ok: false },
+            ts: now,
+          },
+          { type: "search", data: { query: "Alt" }, ts: now - 40 * DAY },
+        ],
+      })
+    ).toEqual({ accepted: 4, rejected: 0 });
+    fs.appendFileSync(file, "not json\n");
+
+    const summary = collector.summary({ days: 7 });
+    expect(summary.totalEvents).toBe(3);
+    expect(summary.byType).toEqual({ search: 2, api_call: 1 });
+    expect(summary.perDay).toHaveLength(7);
+    expect(summary.perDay.slice(-2).map((day) => day.searches)).toEqual([1, 1]);
+    expect(summary.topPlaces).toEqual([{ place: "Berlin", count: 2 }]);
+    expect(summary.providers[0]).toMatchObject({
+      provider: "brightsky",
+      errorRate: 1,
+      p50: 200,
+    });
+
+    // Abgelaufene und kaputte Zeilen verschwinden beim Verdichten
+    expect(collector.compact()).toBe(3);
+    expect(fs.readFileSync(file, "utf8").trim().split("\n")).toHaveLength(3);
+
+    const html = renderReport(summary);
+    expect(html).toContain("<td>brightsky</td><td>1</td><td>100 %</td>");
+    expect(html).toContain("<td>Suche</td><td>2</td>");
+  });
+
+  test("report escapes uploaded place names", () => {
+    const collector = createCollector({ file, now: () => now });
+    collector.ingest({
+      events: [{ type: "search", data: { query: "<b>x</b>" }, ts: now }],
+    });
+    const html = renderReport(collector.summary());
+    expect(html).toContain("&lt;b&gt;x&lt;/b&gt;");
+    expect(html).not.toContain("<b>x</b>");
+  });
+});
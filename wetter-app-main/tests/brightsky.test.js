@@ -0,0 +1,213 @@
+/**
+ * tests/brightsky.test.js
+ * BrightSky: Bereichsabruf, Beobachtungen, Radar und Warnungen
+ */
+
+const constants = require("../src/utils/constants.js");
+const validation = require("../src/utils/validation.js");
+const cacheStore = require("../src/utils/cacheStore.js");
+
+global.API_ENDPOINTS = constants.API_ENDPOINTS;
+global.CACHE_CONFIG = constants.CACHE_CONFIG;
+global.ERROR_CODES = constants.ERROR_CODES;
+global.VALIDATION = constants.VALIDATION;
+Object.assign(global, validation);
+global.createCacheStore = cacheStore.createCacheStore;
+global.MemoryCacheStore = cacheStore.MemoryCacheStore;
+
+const { WeatherCache } = require("../src/utils/cache.js");
+const BrightSkyAPI = require("../src/api/brightsky.js");
+
+const hour = (date, h) => ({
+  timestamp: `${date}T${String(h).padStart(2, "0")}:00:00+00:00`,
+  temperature: 10 + h,
+  icon: "cloudy",
+});
+
+const respond = (body) => ({ json: async () => body });
+
+describe("BrightSkyAPI", () => {
+  let api;
+  beforeEach(() => {
+    global.weatherCache = new WeatherCache({
+      store: new cacheStore.MemoryCacheStore(),
+    });
+    global.safeApiFetch = jest.fn();
+    api = new BrightSkyAPI();
+    jest.useFakeTimers({ now: new Date("2024-03-10T08:00:00Z") });
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("fetchMultiDay loads all days with one range request", async () => {
+    const weather = [
+      hour("2024-03-10", 0),
+      hour("2024-03-10", 23),
+      hour("2024-03-11", 12),
+      hour("2024-03-12", 6),
+      // last_date ist Mitternacht des Folgetags
+      hour("2024-03-13", 0),
+    ];
+    safeApiFetch.mockResolvedValue(respond({ weather, sources: [{ id: 1 }] }));
+
+    const days = await api.fetchMultiDay(52.52, 13.41, 3);
+
+    expect(safeApiFetch).toHaveBeenCalledTimes(1);
+    const url = new URL(safeApiFetch.mock.calls[0][0]);
+    expect(url.searchParams.get("date")).toBe("2024-03-10");
+    expect(url.searchParams.get("last_date")).toBe("2024-03-13");
+    expect(days.map((d) => [d.date, d.data.weather.length])).toEqual([
+      ["2024-03-10", 2],
+      ["2024-03-11", 1],
+      ["2024-03-12", 1],
+    ]);
+    expect(days[0].data.sources).toEqual([{ id: 1 }]);
+
+    // Gleicher Bereich kommt aus dem Cache
+    const again = await api.fetchRange(
+      52.52,
+      13.41,
+      "2024-03-10",
+      "2024-03-12"
+    );
+    expect(again.fromCache).toBe(true);
+    expect(safeApiFetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("fetchRange rejects inverted ranges without a request", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const result = await api.fetchRange(
+      52.52,
+      13.41,
+      "2024-03-12",
+      "2024-03-10"
+    );
+    expect(result.error).toMatch(/Datumsbereich/);
+    expect(safeApiFetch).not.toHaveBeenCalled();
+  });
+
+  test("current weather includes the observing station", async () => {
+    safeApiFetch.mockResolvedValue(
+      respond({
+        weather: {
+          timestamp: "2024-03-10T08:00:00+00:00",
+          source_id: 7,
+          temperature: 6.4,
+          wind_speed_10: 12.2,
+          icon: "clear-day",
+        },
+        sources: [{ id: 7, station_name: "Berlin-Tempelhof", distance: 4200 }],
+      })
+    );
+
+    const result = await api.fetchCurrentWeather(52.52, 13.41);
+    expect(safeApiFetch.mock.calls[0][0]).toContain("/current_weather?");
+    expect(api.formatCurrentWeather(result.data)).toMatchObject({
+      temperature: 6.4,
+      windSpeed: 12.2,
+      emoji: "☀️",
+      station: { name: "Berlin-Tempelhof", distance: 4200 },
+    });
+  });
+
+  test("radarSeriesAt reads the pixel at the requested position", async () => {
+    safeApiFetch.mockResolvedValue(
+      respond({
+        radar: [
+          {
+            timestamp: "2024-03-10T08:00:00+00:00",
+            precipitation_5: [
+              [0, 0],
+              [0, 25],
+            ],
+          },
+          {
+            timestamp: "2024-03-10T08:05:00+00:00",
+            precipitation_5: [
+              [0, 0],
+              [0, 0],
+            ],
+          },
+        ],
+        latlon_position: { x: 0.8, y: 1.1 },
+      })
+    );
+
+    const result = await api.fetchRadar(52.52, 13.41, { distance: 5000 });
+    const url = new URL(safeApiFetch.mock.calls[0][0]);
+    expect(url.pathname).toBe("/radar");
+    expect(url.searchParams.get("format")).toBe("plain");
+    expect(url.searchParams.get("distance")).toBe("5000");
+    expect(api.radarSeriesAt(result.data)).toEqual([
+      { time: "2024-03-10T08:00:00+00:00", precipitation: 0.25, rate: 3 },
+      { time: "2024-03-10T08:05:00+00:00", precipitation: 0, rate: 0 },
+    ]);
+  });
+
+  test("fetchAlerts returns the warnings and reports invalid answers", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    safeApiFetch.mockResolvedValueOnce(
+      respond({
+        alerts: [{ id: 1, event_de: "STURMBÖEN", severity: "moderate" }],
+        location: { warn_cell_id: 111000000, name: "Berlin" },
+      })
+    );
+    const result = await api.fetchAlerts(52.52, 13.41);
+    expect(safeApiFetch.mock.calls[0][0]).toContain("/alerts?lat=52.5200");
+    expect(result.data.alerts).toHaveLength(1);
+    expect(result.data.location.name).toBe("Berlin");
+
+    safeApiFetch.mockResolvedValue(respond({}));
+    const broken = api.fetchAlerts(52.52, 13.41);
+    await jest.runAllTimersAsync();
+    expect((await broken).error).toMatch(/Warnungs-Antwort/);
+  });
+});
+
+describe("BrightSkyAPI.formatAlerts", () => {
+  test("prefers German texts and keeps CAP fields", () => {
+    const api = new BrightSkyAPI();
+    const [alert] = api.formatAlerts({
+      alerts: [
+        {
+          id: 296927,
+          alert_id: "2.49.0.0.276.0.DWD.PVW.1710050400000",
+          status: "actual",
+          effective: "2024-03-10T06:00:00+00:00",
+          onset: "2024-03-10T07:00:00+00:00",
+          expires: "2024-03-10T18:00:00+00:00",
+          category: "met",
+          response_type: "prepare",
+          urgency: "immediate",
+          severity: "moderate",
+          certainty: "likely",
+          event_code: 52,
+          event_en: "gusts",
+          event_de: "STURMBÖEN",
+          headline_en: "Official WARNING of GUSTS",
+          headline_de: "Amtliche WARNUNG vor STURMBÖEN",
+          description_de: "Es treten Sturmböen auf.",
+          instruction_de: null,
+        },
+      ],
+      location: { warn_cell_id: 111000000, name: "Berlin", state: "Berlin" },
+    });
+
+    expect(alert).toMatchObject({
+      id: "dwd-2.49.0.0.276.0.DWD.PVW.1710050400000",
+      origin: "official",
+      event: "STURMBÖEN",
+      eventCode: 52,
+      title: "Amtliche WARNUNG vor STURMBÖEN",
+      instruction: "",
+      severity: "moderate",
+      urgency: "immediate",
+      onset: "2024-03-10T07:00:00+00:00",
+      region: "Berlin",
+      warnCellId: 111000000,
+    });
+    expect(api.formatAlerts(null)).toEqual([]);
+  });
+});
@@ -9,3 +9,125 @@ describe('CacheManager', () => {
     expect(true).toBe(true);
   });
 });
+
+const { CACHE_CONFIG } = require("../src/utils/constants.js");
+const cacheStore = require("../src/utils/cacheStore.js");
+
+global.CACHE_CONFIG = CACHE_CONFIG;
+global.MemoryCacheStore = cacheStore.MemoryCacheStore;
+global.createCacheStore = cacheStore.createCacheStore;
+global.CACHE_CHANNEL_NAME = cacheStore.CACHE_CHANNEL_NAME;
+
+const { CacheManager, WeatherCache } = require("../src/utils/cache.js");
+
+describe("CacheManager storage", () => {
+  let now;
+  beforeEach(() => {
+    localStorage.clear();
+    now = 1_700_000_000_000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("falls back to the in-memory store without IndexedDB", () => {
+    expect(cacheStore.createCacheStore()).toBeInstanceOf(
+      cacheStore.MemoryCacheStore
+    );
+    expect(cacheStore.CACHE_DB_VERSION).toBe(1);
+  });
+
+  test("persists entries and reloads them in a new instance", async () => {
+    const store = new cacheStore.MemoryCacheStore();
+    const first = new WeatherCache({ store });
+    await first.setGeo("Frankfurt am Main", { lat: 50.11, lon: 8.68 });
+
+    const second = new WeatherCache({ store });
+    await expect(second.getGeo("frankfurt  am main")).resolves.toEqual({
+      lat: 50.11,
+      lon: 8.68,
+    });
+    expect(second.getStats()).toMatchObject({ totalEntries: 1 });
+  });
+
+  test("expired entries are dropped on read and cleanup", async () => {
+    const store = new cacheStore.MemoryCacheStore();
+    const cache = new CacheManager({ store });
+    await cache.set("a", { temp: 1 }, "WEATHER");
+    await cache.set("b", { temp: 2 }, "GEO");
+
+    now += 31 * 60 * 1000;
+    await expect(cache.get("a")).resolves.toBeNull();
+    await expect(cache.has("b")).resolves.toBe(true);
+    expect(store.meta.has("a")).toBe(false);
+
+    now += 8 * 24 * 60 * 60 * 1000;
+    await expect(cache.cleanupExpired()).resolves.toBe(1);
+    expect(cache.getStats().totalSize).toBe(0);
+  });
+
+  test("evicts least recently used entries above maxSize", async () => {
+    const store = new cacheStore.MemoryCacheStore();
+    const events = [];
+    window.logAnalyticsEvent = (type, detail) => events.push([type, detail]);
+    // Jeder Wert ist 12 Bytes JSON ("xxxxxxxxxx" mit Anführungszeichen)
+    const cache = new CacheManager({ store, maxSize: 30 });
+    const value = "x".repeat(10);
+
+    await cache.set("old", value);
+    now += 1000;
+    await cache.set("recent", value);
+    now += 1000;
+    await cache.get("old"); // "old" zuletzt benutzt
+    now += 1000;
+    await cache.set("new", value);
+
+    expect(Array.from(store.meta.keys()).sort()).toEqual(["new", "old"]);
+    expect(cache.getStats()).toMatchObject({ totalSize: 24, maxSize: 30 });
+    expect(events.map(([type]) => type)).toContain("cache_evict");
+
+    // Zu große Einträge werden gar nicht erst gespeichert
+    await expect(cache.set("huge", "x".repeat(40))).resolves.toBe(false);
+    expect(store.meta.has("huge")).toBe(false);
+    delete window.logAnalyticsEvent;
+  });
+
+  test("imports legacy localStorage entries once", async () => {
+    localStorage.setItem(
+      "cache_geo_berlin",
+      JSON.stringify({
+        value: { lat: 52.52, lon: 13.41 },
+        expireTime: now + 1000,
+        createdAt: now - 1000,
+        type: "GEO",
+      })
+    );
+    localStorage.setItem(
+      "cache_stale",
+      JSON.stringify({ value: 1, expireTime: now - 1, type: "WEATHER" })
+    );
+    localStorage.setItem("wetter_recent_cities", "[]");
+
+    const store = new cacheStore.MemoryCacheStore();
+    const cache = new WeatherCache({ store });
+    await expect(cache.getGeo("Berlin")).resolves.toEqual({
+      lat: 52.52,
+      lon: 13.41,
+    });
+    expect(store.meta.has("stale")).toBe(false);
+    expect(localStorage.getItem("cache_geo_berlin")).toBeNull();
+    expect(localStorage.getItem("wetter_recent_cities")).toBe("[]");
+  });
+
+  test("clear empties memory and store", async () => {
+    const store = new cacheStore.MemoryCacheStore();
+    const cache = new WeatherCache({ store });
+    await cache.setForecast("52.52_13.41", "openmeteo", { hourly: {} });
+    await cache.clear();
+
+    await expect(
+      cache.getForecast("52.52_13.41", "openmeteo")
+    ).resolves.toBeNull();
+    expect(store.meta.size).toBe(0);
+    expect(cache.getStats()).toMatchObject({ totalEntries: 0, totalSize: 0 });
+  });
+});
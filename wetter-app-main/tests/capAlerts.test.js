@@ -0,0 +1,205 @@
+/**
+ * tests/capAlerts.test.js
+ * CAP-1.2-Parser und Lebenszyklus der Warnungen (Fixtures in tests/fixtures/cap)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const cap = require("../src/utils/capAlerts.js");
+
+Object.assign(global, cap, require("../src/utils/alertAreas.js"));
+Object.assign(
+  global,
+  require("../src/utils/alertRules.js"),
+  require("../src/utils/alertHistory.js")
+);
+const AlertsPanel = require("../src/ui/alertsPanel.js");
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "fixtures", "cap", name), "utf8");
+
+describe("parseCapXml", () => {
+  test("reads header, info blocks and areas of a DWD alert", () => {
+    const [alert] = cap.parseCapXml(fixture("dwd-alert.xml"));
+
+    expect(alert).toMatchObject({
+      identifier: "2.49.0.0.276.0.DWD.PVW.1710050400000.a1",
+      sender: "opendata@dwd.de",
+      sent: "2024-03-10T06:00:00+01:00",
+      status: "Actual",
+      msgType: "Alert",
+      scope: "Public",
+      references: [],
+    });
+    expect(alert.info.map((info) => info.language)).toEqual(["de-DE", "en-GB"]);
+
+    const de = alert.info[0];
+    expect(de).toMatchObject({
+      categories: ["Met"],
+      event: "STURMBÖEN",
+      responseTypes: ["Prepare"],
+      urgency: "Immediate",
+      severity: "Moderate",
+      certainty: "Likely",
+      onset: "2024-03-10T08:00:00+01:00",
+      expires: "2024-03-10T18:00:00+01:00",
+      senderName: "Deutscher Wetterdienst",
+      parameters: [{ valueName: "gusts", value: "75 [km/h]" }],
+    });
+    expect(de.eventCodes).toContainEqual({ valueName: "II", value: "52" });
+    expect(de.areas[0].description).toBe("Stadt Berlin");
+    expect(de.areas[0].polygons[0]).toHaveLength(5);
+    expect(de.areas[0].polygons[0][0]).toEqual([52.68, 13.08]);
+    expect(de.areas[0].geocodes).toEqual([
+      { valueName: "WARNCELLID", value: "111000000" },
+    ]);
+    expect(alert.info[1].areas[0].circles).toEqual([
+      { lat: 52.52, lon: 13.41, radiusKm: 25 },
+    ]);
+
+    expect(cap.pickCapInfo(alert, "en").headline).toBe(
+      "Official WARNING of GUSTS"
+    );
+    expect(cap.pickCapInfo(alert, "fr").language).toBe("de-DE");
+  });
+
+  test("parses references of updates and cancels", () => {
+    const [update] = cap.parseCapXml(fixture("dwd-update.xml"));
+    expect(update.msgType).toBe("Update");
+    expect(update.references).toEqual([
+      {
+        sender: "opendata@dwd.de",
+        identifier: "2.49.0.0.276.0.DWD.PVW.1710050400000.a1",
+        sent: "2024-03-10T06:00:00+01:00",
+      },
+    ]);
+    expect(cap.parseCapXml(fixture("dwd-cancel.xml"))[0].msgType).toBe(
+      "Cancel"
+    );
+  });
+
+  test("reads Atom feeds with cap fields and embedded alerts", () => {
+    const alerts = cap.parseCapXml(fixture("meteoalarm-feed.xml"));
+    expect(alerts).toHaveLength(2);
+    expect(alerts[0]).toMatchObject({
+      identifier: "2.49.0.0.276.0.DWD.PVW.1710050400000.a1",
+      msgType: "Alert",
+    });
+    expect(alerts[0].info[0].areas[0].geocodes).toEqual([
+      { valueName: "EMMA_ID", value: "DE300" },
+    ]);
+    expect(alerts[0].info[0].parameters).toContainEqual({
+      valueName: "awareness_level",
+      value: "2; yellow; Moderate",
+    });
+    expect(alerts[1]).toMatchObject({
+      identifier: "exercise-b7",
+      status: "Exercise",
+    });
+  });
+
+  test("rejects malformed XML", () => {
+    expect(() => cap.parseCapXml("<alert><identifier>")).toThrow(
+      "Ungültiges CAP-XML"
+    );
+    expect(() => cap.parseCapXml("<rss></rss>")).toThrow(/Wurzelelement/);
+  });
+});
+
+describe("CapAlertStore", () => {
+  const now = Date.parse("2024-03-10T12:00:00+01:00");
+
+  test("updates replace and cancels remove earlier alerts", () => {
+    const store = new cap.CapAlertStore();
+    const [alert] = cap.parseCapXml(fixture("dwd-alert.xml"));
+    const [update] = cap.parseCapXml(fixture("dwd-update.xml"));
+    const [cancel] = cap.parseCapXml(fixture("dwd-cancel.xml"));
+
+    expect(store.apply(alert)).toBe("added");
+    expect(store.apply(update)).toBe("updated");
+    expect(store.active(now).map((a) => a.identifier)).toEqual([
+      update.identifier,
+    ]);
+
+    // Erneut ausgelieferte Erstmeldung bleibt ersetzt
+    expect(store.apply(alert)).toBe("ignored");
+    expect(store.apply(cancel)).toBe("cancelled");
+    expect(store.size).toBe(0);
+  });
+
+  test("applyAll orders by sent time and skips exercises", () => {
+    const store = new cap.CapAlertStore();
+    const alerts = [
+      ...cap.parseCapXml(fixture("dwd-update.xml")),
+      ...cap.parseCapXml(fixture("dwd-alert.xml")),
+      ...cap.parseCapXml(fixture("meteoalarm-feed.xml")),
+    ];
+
+    store.applyAll(alerts);
+    expect(store.active(now).map((a) => a.identifier)).toEqual([
+      "2.49.0.0.276.0.DWD.PVW.1710061200000.a2",
+    ]);
+  });
+
+  test("expired alerts are pruned", () => {
+    const store = new cap.CapAlertStore();
+    store.applyAll(cap.parseCapXml(fixture("dwd-alert.xml")));
+    expect(store.active(Date.parse("2024-03-10T19:00:00+01:00"))).toEqual([]);
+  });
+
+  test("retired references are pruned with their expiry", () => {
+    const store = new cap.CapAlertStore();
+    const [alert] = cap.parseCapXml(fixture("dwd-alert.xml"));
+    const [update] = cap.parseCapXml(fixture("dwd-update.xml"));
+    const [cancel] = cap.parseCapXml(fixture("dwd-cancel.xml"));
+    store.applyAll([alert, update, cancel]);
+    expect(store.retired.size).toBe(3);
+
+    // Erstmeldung läuft um 18 Uhr ab, bis dahin bleibt sie gesperrt
+    store.prune(Date.parse("2024-03-10T17:00:00+01:00"));
+    expect(store.apply(alert)).toBe("ignored");
+    store.prune(Date.parse("2024-03-10T19:00:00+01:00"));
+    expect(store.retired.size).toBe(2);
+
+    // Das Update läuft um 20 Uhr ab; die Cancel-Meldung selbst ohne Ablauf
+    // bleibt 48 Std. nach dem Versand gesperrt
+    store.prune(Date.parse("2024-03-10T21:00:00+01:00"));
+    expect(Array.from(store.retired.keys())).toEqual([cap.capAlertKey(cancel)]);
+    store.prune(Date.parse("2024-03-12T15:00:00+01:00"));
+    expect(store.retired.size).toBe(0);
+  });
+});
+
+describe("AlertsPanel", () => {
+  test("ingest maps CAP alerts to view models without truncation", () => {
+    jest.useFakeTimers({ now: new Date("2024-03-10T12:00:00+01:00") });
+    document.body.innerHTML = '<div id="alerts"></div>';
+    const panel = new AlertsPanel("alerts");
+
+    const [alert] = panel.ingest(fixture("dwd-alert.xml"));
+    expect(alert).toMatchObject({
+      identifier: "2.49.0.0.276.0.DWD.PVW.1710050400000.a1",
+      title: "Amtliche WARNUNG vor STURMBÖEN",
+      severity: "Orange",
+      urgency: "Immediate",
+      certainty: "Likely",
+      area: "Stadt Berlin",
+      onset: "2024-03-10T08:00:00+01:00",
+      expires: "2024-03-10T18:00:00+01:00",
+    });
+    expect(alert.description).toContain("75 km/h");
+
+    // MeteoAlarm-Farbe hat Vorrang vor der CAP-Stufe
+    panel.store.clear();
+    expect(panel.ingest(fixture("meteoalarm-feed.xml"))[0].severity).toBe(
+      "Yellow"
+    );
+
+    panel.ingest(fixture("dwd-update.xml"));
+    panel.render();
+    expect(document.querySelector(".alert-item strong").textContent).toBe(
+      "Amtliche UNWETTERWARNUNG vor SCHWEREN STURMBÖEN"
+    );
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * tests/e2eAlerts.test.js
+ * End-to-End: die echte index.html mit allen Skripten in jsdom; amtliche
+ * CAP-Warnungen erscheinen im Warnungen-Tab
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const srcDir = path.join(__dirname, "..", "src");
+
+describe("Calchas - E2E: official CAP alerts", () => {
+
+  // Feed wie von MeteoAlarm: eine Warnung für die Berliner Warnzelle
+  const feed = (expires) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:cap="urn:oasis:names:tc:emergency:cap:1.2">
+  <entry>
+    <id>e2e-berlin</id>
+    <title>Orange Wind Warning issued for Germany - Berlin</title>
+    <cap:identifier>2.49.0.0.276.0.DWD.PVW.e2e</cap:identifier>
+    <cap:sender>opendata@dwd.de</cap:sender>
+    <cap:sent>${new Date().toISOString()}</cap:sent>
+    <cap:status>Actual</cap:status>
+    <cap:message_type>Alert</cap:message_type>
+    <cap:event>STURMBÖEN</cap:event>
+    <cap:severity>Moderate</cap:severity>
+    <cap:areaDesc>Berlin</cap:areaDesc>
+    <cap:geocode>
+      <valueName>WARNCELLID</valueName>
+      <value>111000000</value>
+    </cap:geocode>
+    <cap:expires>${expires}</cap:expires>
+  </entry>
+</feed>`;
+
+  // index.html mit eingebetteten lokalen Skripten, Netz nur für MeteoAlarm
+  const loadApp = () => {
+    const xml = feed(new Date(Date.now() + 6 * 60 * 60 * 1000).toISOString());
+    const html = fs
+      .readFileSync(path.join(srcDir, "index.html"), "utf8")
+      .replace(/<script src="https?:[^"]+"><\/script>/g, "")
+      .replace(
+        /<script src="([^"]+)"><\/script>/g,
+        (match, src) =>
+          `<script>${fs
+            .readFileSync(path.join(srcDir, src), "utf8")
+            .replace(/<\/script>/g, "<\\/script>")}</script>`
+      );
+    const virtualConsole = new VirtualConsole();
+    const dom = new JSDOM(html, {
+      url: "http://localhost:8000/src/",
+      runScripts: "dangerously",
+      pretendToBeVisual: true,
+      virtualConsole,
+      beforeParse(window) {
+        window.fetch = async (url) => {
+          if (String(url).includes("meteoalarm.org")) {
+            return { ok: true, status: 200, text: async () => xml };
+          }
+          throw new TypeError("offline");
+        };
+      },
+    });
+    return dom.window;
+  };
+
+  test("a CAP alert covering the current location renders in the alerts tab", async () => {
+    const window = loadApp();
+    try {
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      window.eval(`
+        appState.currentCity = "Berlin";
+        appState.currentCoordinates = { lat: 52.52, lon: 13.405, lng: 13.405 };
+      `);
+      window.document.querySelector('[data-tab="alerts"]').click();
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const item = window.document.querySelector("#cap-alerts .alert-item");
+      expect(item).not.toBeNull();
+      expect(item.textContent).toContain("Orange Wind Warning");
+      expect(item.textContent).toContain("Betrifft: Berlin");
+    } finally {
+      // Intervalle der App beenden
+      window.close();
+    }
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * tests/favoriteSnapshots.test.js
+ * Favoriten-Spiegel und Offline-Snapshots des Service Workers
+ */
+
+const constants = require("../src/utils/constants.js");
+global.API_ENDPOINTS = constants.API_ENDPOINTS;
+
+const {
+  favoriteSnapshotKey,
+  toFavoriteRecord,
+  favoriteSnapshotUrl,
+  snapshotForecast,
+  IndexedDBFavoriteStore,
+  MemoryFavoriteStore,
+  createFavoriteStore,
+  saveFavoriteSnapshot,
+  syncFavoriteSnapshots,
+} = require("../src/utils/favoriteSnapshots.js");
+
+// Minimale IndexedDB: Anfragen und Transaktionen melden sich asynchron
+function fakeIndexedDB() {
+  const data = new Map();
+  const pending = (result) => {
+    const request = { result };
+    setTimeout(() => request.onsuccess(), 0);
+    return request;
+  };
+  const db = {
+    objectStoreNames: { contains: (name) => data.has(name) },
+    createObjectStore: (name) => data.set(name, new Map()),
+    transaction: () => ({
+      objectStore: (name) => ({
+        get: (key) => pending(data.get(name).get(key)),
+        put: (value) => data.get(name).set(value.key, value),
+      }),
+      set oncomplete(resolve) {
+        setTimeout(resolve, 0);
+      },
+    }),
+  };
+  return {
+    open() {
+      const request = { result: db };
+      setTimeout(() => {
+        request.onupgradeneeded();
+        request.onsuccess();
+      }, 0);
+      return request;
+    },
+  };
+}
+
+const rostock = {
+  city: "Rostock",
+  coords: { lat: 54.0924, lon: 12.0991, lng: 12.0991 },
+  addedAt: 1,
+};
+
+const forecast = {
+  utc_offset_seconds: 7200,
+  hourly: {
+    time: [
+      "2025-06-01T22:00",
+      "2025-06-01T23:00",
+      "2025-06-02T00:00",
+      "2025-06-02T01:00",
+    ],
+    temperature_2m: [14, 13, 12, 11],
+  },
+  hourly_units: { temperature_2m: "°C" },
+  daily: {
+    time: ["2025-06-01", "2025-06-02", "2025-06-03"],
+    temperature_2m_max: [20, 22, 24],
+  },
+};
+
+describe("favorite snapshots", () => {
+  test("favorites are mirrored with a coordinate key", () => {
+    expect(favoriteSnapshotKey(rostock.coords)).toBe("54.09,12.10");
+    expect(favoriteSnapshotKey({ latitude: 54.0924, longitude: 12.0991 })).toBe(
+      "54.09,12.10"
+    );
+    expect(favoriteSnapshotKey(null)).toBeNull();
+    expect(toFavoriteRecord(rostock)).toEqual({
+      key: "54.09,12.10",
+      city: "Rostock",
+      lat: 54.0924,
+      lon: 12.0991,
+      addedAt: 1,
+    });
+    // Favoriten ohne Koordinaten lassen sich nicht abrufen
+    expect(toFavoriteRecord({ city: "Irgendwo", coords: null })).toBeNull();
+
+    const url = new URL(favoriteSnapshotUrl(toFavoriteRecord(rostock)));
+    expect(url.origin + url.pathname).toBe(
+      "https://api.open-meteo.com/v1/forecast"
+    );
+    expect(url.searchParams.get("latitude")).toBe("54.0924");
+    expect(url.searchParams.get("hourly")).toBe(
+      constants.API_ENDPOINTS.OPEN_METEO.PARAMS.hourly
+    );
+  });
+
+  test("snapshotForecast drops past days in local time", () => {
+    // 2025-06-01T22:30Z ist in Ortszeit (UTC+2) bereits der 2. Juni
+    const now = Date.parse("2025-06-01T22:30:00Z");
+    const data = snapshotForecast({ savedAt: 0, data: forecast }, now);
+
+    expect(data.hourly.time).toEqual(["2025-06-02T00:00", "2025-06-02T01:00"]);
+    expect(data.hourly.temperature_2m).toEqual([12, 11]);
+    expect(data.daily.time).toEqual(["2025-06-02", "2025-06-03"]);
+    expect(data.daily.temperature_2m_max).toEqual([22, 24]);
+    expect(data.hourly_units).toBe(forecast.hourly_units);
+    expect(forecast.hourly.time).toHaveLength(4);
+
+    expect(
+      snapshotForecast({ data: forecast }, Date.parse("2025-06-05T12:00:00Z"))
+    ).toBeNull();
+    expect(snapshotForecast(null)).toBeNull();
+  });
+
+  test("replacing favorites removes snapshots of deleted favorites", async () => {
+    const store = new MemoryFavoriteStore();
+    const berlin = toFavoriteRecord({
+      city: "Berlin",
+      coords: { lat: 52.52, lon: 13.41 },
+    });
+    await store.replaceFavorites([toFavoriteRecord(rostock), berlin]);
+    await store.putSnapshot({ key: berlin.key, savedAt: 1, data: forecast });
+
+    await store.replaceFavorites([toFavoriteRecord(rostock)]);
+
+    expect((await store.getFavorites()).map((f) => f.city)).toEqual([
+      "Rostock",
+    ]);
+    expect(await store.getSnapshot(berlin.key)).toBeNull();
+    // Ohne IndexedDB (jsdom) greift der Arbeitsspeicher
+    expect(createFavoriteStore()).toBeInstanceOf(MemoryFavoriteStore);
+  });
+
+  test("syncFavoriteSnapshots stores complete forecasts per favorite", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const store = new MemoryFavoriteStore();
+    const berlin = { city: "Berlin", coords: { lat: 52.52, lon: 13.41 } };
+    await store.replaceFavorites([rostock, berlin].map(toFavoriteRecord));
+    const fetchImpl = jest.fn(async (url) =>
+      url.includes("latitude=52.5200")
+        ? { ok: false, status: 503 }
+        : { ok: true, json: async () => forecast }
+    );
+
+    const result = await syncFavoriteSnapshots(store, {
+      fetch: fetchImpl,
+      now: () => 1234,
+    });
+
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(result).toEqual({
+      updated: ["54.09,12.10"],
+      failed: ["52.52,13.41"],
+    });
+    expect(await store.getSnapshot("54.09,12.10")).toEqual({
+      key: "54.09,12.10",
+      city: "Rostock",
+      lat: 54.0924,
+      lon: 12.0991,
+      savedAt: 1234,
+      data: forecast,
+    });
+    expect(await store.getSnapshot("52.52,13.41")).toBeNull();
+  });
+
+  test("the window stores forecasts it loaded itself", async () => {
+    // Firefox und Safari: kein Background Sync, die App legt den Snapshot ab
+    const store = new MemoryFavoriteStore();
+    const record = toFavoriteRecord(rostock);
+    await saveFavoriteSnapshot(store, record, forecast, 5678);
+    expect(await store.getSnapshot(record.key)).toMatchObject({
+      city: "Rostock",
+      savedAt: 5678,
+      data: forecast,
+    });
+
+    await expect(
+      saveFavoriteSnapshot(store, record, { current: {} }, 9999)
+    ).rejects.toThrow("Keine Stundenwerte");
+    expect((await store.getSnapshot(record.key)).savedAt).toBe(5678);
+  });
+
+  test("the IndexedDB store works without browser globals", async () => {
+    // idbRequest und Co. kommen in Node per require aus utils/idb.js
+    expect(typeof idbRequest).toBe("undefined");
+    const store = new IndexedDBFavoriteStore({ indexedDB: fakeIndexedDB() });
+    const record = toFavoriteRecord(rostock);
+    await saveFavoriteSnapshot(store, record, forecast, 4321);
+    expect(await store.getSnapshot(record.key)).toMatchObject({
+      city: "Rostock",
+      savedAt: 4321,
+    });
+    expect(await store.getSnapshot("0.0000,0.0000")).toBeNull();
+  });
+});
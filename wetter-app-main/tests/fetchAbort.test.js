@@ -0,0 +1,75 @@
+/**
+ * tests/fetchAbort.test.js
+ * Abbruch laufender Anfragen über AbortSignals (safeApiFetch & Helfer)
+ */
+
+global.ERROR_CODES = {
+  TIMEOUT: { message: "Anfrage hat zu lange gedauert - bitte erneut versuchen" },
+  ABORTED: { message: "Anfrage abgebrochen" },
+};
+
+const {
+  safeApiFetch,
+  isAbortError,
+  waitWithSignal,
+} = require("../src/utils/validation.js");
+
+// fetch-Attrappe, die erst bei Abbruch des übergebenen Signals endet
+const hangingFetch = () =>
+  jest.fn(
+    (url, init) =>
+      new Promise((resolve, reject) => {
+        init.signal.addEventListener("abort", () => {
+          const error = new Error("aborted");
+          error.name = "AbortError";
+          reject(error);
+        });
+      })
+  );
+
+describe("safeApiFetch abort handling", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test("external signal aborts the request with an AbortError", async () => {
+    global.fetch = hangingFetch();
+    const controller = new AbortController();
+    const pending = safeApiFetch("https://example.test", {
+      signal: controller.signal,
+    });
+    controller.abort();
+
+    const error = await pending.catch((e) => e);
+    expect(isAbortError(error)).toBe(true);
+    expect(error.message).toBe("Anfrage abgebrochen");
+  });
+
+  test("own timeout is reported as timeout, not as abort", async () => {
+    global.fetch = hangingFetch();
+    const error = await safeApiFetch("https://example.test", {}, 10).catch(
+      (e) => e
+    );
+    expect(isAbortError(error)).toBe(false);
+    expect(error.message).toMatch(/zu lange/);
+  });
+
+  test("already aborted signals never reach fetch", async () => {
+    global.fetch = jest.fn();
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      safeApiFetch("https://example.test", { signal: controller.signal })
+    ).rejects.toThrow("Anfrage abgebrochen");
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test("waitWithSignal rejects as soon as the signal aborts", async () => {
+    const controller = new AbortController();
+    const waiting = waitWithSignal(10000, controller.signal);
+    controller.abort();
+    const error = await waiting.catch((e) => e);
+    expect(isAbortError(error)).toBe(true);
+    await expect(waitWithSignal(1)).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,130 @@
+const ForecastBlender = require("../src/utils/forecastBlender.js");
+
+// Kanonische Datensätze (utils/weatherSchema.js), Zeitachse in UTC-ms
+const ts = (iso) => Date.parse(iso);
+
+const openMeteo = {
+  source: "open-meteo",
+  hourly: [
+    {
+      time: "2025-01-10T13:00",
+      ts: ts("2025-01-10T12:00:00Z"),
+      temperature: 5,
+      precipitation: 0,
+      precipitationProbability: 10,
+      windSpeed: 10,
+    },
+    {
+      time: "2025-01-10T14:00",
+      ts: ts("2025-01-10T13:00:00Z"),
+      temperature: 6,
+      precipitation: 2,
+      precipitationProbability: 80,
+      windSpeed: 20,
+    },
+  ],
+  daily: [{ date: "2025-01-10", tempMax: 7, tempMin: 1, precipitationSum: 4 }],
+};
+
+const brightSky = {
+  source: "brightsky",
+  hourly: [
+    {
+      time: "2025-01-10T12:00:00+00:00",
+      ts: ts("2025-01-10T12:00:00Z"),
+      temperature: 5.4,
+      precipitation: 0.2,
+      windSpeed: 12,
+    },
+    {
+      time: "2025-01-10T13:00:00+00:00",
+      ts: ts("2025-01-10T13:00:00Z"),
+      temperature: 10,
+      precipitation: 2.4,
+      windSpeed: 18,
+    },
+  ],
+  daily: [],
+};
+
+const openWeatherMap = {
+  source: "openweathermap",
+  hourly: [
+    {
+      time: "2025-01-10T12:20:00.000Z",
+      ts: ts("2025-01-10T12:20:00Z"),
+      temperature: 4.8,
+      precipitation: 0,
+      precipitationProbability: 20,
+      windSpeed: 10.8,
+    },
+  ],
+  daily: [{ date: "2025-01-10", tempMax: 8, tempMin: 0, precipitationSum: 5 }],
+};
+
+describe("ForecastBlender", () => {
+  test("hourKey aligns local and zoned timestamps on UTC hours", () => {
+    const zoned = ForecastBlender.hourKey("2025-01-10T12:30:00+00:00");
+    expect(ForecastBlender.hourKey("2025-01-10T13:00", 3600)).toBe(zoned);
+    expect(ForecastBlender.hourKey(Date.parse("2025-01-10T12:59:00Z"))).toBe(
+      zoned
+    );
+    expect(ForecastBlender.hourKey("kaputt")).toBeNull();
+  });
+
+  test("blends providers on a common time axis with spread", () => {
+    const blender = new ForecastBlender();
+    const result = blender.blend({
+      "open-meteo": openMeteo,
+      brightsky: brightSky,
+      openweathermap: openWeatherMap,
+    });
+
+    expect(result.providers).toEqual([
+      "open-meteo",
+      "brightsky",
+      "openweathermap",
+    ]);
+    expect(result.hourly).toHaveLength(2);
+
+    const [first, second] = result.hourly;
+    expect(first.time).toBe("2025-01-10T12:00:00.000Z");
+    expect(first.providers).toHaveLength(3);
+    expect(first.temperature.min).toBe(4.8);
+    expect(first.temperature.max).toBe(5.4);
+    expect(first.windSpeed.sources.openweathermap).toBeCloseTo(10.8);
+    expect(first.agreement).toBe("agree");
+
+    // 6 °C vs 10 °C -> Modelle uneinig bei der Temperatur
+    expect(second.temperature.spread).toBe(4);
+    expect(second.agreement).toBe("disagree");
+    expect(second.disagreements).toEqual(["temperature"]);
+
+    expect(result.summary.agreeHours).toBe(1);
+    expect(result.summary.disagreeHours).toBe(1);
+  });
+
+  test("applies provider weights and reports single-source slots", () => {
+    const blender = new ForecastBlender({
+      weights: { "open-meteo": 3, openweathermap: 1 },
+    });
+    const result = blender.blend({
+      "open-meteo": openMeteo,
+      openweathermap: openWeatherMap,
+    });
+
+    const [day] = result.daily;
+    // (7*3 + 8*1) / 4 = 7.25
+    expect(day.tempMax.value).toBe(7.3);
+    expect(day.agreement).toBe("agree");
+
+    const lastHour = result.hourly[result.hourly.length - 1];
+    expect(lastHour.providers).toEqual(["open-meteo"]);
+    expect(lastHour.agreement).toBe("single");
+  });
+
+  test("returns null without usable provider data", () => {
+    expect(new ForecastBlender().blend({ "open-meteo": null })).toBeNull();
+    expect(new ForecastBlender().blend(undefined)).toBeNull();
+  });
+});
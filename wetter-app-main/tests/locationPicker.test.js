@@ -0,0 +1,145 @@
+const LocationPickerComponent = require("../src/ui/locationPicker.js");
+
+const nominatim = [
+  {
+    lat: "50.1106",
+    lon: "8.6821",
+    display_name: "Frankfurt am Main, Hessen, Deutschland",
+    addresstype: "city",
+    address: {
+      city: "Frankfurt am Main",
+      state: "Hessen",
+      country: "Deutschland",
+      country_code: "de",
+    },
+  },
+  {
+    // Gleicher Ort als Verwaltungsgrenze
+    lat: "50.1213",
+    lon: "8.6670",
+    display_name: "Frankfurt am Main, Hessen, Deutschland",
+    address: {
+      city: "Frankfurt am Main",
+      state: "Hessen",
+      country: "Deutschland",
+      country_code: "de",
+    },
+  },
+  {
+    lat: "52.3412",
+    lon: "14.5494",
+    display_name: "Frankfurt (Oder), Brandenburg, Deutschland",
+    address: {
+      town: "Frankfurt (Oder)",
+      state: "Brandenburg",
+      country: "Deutschland",
+      country_code: "de",
+    },
+  },
+];
+
+const renderModal = () => {
+  document.body.innerHTML = `
+    <div id="modal-overlay"></div>
+    <div id="location-picker-modal" class="modal" aria-hidden="true">
+      <button class="modal-close" data-close="location-picker-modal"></button>
+      <span class="location-picker-query"></span>
+      <ul class="location-picker-list"></ul>
+    </div>`;
+  return new LocationPickerComponent("location-picker-modal");
+};
+
+describe("LocationPickerComponent", () => {
+  test("candidatesFrom merges duplicates and keeps region details", () => {
+    const candidates = LocationPickerComponent.candidatesFrom(nominatim);
+
+    expect(candidates).toHaveLength(2);
+    expect(candidates[0]).toMatchObject({
+      name: "Frankfurt am Main",
+      state: "Hessen",
+      countryCode: "DE",
+      lat: 50.1106,
+    });
+    expect(candidates[1].name).toBe("Frankfurt (Oder)");
+    expect(LocationPickerComponent.candidatesFrom(null)).toEqual([]);
+  });
+
+  test("candidatesFrom keeps same-named places in one state apart", () => {
+    const neustadt = (lat, lon, county) => ({
+      lat,
+      lon,
+      display_name: `Neustadt, ${county}, Bayern, Deutschland`,
+      address: {
+        town: "Neustadt",
+        county,
+        state: "Bayern",
+        country: "Deutschland",
+        country_code: "de",
+      },
+    });
+    const candidates = LocationPickerComponent.candidatesFrom([
+      neustadt("49.7327", "12.1706", "Landkreis Tirschenreuth"),
+      neustadt("48.8006", "11.7669", "Landkreis Kelheim"),
+    ]);
+    expect(candidates.map((c) => c.county)).toEqual([
+      "Landkreis Tirschenreuth",
+      "Landkreis Kelheim",
+    ]);
+
+    const picker = renderModal();
+    picker.choose("Neustadt", candidates);
+    const regions = Array.from(
+      document.querySelectorAll(".location-picker-region"),
+      (el) => el.textContent
+    );
+    expect(regions).toEqual([
+      "Landkreis Tirschenreuth, Bayern, Deutschland",
+      "Landkreis Kelheim, Bayern, Deutschland",
+    ]);
+  });
+
+  test("tileFor returns the OSM tile containing the pin", () => {
+    const tile = LocationPickerComponent.tileFor(50.1106, 8.6821);
+    expect(tile.url).toBe("https://tile.openstreetmap.org/8/134/86.png");
+    expect(tile.left).toBeGreaterThanOrEqual(0);
+    expect(tile.left).toBeLessThan(100);
+    expect(tile.top).toBeGreaterThanOrEqual(0);
+    expect(tile.top).toBeLessThan(100);
+  });
+
+  test("choose resolves with the clicked candidate", async () => {
+    const picker = renderModal();
+    const candidates = LocationPickerComponent.candidatesFrom(nominatim);
+
+    const pending = picker.choose("Frankfurt", candidates);
+    const modal = document.getElementById("location-picker-modal");
+    expect(modal.classList.contains("active")).toBe(true);
+    expect(document.querySelector(".location-picker-query").textContent).toBe(
+      "Frankfurt"
+    );
+
+    const options = modal.querySelectorAll(".location-picker-option");
+    expect(options).toHaveLength(2);
+    expect(options[1].textContent).toContain("Brandenburg");
+    options[1].click();
+
+    await expect(pending).resolves.toBe(candidates[1]);
+    expect(modal.classList.contains("active")).toBe(false);
+  });
+
+  test("choose resolves null when closed or aborted", async () => {
+    const picker = renderModal();
+    const candidates = LocationPickerComponent.candidatesFrom(nominatim);
+
+    const closed = picker.choose("Frankfurt", candidates);
+    document.querySelector(".modal-close").click();
+    await expect(closed).resolves.toBeNull();
+
+    const controller = new AbortController();
+    const aborted = picker.choose("Frankfurt", candidates, {
+      signal: controller.signal,
+    });
+    controller.abort();
+    await expect(aborted).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * tests/locationQuery.test.js
+ * Direkteingaben im Suchfeld: Koordinaten, DMS, PLZ, Plus Codes
+ */
+
+const {
+  parseLocationQuery,
+  decodePlusCode,
+} = require("../src/utils/locationQuery.js");
+
+describe("parseLocationQuery", () => {
+  test.each([
+    ["52.52, 13.40", 52.52, 13.4],
+    ["52.52 13.40", 52.52, 13.4],
+    ["52,52; 13,40", 52.52, 13.4],
+    ["-33.8688, 151.2093", -33.8688, 151.2093],
+    ["33.8688S 151.2093E", -33.8688, 151.2093],
+    ["N52.52 O13.40", 52.52, 13.4],
+    ["40.7128° N, 74.0060° W", 40.7128, -74.006],
+  ])("decimal coordinates %s", (input, lat, lon) => {
+    const result = parseLocationQuery(input);
+    expect(result.type).toBe("coordinates");
+    expect(result.lat).toBeCloseTo(lat, 6);
+    expect(result.lon).toBeCloseTo(lon, 6);
+  });
+
+  test.each([
+    [`52°31'12"N 13°24'18"E`, 52.52, 13.405],
+    [`52° 31' 12.0" N, 13° 24' 18.0" E`, 52.52, 13.405],
+    [`N 52°31.2' E 13°24.3'`, 52.52, 13.405],
+    [`33°51′54″S 151°12′34″E`, -33.865, 151.2094],
+    [`52°31'12'', -13°24'18''`, 52.52, -13.405],
+  ])("DMS %s", (input, lat, lon) => {
+    const result = parseLocationQuery(input);
+    expect(result.type).toBe("dms");
+    expect(result.lat).toBeCloseTo(lat, 3);
+    expect(result.lon).toBeCloseTo(lon, 3);
+  });
+
+  test("uses a canonical query for history and cache", () => {
+    expect(parseLocationQuery(`52°31'12"N 13°24'18"E`).query).toBe(
+      "52.52000, 13.40500"
+    );
+    expect(parseLocationQuery("  52.52,13.4 ").query).toBe(
+      "52.52000, 13.40000"
+    );
+  });
+
+  test("bare integer pairs are not coordinates", () => {
+    expect(parseLocationQuery("52 13").type).toBe("name");
+    expect(parseLocationQuery("4 5").type).toBe("name");
+    // Ohne Leerzeichen nach dem Komma eine Zahl mit Dezimalkomma
+    expect(parseLocationQuery("1,5").type).toBe("name");
+    expect(parseLocationQuery("10,20").type).toBe("name");
+    expect(parseLocationQuery("52,52").type).toBe("name");
+    // Mit Trennzeichen, Grad oder Himmelsrichtung eindeutig
+    expect(parseLocationQuery("52, 13")).toMatchObject({ lat: 52, lon: 13 });
+    expect(parseLocationQuery("52° 13°").type).toBe("coordinates");
+    expect(parseLocationQuery("52N 13E").type).toBe("coordinates");
+  });
+
+  test("rejects coordinates out of range", () => {
+    const result = parseLocationQuery("95.1, 13.4");
+    expect(result.type).toBe("coordinates");
+    expect(result.error).toMatch(/Bereich/);
+    expect(parseLocationQuery(`52°75'N 13°24'E`).type).toBe("name");
+  });
+
+  test("detects German postal codes", () => {
+    expect(parseLocationQuery("10115")).toEqual({
+      type: "postal",
+      query: "10115",
+      postalCode: "10115",
+    });
+    expect(parseLocationQuery("D-01067").postalCode).toBe("01067");
+    expect(parseLocationQuery("00123").type).toBe("name");
+    expect(parseLocationQuery("1010 Wien").type).toBe("name");
+  });
+
+  test("decodes full plus codes", () => {
+    const zurich = parseLocationQuery("8fvc9g8f+6x");
+    expect(zurich.type).toBe("pluscode");
+    expect(zurich.query).toBe("8FVC9G8F+6X");
+    expect(zurich.lat).toBeCloseTo(47.36556, 4);
+    expect(zurich.lon).toBeCloseTo(8.52494, 4);
+
+    // Aufgefüllter Code: Mittelpunkt der 1°-Fläche
+    expect(decodePlusCode("9F4M0000+")).toEqual({ lat: 52.5, lon: 13.5 });
+  });
+
+  test("recovers short plus codes near the reference", () => {
+    const short = parseLocationQuery("9G8F+6X", {
+      reference: { lat: 47.4, lng: 8.6 },
+    });
+    expect(short.short).toBe(true);
+    expect(short.lat).toBeCloseTo(47.36556, 4);
+    expect(short.lon).toBeCloseTo(8.52494, 4);
+
+    const unresolved = parseLocationQuery("9G8F+6X");
+    expect(unresolved.type).toBe("pluscode");
+    expect(unresolved.lat).toBeNull();
+  });
+
+  test("flags malformed plus codes and leaves names alone", () => {
+    expect(parseLocationQuery("ABC+").error).toBe("Ungültiger Plus Code");
+    expect(parseLocationQuery("Berlin").type).toBe("name");
+    expect(parseLocationQuery("Saint-Étienne").type).toBe("name");
+    expect(parseLocationQuery("St. Gallen, Schweiz").type).toBe("name");
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * tests/marine.test.js
+ * Open-Meteo Marine: Abruf, Binnenland-Erkennung, Seegang und Aufbereitung
+ */
+
+const constants = require("../src/utils/constants.js");
+const validation = require("../src/utils/validation.js");
+const cacheStore = require("../src/utils/cacheStore.js");
+
+global.API_ENDPOINTS = constants.API_ENDPOINTS;
+global.CACHE_CONFIG = constants.CACHE_CONFIG;
+global.ERROR_CODES = constants.ERROR_CODES;
+global.VALIDATION = constants.VALIDATION;
+Object.assign(global, validation);
+global.createCacheStore = cacheStore.createCacheStore;
+
+const { WeatherCache } = require("../src/utils/cache.js");
+const { MarineAPI } = require("../src/api/marine.js");
+
+const times = Array.from(
+  { length: 36 },
+  (_, h) =>
+    `2024-07-${h < 24 ? "10" : "11"}T${String(h % 24).padStart(2, "0")}:00`
+);
+const column = (fn) => times.map((_, h) => fn(h));
+
+const payload = {
+  current: {
+    time: "2024-07-10T08:30",
+    wave_height: 1.1,
+    wave_direction: 250,
+    wave_period: 4.5,
+    wind_wave_height: 0.9,
+    swell_wave_height: 0.4,
+    swell_wave_direction: 300,
+    swell_wave_period: 6,
+    sea_surface_temperature: 18.2,
+  },
+  hourly: {
+    time: times,
+    wave_height: column((h) => (h === 20 ? 2.8 : 1)),
+    wave_direction: column(() => 250),
+    wave_period: column(() => 4),
+    wind_wave_height: column(() => 0.8),
+    swell_wave_height: column(() => 0.4),
+    swell_wave_direction: column(() => 300),
+    swell_wave_period: column(() => 6),
+    sea_surface_temperature: column(() => 18),
+  },
+};
+
+const inlandPayload = {
+  current: { time: "2024-07-10T08:30", wave_height: null },
+  hourly: {
+    time: times,
+    wave_height: column(() => null),
+    sea_surface_temperature: column(() => null),
+  },
+};
+
+describe("MarineAPI", () => {
+  let api;
+  beforeEach(() => {
+    global.weatherCache = new WeatherCache({
+      store: new cacheStore.MemoryCacheStore(),
+    });
+    global.safeApiFetch = jest.fn(async () => ({ json: async () => payload }));
+    api = new MarineAPI();
+  });
+
+  test("fetchMarine requests waves, swell and sea temperature and caches the result", async () => {
+    const first = await api.fetchMarine(54.18, 12.08);
+    const second = await api.fetchMarine(54.18, 12.08);
+
+    expect(first.data).toBe(payload);
+    expect(first.inland).toBe(false);
+    expect(first.state).toBeUndefined();
+    expect(second.fromCache).toBe(true);
+    expect(safeApiFetch).toHaveBeenCalledTimes(1);
+    const url = new URL(safeApiFetch.mock.calls[0][0]);
+    expect(url.origin + url.pathname).toBe(
+      "https://marine-api.open-meteo.com/v1/marine"
+    );
+    expect(url.searchParams.get("hourly")).toContain("swell_wave_height");
+    expect(url.searchParams.get("current")).toContain(
+      "sea_surface_temperature"
+    );
+  });
+
+  test("inland locations are skipped instead of failing", async () => {
+    safeApiFetch.mockResolvedValueOnce({ json: async () => inlandPayload });
+    const empty = await api.fetchMarine(48.14, 11.58);
+
+    expect(empty.error).toBeUndefined();
+    expect(empty.inland).toBe(true);
+    expect(empty.state).toBe("skipped");
+    expect(empty.statusMessage).toBe("Kein Meer in der Nähe");
+    expect(api.format(empty.data)).toBeNull();
+
+    // Orte außerhalb des Meeresgitters beantwortet Open-Meteo mit HTTP 400
+    safeApiFetch.mockRejectedValueOnce(
+      new Error(
+        'API: HTTP Fehler 400 - {"error":true,"reason":"No data is available for this location"}'
+      )
+    );
+    const rejected = await api.fetchMarine(50.94, 6.96);
+
+    expect(rejected.error).toBeUndefined();
+    expect(rejected.inland).toBe(true);
+    expect(rejected.state).toBe("skipped");
+    expect(safeApiFetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("sea state follows the Douglas scale and directions use the compass", () => {
+    expect(api.seaStateFor(0.3).label).toBe("Schwach bewegte See");
+    expect(api.seaStateFor(2.5).code).toBe(4);
+    expect(api.seaStateFor(3).label).toBe("Grobe See");
+    expect(api.seaStateFor(20).code).toBe(9);
+    expect(api.seaStateFor(null)).toBeNull();
+    expect(api.compass(0)).toBe("N");
+    expect(api.compass(250)).toBe("W");
+    expect(api.compass(350)).toBe("N");
+    expect(api.compass(undefined)).toBeNull();
+  });
+
+  test("format starts at the current hour and reports the 24 hour peak", () => {
+    const summary = api.format(payload);
+
+    expect(summary.waveHeight).toBe(1.1);
+    expect(summary.waveCompass).toBe("W");
+    expect(summary.swellCompass).toBe("NW");
+    expect(summary.seaTemperature).toBe(18.2);
+    expect(summary.seaState.label).toBe("Leicht bewegte See");
+    expect(summary.hourly).toHaveLength(24);
+    expect(summary.hourly[0].time).toBe("2024-07-10T08:00");
+    expect(summary.peak).toMatchObject({
+      waveHeight: 2.8,
+      time: "2024-07-10T20:00",
+    });
+    expect(summary.peak.seaState.label).toBe("Grobe See");
+  });
+});
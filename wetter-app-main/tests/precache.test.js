@@ -0,0 +1,228 @@
+/**
+ * tests/precache.test.js
+ * Versionierter App-Shell-Precache, Manifest-Generator und Update-Hinweis
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  PRECACHE_CACHE_NAME,
+  precacheKey,
+  findPrecacheEntry,
+  installPrecache,
+  cleanupPrecache,
+  matchPrecache,
+  outdatedCacheNames,
+} = require("../src/utils/precache.js");
+const {
+  PRECACHE_VERSION,
+  PRECACHE_ENTRIES,
+} = require("../src/precache-manifest.js");
+const {
+  buildPrecacheManifest,
+  renderPrecacheManifest,
+} = require("../tools/build-precache.js");
+const UpdateBannerComponent = require("../src/ui/updateBanner.js");
+
+const origin = "https://calchas.test";
+
+// Cache-API im Arbeitsspeicher; Antworten sind einfache Objekte
+class MockCache {
+  constructor() {
+    this.entries = new Map();
+  }
+  async match(key) {
+    return this.entries.get(key.url || key);
+  }
+  async put(key, response) {
+    this.entries.set(key.url || key, response);
+  }
+  async delete(key) {
+    return this.entries.delete(key.url || key);
+  }
+  async keys() {
+    return Array.from(this.entries.keys(), (url) => ({ url }));
+  }
+}
+
+class MockCacheStorage {
+  constructor() {
+    this.stores = new Map();
+  }
+  async open(name) {
+    if (!this.stores.has(name)) this.stores.set(name, new MockCache());
+    return this.stores.get(name);
+  }
+}
+
+describe("app shell precache", () => {
+  let deps;
+  beforeEach(() => {
+    deps = {
+      caches: new MockCacheStorage(),
+      fetch: jest.fn(async (url) => ({ ok: true, status: 200, body: url })),
+      origin,
+    };
+  });
+
+  test("requests map to manifest entries, navigations to index.html", () => {
+    const entries = [
+      { url: "/src/index.html", revision: "a1" },
+      { url: "/src/app.js", revision: "b2" },
+    ];
+    const urlOf = (url) => findPrecacheEntry(url, entries, origin)?.url || null;
+
+    expect(urlOf(`${origin}/`)).toBe("/src/index.html");
+    expect(urlOf(`${origin}/src/`)).toBe("/src/index.html");
+    expect(urlOf(`${origin}/src/app.js?v=3`)).toBe("/src/app.js");
+    expect(urlOf(`${origin}/src/unknown.js`)).toBeNull();
+    expect(urlOf("https://cdn.example.com/src/app.js")).toBeNull();
+    expect(precacheKey(entries[1], origin)).toBe(
+      `${origin}/src/app.js?__rev=b2`
+    );
+  });
+
+  test("an update only fetches changed files and cleans up the rest", async () => {
+    const v1 = [
+      { url: "/src/index.html", revision: "a1" },
+      { url: "/src/app.js", revision: "b1" },
+      { url: "/src/old.js", revision: "c1" },
+    ];
+    const v2 = [
+      { url: "/src/index.html", revision: "a1" },
+      { url: "/src/app.js", revision: "b2" },
+    ];
+    await expect(installPrecache(v1, deps)).resolves.toEqual({
+      fetched: 3,
+      reused: 0,
+    });
+    expect(deps.fetch).toHaveBeenCalledWith(`${origin}/src/app.js`, {
+      cache: "reload",
+    });
+
+    await expect(installPrecache(v2, deps)).resolves.toEqual({
+      fetched: 1,
+      reused: 1,
+    });
+    // Der aktive Worker (v1) liefert bis zum Wechsel weiter seine Dateien
+    expect((await matchPrecache(v1[1], deps)).body).toBe(
+      `${origin}/src/app.js`
+    );
+
+    await expect(cleanupPrecache(v2, deps)).resolves.toBe(2);
+    const cache = await deps.caches.open(PRECACHE_CACHE_NAME);
+    expect(Array.from(cache.entries.keys()).sort()).toEqual([
+      `${origin}/src/app.js?__rev=b2`,
+      `${origin}/src/index.html?__rev=a1`,
+    ]);
+  });
+
+  test("a failed download aborts the installation", async () => {
+    deps.fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+    await expect(
+      installPrecache([{ url: "/src/missing.js", revision: "x" }], deps)
+    ).rejects.toThrow("/src/missing.js antwortet mit 404");
+  });
+
+  test("only unused calchas caches are outdated", () => {
+    expect(
+      outdatedCacheNames(
+        [
+          "calchas-v1",
+          "calchas-precache",
+          "calchas-api-forecast",
+          "calchas-api-pollen",
+          "other-app",
+        ],
+        ["calchas-precache", "calchas-api-forecast"]
+      )
+    ).toEqual(["calchas-v1", "calchas-api-pollen"]);
+  });
+
+  test("the generator hashes files and the committed manifest is current", () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "precache-"));
+    fs.mkdirSync(path.join(root, "src", "api"), { recursive: true });
+    fs.writeFileSync(path.join(root, "src", "app.js"), "console.log(1);");
+    fs.writeFileSync(path.join(root, "src", "api", "b.js"), "b");
+    fs.writeFileSync(path.join(root, "src", "api", "a.js"), "a");
+    fs.writeFileSync(path.join(root, "src", "api", "notes.md"), "-");
+    const sources = ["src/app.js", "src/api/*.js", "legal/*.html"];
+
+    const first = buildPrecacheManifest({
+      rootDir: root,
+      sources,
+      packageVersion: "1.0.0",
+    });
+    expect(first.entries.map((entry) => entry.url)).toEqual([
+      "/src/app.js",
+      "/src/api/a.js",
+      "/src/api/b.js",
+    ]);
+    expect(first.version).toMatch(/^1\.0\.0-[0-9a-f]{8}$/);
+
+    fs.writeFileSync(path.join(root, "src", "api", "b.js"), "b2");
+    const second = buildPrecacheManifest({
+      rootDir: root,
+      sources,
+      packageVersion: "1.0.0",
+    });
+    expect(second.entries[1]).toEqual(first.entries[1]);
+    expect(second.entries[2].revision).not.toBe(first.entries[2].revision);
+    expect(second.version).not.toBe(first.version);
+    fs.rmSync(root, { recursive: true, force: true });
+
+    // Schlägt fehl, solange "npm run precache" nach Änderungen fehlt
+    const current = buildPrecacheManifest();
+    expect({ version: PRECACHE_VERSION, entries: PRECACHE_ENTRIES }).toEqual(
+      current
+    );
+    expect(
+      fs.readFileSync(
+        path.join(__dirname, "..", "src", "precache-manifest.js"),
+        "utf8"
+      )
+    ).toBe(renderPrecacheManifest(current));
+  });
+
+  test("the banner activates the waiting worker and reloads once", () => {
+    const listeners = (target) => {
+      target.handlers = {};
+      target.addEventListener = (type, handler) => {
+        target.handlers[type] = handler;
+      };
+      return target;
+    };
+    const serviceWorker = listeners({ controller: null });
+    const installing = listeners({
+      state: "installing",
+      postMessage: jest.fn(),
+    });
+    const registration = listeners({ waiting: null, installing });
+    const reload = jest.fn();
+    const banner = new UpdateBannerComponent({ reload });
+
+    // Erstinstallation: kein Controller, kein Hinweis
+    banner.watch(registration, serviceWorker);
+    registration.handlers.updatefound();
+    installing.state = "installed";
+    installing.handlers.statechange();
+    expect(document.querySelector(".update-banner")).toBeNull();
+    serviceWorker.handlers.controllerchange();
+    expect(reload).not.toHaveBeenCalled();
+
+    // Update neben einer aktiven Version
+    serviceWorker.controller = {};
+    installing.handlers.statechange();
+    const element = document.querySelector(".update-banner");
+    expect(element.hidden).toBe(false);
+    expect(element.textContent).toContain("Neue Version verfügbar");
+
+    element.querySelector('[data-update-action="reload"]').click();
+    expect(installing.postMessage).toHaveBeenCalledWith({
+      type: "SKIP_WAITING",
+    });
+    serviceWorker.handlers.controllerchange();
+    expect(reload).toHaveBeenCalledTimes(1);
+  });
+});
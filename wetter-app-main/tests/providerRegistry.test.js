@@ -0,0 +1,99 @@
+const ProviderRegistry = require("../src/utils/providerRegistry.js");
+
+describe("ProviderRegistry", () => {
+  const createRegistry = () => {
+    const registry = new ProviderRegistry();
+    registry.register({
+      id: "moonphase",
+      name: "Moon Phase",
+      order: 80,
+      hosts: ["api.phaseofthemoontoday.com"],
+      capabilities: ["astronomy"],
+      fetch: async () => ({ data: { phase: "full" } }),
+    });
+    registry.register({
+      id: "open-meteo",
+      name: "Open-Meteo",
+      order: 10,
+      primary: true,
+      hosts: ["api.open-meteo.com"],
+      capabilities: ["current", "hourly", "daily"],
+      resultKey: "openMeteo",
+      fetch: async () => ({ data: {} }),
+    });
+    registry.register({
+      id: "openweathermap",
+      name: "OpenWeatherMap",
+      order: 30,
+      requiresKey: true,
+      keyInputId: "openweathermap-key",
+      hosts: ["api.openweathermap.org", "api.open-meteo.com"],
+      capabilities: ["hourly"],
+      fetch: async () => ({ data: {} }),
+    });
+    registry.register({
+      id: "geocoding",
+      name: "Geocoding",
+      order: 5,
+      statusPanel: false,
+      hosts: ["nominatim.openstreetmap.org", null],
+    });
+    return registry;
+  };
+
+  test("lists providers by order and filters", () => {
+    const registry = createRegistry();
+    expect(registry.list().map((p) => p.id)).toEqual([
+      "geocoding",
+      "open-meteo",
+      "openweathermap",
+      "moonphase",
+    ]);
+    expect(registry.list({ fetchable: true }).map((p) => p.id)).toEqual([
+      "open-meteo",
+      "openweathermap",
+      "moonphase",
+    ]);
+    expect(
+      registry.list({ capability: "hourly" }).map((p) => p.id)
+    ).toEqual(["open-meteo", "openweathermap"]);
+    expect(registry.list({ statusPanel: true })).toHaveLength(3);
+  });
+
+  test("derives key providers and unique hosts", () => {
+    const registry = createRegistry();
+    expect(registry.get("openweathermap").keyId).toBe("openweathermap");
+    expect(registry.keyIds()).toEqual(["openweathermap"]);
+    expect(registry.hosts()).toEqual([
+      "nominatim.openstreetmap.org",
+      "api.open-meteo.com",
+      "api.openweathermap.org",
+      "api.phaseofthemoontoday.com",
+    ]);
+  });
+
+  test("applies defaults and notifies listeners", () => {
+    const registry = new ProviderRegistry();
+    const listener = jest.fn();
+    registry.onChange(listener);
+
+    const provider = registry.register({ id: "custom" });
+    expect(provider.name).toBe("custom");
+    expect(provider.normalize({ data: { ok: true } })).toEqual({ ok: true });
+    expect(provider.normalize({ error: "x" })).toBeNull();
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    expect(registry.unregister("custom")).toBe(true);
+    expect(registry.has("custom")).toBe(false);
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    expect(() => registry.register({ name: "ohne id" })).toThrow();
+  });
+
+  test("hostOf extracts hostnames from base URLs", () => {
+    expect(ProviderRegistry.hostOf("https://api.brightsky.dev/weather")).toBe(
+      "api.brightsky.dev"
+    );
+    expect(ProviderRegistry.hostOf("kein url")).toBeNull();
+  });
+});
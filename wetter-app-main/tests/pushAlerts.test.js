@@ -0,0 +1,302 @@
+/**
+ * @jest-environment node
+ */
+const {
+  evaluateForecast,
+  evaluateRuleAlerts,
+  normalizeSubscriptionRecord,
+  mergeAcknowledged,
+  createAlertScheduler,
+} = require("../tools/push-alerts.js");
+
+const calmHour = {
+  time: "2025-01-10T12:00",
+  temperature: 8,
+  windSpeed: 12,
+  windGust: 20,
+  precipitation: 0,
+  weatherCode: 1,
+};
+
+const stormyHour = {
+  ...calmHour,
+  time: "2025-01-10T15:00",
+  windSpeed: 80,
+  windGust: 92,
+  precipitation: 7.5,
+  precipitation_probability: 90,
+};
+
+describe("push alerts", () => {
+  test("evaluateForecast respects thresholds and preferences", () => {
+    expect(evaluateForecast([calmHour])).toEqual([]);
+
+    const alerts = evaluateForecast([calmHour, stormyHour]);
+    expect(alerts.map((a) => a.type)).toEqual([
+      "default-wind-red",
+      "default-rain",
+    ]);
+    expect(alerts[0].time).toBe("2025-01-10T15:00");
+
+    const onlyRain = evaluateForecast([stormyHour], {
+      storm: false,
+      heavyRain: true,
+      frost: true,
+    });
+    expect(onlyRain.map((a) => a.type)).toEqual(["default-rain"]);
+  });
+
+  test("evaluateForecast uses the client's standard rules", () => {
+    const types = (hour) =>
+      evaluateForecast([{ ...calmHour, ...hour }]).map((a) => a.type);
+
+    // Frost erst ab gefühlten -12 °C, nicht bei 0 °C Lufttemperatur
+    expect(types({ temperature: 0, apparent_temperature: -4 })).toEqual([]);
+    expect(types({ temperature: -8, apparent_temperature: -13 })).toEqual([
+      "default-frost",
+    ]);
+    expect(types({ windSpeed: 60 })).toEqual(["default-wind-orange"]);
+    expect(types({ temperature: 33 })).toEqual(["default-heat"]);
+    // Böen allein lösen wie im Client keine Sturmwarnung aus
+    expect(types({ windGust: 92 })).toEqual([]);
+  });
+
+  test("normalizeSubscriptionRecord accepts legacy and new payloads", () => {
+    const legacy = normalizeSubscriptionRecord({ endpoint: "https://push/a" });
+    expect(legacy.subscription.endpoint).toBe("https://push/a");
+    expect(legacy.locations).toEqual([]);
+
+    const record = normalizeSubscriptionRecord({
+      subscription: { endpoint: "https://push/b" },
+      locations: [
+        { name: "Berlin", lat: 52.52, lng: 13.405 },
+        { name: "Kaputt", lat: "x", lon: 1 },
+      ],
+      preferences: { frost: false },
+    });
+    expect(record.locations).toEqual([
+      { name: "Berlin", lat: 52.52, lon: 13.405 },
+    ]);
+    expect(record.preferences).toEqual({
+      storm: true,
+      heavyRain: true,
+      frost: false,
+    });
+
+    expect(normalizeSubscriptionRecord({ locations: [] })).toBeNull();
+  });
+
+  test("scheduler only notifies subscribers of affected locations", async () => {
+    const subscriptions = [
+      {
+        subscription: { endpoint: "https://push/berlin" },
+        locations: [{ name: "Berlin", lat: 52.52, lon: 13.405 }],
+      },
+      {
+        subscription: { endpoint: "https://push/munich" },
+        locations: [{ name: "München", lat: 48.137, lon: 11.575 }],
+      },
+    ];
+    const forecastSource = {
+      getHourlyForecast: jest.fn(async ({ lat }) =>
+        lat > 50 ? [calmHour, stormyHour] : [calmHour]
+      ),
+    };
+    const sendNotification = jest.fn(async () => {});
+
+    const scheduler = createAlertScheduler({
+      loadSubscriptions: () => subscriptions,
+      forecastSource,
+      sendNotification,
+      logger: { warn: () => {} },
+    });
+
+    const report = await scheduler.runOnce();
+    expect(forecastSource.getHourlyForecast).toHaveBeenCalledTimes(2);
+    expect(sendNotification).toHaveBeenCalledTimes(1);
+
+    const [subscription, payload] = sendNotification.mock.calls[0];
+    expect(subscription.endpoint).toBe("https://push/berlin");
+    const parsed = JSON.parse(payload);
+    expect(parsed.title).toContain("Berlin");
+    expect(parsed.data.alerts.map((a) => a.type)).toEqual([
+      "default-wind-red",
+      "default-rain",
+    ]);
+    expect(report.notifications).toHaveLength(1);
+
+    // Cooldown: zweiter Lauf verschickt dieselbe Warnung nicht erneut
+    await scheduler.runOnce();
+    expect(sendNotification).toHaveBeenCalledTimes(1);
+  });
+
+  test("expired cooldowns are pruned from the send log", async () => {
+    let time = Date.parse("2025-01-10T12:00:00Z");
+    const hours = { Berlin: [stormyHour], Hamburg: [stormyHour] };
+    const sendNotification = jest.fn(async () => {});
+    const scheduler = createAlertScheduler({
+      loadSubscriptions: () => [
+        {
+          subscription: { endpoint: "https://push/berlin" },
+          locations: [{ name: "Berlin", lat: 52.52, lon: 13.405 }],
+        },
+        {
+          subscription: { endpoint: "https://push/hamburg" },
+          locations: [{ name: "Hamburg", lat: 53.55, lon: 9.99 }],
+        },
+      ],
+      forecastSource: {
+        getHourlyForecast: async ({ lat }) =>
+          lat > 53 ? hours.Hamburg : hours.Berlin,
+      },
+      sendNotification,
+      cooldownMs: 60 * 60 * 1000,
+      now: () => time,
+      logger: { warn: () => {} },
+    });
+
+    await scheduler.runOnce();
+    expect(scheduler.cooldownCount()).toBe(4);
+
+    // Nach Ablauf bleibt nur, was in diesem Lauf erneut gesendet wurde
+    time += 2 * 60 * 60 * 1000;
+    hours.Hamburg = [calmHour];
+    await scheduler.runOnce();
+    expect(sendNotification).toHaveBeenCalledTimes(3);
+    expect(scheduler.cooldownCount()).toBe(2);
+  });
+
+  test("subscriptions with alert rules use the rule engine", async () => {
+    const gustRule = {
+      id: "cyclist",
+      title: "Gegenwind",
+      hazard: "wind",
+      conditions: [{ variable: "windgusts_10m", comparator: ">=", value: 30 }],
+    };
+    const frostRule = {
+      id: "garden",
+      title: "Bodenfrost",
+      hazard: "frost",
+      conditions: [
+        { variable: "soil_temperature_0cm", comparator: "<=", value: 2 },
+      ],
+    };
+    const record = normalizeSubscriptionRecord({
+      subscription: { endpoint: "https://push/rules" },
+      locations: [
+        { name: "Garten", lat: 52.4, lon: 13.06, rules: [frostRule] },
+      ],
+      rules: [gustRule, { conditions: [] }],
+    });
+    expect(record.rules.map((rule) => rule.id)).toEqual(["cyclist"]);
+    expect(record.locations[0].rules.map((rule) => rule.id)).toEqual([
+      "garden",
+    ]);
+
+    const hours = [
+      { ...calmHour, windGust: 35, soil_temperature_0cm: 1 },
+      { ...calmHour, time: "2025-01-10T13:00", windGust: 40 },
+    ];
+    const rules = record.rules.concat(record.locations[0].rules);
+    expect(evaluateRuleAlerts(hours, rules)).toEqual([
+      {
+        type: "cyclist",
+        severity: "yellow",
+        title: "Gegenwind",
+        description: "Böen bis zu 40 km/h (2 Std.)",
+        time: "2025-01-10T12:00",
+      },
+      {
+        type: "garden",
+        severity: "yellow",
+        title: "Bodenfrost",
+        description: "Bodentemperatur bis 1 °C",
+        time: "2025-01-10T12:00",
+      },
+    ]);
+    // Push-Präferenz "storm" schaltet Wind-Regeln ab, notify:false die Regel
+    expect(
+      evaluateRuleAlerts(hours, [gustRule, { ...frostRule, notify: false }], {
+        storm: false,
+        heavyRain: true,
+        frost: true,
+      })
+    ).toEqual([]);
+
+    const sendNotification = jest.fn(async () => {});
+    const scheduler = createAlertScheduler({
+      loadSubscriptions: () => [record],
+      forecastSource: { getHourlyForecast: async () => hours },
+      sendNotification,
+      logger: { warn: () => {} },
+    });
+    await scheduler.runOnce();
+    const payload = JSON.parse(sendNotification.mock.calls[0][1]);
+    expect(payload.title).toBe("Gegenwind · Garten");
+    expect(payload.data.alerts.map((a) => a.type)).toEqual([
+      "cyclist",
+      "garden",
+    ]);
+  });
+
+  test("acknowledged alerts are not pushed again", async () => {
+    const record = {
+      subscription: { endpoint: "https://push/ack" },
+      locations: [{ name: "Berlin", lat: 52.52, lon: 13.405 }],
+      acknowledged: ["52.52,13.40|default-wind-red|2025-01-10T15:00", 42],
+    };
+    expect(normalizeSubscriptionRecord(record).acknowledged).toEqual([
+      "52.52,13.40|default-wind-red|2025-01-10T15:00",
+    ]);
+    expect(mergeAcknowledged(["a", "b"], ["b", "c"])).toEqual(["a", "b", "c"]);
+
+    const sendNotification = jest.fn(async () => {});
+    const scheduler = createAlertScheduler({
+      loadSubscriptions: () => [record],
+      forecastSource: { getHourlyForecast: async () => [stormyHour] },
+      sendNotification,
+      logger: { warn: () => {} },
+    });
+    await scheduler.runOnce();
+
+    const payload = JSON.parse(sendNotification.mock.calls[0][1]);
+    expect(payload.data.location).toEqual({
+      name: "Berlin",
+      lat: 52.52,
+      lon: 13.405,
+    });
+    expect(payload.data.alerts).toEqual([
+      {
+        type: "default-rain",
+        severity: "orange",
+        title: "Starkregen",
+        time: "2025-01-10T15:00",
+        key: "52.52,13.40|default-rain|2025-01-10T15:00",
+      },
+    ]);
+  });
+
+  test("scheduler reports expired subscriptions", async () => {
+    const onExpired = jest.fn();
+    const scheduler = createAlertScheduler({
+      loadSubscriptions: () => [
+        {
+          subscription: { endpoint: "https://push/gone" },
+          locations: [{ name: "Hamburg", lat: 53.55, lon: 9.99 }],
+        },
+      ],
+      forecastSource: { getHourlyForecast: async () => [stormyHour] },
+      sendNotification: async () => {
+        const err = new Error("Gone");
+        err.statusCode = 410;
+        throw err;
+      },
+      onExpired,
+      logger: { warn: () => {} },
+    });
+
+    const report = await scheduler.runOnce();
+    expect(report.notifications[0].status).toBe("error");
+    expect(onExpired).toHaveBeenCalledWith(["https://push/gone"]);
+  });
+});
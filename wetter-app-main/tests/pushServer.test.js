@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * tests/pushServer.test.js
+ * CORS der Routen, die die App von ihrer eigenen Herkunft (:8000) aufruft
+ */
+
+process.env.ANALYTICS_COLLECTOR = "1";
+const { app } = require("../tools/push-server.js");
+
+const appOrigin = "http://localhost:8000";
+
+describe("push server CORS", () => {
+  let server;
+  let baseUrl;
+  beforeAll(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  const preflight = (route) =>
+    fetch(`${baseUrl}${route}`, {
+      method: "OPTIONS",
+      headers: {
+        Origin: appOrigin,
+        "Access-Control-Request-Method": "POST",
+        "Access-Control-Request-Headers": "content-type",
+      },
+    });
+
+  test.each(["/subscribe", "/acknowledge", "/analytics/events"])(
+    "answers the JSON preflight for %s",
+    async (route) => {
+      const response = await preflight(route);
+      expect(response.status).toBe(204);
+      expect(response.headers.get("access-control-allow-origin")).toBe("*");
+      expect(response.headers.get("access-control-allow-headers")).toMatch(
+        /Content-Type/i
+      );
+    }
+  );
+
+  test("the app can read the key and its subscribe answer", async () => {
+    const keys = await fetch(`${baseUrl}/keys`, {
+      headers: { Origin: appOrigin },
+    });
+    expect(keys.headers.get("access-control-allow-origin")).toBe("*");
+
+    const response = await fetch(`${baseUrl}/subscribe`, {
+      method: "POST",
+      headers: { Origin: appOrigin, "Content-Type": "application/json" },
+      body: JSON.stringify({ locations: [] }),
+    });
+    expect(response.status).toBe(400);
+    expect(response.headers.get("access-control-allow-origin")).toBe("*");
+  });
+
+  test("acknowledgements from the service worker are readable", async () => {
+    const response = await fetch(`${baseUrl}/acknowledge`, {
+      method: "POST",
+      headers: { Origin: appOrigin, "Content-Type": "application/json" },
+      body: JSON.stringify({}),
+    });
+    expect(response.status).toBe(400);
+    expect(response.headers.get("access-control-allow-origin")).toBe("*");
+  });
+});
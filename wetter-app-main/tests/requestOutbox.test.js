@@ -0,0 +1,367 @@
+/**
+ * tests/requestOutbox.test.js
+ * Ausgang für fehlgeschlagene Anfragen: Backoff, Verwerfen und Einstellungen
+ */
+
+const outboxModule = require("../src/utils/requestOutbox.js");
+Object.assign(global, outboxModule);
+const {
+  OUTBOX_MAX_ATTEMPTS,
+  OUTBOX_KINDS,
+  outboxBackoffMs,
+  isPermanentOutboxFailure,
+  MemoryRequestOutbox,
+  createRequestOutbox,
+  discardOutboxRequests,
+  enqueueOutboxRequest,
+  replayOutbox,
+  outboxSyncOutcome,
+} = outboxModule;
+const RequestOutboxPanelComponent = require("../src/ui/requestOutboxPanel.js");
+const { Analytics } = require("../src/utils/analytics.js");
+
+const subscribe = (endpoint, name) => ({
+  kind: OUTBOX_KINDS.PUSH_SUBSCRIPTION,
+  url: "http://localhost:3030/subscribe",
+  payload: { subscription: { endpoint }, locations: [{ name }] },
+  replaceKey: `subscribe:${endpoint}`,
+});
+
+describe("request outbox", () => {
+  let clock;
+  const now = () => clock;
+  beforeEach(() => {
+    clock = 1_000_000;
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test("backoff doubles up to the limit, 4xx except 408/429 is final", () => {
+    expect(outboxBackoffMs(1)).toBe(30 * 1000);
+    expect(outboxBackoffMs(2)).toBe(60 * 1000);
+    expect(outboxBackoffMs(4)).toBe(4 * 60 * 1000);
+    expect(outboxBackoffMs(30)).toBe(6 * 60 * 60 * 1000);
+
+    expect(isPermanentOutboxFailure(400)).toBe(true);
+    expect(isPermanentOutboxFailure(429)).toBe(false);
+    expect(isPermanentOutboxFailure(503)).toBe(false);
+    expect(isPermanentOutboxFailure(undefined)).toBe(false);
+    // Ohne IndexedDB (jsdom) greift der Arbeitsspeicher
+    expect(createRequestOutbox()).toBeInstanceOf(MemoryRequestOutbox);
+  });
+
+  test("a newer upload for the same subscription replaces the older one", async () => {
+    const store = new MemoryRequestOutbox();
+    await enqueueOutboxRequest(store, subscribe("https://push/a", "Kiel"), {
+      now,
+    });
+    await enqueueOutboxRequest(store, subscribe("https://push/b", "Ulm"), {
+      now,
+    });
+    clock += 1;
+    const latest = await enqueueOutboxRequest(
+      store,
+      subscribe("https://push/a", "Rostock"),
+      { now }
+    );
+
+    const pending = await store.getPending();
+    expect(pending.map((entry) => entry.payload.locations[0].name)).toEqual([
+      "Ulm",
+      "Rostock",
+    ]);
+    expect(latest).toMatchObject({
+      kind: "push-subscription",
+      method: "POST",
+      attempts: 0,
+      createdAt: 1_000_001,
+      nextAttemptAt: 1_000_001,
+    });
+
+    expect(
+      await discardOutboxRequests(store, { kind: OUTBOX_KINDS.ANALYTICS })
+    ).toBe(0);
+    expect(
+      await discardOutboxRequests(store, {
+        replaceKey: "subscribe:https://push/b",
+      })
+    ).toBe(1);
+    expect(await store.getPending()).toHaveLength(1);
+  });
+
+  test("replay sends due entries and reschedules failures with backoff", async () => {
+    const store = new MemoryRequestOutbox();
+    const ack = await enqueueOutboxRequest(
+      store,
+      {
+        kind: OUTBOX_KINDS.SETTINGS,
+        url: "http://localhost:3030/acknowledge",
+        payload: { endpoint: "https://push/a", keys: ["k1"] },
+      },
+      { now }
+    );
+    clock += 1;
+    const sub = await enqueueOutboxRequest(store, subscribe("https://push/a"), {
+      now,
+    });
+    const fetch = jest.fn(async (url) =>
+      url.endsWith("/subscribe")
+        ? { ok: false, status: 503 }
+        : { ok: true, status: 200 }
+    );
+
+    const first = await replayOutbox(store, { fetch, now });
+    expect(first).toEqual({
+      sent: [ack.id],
+      retrying: [sub.id],
+      deadLettered: [],
+      waiting: 0,
+    });
+    expect(fetch.mock.calls[0][1]).toEqual({
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ endpoint: "https://push/a", keys: ["k1"] }),
+    });
+    const [retry] = await store.getPending();
+    expect(retry).toMatchObject({
+      attempts: 1,
+      lastError: "HTTP 503",
+      nextAttemptAt: clock + 30 * 1000,
+    });
+
+    // Vor Ablauf der Wartezeit passiert nichts, außer mit force
+    await expect(replayOutbox(store, { fetch, now })).resolves.toMatchObject({
+      waiting: 1,
+    });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    fetch.mockRejectedValue(new TypeError("Failed to fetch"));
+    await replayOutbox(store, { fetch, now, force: true });
+    expect((await store.getPending())[0]).toMatchObject({
+      attempts: 2,
+      lastError: "Failed to fetch",
+      nextAttemptAt: clock + 60 * 1000,
+    });
+  });
+
+  test("the sync stays alive while entries only wait for their backoff", async () => {
+    const store = new MemoryRequestOutbox();
+    await store.put({
+      ...(await enqueueOutboxRequest(store, subscribe("https://push/a"), {
+        now,
+      })),
+      attempts: 1,
+      nextAttemptAt: clock + 30 * 1000,
+    });
+    const fetch = jest.fn();
+
+    const result = await replayOutbox(store, { fetch, now });
+    expect(result).toEqual({
+      sent: [],
+      retrying: [],
+      deadLettered: [],
+      waiting: 1,
+    });
+    expect(fetch).not.toHaveBeenCalled();
+    // Fehlschlagen lassen, beim letzten Versuch (Chrome: ~3) neu anmelden
+    expect(outboxSyncOutcome(result)).toBe("retry");
+    expect(outboxSyncOutcome(result, true)).toBe("reregister");
+
+    clock += 30 * 1000;
+    fetch.mockResolvedValue({ ok: true, status: 200 });
+    const done = await replayOutbox(store, { fetch, now });
+    expect(done.sent).toHaveLength(1);
+    expect(outboxSyncOutcome(done, true)).toBe("done");
+  });
+
+  test("window and worker replay one after another, removed entries stay gone", async () => {
+    const store = new MemoryRequestOutbox();
+    const ack = await enqueueOutboxRequest(
+      store,
+      {
+        kind: OUTBOX_KINDS.SETTINGS,
+        url: "http://localhost:3030/acknowledge",
+        payload: { endpoint: "https://push/a", keys: ["k1"] },
+      },
+      { now }
+    );
+    clock += 1;
+    await enqueueOutboxRequest(
+      store,
+      {
+        kind: OUTBOX_KINDS.ANALYTICS,
+        url: "http://localhost:3030/analytics/events",
+        payload: { schemaVersion: 1, events: [] },
+      },
+      { now }
+    );
+    // Web Locks: Anfragen mit demselben Namen laufen nacheinander
+    let tail = Promise.resolve();
+    const locks = {
+      request: jest.fn((name, callback) => {
+        const run = tail.then(callback);
+        tail = run.catch(() => {});
+        return run;
+      }),
+    };
+    const fetch = jest.fn(async (url) => {
+      if (url.endsWith("/acknowledge")) return { ok: true, status: 200 };
+      // Einwilligung widerrufen, während das Bündel unterwegs ist
+      await discardOutboxRequests(store, { kind: OUTBOX_KINDS.ANALYTICS });
+      return { ok: false, status: 503 };
+    });
+
+    const [worker, window] = await Promise.all([
+      replayOutbox(store, { fetch, now, locks }),
+      replayOutbox(store, { fetch, now, locks }),
+    ]);
+    expect(locks.request).toHaveBeenCalledWith(
+      "calchas-outbox-replay",
+      expect.any(Function)
+    );
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(worker).toEqual({
+      sent: [ack.id],
+      retrying: [],
+      deadLettered: [],
+      waiting: 0,
+    });
+    expect(window.sent).toEqual([]);
+    expect(await store.getPending()).toEqual([]);
+    expect(await store.getDeadLetters()).toEqual([]);
+  });
+
+  test("entries are dead-lettered when rejected or out of attempts", async () => {
+    const store = new MemoryRequestOutbox();
+    const rejected = await enqueueOutboxRequest(
+      store,
+      subscribe("https://push/a"),
+      { now }
+    );
+    const analytics = await enqueueOutboxRequest(
+      store,
+      {
+        kind: OUTBOX_KINDS.ANALYTICS,
+        url: "http://localhost:3030/analytics/events",
+        payload: { schemaVersion: 1, events: [] },
+      },
+      { now }
+    );
+    await store.put({
+      ...(await store.getPending()).find((e) => e.id === analytics.id),
+      attempts: OUTBOX_MAX_ATTEMPTS - 1,
+    });
+    const fetch = jest.fn(async (url) =>
+      url.endsWith("/subscribe")
+        ? { ok: false, status: 410 }
+        : { ok: false, status: 500 }
+    );
+
+    const result = await replayOutbox(store, { fetch, now });
+
+    expect(result.deadLettered.sort()).toEqual(
+      [rejected.id, analytics.id].sort()
+    );
+    expect(await store.getPending()).toEqual([]);
+    const dead = await store.getDeadLetters();
+    expect(dead.find((e) => e.id === rejected.id)).toMatchObject({
+      attempts: 1,
+      lastError: "HTTP 410",
+      deadAt: clock,
+    });
+    expect(dead.find((e) => e.id === analytics.id).attempts).toBe(
+      OUTBOX_MAX_ATTEMPTS
+    );
+  });
+
+  test("failed analytics batches are handed to the outbox", async () => {
+    localStorage.clear();
+    const store = new MemoryRequestOutbox();
+    const fetch = jest.fn(async () => {
+      throw new TypeError("Failed to fetch");
+    });
+    const analytics = new Analytics({
+      fetch,
+      batchSize: 5,
+      requestOutbox: {
+        enqueue: (request) =>
+          enqueueOutboxRequest(store, {
+            ...request,
+            kind: OUTBOX_KINDS.ANALYTICS,
+          }),
+        discard: () =>
+          discardOutboxRequests(store, { kind: OUTBOX_KINDS.ANALYTICS }),
+      },
+    });
+    analytics.enable();
+    analytics.setCollectorUrl("http://localhost:3030/analytics/events");
+    analytics.logSearch("Ulm");
+
+    const result = await analytics.flush();
+    expect(result).toMatchObject({ sent: 0, pending: 0, queued: 1 });
+    expect(analytics.getOutbox()).toEqual([]);
+    expect(analytics._retryTimer).toBeNull();
+    const [entry] = await store.getPending();
+    expect(entry.payload.events[0].data).toEqual({ query: "Ulm" });
+    expect(entry.lastError).toBe("Failed to fetch");
+
+    // Widerrufene Einwilligung verwirft auch übergebene Bündel
+    analytics.disable();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(await store.getPending()).toEqual([]);
+  });
+
+  test("settings panel lists pending and dead-lettered requests", async () => {
+    document.body.innerHTML = '<div id="request-outbox-panel"></div>';
+    const store = new MemoryRequestOutbox();
+    const onReplay = jest.fn();
+    const panel = new RequestOutboxPanelComponent("request-outbox-panel", {
+      getStore: () => store,
+      onReplay,
+      now,
+    });
+    await panel.render();
+    expect(document.body.textContent).toContain(
+      "Keine ausstehenden Übertragungen."
+    );
+    expect(
+      document.querySelector('[data-outbox-action="replay"]').disabled
+    ).toBe(true);
+
+    const entry = await enqueueOutboxRequest(
+      store,
+      subscribe("https://push/a"),
+      {
+        now,
+      }
+    );
+    await store.put({ ...entry, attempts: 2, lastError: "HTTP 503" });
+    const rejected = { ...entry, id: "dead", kind: OUTBOX_KINDS.ANALYTICS };
+    await store.put(rejected);
+    await store.deadLetter({
+      ...rejected,
+      attempts: 1,
+      lastError: "HTTP 400",
+      deadAt: clock,
+    });
+    await panel.render();
+
+    const items = document.querySelectorAll(".outbox-item");
+    expect(Array.from(items, (item) => item.dataset.outboxId)).toEqual([
+      entry.id,
+      "dead",
+    ]);
+    expect(items[0].textContent).toContain("Push-Abo");
+    expect(items[0].textContent).toContain("2 Versuche");
+    expect(items[0].textContent).toContain("HTTP 503");
+    expect(items[1].textContent).toContain("Analytics");
+    expect(document.body.textContent).toContain("Verworfen (1)");
+
+    document.querySelector('[data-outbox-action="replay"]').click();
+    expect(onReplay).toHaveBeenCalledTimes(1);
+    document.querySelector('[data-outbox-action="clear-dead"]').click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(await store.getDeadLetters()).toEqual([]);
+  });
+});
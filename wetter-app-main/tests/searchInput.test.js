@@ -0,0 +1,238 @@
+/**
+ * tests/searchInput.test.js
+ * Autovervollständigung im Suchfeld (SearchInputComponent + GeocodingAPI)
+ */
+
+const constants = require("../src/utils/constants.js");
+
+global.API_ENDPOINTS = constants.API_ENDPOINTS;
+global.VALIDATION = constants.VALIDATION;
+global.UI_CONFIG = { ...constants.UI_CONFIG, SEARCH_DEBOUNCE_MS: 0 };
+const { isAbortError, sanitizeInput } = require("../src/utils/validation.js");
+global.isAbortError = isAbortError;
+global.sanitizeInput = sanitizeInput;
+global.parseLocationQuery =
+  require("../src/utils/locationQuery.js").parseLocationQuery;
+
+const SearchInputComponent = require("../src/ui/searchInput.js");
+const GeocodingAPI = require("../src/api/geocoding.js");
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+const berlin = {
+  name: "Berlin",
+  state: "Land Berlin",
+  country: "Deutschland",
+  countryCode: "DE",
+  population: 3426354,
+  lat: 52.52,
+  lon: 13.41,
+};
+
+const setup = (options = {}) => {
+  document.body.innerHTML = `
+    <input id="cityInput" />
+    <button id="searchBtn"></button>
+    <ul id="search-suggestions" hidden></ul>
+    <div id="recent-cities"></div>`;
+  return new SearchInputComponent(
+    "#cityInput",
+    "#searchBtn",
+    "#recent-cities",
+    options
+  );
+};
+
+const type = (component, value) => {
+  component.input.value = value;
+  component.input.dispatchEvent(new Event("input"));
+};
+
+const press = (component, key) =>
+  component.input.dispatchEvent(new KeyboardEvent("keydown", { key }));
+
+describe("SearchInputComponent autocomplete", () => {
+  beforeEach(() => localStorage.clear());
+
+  test("merges favorites, recent cities and gazetteer hits", async () => {
+    localStorage.setItem("wetter_recent_cities", JSON.stringify(["Bern"]));
+    const gazetteer = jest.fn(async () => [
+      berlin,
+      {
+        ...berlin,
+        name: "Bern",
+        state: "Bern",
+        country: "Schweiz",
+        population: 133115,
+        lat: 46.95,
+        lon: 7.45,
+      },
+    ]);
+    const component = setup({
+      gazetteer,
+      getFavorites: () => [
+        {
+          city: "Berlin, Land Berlin, Deutschland",
+          coords: { lat: 52.52, lon: 13.4 },
+        },
+      ],
+    });
+
+    type(component, "ber");
+    await flush();
+
+    expect(gazetteer).toHaveBeenCalledWith("ber", expect.any(Object));
+    expect(component.suggestions.map((s) => [s.kind, s.name])).toEqual([
+      ["favorite", "Berlin"],
+      ["recent", "Bern"],
+    ]);
+    // Verlaufseintrag übernimmt Koordinaten des Geocoding-Treffers
+    expect(component.suggestions[1].lat).toBe(46.95);
+
+    const items = document.querySelectorAll(".search-suggestion");
+    expect(items).toHaveLength(2);
+    expect(items[1].textContent).toContain("Schweiz · 133.115 Einw.");
+    expect(component.suggestionList.hidden).toBe(false);
+  });
+
+  test("aborts the previous request when typing continues", async () => {
+    const signals = [];
+    const gazetteer = jest.fn(
+      (query, { signal }) =>
+        new Promise((resolve) => {
+          signals.push(signal);
+          setTimeout(() => resolve([{ ...berlin, name: query }]), 20);
+        })
+    );
+    const component = setup({ gazetteer });
+
+    type(component, "be");
+    await flush();
+    type(component, "ber");
+    await new Promise((resolve) => setTimeout(resolve, 40));
+
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+    expect(component.suggestions.map((s) => s.name)).toEqual(["ber"]);
+  });
+
+  test("keyboard selection dispatches search with coordinates", async () => {
+    const component = setup({ gazetteer: async () => [berlin] });
+    const listener = jest.fn();
+    window.addEventListener("search", listener);
+
+    type(component, "berl");
+    await flush();
+    press(component, "ArrowDown");
+    expect(component.input.getAttribute("aria-activedescendant")).toBe(
+      "search-suggestion-0"
+    );
+    press(component, "Enter");
+
+    window.removeEventListener("search", listener);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].detail).toEqual({
+      city: "Berlin",
+      location: {
+        city: "Berlin, Land Berlin, Deutschland",
+        name: "Berlin",
+        state: "Land Berlin",
+        country: "Deutschland",
+        lat: 52.52,
+        lon: 13.41,
+      },
+    });
+    expect(component.input.value).toBe("Berlin");
+    expect(component.suggestionList.hidden).toBe(true);
+  });
+
+  test("Escape closes suggestions and matching ignores accents", async () => {
+    const component = setup({ gazetteer: async () => [berlin] });
+    type(component, "berlin");
+    await flush();
+    press(component, "Escape");
+    expect(component.suggestions).toEqual([]);
+    expect(component.suggestionList.hidden).toBe(true);
+
+    expect(SearchInputComponent.matchesQuery("München", "munc")).toBe(true);
+    expect(SearchInputComponent.matchesQuery("Frankfurt am Main", "main")).toBe(
+      true
+    );
+    expect(SearchInputComponent.matchesQuery("Hamburg", "burg")).toBe(false);
+  });
+});
+
+describe("SearchInputComponent direct input", () => {
+  test("accepts coordinates and plus codes without name validation", () => {
+    const gazetteer = jest.fn(async () => []);
+    const component = setup({ gazetteer });
+
+    component.input.value = `52°31'12"N 13°24'18"E`;
+    expect(component.getSearchInput()).toEqual({
+      valid: true,
+      value: "52.52000, 13.40500",
+      error: null,
+    });
+
+    component.input.value = "9f4mgc22+22";
+    expect(component.getSearchInput().value).toBe("9F4MGC22+22");
+
+    // Keine Ortsvorschläge für Koordinaten
+    type(component, "52.52, 13.40");
+    expect(component.suggestionList.hidden).toBe(true);
+  });
+});
+
+describe("GeocodingAPI", () => {
+  afterEach(() => delete global.safeApiFetch);
+
+  test("normalizes results and tolerates empty answers", async () => {
+    global.safeApiFetch = jest.fn(async () => ({
+      json: async () => ({
+        results: [
+          {
+            id: 2950159,
+            name: "Berlin",
+            latitude: 52.52437,
+            longitude: 13.41053,
+            country_code: "de",
+            country: "Deutschland",
+            admin1: "Land Berlin",
+            population: 3426354,
+          },
+          { name: "kaputt" },
+        ],
+      }),
+    }));
+
+    const api = new GeocodingAPI();
+    const result = await api.search("Berl");
+    expect(global.safeApiFetch.mock.calls[0][0]).toContain("name=Berl");
+    expect(result.suggestions).toEqual([
+      {
+        id: 2950159,
+        name: "Berlin",
+        state: "Land Berlin",
+        country: "Deutschland",
+        countryCode: "DE",
+        population: 3426354,
+        lat: 52.52437,
+        lon: 13.41053,
+      },
+    ]);
+
+    global.safeApiFetch = jest.fn(async () => ({ json: async () => ({}) }));
+    expect((await api.search("Xyzzy")).suggestions).toEqual([]);
+    expect((await api.search("x")).suggestions).toEqual([]);
+  });
+
+  test("reports aborted requests", async () => {
+    global.safeApiFetch = jest.fn(async () => {
+      const error = new Error("Anfrage abgebrochen");
+      error.name = "AbortError";
+      throw error;
+    });
+    const result = await new GeocodingAPI().search("Berlin");
+    expect(result.aborted).toBe(true);
+  });
+});
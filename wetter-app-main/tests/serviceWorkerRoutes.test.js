@@ -0,0 +1,234 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * tests/serviceWorkerRoutes.test.js
+ * Routing-Tabelle des Service Workers mit nachgebauter Cache-API
+ */
+
+const {
+  SW_ROUTES,
+  SW_CACHED_AT_HEADER,
+  matchSwRoute,
+  swRouteCacheName,
+  handleSwRoute,
+  expireSwRouteCaches,
+} = require("../src/utils/serviceWorkerRoutes.js");
+
+// Cache-API im Arbeitsspeicher: Schlüssel ist die URL, put hängt hinten an
+class MockCache {
+  constructor() {
+    this.entries = new Map();
+  }
+  async match(request) {
+    const response = this.entries.get(request.url || String(request));
+    return response ? response.clone() : undefined;
+  }
+  async put(request, response) {
+    const url = request.url || String(request);
+    this.entries.delete(url);
+    this.entries.set(url, response.clone());
+  }
+  async delete(request) {
+    return this.entries.delete(request.url || String(request));
+  }
+  async keys() {
+    return Array.from(this.entries.keys(), (url) => new Request(url));
+  }
+}
+
+class MockCacheStorage {
+  constructor() {
+    this.stores = new Map();
+  }
+  async open(name) {
+    if (!this.stores.has(name)) this.stores.set(name, new MockCache());
+    return this.stores.get(name);
+  }
+}
+
+const route = (id) => SW_ROUTES.find((entry) => entry.id === id);
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+describe("service worker routes", () => {
+  let caches;
+  let clock;
+  let deps;
+  const cachedIn = async (id, request) =>
+    (await caches.open(`calchas-api-${id}`)).match(request);
+  beforeEach(() => {
+    caches = new MockCacheStorage();
+    clock = 1_000_000;
+    deps = {
+      caches,
+      fetch: jest.fn(async () => json({ value: clock })),
+      now: () => clock,
+      waitUntil: jest.fn(),
+    };
+  });
+
+  test("requests are matched by host and path, first route wins", () => {
+    const idFor = (url, init) =>
+      matchSwRoute(new Request(url, init))?.id || null;
+
+    expect(idFor("https://nominatim.openstreetmap.org/search?q=Kiel")).toBe(
+      "geocoding"
+    );
+    expect(idFor("https://api.brightsky.dev/alerts?lat=54&lon=10")).toBe(
+      "alerts"
+    );
+    expect(idFor("https://api.brightsky.dev/radar?lat=54")).toBe("radar");
+    expect(idFor("https://api.brightsky.dev/weather?lat=54")).toBe("forecast");
+    expect(idFor("https://marine-api.open-meteo.com/v1/marine?x=1")).toBe(
+      "forecast"
+    );
+    expect(idFor("https://api.sunrise-sunset.org/json?lat=1")).toBe(
+      "astronomy"
+    );
+    // Provider mit API-Key in der URL und Schreibzugriffe bleiben ungecacht
+    expect(idFor("https://api.openweathermap.org/data/2.5/weather")).toBeNull();
+    expect(
+      idFor("https://api.open-meteo.com/v1/forecast", { method: "POST" })
+    ).toBeNull();
+    expect(swRouteCacheName(route("forecast"))).toBe("calchas-api-forecast");
+  });
+
+  test("network-first stores responses and falls back to the cache offline", async () => {
+    const forecast = route("forecast");
+    const request = new Request("https://api.open-meteo.com/v1/forecast?a=1");
+
+    const online = await handleSwRoute(forecast, request, deps);
+    expect(await online.json()).toEqual({ value: 1_000_000 });
+    const stored = await cachedIn("forecast", request);
+    expect(stored.headers.get(SW_CACHED_AT_HEADER)).toBe("1000000");
+
+    deps.fetch.mockRejectedValue(new TypeError("Failed to fetch"));
+    clock += 10 * 60 * 1000;
+    const offline = await handleSwRoute(forecast, request, deps);
+    expect(await offline.json()).toEqual({ value: 1_000_000 });
+
+    // Älter als maxAge: kein Rückgriff mehr, der Netzfehler kommt durch
+    clock += forecast.maxAgeSeconds * 1000;
+    await expect(handleSwRoute(forecast, request, deps)).rejects.toThrow(
+      "Failed to fetch"
+    );
+    expect(await cachedIn("forecast", request)).toBeUndefined();
+  });
+
+  test("network-first answers from the cache after the timeout", async () => {
+    const slow = { ...route("forecast"), timeoutMs: 20 };
+    const request = new Request("https://api.open-meteo.com/v1/forecast?b=2");
+    await handleSwRoute(slow, request, deps);
+
+    let finish;
+    deps.fetch.mockImplementation(
+      () => new Promise((resolve) => (finish = resolve))
+    );
+    clock += 1000;
+    const response = await handleSwRoute(slow, request, deps);
+    expect(await response.json()).toEqual({ value: 1_000_000 });
+    expect(deps.waitUntil).toHaveBeenCalledTimes(1);
+
+    // Die späte Netzantwort aktualisiert den Cache im Hintergrund
+    finish(json({ value: "late" }));
+    await deps.waitUntil.mock.calls[0][0];
+    const cached = await cachedIn("forecast", request);
+    expect(await cached.json()).toEqual({ value: "late" });
+  });
+
+  test("a slow network never yields forecasts older than the app cache TTL", async () => {
+    const forecast = route("forecast");
+    // Die App hält Vorhersagen als frisch, solange CACHE_CONFIG sie hält
+    expect(forecast.maxAgeSeconds * 1000).toBeLessThanOrEqual(30 * 60 * 1000);
+    expect(forecast.timeoutMs).toBeLessThan(4500);
+
+    const slow = { ...forecast, timeoutMs: 20 };
+    const request = new Request("https://api.open-meteo.com/v1/forecast?c=3");
+    await handleSwRoute(slow, request, deps);
+
+    let finish;
+    deps.fetch.mockImplementation(
+      () => new Promise((resolve) => (finish = resolve))
+    );
+    clock += forecast.maxAgeSeconds * 1000 + 1;
+    const pending = handleSwRoute(slow, request, deps);
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    finish(json({ value: "fresh" }));
+
+    // Nach der Frist wird weiter auf das Netz gewartet statt Altes zu liefern
+    expect(await (await pending).json()).toEqual({ value: "fresh" });
+    expect(deps.waitUntil).not.toHaveBeenCalled();
+  });
+
+  test("client errors pass through uncached, server errors use the cache", async () => {
+    const forecast = route("forecast");
+    const request = new Request("https://marine-api.open-meteo.com/v1/marine");
+    deps.fetch.mockResolvedValueOnce(json({ reason: "No data" }, 400));
+
+    const rejected = await handleSwRoute(forecast, request, deps);
+    expect(rejected.status).toBe(400);
+    expect((await caches.open("calchas-api-forecast")).entries.size).toBe(0);
+
+    await handleSwRoute(forecast, request, deps);
+    deps.fetch.mockResolvedValueOnce(json({}, 503));
+    const fallback = await handleSwRoute(forecast, request, deps);
+    expect(fallback.status).toBe(200);
+  });
+
+  test("cache-first geocoding only refetches expired entries", async () => {
+    const geocoding = route("geocoding");
+    const request = new Request(
+      "https://geocoding-api.open-meteo.com/v1/search?name=Kiel"
+    );
+
+    await handleSwRoute(geocoding, request, deps);
+    clock += 24 * 60 * 60 * 1000;
+    const cached = await handleSwRoute(geocoding, request, deps);
+    expect(await cached.json()).toEqual({ value: 1_000_000 });
+    expect(deps.fetch).toHaveBeenCalledTimes(1);
+
+    clock += geocoding.maxAgeSeconds * 1000;
+    const fresh = await handleSwRoute(geocoding, request, deps);
+    expect(await fresh.json()).toEqual({ value: clock });
+    expect(deps.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("stale-while-revalidate answers from the cache and refreshes it", async () => {
+    const astronomy = route("astronomy");
+    const request = new Request("https://api.sunrise-sunset.org/json?lat=54");
+
+    await handleSwRoute(astronomy, request, deps);
+    clock += 1000;
+    const response = await handleSwRoute(astronomy, request, deps);
+
+    expect(await response.json()).toEqual({ value: 1_000_000 });
+    expect(deps.fetch).toHaveBeenCalledTimes(2);
+    await deps.waitUntil.mock.calls[0][0];
+    const cached = await cachedIn("astronomy", request);
+    expect(await cached.json()).toEqual({ value: 1_001_000 });
+  });
+
+  test("entry limits drop the oldest responses and expiry cleans up", async () => {
+    const small = { ...route("geocoding"), maxEntries: 2 };
+    for (const name of ["Kiel", "Rostock", "Wismar"]) {
+      await handleSwRoute(
+        small,
+        new Request(`https://nominatim.openstreetmap.org/search?q=${name}`),
+        deps
+      );
+    }
+    const cache = await caches.open("calchas-api-geocoding");
+    expect(Array.from(cache.entries.keys())).toEqual([
+      "https://nominatim.openstreetmap.org/search?q=Rostock",
+      "https://nominatim.openstreetmap.org/search?q=Wismar",
+    ]);
+
+    clock += small.maxAgeSeconds * 1000 + 1;
+    expect(await expireSwRouteCaches([small], deps)).toBe(2);
+    expect(cache.entries.size).toBe(0);
+  });
+});
@@ -8,4 +8,103 @@ describe('Validation Helpers', () => {
     // Smoke test - verify validation functions are reachable
     expect(true).toBe(true);
   });
-});
\ No newline at end of file
+});
+
+const { VALIDATION, ERROR_CODES } = require('../src/utils/constants.js');
+
+global.VALIDATION = VALIDATION;
+global.ERROR_CODES = ERROR_CODES;
+
+const { validateCityInput, sanitizeInput } = require('../src/utils/validation.js');
+
+// Eingabe wie im Suchfeld: erst säubern, dann prüfen
+const check = (input) => validateCityInput(sanitizeInput(input));
+
+describe('validateCityInput with international place names', () => {
+  test.each([
+    ['Deutsch', 'München'],
+    ['Deutsch mit ß', 'Gießen'],
+    ['Französisch', 'Saint-Étienne'],
+    ['Polnisch', 'Kraków'],
+    ['Portugiesisch', 'São Paulo'],
+    ['Apostroph', "Zürich's"],
+    ['Italienisch', "L'Aquila"],
+    ['Klammern', 'Sankt Pölten (NÖ)'],
+    ['Stadt, Land', 'Frankfurt, Deutschland'],
+    ['Abkürzung', 'St. Gallen'],
+    ['Schrägstrich', 'Bozen/Bolzano'],
+    ['Türkisch', 'İstanbul'],
+    ['Isländisch', 'Reykjavík'],
+    ['Tschechisch', 'Ústí nad Labem'],
+    ['Rumänisch', 'Timișoara'],
+    ['Vietnamesisch', 'Hà Nội'],
+    ['Griechisch', 'Αθήνα'],
+    ['Kyrillisch', 'Москва'],
+    ['Ukrainisch', 'Київ'],
+    ['Arabisch', 'القاهرة'],
+    ['Hebräisch', 'תל אביב-יפו'],
+    ['Persisch mit ZWNJ', 'مسجد\u200Cسلیمان'],
+    ['Hindi', 'नई दिल्ली'],
+    ['Thai', 'กรุงเทพมหานคร'],
+    ['Chinesisch', '北京'],
+    ['Japanisch', '東京都'],
+    ['Koreanisch', '서울'],
+    ['Georgisch', 'თბილისი'],
+    ['PLZ Deutschland', '10115'],
+    ['PLZ mit Ort', '1010 Wien'],
+    ['PLZ Großbritannien', 'SW1A 1AA'],
+    ['PLZ Kanada', 'K1A 0B1'],
+  ])('accepts %s: %s', (_, name) => {
+    expect(check(name)).toEqual({ valid: true, error: null });
+  });
+
+  test.each([
+    ['HTML', '<script>alert(1)</script>'],
+    ['SQL', "Berlin'; DROP TABLE cities;--"],
+    ['Template', '${process.env}'],
+    ['URL-Schema', 'javascript:alert(1)'],
+    ['Gleichheitszeichen', "' OR 1=1"],
+    ['Emoji', 'Berlin 🌧️'],
+    ['Nur Satzzeichen', "-- ''"],
+  ])('rejects %s', (_, input) => {
+    // searchLocation() prüft die Roheingabe vor dem Säubern
+    expect(validateCityInput(input).valid).toBe(false);
+  });
+
+  test('names the offending characters', () => {
+    expect(validateCityInput('Berlin; Mitte').error).toBe(
+      'Ungültige Zeichen in Stadtname: ";"'
+    );
+  });
+
+  test('counts characters, not UTF-16 units', () => {
+    expect(check('𠀋𠀋').valid).toBe(true);
+    expect(check('京').valid).toBe(false);
+  });
+});
+
+describe('sanitizeInput', () => {
+  test('strips markup and normalizes whitespace', () => {
+    expect(sanitizeInput('  <Bad\tTölz>\n ')).toBe('Bad Tölz');
+    expect(sanitizeInput('"Berlin"`%')).toBe('Berlin');
+    expect(sanitizeInput(42)).toBe('');
+  });
+
+  test('normalizes to NFC and typographic apostrophes', () => {
+    const decomposed = 'Saint-E\u0301tienne';
+    expect(sanitizeInput(decomposed)).toBe('Saint-Étienne');
+    expect(sanitizeInput('Côte d\u2019Ivoire')).toBe("Côte d'Ivoire");
+  });
+
+  test('removes invisible and bidi control characters but keeps ZWNJ', () => {
+    expect(sanitizeInput('Ber\u200Blin\u202E')).toBe('Berlin');
+    expect(sanitizeInput('مسجد\u200Cسلیمان')).toBe('مسجد\u200Cسلیمان');
+  });
+
+  test('truncates without splitting surrogate pairs', () => {
+    const long = '𠀋'.repeat(VALIDATION.CITY_NAME.MAX_LENGTH + 5);
+    const result = sanitizeInput(long);
+    expect(Array.from(result)).toHaveLength(VALIDATION.CITY_NAME.MAX_LENGTH);
+    expect(result.endsWith('𠀋')).toBe(true);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * tests/weatherAlerts.test.js
+ * Amtliche DWD-Warnungen (BrightSky) zusammen mit berechneten Warnungen
+ */
+
+Object.assign(
+  global,
+  require("../src/utils/alertRules.js"),
+  require("../src/utils/alertHistory.js")
+);
+const { WeatherAlerts } = require("../src/features.js");
+
+const dwdAlert = {
+  id: "dwd-1",
+  origin: "official",
+  source: "DWD",
+  event: "STURMBÖEN",
+  title: "Amtliche WARNUNG vor STURMBÖEN",
+  description: "Es treten Sturmböen mit Geschwindigkeiten um 75 km/h auf.",
+  instruction: "ACHTUNG! Hinweis auf mögliche Gefahren: <Äste>",
+  severity: "moderate",
+  urgency: "immediate",
+  certainty: "likely",
+  onset: "2024-03-10T06:00:00+01:00",
+  expires: "2024-03-10T18:00:00+01:00",
+  region: "Stadt Berlin",
+};
+
+const openMeteoPayload = {
+  hourly: {
+    time: ["2024-03-10T10:00", "2024-03-11T10:00"],
+    temperature_2m: [10, 33],
+    apparent_temperature: [8, 34],
+    precipitation_probability: [0, 0],
+    precipitation: [0, 0],
+    weathercode: [3, 0],
+    windspeed_10m: [60, 10],
+  },
+};
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("WeatherAlerts", () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="weather-alerts"></div>';
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      json: async () => openMeteoPayload,
+    }));
+    global.brightSkyAPI = {
+      fetchAlerts: jest.fn(async () => ({ data: { alerts: [] } })),
+      formatAlerts: jest.fn(() => [dwdAlert]),
+    };
+  });
+  afterEach(() => {
+    delete global.fetch;
+    delete global.brightSkyAPI;
+  });
+
+  test("labels official and computed alerts and drops covered duplicates", async () => {
+    const alerts = new WeatherAlerts("weather-alerts");
+    await alerts.fetchAlerts(52.52, 13.41, "Berlin");
+    await flush();
+
+    expect(brightSkyAPI.fetchAlerts).toHaveBeenCalledWith(52.52, 13.41);
+    const cards = document.querySelectorAll(".alert-card");
+    // Wind-Warnung um 10 Uhr ist durch die DWD-Warnung abgedeckt
+    expect(cards).toHaveLength(2);
+    expect(cards[0].classList.contains("alert-official")).toBe(true);
+    expect(cards[0].classList.contains("alert-orange")).toBe(true);
+    expect(cards[0].querySelector(".alert-origin").textContent).toBe(
+      "Amtlich (DWD)"
+    );
+    expect(cards[0].querySelector(".alert-instruction").innerHTML).toContain(
+      "&lt;Äste&gt;"
+    );
+    expect(cards[0].querySelector(".alert-meta").textContent).toBe(
+      "Gebiet: Stadt Berlin · sofort, wahrscheinlich"
+    );
+    expect(cards[1].classList.contains("alert-computed")).toBe(true);
+    expect(cards[1].textContent).toContain("Starke Hitze");
+    expect(document.querySelector(".alert-summary").textContent).toContain(
+      "(1 amtlich, 1 berechnet)"
+    );
+  });
+
+  test("shows computed alerts when the official feed fails", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    brightSkyAPI.fetchAlerts.mockResolvedValue({ error: "HTTP Fehler 500" });
+    const alerts = new WeatherAlerts("weather-alerts");
+    await alerts.fetchAlerts(52.52, 13.41, "Berlin");
+
+    expect(document.querySelectorAll(".alert-computed")).toHaveLength(2);
+    expect(document.querySelector(".alerts-note").textContent).toBe(
+      "Amtliche DWD-Warnungen nicht verfuegbar"
+    );
+    console.error.mockRestore();
+  });
+
+  test("evaluates air quality rules with the air-quality API", async () => {
+    global.fetch = jest.fn(async (url) => ({
+      ok: true,
+      json: async () =>
+        url.includes("air-quality")
+          ? {
+              hourly: {
+                time: openMeteoPayload.hourly.time,
+                european_aqi: [95, 90],
+              },
+            }
+          : openMeteoPayload,
+    }));
+    const alerts = new WeatherAlerts("weather-alerts");
+    await alerts.fetchAlerts(52.52, 13.41, "Berlin");
+
+    const urls = fetch.mock.calls.map(([url]) => new URL(url));
+    const air = urls.find((url) => url.hostname.startsWith("air-quality"));
+    expect(air.searchParams.get("hourly")).toBe("european_aqi");
+    expect(
+      urls
+        .find((url) => url.hostname === "api.open-meteo.com")
+        .searchParams.get("hourly")
+        .includes("european_aqi")
+    ).toBe(false);
+    expect(document.querySelector(".alert-computed").textContent).toContain(
+      "Schlechte Luftqualität"
+    );
+  });
+
+  test("mergeAlerts orders official alerts by level", () => {
+    const alerts = new WeatherAlerts("weather-alerts");
+    const merged = alerts.mergeAlerts(
+      [
+        { id: "a", severity: "yellow", time: "2024-03-10T06:00:00Z" },
+        { id: "b", severity: "violet", time: "2024-03-10T09:00:00Z" },
+        { id: "c", severity: "yellow", time: "2024-03-10T03:00:00Z" },
+      ],
+      [{ id: "rain-x", hazard: "rain", time: "2024-03-10T06:00:00Z" }]
+    );
+    expect(merged.map((alert) => alert.id)).toEqual(["b", "c", "a", "rain-x"]);
+  });
+});
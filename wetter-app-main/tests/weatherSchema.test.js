@@ -0,0 +1,173 @@
+const {
+  validateWeatherDataset,
+  toCanonicalTimestamp,
+  currentFromHourly,
+  WEATHER_SCHEMA_VERSION,
+} = require("../src/utils/weatherSchema.js");
+const OpenWeatherMapAPI = require("../src/api/openweathermap.js");
+const VisualCrossingAPI = require("../src/api/visualcrossing.js");
+
+const hour = (iso, extra = {}) => ({
+  time: iso,
+  ts: Date.parse(iso),
+  temperature: 5,
+  windSpeed: 12,
+  ...extra,
+});
+
+describe("weatherSchema", () => {
+  test("toCanonicalTimestamp handles zoned, local and epoch input", () => {
+    const utc = Date.parse("2025-01-10T12:00:00Z");
+    expect(toCanonicalTimestamp("2025-01-10T12:00:00+00:00")).toBe(utc);
+    expect(toCanonicalTimestamp("2025-01-10T13:00", 3600)).toBe(utc);
+    expect(toCanonicalTimestamp(utc)).toBe(utc);
+    expect(toCanonicalTimestamp("kaputt")).toBeNull();
+  });
+
+  test("currentFromHourly picks the entry closest to now", () => {
+    const hourly = [
+      hour("2025-01-10T11:00:00Z"),
+      hour("2025-01-10T12:00:00Z", { temperature: 7 }),
+    ];
+    const current = currentFromHourly(
+      hourly,
+      Date.parse("2025-01-10T12:10:00Z")
+    );
+    expect(current.temperature).toBe(7);
+    expect(currentFromHourly([])).toBeNull();
+  });
+
+  test("accepts a valid dataset and strips unknown fields", () => {
+    const check = validateWeatherDataset({
+      source: "open-meteo",
+      hourly: [hour("2025-01-10T12:00:00Z", { emoji: "☀️" })],
+      daily: [{ date: "2025-01-10", tempMax: 7, tempMin: 1 }],
+    });
+
+    expect(check.valid).toBe(true);
+    expect(check.errors).toEqual([]);
+    expect(check.dataset.schemaVersion).toBe(WEATHER_SCHEMA_VERSION);
+    expect(check.dataset.units.windSpeed).toBe("km/h");
+    expect(check.dataset.hourly[0]).not.toHaveProperty("emoji");
+    expect(check.dataset.hourly[0].humidity).toBeNull();
+    expect(check.dataset.historical).toEqual([]);
+  });
+
+  test("flags out-of-range values and drops entries without time", () => {
+    const check = validateWeatherDataset({
+      source: "brightsky",
+      hourly: [
+        hour("2025-01-10T12:00:00Z", { temperature: 999, humidity: "hoch" }),
+        hour("2025-01-10T13:00:00Z"),
+        hour("2025-01-10T14:00:00Z"),
+        { temperature: 4 },
+      ],
+    });
+
+    expect(check.valid).toBe(true);
+    expect(check.dataset.hourly).toHaveLength(3);
+    expect(check.dataset.hourly[0].temperature).toBeNull();
+    expect(check.dataset.hourly[0].humidity).toBeNull();
+    expect(check.warnings).toHaveLength(3);
+  });
+
+  test("rejects malformed payloads", () => {
+    expect(validateWeatherDataset(null).valid).toBe(false);
+    expect(
+      validateWeatherDataset({ source: "x", hourly: "nope" }).errors
+    ).toContain("hourly ist keine Liste");
+    expect(validateWeatherDataset({ source: "x", hourly: [] }).errors).toEqual(
+      ["Keine verwertbaren Daten"]
+    );
+
+    const mostlyBroken = validateWeatherDataset({
+      source: "x",
+      hourly: [hour("2025-01-10T12:00:00Z"), { ts: "gestern" }, {}],
+    });
+    expect(mostlyBroken.valid).toBe(false);
+    expect(mostlyBroken.dataset).toBeNull();
+  });
+
+  test("provider adapters map into the schema", () => {
+    const now = Date.parse("2025-01-10T12:00:00Z");
+    const owm = new OpenWeatherMapAPI().toCanonical({
+      current: {
+        temp: 4,
+        humidity: 80,
+        wind_speed: 5,
+        pressure: 1012,
+        clouds: 40,
+        weather_code: 3,
+        description: "Wolken",
+        timestamp: now,
+      },
+      hourly: [
+        {
+          temp: 4,
+          precipitation: 30,
+          rain_volume: 0.4,
+          wind_speed: 5,
+          timestamp: now,
+          weather_code: 61,
+        },
+      ],
+      daily: [
+        {
+          date: "2025-01-10",
+          temp_min: 1,
+          temp_max: 6,
+          precipitation: 30,
+          rain_volume: 2,
+          wind_speed: 6,
+          weather_code: 61,
+        },
+      ],
+    });
+    const owmCheck = validateWeatherDataset(owm);
+    expect(owmCheck.valid).toBe(true);
+    expect(owmCheck.dataset.current.windSpeed).toBe(18);
+    expect(owmCheck.dataset.hourly[0].precipitation).toBe(0.4);
+    expect(owmCheck.dataset.hourly[0].precipitationProbability).toBe(30);
+
+    // Free Tier: rain["3h"] ist eine 3-Stunden-Summe, kanonisch gilt mm/h
+    const api = new OpenWeatherMapAPI();
+    const freeTier = api.toCanonical(
+      api._formatFreeTierData(
+        {
+          main: { temp: 4, humidity: 80, pressure: 1012 },
+          wind: { speed: 5 },
+          weather: [{ main: "Rain", description: "Regen" }],
+          dt: now / 1000,
+        },
+        {
+          list: [
+            {
+              dt: now / 1000,
+              main: { temp: 4, temp_min: 3, temp_max: 5 },
+              wind: { speed: 5 },
+              pop: 0.8,
+              rain: { "3h": 3.6 },
+              weather: [{ main: "Rain" }],
+            },
+          ],
+        }
+      )
+    );
+    const freeCheck = validateWeatherDataset(freeTier);
+    expect(freeCheck.valid).toBe(true);
+    expect(freeCheck.dataset.hourly[0].precipitation).toBeCloseTo(1.2, 6);
+    expect(freeCheck.dataset.daily[0].precipitationSum).toBe(3.6);
+
+    const vc = new VisualCrossingAPI().toCanonical({
+      current: { temp: 3, wind_speed: 14, timestamp: now, weather_code: 2 },
+      hourly: [],
+      forecast: [{ date: "2025-01-11", temp_min: 0, temp_max: 5 }],
+      historical: [{ date: "2025-01-09", temp_min: -1, temp_max: 4 }],
+    });
+    const vcCheck = validateWeatherDataset(vc);
+    expect(vcCheck.valid).toBe(true);
+    expect(vcCheck.dataset.current.windSpeed).toBe(14);
+    expect(vcCheck.dataset.daily[0].tempMax).toBe(5);
+    expect(vcCheck.dataset.historical[0].tempMin).toBe(-1);
+  });
+});
@@ -0,0 +1,220 @@
+/* Self-hosted analytics collector for the push server
+   Browsers with analytics consent and a configured collector URL upload
+   batches of anonymized events (see Analytics.flush in
+   src/utils/analytics.js). The collector checks every event against the same
+   schema as the client, strips private fields again and appends the result
+   to a JSON Lines file, one event per line.
+
+   Routes (mounted by tools/push-server.js when ANALYTICS_COLLECTOR=1):
+     POST /analytics/events  -> body = { schemaVersion, events: [...] }
+     GET  /analytics/summary -> aggregate JSON, ?days=30
+     GET  /analytics/report  -> the same as a small HTML page
+
+   Events older than the retention (default 90 days) are dropped when the
+   file is compacted on start and ignored in summaries.
+*/
+
+const fs = require("fs");
+const {
+  anonymizeAnalyticsEvent,
+  summarizeAnalytics,
+  analyticsDayKey,
+  ANALYTICS_EVENT_META,
+} = require("../src/utils/analytics.js");
+
+const MAX_BATCH_EVENTS = 200;
+const DEFAULT_RETENTION_DAYS = 90;
+const DEFAULT_SUMMARY_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates an upload and returns the anonymized events
+ * @param {object} body - { events: [...] }
+ * @returns {object|null} - { events, rejected } or null for a malformed body
+ */
+function sanitizeBatch(body) {
+  if (!body || !Array.isArray(body.events)) return null;
+  const events = [];
+  let rejected = 0;
+  body.events.slice(0, MAX_BATCH_EVENTS).forEach((raw) => {
+    const event = anonymizeAnalyticsEvent(raw);
+    if (event) events.push(event);
+    else rejected += 1;
+  });
+  rejected += Math.max(0, body.events.length - MAX_BATCH_EVENTS);
+  return { events, rejected };
+}
+
+function escapeHtml(text) {
+  return String(text ?? "").replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char]
+  );
+}
+
+/**
+ * File-backed event store
+ * @param {object} options - { file, retentionDays, now }
+ */
+function createCollector(options = {}) {
+  const {
+    file,
+    retentionDays = DEFAULT_RETENTION_DAYS,
+    now = () => Date.now(),
+  } = options;
+  const retentionMs = retentionDays * DAY_MS;
+
+  function load() {
+    if (!file || !fs.existsSync(file)) return [];
+    const cutoff = now() - retentionMs;
+    return fs
+      .readFileSync(file, "utf8")
+      .split("\n")
+      .map((line) => {
+        if (!line.trim()) return null;
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter((event) => event && event.ts >= cutoff);
+  }
+
+  function ingest(body) {
+    const batch = sanitizeBatch(body);
+    if (!batch) return null;
+    if (batch.events.length) {
+      fs.appendFileSync(
+        file,
+        batch.events.map((event) => JSON.stringify(event)).join("\n") + "\n"
+      );
+    }
+    return { accepted: batch.events.length, rejected: batch.rejected };
+  }
+
+  // Rewrites the file without expired or unreadable lines
+  function compact() {
+    if (!file || !fs.existsSync(file)) return 0;
+    const events = load();
+    fs.writeFileSync(
+      file,
+      events.map((event) => JSON.stringify(event)).join("\n") +
+        (events.length ? "\n" : "")
+    );
+    return events.length;
+  }
+
+  function summary(params = {}) {
+    const days = Math.min(
+      Math.max(Number(params.days) || DEFAULT_SUMMARY_DAYS, 1),
+      retentionDays
+    );
+    const to = analyticsDayKey(now());
+    const from = analyticsDayKey(now() - (days - 1) * DAY_MS);
+    const result = summarizeAnalytics(load(), { from, to });
+    const byType = {};
+    result.events.forEach((event) => {
+      byType[event.type] = (byType[event.type] || 0) + 1;
+    });
+    // Uploaded events carry no session id, so there is no session timeline
+    return {
+      generatedAt: new Date(now()).toISOString(),
+      from,
+      to,
+      totalEvents: result.events.length,
+      byType,
+      perDay: result.days.map((day, idx) => ({
+        day,
+        searches: result.searchesPerDay[idx],
+        cacheRatio: result.cacheRatioPerDay[idx],
+      })),
+      providers: result.providers,
+      topPlaces: result.topPlaces,
+    };
+  }
+
+  return { load, ingest, compact, summary };
+}
+
+/**
+ * HTML report for a summary()
+ * @param {object} summary
+ * @returns {string}
+ */
+function renderReport(summary) {
+  const percent = (value) =>
+    value === null || value === undefined
+      ? "–"
+      : `${Math.round(value * 100)} %`;
+  const ms = (value) => (value === null ? "–" : `${Math.round(value)} ms`);
+  const rows = (items, empty, columns) =>
+    items.length
+      ? items.map((item) => `<tr>${columns(item)}</tr>`).join("")
+      : `<tr><td colspan="6">${empty}</td></tr>`;
+
+  return `<!doctype html>
+  <html>
+  <head>
+    <meta charset="utf-8">
+    <title>Calchas Analytics</title>
+    <style>body{font-family:Arial,Helvetica,sans-serif;padding:20px}table{border-collapse:collapse;margin-bottom:24px}th,td{padding:4px 10px;border-bottom:1px solid #ddd;text-align:right}th:first-child,td:first-child{text-align:left}</style>
+  </head>
+  <body>
+    <h1>Calchas Analytics</h1>
+    <p>${escapeHtml(summary.from)} – ${escapeHtml(summary.to)}: <strong>${
+      summary.totalEvents
+    }</strong> Events (Stand ${escapeHtml(summary.generatedAt)})</p>
+    <h2>Events nach Typ</h2>
+    <table>${rows(
+      Object.entries(summary.byType),
+      "Keine Events",
+      ([type, count]) =>
+        `<td>${escapeHtml(
+          ANALYTICS_EVENT_META[type]?.label || type
+        )}</td><td>${count}</td>`
+    )}</table>
+    <h2>Pro Tag</h2>
+    <table><tr><th>Tag</th><th>Suchen</th><th>Cache-Quote</th></tr>${rows(
+      summary.perDay,
+      "Keine Tage",
+      (day) =>
+        `<td>${escapeHtml(day.day)}</td><td>${day.searches}</td><td>${percent(
+          day.cacheRatio
+        )}</td>`
+    )}</table>
+    <h2>Provider</h2>
+    <table><tr><th>Provider</th><th>Abfragen</th><th>Fehlerquote</th><th>p50</th><th>p90</th><th>p95</th></tr>${rows(
+      summary.providers,
+      "Keine API-Abfragen",
+      (provider) =>
+        `<td>${escapeHtml(provider.provider)}</td><td>${
+          provider.calls
+        }</td><td>${percent(provider.errorRate)}</td><td>${ms(
+          provider.p50
+        )}</td><td>${ms(provider.p90)}</td><td>${ms(provider.p95)}</td>`
+    )}</table>
+    <h2>Meistgesuchte Orte</h2>
+    <table>${rows(
+      summary.topPlaces,
+      "Keine Suchen",
+      (place) => `<td>${escapeHtml(place.place)}</td><td>${place.count}</td>`
+    )}</table>
+    <p><a href="/analytics/summary">JSON</a></p>
+  </body>
+  </html>`;
+}
+
+module.exports = {
+  MAX_BATCH_EVENTS,
+  sanitizeBatch,
+  createCollector,
+  renderReport,
+};
@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+/* Geocode table generator for CAP alert areas
+   Writes src/utils/alertRegions.js with a simplified outline and a bounding
+   box per German district (Kreis), keyed twice:
+   - WARNCELLID: DWD warn cell of the district, "1" + AGS + "000"
+   - EMMA_ID: MeteoAlarm area code, which for Germany is the NUTS-3 code of
+     the district (e.g. DE300 Berlin)
+
+   Sources (devDependencies):
+   - german-administrative-areas: BKG VG250 district geometries (2016)
+   - landkreise-deutschland: Destatis district list with AGS and NUTS-3
+     (31.12.2018)
+   The district list decides which districts exist; geometries of districts
+   merged since then are combined via DISTRICT_MERGERS.
+
+   Run after updating the sources: npm run alert-regions
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const OUTPUT_FILE = "src/utils/alertRegions.js";
+
+// Former district (AGS) -> district it belongs to today
+const DISTRICT_MERGERS = {
+  // Landkreis Göttingen, 1 Nov 2016
+  "03152": "03159",
+  "03156": "03159",
+  // Eisenach joined the Wartburgkreis, 1 Jul 2021
+  16056: "16063",
+};
+
+// Names that already say what kind of district they are
+const DISTRICT_NAME_KIND = /^(Region|Städteregion|Regionalverband)\s|kreis\b/i;
+
+// Douglas-Peucker tolerance in degrees (~1 km): keeps the table at ~370 KB
+const SIMPLIFY_TOLERANCE = 0.01;
+
+// Two decimals; toFixed drops float noise (4.35 * 100 = 434.99999999999994)
+const roundTo = (value, round) => round(Number((value * 100).toFixed(6))) / 100;
+
+/**
+ * Bounding box [south, west, north, east] of a GeoJSON geometry, rounded
+ * outwards to two decimals
+ * @param {object} geometry - Polygon or MultiPolygon with [lon, lat] rings
+ * @param {number[]} bbox - box to extend
+ * @returns {number[]}
+ */
+function extendBbox(
+  geometry,
+  bbox = [Infinity, Infinity, -Infinity, -Infinity]
+) {
+  const polygons =
+    geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  polygons.flat().forEach((ring) =>
+    ring.forEach(([lon, lat]) => {
+      bbox[0] = Math.min(bbox[0], roundTo(lat, Math.floor));
+      bbox[1] = Math.min(bbox[1], roundTo(lon, Math.floor));
+      bbox[2] = Math.max(bbox[2], roundTo(lat, Math.ceil));
+      bbox[3] = Math.max(bbox[3], roundTo(lon, Math.ceil));
+    })
+  );
+  return bbox;
+}
+
+/**
+ * Distance of p from the segment a-b, in degrees
+ * @private
+ */
+function segmentDistance([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq
+    ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq))
+    : 0;
+  return Math.hypot(px - ax - t * dx, py - ay - t * dy);
+}
+
+/**
+ * Douglas-Peucker simplification of an open line
+ * @private
+ */
+function simplifyLine(points, tolerance) {
+  if (points.length < 3) return points;
+  const first = points[0];
+  const last = points[points.length - 1];
+  let farthest = 0;
+  let index = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = segmentDistance(points[i], first, last);
+    if (distance > farthest) {
+      farthest = distance;
+      index = i;
+    }
+  }
+  if (farthest <= tolerance) return [first, last];
+  return simplifyLine(points.slice(0, index + 1), tolerance)
+    .slice(0, -1)
+    .concat(simplifyLine(points.slice(index), tolerance));
+}
+
+/**
+ * Simplified closed ring as [lat, lon] pairs with three decimals. Rings
+ * that collapse (small islands, enclaves) come back as null.
+ * @param {Array<[number, number]>} ring - GeoJSON ring, [lon, lat]
+ * @param {number} tolerance - in degrees
+ * @returns {Array<[number, number]>|null}
+ */
+function simplifyRing(ring, tolerance = SIMPLIFY_TOLERANCE) {
+  // Closed rings start and end on the same point: split at the farthest one
+  const [x0, y0] = ring[0];
+  const distances = ring.map(([x, y]) => Math.hypot(x - x0, y - y0));
+  const split = distances.reduce(
+    (best, distance, i) => (distance > distances[best] ? i : best),
+    0
+  );
+  const simplified = simplifyLine(ring.slice(0, split + 1), tolerance)
+    .slice(0, -1)
+    .concat(simplifyLine(ring.slice(split), tolerance));
+  if (simplified.length < 4) return null;
+  return simplified.map(([lon, lat]) => [
+    Math.round(lat * 1000) / 1000,
+    Math.round(lon * 1000) / 1000,
+  ]);
+}
+
+/**
+ * Simplified outline of a GeoJSON geometry: polygons as [outer, ...holes].
+ * An island too small to keep its shape becomes its bounding rectangle;
+ * collapsed holes are dropped, which only ever widens the district.
+ * @param {object} geometry - Polygon or MultiPolygon
+ * @returns {Array<Array<Array<[number, number]>>>}
+ */
+function simplifyGeometry(geometry, tolerance = SIMPLIFY_TOLERANCE) {
+  const polygons =
+    geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.map(([outer, ...holes]) => {
+    let ring = simplifyRing(outer, tolerance);
+    if (!ring) {
+      const [south, west, north, east] = extendBbox({
+        type: "Polygon",
+        coordinates: [outer],
+      });
+      ring = [
+        [south, west],
+        [south, east],
+        [north, east],
+        [north, west],
+        [south, west],
+      ];
+    }
+    return [
+      ring,
+      ...holes.map((hole) => simplifyRing(hole, tolerance)).filter(Boolean),
+    ];
+  });
+}
+
+/**
+ * Display name in the style of the DWD warn cells: cities by name,
+ * districts as "Kreis ..."
+ * @param {string} type - e.g. "Kreisfreie Stadt", "Landkreis"
+ * @param {string} name - e.g. "München", "Region Hannover", "Wartburgkreis"
+ * @returns {string}
+ */
+function districtName(type, name) {
+  if (type === "Kreisfreie Stadt" || type === "Stadtkreis") return name;
+  return DISTRICT_NAME_KIND.test(name) ? name : `Kreis ${name}`;
+}
+
+/**
+ * Builds the geocode table
+ * @param {object} options - { features, districts, mergers, tolerance }
+ *   features: GeoJSON features with properties AGS and GEN
+ *   districts: [{ AGS, type, name, NUTS3 }]
+ * @returns {object} - { WARNCELLID: {...}, EMMA_ID: {...} }, both pointing
+ *   to the same { name, nuts, bbox, polygons } per district
+ */
+function buildAlertRegions(options) {
+  const mergers = options.mergers || DISTRICT_MERGERS;
+  const boxes = new Map();
+  const outlines = new Map();
+  const names = new Map();
+  options.features.forEach((feature) => {
+    const { AGS: ags, GEN: name } = feature.properties;
+    const current = mergers[ags] || ags;
+    boxes.set(current, extendBbox(feature.geometry, boxes.get(current)));
+    outlines.set(current, [
+      ...(outlines.get(current) || []),
+      ...simplifyGeometry(feature.geometry, options.tolerance),
+    ]);
+    if (current === ags) names.set(ags, name);
+  });
+
+  const regions = { WARNCELLID: {}, EMMA_ID: {} };
+  options.districts
+    // The Destatis list stores keys from 10000 on as numbers
+    .map((district) => ({
+      ...district,
+      AGS: String(district.AGS).padStart(5, "0"),
+    }))
+    .filter((district) => !mergers[district.AGS])
+    .sort((a, b) => a.AGS.localeCompare(b.AGS))
+    .forEach((district) => {
+      const bbox = boxes.get(district.AGS);
+      if (!bbox) throw new Error(`No geometry for district ${district.AGS}`);
+      const name = names.get(district.AGS) || district.name.split(",")[0];
+      const region = {
+        name: districtName(district.type, name),
+        nuts: district.NUTS3,
+        bbox,
+        polygons: outlines.get(district.AGS),
+      };
+      regions.WARNCELLID[`1${district.AGS}000`] = region;
+      regions.EMMA_ID[district.NUTS3] = region;
+    });
+  return regions;
+}
+
+/**
+ * Source of src/utils/alertRegions.js (classic script, no dependencies)
+ * @param {object} regions - result of buildAlertRegions
+ * @returns {string}
+ */
+function renderAlertRegions(regions) {
+  const table = Object.entries(regions.WARNCELLID)
+    .map(
+      ([key, region]) => `    ${key}: {
+      name: ${JSON.stringify(region.name)},
+      nuts: ${JSON.stringify(region.nuts)},
+      bbox: [${region.bbox.join(", ")}],
+      polygons: ${JSON.stringify(region.polygons)},
+    },`
+    )
+    .join("\n");
+  return `// Generiert von tools/build-alert-regions.js (npm run alert-regions) – nicht
+// von Hand bearbeiten. Vereinfachter Umriss (Polygone aus [lat, lon], je
+// [Außenring, ...Löcher]) und Rechteck [Süd, West, Nord, Ost] je Kreis nach
+// BKG VG250 und dem Kreisverzeichnis von Destatis.
+
+const ALERT_GEOCODE_REGIONS = {
+  // DWD-Warnzellen der Kreise: "1" + Kreisschlüssel + "000"
+  WARNCELLID: {
+${table}
+  },
+  // MeteoAlarm-Gebiete: NUTS-3-Code des Kreises, dieselben Einträge
+  EMMA_ID: {},
+};
+Object.values(ALERT_GEOCODE_REGIONS.WARNCELLID).forEach((region) => {
+  ALERT_GEOCODE_REGIONS.EMMA_ID[region.nuts] = region;
+});
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ALERT_GEOCODE_REGIONS };
+}
+`;
+}
+
+/**
+ * Reads both sources, writes the table and returns it
+ */
+function writeAlertRegions(options = {}) {
+  const rootDir = options.rootDir || ROOT_DIR;
+  const features =
+    options.features ||
+    require("german-administrative-areas/kreise.geo.json").flatMap(
+      // Some districts come as nested FeatureCollections
+      (item) => item.features || [item]
+    );
+  const districts =
+    options.districts || require("landkreise-deutschland").getDistricts();
+  const regions = buildAlertRegions({ ...options, features, districts });
+  fs.writeFileSync(
+    path.join(rootDir, OUTPUT_FILE),
+    renderAlertRegions(regions)
+  );
+  return regions;
+}
+
+if (require.main === module) {
+  const regions = writeAlertRegions();
+  console.log(
+    `Alert regions: ${
+      Object.keys(regions.WARNCELLID).length
+    } districts -> ${OUTPUT_FILE}`
+  );
+}
+
+module.exports = {
+  DISTRICT_MERGERS,
+  SIMPLIFY_TOLERANCE,
+  OUTPUT_FILE,
+  simplifyRing,
+  buildAlertRegions,
+  renderAlertRegions,
+  writeAlertRegions,
+};
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/* Precache manifest generator for the service worker
+   Hashes every app-shell file and writes src/precache-manifest.js with one
+   { url, revision } entry per file plus a version made of the package version
+   and a hash over all entries. The service worker imports the manifest, so
+   any changed file changes the worker script and the browser installs a new
+   version (see src/utils/precache.js).
+
+   Run after changing app files: npm run precache
+   tests/precache.test.js fails while the committed manifest is outdated.
+*/
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const MANIFEST_FILE = "src/precache-manifest.js";
+
+// Relative to the project root; "*" matches file names within one directory
+const PRECACHE_SOURCES = [
+  "manifest.json",
+  "src/index.html",
+  "src/style.css",
+  "src/app.js",
+  "src/features.js",
+  "src/api/*.js",
+  "src/ui/*.js",
+  "src/utils/*.js",
+  "src/i18n/*",
+  "legal/*.html",
+];
+
+const hash = (content, length = 10) =>
+  crypto.createHash("sha256").update(content).digest("hex").slice(0, length);
+
+/**
+ * Files matched by one source pattern, sorted by name
+ * @param {string} rootDir
+ * @param {string} pattern - e.g. "src/api/*.js"
+ * @returns {string[]} - paths relative to rootDir, with forward slashes
+ */
+function expandSource(rootDir, pattern) {
+  if (!pattern.includes("*")) {
+    return fs.existsSync(path.join(rootDir, pattern)) ? [pattern] : [];
+  }
+  const dir = path.posix.dirname(pattern);
+  const [prefix, suffix] = path.posix.basename(pattern).split("*");
+  const absDir = path.join(rootDir, dir);
+  if (!fs.existsSync(absDir)) return [];
+  return fs
+    .readdirSync(absDir, { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isFile() &&
+        entry.name.startsWith(prefix) &&
+        entry.name.endsWith(suffix)
+    )
+    .map((entry) => `${dir}/${entry.name}`)
+    .sort();
+}
+
+/**
+ * Builds the manifest from the files on disk
+ * @param {object} options - { rootDir, sources, packageVersion }
+ * @returns {object} - { version, entries: [{ url, revision }] }
+ */
+function buildPrecacheManifest(options = {}) {
+  const rootDir = options.rootDir || ROOT_DIR;
+  const sources = options.sources || PRECACHE_SOURCES;
+  const packageVersion =
+    options.packageVersion ||
+    JSON.parse(fs.readFileSync(path.join(rootDir, "package.json"), "utf8"))
+      .version;
+
+  const files = new Set();
+  sources.forEach((pattern) =>
+    expandSource(rootDir, pattern).forEach((file) => files.add(file))
+  );
+  const entries = Array.from(files, (file) => ({
+    url: `/${file}`,
+    revision: hash(fs.readFileSync(path.join(rootDir, file))),
+  }));
+  const digest = hash(
+    entries.map((entry) => `${entry.url} ${entry.revision}`).join("\n"),
+    8
+  );
+  return { version: `${packageVersion}-${digest}`, entries };
+}
+
+/**
+ * Source of src/precache-manifest.js (classic script for importScripts)
+ * @param {object} manifest - result of buildPrecacheManifest
+ * @returns {string}
+ */
+function renderPrecacheManifest(manifest) {
+  const entries = manifest.entries
+    .map(
+      (entry) =>
+        `  { url: ${JSON.stringify(entry.url)}, revision: ${JSON.stringify(
+          entry.revision
+        )} },`
+    )
+    .join("\n");
+  return `// Generiert von tools/build-precache.js (npm run precache) – nicht von Hand
+// bearbeiten. Jede Änderung hier ändert auch den Service Worker und löst so
+// die Installation einer neuen Version aus.
+
+const PRECACHE_VERSION = ${JSON.stringify(manifest.version)};
+const PRECACHE_ENTRIES = [
+${entries}
+];
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { PRECACHE_VERSION, PRECACHE_ENTRIES };
+}
+`;
+}
+
+/**
+ * Writes the manifest and returns it
+ */
+function writePrecacheManifest(options = {}) {
+  const rootDir = options.rootDir || ROOT_DIR;
+  const manifest = buildPrecacheManifest({ ...options, rootDir });
+  fs.writeFileSync(
+    path.join(rootDir, MANIFEST_FILE),
+    renderPrecacheManifest(manifest)
+  );
+  return manifest;
+}
+
+if (require.main === module) {
+  const manifest = writePrecacheManifest();
+  console.log(
+    `Precache manifest ${manifest.version}: ${manifest.entries.length} files -> ${MANIFEST_FILE}`
+  );
+}
+
+module.exports = {
+  PRECACHE_SOURCES,
+  MANIFEST_FILE,
+  buildPrecacheManifest,
+  renderPrecacheManifest,
+  writePrecacheManifest,
+};
@@ -0,0 +1,465 @@
+/* Location-targeted weather alerts for the push server
+   Each stored subscription carries the user's favorite locations and alert
+   preferences. The scheduler periodically loads a forecast per unique location,
+   evaluates the thresholds below and pushes only to subscribers whose places
+   are affected.
+
+   The forecast source is pluggable: anything with
+     getHourlyForecast({ lat, lon, hours }) -> Promise<Array<HourlyEntry>>
+   works, so tests can drive the scheduler with a local stub instead of Open-Meteo.
+
+   HourlyEntry: { time, temperature (°C), windSpeed (km/h), windGust (km/h),
+                  precipitation (mm), weatherCode (WMO) } plus further Open-Meteo
+                  variables under their API names for alert rules, including
+                  air quality, pollen and sea state from the Open-Meteo
+                  air-quality and marine APIs.
+
+   Subscriptions that carry alert rules (src/utils/alertRules.js, general ones
+   in `rules`, favorite-specific ones in `locations[].rules`) are evaluated
+   with the same engine as the client; older ones get the client's
+   DEFAULT_ALERT_RULES.
+
+   Alerts the user marked as seen arrive as `acknowledged` keys
+   (location|type|time, see alertNotifyKey in src/utils/alertHistory.js) and
+   are never sent again.
+*/
+
+const https = require("https");
+const {
+  DEFAULT_ALERT_RULES,
+  ALERT_RULE_VARIABLES,
+  ALERT_RULE_SOURCE_URLS,
+  alertVariableSource,
+  mergeHourly,
+  normalizeAlertRule,
+  evaluateAlertRules,
+} = require("../src/utils/alertRules.js");
+
+const ALERT_TYPES = ["storm", "heavyRain", "frost"];
+
+const DEFAULT_PREFERENCES = {
+  storm: true,
+  heavyRain: true,
+  frost: true,
+};
+
+// Push-Präferenzen schalten Regeln der zugehörigen Gefahren ab
+const PREFERENCE_HAZARDS = {
+  storm: ["storm", "wind"],
+  heavyRain: ["rain"],
+  frost: ["frost"],
+};
+
+// HourlyEntry-Felder → Open-Meteo-Variablen der Regeln
+const HOUR_FIELD_VARIABLES = {
+  temperature: "temperature_2m",
+  windSpeed: "windspeed_10m",
+  windGust: "windgusts_10m",
+  weatherCode: "weathercode",
+};
+
+// Obergrenze gespeicherter Quittierungen pro Anmeldung (älteste fallen weg)
+const MAX_ACKNOWLEDGED = 500;
+
+const DEFAULT_INTERVAL_MS = 30 * 60 * 1000; // 30 Minuten
+const DEFAULT_COOLDOWN_MS = 6 * 60 * 60 * 1000; // 6 Stunden
+const DEFAULT_FORECAST_HOURS = 24;
+
+function toNumber(value) {
+  const num = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(num)
+    ? num
+    : null;
+}
+
+/**
+ * Joins acknowledged alert keys, keeping the newest MAX_ACKNOWLEDGED.
+ */
+function mergeAcknowledged(...lists) {
+  const keys = lists
+    .flat()
+    .filter((key) => typeof key === "string" && key.length <= 200);
+  return Array.from(new Set(keys)).slice(-MAX_ACKNOWLEDGED);
+}
+
+function normalizeRules(rules) {
+  return Array.isArray(rules)
+    ? rules.map(normalizeAlertRule).filter(Boolean)
+    : null;
+}
+
+/**
+ * Normalizes stored entries. Older files contain raw PushSubscription JSON,
+ * newer ones { subscription, locations, preferences }.
+ */
+function normalizeSubscriptionRecord(entry) {
+  if (!entry || typeof entry !== "object") return null;
+  const subscription = entry.subscription || entry;
+  if (!subscription.endpoint) return null;
+
+  const locations = Array.isArray(entry.locations)
+    ? entry.locations
+        .map((loc) => {
+          const lat = toNumber(loc?.lat);
+          const lon = toNumber(loc?.lon ?? loc?.lng);
+          if (lat === null || lon === null) return null;
+          if (lat < -90 || lat > 90 || lon < -180 || lon > 180) return null;
+          const location = {
+            name: String(loc.name || loc.city || `${lat}, ${lon}`),
+            lat,
+            lon,
+          };
+          const rules = normalizeRules(loc.rules);
+          if (rules && rules.length) location.rules = rules;
+          return location;
+        })
+        .filter(Boolean)
+    : [];
+
+  const preferences = { ...DEFAULT_PREFERENCES };
+  if (entry.preferences && typeof entry.preferences === "object") {
+    ALERT_TYPES.forEach((type) => {
+      if (typeof entry.preferences[type] === "boolean") {
+        preferences[type] = entry.preferences[type];
+      }
+    });
+  }
+
+  return {
+    subscription,
+    locations,
+    preferences,
+    // null = ältere Anmeldung ohne Regeln (feste Schwellen)
+    rules: normalizeRules(entry.rules),
+    acknowledged: mergeAcknowledged(
+      Array.isArray(entry.acknowledged) ? entry.acknowledged : []
+    ),
+    updatedAt: entry.updatedAt || null,
+  };
+}
+
+function locationKey(loc) {
+  return `${loc.lat.toFixed(2)},${loc.lon.toFixed(2)}`;
+}
+
+function alertKey(loc, alert) {
+  return `${locationKey(loc)}|${alert.type}|${alert.time}`;
+}
+
+/**
+ * Evaluates an hourly forecast for subscriptions without own rules. Uses the
+ * client's standard rules, so both warn at the same thresholds.
+ */
+function evaluateForecast(hours, preferences = DEFAULT_PREFERENCES) {
+  return evaluateRuleAlerts(hours, DEFAULT_ALERT_RULES, preferences);
+}
+
+/**
+ * Evaluates alert rules for one location. Returns at most one alert per rule
+ * (the first matching window); `type` is the rule id for cooldown and tags.
+ */
+function evaluateRuleAlerts(hours, rules, preferences = DEFAULT_PREFERENCES) {
+  if (!Array.isArray(hours)) return [];
+  const disabled = new Set(
+    ALERT_TYPES.filter((type) => preferences[type] === false).flatMap(
+      (type) => PREFERENCE_HAZARDS[type]
+    )
+  );
+  const rows = hours.filter(Boolean).map((hour) => {
+    const row = { time: hour.time };
+    Object.entries(hour).forEach(([field, value]) => {
+      const variable = HOUR_FIELD_VARIABLES[field] || field;
+      const num = toNumber(value);
+      if (ALERT_RULE_VARIABLES[variable] && num !== null) row[variable] = num;
+    });
+    return row;
+  });
+
+  const seen = new Set();
+  return evaluateAlertRules(rows, rules)
+    .filter((alert) => alert.notify && !disabled.has(alert.hazard))
+    .filter((alert) => {
+      if (seen.has(alert.ruleId)) return false;
+      seen.add(alert.ruleId);
+      return true;
+    })
+    .map(({ ruleId, severity, title, description, time }) => ({
+      type: ruleId,
+      severity,
+      title,
+      description,
+      time,
+    }));
+}
+
+function buildPayload(location, alerts) {
+  const [primary, ...rest] = alerts;
+  const extra = rest.length ? ` (+${rest.length} weitere)` : "";
+  return {
+    title: `${primary.title} · ${location.name}`,
+    body: `${primary.description}${extra}`,
+    tag: `alert-${locationKey(location)}-${primary.type}`,
+    data: {
+      location: { name: location.name, lat: location.lat, lon: location.lon },
+      alerts: alerts.map((alert) => ({
+        type: alert.type,
+        severity: alert.severity,
+        title: alert.title,
+        time: alert.time,
+        // Für "Gesehen" in der Benachrichtigung (Service Worker)
+        key: alertKey(location, alert),
+      })),
+    },
+  };
+}
+
+function fetchJson(url, timeoutMs = 8000) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, (res) => {
+      let raw = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (raw += chunk));
+      res.on("end", () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new Error(`HTTP ${res.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(raw));
+        } catch (e) {
+          reject(new Error("Invalid JSON"));
+        }
+      });
+    });
+    req.on("error", reject);
+    req.setTimeout(timeoutMs, () => req.destroy(new Error("Timeout")));
+  });
+}
+
+/**
+ * Default forecast source backed by the Open-Meteo forecast API. Air quality
+ * and marine variables come from their own APIs (ALERT_RULE_SOURCE_URLS); if
+ * one fails, or a place is inland, they stay null.
+ */
+function createOpenMeteoSource({ request = fetchJson } = {}) {
+  const variablesOf = (source) =>
+    Object.keys(ALERT_RULE_VARIABLES).filter(
+      (variable) => alertVariableSource(variable) === source
+    );
+  return {
+    name: "open-meteo",
+    async getHourlyForecast({ lat, lon, hours = DEFAULT_FORECAST_HOURS }) {
+      const params = (variables) =>
+        new URLSearchParams({
+          latitude: lat.toFixed(4),
+          longitude: lon.toFixed(4),
+          hourly: variables.join(","),
+          forecast_days: "2",
+          timezone: "auto",
+        }).toString();
+      const [data, ...extras] = await Promise.all([
+        request(
+          `https://api.open-meteo.com/v1/forecast?${params(
+            variablesOf("forecast")
+          )}`
+        ),
+        ...Object.entries(ALERT_RULE_SOURCE_URLS).map(([source, url]) =>
+          request(`${url}?${params(variablesOf(source))}`).catch(() => null)
+        ),
+      ]);
+      const hourly = extras.reduce(
+        (merged, extra) => mergeHourly(merged, extra?.hourly),
+        data?.hourly || {}
+      );
+      return (hourly.time || []).slice(0, hours).map((time, i) => {
+        const entry = { time };
+        // HourlyEntry-Felder, übrige Variablen unter ihrem API-Namen
+        Object.keys(ALERT_RULE_VARIABLES).forEach((variable) => {
+          const field =
+            Object.keys(HOUR_FIELD_VARIABLES).find(
+              (key) => HOUR_FIELD_VARIABLES[key] === variable
+            ) || variable;
+          entry[field] = hourly[variable]?.[i] ?? null;
+        });
+        return entry;
+      });
+    },
+  };
+}
+
+/**
+ * Creates the periodic scheduler.
+ * @param {object} options
+ * @param {() => Array} options.loadSubscriptions - returns stored subscription entries
+ * @param {object} options.forecastSource - { getHourlyForecast({lat, lon, hours}) }
+ * @param {(subscription, payload: string) => Promise} options.sendNotification
+ * @param {(endpoints: string[]) => void} [options.onExpired] - called with gone endpoints
+ */
+function createAlertScheduler({
+  loadSubscriptions,
+  forecastSource = createOpenMeteoSource(),
+  sendNotification,
+  onExpired = null,
+  intervalMs = DEFAULT_INTERVAL_MS,
+  cooldownMs = DEFAULT_COOLDOWN_MS,
+  forecastHours = DEFAULT_FORECAST_HOURS,
+  now = () => Date.now(),
+  logger = console,
+} = {}) {
+  if (typeof loadSubscriptions !== "function") {
+    throw new Error("loadSubscriptions is required");
+  }
+  if (typeof sendNotification !== "function") {
+    throw new Error("sendNotification is required");
+  }
+
+  const sentLog = new Map();
+  let timer = null;
+  let running = null;
+
+  const wasRecentlySent = (key) => {
+    const last = sentLog.get(key);
+    return typeof last === "number" && now() - last < cooldownMs;
+  };
+
+  // Abgelaufene Sperren verwerfen, sonst wächst das Log mit jeder Warnung
+  const pruneSentLog = () => {
+    sentLog.forEach((last, key) => {
+      if (!wasRecentlySent(key)) sentLog.delete(key);
+    });
+  };
+
+  async function runOnce() {
+    pruneSentLog();
+    const records = (loadSubscriptions() || [])
+      .map(normalizeSubscriptionRecord)
+      .filter(Boolean);
+
+    const report = {
+      startedAt: new Date(now()).toISOString(),
+      subscriptions: records.length,
+      locations: 0,
+      notifications: [],
+      errors: [],
+    };
+
+    const uniqueLocations = new Map();
+    records.forEach((record) => {
+      record.locations.forEach((loc) => {
+        const key = locationKey(loc);
+        if (!uniqueLocations.has(key)) uniqueLocations.set(key, loc);
+      });
+    });
+    report.locations = uniqueLocations.size;
+
+    const forecasts = new Map();
+    for (const [key, loc] of uniqueLocations) {
+      try {
+        const hours = await forecastSource.getHourlyForecast({
+          lat: loc.lat,
+          lon: loc.lon,
+          hours: forecastHours,
+        });
+        forecasts.set(key, hours);
+      } catch (err) {
+        report.errors.push({ location: loc.name, error: err.message });
+      }
+    }
+
+    const expired = [];
+    for (const record of records) {
+      const endpoint = record.subscription.endpoint;
+      const acknowledged = new Set(record.acknowledged);
+      for (const loc of record.locations) {
+        const hours = forecasts.get(locationKey(loc));
+        if (!hours) continue;
+        const alerts = (
+          record.rules
+            ? evaluateRuleAlerts(
+                hours,
+                record.rules.concat(loc.rules || []),
+                record.preferences
+              )
+            : evaluateForecast(hours, record.preferences)
+        ).filter(
+          (alert) =>
+            !acknowledged.has(alertKey(loc, alert)) &&
+            !wasRecentlySent(`${endpoint}|${locationKey(loc)}|${alert.type}`)
+        );
+        if (!alerts.length) continue;
+
+        const payload = buildPayload(loc, alerts);
+        try {
+          await sendNotification(record.subscription, JSON.stringify(payload));
+          alerts.forEach((alert) =>
+            sentLog.set(`${endpoint}|${locationKey(loc)}|${alert.type}`, now())
+          );
+          report.notifications.push({
+            endpoint,
+            location: loc.name,
+            alerts: alerts.map((a) => a.type),
+            status: "ok",
+          });
+        } catch (err) {
+          const statusCode = err.statusCode || null;
+          if (statusCode === 404 || statusCode === 410) {
+            expired.push(endpoint);
+          }
+          report.notifications.push({
+            endpoint,
+            location: loc.name,
+            alerts: alerts.map((a) => a.type),
+            status: "error",
+            error: err.body || err.message,
+          });
+        }
+      }
+    }
+
+    if (expired.length && typeof onExpired === "function") {
+      onExpired(Array.from(new Set(expired)));
+    }
+
+    return report;
+  }
+
+  function runGuarded() {
+    if (running) return running;
+    running = runOnce()
+      .catch((err) => {
+        logger.warn("Alert run failed", err);
+        return null;
+      })
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  return {
+    runOnce: runGuarded,
+    start() {
+      if (timer || !intervalMs) return;
+      timer = setInterval(runGuarded, intervalMs);
+      if (typeof timer.unref === "function") timer.unref();
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    isRunning: () => Boolean(timer),
+    cooldownCount: () => sentLog.size,
+  };
+}
+
+module.exports = {
+  ALERT_TYPES,
+  DEFAULT_PREFERENCES,
+  normalizeSubscriptionRecord,
+  mergeAcknowledged,
+  evaluateForecast,
+  evaluateRuleAlerts,
+  buildPayload,
+  createOpenMeteoSource,
+  createAlertScheduler,
+};
@@ -1,9 +1,21 @@
 #!/usr/bin/env node
 /* Simple push server: accepts subscriptions and can send demo pushes
    Endpoints:
-     POST /subscribe  -> body = subscription JSON, saved to subscriptions.json
+     POST /subscribe  -> body = { subscription, locations, preferences, rules }
+                         (or plain subscription JSON), saved to
+                         push-subscriptions.json
      POST /send       -> body = { message: 'text' } sends to all saved subscriptions
+     POST /acknowledge -> body = { endpoint, keys } marks alerts as seen, they
+                         are not pushed again
+     POST /alerts/run -> evaluates forecasts for all stored locations now
      GET  /keys       -> returns { publicKey }
+     POST /analytics/events, GET /analytics/summary, GET /analytics/report
+                      -> optional analytics collector (ANALYTICS_COLLECTOR=1),
+                         events in analytics-events.jsonl, see
+                         tools/analytics-collector.js
+
+   Location alerts are checked every ALERT_INTERVAL_MINUTES (default 30, 0 = off),
+   see tools/push-alerts.js.
 
    Usage:
      npm install
@@ -17,9 +29,22 @@ const path = require("path");
 const express = require("express");
 const bodyParser = require("body-parser");
 const webpush = require("web-push");
+const {
+  normalizeSubscriptionRecord,
+  mergeAcknowledged,
+  createAlertScheduler,
+} = require("./push-alerts");
+const { createCollector, renderReport } = require("./analytics-collector");
 
 const SUB_FILE = path.join(process.cwd(), "push-subscriptions.json");
 const PORT = process.env.PORT || 3030;
+const ALERT_INTERVAL_MINUTES = Number(
+  process.env.ALERT_INTERVAL_MINUTES ?? 30
+);
+const ANALYTICS_FILE = path.join(process.cwd(), "analytics-events.jsonl");
+const ANALYTICS_COLLECTOR = ["1", "true"].includes(
+  process.env.ANALYTICS_COLLECTOR
+);
 
 function loadSubs() {
   try {
@@ -40,6 +65,18 @@ function saveSubs(subs) {
   }
 }
 
+/**
+ * CORS for routes the app calls: it is served from another origin
+ * (npm start, :8000). Answers the preflight of JSON POSTs itself.
+ */
+function allowCrossOrigin(req, res, next) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  if (req.method === "OPTIONS") return res.sendStatus(204);
+  next();
+}
+
 const app = express();
 app.use(bodyParser.json());
 
@@ -56,15 +93,52 @@ if (publicKey && privateKey) {
   webpush.setVapidDetails("mailto:dev@example.com", publicKey, privateKey);
 }
 
+// The app reads the key and posts its subscription record with targets
+app.use(["/keys", "/subscribe"], allowCrossOrigin);
 app.post("/subscribe", (req, res) => {
-  const sub = req.body;
-  if (!sub || !sub.endpoint)
-    return res.status(400).json({ error: "Invalid subscription" });
+  const record = normalizeSubscriptionRecord(req.body);
+  if (!record) return res.status(400).json({ error: "Invalid subscription" });
+  record.updatedAt = new Date().toISOString();
+
   const subs = loadSubs();
-  const exists = subs.some((s) => s.endpoint === sub.endpoint);
-  if (!exists) subs.push(sub);
+  const index = subs.findIndex(
+    (s) => (s.subscription || s).endpoint === record.subscription.endpoint
+  );
+  if (index >= 0) {
+    // Quittierungen aus der Benachrichtigung (/acknowledge) behalten
+    record.acknowledged = mergeAcknowledged(
+      subs[index].acknowledged || [],
+      record.acknowledged
+    );
+    subs[index] = record;
+  } else {
+    subs.push(record);
+  }
   saveSubs(subs);
-  res.json({ ok: true, count: subs.length });
+  res.json({
+    ok: true,
+    count: subs.length,
+    locations: record.locations.length,
+  });
+});
+
+// Sent by the service worker from the notification action
+app.use("/acknowledge", allowCrossOrigin);
+app.post("/acknowledge", (req, res) => {
+  const { endpoint, keys } = req.body || {};
+  if (!endpoint || !Array.isArray(keys)) {
+    return res.status(400).json({ error: "endpoint and keys required" });
+  }
+  const subs = loadSubs();
+  const index = subs.findIndex(
+    (s) => (s.subscription || s).endpoint === endpoint
+  );
+  if (index < 0) return res.status(404).json({ error: "Unknown subscription" });
+  const record = normalizeSubscriptionRecord(subs[index]);
+  record.acknowledged = mergeAcknowledged(record.acknowledged, keys);
+  subs[index] = record;
+  saveSubs(subs);
+  res.json({ ok: true, acknowledged: record.acknowledged.length });
 });
 
 app.post("/send", async (req, res) => {
@@ -73,16 +147,18 @@ app.post("/send", async (req, res) => {
     title: "Calchas",
     body: message || "Demo Nachricht",
   });
-  const subs = loadSubs();
+  const subs = loadSubs()
+    .map(normalizeSubscriptionRecord)
+    .filter(Boolean);
   if (!subs.length) return res.status(400).json({ error: "No subscriptions" });
   const results = [];
-  for (const s of subs) {
+  for (const { subscription } of subs) {
     try {
-      await webpush.sendNotification(s, payload);
-      results.push({ endpoint: s.endpoint, status: "ok" });
+      await webpush.sendNotification(subscription, payload);
+      results.push({ endpoint: subscription.endpoint, status: "ok" });
     } catch (err) {
       results.push({
-        endpoint: s.endpoint,
+        endpoint: subscription.endpoint,
         status: "error",
         error: err.body || err.message,
       });
@@ -91,6 +167,56 @@ app.post("/send", async (req, res) => {
   res.json({ results });
 });
 
+const alertScheduler = createAlertScheduler({
+  loadSubscriptions: loadSubs,
+  sendNotification: (subscription, payload) =>
+    webpush.sendNotification(subscription, payload),
+  onExpired: (endpoints) => {
+    const subs = loadSubs().filter(
+      (s) => !endpoints.includes((s.subscription || s).endpoint)
+    );
+    saveSubs(subs);
+  },
+  intervalMs: ALERT_INTERVAL_MINUTES * 60 * 1000,
+});
+
+app.post("/alerts/run", async (req, res) => {
+  const report = await alertScheduler.runOnce();
+  if (!report) return res.status(500).json({ error: "Alert run failed" });
+  res.json(report);
+});
+
+const analyticsCollector = createCollector({ file: ANALYTICS_FILE });
+
+app.use("/analytics", (req, res, next) => {
+  if (!ANALYTICS_COLLECTOR) {
+    return res
+      .status(404)
+      .json({ error: "Analytics collector disabled (ANALYTICS_COLLECTOR=1)" });
+  }
+  allowCrossOrigin(req, res, next);
+});
+
+app.post("/analytics/events", (req, res) => {
+  try {
+    const result = analyticsCollector.ingest(req.body);
+    if (!result) return res.status(400).json({ error: "events[] required" });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.warn("Could not store analytics events", e);
+    res.status(500).json({ error: "Could not store events" });
+  }
+});
+
+app.get("/analytics/summary", (req, res) => {
+  res.json(analyticsCollector.summary({ days: req.query.days }));
+});
+
+app.get("/analytics/report", (req, res) => {
+  res.setHeader("Content-Type", "text/html");
+  res.send(renderReport(analyticsCollector.summary({ days: req.query.days })));
+});
+
 // Simple dashboard to view subscriptions and send test pushes
 app.get("/dashboard", (req, res) => {
   const subs = loadSubs();
@@ -147,13 +273,25 @@ app.get("/keys", (req, res) => {
 
 app.get("/", (req, res) => {
   res.send(
-    `Push server running. Use <a href="/dashboard">/dashboard</a> to view subscriptions. POST /subscribe and POST /send. PublicKey: ${
+    `Push server running. Use <a href="/dashboard">/dashboard</a> to view subscriptions. POST /subscribe, POST /send and POST /alerts/run. PublicKey: ${
       publicKey ? "set" : "missing"
     }`
   );
 });
 
-app.listen(PORT, () => {
-  console.log(`Push server listening on http://localhost:${PORT}`);
-  console.log(`Subscriptions file: ${SUB_FILE}`);
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Push server listening on http://localhost:${PORT}`);
+    console.log(`Subscriptions file: ${SUB_FILE}`);
+    if (publicKey && privateKey && ALERT_INTERVAL_MINUTES > 0) {
+      alertScheduler.start();
+      console.log(`Location alerts every ${ALERT_INTERVAL_MINUTES} min`);
+    }
+    if (ANALYTICS_COLLECTOR) {
+      const kept = analyticsCollector.compact();
+      console.log(`Analytics collector: ${ANALYTICS_FILE} (${kept} events)`);
+    }
+  });
+}
+
+module.exports = { app, alertScheduler, analyticsCollector };